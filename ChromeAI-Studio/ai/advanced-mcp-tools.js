@@ -11,139 +11,15 @@ class AdvancedMCPTools {
   }
 
   /**
-   * Get advanced MCP tools for voice agent
+   * Get advanced MCP tools, registered in the shared tool registry on load
    */
   getAdvancedTools() {
     return [
-      // Smart Navigation Tools
-      {
-        name: "smartNavigate",
-        description: "Intelligently navigate to websites with smart URL completion and search fallback",
-        inputSchema: {
-          type: "object",
-          properties: {
-            destination: {
-              type: "string",
-              description: "Website name, domain, or search query"
-            },
-            newTab: {
-              type: "boolean",
-              description: "Open in new tab (default: false)"
-            }
-          },
-          required: ["destination"]
-        },
-        async execute({ destination, newTab = false }) {
-          try {
-            let url = destination.toLowerCase().trim();
-            
-            // Smart URL mapping for common sites
-            const siteMap = {
-              'youtube': 'https://youtube.com',
-              'gmail': 'https://gmail.com',
-              'github': 'https://github.com',
-              'twitter': 'https://twitter.com',
-              'facebook': 'https://facebook.com',
-              'instagram': 'https://instagram.com',
-              'linkedin': 'https://linkedin.com',
-              'reddit': 'https://reddit.com',
-              'stackoverflow': 'https://stackoverflow.com',
-              'amazon': 'https://amazon.com',
-              'netflix': 'https://netflix.com',
-              'spotify': 'https://spotify.com'
-            };
-            
-            // Special handling for YouTube with search queries
-            if (url.includes('youtube.com/results?search_query=')) {
-              url = destination; // Use as-is if it's already a YouTube search URL
-            }
-            // Handle YouTube search queries (let AI decide the search terms)
-            else if (destination.includes('youtube.com/results?search_query=')) {
-              url = destination; // Use the AI-provided YouTube search URL directly
-            }
-            // Check if it's a mapped site
-            else if (siteMap[url]) {
-              url = siteMap[url];
-            } 
-            // Check if it looks like a domain
-            else if (url.includes('.') && !url.includes(' ')) {
-              url = url.startsWith('http') ? url : `https://${url}`;
-            }
-            // Otherwise treat as search query
-            else {
-              url = `https://www.google.com/search?q=${encodeURIComponent(destination)}`;
-            }
-            
-            if (newTab) {
-              window.open(url, '_blank');
-              return `Opened ${destination} in new tab`;
-            } else {
-              window.location.href = url;
-              return `Navigating to ${destination}`;
-            }
-            
-          } catch (error) {
-            return `Failed to navigate to ${destination}: ${error.message}`;
-          }
-        }
-      },
-
-      // YouTube Music Player
-      {
-        name: "playYouTubeMusic",
-        description: "Play music or videos on YouTube with search functionality",
-        inputSchema: {
-          type: "object",
-          properties: {
-            query: {
-              type: "string",
-              description: "Song name, artist, or search query for YouTube"
-            },
-            newTab: {
-              type: "boolean",
-              description: "Open in new tab (default: true for music)"
-            }
-          },
-          required: ["query"]
-        },
-        async execute({ query, newTab = true }) {
-          try {
-            // The AI should pass in a meaningful search query
-            // Just clean up basic command words but let AI decide the content
-            let searchQuery = query.trim();
-            
-            // Remove obvious command prefixes but preserve the AI's intent
-            searchQuery = searchQuery
-              .replace(/^(play|can you play|please play)\s+/i, '')
-              .replace(/\s+on youtube$/i, '')
-              .replace(/\s+please$/i, '')
-              .trim();
-            
-            // If query is too short or empty, let the AI know it needs to be more specific
-            if (!searchQuery || searchQuery.length < 2) {
-              throw new Error('Search query too vague - AI should provide specific music to search for');
-            }
-            
-            const youtubeURL = `https://youtube.com/results?search_query=${encodeURIComponent(searchQuery)}`;
-            
-            if (newTab) {
-              window.open(youtubeURL, '_blank');
-              return `Playing "${searchQuery}" on YouTube in new tab`;
-            } else {
-              window.location.href = youtubeURL;
-              return `Searching for "${searchQuery}" on YouTube`;
-            }
-            
-          } catch (error) {
-            return `Failed to play music on YouTube: ${error.message}`;
-          }
-        }
-      },
-
       // Advanced Media Control
       {
         name: "advancedMediaControl",
         description: "Advanced media control with smart detection and batch operations",
+        sideEffect: "mutates",
         inputSchema: {
           type: "object",
           properties: {
@@ -230,6 +106,7 @@ class AdvancedMCPTools {
       {
         name: "analyzePageContent",
         description: "Analyze and extract structured information from the current page",
+        sideEffect: "read-only",
         inputSchema: {
           type: "object",
           properties: {
@@ -312,6 +189,7 @@ class AdvancedMCPTools {
       {
         name: "advancedTabControl",
         description: "Advanced tab and window management operations",
+        sideEffect: "mutates",
         inputSchema: {
           type: "object",
           properties: {
@@ -404,6 +282,7 @@ class AdvancedMCPTools {
       {
         name: "generateContent",
         description: "Generate content using AI for forms, text areas, or page content",
+        sideEffect: "mutates",
         inputSchema: {
           type: "object",
           properties: {
@@ -486,6 +365,7 @@ class AdvancedMCPTools {
       {
         name: "monitorSystem",
         description: "Monitor browser performance, memory, and system status",
+        sideEffect: "read-only",
         inputSchema: {
           type: "object",
           properties: {
@@ -564,4 +444,5 @@ if (typeof window !== 'undefined') {
   // Add to ChromeAI Studio namespace
   window.ChromeAIStudio = window.ChromeAIStudio || {};
   window.ChromeAIStudio.advancedMCPTools = new AdvancedMCPTools();
+  window.ChromeAIStudio.toolRegistry?.registerAll(window.ChromeAIStudio.advancedMCPTools.getAdvancedTools(), { source: 'advanced-tools' });
 }
\ No newline at end of file
@@ -40,6 +40,9 @@ class AIInstanceManager {
         this.healthCheckTimer = null;
         this.isInitialized = false;
         
+        // Optional session source (e.g. MockAIProvider) with createSession(type, options)
+        this.provider = this.options.provider || null;
+        
         this.initialize();
     }
 
@@ -120,7 +123,7 @@ class AIInstanceManager {
      */
     async preWarmLanguageModel() {
         try {
-            const instance = await this.createLanguageModelInstance({
+            const instance = await this.createInstance('languageModel', {
                 temperature: 0.7,
                 topK: 20,
                 topP: 0.9
@@ -137,7 +140,7 @@ class AIInstanceManager {
      */
     async preWarmSummarizer() {
         try {
-            const instance = await this.createSummarizerInstance({
+            const instance = await this.createInstance('summarizer', {
                 summaryLength: 'medium',
                 format: 'paragraph'
             });
@@ -153,7 +156,7 @@ class AIInstanceManager {
      */
     async preWarmWriter() {
         try {
-            const instance = await this.createWriterInstance({
+            const instance = await this.createInstance('writer', {
                 tone: 'professional',
                 length: 'medium'
             });
@@ -169,7 +172,7 @@ class AIInstanceManager {
      */
     async preWarmTranslator() {
         try {
-            const instance = await this.createTranslatorInstance({
+            const instance = await this.createInstance('translator', {
                 sourceLanguage: 'auto',
                 targetLanguage: 'en'
             });
@@ -185,7 +188,7 @@ class AIInstanceManager {
      */
     async preWarmRewriter() {
         try {
-            const instance = await this.createRewriterInstance({
+            const instance = await this.createInstance('rewriter', {
                 tone: 'professional',
                 length: 'same'
             });
@@ -201,7 +204,7 @@ class AIInstanceManager {
      */
     async preWarmProofreader() {
         try {
-            const instance = await this.createProofreaderInstance({
+            const instance = await this.createInstance('proofreader', {
                 language: 'en',
                 strictness: 'medium'
             });
@@ -217,7 +220,7 @@ class AIInstanceManager {
      */
     async preWarmLanguageDetector() {
         try {
-            const instance = await this.createLanguageDetectorInstance({
+            const instance = await this.createInstance('languageDetector', {
                 confidence: 0.8
             });
             
@@ -310,6 +313,18 @@ class AIInstanceManager {
         }
     }
 
+    /**
+     * Use a provider for new instances; pooled instances from the previous source are dropped
+     */
+    setProvider(provider) {
+        this.provider = provider || null;
+        
+        for (const pool of this.sessionPools.values()) {
+            pool.available.forEach(instance => this.healthStatus.delete(instance));
+            pool.available = [];
+        }
+    }
+
     /**
      * Create a new AI instance
      */
@@ -319,30 +334,37 @@ class AIInstanceManager {
         try {
             let instance;
             
-            switch (type) {
-                case 'languageModel':
-                    instance = await this.createLanguageModelInstance(options);
-                    break;
-                case 'summarizer':
-                    instance = await this.createSummarizerInstance(options);
-                    break;
-                case 'writer':
-                    instance = await this.createWriterInstance(options);
-                    break;
-                case 'translator':
-                    instance = await this.createTranslatorInstance(options);
-                    break;
-                case 'rewriter':
-                    instance = await this.createRewriterInstance(options);
-                    break;
-                case 'proofreader':
-                    instance = await this.createProofreaderInstance(options);
-                    break;
-                case 'languageDetector':
-                    instance = await this.createLanguageDetectorInstance(options);
-                    break;
-                default:
+            if (this.provider) {
+                if (!this.sessionPools.has(type)) {
                     throw new Error(`Unknown AI type: ${type}`);
+                }
+                instance = await this.provider.createSession(type, options);
+            } else {
+                switch (type) {
+                    case 'languageModel':
+                        instance = await this.createLanguageModelInstance(options);
+                        break;
+                    case 'summarizer':
+                        instance = await this.createSummarizerInstance(options);
+                        break;
+                    case 'writer':
+                        instance = await this.createWriterInstance(options);
+                        break;
+                    case 'translator':
+                        instance = await this.createTranslatorInstance(options);
+                        break;
+                    case 'rewriter':
+                        instance = await this.createRewriterInstance(options);
+                        break;
+                    case 'proofreader':
+                        instance = await this.createProofreaderInstance(options);
+                        break;
+                    case 'languageDetector':
+                        instance = await this.createLanguageDetectorInstance(options);
+                        break;
+                    default:
+                        throw new Error(`Unknown AI type: ${type}`);
+                }
             }
             
             // Update health status
@@ -425,6 +447,18 @@ class AIInstanceManager {
      * Create Proofreader instance
      */
     async createProofreaderInstance(options = {}) {
+        // Real session when the provider routed for proofreading supports it
+        const provider = window.ChromeAIStudio?.aiManager?.getProvider('proofreader');
+        if (provider?.isSupported('proofreader')) {
+            return provider.createSession('proofreader', {
+                includeCorrectionTypes: true,
+                includeCorrectionExplanations: true,
+                expectedInputLanguages: ['en'],
+                correctionExplanationLanguage: 'en',
+                ...options
+            });
+        }
+
         return {
             type: 'proofreader',
             options: options,
@@ -603,8 +637,15 @@ class AIInstanceManager {
             this.healthCheckTimer = null;
         }
         
-        // Clear all pools
+        // Clear all pools, destroying real sessions
         for (const [type, pool] of this.sessionPools) {
+            [...pool.available, ...pool.inUse].forEach(instance => {
+                try {
+                    instance.destroy?.();
+                } catch (error) {
+                    console.warn(`Failed to destroy ${type} instance:`, error);
+                }
+            });
             pool.available = [];
             pool.inUse = [];
             pool.created = 0;
@@ -0,0 +1,628 @@
+/**
+ * ChromeAI Studio - AI Providers
+ * Pluggable backends that AIManager obtains sessions from. The built-in provider wraps
+ * Chrome's on-device APIs (Gemini Nano); the OpenAI-compatible provider talks to an HTTP
+ * server such as llama.cpp or Ollama through the background service worker.
+ *
+ * Every provider exposes the same surface:
+ * - createSession(type, options) -> session shaped like the built-in API objects
+ * - availability(type, options)  -> 'available' | 'downloadable' | 'downloading' | 'unavailable'
+ * - isSupported(type)            -> synchronous best-effort check
+ */
+
+// Tasks that can be routed to a provider, and the AIManager session type behind each
+const AI_PROVIDER_TASKS = {
+  prompt: 'languageModel',
+  summarize: 'summarizer',
+  write: 'writer',
+  rewrite: 'rewriter',
+  translate: 'translator'
+};
+
+const DEFAULT_PROVIDER_ID = 'builtin';
+
+// =============================================================================
+// BUILT-IN PROVIDER - Chrome's LanguageModel, Summarizer, Writer, ... globals
+// =============================================================================
+
+class BuiltInAIProvider {
+  constructor() {
+    this.id = 'builtin';
+    this.name = 'Chrome built-in AI (Gemini Nano)';
+  }
+
+  /**
+   * Resolve the global API object for a session type
+   */
+  getApi(type) {
+    switch (type) {
+      case 'languageModel':
+        return typeof LanguageModel !== 'undefined' ? LanguageModel : null;
+      case 'summarizer':
+        return typeof Summarizer !== 'undefined' ? Summarizer : null;
+      case 'writer':
+        return typeof Writer !== 'undefined' ? Writer : null;
+      case 'rewriter':
+        return typeof Rewriter !== 'undefined' ? Rewriter : null;
+      case 'translator':
+        return typeof Translator !== 'undefined' ? Translator : null;
+      case 'proofreader':
+        return typeof Proofreader !== 'undefined' ? Proofreader : null;
+      case 'languageDetector':
+        return typeof LanguageDetector !== 'undefined' ? LanguageDetector : null;
+      default:
+        return null;
+    }
+  }
+
+  isSupported(type) {
+    return !!this.getApi(type);
+  }
+
+  async createSession(type, options = {}) {
+    const api = this.getApi(type);
+    if (!api) {
+      throw new Error(`${type} API not available`);
+    }
+    return await api.create(options);
+  }
+
+  async availability(type, options = {}) {
+    const api = this.getApi(type);
+    if (!api) return 'unavailable';
+    return await api.availability(options);
+  }
+
+  async params(type = 'languageModel') {
+    const api = this.getApi(type);
+    if (!api || typeof api.params !== 'function') return null;
+    return await api.params();
+  }
+}
+
+// =============================================================================
+// OPENAI-COMPATIBLE PROVIDER - /v1/chat/completions over HTTP
+// =============================================================================
+
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.id = 'openai-compatible';
+    this.name = 'OpenAI-compatible server';
+    this.supportedTypes = Object.values(AI_PROVIDER_TASKS);
+    this.configure(config);
+  }
+
+  /**
+   * Update endpoint configuration (base URL, model, context window); the service worker adds the API key
+   */
+  configure(config = {}) {
+    const defined = Object.fromEntries(
+      Object.entries(config).filter(([, value]) => value !== undefined && value !== null)
+    );
+    this.config = {
+      baseUrl: 'http://localhost:11434/v1',
+      model: '',
+      contextWindow: 8192,
+      maxTokens: 1000,
+      ...this.config,
+      ...defined
+    };
+  }
+
+  isSupported(type) {
+    return this.supportedTypes.includes(type) && !!this.config.baseUrl;
+  }
+
+  async createSession(type, options = {}) {
+    if (!this.isSupported(type)) {
+      throw new Error(`${type} is not supported by the OpenAI-compatible provider`);
+    }
+    return new OpenAICompatibleSession(this, type, options);
+  }
+
+  async availability(type) {
+    if (!this.isSupported(type)) return 'unavailable';
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'PROVIDER_LIST_MODELS',
+        config: this.config
+      });
+      return response?.success ? 'available' : 'unavailable';
+    } catch (error) {
+      return 'unavailable';
+    }
+  }
+
+  async params() {
+    return {
+      defaultTopK: 20,
+      maxTopK: 128,
+      defaultTemperature: 0.7,
+      maxTemperature: 2.0
+    };
+  }
+
+  /**
+   * Rough token estimate used for quota bookkeeping (~4 characters per token)
+   */
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  /**
+   * Run a non-streaming chat completion via the service worker
+   */
+  async complete(messages, options = {}) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'PROVIDER_CHAT_COMPLETION',
+      config: this.config,
+      messages,
+      options: this.toRequestOptions(options)
+    });
+
+    if (!response?.success) {
+      throw this.toError(response?.error);
+    }
+    return response.text || '';
+  }
+
+  /**
+   * Run a streaming chat completion via a service-worker port.
+   * Returns a ReadableStream of text deltas, matching the built-in streaming APIs.
+   */
+  completeStreaming(messages, options = {}) {
+    const config = this.config;
+    const requestOptions = this.toRequestOptions(options);
+    const toError = (error) => this.toError(error);
+    let port = null;
+
+    return new ReadableStream({
+      start(controller) {
+        port = chrome.runtime.connect({ name: 'chromeai-provider-stream' });
+
+        port.onMessage.addListener((message) => {
+          if (message.type === 'chunk') {
+            controller.enqueue(message.text);
+          } else if (message.type === 'done') {
+            controller.close();
+            port.disconnect();
+          } else if (message.type === 'error') {
+            controller.error(toError(message.error));
+            port.disconnect();
+          }
+        });
+
+        port.onDisconnect.addListener(() => {
+          try {
+            controller.error(new Error('Provider stream disconnected'));
+          } catch (_) {
+            // Stream already closed
+          }
+        });
+
+        if (options.signal) {
+          options.signal.addEventListener('abort', () => port.disconnect(), { once: true });
+        }
+
+        port.postMessage({ type: 'CHAT_COMPLETION', config, messages, options: requestOptions });
+      },
+      cancel() {
+        port?.disconnect();
+      }
+    });
+  }
+
+  toRequestOptions(options = {}) {
+    const requestOptions = {};
+    if (typeof options.temperature === 'number') requestOptions.temperature = options.temperature;
+    if (options.maxTokens) requestOptions.maxTokens = options.maxTokens;
+    if (options.responseConstraint) requestOptions.responseConstraint = options.responseConstraint;
+    return requestOptions;
+  }
+
+  /**
+   * Rebuild an Error from the plain object the service worker sends back,
+   * keeping QuotaExceededError recognisable to existing handlers.
+   */
+  toError(error) {
+    const err = new Error(error?.message || 'OpenAI-compatible request failed');
+    if (error?.name) err.name = error.name;
+    if (error?.status) err.status = error.status;
+    return err;
+  }
+}
+
+/**
+ * Session object returned by OpenAICompatibleProvider.createSession. It mirrors the
+ * methods of the built-in session objects so AIManager callers need no special casing.
+ */
+class OpenAICompatibleSession {
+  constructor(provider, type, options = {}) {
+    this.provider = provider;
+    this.type = type;
+    this.options = { ...options };
+    this.temperature = options.temperature;
+    this.topK = options.topK;
+    this.inputQuota = provider.config.contextWindow;
+    this.inputUsage = 0;
+    this.destroyed = false;
+
+    // Translator sessions expose their language pair like the built-in API
+    this.sourceLanguage = options.sourceLanguage;
+    this.targetLanguage = options.targetLanguage;
+
+    // LanguageModel sessions keep the conversation, like the built-in API
+    this.messages = (options.initialPrompts || []).map(p => ({ role: p.role, content: String(p.content) }));
+    this.inputUsage = this.messages.reduce((sum, m) => sum + provider.estimateTokens(m.content), 0);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Prompt API surface
+  // ---------------------------------------------------------------------------
+
+  async prompt(input, options = {}) {
+    const userMessages = this.normalizeInput(input);
+    const messages = [...this.messages, ...userMessages];
+    this.checkQuota(messages);
+
+    const text = await this.provider.complete(messages, { ...this.options, ...options });
+    this.commitTurn(userMessages, text);
+    return text;
+  }
+
+  promptStreaming(input, options = {}) {
+    const userMessages = this.normalizeInput(input);
+    const messages = [...this.messages, ...userMessages];
+    this.checkQuota(messages);
+
+    const stream = this.provider.completeStreaming(messages, { ...this.options, ...options });
+    return this.tapStream(stream, (text) => this.commitTurn(userMessages, text));
+  }
+
+  async append(input) {
+    const userMessages = this.normalizeInput(input);
+    this.messages.push(...userMessages);
+    this.inputUsage += userMessages.reduce((sum, m) => sum + this.provider.estimateTokens(m.content), 0);
+  }
+
+  async measureInputUsage(input) {
+    return this.normalizeInput(input)
+      .reduce((sum, m) => sum + this.provider.estimateTokens(m.content), 0);
+  }
+
+  async clone() {
+    const copy = new OpenAICompatibleSession(this.provider, this.type, this.options);
+    copy.messages = this.messages.map(m => ({ ...m }));
+    copy.inputUsage = this.inputUsage;
+    return copy;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Summarizer / Writer / Rewriter / Translator surface
+  // ---------------------------------------------------------------------------
+
+  async summarize(text, options = {}) {
+    return await this.provider.complete(this.buildTaskMessages(text, options), this.options);
+  }
+
+  summarizeStreaming(text, options = {}) {
+    return this.provider.completeStreaming(this.buildTaskMessages(text, options), this.options);
+  }
+
+  async write(text, options = {}) {
+    return await this.provider.complete(this.buildTaskMessages(text, options), this.options);
+  }
+
+  writeStreaming(text, options = {}) {
+    return this.provider.completeStreaming(this.buildTaskMessages(text, options), this.options);
+  }
+
+  async rewrite(text, options = {}) {
+    return await this.provider.complete(this.buildTaskMessages(text, options), this.options);
+  }
+
+  rewriteStreaming(text, options = {}) {
+    return this.provider.completeStreaming(this.buildTaskMessages(text, options), this.options);
+  }
+
+  async translate(text, options = {}) {
+    return await this.provider.complete(this.buildTaskMessages(text, options), this.options);
+  }
+
+  translateStreaming(text, options = {}) {
+    return this.provider.completeStreaming(this.buildTaskMessages(text, options), this.options);
+  }
+
+  async destroy() {
+    this.destroyed = true;
+    this.messages = [];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Accept a string or an array of { role, content } messages, like the Prompt API
+   */
+  normalizeInput(input) {
+    if (this.destroyed) {
+      const error = new Error('The session has been destroyed.');
+      error.name = 'InvalidStateError';
+      throw error;
+    }
+    if (Array.isArray(input)) {
+      return input.map(m => ({ role: m.role || 'user', content: String(m.content) }));
+    }
+    return [{ role: 'user', content: String(input) }];
+  }
+
+  checkQuota(messages) {
+    const usage = messages.reduce((sum, m) => sum + this.provider.estimateTokens(m.content), 0);
+    if (usage > this.inputQuota) {
+      const error = new Error(`Input of ~${usage} tokens exceeds the ${this.inputQuota} token context window`);
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+  }
+
+  commitTurn(userMessages, responseText) {
+    this.messages.push(...userMessages, { role: 'assistant', content: responseText });
+    this.inputUsage = this.messages.reduce((sum, m) => sum + this.provider.estimateTokens(m.content), 0);
+  }
+
+  /**
+   * Pass chunks through unchanged and report the full text once the stream ends
+   */
+  tapStream(stream, onComplete) {
+    let fullText = '';
+    return stream.pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        fullText += chunk;
+        controller.enqueue(chunk);
+      },
+      flush() {
+        onComplete(fullText);
+      }
+    }));
+  }
+
+  /**
+   * Build the system/user messages for the single-shot task APIs
+   */
+  buildTaskMessages(text, options = {}) {
+    const o = { ...this.options, ...options };
+    const instructions = [];
+
+    switch (this.type) {
+      case 'summarizer':
+        instructions.push(`Summarize the text as ${o.type || 'key-points'}.`);
+        if (o.length) instructions.push(`Length: ${o.length}.`);
+        instructions.push(o.format === 'plain-text' ? 'Respond in plain text.' : 'Respond in Markdown.');
+        break;
+      case 'writer':
+        instructions.push('Write new content for the request below.');
+        if (o.tone) instructions.push(`Tone: ${o.tone}.`);
+        if (o.length) instructions.push(`Length: ${o.length}.`);
+        instructions.push(o.format === 'markdown' ? 'Respond in Markdown.' : 'Respond in plain text.');
+        break;
+      case 'rewriter':
+        instructions.push('Rewrite the text below. Return only the rewritten text.');
+        if (o.tone && o.tone !== 'as-is') instructions.push(`Make the tone ${o.tone.replace('more-', 'more ')}.`);
+        if (o.length && o.length !== 'as-is') instructions.push(`Make it ${o.length.replace('-', ' ')}.`);
+        break;
+      case 'translator':
+        instructions.push(
+          `Translate the text from ${this.sourceLanguage || 'the detected language'} to ${this.targetLanguage}.`,
+          'Return only the translation.'
+        );
+        break;
+      default:
+        break;
+    }
+
+    if (o.sharedContext) instructions.push(`Context: ${o.sharedContext}`);
+    if (options.context) instructions.push(`Additional context: ${options.context}`);
+
+    return [
+      { role: 'system', content: instructions.join(' ') },
+      { role: 'user', content: String(text) }
+    ];
+  }
+}
+
+// =============================================================================
+// PROVIDER REGISTRY - per-task provider selection backed by SettingsManager
+// =============================================================================
+
+class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.assignments = {};
+    this.listeners = new Set();
+    this.settingsManager = null;
+    this.initPromise = null;
+    this.overrideId = null;
+    this.logger = new window.ChromeAIStudio.Logger('AIProviders');
+
+    this.register(new BuiltInAIProvider());
+    this.register(new OpenAICompatibleProvider());
+  }
+
+  /**
+   * Load provider settings and follow changes made in any tab
+   */
+  async init() {
+    if (!this.initPromise) {
+      this.initPromise = this.loadSettings();
+    }
+    return this.initPromise;
+  }
+
+  async loadSettings() {
+    try {
+      if (window.ChromeAIStudio?.SettingsManager) {
+        this.settingsManager = new window.ChromeAIStudio.SettingsManager();
+        await this.settingsManager.init();
+        this.applySettings(this.settingsManager.getAll());
+        this.settingsManager.addListener((type) => {
+          if (type === 'changed' || type === 'synced' || type === 'reset') {
+            this.applySettings(this.settingsManager.getAll());
+          }
+        });
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load provider settings, using built-in AI:', error);
+    }
+  }
+
+  /**
+   * Register a provider; an existing provider with the same id is replaced
+   */
+  register(provider) {
+    if (!provider?.id || typeof provider.createSession !== 'function') {
+      throw new Error('AI provider must have an id and a createSession method');
+    }
+    this.providers.set(provider.id, provider);
+    this.notifyListeners(Object.keys(AI_PROVIDER_TASKS));
+  }
+
+  unregister(id) {
+    if (id === DEFAULT_PROVIDER_ID) return;
+    this.providers.delete(id);
+    this.notifyListeners(Object.keys(AI_PROVIDER_TASKS));
+  }
+
+  getProviderById(id) {
+    return this.providers.get(id) || null;
+  }
+
+  listProviders() {
+    return Array.from(this.providers.values()).map(p => ({ id: p.id, name: p.name }));
+  }
+
+  /**
+   * Apply provider-related keys from the settings object
+   */
+  applySettings(settings = {}) {
+    const openAI = this.providers.get('openai-compatible');
+    if (openAI) {
+      openAI.configure({
+        baseUrl: settings.openAICompatibleBaseUrl,
+        model: settings.openAICompatibleModel,
+        contextWindow: settings.openAICompatibleContextWindow,
+        maxTokens: settings.maxTokens
+      });
+    }
+
+    const previous = this.assignments;
+    this.assignments = { ...(settings.aiProviders || {}) };
+
+    const changed = Object.keys(AI_PROVIDER_TASKS).filter(task =>
+      (previous[task] || DEFAULT_PROVIDER_ID) !== (this.assignments[task] || DEFAULT_PROVIDER_ID)
+    );
+    if (changed.length > 0) {
+      this.logger.info('Provider assignments changed:', changed, this.getAssignments());
+      this.notifyListeners(changed);
+    }
+  }
+
+  /**
+   * Task name ('prompt', 'summarize', ...) for an AIManager session type
+   */
+  getTaskForSessionType(type) {
+    return Object.keys(AI_PROVIDER_TASKS).find(task => AI_PROVIDER_TASKS[task] === type) || null;
+  }
+
+  getProviderId(task) {
+    if (this.overrideId && this.providers.has(this.overrideId)) {
+      return this.overrideId;
+    }
+    const id = this.assignments[task];
+    return id && this.providers.has(id) ? id : DEFAULT_PROVIDER_ID;
+  }
+
+  getProvider(task) {
+    return this.providers.get(this.getProviderId(task));
+  }
+
+  /**
+   * Provider for an AIManager session type; proofreader and language detector stay built-in
+   */
+  getProviderForSessionType(type) {
+    const override = this.overrideId && this.providers.get(this.overrideId);
+    if (override && override.isSupported(type)) {
+      return override;
+    }
+    const task = this.getTaskForSessionType(type);
+    return task ? this.getProvider(task) : this.providers.get(DEFAULT_PROVIDER_ID);
+  }
+
+  getAssignments() {
+    const assignments = {};
+    Object.keys(AI_PROVIDER_TASKS).forEach(task => {
+      assignments[task] = this.getProviderId(task);
+    });
+    return assignments;
+  }
+
+  /**
+   * Persist a provider choice for one task
+   */
+  async setProvider(task, providerId) {
+    if (!AI_PROVIDER_TASKS[task]) {
+      throw new Error(`Unknown AI task: ${task}`);
+    }
+    if (!this.providers.has(providerId)) {
+      throw new Error(`Unknown AI provider: ${providerId}`);
+    }
+
+    const aiProviders = { ...this.assignments, [task]: providerId };
+    if (this.settingsManager) {
+      await this.settingsManager.set('aiProviders', aiProviders);
+    }
+    this.applySettings({ ...(this.settingsManager?.getAll() || {}), aiProviders });
+  }
+
+  /**
+   * Route every session type to one provider without touching saved settings
+   * (used by the mock provider); pass null to go back to the saved assignments
+   */
+  useProvider(providerId) {
+    if (providerId && !this.providers.has(providerId)) {
+      throw new Error(`Unknown AI provider: ${providerId}`);
+    }
+    this.overrideId = providerId || null;
+    this.notifyListeners([...Object.keys(AI_PROVIDER_TASKS), 'proofreader', 'languageDetector']);
+  }
+
+  /**
+   * Listen for assignment changes; callback receives the list of affected tasks
+   */
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(tasks) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(tasks);
+      } catch (error) {
+        this.logger.error('Error in provider listener:', error);
+      }
+    });
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.AI_PROVIDER_TASKS = AI_PROVIDER_TASKS;
+  window.ChromeAIStudio.BuiltInAIProvider = BuiltInAIProvider;
+  window.ChromeAIStudio.OpenAICompatibleProvider = OpenAICompatibleProvider;
+  window.ChromeAIStudio.AIProviderRegistry = AIProviderRegistry;
+  window.ChromeAIStudio.aiProviders = new AIProviderRegistry();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AIProviderRegistry, BuiltInAIProvider, OpenAICompatibleProvider, AI_PROVIDER_TASKS };
+}
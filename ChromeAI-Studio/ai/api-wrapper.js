@@ -31,6 +31,9 @@ class AIManager {
     this.maxPoolSize = 3;
     this.sessionTimeouts = new Map();
     
+    // Sessions that rejected `responseConstraint`; structured prompts validate their output instead
+    this.responseConstraintUnsupported = new WeakSet();
+    
     // Track initialization status
     this.initialized = false;
     this.ready = false;
@@ -41,6 +44,13 @@ class AIManager {
     // Initialize event bus
     this.eventBus = window.ChromeAIStudio?.eventBus;
     
+    // Provider registry decides which backend serves each task (built-in or HTTP)
+    this.providers = window.ChromeAIStudio?.aiProviders || null;
+    if (this.providers) {
+      this.providers.onChange((tasks) => this.resetProviderSessions(tasks));
+      this.providers.init();
+    }
+    
     this.logger.info('AIManager initialized - ready to create AI sessions with pooling');
     
     // Load cached sessions on initialization
@@ -77,6 +87,76 @@ class AIManager {
     return !!this.ready;
   }
 
+  // =============================================================================
+  // PROVIDERS - sessions are obtained from the provider configured for each task
+  // =============================================================================
+
+  /**
+   * Get the provider that serves a session type
+   * @param {string} type - Session type (languageModel, summarizer, ...)
+   * @returns {Object} - Provider exposing createSession/availability
+   */
+  getProvider(type) {
+    if (this.providers) {
+      return this.providers.getProviderForSessionType(type);
+    }
+    if (!this._fallbackProvider) {
+      this._fallbackProvider = new window.ChromeAIStudio.BuiltInAIProvider();
+    }
+    return this._fallbackProvider;
+  }
+
+  /**
+   * Check synchronously whether a prompt session can be created with the current provider
+   */
+  canCreatePromptSession() {
+    return this.getProvider('languageModel').isSupported('languageModel');
+  }
+
+  /**
+   * Create a fresh, uncached prompt session from the configured provider.
+   * Use instead of LanguageModel.create() so features keep working off Gemini Nano.
+   * @param {Object} options - LanguageModel.create() options
+   * @returns {Promise<Object>} - Session with prompt/promptStreaming/destroy
+   */
+  async createPromptSession(options = {}) {
+    return await this.getProvider('languageModel').createSession('languageModel', options);
+  }
+
+  /**
+   * Drop cached sessions for tasks whose provider changed
+   * @param {Array<string>} tasks - Task names (prompt, summarize, ...) or session types (proofreader, ...)
+   */
+  resetProviderSessions(tasks = []) {
+    const taskTypes = window.ChromeAIStudio?.AI_PROVIDER_TASKS || {};
+    tasks.forEach(task => {
+      const type = taskTypes[task] || (this.sessionPool[task] ? task : null);
+      if (!type) return;
+
+      this.resetSession(type);
+      this.logger.info(`${type} will use provider: ${this.getProvider(type).id}`);
+    });
+  }
+
+  /**
+   * Destroy the cached and pooled sessions of one type; the next call starts with an empty context
+   * @param {string} type - Session type (languageModel, summarizer, ...)
+   */
+  resetSession(type) {
+    const session = this[type];
+    this[type] = null;
+    if (session && typeof session.destroy === 'function') {
+      Promise.resolve(session.destroy()).catch(e => this.logger.warn(`Failed to destroy ${type}:`, e));
+    }
+    window.ChromeAIStudio?.contextManager?.reset(session);
+
+    const pool = this.sessionPool[type];
+    if (pool) {
+      pool.forEach(pooled => this.cleanupSession(type, pooled));
+      pool.length = 0;
+    }
+  }
+
   /**
    * Load cached sessions from storage
    */
@@ -262,10 +342,15 @@ class AIManager {
       LanguageDetector: typeof LanguageDetector !== 'undefined'
     };
     
-    this.logger.info('API Availability Check:', apiChecks);
+    if (this.providers) {
+      await this.providers.init();
+    }
+    const providers = this.providers ? this.providers.getAssignments() : {};
+    
+    this.logger.info('API Availability Check:', apiChecks, 'Providers:', providers);
     
-    // Pre-warm language model in background for faster MCP responses
-    if (apiChecks.LanguageModel) {
+    // Pre-warm language model in background for faster MCP responses (on-device only)
+    if (apiChecks.LanguageModel && this.getProvider('languageModel').id === 'builtin') {
       this.logger.info('Pre-warming language model for faster voice responses...');
       try {
         // Create and immediately destroy a lightweight session to warm up the model
@@ -293,6 +378,7 @@ class AIManager {
     this.ready = true;
     const readyPayload = {
       apiChecks,
+      providers,
       timestamp: Date.now(),
       sessions: {
         languageModel: !!this.languageModel,
@@ -305,7 +391,7 @@ class AIManager {
       }
     };
     this.logger.info('[INIT] ai:ready emitted', readyPayload);
-    this.eventBus?.emit('ai:initialized', { apiChecks });
+    this.eventBus?.emit('ai:initialized', { apiChecks, providers });
     this.eventBus?.emit('ai:ready', readyPayload);
     return true;
   }
@@ -393,7 +479,7 @@ class AIManager {
       } else {
       }
       
-      this.languageModel = await LanguageModel.create(sessionOptions);
+      this.languageModel = await this.getProvider('languageModel').createSession('languageModel', sessionOptions);
       
       // Save to cache
       await this.saveSessions();
@@ -410,10 +496,17 @@ class AIManager {
    * Prompt the language model
    * Based on: const result = await session.prompt("Write me a poem.");
    * @param {string} text - Text to prompt with
-   * @param {Object} options - Prompt options
+   * @param {Object} options - Prompt options; pass `schema` for a parsed JSON result (see promptJSON),
+   *   or `session` to prompt the session ContextManager.preparePrompt fitted the text to
    * @returns {Promise<Object>} - Standardized response
    */
   async prompt(text, options = {}) {
+    if (options.schema) {
+      const { schema, ...jsonOptions } = options;
+      return this.promptJSON(text, schema, jsonOptions);
+    }
+    
+    const { session: preparedSession, ...promptOptions } = options;
     let session = null;
     try {
       // Validate input
@@ -421,8 +514,8 @@ class AIManager {
         text = window.ChromeAIStudio.InputValidator.validateText(text, 32 * 1024, 'Prompt text');
       }
 
-      // Get session from pool
-      session = await this.getSession('languageModel', options);
+      // Use the prepared session (taken from the pool) or get one from the pool
+      session = preparedSession || await this.getSession('languageModel', promptOptions);
 
       if (!session) {
         return this._createResponse(false, null, {
@@ -447,7 +540,7 @@ class AIManager {
       
       try {
         // Ensure outputLanguage is specified per-request
-        const reqOptions = { outputLanguage: 'en', ...options };
+        const reqOptions = { outputLanguage: 'en', ...promptOptions };
         const result = await session.prompt(text, reqOptions);
         this.logger.info('LanguageModel response received');
         
@@ -480,26 +573,140 @@ class AIManager {
         return this._handleError(error, 'LanguageModel prompt', 'UNKNOWN_ERROR');
       }
     } catch (error) {
+      if (preparedSession && !session) {
+        this.returnSession('languageModel', preparedSession);
+      }
       return this._handleError(error, 'LanguageModel prompt', 'INVALID_INPUT');
     }
   }
 
+  /**
+   * Prompt for JSON matching a schema
+   * Passes the schema as `responseConstraint` where the session supports it; the output is
+   * still parsed, repaired and validated, and the model is re-asked with the errors if needed
+   * @param {string} text - Text to prompt with
+   * @param {Object} schema - JSON schema for the response
+   * @param {Object} options - Prompt options, plus `session` (prompt this session instead of
+   *   a pooled one) and `maxAttempts` (default 3)
+   * @returns {Promise<Object>} - Standardized response; `result` is the parsed value. On failure
+   *   `error.code` is 'INVALID_JSON' with `validationErrors` and the last `raw` output
+   */
+  async promptJSON(text, schema, options = {}) {
+    const { session: providedSession, maxAttempts = 3, ...promptOptions } = options;
+    const validator = window.ChromeAIStudio?.JSONSchemaValidator;
+    let session = providedSession || null;
+    
+    try {
+      if (!validator) {
+        throw new Error('JSONSchemaValidator not loaded');
+      }
+      
+      if (!session) {
+        session = await this.getSession('languageModel', promptOptions);
+      }
+      if (!session) {
+        return this._createResponse(false, null, {
+          message: 'LanguageModel API not available',
+          code: 'API_UNAVAILABLE'
+        });
+      }
+      
+      let input = text;
+      let raw = '';
+      let errors = [];
+      
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        raw = await this._promptWithConstraint(session, input, schema, promptOptions);
+        const parsed = validator.parse(raw, schema);
+        
+        if (parsed.errors.length === 0) {
+          return this._createResponse(true, parsed.value, null, {
+            attempts: attempt,
+            repaired: parsed.repaired,
+            operation: 'promptJSON'
+          });
+        }
+        
+        errors = parsed.errors;
+        this.logger.warn(`Structured response invalid (attempt ${attempt}/${maxAttempts}):`, errors);
+        input = validator.buildRetryPrompt(raw, errors, schema);
+      }
+      
+      return this._createResponse(false, null, {
+        message: `Response did not match the JSON schema after ${maxAttempts} attempts`,
+        code: 'INVALID_JSON',
+        validationErrors: errors,
+        raw
+      });
+    } catch (error) {
+      if (error && error.name === 'QuotaExceededError') {
+        return this._createResponse(false, null, {
+          message: 'Input is too large. Please try with a smaller selection.',
+          code: 'QUOTA_EXCEEDED'
+        });
+      }
+      return this._handleError(error, 'LanguageModel promptJSON', 'UNKNOWN_ERROR');
+    } finally {
+      if (session && !providedSession) {
+        this.returnSession('languageModel', session);
+      }
+    }
+  }
+
+  /**
+   * Prompt with `responseConstraint`, falling back to a plain prompt for sessions that reject it
+   * @private
+   */
+  async _promptWithConstraint(session, text, schema, options = {}) {
+    const reqOptions = { outputLanguage: 'en', ...options };
+    
+    if (!this.responseConstraintUnsupported.has(session)) {
+      try {
+        return await session.prompt(text, { ...reqOptions, responseConstraint: schema });
+      } catch (error) {
+        if (!this._isUnsupportedOptionError(error)) {
+          throw error;
+        }
+        this.responseConstraintUnsupported.add(session);
+        this.logger.info('responseConstraint not supported by this session, validating output instead:', error?.message);
+      }
+    }
+    
+    return await session.prompt(text, reqOptions);
+  }
+
+  /**
+   * Whether a prompt failed because the session rejected an option (e.g. `responseConstraint`),
+   * rather than for a reason a plain prompt would hit too
+   * @private
+   */
+  _isUnsupportedOptionError(error) {
+    if (error?.name === 'NotSupportedError' || error instanceof TypeError) {
+      return true;
+    }
+    return /responseConstraint|unsupported option|option .*not supported/i.test(error?.message || '');
+  }
+
   /**
    * Stream prompt responses (simulated - Chrome AI LanguageModel doesn't support streaming)
    * Based on: const stream = session.promptStreaming(text);
+   * @param {string} text - Text to prompt with
+   * @param {Object} options - Prompt options, or `session` from ContextManager.preparePrompt
    */
   async promptStreaming(text, options = {}) {
+    const { session: preparedSession, ...streamOptions } = options;
     try {
       // Validate input
       if (window.ChromeAIStudio?.InputValidator) {
         text = window.ChromeAIStudio.InputValidator.validateText(text, 32 * 1024, 'Prompt text for streaming');
       }
 
-      if (!this.languageModel) {
-        await this.createLanguageModel(options);
+      if (!preparedSession && !this.languageModel) {
+        await this.createLanguageModel(streamOptions);
       }
 
-      if (!this.languageModel) {
+      const session = preparedSession || this.languageModel;
+      if (!session) {
         return this._createResponse(false, null, {
           message: 'LanguageModel API not available',
           code: 'API_UNAVAILABLE'
@@ -507,12 +714,18 @@ class AIManager {
       }
       
       // ✅ Use REAL Chrome AI streaming API - returns ReadableStream directly!
-      const reqOptions = { outputLanguage: 'en', ...options };
-      const stream = this.languageModel.promptStreaming(text, reqOptions);
+      const reqOptions = { outputLanguage: 'en', ...streamOptions };
+      const stream = session.promptStreaming(text, reqOptions);
+      if (preparedSession) {
+        this.returnSession('languageModel', preparedSession);
+      }
       return this._createResponse(true, stream, null, {
         operation: 'promptStreaming'
       });
     } catch (error) {
+      if (preparedSession) {
+        this.returnSession('languageModel', preparedSession);
+      }
       console.error('❌ LanguageModel streaming failed:', error);
       return this._handleError(error, 'LanguageModel streaming', 'STREAMING_ERROR');
     }
@@ -526,7 +739,7 @@ class AIManager {
    */
   async getLanguageModelParams() {
     try {
-      const params = await LanguageModel.params();
+      const params = await this.getProvider('languageModel').params('languageModel');
       return params;
     } catch (error) {
       console.error('❌ Failed to get LanguageModel params:', error);
@@ -543,7 +756,7 @@ class AIManager {
    * Based on: const summarizer = await Summarizer.create(options);
    */
   async createSummarizer(options = {}) {
-      if (typeof Summarizer === 'undefined') {
+      if (!this.getProvider('summarizer').isSupported('summarizer')) {
         console.error('❌ Summarizer API not available');
         return null;
       }
@@ -573,7 +786,7 @@ class AIManager {
         } else {
         }
         
-        this.summarizer = await Summarizer.create(summarizerOptions);
+        this.summarizer = await this.getProvider('summarizer').createSession('summarizer', summarizerOptions);
         
         // Save to cache
         await this.saveSessions();
@@ -683,7 +896,7 @@ class AIManager {
       };
 
       const writerOptions = { ...defaultOptions, ...options };
-      this.writer = await Writer.create(writerOptions);
+      this.writer = await this.getProvider('writer').createSession('writer', writerOptions);
       
       // Save to cache
       await this.saveSessions();
@@ -775,7 +988,7 @@ class AIManager {
    * Based on: const translator = await Translator.create({ sourceLanguage: 'en', targetLanguage: 'fr' });
    */
   async createTranslator(sourceLanguage = 'en', targetLanguage = 'fr', options = {}) {
-      if (typeof Translator === 'undefined') {
+      if (!this.getProvider('translator').isSupported('translator')) {
         console.error('❌ Translator API not available');
         return null;
       }
@@ -791,7 +1004,7 @@ class AIManager {
           targetLanguage,
           ...options
         };
-        this.translator = await Translator.create(translatorOptions);
+        this.translator = await this.getProvider('translator').createSession('translator', translatorOptions);
         
         // Save to cache
         await this.saveSessions();
@@ -910,7 +1123,7 @@ class AIManager {
       };
 
       const rewriterOptions = { ...defaultOptions, ...options };
-      this.rewriter = await Rewriter.create(rewriterOptions);
+      this.rewriter = await this.getProvider('rewriter').createSession('rewriter', rewriterOptions);
       
       // Save to cache
       await this.saveSessions();
@@ -1009,6 +1222,7 @@ class AIManager {
   getStatus() {
     return {
       initialized: this.initialized,
+      providers: this.providers ? this.providers.getAssignments() : {},
       languageModel: !!this.languageModel,
       summarizer: !!this.summarizer,
       writer: !!this.writer,
@@ -1110,7 +1324,7 @@ class AIManager {
       };
 
       const proofreaderOptions = { ...defaultOptions, ...options };
-      this.proofreader = await Proofreader.create(proofreaderOptions);
+      this.proofreader = await this.getProvider('proofreader').createSession('proofreader', proofreaderOptions);
       
       // Save to cache
       await this.saveSessions();
@@ -1262,7 +1476,7 @@ class AIManager {
    */
   async checkLanguageModelAvailability() {
     try {
-      const availability = await LanguageModel.availability();
+      const availability = await this.getProvider('languageModel').availability('languageModel');
       this.logger.debug('LanguageModel availability:', availability);
       return availability;
     } catch (error) {
@@ -1276,7 +1490,7 @@ class AIManager {
    */
   async checkSummarizerAvailability() {
     try {
-      const availability = await Summarizer.availability();
+      const availability = await this.getProvider('summarizer').availability('summarizer');
       return availability;
     } catch (error) {
       console.error('❌ Failed to check Summarizer availability:', error);
@@ -1289,7 +1503,7 @@ class AIManager {
    */
   async checkWriterAvailability() {
     try {
-      const availability = await Writer.availability();
+      const availability = await this.getProvider('writer').availability('writer');
       return availability;
     } catch (error) {
       console.error('❌ Failed to check Writer availability:', error);
@@ -1302,7 +1516,7 @@ class AIManager {
    */
   async checkTranslatorAvailability(sourceLanguage = 'en', targetLanguage = 'fr') {
     try {
-      const availability = await Translator.availability({
+      const availability = await this.getProvider('translator').availability('translator', {
         sourceLanguage,
         targetLanguage
       });
@@ -1318,7 +1532,7 @@ class AIManager {
    */
   async checkRewriterAvailability() {
     try {
-      const availability = await Rewriter.availability();
+      const availability = await this.getProvider('rewriter').availability('rewriter');
       return availability;
     } catch (error) {
       console.error('❌ Failed to check Rewriter availability:', error);
@@ -1337,7 +1551,7 @@ class AIManager {
       };
       const checkOptions = { ...defaultOptions, ...options };
       
-      const availability = await Proofreader.availability(checkOptions);
+      const availability = await this.getProvider('proofreader').availability('proofreader', checkOptions);
       return availability;
     } catch (error) {
       console.error('❌ Failed to check Proofreader availability:', error);
@@ -1354,7 +1568,7 @@ class AIManager {
    * Based on: const detector = await LanguageDetector.create();
    */
   async createLanguageDetector(options = {}) {
-    if (typeof LanguageDetector === 'undefined') {
+    if (!this.getProvider('languageDetector').isSupported('languageDetector')) {
       console.error('❌ LanguageDetector API not available');
       return null;
     }
@@ -1368,7 +1582,7 @@ class AIManager {
       };
       
       const detectorOptions = { ...defaultOptions, ...options };
-      this.languageDetector = await LanguageDetector.create(detectorOptions);
+      this.languageDetector = await this.getProvider('languageDetector').createSession('languageDetector', detectorOptions);
       
       // Save to cache
       await this.saveSessions();
@@ -1442,10 +1656,7 @@ class AIManager {
    */
   async checkLanguageDetectorAvailability() {
     try {
-      if (typeof LanguageDetector === 'undefined') {
-        return 'unavailable';
-      }
-      const availability = await LanguageDetector.availability();
+      const availability = await this.getProvider('languageDetector').availability('languageDetector');
       return availability;
     } catch (error) {
       console.error('❌ Failed to check LanguageDetector availability:', error);
@@ -1468,6 +1679,8 @@ class AIManager {
       languageDetector: await this.checkLanguageDetectorAvailability()
     };
     
+    results.providers = this.providers ? this.providers.getAssignments() : {};
+    
     this.logger.info('All API availability:', results);
     this.eventBus?.emit('ai:availability-checked', results);
     return results;
@@ -1478,7 +1691,7 @@ class AIManager {
    */
   async isAvailable() {
     const availability = await this.checkLanguageModelAvailability();
-    return availability === 'readily' || availability === 'after-download';
+    return ['readily', 'after-download', 'available', 'downloadable', 'downloading'].includes(availability);
   }
 
   /**
@@ -38,7 +38,8 @@ class ActionExecutor {
         if (url.includes('.')) {
           fullUrl = `https://${url}`;
         } else {
-          fullUrl = `https://www.google.com/search?q=${encodeURIComponent(url)}`;
+          fullUrl = window.ChromeAIStudio?.searchEngines?.buildUrl(url) ||
+                    `https://www.google.com/search?q=${encodeURIComponent(url)}`;
         }
       }
       
@@ -83,13 +84,14 @@ class ActionExecutor {
 
   /**
    * Smart click - Find element by description and click
+   * @param {Object} [resolvedElement] - Element data already found (e.g. shown for approval)
    */
-  async smartClick(description) {
+  async smartClick(description, resolvedElement = null) {
     try {
       
       
       // Find element using DOM extractor + AI
-      const elementData = await this.domExtractor.findElementByDescription(description);
+      const elementData = resolvedElement || await this.domExtractor.findElementByDescription(description);
       
       if (!elementData) {
         throw new Error(`Element not found: "${description}"`);
@@ -142,7 +144,7 @@ class ActionExecutor {
   /**
    * Smart type - Find input field and type text
    */
-  async smartType(fieldDescription, text) {
+  async smartType(fieldDescription, text, resolvedElement = null) {
     try {
       // Convert text to string
       const textStr = String(text || '');
@@ -150,7 +152,7 @@ class ActionExecutor {
       
       
       // Find input field
-      const elementData = await this.domExtractor.findElementByDescription(fieldDescription);
+      const elementData = resolvedElement || await this.domExtractor.findElementByDescription(fieldDescription);
       
       if (!elementData) {
         throw new Error(`Input field not found: "${fieldDescription}"`);
@@ -202,13 +204,19 @@ class ActionExecutor {
   }
 
   /**
-   * Search using Google (ALWAYS navigates to Google, never uses current page)
+   * Search using the configured search engine (ALWAYS navigates to the engine, never uses current page)
+   * @param {string} query - Search query
+   * @param {Object} options - { engine: search engine id (defaults to the user's default engine) }
    */
-  async search(query) {
+  async search(query, options = {}) {
     try {
       
-      // ALWAYS use Google for searches (more reliable than current page's search)
-      const googleUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
+      // ALWAYS use a search engine for searches (more reliable than current page's search)
+      const registry = window.ChromeAIStudio?.searchEngines;
+      await registry?.init();
+      const engine = registry?.get(options.engine || registry.defaultEngine) || registry?.get('google');
+      const searchUrl = engine ? engine.buildUrl(query) : `https://www.google.com/search?q=${encodeURIComponent(query)}`;
+      const engineName = engine?.name || 'Google';
       
       
       // Get taskId from memory (same as navigate())
@@ -222,7 +230,7 @@ class ActionExecutor {
         chrome.runtime.sendMessage({
           type: 'NAVIGATE_AUTOMATION_WINDOW',
           taskId: taskId,  // ✅ ADDED taskId!
-          url: googleUrl
+          url: searchUrl
         }, (response) => {
           if (chrome.runtime.lastError) {
             console.error('❌ Failed to search:', chrome.runtime.lastError);
@@ -234,14 +242,14 @@ class ActionExecutor {
             
             this.recordAction('search', true, `Searched: ${query}`);
             
-            // Wait for page to load (longer for Google to render all results)
+            // Wait for page to load (longer so the engine can render all results)
             setTimeout(() => {
               resolve({ 
                 success: true, 
-                message: `Searched Google for: ${query}`,
+                message: `Searched ${engineName} for: ${query}`,
                 tabId: response.tabId,
                 windowId: response.windowId,
-                url: googleUrl
+                url: searchUrl
               });
             }, 3000);
           } else {
@@ -345,7 +353,7 @@ class ActionExecutor {
   /**
    * Fill form with data object
    */
-  async fillForm(formData) {
+  async fillForm(formData, resolvedFields = {}) {
     try {
       
       
@@ -353,7 +361,7 @@ class ActionExecutor {
       
       for (const [fieldName, value] of Object.entries(formData)) {
         try {
-          await this.smartType(fieldName, value.toString());
+          await this.smartType(fieldName, value.toString(), resolvedFields[fieldName] || null);
           results.push({ field: fieldName, success: true, value });
         } catch (error) {
           console.warn(`⚠️ Failed to fill field ${fieldName}:`, error);
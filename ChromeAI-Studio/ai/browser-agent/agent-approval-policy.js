@@ -0,0 +1,235 @@
+/**
+ * Agent Approval Policy - Human-in-the-loop rules for actions that change pages
+ * Used by Autonomous Agent before click/type/select/check/fillForm steps, and by the tool
+ * registry before voice, chat and bridge tools that navigate or change pages
+ *
+ * Features:
+ * - Per-action defaults: allow / ask / deny
+ * - Per-domain overrides (a rule for example.com also covers sub.example.com)
+ * - Payment and password forms always need explicit approval
+ * - Registry tools are ruled by side effect: `navigates` (allowed by default) and `mutates`
+ *
+ * Rules are stored in settings (`agentActionPolicy`):
+ * { defaults: { click: 'ask', ... }, domains: { 'example.com': { click: 'allow', '*': 'deny' } } }
+ */
+
+const AGENT_POLICY_ACTIONS = ['click', 'type', 'select', 'check', 'fillForm', 'navigates', 'mutates'];
+const AGENT_POLICY_DECISIONS = ['allow', 'ask', 'deny'];
+
+const PAYMENT_AUTOCOMPLETE_PATTERN = /\bcc-(number|csc|exp|exp-month|exp-year|name|type)\b/;
+const PAYMENT_FIELD_PATTERN = /(card.?(number|num|no)|cc.?(num|number)|cvv|cvc|csc|security.?code|expir|iban|routing.?number|account.?number)/i;
+
+class AgentApprovalPolicy {
+  constructor() {
+    this.policy = this.getDefaultPolicy();
+    this.settingsManager = null;
+    this.initPromise = null;
+  }
+
+  getDefaultPolicy() {
+    const defaults = AGENT_POLICY_ACTIONS.reduce((defaults, action) => ({ ...defaults, [action]: 'ask' }), {});
+    // Opening a page is what most voice commands are for
+    return { defaults: { ...defaults, navigates: 'allow' }, domains: {} };
+  }
+
+  /**
+   * Load rules from settings and follow changes made in any tab
+   */
+  async init() {
+    if (!this.initPromise) {
+      this.initPromise = this.loadSettings();
+    }
+    return this.initPromise;
+  }
+
+  async loadSettings() {
+    try {
+      if (window.ChromeAIStudio?.SettingsManager) {
+        this.settingsManager = new window.ChromeAIStudio.SettingsManager();
+        await this.settingsManager.init();
+        this.applySettings(this.settingsManager.get('agentActionPolicy'));
+        this.settingsManager.addListener((type) => {
+          if (type === 'changed' || type === 'synced' || type === 'reset') {
+            this.applySettings(this.settingsManager.get('agentActionPolicy'));
+          }
+        });
+      }
+    } catch (error) {
+      console.warn('🛡️ Failed to load agent approval policy, asking for every action:', error);
+    }
+  }
+
+  applySettings(policy) {
+    const defaults = this.getDefaultPolicy();
+    this.policy = {
+      defaults: { ...defaults.defaults, ...(policy?.defaults || {}) },
+      domains: { ...(policy?.domains || {}) }
+    };
+  }
+
+  async save() {
+    if (this.settingsManager) {
+      await this.settingsManager.set('agentActionPolicy', this.policy);
+    }
+  }
+
+  /**
+   * Policy action name for an agent step action, or null if the step doesn't change pages
+   */
+  normalizeAction(action) {
+    const lower = String(action || '').toLowerCase();
+    if (lower === 'checkbox') return 'check';
+    if (lower === 'fillform' || lower === 'agentfillform') return 'fillForm';
+    return AGENT_POLICY_ACTIONS.includes(lower) ? lower : null;
+  }
+
+  getHostname(url = window.location.href) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Most specific domain rule for the action ('*' rules cover every action)
+   */
+  getDomainRule(hostname, action) {
+    const parts = hostname.split('.');
+    for (let i = 0; i < Math.max(parts.length - 1, 1); i++) {
+      const rules = this.policy.domains[parts.slice(i).join('.')];
+      if (rules?.[action]) return rules[action];
+      if (rules?.['*']) return rules['*'];
+    }
+    return null;
+  }
+
+  /**
+   * 'allow', 'ask' or 'deny' for an action on a page
+   */
+  getDecision(action, url = window.location.href) {
+    const normalized = this.normalizeAction(action);
+    if (!normalized) return 'allow';
+
+    return this.getDomainRule(this.getHostname(url), normalized) ||
+      this.policy.defaults[normalized] ||
+      'ask';
+  }
+
+  /**
+   * 'allow', 'ask' or 'deny' for a registry tool, by its side effect; read-only tools always run
+   */
+  getToolDecision(tool, url = window.location.href) {
+    if (tool.sideEffect === 'read-only') return 'allow';
+    return this.getDecision(tool.sideEffect === 'navigates' ? 'navigates' : 'mutates', url);
+  }
+
+  async setDefault(action, decision) {
+    this.validateRule(action, decision);
+    this.policy.defaults = { ...this.policy.defaults, [action]: decision };
+    await this.save();
+  }
+
+  async setDomainRule(domain, action, decision) {
+    if (action !== '*') this.validateRule(action, decision);
+    if (!AGENT_POLICY_DECISIONS.includes(decision)) {
+      throw new Error(`Unknown approval decision: ${decision}`);
+    }
+
+    const host = String(domain || '').trim().toLowerCase().replace(/^www\./, '');
+    if (!host) throw new Error('Domain rule requires a domain');
+
+    this.policy.domains = {
+      ...this.policy.domains,
+      [host]: { ...(this.policy.domains[host] || {}), [action]: decision }
+    };
+    await this.save();
+  }
+
+  /**
+   * Remove one action's rule for a domain, or every rule for it
+   */
+  async removeDomainRule(domain, action = null) {
+    const rules = { ...(this.policy.domains[domain] || {}) };
+    if (action) {
+      delete rules[action];
+    }
+
+    const domains = { ...this.policy.domains };
+    if (!action || Object.keys(rules).length === 0) {
+      delete domains[domain];
+    } else {
+      domains[domain] = rules;
+    }
+    this.policy.domains = domains;
+    await this.save();
+  }
+
+  /**
+   * Flat list of domain rules for settings UIs
+   */
+  listDomainRules() {
+    return Object.entries(this.policy.domains).flatMap(([domain, rules]) =>
+      Object.entries(rules).map(([action, decision]) => ({ domain, action, decision }))
+    );
+  }
+
+  validateRule(action, decision) {
+    if (!AGENT_POLICY_ACTIONS.includes(action)) {
+      throw new Error(`Unknown agent action: ${action}`);
+    }
+    if (!AGENT_POLICY_DECISIONS.includes(decision)) {
+      throw new Error(`Unknown approval decision: ${decision}`);
+    }
+  }
+
+  /**
+   * Why acting on this element needs explicit approval, or null.
+   * Covers password/payment fields themselves and anything inside a form that has one
+   * (e.g. the submit button of a checkout form).
+   */
+  getSensitiveReason(element) {
+    if (!element || element.nodeType !== 1) return null;
+
+    const ownReason = this.getFieldReason(element);
+    if (ownReason) return ownReason;
+
+    const form = element.form || element.closest('form');
+    if (!form) return null;
+
+    const fields = Array.from(form.querySelectorAll('input, select, textarea'));
+    if (fields.some(field => this.getFieldReason(field) === 'password field')) {
+      return 'password form';
+    }
+    if (fields.some(field => this.getFieldReason(field) === 'payment field')) {
+      return 'payment form';
+    }
+    return null;
+  }
+
+  getFieldReason(field) {
+    if (!field?.matches?.('input, select, textarea')) return null;
+    if (field.type === 'password' || /current-password|new-password/.test(field.autocomplete || '')) {
+      return 'password field';
+    }
+
+    const hint = [field.name, field.id, field.getAttribute('placeholder'), field.getAttribute('aria-label')]
+      .filter(Boolean)
+      .join(' ');
+    if (PAYMENT_AUTOCOMPLETE_PATTERN.test(field.autocomplete || '') || PAYMENT_FIELD_PATTERN.test(hint)) {
+      return 'payment field';
+    }
+    return null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AgentApprovalPolicy;
+} else if (typeof window !== 'undefined') {
+  window.AgentApprovalPolicy = AgentApprovalPolicy;
+
+  // Initialize in ChromeAI Studio namespace
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.agentApprovalPolicy = new AgentApprovalPolicy();
+}
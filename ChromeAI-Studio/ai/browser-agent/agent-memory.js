@@ -23,11 +23,13 @@ class AgentMemory {
   /**
    * Start new task
    */
-  startTask(taskDescription) {
+  startTask(taskDescription, taskId = null) {
     this.currentTask = {
+      id: taskId || `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       description: taskDescription,
       startTime: Date.now(),
       status: 'running',
+      plan: [],
       steps: []
     };
     
@@ -69,6 +71,22 @@ class AgentMemory {
     });
   }
 
+  /**
+   * Record what the agent decided to do next and why (including the final 'complete')
+   */
+  addPlanEntry(decision) {
+    if (!this.currentTask || !decision) return;
+    
+    this.currentTask.plan = this.currentTask.plan || [];
+    this.currentTask.plan.push({
+      action: decision.action,
+      target: decision.target || null,
+      description: decision.description || null,
+      thinking: decision.thinking || decision.reasoning || null,
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * Record step result
    */
@@ -218,6 +236,74 @@ class AgentMemory {
     };
   }
 
+  /**
+   * Build a compact, storable record of the current task for the task history
+   * (the agent's plan, steps with their outcome, sources read, final summary; no raw page content)
+   */
+  getTaskRecord() {
+    if (!this.currentTask) return null;
+    
+    const steps = (this.currentTask.steps || []).map((step, index) => {
+      const stepResult = this.stepResults.find(r => r.stepIndex === index)?.result || {};
+      return {
+        action: step.action,
+        description: step.description || null,
+        parameters: step.parameters || {},
+        success: step.success !== false,
+        result: stepResult.message || null,
+        error: step.error || stepResult.error || null,
+        timestamp: step.timestamp
+      };
+    });
+    
+    const sources = [];
+    const seen = new Set();
+    const addSource = (url, title = null) => {
+      if (!url || seen.has(url) || url === 'about:blank') return;
+      seen.add(url);
+      sources.push({ url, title });
+    };
+    (this.getExtractedData('markdown_data') || []).forEach(item => addSource(item.url, item.title));
+    this.visitedPages.forEach(page => addSource(page.url, page.purpose));
+    
+    return {
+      id: this.currentTask.id,
+      description: this.currentTask.description,
+      status: this.currentTask.status,
+      startTime: this.currentTask.startTime,
+      endTime: this.currentTask.endTime || Date.now(),
+      duration: this.currentTask.duration || (Date.now() - this.currentTask.startTime),
+      plan: [...(this.currentTask.plan || [])],
+      steps,
+      sources,
+      summary: this.currentTask.summary || null,
+      dataCollected: Object.keys(this.extractedData),
+      errors: this.errors.map(e => e.error)
+    };
+  }
+
+  /**
+   * Restore memory from exportState() output (e.g. a saved checkpoint)
+   */
+  importState(state) {
+    if (!state) return;
+    
+    this.currentTask = state.currentTask
+      ? { ...state.currentTask, steps: [...(state.currentTask.steps || [])] }
+      : null;
+    this.extractedData = Object.fromEntries(
+      Object.entries(state.extractedData || {}).map(([key, data]) => [key, {
+        data: data,
+        timestamp: Date.now(),
+        url: null
+      }])
+    );
+    this.visitedPages = [...(state.visitedPages || [])];
+    this.taskProgress = [...(state.taskProgress || [])];
+    this.errors = [...(state.errors || [])];
+    this.stepResults = [...(state.stepResults || [])];
+  }
+
   /**
    * Get memory statistics
    */
@@ -150,6 +150,16 @@ class AgentProgressUI {
     this.updateStepsDisplay();
   }
 
+  /**
+   * Restore steps saved in a task checkpoint
+   */
+  restoreSteps(steps) {
+    if (!Array.isArray(steps)) return;
+    
+    this.steps = steps.map(step => ({ ...step }));
+    this.updateStepsDisplay();
+  }
+
   /**
    * Set completion message
    */
@@ -607,6 +617,90 @@ class AgentProgressUI {
     });
   }
   
+  /**
+   * Ask the user to approve a page-changing action
+   * Returns a Promise that resolves with 'approve', 'always' (allow on this site) or 'reject'.
+   * Sensitive (payment/password) actions can only be approved once.
+   */
+  showApprovalRequest(request) {
+    if (!this.panel) return Promise.resolve('reject');
+    
+    const stepsContainer = this.panel.querySelector('.agent-steps');
+    if (!stepsContainer) return Promise.resolve('reject');
+    
+    const existing = this.panel.querySelector('.agent-approval-request');
+    if (existing) existing.remove();
+    
+    this.updateStatus(`✋ Waiting for approval: ${request.action}`);
+    
+    const domUtils = window.ChromeAIStudio.domUtils;
+    const targets = request.targets.map(target => `
+      <div style="background: white; border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px; margin-bottom: 6px; font-size: 12px; color: #334155;">
+        <div style="font-weight: 600;">${domUtils.escapeHtml(target.label || target.text || 'Element')}</div>
+        <code style="display: block; font-size: 11px; color: #64748b; word-break: break-all; margin-top: 2px;">${domUtils.escapeHtml(target.selector || 'element not found on this page')}</code>
+        ${target.value != null ? `<div style="margin-top: 4px;"><strong>Value:</strong> ${domUtils.escapeHtml(target.masked ? '•'.repeat(Math.min(target.value.length, 12)) : target.value)}</div>` : ''}
+      </div>
+    `).join('');
+    
+    const warning = request.sensitive ? `
+      <div style="background: #fef2f2; border: 1px solid #ef4444; border-radius: 6px; padding: 8px; margin-bottom: 10px; font-size: 12px; color: #b91c1c;">
+        🔒 This touches a ${domUtils.escapeHtml(request.reasons.join(' and '))}. It is blocked unless you approve it.
+      </div>
+    ` : '';
+    
+    const buttonStyle = `
+      border: none;
+      padding: 8px 12px;
+      border-radius: 6px;
+      cursor: pointer;
+      font-weight: 600;
+      font-size: 13px;
+      flex: 1;
+    `;
+    
+    return new Promise((resolve) => {
+      const approvalSection = document.createElement('div');
+      approvalSection.className = 'agent-approval-request';
+      approvalSection.innerHTML = `
+        <div style="background: #f8fafc; border: 1px solid ${request.sensitive ? '#ef4444' : '#f59e0b'}; border-radius: 8px; padding: 12px; margin: 12px 0;">
+          <div style="font-weight: 600; margin-bottom: 6px; color: #1e293b;">✋ Approve "${domUtils.escapeHtml(request.action)}" on ${domUtils.escapeHtml(request.domain)}?</div>
+          ${request.description ? `<div style="font-size: 12px; color: #475569; margin-bottom: 8px;">${domUtils.escapeHtml(request.description)}</div>` : ''}
+          ${warning}
+          ${targets}
+          <div style="display: flex; gap: 8px; margin-top: 8px;">
+            <button class="agent-approval-approve" style="${buttonStyle} background: #28a745; color: white;">✓ Approve</button>
+            ${request.sensitive ? '' : `<button class="agent-approval-always" style="${buttonStyle} background: #e0f2fe; color: #0369a1;">Always on this site</button>`}
+            <button class="agent-approval-reject" style="${buttonStyle} background: transparent; color: #b91c1c; border: 1px solid #fca5a5;">✕ Reject</button>
+          </div>
+        </div>
+      `;
+      
+      stepsContainer.appendChild(approvalSection);
+      approvalSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      
+      // Outline the target elements on the page while the user decides
+      const highlighted = request.targets
+        .filter(target => target.element)
+        .map(target => ({ element: target.element, outline: target.element.style.outline }));
+      highlighted.forEach(({ element }) => {
+        element.style.outline = '3px solid #f59e0b';
+      });
+      
+      const finish = (choice) => {
+        highlighted.forEach(({ element, outline }) => {
+          element.style.outline = outline;
+        });
+        approvalSection.remove();
+        this.updateStatus(choice === 'reject' ? '✕ Action rejected' : '▶️ Continuing...');
+        resolve(choice);
+      };
+      
+      approvalSection.querySelector('.agent-approval-approve').addEventListener('click', () => finish('approve'));
+      approvalSection.querySelector('.agent-approval-always')?.addEventListener('click', () => finish('always'));
+      approvalSection.querySelector('.agent-approval-reject').addEventListener('click', () => finish('reject'));
+    });
+  }
+  
   /**
    * Show login pause UI with resume button
    */
@@ -673,6 +767,93 @@ class AgentProgressUI {
       }
     });
   }
+
+  /**
+   * Offer to resume a task that was paused, or interrupted by a reload or navigation
+   */
+  showResumePrompt(checkpoint) {
+    if (!this.panel) return;
+    
+    if (checkpoint.status === 'paused') {
+      this.updateStatus(`⏸️ Paused after step ${checkpoint.stepCount || 0}${checkpoint.pauseReason ? ` - ${checkpoint.pauseReason}` : ''}`);
+    } else {
+      this.updateStatus(`⏸️ Interrupted after step ${checkpoint.stepCount || 0}`);
+    }
+    
+    const stepsContainer = this.panel.querySelector('.agent-steps');
+    if (!stepsContainer) return;
+    
+    const existing = this.panel.querySelector('.agent-resume-section');
+    if (existing) existing.remove();
+    
+    const collectedCount = Object.keys(checkpoint.memory?.extractedData || {}).length;
+    const pagesCount = (checkpoint.memory?.visitedPages || []).length;
+    
+    const resumeSection = document.createElement('div');
+    resumeSection.className = 'agent-resume-section';
+    resumeSection.innerHTML = `
+      <div style="background: #eff6ff; border: 1px solid #3b82f6; border-radius: 8px; padding: 12px; margin: 12px 0;">
+        <div style="font-weight: 600; margin-bottom: 8px; color: #1e40af;">🔄 Unfinished Task</div>
+        <div style="font-size: 12px; margin-bottom: 12px; color: #1e40af;">
+          Data collected so far: ${collectedCount} items from ${pagesCount} pages
+        </div>
+        <div style="display: flex; gap: 8px;">
+          <button class="agent-resume-btn" style="
+            background: #28a745;
+            color: white;
+            border: none;
+            padding: 8px 16px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-weight: 600;
+            font-size: 14px;
+          ">
+            ▶️ Resume Task
+          </button>
+          <button class="agent-discard-btn" style="
+            background: transparent;
+            color: #64748b;
+            border: 1px solid #cbd5e1;
+            padding: 8px 16px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-weight: 600;
+            font-size: 14px;
+          ">
+            🗑️ Discard
+          </button>
+        </div>
+      </div>
+    `;
+    
+    stepsContainer.appendChild(resumeSection);
+    
+    const agent = window.ChromeAIStudio?.autonomousAgent;
+    
+    resumeSection.querySelector('.agent-resume-btn').addEventListener('click', async () => {
+      this.updateStatus('🔄 Resuming task...');
+      resumeSection.remove();
+      
+      if (!agent) {
+        this.setError('Agent not available');
+        return;
+      }
+      try {
+        await agent.resumeTask(checkpoint.id);
+      } catch (error) {
+        console.error('Failed to resume task:', error);
+        this.setError('Failed to resume: ' + error.message);
+      }
+    });
+    
+    resumeSection.querySelector('.agent-discard-btn').addEventListener('click', async () => {
+      resumeSection.remove();
+      if (agent) {
+        await agent.discardTask(checkpoint.id);
+      }
+      this.hide();
+    });
+  }
 }
 
 // Export for use in other modules
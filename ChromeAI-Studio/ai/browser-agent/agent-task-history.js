@@ -0,0 +1,164 @@
+/**
+ * Agent Task History - Archive of finished autonomous agent runs
+ * Keeps what AgentMemory.startTask would otherwise wipe: the task description,
+ * each step's action/result/error, the sources visited and the final summary
+ *
+ * Records live in chrome.storage.local under `chromeai_agent_history`, newest first
+ */
+
+class AgentTaskHistory {
+  constructor(options = {}) {
+    this.storageKey = 'chromeai_agent_history';
+    this.options = {
+      maxRecords: 50,
+      ...options
+    };
+    this.listeners = new Set();
+  }
+
+  /**
+   * All archived tasks, newest first
+   */
+  async list() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return result[this.storageKey] || [];
+    } catch (error) {
+      console.warn('📚 Failed to load task history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Archived tasks whose description or summary contains the query
+   */
+  async search(query) {
+    const records = await this.list();
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return records;
+
+    return records.filter(record =>
+      record.description?.toLowerCase().includes(q) ||
+      record.summary?.toLowerCase().includes(q)
+    );
+  }
+
+  async get(id) {
+    const records = await this.list();
+    return records.find(record => record.id === id) || null;
+  }
+
+  /**
+   * Add (or replace) a record from AgentMemory.getTaskRecord()
+   */
+  async archive(record) {
+    if (!record?.id) return null;
+
+    const records = (await this.list()).filter(r => r.id !== record.id);
+    records.unshift({ ...record, archivedAt: Date.now() });
+
+    await this.save(records.slice(0, this.options.maxRecords));
+    return record;
+  }
+
+  async delete(id) {
+    const records = await this.list();
+    await this.save(records.filter(record => record.id !== id));
+  }
+
+  async clear() {
+    await this.save([]);
+  }
+
+  async save(records) {
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: records });
+      this.notifyListeners(records);
+    } catch (error) {
+      console.error('📚 Failed to save task history:', error);
+    }
+  }
+
+  /**
+   * Listen for history changes; returns an unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(records) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(records);
+      } catch (error) {
+        console.error('Task history listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Audit-friendly Markdown export of one task
+   */
+  toMarkdown(record) {
+    const lines = [
+      `# ${record.description}`,
+      '',
+      `- **Status:** ${record.status}`,
+      `- **Started:** ${new Date(record.startTime).toLocaleString()}`,
+      `- **Duration:** ${Math.round((record.duration || 0) / 1000)}s`,
+      `- **Steps:** ${record.steps?.length || 0}`,
+      ''
+    ];
+
+    if (record.plan?.length) {
+      lines.push('## Plan', '');
+      record.plan.forEach((entry, index) => {
+        lines.push(`${index + 1}. **${entry.action}**${entry.description ? ` — ${entry.description}` : ''}`);
+        if (entry.thinking) lines.push(`   - Why: ${entry.thinking}`);
+      });
+      lines.push('');
+    }
+
+    lines.push('## Steps', '');
+    (record.steps || []).forEach((step, index) => {
+      const outcome = step.success ? '✅' : '❌';
+      lines.push(`${index + 1}. ${outcome} **${step.action}**${step.description ? ` — ${step.description}` : ''}`);
+      if (step.parameters && Object.keys(step.parameters).length > 0) {
+        lines.push(`   - Parameters: \`${JSON.stringify(step.parameters)}\``);
+      }
+      if (step.result) lines.push(`   - Result: ${step.result}`);
+      if (step.error) lines.push(`   - Error: ${step.error}`);
+    });
+    lines.push('');
+
+    if (record.sources?.length) {
+      lines.push('## Sources', '');
+      record.sources.forEach(source => {
+        lines.push(`- [${source.title || source.url}](${source.url})`);
+      });
+      lines.push('');
+    }
+
+    if (record.summary) {
+      lines.push('## Summary', '', record.summary, '');
+    }
+
+    return lines.join('\n');
+  }
+
+  toJSON(record) {
+    return JSON.stringify(record, null, 2);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AgentTaskHistory;
+} else if (typeof window !== 'undefined') {
+  window.AgentTaskHistory = AgentTaskHistory;
+
+  // Initialize in ChromeAI Studio namespace
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.agentTaskHistory = new AgentTaskHistory();
+}
@@ -0,0 +1,116 @@
+/**
+ * Agent Task Store - Persist autonomous task checkpoints
+ * Lets a task survive a tab reload, navigation of the origin tab, or
+ * service-worker eviction by saving AgentMemory state after every step
+ *
+ * Checkpoints live in chrome.storage.local under `chromeai_agent_tasks`:
+ * { [taskId]: { id, description, status, stepCount, memory, automationWindowId, ... } }
+ */
+
+class AgentTaskStore {
+  constructor(options = {}) {
+    this.storageKey = 'chromeai_agent_tasks';
+    this.options = {
+      maxCheckpoints: 10,
+      resumeWindow: 24 * 60 * 60 * 1000, // Only offer to resume tasks touched in the last day
+      ...options
+    };
+  }
+
+  /**
+   * Read all checkpoints
+   */
+  async loadAll() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return result[this.storageKey] || {};
+    } catch (error) {
+      console.warn('🧠 Failed to load agent checkpoints:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save a checkpoint, replacing any previous one for the same task
+   */
+  async saveCheckpoint(checkpoint) {
+    if (!checkpoint?.id) {
+      throw new Error('Checkpoint requires a task id');
+    }
+
+    const all = await this.loadAll();
+    all[checkpoint.id] = {
+      ...all[checkpoint.id],
+      ...checkpoint,
+      updatedAt: Date.now()
+    };
+
+    // Drop the oldest checkpoints beyond the limit
+    const ids = Object.keys(all).sort((a, b) => (all[b].updatedAt || 0) - (all[a].updatedAt || 0));
+    ids.slice(this.options.maxCheckpoints).forEach(id => delete all[id]);
+
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: all });
+    } catch (error) {
+      console.error('🧠 Failed to save agent checkpoint:', error);
+    }
+    return all[checkpoint.id];
+  }
+
+  async getCheckpoint(taskId) {
+    const all = await this.loadAll();
+    return all[taskId] || null;
+  }
+
+  /**
+   * All checkpoints, newest first
+   */
+  async listCheckpoints() {
+    const all = await this.loadAll();
+    return Object.values(all).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  }
+
+  /**
+   * Most recent unfinished task started from the given tab, if any.
+   * A checkpoint still marked 'running' when a new content script asks means
+   * the page that was executing it went away mid-task.
+   */
+  async getResumableTask(originTabId) {
+    const cutoff = Date.now() - this.options.resumeWindow;
+    const checkpoints = await this.listCheckpoints();
+
+    return checkpoints.find(checkpoint =>
+      (checkpoint.status === 'running' || checkpoint.status === 'paused') &&
+      (checkpoint.updatedAt || 0) > cutoff &&
+      (originTabId == null || checkpoint.originTabId === originTabId)
+    ) || null;
+  }
+
+  async updateStatus(taskId, status, extra = {}) {
+    const checkpoint = await this.getCheckpoint(taskId);
+    if (!checkpoint) return null;
+    return await this.saveCheckpoint({ ...checkpoint, ...extra, status });
+  }
+
+  async deleteCheckpoint(taskId) {
+    const all = await this.loadAll();
+    if (!all[taskId]) return;
+    delete all[taskId];
+    await chrome.storage.local.set({ [this.storageKey]: all });
+  }
+
+  async clear() {
+    await chrome.storage.local.remove(this.storageKey);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AgentTaskStore;
+} else if (typeof window !== 'undefined') {
+  window.AgentTaskStore = AgentTaskStore;
+
+  // Initialize in ChromeAI Studio namespace
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.agentTaskStore = new AgentTaskStore();
+}
@@ -13,6 +13,128 @@
  * - Data extraction and storage
  */
 
+/**
+ * Step actions only the agent uses, registered in the shared tool registry for the 'agent'
+ * consumer; `run` is the method that performs the step. `target` from the step is passed
+ * alongside these parameters.
+ */
+const AGENT_STEP_TOOLS = [
+  { name: 'extract', run: 'extractStep', description: 'Extract data from the current automation page', sideEffect: 'read-only', permissions: ['tabs', 'scripting'],
+    inputSchema: { type: 'object', properties: { what: { type: 'string' } } } },
+  { name: 'urlsToMarkdown', run: 'urlsToMarkdownStep', description: 'Convert search result URLs to Markdown without opening tabs', sideEffect: 'read-only', permissions: ['tabs'],
+    aliases: ['convertToMarkdown'],
+    inputSchema: { type: 'object', properties: { urls: { type: 'array' }, limit: { type: 'integer' } } } },
+  { name: 'batchOpen', run: 'batchOpenStep', description: 'Open the top search results in tabs', sideEffect: 'navigates', permissions: ['tabs'],
+    aliases: ['openUrls'],
+    inputSchema: { type: 'object', properties: { limit: { type: 'integer' } } } },
+  { name: 'batchExtract', run: 'batchExtractStep', description: 'Extract from every tab opened by batchOpen', sideEffect: 'read-only', permissions: ['tabs', 'scripting'],
+    aliases: ['extractAll'],
+    inputSchema: { type: 'object', properties: { what: { type: 'string' } } } },
+  { name: 'type', run: 'typeStep', description: 'Type text into a field found by description', sideEffect: 'mutates',
+    inputSchema: { type: 'object', properties: { field: { type: 'string' }, text: { type: 'string' } } } },
+  { name: 'select', run: 'selectStep', description: 'Choose an option in a dropdown', sideEffect: 'mutates',
+    inputSchema: { type: 'object', properties: { selector: { type: 'string' }, value: { type: 'string' } } } },
+  { name: 'check', run: 'checkStep', description: 'Check or uncheck a checkbox or radio button', sideEffect: 'mutates',
+    aliases: ['checkbox'],
+    inputSchema: { type: 'object', properties: { selector: { type: 'string' }, checked: { type: 'boolean' } } } },
+  { name: 'wait', run: 'waitStep', description: 'Wait for a time or an element', sideEffect: 'read-only',
+    inputSchema: { type: 'object', properties: { time: { type: 'number' }, element: { type: 'string' } } } },
+  { name: 'analyzeURLs', run: 'analyzeURLsStep', description: 'Pick the most promising search result URLs', sideEffect: 'read-only',
+    inputSchema: { type: 'object', properties: {} } },
+  { name: 'readDocuments', run: 'readDocumentsStep', description: "Read the user's local documents", sideEffect: 'read-only',
+    aliases: ['readFiles'],
+    inputSchema: { type: 'object', properties: { documents: { type: 'array', items: { type: 'string' } } } } },
+  { name: 'complete', run: 'completeStep', description: 'Summarize the collected data and finish', sideEffect: 'read-only',
+    inputSchema: { type: 'object', properties: {} } }
+];
+
+/**
+ * Shared browser tools (ai/browser-tools.js) the agent plans with too. They open pages in the
+ * automation window; navigate and search run through the agent's own step, which adds the
+ * login-wall check and search result extraction.
+ */
+const AGENT_BROWSER_TOOLS = ['search', 'navigate', 'click', 'fillForm', 'scroll'];
+const AGENT_BROWSER_STEPS = { search: 'searchStep', navigate: 'navigateStep' };
+
+/**
+ * JSON schemas for the agent's AI decisions (see AIManager.promptJSON)
+ */
+const AGENT_STEP_ACTIONS = [...AGENT_BROWSER_TOOLS, ...AGENT_STEP_TOOLS.map(tool => tool.name)];
+
+const AGENT_STEP_SCHEMA = {
+  type: 'object',
+  properties: {
+    thinking: { type: 'string' },
+    action: { type: 'string', enum: AGENT_STEP_ACTIONS },
+    target: { type: ['string', 'null'] },
+    parameters: { type: 'object' },
+    description: { type: 'string' }
+  },
+  required: ['action', 'description']
+};
+
+const AGENT_RESPONSE_SCHEMAS = {
+  nextAction: AGENT_STEP_SCHEMA,
+  replanStep: AGENT_STEP_SCHEMA,
+  errorDecision: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: ['retry', 'skip', 'abort'] },
+      reasoning: { type: 'string' }
+    },
+    required: ['action']
+  },
+  urlAnalysis: {
+    type: 'object',
+    properties: {
+      strategy: { type: 'string', enum: ['one-by-one', 'multiple'] },
+      urls: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      reasoning: { type: 'string' }
+    },
+    required: ['strategy', 'urls']
+  },
+  dataAssessment: {
+    type: 'object',
+    properties: {
+      quality: { type: 'string', enum: ['useful', 'not-useful', 'partial'] },
+      needMore: { type: 'boolean' },
+      reasoning: { type: 'string' }
+    },
+    required: ['quality', 'needMore']
+  },
+  presentation: {
+    type: 'object',
+    properties: {
+      method: { type: 'string', enum: ['sidebar', 'google-docs', 'both'] },
+      reasoning: { type: 'string' }
+    },
+    required: ['method']
+  },
+  urlSelection: {
+    type: 'object',
+    properties: {
+      selected: { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 1, maxItems: 3 }
+    },
+    required: ['selected']
+  },
+  linkSelection: {
+    type: 'object',
+    properties: {
+      selectedLinks: { type: 'array', items: { type: 'integer', minimum: 1 }, maxItems: 3 },
+      reasoning: { type: 'string' }
+    },
+    required: ['selectedLinks']
+  },
+  plan: {
+    type: 'object',
+    properties: {
+      goal: { type: 'string' },
+      steps: { type: 'array', items: AGENT_STEP_SCHEMA, minItems: 1 }
+    },
+    required: ['goal', 'steps']
+  }
+};
+
 class AutonomousAgent {
   constructor(options = {}) {
     this.domExtractor = window.ChromeAIStudio?.enhancedDOMExtractor;
@@ -21,6 +143,10 @@ class AutonomousAgent {
     this.memory = window.ChromeAIStudio?.agentMemory;
     this.voiceInterface = window.ChromeAIStudio?.mcpVoiceInterface;
     this.progressUI = window.ChromeAIStudio?.agentProgressUI;
+    this.taskStore = window.ChromeAIStudio?.agentTaskStore;
+    this.taskHistory = window.ChromeAIStudio?.agentTaskHistory;
+    this.citationGrounder = window.ChromeAIStudio?.citationGrounder;
+    this.approvalPolicy = window.ChromeAIStudio?.agentApprovalPolicy;
     
     this.options = {
       maxRetries: 3,
@@ -29,6 +155,7 @@ class AutonomousAgent {
       showProgressUI: true,
       closeWindowOnComplete: false, // Keep window open during task execution
       maxSteps: 20, // Prevent infinite loops
+      maxJSONAttempts: 3, // Re-asks when a decision doesn't match its JSON schema
       // Enforce ultra-fast main workflow by default (search → urlsToMarkdown → complete)
       forceUltraFastWorkflow: true,
       ...options
@@ -40,6 +167,7 @@ class AutonomousAgent {
     this.resumed = false;
     this.activeTab = null;
     this.currentAutomationTabId = null;
+    this.originTabId = null;
     this.currentStep = 0;
     this.aiSession = null; // Persistent AI session for iterative decisions
     
@@ -48,6 +176,17 @@ class AutonomousAgent {
     this.MAX_PER_SOURCE_CHARS = 20000;
     this.SUMMARIZER_INPUT_BUDGET = 6000;
     this.TOP_K_ITEMS = 10;
+    
+    // Source chunking (shared by chunked summaries and citations)
+    this.CHUNK_SIZE = 8000; // Larger chunks for speed
+    this.MAX_CHUNKS_PER_SOURCE = 3; // Limit to 3 chunks max per source for speed
+    this.FAST_SUMMARY_THRESHOLD = 30000; // Larger sources get one fast summary
+    this.lastCitationReport = null;
+    
+    this.registerActions();
+    
+    // Offer to resume a task this tab was running before a reload/navigation
+    this.checkForInterruptedTask();
   }
 
   /**
@@ -73,27 +212,92 @@ class AutonomousAgent {
 
   /**
    * Enforce character budget by truncating text
+   * (fallback when the context manager can't measure tokens)
    */
   enforceCharBudget(text, limit) {
     if (!text || text.length <= limit) return text;
     return text.slice(0, limit);
   }
 
+  /**
+   * Fit collected data into the session's input quota once the rest of the prompt is
+   * counted, summarizing chunks (map-reduce) when it doesn't fit
+   */
+  async fitDataContext(session, dataContext, promptWithoutData = '') {
+    const contextManager = window.ChromeAIStudio?.contextManager;
+    if (!contextManager || !session) {
+      return this.enforceCharBudget(dataContext, this.SUMMARIZER_INPUT_BUDGET);
+    }
+    
+    const overhead = await contextManager.measure(session, promptWithoutData);
+    const fitted = await contextManager.fitText(session, dataContext, {
+      strategy: 'map-reduce',
+      budget: contextManager.getBudget(session) - overhead
+    });
+    
+    if (fitted.changed) {
+      console.info(`📏 Data context fitted to ${fitted.tokens} tokens (${fitted.strategy})`);
+    }
+    return fitted.text;
+  }
+
+  /**
+   * Check whether the configured AI provider can create a prompt session
+   */
+  canCreateLanguageModelSession() {
+    return !!window.ChromeAIStudio?.aiManager?.canCreatePromptSession();
+  }
+
+  /**
+   * Create a prompt session from the configured AI provider (built-in or local server)
+   */
+  async createLanguageModelSession(options = {}) {
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    if (!aiManager) {
+      throw new Error('AI Manager not available');
+    }
+    return await aiManager.createPromptSession(options);
+  }
+
+  /**
+   * Prompt a session for JSON matching a schema (response constraint, repair and re-ask
+   * are handled by AIManager.promptJSON). Throws with the validation errors on failure.
+   */
+  async promptForJSON(session, prompt, schema) {
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    if (!aiManager) {
+      throw new Error('AI Manager not available');
+    }
+    
+    const response = await aiManager.promptJSON(prompt, schema, {
+      session,
+      maxAttempts: this.options.maxJSONAttempts
+    });
+    
+    if (!response.success) {
+      const error = new Error(response.error?.message || 'Structured AI response failed');
+      error.code = response.error?.code;
+      error.validationErrors = response.error?.validationErrors;
+      throw error;
+    }
+    return response.result;
+  }
+
   /**
    * Compress data to top items only
    */
   async compressDataToTopItems(dataContext, topK) {
     try {
-      const session = await LanguageModel.create({ 
+      const session = await this.createLanguageModelSession({ 
         temperature: 0.3,
         topK: 20,
         outputLanguage: 'en'
       });
       
-      const prompt = `Extract ONLY the TOP ${topK} most relevant items from this data. Rank by relevance and quantitative evidence.
+      const buildPrompt = (data) => `Extract ONLY the TOP ${topK} most relevant items from this data. Rank by relevance and quantitative evidence.
 
 Data to compress:
-${dataContext}
+${data}
 
 Return only the top ${topK} items with their key details. Format as:
 1. [Item Name] - [Key Metric] - [Source]
@@ -102,7 +306,8 @@ Return only the top ${topK} items with their key details. Format as:
 
 Keep only the most important ${topK} items.`;
       
-      const compressed = await session.prompt(prompt);
+      const fittedData = await this.fitDataContext(session, dataContext, buildPrompt(''));
+      const compressed = await session.prompt(buildPrompt(fittedData));
       await session.destroy();
       return compressed;
       
@@ -122,7 +327,13 @@ Keep only the most important ${topK} items.`;
     
     return selected;
   }
-  async executeTask(taskDescription) {
+
+  /**
+   * Run a task end to end
+   * @param {string} taskDescription - What the user asked for
+   * @param {Object} checkpoint - Saved checkpoint to continue from (see resumeTask)
+   */
+  async executeTask(taskDescription, checkpoint = null) {
     if (this.isExecuting) {
       throw new Error('Agent is already executing a task');
     }
@@ -134,8 +345,16 @@ Keep only the most important ${topK} items.`;
       // Store current task for reference
       this.currentTask = taskDescription;
       
-      // Initialize memory
-      this.memory.startTask(taskDescription);
+      // Initialize memory, or rehydrate it from the checkpoint when resuming
+      if (checkpoint) {
+        this.memory.importState(checkpoint.memory);
+        this.memory.currentTask.status = 'running';
+        this.currentAutomationTabId = checkpoint.automationTabId || null;
+      } else {
+        this.memory.startTask(taskDescription);
+        this.currentAutomationTabId = null;
+      }
+      this.originTabId = await this.getOriginTabId();
       
       // Create dedicated automation window
       
@@ -172,17 +391,26 @@ Keep only the most important ${topK} items.`;
       // Show enhanced progress UI
       if (this.options.showProgressUI && this.progressUI) {
         this.progressUI.show(taskDescription);
-        this.progressUI.updateStatus('🧠 Planning research strategy...');
+        if (checkpoint) {
+          this.progressUI.restoreSteps(checkpoint.progressSteps);
+          this.progressUI.updateStatus(`🔄 Resuming after step ${checkpoint.stepCount}...`);
+        } else {
+          this.progressUI.updateStatus('🧠 Planning research strategy...');
+        }
       }
       
       // Voice: Starting task - concise and natural
       const shortenedTask = taskDescription.length > 50 
         ? taskDescription.substring(0, 50) + '...'
         : taskDescription;
-      await this.reportProgress(`I've started your research. Working on it now...`);
+      if (!checkpoint) {
+        await this.reportProgress(`I've started your research. Working on it now...`);
+      }
       
       // ITERATIVE EXECUTION - AI decides next step after each action
-      let stepCount = 0;
+      let stepCount = checkpoint?.stepCount || 0;
+      this.currentStep = stepCount;
+      await this.saveCheckpoint('running');
       const maxSteps = 15; // Safety limit
       let isComplete = false;
       
@@ -195,6 +423,7 @@ Keep only the most important ${topK} items.`;
         
         // Ask AI: What should I do next?
         const decision = await this.decideNextAction(taskDescription);
+        this.memory.addPlanEntry(decision);
         
         // Check if task is complete
         if (decision.action === 'complete' || decision.action === 'finish') {
@@ -291,6 +520,17 @@ Keep only the most important ${topK} items.`;
           // No automatic workflow - let AI decide everything
           
         } catch (error) {
+          if (error.isPauseRequest) {
+            // The step itself ran; the task picks up after it once the user is back
+            this.memory.recordStepResult(stepCount - 1, {
+              success: true,
+              message: error.message,
+              tabId: this.currentAutomationTabId
+            });
+            this.currentStep = stepCount;
+            throw error;
+          }
+          
           console.error(`❌ Step ${stepCount} failed:`, error);
           
           // Record failure in memory
@@ -321,6 +561,10 @@ Keep only the most important ${topK} items.`;
           // Otherwise continue to next iteration
         }
         
+        // Checkpoint after every completed step so the task can be resumed
+        this.currentStep = stepCount;
+        await this.saveCheckpoint('running');
+        
         // Small delay between steps
         await new Promise(resolve => setTimeout(resolve, 500));
       }
@@ -388,6 +632,8 @@ Keep only the most important ${topK} items.`;
       
       // End task in memory
       this.memory.endTask('completed', summary);
+      await this.saveCheckpoint('completed');
+      await this.archiveTask();
       
       this.isExecuting = false;
       
@@ -399,6 +645,10 @@ Keep only the most important ${topK} items.`;
       };
       
     } catch (error) {
+      if (error.isPauseRequest) {
+        return await this.pauseTask(error.message);
+      }
+      
       console.error('🤖 Task execution failed:', error);
       
       // Show error in UI
@@ -408,6 +658,8 @@ Keep only the most important ${topK} items.`;
       
       this.memory.recordError(error);
       this.memory.endTask('failed', error.message);
+      await this.saveCheckpoint('failed');
+      await this.archiveTask();
       
       await this.reportProgress(`Research couldn't complete. ${error.message.substring(0, 50)}`);
       
@@ -416,8 +668,8 @@ Keep only the most important ${topK} items.`;
       throw error;
       
     } finally {
-      // Clean up automation window (if option is enabled)
-      if (this.automationWindowId && this.options.closeWindowOnComplete) {
+      // Clean up automation window (if option is enabled); a paused task still needs it
+      if (this.automationWindowId && this.options.closeWindowOnComplete && !this.isPaused) {
         
         try {
           await chrome.runtime.sendMessage({
@@ -443,6 +695,20 @@ Keep only the most important ${topK} items.`;
       const completedSteps = this.memory.getStepsHistory();
       const extractedData = this.memory.getAllExtractedData();
       
+      // Local documents mentioned in the task (@file:name) are read instead of browsing
+      const localDocuments = window.ChromeAIStudio?.localDocuments;
+      if (localDocuments && !completedSteps.some(s => s.action === 'readDocuments')) {
+        await localDocuments.load();
+        if (localDocuments.resolveMentions(taskDescription).length > 0) {
+          return {
+            action: 'readDocuments',
+            target: '',
+            parameters: {},
+            description: 'Reading your local documents'
+          };
+        }
+      }
+      
       // Deterministic ultra-fast workflow (search → urlsToMarkdown → complete)
       if (this.options && this.options.forceUltraFastWorkflow) {
         const hasSearchResults = Array.isArray(extractedData.search_results) && extractedData.search_results.length > 0;
@@ -506,7 +772,7 @@ Keep only the most important ${topK} items.`;
         };
       }
       
-      const session = await LanguageModel.create({
+      const session = await this.createLanguageModelSession({
         temperature: 0.4,
         topK: 20,
         outputLanguage: 'en'
@@ -613,7 +879,11 @@ ${Object.keys(extractedData).length > 0 ? Object.keys(extractedData).map(key =>
   
   return `✅ ${key}: ${count} items${preview}`;
 }).join('\n') : '(No data collected yet)'}
-
+${localDocuments?.documents.length > 0 ? `
+=== 📁 USER'S LOCAL DOCUMENTS ===
+${localDocuments.list().map(doc => `- ${doc.name} ("${doc.title}", ${doc.chunkCount} chunks)`).join('\n')}
+If these documents can answer the task, use 'readDocuments' instead of searching the web.
+` : ''}
 ${extractedData.search_results && Array.isArray(extractedData.search_results) && extractedData.search_results.length > 0 ? `
 === 🔍 SEARCH RESULTS (URLs AVAILABLE TO VISIT) ===
 
@@ -841,7 +1111,12 @@ Before deciding your next action, systematically think through:
    Format: {"action": "analyzeURLs", "parameters": {}}
    Example: {"action": "analyzeURLs"}
 
-**13. complete** - Finish task and compile results
+**13. readDocuments** - Read the user's local documents (PDF, DOCX, TXT, Markdown added in the sidebar)
+   When: The task is about files the user added, or they cover the topic - no browsing needed
+   Format: {"action": "readDocuments", "parameters": {"documents": ["file name"]}}
+   Example: {"action": "readDocuments", "parameters": {"documents": ["annual-report.pdf"]}}
+
+**14. complete** - Finish task and compile results
    When: Have collected sufficient quality data to answer the task
    Format: {"action": "complete", "parameters": {}}
    Example: {"action": "complete", "description": "Collected all required data"}
@@ -894,7 +1169,7 @@ COMMON MISTAKES TO AVOID:
 Return ONLY valid JSON (no markdown fences, no extra text):
 {
   "thinking": "My reasoning: what I'm doing and why, considering my progress and avoiding loops",
-  "action": "search|navigate|extract|urlsToMarkdown|batchOpen|batchExtract|click|type|fillForm|scroll|wait|analyzeURLs|complete",
+  "action": "${this.getActionNames().join('|')}",
   "target": "URL, query, element description, or empty",
   "parameters": {},
   "description": "Clear description of what this step accomplishes"
@@ -902,12 +1177,8 @@ Return ONLY valid JSON (no markdown fences, no extra text):
 
 💡 REMEMBER: For research tasks, use the ULTRA-FAST path: search → urlsToMarkdown → complete!`;
 
-      const response = await session.prompt(prompt);
+      const decision = await this.promptForJSON(session, prompt, AGENT_RESPONSE_SCHEMAS.nextAction);
       await session.destroy();
-      
-      // Parse JSON response
-      const cleanResponse = response.trim().replace(/^```json\n?/, '').replace(/\n?```$/, '');
-      const decision = JSON.parse(cleanResponse);
       return decision;
       
     } catch (error) {
@@ -937,7 +1208,7 @@ Return ONLY valid JSON (no markdown fences, no extra text):
    */
   async decideAfterError(taskDescription, errorMessage) {
     try {
-      const session = await LanguageModel.create({ 
+      const session = await this.createLanguageModelSession({ 
         temperature: 0.3,
         topK: 20,
         outputLanguage: 'en'
@@ -954,11 +1225,9 @@ Should I:
 
 Return JSON: {"action": "retry|skip|abort", "reasoning": "why"}`;
 
-      const response = await session.prompt(prompt);
+      const decision = await this.promptForJSON(session, prompt, AGENT_RESPONSE_SCHEMAS.errorDecision);
       await session.destroy();
-      
-      const cleanResponse = response.trim().replace(/^```json\n?/, '').replace(/\n?```$/, '');
-      return JSON.parse(cleanResponse);
+      return decision;
       
     } catch (error) {
       // Default: skip and continue
@@ -972,7 +1241,7 @@ Return JSON: {"action": "retry|skip|abort", "reasoning": "why"}`;
   async analyzeSearchResults(searchResults, taskDescription) {
     try {
       
-      const session = await LanguageModel.create({
+      const session = await this.createLanguageModelSession({
         temperature: 0.3,
         topK: 20,
         outputLanguage: 'en'
@@ -1011,11 +1280,8 @@ Return JSON:
 
 Choose 2-4 most relevant URLs. Order by priority (best first).`;
 
-      const response = await session.prompt(prompt);
+      const decision = await this.promptForJSON(session, prompt, AGENT_RESPONSE_SCHEMAS.urlAnalysis);
       await session.destroy();
-      
-      const cleanResponse = response.trim().replace(/^```json\n?/, '').replace(/\n?```$/, '');
-      const decision = JSON.parse(cleanResponse);
       return decision;
       
     } catch (error) {
@@ -1042,7 +1308,7 @@ Choose 2-4 most relevant URLs. Order by priority (best first).`;
   async quickCheckExtractedData(data, taskDescription) {
     try {
       
-      const session = await LanguageModel.create({
+      const session = await this.createLanguageModelSession({
         temperature: 0.3,
         topK: 20,
         outputLanguage: 'en'
@@ -1083,11 +1349,8 @@ Return JSON:
   "reasoning": "Brief explanation"
 }`;
 
-      const response = await session.prompt(prompt);
+      const assessment = await this.promptForJSON(session, prompt, AGENT_RESPONSE_SCHEMAS.dataAssessment);
       await session.destroy();
-      
-      const cleanResponse = response.trim().replace(/^```json\n?/, '').replace(/\n?```$/, '');
-      const assessment = JSON.parse(cleanResponse);
       return assessment;
       
     } catch (error) {
@@ -1150,13 +1413,13 @@ Return JSON:
       if (validation.score < 2) {
         console.warn('⚠️ Low quality data detected, using stricter prompts');
         // Use more aggressive data extraction with lower temperature
-        const session = await LanguageModel.create({ 
+        const session = await this.createLanguageModelSession({ 
           temperature: 0.2, // Lower temperature for more focused extraction
           topK: 10,
           outputLanguage: 'en'
         });
         
-        const strictPrompt = `${taskSpecificPrompt}
+        const buildStrictPrompt = (data) => `${taskSpecificPrompt}
 
 WARNING: Previous extraction was too generic. Re-extract with focus on:
 - Specific names, numbers, and details
@@ -1164,11 +1427,12 @@ WARNING: Previous extraction was too generic. Re-extract with focus on:
 - ONLY actual data points and facts
 
 DATA TO RE-EXTRACT:
-${dataContext}
+${data}
 
 Return structured data with actual facts and figures:`;
         
-        summary = await session.prompt(strictPrompt);
+        const fittedData = await this.fitDataContext(session, dataContext, buildStrictPrompt(''));
+        summary = await session.prompt(buildStrictPrompt(fittedData));
         await session.destroy();
       } else {
         // Normal processing for good quality data
@@ -1183,16 +1447,23 @@ Return structured data with actual facts and figures:`;
             // Use task-specific prompt for summarization
             const textToSummarize = `${taskSpecificPrompt}\n\n${dataContext}`;
             
-            // Enforce 6k budget - if over, compress data first
-            if (textToSummarize.length > this.SUMMARIZER_INPUT_BUDGET) {
-              console.warn(`⚠️ Input too large for Summarizer (${textToSummarize.length} chars), compressing to ${this.SUMMARIZER_INPUT_BUDGET}`);
+            // Measure against the Summarizer's own input quota (character budget as fallback)
+            const summarizerOptions = { type: 'key-points', format: 'markdown', length: 'long' };
+            const contextManager = window.ChromeAIStudio?.contextManager;
+            const summarizer = contextManager ? await aiManager.createSummarizer(summarizerOptions) : null;
+            const fitsSummarizer = async (text) => summarizer
+              ? (await contextManager.measure(summarizer, text)) <= contextManager.getBudget(summarizer, 0)
+              : text.length <= this.SUMMARIZER_INPUT_BUDGET;
+            
+            // If over budget, compress data first
+            if (!(await fitsSummarizer(textToSummarize))) {
+              console.warn(`⚠️ Input too large for Summarizer (${textToSummarize.length} chars), compressing to top ${this.TOP_K_ITEMS} items`);
               
               // Compress data to top items only
               const compressedData = await this.compressDataToTopItems(dataContext, this.TOP_K_ITEMS);
-              const compressedText = `${taskSpecificPrompt}\n\n${compressedData}`;
-              const finalText = this.enforceCharBudget(compressedText, this.SUMMARIZER_INPUT_BUDGET);
+              const finalText = `${taskSpecificPrompt}\n\n${compressedData}`;
               
-              if (finalText.length > this.SUMMARIZER_INPUT_BUDGET) {
+              if (!(await fitsSummarizer(finalText))) {
                 console.warn(`⚠️ Still too large after compression, using LanguageModel instead`);
                 summary = await this.compileSummaryWithLanguageModel(taskDescription, compressedData, steps, taskSpecificPrompt);
               } else {
@@ -1249,7 +1520,7 @@ Return structured data with actual facts and figures:`;
         const reSummary = await this.compileSummaryWithLanguageModel(taskDescription, dataContext, steps, taskSpecificPrompt);
         finalOut = this.sanitizeSummary(reSummary).trim();
       }
-      return finalOut;
+      return this.groundSummaryWithCitations(finalOut, extractedData);
       
     } catch (error) {
       console.error('❌ AI summary failed:', error);
@@ -1259,6 +1530,50 @@ Return structured data with actual facts and figures:`;
     }
   }
 
+  /**
+   * Numbered source chunks for citations, matching createChunkedSummaries' chunking
+   */
+  getSourceChunks(markdownData = this.memory.getExtractedData('markdown_data')) {
+    if (!this.citationGrounder || !Array.isArray(markdownData)) return [];
+    
+    return this.citationGrounder.buildSourceChunks(
+      markdownData,
+      (content, size) => this.createContentChunks(content, size),
+      this.CHUNK_SIZE,
+      this.MAX_CHUNKS_PER_SOURCE,
+      this.FAST_SUMMARY_THRESHOLD
+    );
+  }
+
+  /**
+   * Verification pass: check each claim against the collected chunks,
+   * fix or add [n] citations, flag unsupported claims and append the sources list
+   */
+  groundSummaryWithCitations(summary, extractedData) {
+    const chunks = this.getSourceChunks(extractedData?.markdown_data);
+    if (!summary || chunks.length === 0) {
+      this.lastCitationReport = null;
+      return summary;
+    }
+    
+    try {
+      const report = this.citationGrounder.ground(summary, chunks);
+      this.lastCitationReport = {
+        claims: report.claims,
+        sources: report.sources.map(({ id, url, title, chunkIndex, totalChunks }) => ({ id, url, title, chunkIndex, totalChunks })),
+        unsupportedCount: report.unsupportedCount
+      };
+      
+      if (report.unsupportedCount > 0) {
+        console.warn(`⚠️ ${report.unsupportedCount}/${report.claims.length} claims not supported by collected sources`);
+      }
+      return report.text;
+    } catch (error) {
+      console.error('❌ Citation grounding failed:', error);
+      return summary;
+    }
+  }
+
   /**
    * Prepare task-specific prompt and data context
    */
@@ -1270,6 +1585,14 @@ Return structured data with actual facts and figures:`;
     // Format data context based on task type
     const dataContext = this.formatDataContextForTask(extractedData, taskType);
     
+    // Ask for [n] citations when the context carries numbered chunks
+    if (this.citationGrounder && this.getSourceChunks(extractedData.markdown_data).length > 0) {
+      return {
+        taskSpecificPrompt: `${taskSpecificPrompt}\n\n${this.citationGrounder.getPromptInstructions()}`,
+        dataContext
+      };
+    }
+    
     return { taskSpecificPrompt, dataContext };
   }
 
@@ -1459,7 +1782,8 @@ EXPECTED OUTPUT:
       dataContext += `\n=== CHUNKED SUMMARIES (${extractedData.chunked_summaries.length} summaries) ===\n`;
       
       extractedData.chunked_summaries.forEach((chunk, index) => {
-        dataContext += `\n--- Chunk ${chunk.chunkIndex}/${chunk.totalChunks} from ${chunk.source} ---\n`;
+        const label = chunk.citationId ? `[${chunk.citationId}] ` : '';
+        dataContext += `\n--- ${label}Chunk ${chunk.chunkIndex}/${chunk.totalChunks} from ${chunk.source} ---\n`;
         dataContext += `URL: ${chunk.url}\n`;
         dataContext += `Summary: ${chunk.summary}\n`;
       });
@@ -1469,17 +1793,25 @@ EXPECTED OUTPUT:
       
       dataContext += `\n=== MARKDOWN SOURCES (${extractedData.markdown_data.length} sources) ===\n`;
       
+      const sourceChunks = this.getSourceChunks(extractedData.markdown_data);
+      
       extractedData.markdown_data.forEach((result, index) => {
         dataContext += `\n--- Source ${index + 1}: ${result.title || 'Untitled'} ---\n`;
         dataContext += `URL: ${result.url}\n`;
         
         if (result.markdown) {
           // For research tasks, include more content but limit to prevent size issues
-          const maxLength = taskType === 'research_list' ? 6000 : 4000; // Optimized for 6000 token limit
-          if (result.markdown.length > maxLength) {
-            dataContext += result.markdown.slice(0, maxLength) + '\n\n[... content truncated ...]\n';
-          } else {
-            dataContext += result.markdown + '\n';
+          let remaining = taskType === 'research_list' ? 6000 : 4000; // Optimized for 6000 token limit
+          
+          // Label each chunk with its citation number
+          const chunks = sourceChunks.filter(chunk => chunk.sourceIndex === index);
+          for (const chunk of chunks) {
+            if (remaining <= 0) break;
+            dataContext += `[${chunk.id}] ${chunk.text.slice(0, remaining)}\n`;
+            if (chunk.text.length > remaining) {
+              dataContext += '\n[... content truncated ...]\n';
+            }
+            remaining -= chunk.text.length;
           }
         }
       });
@@ -1541,8 +1873,9 @@ EXPECTED OUTPUT:
   async createChunkedSummaries(markdownResults) {
     
     const chunkedSummaries = [];
-    const CHUNK_SIZE = 8000; // Larger chunks for speed
-    const MAX_CHUNKS_PER_SOURCE = 3; // Limit to 3 chunks max per source for speed
+    const CHUNK_SIZE = this.CHUNK_SIZE;
+    const MAX_CHUNKS_PER_SOURCE = this.MAX_CHUNKS_PER_SOURCE;
+    let citationId = 0; // Same numbering as getSourceChunks()
     
     // Calculate total expected chunks
     let totalExpectedChunks = 0;
@@ -1566,13 +1899,15 @@ EXPECTED OUTPUT:
       const totalLength = content.length;
       
       // For very large content (>20k chars), use fast summarization
-      if (totalLength > 30000) {
+      if (totalLength > this.FAST_SUMMARY_THRESHOLD) {
         processedChunks++;
+        citationId++;
         
         const fastSummary = await this.createFastSummary(content, result.title);
         
         if (fastSummary) {
           chunkedSummaries.push({
+            citationId,
             source: result.title,
             url: result.url,
             chunkIndex: 1,
@@ -1590,6 +1925,7 @@ EXPECTED OUTPUT:
         for (let i = 0; i < limitedChunks.length; i++) {
           const chunk = limitedChunks[i];
           processedChunks++;
+          citationId++;
           
           let chunkSummary = await this.summarizeChunk(chunk, result.title, i + 1, limitedChunks.length);
           
@@ -1601,6 +1937,7 @@ EXPECTED OUTPUT:
           
           if (chunkSummary) {
             chunkedSummaries.push({
+              citationId,
               source: result.title,
               url: result.url,
               chunkIndex: i + 1,
@@ -1657,19 +1994,19 @@ Select the 3 MOST RELEVANT URLs that directly relate to the task. Consider:
 - Avoid irrelevant pages (like individual profiles when researching institutions/organizations)
 - Focus on comprehensive lists, guides, rankings, or detailed information about the topic
 
-Respond with ONLY the numbers (e.g., "1,3,5,7") of the most relevant URLs:`;
+Return JSON with the numbers of the most relevant URLs: {"selected": [1, 3, 5]}`;
 
-      const session = await LanguageModel.create({ 
+      const session = await this.createLanguageModelSession({ 
         temperature: 0.2,
         topK: 20,
         outputLanguage: 'en'
       });
       
-      const response = await session.prompt(prompt);
+      const selection = await this.promptForJSON(session, prompt, AGENT_RESPONSE_SCHEMAS.urlSelection);
       await session.destroy();
       
       // Parse the response to get selected indices
-      const selectedIndices = this.parseSelectedIndices(response);
+      const selectedIndices = this.parseSelectedIndices(selection);
       
       // Filter the results based on AI selection
       const filteredResults = selectedIndices.map(index => markdownResults[index]).filter(Boolean);
@@ -1689,12 +2026,14 @@ Respond with ONLY the numbers (e.g., "1,3,5,7") of the most relevant URLs:`;
   }
 
   /**
-   * Parse AI response to get selected URL indices
+   * Parse AI response ({selected: [1, 3]} or free text) to get selected URL indices
    */
   parseSelectedIndices(response) {
     try {
       // Extract numbers from response
-      const numbers = response.match(/\d+/g);
+      const numbers = Array.isArray(response?.selected)
+        ? response.selected.map(String)
+        : String(response || '').match(/\d+/g);
       if (!numbers) return [0, 1, 2]; // Fallback
       
       // Convert to indices (subtract 1 since AI uses 1-based numbering)
@@ -1732,7 +2071,7 @@ IMPORTANT: Keep under 1000 characters. Focus on:
 
 Provide a concise summary:`;
 
-      const session = await LanguageModel.create({ 
+      const session = await this.createLanguageModelSession({ 
         temperature: 0.3,
         topK: 20,
         outputLanguage: 'en'
@@ -1822,7 +2161,7 @@ Focus on:
 
 Create a thorough, well-structured summary that provides comprehensive information for decision-making:`;
 
-      const session = await LanguageModel.create({ 
+      const session = await this.createLanguageModelSession({ 
         temperature: 0.3,
         topK: 20,
         outputLanguage: 'en'
@@ -1846,6 +2185,14 @@ Create a thorough, well-structured summary that provides comprehensive informati
    * Create content chunks of specified size
    */
   createContentChunks(content, chunkSize) {
+    return AutonomousAgent.createContentChunks(content, chunkSize);
+  }
+
+  /**
+   * Chunk boundaries shared with the local document library (ai/local-documents.js),
+   * so chunk ids line up with the agent's chunked summaries
+   */
+  static createContentChunks(content, chunkSize) {
     const chunks = [];
     let start = 0;
     
@@ -1890,7 +2237,7 @@ Format as structured bullet points with actual data:
 DO NOT write "this section discusses" or "contains information about"
 ONLY extract and present actual data points.`;
 
-      const session = await LanguageModel.create({ 
+      const session = await this.createLanguageModelSession({ 
         temperature: 0.3,
         topK: 20,
         outputLanguage: 'en'
@@ -1998,14 +2345,14 @@ ONLY extract and present actual data points.`;
    */
   async compileSummaryWithLanguageModel(taskDescription, dataContext, steps, taskSpecificPrompt = null) {
     try {
-      const session = await LanguageModel.create({ 
+      const session = await this.createLanguageModelSession({ 
         temperature: 0.5,
         topK: 20,
         outputLanguage: 'en'
       });
       
       // Use task-specific prompt if available, otherwise use generic prompt
-      const prompt = taskSpecificPrompt || `TASK: ${taskDescription}
+      const buildPrompt = (data) => taskSpecificPrompt ? `${taskSpecificPrompt}\n\n${data}` : `TASK: ${taskDescription}
 
 You have collected data from multiple sources. Your job is to:
 
@@ -2016,7 +2363,7 @@ You have collected data from multiple sources. Your job is to:
 5. If >${this.TOP_K_ITEMS} candidates appear, rank and keep the best ${this.TOP_K_ITEMS}
 
 COLLECTED DATA:
-${this.enforceCharBudget(dataContext, this.SUMMARIZER_INPUT_BUDGET)}
+${data}
 
 STEPS TAKEN:
 ${steps.map(step => `- ${step}`).join('\n')}
@@ -2054,8 +2401,8 @@ OUTPUT STRUCTURE:
 - [Stat 1]: [Number]
 - [Stat 2]: [Number]`;
 
-      const fullPrompt = taskSpecificPrompt ? `${taskSpecificPrompt}\n\n${dataContext}` : prompt;
-      const summary = await session.prompt(fullPrompt);
+      const fittedData = await this.fitDataContext(session, dataContext, buildPrompt(''));
+      const summary = await session.prompt(buildPrompt(fittedData));
       await session.destroy();
       
       return summary.trim();
@@ -2075,7 +2422,7 @@ OUTPUT STRUCTURE:
   async decideFinalPresentation(summary, taskDescription) {
     try {
       
-      const session = await LanguageModel.create({
+      const session = await this.createLanguageModelSession({
         temperature: 0.3,
         topK: 20,
         outputLanguage: 'en'
@@ -2102,11 +2449,8 @@ Return JSON:
   "reasoning": "Why this presentation method"
 }`;
 
-      const response = await session.prompt(prompt);
+      const decision = await this.promptForJSON(session, prompt, AGENT_RESPONSE_SCHEMAS.presentation);
       await session.destroy();
-      
-      const cleanResponse = response.trim().replace(/^```json\n?/, '').replace(/\n?```$/, '');
-      const decision = JSON.parse(cleanResponse);
       return decision;
       
     } catch (error) {
@@ -2258,6 +2602,7 @@ Return JSON:
       'urlsToMarkdown': '📄 Reading and analyzing websites',
       'urlstomarkdown': '📄 Reading and analyzing websites',
       'converttomarkdown': '📄 Reading and analyzing websites',
+      'readDocuments': '📁 Reading your documents',
       'extract': '📤 Extracting data',
       'navigate': '🌐 Visiting website',
       'scroll': '📜 Scrolling page',
@@ -2290,6 +2635,7 @@ Return JSON:
       'urlsToMarkdown': 'Converting web pages to readable format',
       'urlstomarkdown': 'Converting web pages to readable format',
       'converttomarkdown': 'Converting web pages to readable format',
+      'readDocuments': 'Collecting the relevant parts of your local files',
       'extract': 'Gathering specific data from pages',
       'navigate': 'Loading website content',
       'scroll': 'Loading more content',
@@ -2308,11 +2654,11 @@ Return JSON:
     try {
       
       // Check if LanguageModel is available
-      if (typeof LanguageModel === 'undefined') {
+      if (!this.canCreateLanguageModelSession()) {
         throw new Error('Chrome AI LanguageModel not available');
       }
       
-      const session = await LanguageModel.create({
+      const session = await this.createLanguageModelSession({
         temperature: 0.3,  // Lower for more deterministic planning
         topK: 20
       });
@@ -2384,13 +2730,9 @@ NOTE: For university rankings, education sites, tech reviews, etc., you can dire
 For other research tasks where you don't know the URL, use search → extract → navigate.
 NEVER use placeholder URLs like "FIRST_RESULT_URL" or "URL_FROM_SEARCH" - use real URLs or search first.`;
       
-      const response = await session.prompt(prompt);
+      const plan = await this.promptForJSON(session, prompt, AGENT_RESPONSE_SCHEMAS.plan);
       await session.destroy();
       
-      // Parse JSON response
-      const cleaned = response.trim().replace(/```json|```/g, '');
-      const plan = JSON.parse(cleaned);
-      
       return plan;
       
     } catch (error) {
@@ -2411,12 +2753,19 @@ NEVER use placeholder URLs like "FIRST_RESULT_URL" or "URL_FROM_SEARCH" - use re
     } catch (error) {
       console.error(`❌ Step failed (attempt ${retryCount + 1}):`, error);
       
+      // Denied or rejected actions must not be retried behind the user's back,
+      // and a pause is waiting on the user rather than failing
+      if (error.isApprovalError || error.isPauseRequest) {
+        throw error;
+      }
+      
       if (retryCount < this.options.maxRetries) {
         
         // Try replanning this specific step
         const newStep = await this.replanStep(step, error.message);
         
         if (newStep) {
+          this.memory.addPlanEntry(newStep);
           return await this.executeStepWithRetry(newStep, retryCount + 1);
         }
         
@@ -2430,537 +2779,835 @@ NEVER use placeholder URLs like "FIRST_RESULT_URL" or "URL_FROM_SEARCH" - use re
   }
 
   /**
-   * Execute a single step
+   * Check a page-changing step against the approval policy, asking in the progress
+   * panel when needed. Returns the resolved targets so the action uses exactly
+   * the elements that were approved; throws if the action is denied or rejected.
    */
-  async executeStep(step) {
-    const action = step.action; // Keep original case for camelCase actions
+  async requestActionApproval(step) {
+    const policy = this.approvalPolicy;
+    const action = policy?.normalizeAction(step.action);
+    if (!action) return null;
+    
+    await policy.init();
+    const decision = policy.getDecision(action);
+    
+    if (decision === 'deny') {
+      throw this.createApprovalError(`Action "${action}" is blocked on ${policy.getHostname()} by the approval policy`);
+    }
+    
+    const request = await this.buildApprovalRequest(action, step);
+    
+    // Payment and password forms always need an explicit approval
+    if (decision === 'allow' && !request.sensitive) {
+      return request;
+    }
+    
+    const choice = this.progressUI?.panel
+      ? await this.progressUI.showApprovalRequest(request)
+      : 'reject';
+    
+    if (choice === 'always' && !request.sensitive) {
+      await policy.setDomainRule(request.domain, action, 'allow');
+    } else if (choice !== 'approve' && choice !== 'always') {
+      throw this.createApprovalError(`User rejected "${action}" on ${request.domain} - do not retry this action`);
+    }
+    
+    return request;
+  }
+
+  /**
+   * Resolve the step's target elements and describe them for the approval card
+   */
+  async buildApprovalRequest(action, step) {
     const params = step.parameters || {};
     const target = step.target;
+    const request = {
+      action,
+      description: step.description || '',
+      domain: this.approvalPolicy.getHostname(),
+      targets: [],
+      reasons: [],
+      sensitive: false
+    };
     
-    // Normalize action to lowercase for comparison
-    const actionLower = action.toLowerCase();
+    const addTarget = (label, element, value = null) => {
+      const reason = this.approvalPolicy.getSensitiveReason(element);
+      if (reason) {
+        request.sensitive = true;
+        if (!request.reasons.includes(reason)) request.reasons.push(reason);
+      }
+      request.targets.push({
+        label,
+        element,
+        selector: element ? this.domExtractor.getUniqueSelector(element) : null,
+        text: element ? this.domExtractor.getElementText(element).substring(0, 80) : '',
+        value: value == null ? null : String(value),
+        masked: reason === 'password field'
+      });
+    };
     
-    switch (actionLower) {
-      case 'navigate':
-        const navResult = await this.actionExecutor.navigate(target || params.url);
-        // Save the automation window tab ID for future extractions
-        if (navResult && navResult.tabId) {
-          this.currentAutomationTabId = navResult.tabId;
-          
-          // Check for login wall and get user's choice
-          const loginChoice = await this.checkForLoginWall();
-          
-          if (loginChoice === 'pause') {
-            // User chose to login manually - pause the task
-            throw new Error('Login required - task paused for manual login');
-          } else if (loginChoice === 'skip') {
-            // User chose to skip this URL - signal to try different URL
-            throw new Error('User chose to skip this URL - trying alternative');
-          }
-          // loginChoice === 'continue' or 'try' - proceed normally
-        }
-        return navResult;
-      
-      case 'search':
-        // Try multiple places for query
-        const query = params.query || target || step.description || 'top 10 universities 2024';
-        
-        // Add mini steps for search process
-        if (this.progressUI) {
-          this.progressUI.addMiniStep(step.id, 'Opening Google search', 'running');
-        }
-        
-        const searchResult = await this.actionExecutor.search(query);
-        
-        // Save the automation tab ID from search
-        if (searchResult?.tabId) {
-          this.currentAutomationTabId = searchResult.tabId;
-          
-          // Update mini step
-          if (this.progressUI) {
-            this.progressUI.updateMiniStep(step.id, step.id, 'completed', 'Google search opened');
-            this.progressUI.addMiniStep(step.id, 'Waiting for results to load', 'running');
-          }
-          
-          // Automatically extract search results for AI analysis
-          // Wait longer for Google search page to fully load and render results
-          await new Promise(resolve => setTimeout(resolve, 4000)); // Increased to 4 seconds (3s for page + 1s for content script + extraction)
-          
-          // Update mini step
-          if (this.progressUI) {
-            this.progressUI.updateMiniStep(step.id, step.id, 'completed', 'Results loaded');
-            this.progressUI.addMiniStep(step.id, 'Extracting search results', 'running');
-          }
-          const extractionResult = await this.extractSearchResults(searchResult.tabId);
-          
-          if (extractionResult.success && extractionResult.results.length > 0) {
-            // Results are already stored in memory by extractSearchResults()
-          } else {
-            console.warn(`⚠️ Failed to extract search results (got ${extractionResult.results?.length || 0} results)`);
-            console.warn(`⚠️ This might be due to Google page not fully loaded. AI will work with limited context.`);
-          }
-        }
-        
-        return searchResult;
-      
+    switch (action) {
       case 'click':
-        return await this.actionExecutor.smartClick(target || params.element);
-      
-      case 'type':
-        return await this.actionExecutor.smartType(target || params.field, params.text || params.value);
+      case 'type': {
+        const description = target || (action === 'click' ? params.element : params.field);
+        request.element = await this.domExtractor.findElementByDescription(description);
+        if (!request.element) {
+          throw new Error(`Element not found: "${description}"`);
+        }
+        addTarget(description, this.queryElement(request.element.selector), action === 'type' ? (params.text || params.value || '') : null);
+        break;
+      }
       
       case 'select':
-        // Select option from dropdown
-        if (!target && !params.selector) {
-          throw new Error('Select action requires target selector');
-        }
+      case 'check': {
         const selector = target || params.selector;
-        const value = params.value || params.option;
-        
-        // Find select element and set value
-        const selectElement = document.querySelector(selector);
-        if (selectElement && selectElement.tagName === 'SELECT') {
-          selectElement.value = value;
-          selectElement.dispatchEvent(new Event('change', { bubbles: true }));
-          return { success: true, message: `Selected "${value}" from ${selector}` };
-        } else {
-          throw new Error(`Select element not found: ${selector}`);
-        }
+        const value = action === 'select'
+          ? (params.value || params.option)
+          : (params.checked !== false ? 'checked' : 'unchecked');
+        addTarget(selector, this.queryElement(selector), value);
+        break;
+      }
       
-      case 'check':
-      case 'checkbox':
-        // Check/uncheck a checkbox
-        if (!target && !params.selector) {
-          throw new Error('Check action requires target selector');
-        }
-        const checkSelector = target || params.selector;
-        const shouldCheck = params.checked !== false; // Default to true
-        
-        const checkbox = document.querySelector(checkSelector);
-        if (checkbox && (checkbox.type === 'checkbox' || checkbox.type === 'radio')) {
-          checkbox.checked = shouldCheck;
-          checkbox.dispatchEvent(new Event('change', { bubbles: true }));
-          return { success: true, message: `${shouldCheck ? 'Checked' : 'Unchecked'} ${checkSelector}` };
-        } else {
-          throw new Error(`Checkbox element not found: ${checkSelector}`);
+      case 'fillForm': {
+        // Only fields that were found (and shown) get filled
+        request.fields = {};
+        request.formData = {};
+        for (const [field, value] of Object.entries(params.formData || {})) {
+          const elementData = await this.domExtractor.findElementByDescription(field);
+          if (!elementData) continue;
+          request.fields[field] = elementData;
+          request.formData[field] = value;
+          addTarget(field, this.queryElement(elementData.selector), value);
         }
+        break;
+      }
+    }
+    
+    return request;
+  }
+
+  queryElement(selector) {
+    try {
+      return selector ? document.querySelector(selector) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  createApprovalError(message) {
+    const error = new Error(message);
+    error.isApprovalError = true;
+    return error;
+  }
+
+  /**
+   * Error that stops the task with a 'paused' checkpoint instead of failing it (see pauseTask)
+   */
+  createPauseError(message) {
+    const error = new Error(message);
+    error.isPauseRequest = true;
+    return error;
+  }
+
+  /**
+   * Register the agent's own step actions in the shared tool registry
+   */
+  registerActions() {
+    const registry = window.ChromeAIStudio?.toolRegistry;
+    if (!registry) return;
+    
+    registry.registerAll(AGENT_STEP_TOOLS.map(({ run, ...tool }) => ({
+      ...tool,
+      execute: (parameters, { step = {}, approval = null } = {}) =>
+        this[run]({ ...step, action: tool.name, parameters }, approval)
+    })), { source: 'autonomous-agent', consumers: ['agent'] });
+  }
+
+  /**
+   * Actions the planner may choose: the registry's tools for the 'agent' consumer
+   */
+  getActionNames() {
+    const tools = window.ChromeAIStudio?.toolRegistry?.list({ consumer: 'agent' }) || [];
+    return tools.length > 0 ? tools.map(tool => tool.name) : AGENT_STEP_ACTIONS;
+  }
+
+  /**
+   * Execute a single step
+   */
+  async executeStep(step) {
+    const tool = window.ChromeAIStudio?.toolRegistry?.get(step.action);
+    if (!tool || !tool.consumers.includes('agent')) {
+      throw new Error(`Unknown action: ${step.action}. Available: ${this.getActionNames().join(', ')}`);
+    }
+    const resolved = { ...step, action: tool.name, parameters: this.getStepArguments(tool, step) };
+    
+    // Page-changing actions go through the approval policy first
+    const approval = await this.requestActionApproval(resolved);
+    const context = { step: resolved, approval, automationWindow: true };
+    
+    const browserStep = AGENT_BROWSER_STEPS[tool.name];
+    return browserStep
+      ? this[browserStep](resolved, tool, context)
+      : tool.execute(resolved.parameters, context);
+  }
+
+  /**
+   * Step parameters; for shared browser tools the step's `target` fills the main parameter
+   * (the first required string, e.g. navigate's `url`) when the planner left it out
+   */
+  getStepArguments(tool, step) {
+    const parameters = { ...(step.parameters || {}) };
+    if (!step.target || tool.source === 'autonomous-agent') return parameters;
+    
+    const properties = tool.inputSchema?.properties || {};
+    const key = (tool.inputSchema?.required || []).find(name => properties[name]?.type === 'string')
+      || Object.keys(properties).find(name => properties[name]?.type === 'string');
+    if (key && parameters[key] == null) {
+      parameters[key] = step.target;
+    }
+    return parameters;
+  }
+
+  /**
+   * Open a page with the shared navigate tool, then check it for a login wall
+   */
+  async navigateStep(step, tool, context) {
+    const navResult = await tool.execute(step.parameters || {}, context);
+    // Save the automation window tab ID for future extractions
+    if (navResult && navResult.tabId) {
+      this.currentAutomationTabId = navResult.tabId;
+      
+      // Check for login wall and get user's choice
+      const loginChoice = await this.checkForLoginWall();
+      
+      if (loginChoice === 'pause') {
+        // User chose to login manually - pause the task
+        throw this.createPauseError('Login required - task paused for manual login');
+      } else if (loginChoice === 'skip') {
+        // User chose to skip this URL - signal to try different URL
+        throw new Error('User chose to skip this URL - trying alternative');
+      }
+      // loginChoice === 'continue' or 'try' - proceed normally
+    }
+    return navResult;
+  }
+
+  /**
+   * Search with the shared search tool, trying the next engine on a CAPTCHA or no results,
+   * and extract the results
+   */
+  async searchStep(step, tool, context) {
+    const params = step.parameters || {};
+    const target = step.target;
+    // Try multiple places for query
+    const query = params.query || target || step.description || 'top 10 universities 2024';
+    
+    // Try the preferred engine first, falling back to the next one on a CAPTCHA or no results
+    const searchEngines = window.ChromeAIStudio?.searchEngines;
+    await searchEngines?.init();
+    const engineOrder = searchEngines ? searchEngines.getSearchOrder(params.engine) : ['google'];
+    let searchResult = null;
+    
+    for (const engineId of engineOrder) {
+      const engineName = searchEngines?.get(engineId)?.name || engineId;
       
-      case 'extract':
-        // First, validate that the page has valid content (not 404/error)
-        if (this.currentAutomationTabId) {
-          const validation = await this.validatePageContent(this.currentAutomationTabId);
-          
-          if (!validation.valid) {
-            console.error(`❌ Page validation failed: ${validation.reason}`);
-            return {
-              success: false,
-              error: `Cannot extract from this page: ${validation.reason}`,
-              message: `Page "${validation.title || 'Unknown'}" appears to be an error page (${validation.reason}). Try navigating to a different URL.`
-            };
-          }
-        }
-        
-        // Determine extraction type
-        let dataType = params.what || params.type || target || null;
-        
-        // If no type specified, use smart default
-        if (!dataType) {
-          // Get current page URL to detect context
-          try {
-            const urlResponse = await chrome.runtime.sendMessage({
-              type: 'GET_TAB_URL',
-              tabId: this.currentAutomationTabId
-            });
-            const currentUrl = urlResponse?.url || '';
-            
-            // If on Google search, extract search results
-            if (currentUrl.includes('google.com/search')) {
-              dataType = 'search results';
-            } else {
-              // Otherwise, use general extraction
-              dataType = 'rankings'; // generic data extraction
-            }
-          } catch (e) {
-            console.warn('Could not detect page type, using general extraction');
-            dataType = 'general data';
-          }
-        }
-        
-        // ALWAYS extract from automation window (where search/navigation happens)
-        return await this.extractAndStore(dataType, this.currentAutomationTabId);
-      
-      case 'wait':
-        if (params.time) {
-          await this.actionExecutor.wait(params.time);
-          return { success: true, message: `Waited ${params.time}ms` };
-        } else if (params.element) {
-          await this.actionExecutor.waitForElement(params.element);
-          return { success: true, message: `Waited for element: ${params.element}` };
-        } else {
-          await this.actionExecutor.wait(2000);
-          return { success: true, message: 'Waited 2000ms' };
-        }
+      // Add mini steps for search process
+      if (this.progressUI) {
+        this.progressUI.addMiniStep(step.id, `Opening ${engineName} search`, 'running');
+      }
       
-      case 'scroll':
-        const scrollResult = await this.actionExecutor.scroll(params.direction || 'down');
-        return { success: true, message: scrollResult.message || `Scrolled ${params.direction || 'down'}` };
+      searchResult = await tool.execute({ query, engine: engineId }, context);
       
-      case 'fillForm':
-        if (!params.formData) {
-          throw new Error('fillForm action requires formData parameter');
-        }
-        const fillResult = await this.actionExecutor.fillForm(params.formData);
-        return { success: true, message: fillResult.message || 'Form filled successfully' };
+      // Save the automation tab ID from search
+      if (!searchResult?.tabId) break;
+      this.currentAutomationTabId = searchResult.tabId;
       
-      case 'analyzeurls':
-        // Analyze search results and suggest URLs to visit
-        
-        // Get search results from memory
-        const searchResults = this.memory.getExtractedData('search_results') || 
-                             this.memory.getExtractedData('search') ||
-                             this.memory.getExtractedData('data');
-        
-        if (!searchResults || !Array.isArray(searchResults) || searchResults.length === 0) {
-          return {
-            success: false,
-            error: 'No search results found to analyze',
-            message: 'Please extract search results first before analyzing URLs'
-          };
-        }
-        
-        // Call analyzeSearchResults with current task
-        const urlAnalysis = await this.analyzeSearchResults(searchResults, step.description || 'the task');
-        
-        if (urlAnalysis && urlAnalysis.urls && urlAnalysis.urls.length > 0) {
-          this.memory.storeExtractedData('url_analysis', urlAnalysis);
-          return {
-            success: true,
-            message: `Analyzed search results and identified ${urlAnalysis.urls.length} promising URLs`,
-            data: urlAnalysis
-          };
-        } else {
-          return {
-            success: false,
-            error: 'URL analysis returned no results',
-            message: 'Could not identify promising URLs from search results'
-          };
-        }
+      // Update mini step
+      if (this.progressUI) {
+        this.progressUI.updateMiniStep(step.id, step.id, 'completed', `${engineName} search opened`);
+        this.progressUI.addMiniStep(step.id, 'Waiting for results to load', 'running');
+      }
       
-      case 'urlstomarkdown':
-      case 'converttomarkdown':
-        // NEW OPTIMIZED APPROACH: Convert URLs directly to markdown without opening tabs
-        console.info('🚀 ULTRA-FAST PATH: urlsToMarkdown started');
-        
-        // Get URLs from memory (search results) or from params
-        let urlsForMarkdown = params.urls || [];
+      // Automatically extract search results for AI analysis
+      // Wait longer for the search page to fully load and render results
+      await new Promise(resolve => setTimeout(resolve, 4000)); // Increased to 4 seconds (3s for page + 1s for content script + extraction)
+      
+      // Update mini step
+      if (this.progressUI) {
+        this.progressUI.updateMiniStep(step.id, step.id, 'completed', 'Results loaded');
+        this.progressUI.addMiniStep(step.id, 'Extracting search results', 'running');
+      }
+      const extractionResult = await this.extractSearchResults(searchResult.tabId, engineId);
+      
+      if (extractionResult.success && extractionResult.results.length > 0) {
+        // Results are already stored in memory by extractSearchResults()
+        searchResult.engine = engineId;
+        break;
+      }
+      
+      const reason = extractionResult.blocked ? 'CAPTCHA detected' : 'no results';
+      console.warn(`⚠️ ${engineName} search failed (${reason}, got ${extractionResult.results?.length || 0} results)`);
+      if (this.progressUI) {
+        this.progressUI.updateMiniStep(step.id, step.id, 'failed', `${engineName}: ${reason}`);
+      }
+      if (engineId === engineOrder[engineOrder.length - 1]) {
+        console.warn(`⚠️ No search engine returned results. AI will work with limited context.`);
+      }
+    }
+    
+    return searchResult;
+  }
+
+  /**
+   * Type into a field found by description
+   */
+  async typeStep(step, approval = null) {
+    const params = step.parameters || {};
+    const target = step.target;
+    return await this.actionExecutor.smartType(target || params.field, params.text || params.value, approval?.element);
+  }
+
+  /**
+   * Choose an option in a dropdown
+   */
+  async selectStep(step) {
+    const params = step.parameters || {};
+    const target = step.target;
+    // Select option from dropdown
+    if (!target && !params.selector) {
+      throw new Error('Select action requires target selector');
+    }
+    const selector = target || params.selector;
+    const value = params.value || params.option;
+    
+    // Find select element and set value
+    const selectElement = document.querySelector(selector);
+    if (selectElement && selectElement.tagName === 'SELECT') {
+      selectElement.value = value;
+      selectElement.dispatchEvent(new Event('change', { bubbles: true }));
+      return { success: true, message: `Selected "${value}" from ${selector}` };
+    } else {
+      throw new Error(`Select element not found: ${selector}`);
+    }
+  }
+
+  /**
+   * Check or uncheck a checkbox or radio button
+   */
+  async checkStep(step) {
+    const params = step.parameters || {};
+    const target = step.target;
+    // Check/uncheck a checkbox
+    if (!target && !params.selector) {
+      throw new Error('Check action requires target selector');
+    }
+    const checkSelector = target || params.selector;
+    const shouldCheck = params.checked !== false; // Default to true
+    
+    const checkbox = document.querySelector(checkSelector);
+    if (checkbox && (checkbox.type === 'checkbox' || checkbox.type === 'radio')) {
+      checkbox.checked = shouldCheck;
+      checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+      return { success: true, message: `${shouldCheck ? 'Checked' : 'Unchecked'} ${checkSelector}` };
+    } else {
+      throw new Error(`Checkbox element not found: ${checkSelector}`);
+    }
+  }
+
+  /**
+   * Extract data from the automation page, unless it is an error page
+   */
+  async extractStep(step) {
+    const params = step.parameters || {};
+    const target = step.target;
+    // First, validate that the page has valid content (not 404/error)
+    if (this.currentAutomationTabId) {
+      const validation = await this.validatePageContent(this.currentAutomationTabId);
+      
+      if (!validation.valid) {
+        console.error(`❌ Page validation failed: ${validation.reason}`);
+        return {
+          success: false,
+          error: `Cannot extract from this page: ${validation.reason}`,
+          message: `Page "${validation.title || 'Unknown'}" appears to be an error page (${validation.reason}). Try navigating to a different URL.`
+        };
+      }
+    }
+    
+    // Determine extraction type
+    let dataType = params.what || params.type || target || null;
+    
+    // If no type specified, use smart default
+    if (!dataType) {
+      // Get current page URL to detect context
+      try {
+        const urlResponse = await chrome.runtime.sendMessage({
+          type: 'GET_TAB_URL',
+          tabId: this.currentAutomationTabId
+        });
+        const currentUrl = urlResponse?.url || '';
         
-        // Add mini steps for URL conversion with URL mapping
-        if (this.progressUI) {
-          this.progressUI.addMiniStep(step.id, 'Preparing URLs for conversion', 'running');
-          
-          // Show which URLs are being processed
-          if (urlsForMarkdown.length > 0) {
-            const urlList = urlsForMarkdown.slice(0, 5).map((url, index) => 
-              `${index + 1}. ${url.title || url.url}`
-            ).join('\n');
-            const remainingCount = Math.max(0, urlsForMarkdown.length - 5);
-            const urlDisplay = remainingCount > 0 ? 
-              `${urlList}\n... and ${remainingCount} more URLs` : 
-              urlList;
-            
-            this.progressUI.addMiniStep(step.id, `Processing ${urlsForMarkdown.length} URLs:\n${urlDisplay}`, 'running');
-          }
+        // If on a search results page, extract search results
+        if (window.ChromeAIStudio?.searchEngines?.detect(currentUrl)) {
+          dataType = 'search results';
+        } else {
+          // Otherwise, use general extraction
+          dataType = 'rankings'; // generic data extraction
         }
+      } catch (e) {
+        console.warn('Could not detect page type, using general extraction');
+        dataType = 'general data';
+      }
+    }
+    
+    // ALWAYS extract from automation window (where search/navigation happens)
+    return await this.extractAndStore(dataType, this.currentAutomationTabId);
+  }
+
+  /**
+   * Wait for a time, for an element, or 2 seconds
+   */
+  async waitStep(step) {
+    const params = step.parameters || {};
+    if (params.time) {
+      await this.actionExecutor.wait(params.time);
+      return { success: true, message: `Waited ${params.time}ms` };
+    } else if (params.element) {
+      await this.actionExecutor.waitForElement(params.element);
+      return { success: true, message: `Waited for element: ${params.element}` };
+    } else {
+      await this.actionExecutor.wait(2000);
+      return { success: true, message: 'Waited 2000ms' };
+    }
+  }
+
+  /**
+   * Pick the most promising URLs from the extracted search results
+   */
+  async analyzeURLsStep(step) {
+    // Analyze search results and suggest URLs to visit
+    
+    // Get search results from memory
+    const searchResults = this.memory.getExtractedData('search_results') || 
+                         this.memory.getExtractedData('search') ||
+                         this.memory.getExtractedData('data');
+    
+    if (!searchResults || !Array.isArray(searchResults) || searchResults.length === 0) {
+      return {
+        success: false,
+        error: 'No search results found to analyze',
+        message: 'Please extract search results first before analyzing URLs'
+      };
+    }
+    
+    // Call analyzeSearchResults with current task
+    const urlAnalysis = await this.analyzeSearchResults(searchResults, step.description || 'the task');
+    
+    if (urlAnalysis && urlAnalysis.urls && urlAnalysis.urls.length > 0) {
+      this.memory.storeExtractedData('url_analysis', urlAnalysis);
+      return {
+        success: true,
+        message: `Analyzed search results and identified ${urlAnalysis.urls.length} promising URLs`,
+        data: urlAnalysis
+      };
+    } else {
+      return {
+        success: false,
+        error: 'URL analysis returned no results',
+        message: 'Could not identify promising URLs from search results'
+      };
+    }
+  }
+
+  /**
+   * Convert search result URLs to Markdown without opening tabs and summarize the relevant ones
+   */
+  async urlsToMarkdownStep(step) {
+    const params = step.parameters || {};
+    // NEW OPTIMIZED APPROACH: Convert URLs directly to markdown without opening tabs
+    console.info('🚀 ULTRA-FAST PATH: urlsToMarkdown started');
+    
+    // Get URLs from memory (search results) or from params
+    let urlsForMarkdown = params.urls || [];
+    
+    // Add mini steps for URL conversion with URL mapping
+    if (this.progressUI) {
+      this.progressUI.addMiniStep(step.id, 'Preparing URLs for conversion', 'running');
+      
+      // Show which URLs are being processed
+      if (urlsForMarkdown.length > 0) {
+        const urlList = urlsForMarkdown.slice(0, 5).map((url, index) => 
+          `${index + 1}. ${url.title || url.url}`
+        ).join('\n');
+        const remainingCount = Math.max(0, urlsForMarkdown.length - 5);
+        const urlDisplay = remainingCount > 0 ? 
+          `${urlList}\n... and ${remainingCount} more URLs` : 
+          urlList;
         
-        if (urlsForMarkdown.length === 0) {
-          // Get from search results
-          const searchResults = this.memory.getExtractedData('search_results') || 
-                               this.memory.getExtractedData('search') ||
-                               [];
-          
-          if (searchResults.length === 0) {
+        this.progressUI.addMiniStep(step.id, `Processing ${urlsForMarkdown.length} URLs:\n${urlDisplay}`, 'running');
+      }
+    }
+    
+    if (urlsForMarkdown.length === 0) {
+      // Get from search results
+      const searchResults = this.memory.getExtractedData('search_results') || 
+                           this.memory.getExtractedData('search') ||
+                           [];
+      
+      if (searchResults.length === 0) {
+        return {
+          success: false,
+          error: 'No URLs to convert',
+          message: 'Please extract search results first'
+        };
+      }
+      
+      // Pre-filter to select only top 3 URLs before scraping
+      const selectedUrls = await this.selectTopUrlsFromSearchResults(searchResults, this.MAX_SOURCES);
+      urlsForMarkdown = selectedUrls;
+    }
+    
+    // Update mini step
+    if (this.progressUI) {
+      this.progressUI.updateMiniStep(step.id, step.id, 'completed', `${urlsForMarkdown.length} URLs prepared`);
+      this.progressUI.addMiniStep(step.id, 'Converting URLs to markdown', 'running');
+      
+      // Show URL processing progress
+      if (urlsForMarkdown.length > 0) {
+        const urlPreview = urlsForMarkdown.slice(0, 3).map((url, index) => 
+          `${index + 1}. ${url.title || url.url}`
+        ).join('\n');
+        this.progressUI.addMiniStep(step.id, `Converting:\n${urlPreview}${urlsForMarkdown.length > 3 ? `\n... and ${urlsForMarkdown.length - 3} more` : ''}`, 'running');
+      }
+    }
+    
+    // Use the URL to Markdown converter
+    const converter = window.ChromeAIStudio?.urlToMarkdown;
+    if (!converter) {
+      console.error('❌ URL to Markdown converter not available');
+      return {
+        success: false,
+        error: 'Converter not available',
+        message: 'URL to Markdown converter not initialized'
+      };
+    }
+    
+    const markdownResults = await converter.convertMultipleUrls(urlsForMarkdown, this.automationWindowId);
+    console.info(`🧾 urlsToMarkdown: converted ${markdownResults.length} URLs`);
+    
+    if (markdownResults.length > 0) {
+      // Update mini step
+    if (this.progressUI) {
+      this.progressUI.updateMiniStep(step.id, step.id, 'completed', `${markdownResults.length} URLs converted`);
+      this.progressUI.addMiniStep(step.id, 'Filtering relevant URLs', 'running');
+      
+      // Show which URLs were converted
+      if (markdownResults.length > 0) {
+        const convertedUrls = markdownResults.slice(0, 3).map((result, index) => 
+          `${index + 1}. ${result.title || result.url}`
+        ).join('\n');
+        this.progressUI.addMiniStep(step.id, `Converted:\n${convertedUrls}${markdownResults.length > 3 ? `\n... and ${markdownResults.length - 3} more` : ''}`, 'completed');
+      }
+    }
+      
+      // 🎯 Smart URL filtering: Select only 3-4 most relevant URLs
+      let filteredResults;
+      
+      try {
+        filteredResults = await this.filterRelevantUrls(markdownResults, this.currentTask);
+        
+        // Truncate each URL's content to 20,000 characters max
+        filteredResults = filteredResults.map(result => {
+          if (result.markdown && result.markdown.length > 20000) {
             return {
-              success: false,
-              error: 'No URLs to convert',
-              message: 'Please extract search results first'
+              ...result,
+              markdown: result.markdown.slice(0, 20000),
+              truncated: true,
+              originalLength: result.markdown.length
             };
           }
-          
-          // Pre-filter to select only top 3 URLs before scraping
-          const selectedUrls = await this.selectTopUrlsFromSearchResults(searchResults, this.MAX_SOURCES);
-          urlsForMarkdown = selectedUrls;
-        }
+          return result;
+        });
         
         // Update mini step
-        if (this.progressUI) {
-          this.progressUI.updateMiniStep(step.id, step.id, 'completed', `${urlsForMarkdown.length} URLs prepared`);
-          this.progressUI.addMiniStep(step.id, 'Converting URLs to markdown', 'running');
-          
-          // Show URL processing progress
-          if (urlsForMarkdown.length > 0) {
-            const urlPreview = urlsForMarkdown.slice(0, 3).map((url, index) => 
-              `${index + 1}. ${url.title || url.url}`
-            ).join('\n');
-            this.progressUI.addMiniStep(step.id, `Converting:\n${urlPreview}${urlsForMarkdown.length > 3 ? `\n... and ${urlsForMarkdown.length - 3} more` : ''}`, 'running');
-          }
-        }
+      if (this.progressUI) {
+        this.progressUI.updateMiniStep(step.id, step.id, 'completed', `${filteredResults.length} relevant URLs selected`);
         
-        // Use the URL to Markdown converter
-        const converter = window.ChromeAIStudio?.urlToMarkdown;
-        if (!converter) {
-          console.error('❌ URL to Markdown converter not available');
-          return {
-            success: false,
-            error: 'Converter not available',
-            message: 'URL to Markdown converter not initialized'
-          };
+        // Show which URLs were selected
+        if (filteredResults.length > 0) {
+          const selectedUrls = filteredResults.slice(0, 3).map((result, index) => 
+            `${index + 1}. ${result.title || result.url}`
+          ).join('\n');
+          this.progressUI.addMiniStep(step.id, `Selected:\n${selectedUrls}${filteredResults.length > 3 ? `\n... and ${filteredResults.length - 3} more` : ''}`, 'completed');
         }
         
-        const markdownResults = await converter.convertMultipleUrls(urlsForMarkdown, this.automationWindowId);
-        console.info(`🧾 urlsToMarkdown: converted ${markdownResults.length} URLs`);
+        this.progressUI.addMiniStep(step.id, 'Creating chunked summaries', 'running');
+      }
+      } catch (error) {
+        console.error('❌ URL filtering failed, using fallback:', error);
+        // Fallback: Take first 3 URLs
+        filteredResults = markdownResults.slice(0, 3);
         
-        if (markdownResults.length > 0) {
-          // Update mini step
+        // Update mini step
         if (this.progressUI) {
-          this.progressUI.updateMiniStep(step.id, step.id, 'completed', `${markdownResults.length} URLs converted`);
-          this.progressUI.addMiniStep(step.id, 'Filtering relevant URLs', 'running');
+          this.progressUI.updateMiniStep(step.id, step.id, 'completed', `Using fallback: ${filteredResults.length} URLs`);
           
-          // Show which URLs were converted
-          if (markdownResults.length > 0) {
-            const convertedUrls = markdownResults.slice(0, 3).map((result, index) => 
+          // Show fallback URLs
+          if (filteredResults.length > 0) {
+            const fallbackUrls = filteredResults.slice(0, 3).map((result, index) => 
               `${index + 1}. ${result.title || result.url}`
             ).join('\n');
-            this.progressUI.addMiniStep(step.id, `Converted:\n${convertedUrls}${markdownResults.length > 3 ? `\n... and ${markdownResults.length - 3} more` : ''}`, 'completed');
-          }
-        }
-          
-          // 🎯 Smart URL filtering: Select only 3-4 most relevant URLs
-          let filteredResults;
-          
-          try {
-            filteredResults = await this.filterRelevantUrls(markdownResults, this.currentTask);
-            
-            // Truncate each URL's content to 20,000 characters max
-            filteredResults = filteredResults.map(result => {
-              if (result.markdown && result.markdown.length > 20000) {
-                return {
-                  ...result,
-                  markdown: result.markdown.slice(0, 20000),
-                  truncated: true,
-                  originalLength: result.markdown.length
-                };
-              }
-              return result;
-            });
-            
-            // Update mini step
-          if (this.progressUI) {
-            this.progressUI.updateMiniStep(step.id, step.id, 'completed', `${filteredResults.length} relevant URLs selected`);
-            
-            // Show which URLs were selected
-            if (filteredResults.length > 0) {
-              const selectedUrls = filteredResults.slice(0, 3).map((result, index) => 
-                `${index + 1}. ${result.title || result.url}`
-              ).join('\n');
-              this.progressUI.addMiniStep(step.id, `Selected:\n${selectedUrls}${filteredResults.length > 3 ? `\n... and ${filteredResults.length - 3} more` : ''}`, 'completed');
-            }
-            
-            this.progressUI.addMiniStep(step.id, 'Creating chunked summaries', 'running');
-          }
-          } catch (error) {
-            console.error('❌ URL filtering failed, using fallback:', error);
-            // Fallback: Take first 3 URLs
-            filteredResults = markdownResults.slice(0, 3);
-            
-            // Update mini step
-            if (this.progressUI) {
-              this.progressUI.updateMiniStep(step.id, step.id, 'completed', `Using fallback: ${filteredResults.length} URLs`);
-              
-              // Show fallback URLs
-              if (filteredResults.length > 0) {
-                const fallbackUrls = filteredResults.slice(0, 3).map((result, index) => 
-                  `${index + 1}. ${result.title || result.url}`
-                ).join('\n');
-                this.progressUI.addMiniStep(step.id, `Using:\n${fallbackUrls}${filteredResults.length > 3 ? `\n... and ${filteredResults.length - 3} more` : ''}`, 'completed');
-              }
-              
-              this.progressUI.addMiniStep(step.id, 'Creating chunked summaries', 'running');
-            }
-          }
-          
-          if (filteredResults.length > 0) {
-            // Store filtered markdown data for summarization
-            this.memory.storeExtractedData('markdown_data', filteredResults);
-
-            // 🔄 Create chunked summaries from filtered data
-            const chunkedSummaries = await this.createChunkedSummaries(filteredResults);
-            console.info(`🧩 Chunked summaries created: ${chunkedSummaries.length}`);
-            
-            // 📊 Progress tracking
-            
-            // 📊 Show which URLs were selected for processing
-            filteredResults.forEach((result, index) => {
-            });
-          } else {
+            this.progressUI.addMiniStep(step.id, `Using:\n${fallbackUrls}${filteredResults.length > 3 ? `\n... and ${filteredResults.length - 3} more` : ''}`, 'completed');
           }
           
-          // 🔍 DEBUG: Log filtered markdown data for debugging
-          filteredResults.forEach((result, index) => {
-          });
-          
-          // 🎯 COMPLETE SCRAPED DATA LOG
-          markdownResults.forEach((result, index) => {
-          });
-          
-          return {
-            success: true,
-            message: `Converted ${markdownResults.length} URLs to markdown`,
-            count: markdownResults.length,
-            totalChars: markdownResults.reduce((sum, r) => sum + (r.markdown?.length || 0), 0)
-          };
-        } else {
-          return {
-            success: false,
-            error: 'No markdown generated',
-            message: 'Could not convert any URLs to markdown'
-          };
+          this.progressUI.addMiniStep(step.id, 'Creating chunked summaries', 'running');
         }
+      }
       
-      case 'batchopen':
-      case 'openurls':
-        // LEGACY APPROACH: Open multiple URLs from search results
-        // NOTE: urlsToMarkdown is now preferred for better performance
-        console.warn('⚠️ Consider using "urlsToMarkdown" action for better performance');
-        
-        // Get URLs from memory (search results) or from params
-        let urlsToOpen = params.urls || [];
-        
-        if (urlsToOpen.length === 0) {
-          // Get from search results
-          const searchResults = this.memory.getExtractedData('search_results') || 
-                               this.memory.getExtractedData('search') ||
-                               [];
-          
-          if (searchResults.length === 0) {
-            return {
-              success: false,
-              error: 'No URLs to open',
-              message: 'Please extract search results first'
-            };
-          }
-          
-          // Take top 10-12 results
-          urlsToOpen = searchResults.slice(0, params.limit || 10);
-        }
+      if (filteredResults.length > 0) {
+        // Store filtered markdown data for summarization
+        this.memory.storeExtractedData('markdown_data', filteredResults);
+
+        // 🔄 Create chunked summaries from filtered data
+        const chunkedSummaries = await this.createChunkedSummaries(filteredResults);
+        console.info(`🧩 Chunked summaries created: ${chunkedSummaries.length}`);
         
-        const openResult = await this.openMultipleURLs(urlsToOpen);
+        // 📊 Progress tracking
         
-        if (openResult.success && openResult.tabs.length > 0) {
-          // Store opened tabs for later extraction
-          this.memory.storeExtractedData('opened_tabs', openResult.tabs);
-          return {
-            success: true,
-            message: `Opened ${openResult.count} URLs in batch`,
-            tabs: openResult.tabs
-          };
-        } else {
-          return {
-            success: false,
-            error: openResult.error || 'Failed to open URLs',
-            message: 'Could not open URLs in batch'
-          };
-        }
+        // 📊 Show which URLs were selected for processing
+        filteredResults.forEach((result, index) => {
+        });
+      } else {
+      }
       
-      case 'batchextract':
-      case 'extractall':
-        // Extract from multiple tabs in parallel
-        
-        // Get tab IDs from memory or params
-        let tabsToExtract = params.tabs || [];
-        
-        if (tabsToExtract.length === 0) {
-          // Get from opened tabs
-          const openedTabs = this.memory.getExtractedData('opened_tabs') || [];
-          
-          if (openedTabs.length === 0) {
-            return {
-              success: false,
-              error: 'No tabs to extract from',
-              message: 'Please open URLs first'
-            };
-          }
-          
-          tabsToExtract = openedTabs;
-        }
-        
-        const extractionType = params.what || params.type || 'main content';
-        const extractResult = await this.extractFromMultipleTabs(tabsToExtract, extractionType);
-        
-        if (extractResult.success) {
-          return {
-            success: true,
-            message: `Extracted from ${extractResult.count}/${extractResult.totalAttempted} tabs`,
-            results: extractResult.results
-          };
-        } else {
-          return {
-            success: false,
-            error: extractResult.error || 'Failed to extract from tabs',
-            message: 'Could not extract from tabs'
-          };
-        }
+      // 🔍 DEBUG: Log filtered markdown data for debugging
+      filteredResults.forEach((result, index) => {
+      });
       
-      case 'complete':
-        // Summarize all collected data and present results
-        
-        // Check if we have any data to summarize
-        const extractedData = this.memory.extractedData;
-        const dataKeys = Object.keys(extractedData);
-        
-        // 🎯 COMPLETE STEP - LOG ALL SCRAPED DATA
-        
-        if (extractedData.markdown_data && extractedData.markdown_data.length > 0) {
-          extractedData.markdown_data.forEach((result, index) => {
-          });
-        }
-        
-        if (extractedData.search_results && extractedData.search_results.length > 0) {
-          extractedData.search_results.forEach((result, index) => {
-          });
-        }
-        
-        if (dataKeys.length === 0) {
-          console.warn('⚠️ No data to summarize - task may have failed');
-          return {
-            success: false,
-            error: 'No data collected to summarize',
-            message: 'Please ensure data extraction was successful'
-          };
-        }
-        
-        const summary = await this.summarizeCollectedData(this.memory.currentTask);
-        
-        if (summary && summary.success) {
-          // Store summary
-          this.memory.storeExtractedData('final_summary', summary.summary);
-          return {
-            success: true,
-            message: 'Task completed with summary',
-            summary: summary.summary,
-            dataCount: dataKeys.length,
-            dataTypes: dataKeys
-          };
-        } else {
-          console.error('❌ Summary generation failed:', summary?.error);
-          return {
-            success: false,
-            error: summary?.error || 'Failed to generate summary',
-            message: 'Could not complete task - summary generation failed'
-          };
-        }
+      // 🎯 COMPLETE SCRAPED DATA LOG
+      markdownResults.forEach((result, index) => {
+      });
       
-      default:
-        throw new Error(`Unknown action: ${action}. Available: navigate, search, click, type, fillForm, extract, scroll, wait, analyzeURLs, batchOpen, batchExtract, complete`);
+      return {
+        success: true,
+        message: `Converted ${markdownResults.length} URLs to markdown`,
+        count: markdownResults.length,
+        totalChars: markdownResults.reduce((sum, r) => sum + (r.markdown?.length || 0), 0)
+      };
+    } else {
+      return {
+        success: false,
+        error: 'No markdown generated',
+        message: 'Could not convert any URLs to markdown'
+      };
+    }
+  }
+
+  /**
+   * Read the user's local documents as sources
+   */
+  async readDocumentsStep(step) {
+    const params = step.parameters || {};
+    const target = step.target;
+    // Local files from the sidebar document library, used as sources like converted web pages
+    const library = window.ChromeAIStudio?.localDocuments;
+    if (!library) {
+      return { success: false, error: 'Local documents not available' };
+    }
+    await library.load();
+    
+    const taskText = this.memory.currentTask?.description || '';
+    const requested = [].concat(params.documents || target || []).map(name => String(name).replace(/^@file:/i, '').toLowerCase());
+    const documents = requested.length > 0
+      ? library.documents.filter(doc => requested.some(name => [doc.mentionId, doc.name.toLowerCase(), doc.id].includes(name)))
+      : library.resolveMentions(taskText);
+    
+    if (documents.length === 0) {
+      return {
+        success: false,
+        error: 'No matching local documents',
+        message: 'Add files in the sidebar and mention them as @file:name'
+      };
+    }
+    
+    if (this.progressUI) {
+      this.progressUI.addMiniStep(step.id, `Reading:\n${documents.map((doc, i) => `${i + 1}. ${doc.name}`).join('\n')}`, 'running');
+    }
+    
+    // Keep the parts of each document most relevant to the task (same 20,000 character cap as web pages)
+    const documentSources = library.toSources(documents).map((source, i) => {
+      if (source.markdown.length <= 20000) return source;
+      const relevant = library.selectChunks([documents[i]], library.stripMentions(taskText), 20000);
+      return {
+        ...source,
+        markdown: relevant.map(chunk => chunk.text).join('\n\n'),
+        truncated: true,
+        originalLength: source.markdown.length
+      };
+    });
+    
+    // Summaries are numbered over all sources, so re-chunk them together with any web pages
+    const allSources = [...(this.memory.getExtractedData('markdown_data') || []), ...documentSources];
+    this.memory.storeExtractedData('markdown_data', allSources);
+    
+    if (this.progressUI) {
+      this.progressUI.updateMiniStep(step.id, step.id, 'completed', `${documents.length} documents read`);
+      this.progressUI.addMiniStep(step.id, 'Creating chunked summaries', 'running');
+    }
+    
+    const documentSummaries = await this.createChunkedSummaries(allSources);
+    console.info(`📁 readDocuments: ${documents.length} documents, ${documentSummaries.length} chunk summaries`);
+    
+    return {
+      success: true,
+      message: `Read ${documents.length} local documents`,
+      count: documents.length,
+      totalChars: documentSources.reduce((sum, source) => sum + source.markdown.length, 0)
+    };
+  }
+
+  /**
+   * Open the top search results in tabs (urlsToMarkdown is faster)
+   */
+  async batchOpenStep(step) {
+    const params = step.parameters || {};
+    // LEGACY APPROACH: Open multiple URLs from search results
+    // NOTE: urlsToMarkdown is now preferred for better performance
+    console.warn('⚠️ Consider using "urlsToMarkdown" action for better performance');
+    
+    // Get URLs from memory (search results) or from params
+    let urlsToOpen = params.urls || [];
+    
+    if (urlsToOpen.length === 0) {
+      // Get from search results
+      const searchResults = this.memory.getExtractedData('search_results') || 
+                           this.memory.getExtractedData('search') ||
+                           [];
+      
+      if (searchResults.length === 0) {
+        return {
+          success: false,
+          error: 'No URLs to open',
+          message: 'Please extract search results first'
+        };
+      }
+      
+      // Take top 10-12 results
+      urlsToOpen = searchResults.slice(0, params.limit || 10);
+    }
+    
+    const openResult = await this.openMultipleURLs(urlsToOpen);
+    
+    if (openResult.success && openResult.tabs.length > 0) {
+      // Store opened tabs for later extraction
+      this.memory.storeExtractedData('opened_tabs', openResult.tabs);
+      return {
+        success: true,
+        message: `Opened ${openResult.count} URLs in batch`,
+        tabs: openResult.tabs
+      };
+    } else {
+      return {
+        success: false,
+        error: openResult.error || 'Failed to open URLs',
+        message: 'Could not open URLs in batch'
+      };
+    }
+  }
+
+  /**
+   * Extract from every tab opened by batchOpen
+   */
+  async batchExtractStep(step) {
+    const params = step.parameters || {};
+    // Extract from multiple tabs in parallel
+    
+    // Get tab IDs from memory or params
+    let tabsToExtract = params.tabs || [];
+    
+    if (tabsToExtract.length === 0) {
+      // Get from opened tabs
+      const openedTabs = this.memory.getExtractedData('opened_tabs') || [];
+      
+      if (openedTabs.length === 0) {
+        return {
+          success: false,
+          error: 'No tabs to extract from',
+          message: 'Please open URLs first'
+        };
+      }
+      
+      tabsToExtract = openedTabs;
+    }
+    
+    const extractionType = params.what || params.type || 'main content';
+    const extractResult = await this.extractFromMultipleTabs(tabsToExtract, extractionType);
+    
+    if (extractResult.success) {
+      return {
+        success: true,
+        message: `Extracted from ${extractResult.count}/${extractResult.totalAttempted} tabs`,
+        results: extractResult.results
+      };
+    } else {
+      return {
+        success: false,
+        error: extractResult.error || 'Failed to extract from tabs',
+        message: 'Could not extract from tabs'
+      };
+    }
+  }
+
+  /**
+   * Summarize the collected data and finish
+   */
+  async completeStep(step) {
+    // Summarize all collected data and present results
+    
+    // Check if we have any data to summarize
+    const extractedData = this.memory.extractedData;
+    const dataKeys = Object.keys(extractedData);
+    
+    // 🎯 COMPLETE STEP - LOG ALL SCRAPED DATA
+    
+    if (extractedData.markdown_data && extractedData.markdown_data.length > 0) {
+      extractedData.markdown_data.forEach((result, index) => {
+      });
+    }
+    
+    if (extractedData.search_results && extractedData.search_results.length > 0) {
+      extractedData.search_results.forEach((result, index) => {
+      });
+    }
+    
+    if (dataKeys.length === 0) {
+      console.warn('⚠️ No data to summarize - task may have failed');
+      return {
+        success: false,
+        error: 'No data collected to summarize',
+        message: 'Please ensure data extraction was successful'
+      };
+    }
+    
+    const summary = await this.summarizeCollectedData(this.memory.currentTask);
+    
+    if (summary && summary.success) {
+      // Store summary
+      this.memory.storeExtractedData('final_summary', summary.summary);
+      return {
+        success: true,
+        message: 'Task completed with summary',
+        summary: summary.summary,
+        dataCount: dataKeys.length,
+        dataTypes: dataKeys
+      };
+    } else {
+      console.error('❌ Summary generation failed:', summary?.error);
+      return {
+        success: false,
+        error: summary?.error || 'Failed to generate summary',
+        message: 'Could not complete task - summary generation failed'
+      };
     }
   }
 
@@ -3058,9 +3705,11 @@ NEVER use placeholder URLs like "FIRST_RESULT_URL" or "URL_FROM_SEARCH" - use re
   }
 
   /**
-   * Extract Google search results (URLs, titles, snippets) from search page
+   * Extract search results (URLs, titles, snippets) from search page
+   * @param {number} tabId - Automation tab showing the results page
+   * @param {string} engineId - Search engine adapter (detected from the page URL when omitted)
    */
-  async extractSearchResults(tabId) {
+  async extractSearchResults(tabId, engineId = null) {
     try {
       
       // Note: We can't use chrome.tabs.get() in content script context
@@ -3069,7 +3718,8 @@ NEVER use placeholder URLs like "FIRST_RESULT_URL" or "URL_FROM_SEARCH" - use re
       // Send message to extract search results
       const response = await chrome.runtime.sendMessage({
         type: 'EXTRACT_SEARCH_RESULTS_FROM_TAB',
-        tabId: tabId
+        tabId: tabId,
+        engine: engineId
       });
       
       // Log debug info from automation window
@@ -3095,42 +3745,47 @@ NEVER use placeholder URLs like "FIRST_RESULT_URL" or "URL_FROM_SEARCH" - use re
         return {
           success: true,
           results: response.results,
-          count: response.results.length
+          count: response.results.length,
+          engine: response.engine
         };
       } else {
         console.warn('⚠️ No search results found or extraction failed');
         console.warn('Response:', response);
         
         // Provide specific troubleshooting based on debug info
+        const engineName = window.ChromeAIStudio?.searchEngines?.get(response?.engine || engineId)?.name || 'Search engine';
+        const containerCounts = Object.values(response?.debug?.elementCounts || {});
         if (response?.debug) {
-          if (response.debug.hasRecaptcha) {
-            console.error('🚨 PROBLEM: Google CAPTCHA detected! The automation window triggered Google\'s bot detection.');
-            console.error('💡 SOLUTION: Try using different user agent or cookies, or add delays between requests.');
+          if (response.blocked || response.debug.hasRecaptcha) {
+            console.error(`🚨 PROBLEM: ${engineName} CAPTCHA detected! The automation window triggered bot detection.`);
+            console.error('💡 SOLUTION: The agent falls back to the next search engine when enabled in settings.');
           } else if (response.debug.hasCookieConsent) {
             console.warn('🍪 Cookie consent screen may be blocking content. Trying to extract anyway...');
-          } else if (response.debug.elementCounts && response.debug.elementCounts['div.g'] === 0 && response.debug.elementCounts['.tF2Cxc'] === 0) {
-            console.error('🚨 PROBLEM: No Google result containers (div.g, .tF2Cxc) found!');
+          } else if (containerCounts.length > 2 && containerCounts.slice(0, -2).every(count => count === 0)) {
+            console.error(`🚨 PROBLEM: No ${engineName} result containers found!`);
             console.error(`   Current page: ${response.debug.url}`);
             console.error('💡 POSSIBLE CAUSES:');
-            console.error('   1. Google changed their HTML structure');
-            console.error('   2. Page redirected to a different Google domain');
+            console.error(`   1. ${engineName} changed their HTML structure`);
+            console.error('   2. Page redirected to a different domain');
             console.error('   3. Page showing error or blocking message');
           } else {
             console.warn('⚠️ This might be due to:');
-            console.warn('  1. Google page not fully loaded');
-            console.warn('  2. Google changed HTML structure');
+            console.warn(`  1. ${engineName} page not fully loaded`);
+            console.warn(`  2. ${engineName} changed HTML structure`);
             console.warn('  3. Results still rendering (try longer delay)');
           }
         } else {
           console.warn('⚠️ This might be due to:');
-          console.warn('  1. Google page not fully loaded');
-          console.warn('  2. Google changed HTML structure');
+          console.warn(`  1. ${engineName} page not fully loaded`);
+          console.warn(`  2. ${engineName} changed HTML structure`);
           console.warn('  3. Content script not injected in tab');
         }
         
         return {
           success: false,
           error: response?.error || 'No search results found',
+          blocked: !!(response?.blocked || response?.debug?.hasRecaptcha),
+          engine: response?.engine || engineId,
           results: []
         };
       }
@@ -3509,7 +4164,7 @@ NEVER use placeholder URLs like "FIRST_RESULT_URL" or "URL_FROM_SEARCH" - use re
       }
       
       // Create AI session for summarization
-      if (typeof window.LanguageModel === 'undefined') {
+      if (!this.canCreateLanguageModelSession()) {
         console.warn('⚠️ AI Language Model not available, returning raw data');
         return {
           success: true,
@@ -3517,7 +4172,7 @@ NEVER use placeholder URLs like "FIRST_RESULT_URL" or "URL_FROM_SEARCH" - use re
         };
       }
       
-      const session = await window.LanguageModel.create({
+      const session = await this.createLanguageModelSession({
         temperature: 0.7,
         topK: 40,
         outputLanguage: 'en'
@@ -3561,11 +4216,11 @@ Summary:`;
   async replanStep(failedStep, errorMessage) {
     try {
       
-      if (typeof LanguageModel === 'undefined') {
+      if (!this.canCreateLanguageModelSession()) {
         return null;
       }
       
-      const session = await LanguageModel.create();
+      const session = await this.createLanguageModelSession();
       
       const prompt = `This step failed:
 ${JSON.stringify(failedStep)}
@@ -3594,12 +4249,9 @@ Return ONLY valid JSON in this format:
   "description": "what this step does"
 }`;
       
-      const response = await session.prompt(prompt);
+      const newStep = await this.promptForJSON(session, prompt, AGENT_RESPONSE_SCHEMAS.replanStep);
       await session.destroy();
       
-      const cleaned = response.trim().replace(/```json|```/g, '');
-      const newStep = JSON.parse(cleaned);
-      
       return newStep;
       
     } catch (error) {
@@ -3709,6 +4361,8 @@ Return ONLY valid JSON in this format:
     
     this.isExecuting = false;
     this.memory.endTask('stopped', 'Task stopped by user');
+    await this.saveCheckpoint('stopped');
+    await this.archiveTask();
     
     await this.reportProgress('Task stopped');
   }
@@ -3744,31 +4398,167 @@ Return ONLY valid JSON in this format:
   }
   
   /**
-   * Resume task after login
+   * Stop after the current step and keep a 'paused' checkpoint for resumeTask()
+   * @param {string} reason - Why the task is waiting on the user
    */
-  async resumeTask() {
-    if (!this.pausedState) {
+  async pauseTask(reason) {
+    this.memory.currentTask.status = 'paused';
+    this.isPaused = true;
+    this.pausedState = await this.saveCheckpoint('paused', { pauseReason: reason });
+    this.isExecuting = false;
+    
+    if (this.progressUI && this.pausedState) {
+      this.progressUI.showResumePrompt(this.pausedState);
+    }
+    await this.reportProgress('Paused so you can log in. Resume the task when you are ready.');
+    
+    return {
+      success: false,
+      paused: true,
+      reason: reason,
+      steps: this.currentStep
+    };
+  }
+  
+  /**
+   * Resume a paused or interrupted task from its last checkpoint
+   * @param {string} taskId - Checkpoint to resume; defaults to the paused task
+   */
+  async resumeTask(taskId = null) {
+    const checkpoint = taskId
+      ? await this.taskStore?.getCheckpoint(taskId)
+      : this.pausedState;
+    
+    if (!checkpoint) {
       console.warn('No paused task to resume');
       return;
     }
     
     this.isPaused = false;
     this.resumed = true;
-    
-    // Restore state
-    this.memory.currentTask = this.pausedState.task;
-    this.memory.extractedData = this.pausedState.extractedData;
-    this.currentStep = this.pausedState.stepsCompleted;
-    
-    const pausedState = this.pausedState;
     this.pausedState = null;
     
-    // Continue execution (simplified - would need full state restoration)
-    await this.reportProgress('Task resumed after login');
+    await this.reportProgress('Picking your research back up where it left off.');
     
     if (this.progressUI) {
       this.progressUI.updateStatus('✅ Resumed - continuing task...');
     }
+    
+    return await this.executeTask(checkpoint.description, checkpoint);
+  }
+  
+  /**
+   * Run an archived task again, optionally with an edited description
+   * @param {string} recordId - Task history record id
+   * @param {string} description - Replacement task description (re-run with edits)
+   */
+  async rerunTask(recordId, description = null) {
+    const record = await this.taskHistory?.get(recordId);
+    if (!record) {
+      throw new Error('Task not found in history');
+    }
+    
+    const taskDescription = (description || record.description).trim();
+    if (!taskDescription) {
+      throw new Error('Task description is empty');
+    }
+    
+    return await this.executeTask(taskDescription);
+  }
+  
+  /**
+   * Copy the finished task into the task history archive
+   */
+  async archiveTask() {
+    try {
+      const record = this.memory.getTaskRecord();
+      if (this.taskHistory && record) {
+        await this.taskHistory.archive(record);
+      }
+    } catch (error) {
+      console.warn('📚 Failed to archive task:', error);
+    }
+  }
+  
+  /**
+   * Forget an interrupted task instead of resuming it
+   */
+  async discardTask(taskId) {
+    if (this.pausedState?.id === taskId) {
+      this.pausedState = null;
+      this.isPaused = false;
+    }
+    await this.taskStore?.deleteCheckpoint(taskId);
+  }
+  
+  /**
+   * Persist the current task state (memory, step count, automation window/tab)
+   * @param {string} status - 'running' | 'paused' | 'completed' | 'failed' | 'stopped'
+   * @param {Object} extra - Additional checkpoint fields (e.g. pauseReason)
+   * @returns {Promise<Object|null>} The checkpoint, even when it couldn't be stored
+   */
+  async saveCheckpoint(status, extra = {}) {
+    const task = this.memory?.currentTask;
+    if (!task?.id) return null;
+    
+    const checkpoint = {
+      id: task.id,
+      description: task.description,
+      status: status,
+      stepCount: this.currentStep,
+      memory: this.memory.exportState(),
+      automationWindowId: this.automationWindowId || null,
+      automationTabId: this.currentAutomationTabId || null,
+      originTabId: this.originTabId,
+      originUrl: window.location.href,
+      progressSteps: (this.progressUI?.steps || []).map(step => ({ ...step })),
+      ...extra
+    };
+    
+    try {
+      await this.taskStore?.saveCheckpoint(checkpoint);
+    } catch (error) {
+      console.warn('💾 Failed to checkpoint task:', error);
+    }
+    return checkpoint;
+  }
+  
+  /**
+   * Tab this content script runs in, so checkpoints can be matched after a reload
+   */
+  async getOriginTabId() {
+    try {
+      const tabInfo = await chrome.runtime.sendMessage({ type: 'GET_TAB_INFO' });
+      return tabInfo?.id ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * On page load, offer to resume a task this tab was running when it reloaded or navigated
+   */
+  async checkForInterruptedTask() {
+    try {
+      if (!this.taskStore || typeof chrome === 'undefined' || !chrome.runtime?.id) return;
+      
+      const tabId = await this.getOriginTabId();
+      if (tabId == null) return;
+      
+      const checkpoint = await this.taskStore.getResumableTask(tabId);
+      if (!checkpoint || this.isExecuting) return;
+      
+      this.isPaused = true;
+      this.pausedState = checkpoint;
+      
+      if (this.progressUI) {
+        this.progressUI.show(checkpoint.description);
+        this.progressUI.restoreSteps(checkpoint.progressSteps);
+        this.progressUI.showResumePrompt(checkpoint);
+      }
+    } catch (error) {
+      console.warn('Could not check for interrupted tasks:', error);
+    }
   }
   
   /**
@@ -3780,7 +4570,7 @@ Return ONLY valid JSON in this format:
     }
     
     try {
-      const session = this.aiSession || await LanguageModel.create({
+      const session = this.aiSession || await this.createLanguageModelSession({
         temperature: 0.3,
         topK: 20
       });
@@ -3802,9 +4592,7 @@ Return JSON only:
   "reasoning": "why these links are relevant"
 }`;
 
-      const response = await session.prompt(prompt);
-      const cleaned = response.trim().replace(/```json|```/g, '');
-      const decision = JSON.parse(cleaned);
+      const decision = await this.promptForJSON(session, prompt, AGENT_RESPONSE_SCHEMAS.linkSelection);
       
       // Map numbers to actual URLs
       const selectedUrls = decision.selectedLinks
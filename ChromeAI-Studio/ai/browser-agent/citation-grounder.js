@@ -0,0 +1,281 @@
+/**
+ * Citation Grounder - Tie every claim in the agent's final report to a source chunk
+ * Used by Autonomous Agent after compiling the final summary
+ *
+ * Features:
+ * - Numbered source chunks built the same way as createChunkedSummaries
+ * - Validates [n] citations the model wrote, adds missing ones by text overlap
+ * - Verification pass flags claims no collected chunk supports
+ * - Sources list with URL and chunk position
+ * - Code fences and table headers are left alone; table rows are cited inside their last cell
+ */
+
+const CITATION_STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'from', 'have', 'has',
+  'had', 'not', 'but', 'its', 'their', 'they', 'them', 'which', 'who', 'whom', 'what', 'when',
+  'where', 'why', 'how', 'all', 'any', 'can', 'will', 'would', 'should', 'could', 'into', 'than',
+  'then', 'also', 'such', 'more', 'most', 'other', 'some', 'these', 'those', 'there', 'here',
+  'about', 'over', 'under', 'between', 'each', 'both', 'only', 'very', 'our', 'your', 'you',
+  'his', 'her', 'she', 'him', 'been', 'being', 'does', 'did', 'done', 'per', 'via', 'source',
+  'sources', 'detail', 'details', 'key', 'data'
+]);
+
+class CitationGrounder {
+  constructor(options = {}) {
+    this.options = {
+      supportThreshold: 0.5,  // Share of a claim's key terms that must appear in a chunk
+      minClaimTerms: 3,       // Shorter lines (labels, headings) are not treated as claims
+      ...options
+    };
+  }
+
+  /**
+   * Number the chunks of each source. `chunker(content, size)` must be the agent's
+   * createContentChunks so ids line up with chunked summaries. `sourceIndex` is the
+   * source's position in markdownData, since two sources can share a URL.
+   * @returns {Array<{id, sourceIndex, url, title, chunkIndex, totalChunks, text}>}
+   */
+  buildSourceChunks(markdownData, chunker, chunkSize, maxChunksPerSource, fastSummaryThreshold = Infinity) {
+    const chunks = [];
+
+    (markdownData || []).forEach((source, sourceIndex) => {
+      if (!source?.markdown) return;
+
+      const parts = source.markdown.length > fastSummaryThreshold
+        ? [source.markdown]
+        : chunker(source.markdown, chunkSize).slice(0, maxChunksPerSource);
+
+      parts.forEach((text, index) => {
+        chunks.push({
+          id: chunks.length + 1,
+          sourceIndex,
+          url: source.url,
+          title: source.title || source.url,
+          chunkIndex: index + 1,
+          totalChunks: parts.length,
+          text
+        });
+      });
+    });
+
+    return chunks;
+  }
+
+  /**
+   * Instructions appended to summary prompts when numbered chunks are in the context
+   */
+  getPromptInstructions() {
+    return `CITATIONS:
+- The collected data is split into numbered chunks like "[3]".
+- End every bullet point or factual sentence with the number(s) of the chunk(s) it came from, e.g. "... 94.2% placement rate [3]" or "[2][5]".
+- Only state facts found in the chunks. Do not add a sources list; it is generated for you.`;
+  }
+
+  /**
+   * Annotate a report with verified citations and append a sources list
+   * @returns {{text: string, claims: Array, sources: Array, unsupportedCount: number}}
+   */
+  ground(summary, chunks) {
+    if (!summary || !chunks || chunks.length === 0) {
+      return { text: summary || '', claims: [], sources: [], unsupportedCount: 0 };
+    }
+
+    const chunkTerms = new Map(chunks.map(chunk => [chunk.id, this.getTerms(chunk.text)]));
+    const claims = [];
+    const usedIds = new Set();
+
+    const summaryLines = this.stripSourcesSection(summary).split('\n');
+    const { skipped, tableRows } = this.classifyLines(summaryLines);
+
+    const lines = summaryLines.map((line, index) => {
+      if (skipped.has(index)) return line;
+      const isTableRow = tableRows.has(index);
+      const claimText = isTableRow ? this.getRowClaimText(line) : this.getClaimText(line);
+      if (!claimText) return line;
+
+      const terms = this.getTerms(claimText);
+      if (terms.words.size + terms.numbers.size < this.options.minClaimTerms) return line;
+
+      const cited = this.parseCitations(line).filter(id => chunkTerms.has(id));
+      const scored = chunks
+        .map(chunk => ({ id: chunk.id, score: this.scoreSupport(terms, chunkTerms.get(chunk.id)) }))
+        .sort((a, b) => b.score - a.score);
+
+      // Keep the model's citations that hold up; otherwise fall back to the best matching chunk
+      let citations = cited.filter(id => scored.find(s => s.id === id).score >= this.options.supportThreshold);
+      if (citations.length === 0 && scored[0].score >= this.options.supportThreshold) {
+        citations = [scored[0].id];
+      }
+
+      const supported = citations.length > 0;
+      const score = supported
+        ? Math.max(...citations.map(id => scored.find(s => s.id === id).score))
+        : scored[0].score;
+
+      citations.forEach(id => usedIds.add(id));
+      claims.push({ text: claimText, citations, supported, score: Math.round(score * 100) / 100 });
+
+      const marker = supported ? citations.map(id => `[${id}]`).join('') : '⚠️ *unverified*';
+      return isTableRow
+        ? this.appendToLastCell(this.removeCitations(line), marker)
+        : `${this.removeCitations(line).replace(/\s+$/, '')} ${marker}`;
+    });
+
+    const sources = chunks.filter(chunk => usedIds.has(chunk.id));
+    const unsupportedCount = claims.filter(claim => !claim.supported).length;
+
+    let text = lines.join('\n').trim();
+    if (sources.length > 0) {
+      text += '\n\n## Sources\n' + sources.map(chunk => {
+        const part = chunk.totalChunks > 1 ? ` — part ${chunk.chunkIndex}/${chunk.totalChunks}` : '';
+        return `[${chunk.id}] [${chunk.title}](${chunk.url})${part}`;
+      }).join('\n');
+    }
+    if (unsupportedCount > 0) {
+      text += `\n\n> ⚠️ ${unsupportedCount} of ${claims.length} claims could not be matched to any collected source and are marked *unverified*.`;
+    }
+
+    return { text, claims, sources, unsupportedCount };
+  }
+
+  /**
+   * Lines to leave untouched (code fences, table headers and delimiter rows) and table body rows
+   * @returns {{skipped: Set<number>, tableRows: Set<number>}} Line indexes
+   */
+  classifyLines(lines) {
+    const skipped = new Set();
+    const tableRows = new Set();
+    const isDelimiterRow = line => line.includes('|') && /^\s*\|?(\s*:?-+:?\s*\|)*\s*:?-+:?\s*\|?\s*$/.test(line);
+    let fence = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const fenceMatch = lines[i].match(/^\s*(`{3,}|~{3,})/);
+      if (fence || fenceMatch) {
+        skipped.add(i);
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+          fence = null;
+        }
+        continue;
+      }
+
+      if (lines[i].includes('|') && i + 1 < lines.length && isDelimiterRow(lines[i + 1])) {
+        skipped.add(i);
+        skipped.add(i + 1);
+        i += 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+          tableRows.add(i);
+          i++;
+        }
+        i--;
+      }
+    }
+    return { skipped, tableRows };
+  }
+
+  /**
+   * Claim text of a table row: its cells joined
+   */
+  getRowClaimText(line) {
+    return this.removeCitations(line)
+      .split('|')
+      .map(cell => cell.replace(/[*_`]/g, '').trim())
+      .filter(Boolean)
+      .join(' — ') || null;
+  }
+
+  /**
+   * Put a citation inside the row's last cell so the column count stays the same
+   */
+  appendToLastCell(row, marker) {
+    const closing = row.match(/\s*\|\s*$/);
+    return closing
+      ? `${row.slice(0, closing.index)} ${marker}${closing[0]}`
+      : `${row.replace(/\s+$/, '')} ${marker}`;
+  }
+
+  /**
+   * Plain claim text of a Markdown line, or null for headings, rules, tables and blanks
+   */
+  getClaimText(line) {
+    const trimmed = line.trim();
+    if (!trimmed || /^#{1,6}\s/.test(trimmed) || /^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) return null;
+    if (/^\|?[\s:-]+\|[\s|:-]*$/.test(trimmed) || trimmed.startsWith('>')) return null;
+
+    return this.removeCitations(trimmed)
+      .replace(/^([-*+]|\d+\.)\s+/, '')
+      .replace(/[*_`]/g, '')
+      .trim() || null;
+  }
+
+  parseCitations(line) {
+    const ids = [];
+    const pattern = /\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      match[1].split(',').forEach(n => ids.push(parseInt(n.trim(), 10)));
+    }
+    return [...new Set(ids)];
+  }
+
+  removeCitations(line) {
+    return line.replace(/\s*\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g, '');
+  }
+
+  /**
+   * Drop a Sources/References section the model wrote itself at the end of the report;
+   * a heading like that with more sections after it is part of the content
+   */
+  stripSourcesSection(summary) {
+    const lines = summary.split('\n');
+    const { skipped } = this.classifyLines(lines);
+    let last = -1;
+    lines.forEach((line, index) => {
+      if (!skipped.has(index) && /^#{1,6}\s/.test(line.trim())) last = index;
+    });
+
+    if (last <= 0 || !/^#{1,6}\s*(sources|references|citations)\b/i.test(lines[last].trim())) return summary;
+    return lines.slice(0, last).join('\n');
+  }
+
+  getTerms(text) {
+    const lower = String(text || '').toLowerCase();
+    const numbers = new Set((lower.match(/\d[\d,.]*/g) || []).map(n => n.replace(/,/g, '').replace(/\.$/, '')));
+    const words = new Set(
+      (lower.match(/[\p{L}][\p{L}'-]{2,}/gu) || []).filter(word => !CITATION_STOPWORDS.has(word))
+    );
+    return { words, numbers };
+  }
+
+  /**
+   * Share of the claim's words found in the chunk; claims whose numbers are all
+   * missing from the chunk are only half as well supported
+   */
+  scoreSupport(claimTerms, chunkTerms) {
+    const total = claimTerms.words.size + claimTerms.numbers.size;
+    if (total === 0) return 0;
+
+    let hits = 0;
+    claimTerms.words.forEach(word => { if (chunkTerms.words.has(word)) hits++; });
+    let numberHits = 0;
+    claimTerms.numbers.forEach(n => { if (chunkTerms.numbers.has(n)) numberHits++; });
+
+    let score = (hits + numberHits) / total;
+    if (claimTerms.numbers.size > 0 && numberHits === 0) {
+      score *= 0.5;
+    }
+    return score;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CitationGrounder;
+} else if (typeof window !== 'undefined') {
+  window.CitationGrounder = CitationGrounder;
+
+  // Initialize in ChromeAI Studio namespace
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.citationGrounder = new CitationGrounder();
+}
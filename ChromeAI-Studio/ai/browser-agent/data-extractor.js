@@ -15,94 +15,27 @@ class DataExtractor {
   }
 
   /**
-   * Extract Google search results
+   * Extract organic search results from the current results page
+   * @param {number} limit - Maximum results
+   * @param {string} engineId - Search engine adapter (detected from the URL when omitted)
    */
-  extractSearchResults(limit = 10) {
+  extractSearchResults(limit = 10, engineId = null) {
     try {
-      
-      const results = [];
-      
-      // ✨ UPDATED: Modern Google organic result selectors (2024/2025)
-      // These target ONLY the main organic results (typically 10 per page)
-      const selectors = [
-        '.tF2Cxc',                // Primary organic result container (current Google)
-        'div.g:has(.yuRUbf)',     // Organic result with main link
-        '#search div.g',          // Fallback for older format
-        'div.g',                  // Simple fallback
-        '[data-hveid] div.g'      // Alternative with attribute
-      ];
-      
-      let googleResults = [];
-      let selectorUsed = '';
-      
-      for (const selector of selectors) {
-        try {
-          googleResults = document.querySelectorAll(selector);
-          if (googleResults.length > 0) {
-            selectorUsed = selector;
-            break;
-          } else {
-          }
-        } catch (err) {
-          console.warn(`❌ Selector failed: ${selector}`, err);
-        }
+      const registry = window.ChromeAIStudio?.searchEngines;
+      if (!registry) {
+        console.warn('⚠️ Search engine registry not available');
+        return [];
       }
-      
-      if (googleResults.length === 0) {
-        console.warn('⚠️ No search results found with any selector');
-        
-        // Debug: Show first 1000 chars of page
-        
-        return results; // Return empty array
-      }
-      
-      Array.from(googleResults).slice(0, limit).forEach((result, index) => {
-        try {
-          // ✨ Get the main organic link (the one users actually click)
-          const linkEl = result.querySelector('.yuRUbf a, a[href]:has(h3), h3 a');
-          const titleEl = result.querySelector('h3');
-          const snippetEl = result.querySelector('.VwiC3b, .IsZvec, .yXK7lf, .s, [data-sncf], [data-content-feature="1"]');
-          
-          if (titleEl && linkEl && linkEl.href) {
-            const url = linkEl.href;
-            
-            // Filter out Google internal links
-            if (url.includes('google.com/search') || 
-                url.includes('google.com/url') ||
-                url.includes('webcache.googleusercontent') ||
-                url.includes('translate.google.com') ||
-                url.includes('accounts.google.com') ||
-                !url.startsWith('http')) {
-              return;
-            }
-            
-            try {
-              const domain = new URL(url).hostname;
-              
-              results.push({
-                rank: results.length + 1,
-                position: results.length + 1,
-                title: titleEl.textContent.trim(),
-                link: url,
-                url: url,
-                snippet: snippetEl?.textContent.trim() || '',
-                domain: domain
-              });
-            } catch (urlError) {
-              console.warn(`Invalid URL at index ${index}:`, url);
-            }
-          }
-        } catch (err) {
-          console.warn(`Failed to extract result ${index}:`, err);
-        }
-      });
-      if (results.length > 0) {
-        results.slice(0, 5).forEach(r => {
-        });
+
+      const engine = (engineId && registry.get(engineId)) || registry.detect(window.location.href) || registry.get('google');
+      const results = registry.parseResults(engine, document, limit);
+
+      if (results.length === 0) {
+        console.warn(`⚠️ No ${engine.name} search results found with any selector`);
       }
-      
+
       return results;
-      
+
     } catch (error) {
       console.error('❌ Search extraction failed:', error);
       console.error('Stack:', error.stack);
@@ -467,7 +400,7 @@ class DataExtractor {
       // Default: try URL-based detection
       const url = window.location.href;
       
-      if (url.includes('google.com/search')) {
+      if (window.ChromeAIStudio?.searchEngines?.detect(url)) {
         result = this.extractSearchResults();
       } else if (url.includes('amazon.') || url.includes('flipkart.')) {
         result = this.extractProductInfo();
@@ -523,84 +456,10 @@ if (typeof module !== 'undefined' && module.exports) {
   window.ChromeAIStudio.dataExtractor = new DataExtractor();
   
   /**
-   * Extract links from Google search results (ORGANIC RESULTS ONLY)
+   * Extract links from search results (ORGANIC RESULTS ONLY)
    */
-  function extractSearchLinks() {
-    
-    const searchResults = [];
-    
-    // ✨ UPDATED: Modern Google organic result selectors (2024/2025)
-    // These target ONLY the main 10 organic results, not all links
-    const organicSelectors = [
-      '.tF2Cxc',                // Primary organic result container (current Google)
-      'div.g:has(.yuRUbf)',     // Organic result with main link
-      '#search div.g',          // Fallback for older format
-      'div.g',                  // Simple fallback
-      '[data-hveid] div.g',     // Alternative with attribute
-      '.g'                      // Most basic fallback
-    ];
-    
-    let resultDivs = [];
-    let selectorUsed = '';
-    
-    for (const selector of organicSelectors) {
-      try {
-        resultDivs = document.querySelectorAll(selector);
-        if (resultDivs.length > 0) {
-          selectorUsed = selector;
-          break;
-        } else {
-        }
-      } catch (err) {
-        console.warn(`❌ Selector failed: ${selector}`, err);
-      }
-    }
-    
-    if (resultDivs.length === 0) {
-      console.warn('⚠️ No organic results found - Google HTML may have changed or page not loaded');
-      
-      return searchResults;
-    }
-    
-    // Extract data from each organic result
-    resultDivs.forEach((div, index) => {
-      try {
-        // ✨ Get the main link (the one users click)
-        const link = div.querySelector('.yuRUbf a, a[href]:has(h3), h3 a');
-        const title = div.querySelector('h3');
-        
-        // Get snippet/description (multiple possible selectors)
-        const snippet = div.querySelector('.VwiC3b, .IsZvec, .s, [data-content-feature="1"]');
-        
-        // Only include if we have the essential data
-        if (link && title && link.href) {
-          const url = link.href;
-          
-          // Filter out Google internal links
-          if (!url.includes('google.com/search') && 
-              !url.includes('google.com/url') &&
-              !url.includes('webcache.googleusercontent') &&
-              !url.includes('translate.google.com') &&
-              url.startsWith('http')) {
-            
-            try {
-              searchResults.push({
-                position: searchResults.length + 1, // Sequential numbering
-                url: url,
-                title: title.textContent.trim(),
-                snippet: snippet?.textContent.trim() || '',
-                domain: new URL(url).hostname
-              });
-            } catch (urlError) {
-              console.warn(`Invalid URL for result ${index}:`, url);
-            }
-          }
-        }
-      } catch (err) {
-        console.warn(`Failed to extract result ${index}:`, err);
-      }
-    });
-    return searchResults;
+  function extractSearchLinks(engineId = null) {
+    return this.extractSearchResults(20, engineId);
   }
   
   // Listen for extraction requests from other tabs (automation window)
@@ -616,8 +475,8 @@ if (typeof module !== 'undefined' && module.exports) {
         timestamp: new Date().toISOString()
       };
       
-      // Wait a bit longer to ensure Google results are rendered
-      setTimeout(() => {
+      // Wait a bit longer to ensure search results are rendered
+      setTimeout(async () => {
         try {
           const extractor = window.ChromeAIStudio?.dataExtractor;
           
@@ -632,33 +491,33 @@ if (typeof module !== 'undefined' && module.exports) {
             return;
           }
           
-          // Check for common Google blocking elements
-          const hasRecaptcha = !!document.querySelector('#recaptcha, iframe[src*="recaptcha"]');
+          // The default and site search engines come from settings
+          const registry = window.ChromeAIStudio?.searchEngines;
+          await registry?.init();
+          const engine = (message.engine && registry?.get(message.engine)) || registry?.detect(window.location.href) || registry?.get('google');
+          
+          // Check for captcha / bot-check pages and other blocking elements
+          const blocked = registry ? registry.isBlocked(engine, document, window.location.href) : false;
           const hasCookieConsent = !!document.querySelector('[aria-label*="cookie" i], [id*="cookie" i], [class*="cookie" i]');
-          const hasLoginPrompt = !!document.querySelector('[href*="accounts.google.com"]');
           
-          debugInfo.hasRecaptcha = hasRecaptcha;
+          debugInfo.engine = engine?.id;
+          debugInfo.hasRecaptcha = blocked;
           debugInfo.hasCookieConsent = hasCookieConsent;
-          debugInfo.hasLoginPrompt = hasLoginPrompt;
           
           // Count potential result containers
           debugInfo.elementCounts = {
-            'div.g': document.querySelectorAll('div.g').length,
-            '.tF2Cxc': document.querySelectorAll('.tF2Cxc').length,
-            '#search': document.querySelector('#search') ? 'EXISTS' : 'MISSING',
-            '#main': document.querySelector('#main') ? 'EXISTS' : 'MISSING',
+            ...(registry ? registry.countContainers(engine) : {}),
             'h3': document.querySelectorAll('h3').length,
             'a[href]': document.querySelectorAll('a[href]').length
           };
           
-          const results = extractor.extractSearchLinks();
-          
-          if (results.length > 0) {
-          }
+          const results = extractor.extractSearchLinks(engine?.id);
           
           sendResponse({
             success: true,
             results: results,
+            engine: engine?.id,
+            blocked: blocked,
             debug: debugInfo
           });
         } catch (error) {
@@ -673,7 +532,7 @@ if (typeof module !== 'undefined' && module.exports) {
             debug: debugInfo
           });
         }
-      }, 1000); // Increased to 1 second to ensure Google results are fully rendered
+      }, 1000); // Increased to 1 second to ensure search results are fully rendered
       
       return true; // Keep message channel open
     }
@@ -691,9 +550,9 @@ if (typeof module !== 'undefined' && module.exports) {
           
           let data;
           
-          // Check if this is a Google search page
+          // Check if this is a search results page
           if (message.dataType === 'search results' || 
-              (window.location.hostname.includes('google.com') && window.location.pathname.includes('/search'))) {
+              window.ChromeAIStudio?.searchEngines?.detect(window.location.href)) {
             data = extractor.extractSearchLinks();
           } else {
             data = extractor.smartExtract(message.dataType);
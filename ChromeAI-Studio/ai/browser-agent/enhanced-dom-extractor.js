@@ -352,8 +352,9 @@ class EnhancedDOMExtractor {
     const elements = this.getAllInteractiveElements()
       .filter(e => e.state.isVisible && e.state.isClickable);
     
-    if (!aiSession && typeof LanguageModel !== 'undefined') {
-      aiSession = await LanguageModel.create();
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    if (!aiSession && aiManager?.canCreatePromptSession()) {
+      aiSession = await aiManager.createPromptSession();
     }
     
     if (!aiSession) {
@@ -0,0 +1,394 @@
+/**
+ * Search Engines - Adapter registry for the agent's web searches
+ * Used by Action Executor (search URLs), Data Extractor (result parsing) and
+ * Autonomous Agent (engine fallback)
+ *
+ * Each adapter has:
+ * - buildUrl(query): results page URL
+ * - matches(url): whether a URL is one of its results pages
+ * - selectors: { containers[], link, title, snippet } for organic results
+ * - resolveUrl(href): unwrap redirect links (optional)
+ * - isExcluded(url): drop the engine's own links (optional)
+ * - blockSelectors / isBlockedUrl(url): captcha and bot-check pages
+ *
+ * Settings (`searchEngines`):
+ * { default: 'google', fallback: true, site: { name, urlTemplate, containers, link, title, snippet } }
+ */
+
+const SITE_SEARCH_PRESETS = {
+  wikipedia: {
+    name: 'Wikipedia',
+    urlTemplate: 'https://en.wikipedia.org/w/index.php?search={query}&fulltext=1&ns0=1',
+    containers: ['.mw-search-results .mw-search-result', '.mw-search-result'],
+    link: '.mw-search-result-heading a',
+    title: '.mw-search-result-heading',
+    snippet: '.searchresult'
+  },
+  github: {
+    name: 'GitHub',
+    urlTemplate: 'https://github.com/search?q={query}&type=repositories',
+    containers: ['[data-testid="results-list"] > div', '.repo-list-item'],
+    link: '.search-title a, h3 a, a.v-align-middle',
+    title: '.search-title, h3',
+    snippet: 'p, .mb-1'
+  }
+};
+
+/**
+ * Decode a base64url string (Bing's `u=a1...` redirect targets)
+ */
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+function getSearchParam(href, name) {
+  try {
+    return new URL(href, window.location.href).searchParams.get(name);
+  } catch (error) {
+    return null;
+  }
+}
+
+const BUILTIN_SEARCH_ENGINES = [
+  {
+    id: 'google',
+    name: 'Google',
+    buildUrl: (query) => `https://www.google.com/search?q=${encodeURIComponent(query)}`,
+    matches: (url) => /^https?:\/\/(www\.)?google\.[a-z.]+\/search/i.test(url),
+    selectors: {
+      containers: ['.tF2Cxc', 'div.g:has(.yuRUbf)', '#search div.g', 'div.g', '[data-hveid] div.g'],
+      link: '.yuRUbf a, a[href]:has(h3), h3 a',
+      title: 'h3',
+      snippet: '.VwiC3b, .IsZvec, .yXK7lf, .s, [data-sncf], [data-content-feature="1"]'
+    },
+    isExcluded: (url) => /google\.[a-z.]+\/(search|url)|webcache\.googleusercontent|translate\.google\.|accounts\.google\./i.test(url),
+    blockSelectors: ['#recaptcha', 'iframe[src*="recaptcha"]', 'form#captcha-form'],
+    isBlockedUrl: (url) => /google\.[a-z.]+\/sorry\//i.test(url)
+  },
+  {
+    id: 'bing',
+    name: 'Bing',
+    buildUrl: (query) => `https://www.bing.com/search?q=${encodeURIComponent(query)}`,
+    matches: (url) => /^https?:\/\/(www\.)?bing\.com\/search/i.test(url),
+    selectors: {
+      containers: ['#b_results > li.b_algo', 'li.b_algo'],
+      link: 'h2 a',
+      title: 'h2',
+      snippet: '.b_caption p, .b_lineclamp2, .b_algoSlug, p'
+    },
+    resolveUrl: (href) => {
+      // Tracking links: bing.com/ck/a?...&u=a1<base64url target>
+      const target = /bing\.com\/ck\/a/i.test(href) ? getSearchParam(href, 'u') : null;
+      if (target && target.startsWith('a1')) {
+        try {
+          return decodeBase64Url(target.slice(2));
+        } catch (error) {
+          return href;
+        }
+      }
+      return href;
+    },
+    isExcluded: (url) => /^https?:\/\/(www\.)?bing\.com\//i.test(url),
+    blockSelectors: ['#b_captcha', 'iframe[src*="challenges.cloudflare"]', 'form[action*="captcha"]'],
+    isBlockedUrl: (url) => /bing\.com\/(turing|captcha)/i.test(url)
+  },
+  {
+    id: 'duckduckgo',
+    name: 'DuckDuckGo',
+    buildUrl: (query) => `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`,
+    matches: (url) => /^https?:\/\/(html\.|www\.)?duckduckgo\.com\/(html\/?)?\?/i.test(url),
+    selectors: {
+      containers: ['article[data-testid="result"]', '.result.results_links_deep', '.result.results_links', '.result'],
+      link: 'a[data-testid="result-title-a"], a.result__a',
+      title: 'a[data-testid="result-title-a"], a.result__a, h2',
+      snippet: '[data-result="snippet"], .result__snippet'
+    },
+    resolveUrl: (href) => {
+      // HTML version links through duckduckgo.com/l/?uddg=<encoded target>
+      const target = /duckduckgo\.com\/l\//i.test(href) ? getSearchParam(href, 'uddg') : null;
+      return target || href;
+    },
+    isExcluded: (url) => /duckduckgo\.com\/(y\.js|l\/|\?)/i.test(url),
+    blockSelectors: ['.anomaly-modal', '#challenge-form', 'form[action*="anomaly"]'],
+    isBlockedUrl: () => false
+  },
+  {
+    id: 'brave',
+    name: 'Brave Search',
+    buildUrl: (query) => `https://search.brave.com/search?q=${encodeURIComponent(query)}`,
+    matches: (url) => /^https?:\/\/search\.brave\.com\/search/i.test(url),
+    selectors: {
+      containers: ['#results .snippet[data-type="web"]', '.snippet[data-type="web"]', '#results .snippet'],
+      link: 'a[href^="http"]',
+      title: '.title, .snippet-title',
+      snippet: '.snippet-description, .generic-snippet, .snippet-content'
+    },
+    isExcluded: (url) => /search\.brave\.com\//i.test(url),
+    blockSelectors: ['#captcha', 'form[action*="captcha"]', '.captcha-container'],
+    isBlockedUrl: (url) => /search\.brave\.com\/captcha/i.test(url)
+  },
+  {
+    id: 'startpage',
+    name: 'Startpage',
+    buildUrl: (query) => `https://www.startpage.com/sp/search?query=${encodeURIComponent(query)}`,
+    matches: (url) => /^https?:\/\/(www\.)?startpage\.com\/(sp|do)\/search/i.test(url),
+    selectors: {
+      containers: ['.w-gl .result', '.w-gl__result', 'div.result'],
+      link: 'a.result-title, a.w-gl__result-title, a.result-link',
+      title: 'h2, h3, .wgl-title',
+      snippet: 'p.description, .w-gl__description'
+    },
+    isExcluded: (url) => /startpage\.com\//i.test(url),
+    blockSelectors: ['.captcha', 'form[action*="captcha"]'],
+    isBlockedUrl: (url) => /startpage\.com\/sp\/captcha/i.test(url)
+  }
+];
+
+class SearchEngineRegistry {
+  constructor() {
+    this.engines = new Map();
+    this.defaultEngine = 'google';
+    this.fallbackEnabled = true;
+    this.settingsManager = null;
+    this.initPromise = null;
+
+    BUILTIN_SEARCH_ENGINES.forEach(engine => this.register(engine));
+    this.configureSiteSearch(SITE_SEARCH_PRESETS.wikipedia);
+  }
+
+  /**
+   * Add or replace an engine adapter
+   */
+  register(engine) {
+    if (!engine?.id || typeof engine.buildUrl !== 'function' || !engine.selectors?.containers?.length) {
+      throw new Error('Search engine adapter needs an id, buildUrl() and result selectors');
+    }
+    this.engines.set(engine.id, engine);
+  }
+
+  get(id) {
+    return this.engines.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.engines.values()).map(engine => ({ id: engine.id, name: engine.name }));
+  }
+
+  /**
+   * Load the default engine and site search from settings and follow changes
+   */
+  async init() {
+    if (!this.initPromise) {
+      this.initPromise = this.loadSettings();
+    }
+    return this.initPromise;
+  }
+
+  async loadSettings() {
+    try {
+      if (window.ChromeAIStudio?.SettingsManager) {
+        this.settingsManager = new window.ChromeAIStudio.SettingsManager();
+        await this.settingsManager.init();
+        this.applySettings(this.settingsManager.get('searchEngines'));
+        this.settingsManager.addListener((type) => {
+          if (type === 'changed' || type === 'synced' || type === 'reset') {
+            this.applySettings(this.settingsManager.get('searchEngines'));
+          }
+        });
+      }
+    } catch (error) {
+      console.warn('🔎 Failed to load search engine settings, using Google:', error);
+    }
+  }
+
+  applySettings(settings) {
+    this.defaultEngine = this.engines.has(settings?.default) ? settings.default : 'google';
+    this.fallbackEnabled = settings?.fallback !== false;
+    if (settings?.site?.urlTemplate) {
+      this.configureSiteSearch(settings.site);
+    }
+  }
+
+  async setDefault(id, fallback = this.fallbackEnabled) {
+    if (!this.engines.has(id)) {
+      throw new Error(`Unknown search engine: ${id}`);
+    }
+    this.defaultEngine = id;
+    this.fallbackEnabled = fallback;
+    await this.save();
+  }
+
+  /**
+   * Change the site search (preset id or URL template) and persist it
+   */
+  async setSiteSearch(config) {
+    this.configureSiteSearch(config);
+    await this.save();
+  }
+
+  async save() {
+    if (this.settingsManager) {
+      const site = this.get('site');
+      await this.settingsManager.set('searchEngines', {
+        default: this.defaultEngine,
+        fallback: this.fallbackEnabled,
+        site: site?.config || null
+      });
+    }
+  }
+
+  /**
+   * Configure the site search engine (e.g. Wikipedia or GitHub) from a URL template
+   * containing {query} and the result selectors of that site
+   */
+  configureSiteSearch(config) {
+    const preset = SITE_SEARCH_PRESETS[config?.preset] || {};
+    const site = { ...preset, ...config };
+    if (!site.urlTemplate || !site.urlTemplate.includes('{query}')) {
+      throw new Error('Site search needs a URL template containing {query}');
+    }
+
+    const [templateBase] = site.urlTemplate.split('{query}');
+    const origin = new URL(site.urlTemplate.replace('{query}', '')).origin;
+    this.register({
+      id: 'site',
+      name: site.name || new URL(origin).hostname,
+      config: site,
+      buildUrl: (query) => site.urlTemplate.replace('{query}', encodeURIComponent(query)),
+      matches: (url) => url.startsWith(templateBase),
+      selectors: {
+        containers: Array.isArray(site.containers) ? site.containers : [site.containers || 'main li'],
+        link: site.link || 'a[href]',
+        title: site.title || 'a[href]',
+        snippet: site.snippet || 'p'
+      },
+      isExcluded: (url) => url.startsWith(templateBase),
+      blockSelectors: [],
+      isBlockedUrl: () => false
+    });
+  }
+
+  /**
+   * Engines to try, in order: the preferred one, then the other general engines
+   * if fallback is on (site search is only used when chosen)
+   */
+  getSearchOrder(preferred = this.defaultEngine) {
+    const first = this.get(preferred) ? preferred : this.defaultEngine;
+    if (!this.fallbackEnabled) return [first];
+
+    const others = BUILTIN_SEARCH_ENGINES.map(engine => engine.id).filter(id => id !== first);
+    return [first, ...others];
+  }
+
+  buildUrl(query, engineId = this.defaultEngine) {
+    return (this.get(engineId) || this.get('google')).buildUrl(query);
+  }
+
+  /**
+   * Adapter whose results page this URL is, or null
+   */
+  detect(url = window.location.href) {
+    for (const engine of this.engines.values()) {
+      try {
+        if (engine.matches(url)) return engine;
+      } catch (error) {
+        // Ignore adapters with broken matchers
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Captcha / bot-check detection for a results page
+   */
+  isBlocked(engine, root = document, url = window.location.href) {
+    if (!engine) return false;
+    if (engine.isBlockedUrl?.(url)) return true;
+    return (engine.blockSelectors || []).some(selector => {
+      try {
+        return !!root.querySelector(selector);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Organic results from a results page
+   * @returns {Array<{position, rank, title, url, link, snippet, domain, engine}>}
+   */
+  parseResults(engine, root = document, limit = 10) {
+    if (!engine) return [];
+
+    let containers = [];
+    for (const selector of engine.selectors.containers) {
+      try {
+        containers = root.querySelectorAll(selector);
+        if (containers.length > 0) break;
+      } catch (error) {
+        console.warn(`❌ Selector failed: ${selector}`, error);
+      }
+    }
+
+    const results = [];
+    const seen = new Set();
+
+    for (const container of Array.from(containers)) {
+      if (results.length >= limit) break;
+
+      try {
+        const linkEl = container.matches(engine.selectors.link) ? container : container.querySelector(engine.selectors.link);
+        const titleEl = container.querySelector(engine.selectors.title) || linkEl;
+        const snippetEl = container.querySelector(engine.selectors.snippet);
+        if (!linkEl?.href || !titleEl) continue;
+
+        const url = engine.resolveUrl ? engine.resolveUrl(linkEl.href) : linkEl.href;
+        if (!url.startsWith('http') || engine.isExcluded?.(url) || seen.has(url)) continue;
+        seen.add(url);
+
+        const position = results.length + 1;
+        results.push({
+          position,
+          rank: position,
+          title: titleEl.textContent.trim(),
+          url,
+          link: url,
+          snippet: snippetEl && snippetEl !== titleEl ? snippetEl.textContent.trim() : '',
+          domain: new URL(url).hostname,
+          engine: engine.id
+        });
+      } catch (error) {
+        console.warn('Failed to extract search result:', error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * How many elements each of the engine's container selectors matches (for debugging)
+   */
+  countContainers(engine, root = document) {
+    return (engine?.selectors.containers || []).reduce((counts, selector) => {
+      try {
+        counts[selector] = root.querySelectorAll(selector).length;
+      } catch (error) {
+        counts[selector] = 'INVALID';
+      }
+      return counts;
+    }, {});
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SearchEngineRegistry, SITE_SEARCH_PRESETS };
+} else if (typeof window !== 'undefined') {
+  window.SearchEngineRegistry = SearchEngineRegistry;
+
+  // Initialize in ChromeAI Studio namespace
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.SITE_SEARCH_PRESETS = SITE_SEARCH_PRESETS;
+  window.ChromeAIStudio.searchEngines = new SearchEngineRegistry();
+}
@@ -0,0 +1,212 @@
+/**
+ * ChromeAI Studio - Browser Tools
+ * The page tools shared by the voice agent, the autonomous agent, `/tool` chat commands and
+ * the MCP bridge: navigate, search, click, fillForm and scroll, each registered once
+ *
+ * - Tools return `{success, message, ...}` and throw when they cannot run
+ * - The autonomous agent passes `{automationWindow: true}` as the second argument to open
+ *   pages in its automation window, and `approval` with the elements the user approved
+ * - The names these tools replaced stay as aliases (openWebsite, searchWeb, clickElement, ...)
+ */
+
+// Site names that open directly instead of being searched
+const BROWSER_TOOL_SITES = {
+  youtube: 'https://youtube.com',
+  gmail: 'https://gmail.com',
+  github: 'https://github.com',
+  twitter: 'https://twitter.com',
+  facebook: 'https://facebook.com',
+  instagram: 'https://instagram.com',
+  linkedin: 'https://linkedin.com',
+  reddit: 'https://reddit.com',
+  stackoverflow: 'https://stackoverflow.com',
+  amazon: 'https://amazon.com',
+  netflix: 'https://netflix.com',
+  spotify: 'https://spotify.com'
+};
+
+class BrowserTools {
+  /**
+   * Page actions run through the agent's ActionExecutor, so every consumer finds elements the same way
+   */
+  getExecutor() {
+    const executor = window.ChromeAIStudio?.actionExecutor;
+    if (!executor) {
+      throw new Error('Browser actions are not available on this page');
+    }
+    return executor;
+  }
+
+  /**
+   * URL for a full URL, a domain, a known site name, or else a search
+   */
+  resolveUrl(destination) {
+    const text = String(destination || '').trim();
+    if (/^https?:\/\//i.test(text)) return text;
+
+    const site = BROWSER_TOOL_SITES[text.toLowerCase()];
+    if (site) return site;
+    if (text.includes('.') && !/\s/.test(text)) return `https://${text}`;
+    return this.buildSearchUrl(text);
+  }
+
+  buildSearchUrl(query, engineId) {
+    const engines = window.ChromeAIStudio?.searchEngines;
+    return engines
+      ? engines.buildUrl(query, engines.get(engineId) ? engineId : engines.defaultEngine)
+      : `https://www.google.com/search?q=${encodeURIComponent(query)}`;
+  }
+
+  openUrl(url, newTab) {
+    if (newTab) {
+      window.open(url, '_blank');
+    } else {
+      window.location.href = url;
+    }
+  }
+
+  /**
+   * Tool definitions, registered in the shared tool registry on load
+   */
+  getTools() {
+    const browserTools = this;
+
+    return [
+      {
+        name: 'navigate',
+        aliases: ['openWebsite', 'smartNavigate'],
+        description: 'Open a website by URL, domain or name (e.g. "github"); anything else is searched',
+        sideEffect: 'navigates',
+        permissions: ['tabs'],
+        consumers: ['voice', 'agent', 'chat'],
+        inputSchema: {
+          type: 'object',
+          properties: {
+            url: { type: 'string', description: 'URL, domain, site name or search query' },
+            newTab: { type: 'boolean', description: 'Open in a new tab (default: false)' }
+          },
+          required: ['url']
+        },
+        async execute({ url, newTab = false }, context = {}) {
+          const fullUrl = browserTools.resolveUrl(url);
+          if (context.automationWindow) {
+            return browserTools.getExecutor().navigate(fullUrl);
+          }
+
+          browserTools.openUrl(fullUrl, newTab);
+          return { success: true, url: fullUrl, message: newTab ? `Opened ${url} in a new tab` : `Opening ${url}` };
+        }
+      },
+
+      {
+        name: 'search',
+        aliases: ['searchWeb'],
+        description: 'Search the web with the search engine set in Settings, or the one given',
+        sideEffect: 'navigates',
+        permissions: ['tabs'],
+        consumers: ['voice', 'agent', 'chat'],
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'The search query' },
+            engine: { type: 'string', description: 'Search engine id, e.g. google or duckduckgo (optional)' },
+            newTab: { type: 'boolean', description: 'Open in a new tab (default: false)' }
+          },
+          required: ['query']
+        },
+        async execute({ query, engine, newTab = false }, context = {}) {
+          if (context.automationWindow) {
+            return browserTools.getExecutor().search(query, { engine });
+          }
+
+          await window.ChromeAIStudio?.searchEngines?.init();
+          const url = browserTools.buildSearchUrl(query, engine);
+          browserTools.openUrl(url, newTab);
+          return { success: true, url, message: `Searching for "${query}"` };
+        }
+      },
+
+      {
+        name: 'click',
+        aliases: ['clickElement'],
+        description: 'Click an element found by its text or description, or by CSS selector',
+        sideEffect: 'mutates',
+        consumers: ['voice', 'agent', 'chat', 'bridge'],
+        inputSchema: {
+          type: 'object',
+          properties: {
+            element: { type: 'string', description: 'Text or description of the element, e.g. "Sign in button"' },
+            selector: { type: 'string', description: 'CSS selector (instead of element)' }
+          }
+        },
+        async execute({ element, selector }, context = {}) {
+          if (selector && !context.approval?.element) {
+            const target = document.querySelector(selector);
+            if (!target) {
+              throw new Error(`Element not found: ${selector}`);
+            }
+            target.click();
+            return { success: true, message: `Clicked: ${target.textContent?.trim().substring(0, 50) || selector}` };
+          }
+          if (!element && !context.approval?.element) {
+            throw new Error('click needs the element text or a selector');
+          }
+          return browserTools.getExecutor().smartClick(element, context.approval?.element);
+        }
+      },
+
+      {
+        name: 'fillForm',
+        aliases: ['agentFillForm'],
+        description: 'Fill form fields found by name, label or description',
+        sideEffect: 'mutates',
+        consumers: ['voice', 'agent', 'chat', 'bridge'],
+        inputSchema: {
+          type: 'object',
+          properties: {
+            formData: { type: 'object', description: 'Field name or label → value, for several fields' },
+            fieldName: { type: 'string', description: 'Name or label of one field (instead of formData)' },
+            value: { type: 'string', description: 'Value for fieldName' }
+          }
+        },
+        async execute({ formData, fieldName, value }, context = {}) {
+          const fields = formData || (fieldName ? { [fieldName]: value ?? '' } : null);
+          if (!fields || Object.keys(fields).length === 0) {
+            throw new Error('fillForm needs formData, or fieldName and value');
+          }
+          // Only the fields the user was shown get filled
+          return browserTools.getExecutor().fillForm(context.approval?.formData || fields, context.approval?.fields);
+        }
+      },
+
+      {
+        name: 'scroll',
+        aliases: ['scrollPage'],
+        description: 'Scroll the page up, down, to the top or to the bottom',
+        sideEffect: 'read-only',
+        consumers: ['voice', 'agent', 'chat'],
+        inputSchema: {
+          type: 'object',
+          properties: {
+            direction: { type: 'string', enum: ['up', 'down', 'top', 'bottom'], description: 'Scroll direction' },
+            amount: { type: 'number', description: 'Pixels for up/down (default: 500)' }
+          },
+          required: ['direction']
+        },
+        async execute({ direction = 'down', amount = 500 }) {
+          return browserTools.getExecutor().scroll(direction, amount);
+        }
+      }
+    ];
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.BrowserTools = BrowserTools;
+  window.ChromeAIStudio.browserTools = new BrowserTools();
+  window.ChromeAIStudio.toolRegistry?.registerAll(window.ChromeAIStudio.browserTools.getTools(), { source: 'browser-tools' });
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BrowserTools;
+}
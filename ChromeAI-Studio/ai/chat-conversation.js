@@ -0,0 +1,278 @@
+/**
+ * ChromeAI Studio - Chat Conversation
+ * One multi-turn conversation backed by a persistent LanguageModel session
+ *
+ * - The session is seeded with `initialPrompts` (system prompt, summary of compacted
+ *   turns, then the remaining turns), so it can be rebuilt from stored history after a reload
+ * - `branch()` forks the conversation with `session.clone()`
+ * - When the session's input usage nears its quota, older turns are summarized and the
+ *   session is rebuilt from the summary plus the most recent turns
+ */
+
+class ChatConversation {
+  /**
+   * @param {Object} options
+   * @param {string} options.systemPrompt - System prompt for the session
+   * @param {Array<{id, role: 'user'|'assistant', content: string}>} options.turns - Earlier turns, oldest first
+   * @param {string} options.summary - Summary of turns compacted earlier
+   * @param {Object} options.sessionOptions - LanguageModel.create() options
+   * @param {number} options.compactThreshold - Fraction of the quota that triggers compaction
+   * @param {number} options.keepRecentTurns - Turns kept verbatim when compacting
+   * @param {Function} options.onCompact - Called with { summary, throughId, compacted }
+   */
+  constructor(options = {}) {
+    this.options = {
+      sessionOptions: { temperature: 0.7, topK: 20, outputLanguage: 'en' },
+      compactThreshold: 0.8,
+      keepRecentTurns: 6,
+      onCompact: null,
+      ...options
+    };
+
+    this.systemPrompt = options.systemPrompt || '';
+    this.summary = options.summary || '';
+    this.turns = (options.turns || []).map(turn => ({ ...turn }));
+    this.session = null;
+    this.sessionPromise = null;
+    this.logger = new window.ChromeAIStudio.Logger('ChatConversation');
+  }
+
+  /**
+   * Prompts that recreate the conversation in a new session
+   */
+  getInitialPrompts() {
+    const system = [
+      this.systemPrompt,
+      this.summary ? `Summary of the earlier conversation:\n${this.summary}` : ''
+    ].filter(Boolean).join('\n\n');
+
+    return [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...this.turns.map(turn => ({ role: turn.role, content: turn.content }))
+    ];
+  }
+
+  async getSession() {
+    if (this.session) return this.session;
+    if (!this.sessionPromise) {
+      this.sessionPromise = this.createSession().finally(() => {
+        this.sessionPromise = null;
+      });
+    }
+    return this.sessionPromise;
+  }
+
+  async createSession() {
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    if (!aiManager) {
+      throw new Error('AI Manager not available');
+    }
+
+    const create = () => aiManager.createPromptSession({
+      ...this.options.sessionOptions,
+      initialPrompts: this.getInitialPrompts()
+    });
+
+    let session;
+    try {
+      session = await create();
+    } catch (error) {
+      // Stored history no longer fits the model's context window
+      if (error?.name !== 'QuotaExceededError' || this.turns.length === 0) throw error;
+      this.logger.info('History exceeds the input quota, compacting before creating the session');
+      await this.compact();
+      session = await create();
+    }
+
+    if (!session) {
+      throw new Error('LanguageModel API not available');
+    }
+    this.session = session;
+    return session;
+  }
+
+  /**
+   * Change the system prompt (e.g. on mode switch); the session is rebuilt on the next prompt
+   */
+  setSystemPrompt(systemPrompt) {
+    if (systemPrompt === this.systemPrompt) return;
+    this.systemPrompt = systemPrompt;
+    this.dropSession();
+  }
+
+  /**
+   * Stream a reply to the user's message; the session keeps the turn.
+   * Call recordTurns() with the stored messages once the reply is complete.
+   * @returns {Promise<ReadableStream>}
+   */
+  async promptStreaming(text, options = {}) {
+    await this.compactIfNeeded(text);
+    const session = await this.getSession();
+    const input = await this.fitInput(session, text);
+    return session.promptStreaming(input, options);
+  }
+
+  /**
+   * Truncate a single message that is too large for the session on its own
+   */
+  async fitInput(session, text) {
+    const contextManager = window.ChromeAIStudio?.contextManager;
+    if (!contextManager) return text;
+
+    const budget = contextManager.getUsage(session).remaining - contextManager.options.reserveTokens;
+    if (budget <= 0) return text;
+
+    const fitted = await contextManager.fitText(session, text, { strategy: 'truncate', budget });
+    return fitted.text;
+  }
+
+  /**
+   * Add completed turns to the conversation
+   * @param {Array} turns - { id, role, content }
+   * @param {Object} options - { appendToSession: also add them to the live session
+   *   (for turns answered outside it, e.g. @mention features) }
+   */
+  async recordTurns(turns, options = {}) {
+    const added = turns.filter(turn => turn?.content).map(turn => ({ ...turn }));
+    this.turns.push(...added);
+
+    if (options.appendToSession && this.session) {
+      try {
+        if (typeof this.session.append !== 'function') throw new Error('append() not supported');
+        await this.session.append(added.map(turn => ({ role: turn.role, content: turn.content })));
+      } catch (error) {
+        this.logger.debug('Could not append turns, rebuilding the session on the next prompt:', error?.message);
+        this.dropSession();
+      }
+    }
+  }
+
+  /**
+   * Compact when the next message would push usage past the threshold
+   */
+  async compactIfNeeded(text) {
+    const contextManager = window.ChromeAIStudio?.contextManager;
+    if (!contextManager || !this.session) return false;
+
+    const incoming = await contextManager.measure(this.session, text);
+    const { tokens, quota } = contextManager.getUsage(this.session);
+    if (tokens + incoming + contextManager.options.reserveTokens <= quota * this.options.compactThreshold) {
+      return false;
+    }
+
+    this.logger.info(`Conversation uses ${tokens}/${quota} tokens, compacting`);
+    return this.compact();
+  }
+
+  /**
+   * Summarize all but the most recent turns and rebuild the session from the summary
+   */
+  async compact() {
+    const keep = this.options.keepRecentTurns;
+    if (this.turns.length <= keep) {
+      this.dropSession();
+      return false;
+    }
+
+    const older = this.turns.slice(0, this.turns.length - keep);
+    this.summary = await this.summarizeTurns(older);
+    this.turns = this.turns.slice(-keep);
+    this.dropSession();
+
+    if (typeof this.options.onCompact === 'function') {
+      this.options.onCompact({
+        summary: this.summary,
+        throughId: older[older.length - 1].id,
+        compacted: older.length
+      });
+    }
+    return true;
+  }
+
+  async summarizeTurns(turns) {
+    const transcript = [
+      this.summary ? `Earlier summary:\n${this.summary}` : '',
+      ...turns.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+    ].filter(Boolean).join('\n\n');
+
+    const buildPrompt = (text) => `Summarize this conversation so it can be continued later. Keep facts, names, numbers, decisions, the user's preferences and open questions. Write it as short notes.
+
+CONVERSATION:
+${text}`;
+
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    const contextManager = window.ChromeAIStudio?.contextManager;
+    let session = null;
+
+    try {
+      session = await aiManager.createPromptSession({ temperature: 0.2, topK: 20, outputLanguage: 'en' });
+      let text = transcript;
+      if (contextManager) {
+        const overhead = await contextManager.measure(session, buildPrompt(''));
+        text = (await contextManager.fitText(session, transcript, {
+          strategy: 'map-reduce',
+          budget: contextManager.getBudget(session) - overhead
+        })).text;
+      }
+      return (await session.prompt(buildPrompt(text))).trim();
+    } catch (error) {
+      this.logger.warn('Conversation summary failed, keeping the latest part of the transcript:', error?.message);
+      return transcript.slice(-2000);
+    } finally {
+      if (session && typeof session.destroy === 'function') {
+        session.destroy();
+      }
+    }
+  }
+
+  /**
+   * Fork the conversation at its latest turn; the live session is cloned when there is one
+   * @param {Object} options - Constructor options for the fork (e.g. onCompact)
+   */
+  async branch(options = {}) {
+    const fork = new ChatConversation({
+      ...this.options,
+      ...options,
+      systemPrompt: this.systemPrompt,
+      summary: this.summary,
+      turns: this.turns
+    });
+
+    if (this.session && typeof this.session.clone === 'function') {
+      try {
+        fork.session = await this.session.clone();
+      } catch (error) {
+        this.logger.debug('Session clone failed, fork will be seeded from history:', error?.message);
+      }
+    }
+    return fork;
+  }
+
+  dropSession() {
+    const session = this.session;
+    this.session = null;
+    if (session) {
+      window.ChromeAIStudio?.contextManager?.reset(session);
+      if (typeof session.destroy === 'function') {
+        try {
+          session.destroy();
+        } catch (error) {
+          this.logger.debug('Session destroy failed:', error?.message);
+        }
+      }
+    }
+  }
+
+  destroy() {
+    this.dropSession();
+    this.turns = [];
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.ChatConversation = ChatConversation;
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChatConversation;
+}
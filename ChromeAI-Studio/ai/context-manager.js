@@ -0,0 +1,279 @@
+/**
+ * ChromeAI Studio - Context Manager
+ * Keeps Prompt API input within a session's token budget
+ *
+ * Measures input with the session's `measureInputUsage()` / `inputQuota` (estimating
+ * when a backend can't), tracks cumulative usage per session, and applies a strategy
+ * when input doesn't fit:
+ * - 'truncate'    cut the text to the budget
+ * - 'map-reduce'  summarize chunks that fit, repeat until the whole fits
+ * - 'drop-oldest' drop the oldest conversation turns (fitTurns) or start a fresh session
+ */
+
+class ContextManager {
+  constructor(options = {}) {
+    const promptBytes = window.ChromeAIStudio?.constants?.MAX_INPUT_SIZES?.PROMPT || 32 * 1024;
+
+    this.options = {
+      reserveTokens: 1024,                          // Room left for the model's reply
+      charsPerToken: 4,                             // Estimate when a session can't measure input
+      fallbackQuota: Math.floor(promptBytes / 4),   // Sessions without inputQuota
+      maxReducePasses: 3,
+      ...options
+    };
+
+    this.usage = new WeakMap();
+    this.logger = new window.ChromeAIStudio.Logger('ContextManager');
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / this.options.charsPerToken);
+  }
+
+  /**
+   * Tokens the text would use in this session
+   */
+  async measure(session, text) {
+    if (!text) return 0;
+
+    try {
+      if (typeof session?.measureInputUsage === 'function') {
+        return await session.measureInputUsage(text);
+      }
+      if (typeof session?.countPromptTokens === 'function') {
+        return await session.countPromptTokens(text);
+      }
+    } catch (error) {
+      this.logger.debug('Input measurement failed, estimating:', error?.message);
+    }
+    return this.estimateTokens(text);
+  }
+
+  getQuota(session) {
+    const quota = session?.inputQuota;
+    return Number.isFinite(quota) && quota > 0 ? quota : this.options.fallbackQuota;
+  }
+
+  /**
+   * Tokens one prompt may use in a fresh session, keeping room for the reply
+   */
+  getBudget(session, reserve = this.options.reserveTokens) {
+    return Math.max(0, this.getQuota(session) - reserve);
+  }
+
+  /**
+   * Cumulative usage; sessions that report `inputUsage` (built-in, local server) are authoritative
+   */
+  getUsage(session) {
+    const tracked = this.usage.get(session) || { calls: 0, tokens: 0 };
+    const tokens = Number.isFinite(session?.inputUsage) ? session.inputUsage : tracked.tokens;
+    const quota = this.getQuota(session);
+    return { calls: tracked.calls, tokens, quota, remaining: Math.max(0, quota - tokens) };
+  }
+
+  record(session, tokens) {
+    if (!session) return;
+    const tracked = this.usage.get(session) || { calls: 0, tokens: 0 };
+    this.usage.set(session, { calls: tracked.calls + 1, tokens: tracked.tokens + tokens });
+  }
+
+  reset(session) {
+    if (session) this.usage.delete(session);
+  }
+
+  /**
+   * Whether earlier turns leave too little room for another prompt of this size
+   */
+  needsFreshSession(session, tokens, reserve = this.options.reserveTokens) {
+    const { tokens: used, quota } = this.getUsage(session);
+    return used > 0 && used + tokens + reserve > quota;
+  }
+
+  /**
+   * Fit text into the budget
+   * @param {Object} session - Session used to measure (and whose quota sets the budget)
+   * @param {string} text - Input text
+   * @param {Object} options - { strategy: 'truncate' | 'map-reduce', budget, reserve,
+   *   summarize: async (chunk) => string }
+   * @returns {Promise<{text: string, tokens: number, strategy: string, changed: boolean}>}
+   */
+  async fitText(session, text, options = {}) {
+    const { strategy = 'truncate', reserve = this.options.reserveTokens } = options;
+    const budget = Math.max(0, options.budget ?? this.getBudget(session, reserve));
+
+    const tokens = await this.measure(session, text);
+    if (tokens <= budget) {
+      return { text, tokens, strategy: 'none', changed: false };
+    }
+
+    this.logger.info(`Input is ${tokens} tokens, budget is ${budget}; applying ${strategy}`);
+
+    let result = text;
+    if (strategy === 'map-reduce') {
+      result = await this.mapReduce(session, text, budget, options.summarize);
+    }
+
+    // Truncate whatever still doesn't fit
+    const truncated = await this.truncate(session, result, budget);
+    return { text: truncated.text, tokens: truncated.tokens, strategy, changed: true };
+  }
+
+  async truncate(session, text, budget) {
+    let current = text;
+    let tokens = await this.measure(session, current);
+
+    for (let i = 0; i < 4 && tokens > budget && current.length > 0; i++) {
+      current = current.slice(0, Math.floor(current.length * (budget / tokens) * 0.95));
+      tokens = await this.measure(session, current);
+    }
+    return { text: current, tokens };
+  }
+
+  /**
+   * Summarize chunks that fit the budget and join them, repeating until the text fits
+   */
+  async mapReduce(session, text, budget, summarize = (chunk) => this.summarizeChunk(chunk)) {
+    let current = text;
+
+    for (let pass = 0; pass < this.options.maxReducePasses; pass++) {
+      const tokens = await this.measure(session, current);
+      if (tokens <= budget) break;
+
+      const chunkSize = await this.getChunkSize(session, current, this.getBudget(session));
+      const chunks = this.splitIntoChunks(current, chunkSize);
+      this.logger.info(`Map-reduce pass ${pass + 1}: ${chunks.length} chunks of ~${chunkSize} chars`);
+
+      const summaries = [];
+      for (const chunk of chunks) {
+        summaries.push(await summarize(chunk));
+      }
+
+      const next = summaries.join('\n\n');
+      if (next.length >= current.length) break; // Summaries didn't shrink anything
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Characters of this text that fit in the given number of tokens
+   */
+  async getChunkSize(session, text, tokens) {
+    const sample = String(text || '').slice(0, 4000);
+    const sampleTokens = await this.measure(session, sample);
+    const charsPerToken = sampleTokens > 0 ? sample.length / sampleTokens : this.options.charsPerToken;
+    return Math.max(500, Math.floor(tokens * charsPerToken * 0.9));
+  }
+
+  /**
+   * Split on paragraph boundaries, hard-splitting paragraphs longer than the chunk size
+   */
+  splitIntoChunks(text, size) {
+    const chunks = [];
+    let current = '';
+
+    String(text || '').split(/\n{2,}/).forEach(paragraph => {
+      for (let start = 0; start < paragraph.length; start += size) {
+        const piece = paragraph.slice(start, start + size);
+        if (current && current.length + piece.length + 2 > size) {
+          chunks.push(current);
+          current = '';
+        }
+        current = current ? `${current}\n\n${piece}` : piece;
+      }
+    });
+    if (current) chunks.push(current);
+
+    return chunks;
+  }
+
+  /**
+   * Default map step: condense one chunk in a throwaway prompt session
+   */
+  async summarizeChunk(chunk) {
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    let session = null;
+
+    try {
+      session = await aiManager?.createPromptSession({ temperature: 0.2, topK: 20, outputLanguage: 'en' });
+      if (!session) return chunk;
+
+      return await session.prompt(`Condense the following content to its key facts. Keep names, numbers, dates, rankings and URLs exactly as written. Do not add anything.
+
+CONTENT:
+${chunk}`);
+    } catch (error) {
+      this.logger.warn('Chunk summary failed, keeping original text:', error?.message);
+      return chunk;
+    } finally {
+      if (session && typeof session.destroy === 'function') {
+        session.destroy();
+      }
+    }
+  }
+
+  /**
+   * Drop the oldest turns until the conversation fits
+   * @param {Array<string|{role: string, content: string}>} turns - Oldest first
+   * @param {Object} options - { budget, reserve, keepFirst: turns never dropped (e.g. system prompt) }
+   * @returns {Promise<{turns: Array, tokens: number, dropped: number}>}
+   */
+  async fitTurns(session, turns, options = {}) {
+    const { keepFirst = 0, reserve = this.options.reserveTokens } = options;
+    const budget = Math.max(0, options.budget ?? this.getBudget(session, reserve));
+    const toText = (list) => list.map(turn => (typeof turn === 'string' ? turn : turn.content)).join('\n');
+
+    const kept = [...turns];
+    let tokens = await this.measure(session, toText(kept));
+
+    while (tokens > budget && kept.length > keepFirst + 1) {
+      kept.splice(keepFirst, 1);
+      tokens = await this.measure(session, toText(kept));
+    }
+
+    return { turns: kept, tokens, dropped: turns.length - kept.length };
+  }
+
+  /**
+   * Fit a prompt to the pooled language model session AIManager.prompt would use: drop its
+   * earlier turns (fresh session) when they leave no room, then apply the strategy to the
+   * prompt itself. Pass the returned `session` to AIManager.prompt/promptStreaming, which
+   * prompt it and give it back to the pool
+   * @param {string} text - Prompt
+   * @param {Object} options - fitText options, plus `sessionOptions` used if the session is created here
+   * @returns {Promise<Object>} - fitText result plus `session` (null if none is available)
+   */
+  async preparePrompt(text, options = {}) {
+    const { sessionOptions = {}, ...fitOptions } = options;
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    let session = await aiManager?.getSession('languageModel', sessionOptions);
+    if (!session) {
+      return { text, tokens: this.estimateTokens(text), strategy: 'none', changed: false, session: null };
+    }
+
+    const fitted = await this.fitText(session, text, fitOptions);
+
+    if (this.needsFreshSession(session, fitted.tokens, fitOptions.reserve)) {
+      this.logger.info('Session history is full, dropping earlier turns');
+      aiManager.resetSession('languageModel');
+      this.reset(session);
+      session = await aiManager.getSession('languageModel', sessionOptions);
+      if (!session) {
+        return { ...fitted, session: null };
+      }
+    }
+
+    this.record(session, fitted.tokens);
+    return { ...fitted, session };
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.ContextManager = ContextManager;
+  window.ChromeAIStudio.contextManager = new ContextManager();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContextManager;
+}
@@ -0,0 +1,331 @@
+/**
+ * ChromeAI Studio - Custom Selection Actions
+ * User-defined actions for the text-selection menu, edited in Settings → Custom Actions
+ *
+ * - Each action lives in its own chrome.storage.sync key (`customAction:<id>`) so it syncs
+ *   across browsers and stays under the per-item quota
+ * - Prompt templates take {TEXT}, {URL}, {TITLE}, {LANG} and {PAGE_EXCERPT}
+ * - `prompt` and `writer` actions send the filled template; `rewriter` and `summarizer`
+ *   actions send the selection with the filled template as context
+ * - Action packs are JSON files ({format, version, actions}) for import/export
+ */
+
+const CUSTOM_ACTION_APIS = ['prompt', 'writer', 'rewriter', 'summarizer'];
+const CUSTOM_ACTION_OUTPUTS = ['sidebar', 'inline', 'clipboard'];
+const CUSTOM_ACTION_MODES = ['student', 'developer', 'creator', 'researcher'];
+const CUSTOM_ACTION_VARIABLES = ['TEXT', 'URL', 'TITLE', 'LANG', 'PAGE_EXCERPT'];
+
+class CustomActions {
+  constructor(options = {}) {
+    this.options = {
+      keyPrefix: 'customAction:',
+      maxActions: 50,
+      maxTemplateLength: 4000,
+      excerptLength: 1500,
+      ...options
+    };
+
+    this.actions = [];
+    this.loadPromise = null;
+    this.listeners = new Set();
+    this.logger = new window.ChromeAIStudio.Logger('CustomActions');
+
+    // Actions edited in another tab or synced from another browser
+    chrome.storage?.onChanged?.addListener((changes, area) => {
+      if (area !== 'sync') return;
+      const changedIds = Object.keys(changes).filter(key => key.startsWith(this.options.keyPrefix));
+      if (changedIds.length === 0) return;
+
+      changedIds.forEach(key => {
+        const id = key.slice(this.options.keyPrefix.length);
+        this.actions = this.actions.filter(action => action.id !== id);
+        const action = changes[key].newValue && this.fromStorage(key, changes[key].newValue);
+        if (action) {
+          this.actions.push(action);
+        }
+      });
+      this.sortActions();
+      this.notify();
+    });
+  }
+
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = chrome.storage.sync.get(null)
+        .then(stored => {
+          this.actions = Object.entries(stored || {})
+            .filter(([key]) => key.startsWith(this.options.keyPrefix))
+            .map(([key, action]) => this.fromStorage(key, action))
+            .filter(Boolean);
+          this.sortActions();
+          this.notify();
+        })
+        .catch(error => {
+          this.logger.warn('Failed to load custom actions:', error?.message);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Stored or synced action, checked like a saved one; null when it is invalid
+   */
+  fromStorage(key, value) {
+    try {
+      const action = this.normalize({ ...value, id: key.slice(this.options.keyPrefix.length) });
+      return { ...action, updatedAt: value.updatedAt || action.updatedAt };
+    } catch (error) {
+      this.logger.warn(`Ignoring stored custom action ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  sortActions() {
+    this.actions.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.list());
+      } catch (error) {
+        this.logger.warn('Custom action listener failed:', error?.message);
+      }
+    });
+  }
+
+  list() {
+    return [...this.actions];
+  }
+
+  get(id) {
+    return this.actions.find(action => action.id === id) || null;
+  }
+
+  /**
+   * Actions shown in the selection menu for a mode
+   */
+  getForMode(mode) {
+    return this.actions.filter(action => action.modes.length === 0 || action.modes.includes(mode));
+  }
+
+  /**
+   * Action bound to the shortcut of a keydown event
+   */
+  findByShortcut(event) {
+    const shortcut = CustomActions.shortcutFromEvent(event);
+    return shortcut ? this.actions.find(action => action.shortcut === shortcut) || null : null;
+  }
+
+  /**
+   * Check and normalize an action
+   * @throws {Error} listing what is wrong
+   */
+  normalize(input = {}) {
+    const errors = [];
+    const name = String(input.name || '').trim();
+    const template = String(input.template || '').trim();
+    const api = input.api || 'prompt';
+    const output = input.output || 'sidebar';
+    const modes = Array.isArray(input.modes) ? input.modes.filter(mode => CUSTOM_ACTION_MODES.includes(mode)) : [];
+    const shortcut = input.shortcut ? CustomActions.normalizeShortcut(input.shortcut) : '';
+
+    if (!name) errors.push('a name');
+    if (name.length > 40) errors.push('a name of at most 40 characters');
+    if (!template) errors.push('a prompt template');
+    if (template.length > this.options.maxTemplateLength) {
+      errors.push(`a template of at most ${this.options.maxTemplateLength} characters`);
+    }
+    if (!CUSTOM_ACTION_APIS.includes(api)) errors.push(`an API (${CUSTOM_ACTION_APIS.join(', ')})`);
+    if (!CUSTOM_ACTION_OUTPUTS.includes(output)) errors.push(`an output (${CUSTOM_ACTION_OUTPUTS.join(', ')})`);
+    if (input.shortcut && !shortcut) errors.push('a shortcut with Ctrl, Alt or ⌘ plus a key, e.g. Alt+Shift+E');
+
+    const unknown = (template.match(/\{([A-Z_]+)\}/g) || [])
+      .map(variable => variable.slice(1, -1))
+      .filter(variable => !CUSTOM_ACTION_VARIABLES.includes(variable));
+    if (unknown.length > 0) {
+      errors.push(`known variables only (${unknown.map(v => `{${v}}`).join(', ')} is not one)`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Custom action "${name || 'untitled'}" needs ${errors.join(', ')}`);
+    }
+
+    return {
+      id: input.id || `act_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      icon: String(input.icon || '⚡').trim().slice(0, 4) || '⚡',
+      modes,
+      template,
+      api,
+      output,
+      shortcut,
+      createdAt: input.createdAt || Date.now(),
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Create or update an action
+   * @returns {Promise<Object>} the stored action
+   */
+  async save(input) {
+    await this.load();
+    const action = this.normalize(input);
+    const existing = this.get(action.id);
+
+    if (!existing && this.actions.length >= this.options.maxActions) {
+      throw new Error(`Up to ${this.options.maxActions} custom actions; delete some first`);
+    }
+    const clash = action.shortcut && this.actions.find(other => other.id !== action.id && other.shortcut === action.shortcut);
+    if (clash) {
+      throw new Error(`${action.shortcut} is already used by "${clash.name}"`);
+    }
+
+    await chrome.storage.sync.set({ [this.options.keyPrefix + action.id]: action });
+    this.actions = this.actions.filter(other => other.id !== action.id);
+    this.actions.push(action);
+    this.sortActions();
+    this.notify();
+    return action;
+  }
+
+  async remove(id) {
+    await this.load();
+    await chrome.storage.sync.remove(this.options.keyPrefix + id);
+    this.actions = this.actions.filter(action => action.id !== id);
+    this.notify();
+  }
+
+  /**
+   * Action pack for sharing; ids and timestamps are left out
+   */
+  exportPack(ids = null) {
+    const actions = this.actions
+      .filter(action => !ids || ids.includes(action.id))
+      .map(({ id, createdAt, updatedAt, ...action }) => action);
+    return { format: 'chromeai-studio-actions', version: 1, exportedAt: new Date().toISOString(), actions };
+  }
+
+  /**
+   * Add the actions of a pack; an action with the same name replaces the existing one
+   * @param {string|Object} pack - Pack JSON or object
+   * @returns {Promise<{added: number, updated: number, errors: string[]}>}
+   */
+  async importPack(pack) {
+    await this.load();
+    const data = typeof pack === 'string' ? JSON.parse(pack) : pack;
+    if (data?.format !== 'chromeai-studio-actions' || !Array.isArray(data.actions)) {
+      throw new Error('Not a ChromeAI Studio action pack');
+    }
+
+    const result = { added: 0, updated: 0, errors: [] };
+    for (const input of data.actions) {
+      const existing = this.actions.find(action => action.name === String(input?.name || '').trim());
+      try {
+        await this.save({ ...input, id: existing?.id, createdAt: existing?.createdAt });
+        result[existing ? 'updated' : 'added']++;
+      } catch (error) {
+        result.errors.push(error.message);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Fill a template's variables
+   * @param {string} template
+   * @param {{text, url, title, lang, pageExcerpt}} context
+   */
+  fillTemplate(template, context = {}) {
+    const values = {
+      TEXT: context.text || '',
+      URL: context.url || window.location.href,
+      TITLE: context.title || document.title,
+      LANG: context.lang || document.documentElement.lang || navigator.language || 'en',
+      PAGE_EXCERPT: context.pageExcerpt ?? this.getPageExcerpt()
+    };
+    return template.replace(/\{(TEXT|URL|TITLE|LANG|PAGE_EXCERPT)\}/g, (match, name) => values[name]);
+  }
+
+  /**
+   * Text of the block around the selection, or the start of the page
+   */
+  getPageExcerpt(range = null) {
+    const limit = this.options.excerptLength;
+    let node = range?.commonAncestorContainer || null;
+    if (node && node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+
+    // Widen to the nearest ancestor with enough text
+    while (node && node !== document.body && (node.innerText || '').length < limit / 2) {
+      node = node.parentElement;
+    }
+    const text = ((node && node !== document.body ? node.innerText : null) || document.body?.innerText || '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return text.length > limit ? `${text.slice(0, limit)}…` : text;
+  }
+
+  /**
+   * Shortcut string of a keydown event, e.g. "Ctrl+Alt+K"; null without Ctrl, Alt or Meta
+   */
+  static shortcutFromEvent(event) {
+    if (!event || !(event.ctrlKey || event.altKey || event.metaKey)) return null;
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
+
+    // event.code keeps Alt+letter shortcuts stable on macOS, where Alt changes event.key
+    const key = /^Key[A-Z]$/.test(event.code) ? event.code.slice(3)
+      : /^Digit[0-9]$/.test(event.code) ? event.code.slice(5)
+        : event.key.length === 1 ? event.key.toUpperCase() : event.key;
+    return [
+      event.ctrlKey && 'Ctrl',
+      event.altKey && 'Alt',
+      event.shiftKey && 'Shift',
+      event.metaKey && 'Meta',
+      key
+    ].filter(Boolean).join('+');
+  }
+
+  /**
+   * Canonical form of a typed shortcut ("shift+alt+e" → "Alt+Shift+E"), or '' if invalid
+   */
+  static normalizeShortcut(shortcut) {
+    const parts = String(shortcut).split('+').map(part => part.trim()).filter(Boolean);
+    const aliases = { control: 'Ctrl', ctrl: 'Ctrl', alt: 'Alt', option: 'Alt', shift: 'Shift', meta: 'Meta', cmd: 'Meta', command: 'Meta', '⌘': 'Meta' };
+    const modifiers = new Set();
+    let key = null;
+
+    for (const part of parts) {
+      const modifier = aliases[part.toLowerCase()];
+      if (modifier) {
+        modifiers.add(modifier);
+      } else if (!key) {
+        key = part.length === 1 ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1);
+      } else {
+        return '';
+      }
+    }
+
+    if (!key || !(modifiers.has('Ctrl') || modifiers.has('Alt') || modifiers.has('Meta'))) return '';
+    return [...['Ctrl', 'Alt', 'Shift', 'Meta'].filter(modifier => modifiers.has(modifier)), key].join('+');
+  }
+}
+
+CustomActions.APIS = CUSTOM_ACTION_APIS;
+CustomActions.OUTPUTS = CUSTOM_ACTION_OUTPUTS;
+CustomActions.MODES = CUSTOM_ACTION_MODES;
+CustomActions.VARIABLES = CUSTOM_ACTION_VARIABLES;
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.CustomActions = CustomActions;
+  window.ChromeAIStudio.customActions = new CustomActions();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CustomActions;
+}
@@ -0,0 +1,268 @@
+/**
+ * ChromeAI Studio - Knowledge Base
+ * Opt-in local knowledge base of pages the user has read or saved
+ *
+ * - Off until turned on in Settings → Knowledge Base
+ * - Pages are converted with Readability + Turndown (URLToMarkdown) and sent to the
+ *   service worker, which keeps them in IndexedDB (background/knowledge-store.js)
+ * - Visited pages are captured after the user has stayed on them for a while; excluded
+ *   domains (DomainFilters.isExcluded) are never captured
+ * - `search()` returns ranked excerpts for the sidebar's `@history` questions
+ */
+
+class KnowledgeBase {
+  constructor(options = {}) {
+    this.options = {
+      // Time on a visible page before it counts as read
+      dwellMs: 15000,
+      // Readability text below this is navigation, search results or an app screen
+      minTextLength: 800,
+      ...options
+    };
+
+    this.settings = {
+      enabled: false,
+      captureVisits: true,
+      // Off: BM25 on this device only; on: page text goes to the AI Providers server
+      remoteEmbeddings: false,
+      embeddingModel: '',
+      excludedDomains: window.DomainFilters?.DEFAULT_EXCLUSIONS || []
+    };
+    this.filters = window.DomainFilters ? new window.DomainFilters() : null;
+    this.settingsManager = null;
+    this.initPromise = null;
+    this.captureTimer = null;
+    this.capturedUrl = null;
+    this.logger = new window.ChromeAIStudio.Logger('KnowledgeBase');
+  }
+
+  async init() {
+    if (!this.initPromise) {
+      this.initPromise = this.loadSettings().then(() => this.scheduleCapture());
+    }
+    return this.initPromise;
+  }
+
+  async loadSettings() {
+    try {
+      if (window.ChromeAIStudio?.SettingsManager) {
+        this.settingsManager = new window.ChromeAIStudio.SettingsManager();
+        await this.settingsManager.init();
+        this.applySettings(this.settingsManager.get('knowledgeBase'));
+        this.settingsManager.addListener((type) => {
+          if (type === 'changed' || type === 'synced' || type === 'reset') {
+            this.applySettings(this.settingsManager.get('knowledgeBase'));
+            this.scheduleCapture();
+          }
+        });
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load knowledge base settings, keeping it off:', error?.message);
+    }
+  }
+
+  applySettings(settings) {
+    this.settings = { ...this.settings, ...(settings || {}) };
+    this.filters?.setExclusions(this.settings.excludedDomains);
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  isExcluded(url = window.location.href) {
+    return this.filters ? this.filters.isExcluded(url) : true;
+  }
+
+  /**
+   * Change knowledge base settings; pages on newly excluded domains are removed
+   */
+  async updateSettings(changes) {
+    await this.init();
+    const next = { ...this.settings, ...changes };
+    if (!this.settingsManager) {
+      throw new Error('Settings are not available');
+    }
+    if (!this.settingsManager.validateSetting('knowledgeBase', next)) {
+      throw new Error('Invalid knowledge base settings');
+    }
+
+    await this.settingsManager.set('knowledgeBase', next);
+    this.applySettings(next);
+    this.scheduleCapture();
+
+    if (changes.excludedDomains) {
+      await this.removeExcludedPages();
+    }
+  }
+
+  /**
+   * Capture the current page once the user has read it for `dwellMs`
+   */
+  scheduleCapture() {
+    clearTimeout(this.captureTimer);
+    this.captureTimer = null;
+
+    if (!this.isEnabled() || !this.settings.captureVisits || window.top !== window) return;
+    if (this.isExcluded() || this.capturedUrl === this.getPageUrl()) return;
+
+    const capture = () => {
+      if (document.visibilityState !== 'visible') {
+        // Resume the countdown when the tab is shown again
+        document.addEventListener('visibilitychange', () => this.scheduleCapture(), { once: true });
+        return;
+      }
+      this.capturePage('visit').then(result => {
+        if (result.success) {
+          this.logger.info(`📚 Indexed ${result.result.url} (${result.result.chunkCount} chunks)`);
+        }
+      });
+    };
+    this.captureTimer = setTimeout(capture, this.options.dwellMs);
+  }
+
+  /**
+   * Save the current page on request, even when visits are not captured
+   */
+  async savePage() {
+    await this.init();
+    if (!this.isEnabled()) {
+      return { success: false, error: 'Turn on the knowledge base in Settings first' };
+    }
+    return this.capturePage('saved');
+  }
+
+  /**
+   * Extract the page as Markdown and add it to the knowledge base
+   * @param {string} source - 'visit' or 'saved'
+   * @returns {Promise<{success: boolean, result?: {url, chunkCount, embedded}, error?: string}>}
+   */
+  async capturePage(source = 'visit') {
+    const url = this.getPageUrl();
+    if (this.isExcluded(url)) {
+      return { success: false, error: `${new URL(url).hostname || 'This page'} is excluded from the knowledge base` };
+    }
+
+    try {
+      const page = await this.extractPage(url, source === 'saved');
+      if (!page) {
+        return { success: false, error: 'No article content on this page' };
+      }
+
+      const response = await this.sendMessage({ type: 'KB_ADD_PAGE', page: { ...page, source } });
+      this.capturedUrl = url;
+      return { success: true, result: { url: response.url, chunkCount: response.chunkCount, embedded: response.embedded } };
+    } catch (error) {
+      this.logger.warn('Failed to index page:', error?.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Readability Markdown of the page; saved pages fall back to the visible text
+   */
+  async extractPage(url, allowFallback) {
+    const converter = window.ChromeAIStudio?.urlToMarkdown;
+    if (!converter) {
+      throw new Error('URL-to-Markdown converter not loaded');
+    }
+
+    // The extension's own UI (sidebar, bubble, menus) is not page content
+    const root = document.documentElement.cloneNode(true);
+    root.querySelectorAll('[data-ai-component], .ai-sidebar, .chromeai-studio, [class^="chromeai-"]').forEach(el => el.remove());
+    const html = root.outerHTML;
+    const article = await converter.processWithReadability(html, url);
+    // Readability returns the raw HTML when it finds no article
+    const isArticle = article && article.content !== html &&
+      (article.textContent || '').trim().length >= this.options.minTextLength;
+
+    if (isArticle) {
+      const converted = await converter.processArticle(article, url);
+      return {
+        url,
+        title: article.title || document.title,
+        siteName: article.siteName || window.location.hostname,
+        markdown: converted.markdown
+      };
+    }
+
+    const text = document.body?.innerText?.trim() || '';
+    if (!allowFallback || !text) return null;
+    return {
+      url,
+      title: document.title || url,
+      siteName: window.location.hostname,
+      markdown: converter.textToMarkdown(text, document.title || 'Untitled', url)
+    };
+  }
+
+  /**
+   * Page URL without the fragment, so anchors don't create duplicates
+   */
+  getPageUrl() {
+    return window.location.href.split('#')[0];
+  }
+
+  /**
+   * Excerpts most relevant to a question
+   * @returns {Promise<Array<{url, title, siteName, index, totalChunks, text, score}>>}
+   */
+  async search(query, options = {}) {
+    const response = await this.sendMessage({ type: 'KB_SEARCH', query, options });
+    return response.results || [];
+  }
+
+  async listPages() {
+    const response = await this.sendMessage({ type: 'KB_LIST_PAGES' });
+    return response.pages || [];
+  }
+
+  async removePages(urls) {
+    const response = await this.sendMessage({ type: 'KB_REMOVE_PAGES', urls });
+    return response.removed || 0;
+  }
+
+  /**
+   * Remove stored pages whose domain is now excluded
+   */
+  async removeExcludedPages() {
+    const pages = await this.listPages();
+    const excluded = pages.filter(page => this.isExcluded(page.url)).map(page => page.url);
+    return excluded.length > 0 ? this.removePages(excluded) : 0;
+  }
+
+  /**
+   * Delete everything in the knowledge base
+   */
+  async purge() {
+    await this.sendMessage({ type: 'KB_PURGE' });
+    this.capturedUrl = null;
+  }
+
+  async getStats() {
+    const response = await this.sendMessage({ type: 'KB_STATS' });
+    return response.stats;
+  }
+
+  cleanup() {
+    clearTimeout(this.captureTimer);
+    this.captureTimer = null;
+  }
+
+  async sendMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) {
+      throw new Error(response?.error || 'Knowledge base did not respond');
+    }
+    return response;
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.KnowledgeBase = KnowledgeBase;
+  window.ChromeAIStudio.knowledgeBase = new KnowledgeBase();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KnowledgeBase;
+}
@@ -0,0 +1,729 @@
+/**
+ * ChromeAI Studio - Live Proofreader
+ * Proofreads the focused textarea, text input or contenteditable while the user types
+ *
+ * - Typing is debounced; only sentences that changed since the last check are sent to
+ *   the Proofreader API (aiManager.proofread), the others come from a per-field cache
+ * - Issues are underlined in an overlay above the page; the field's value and DOM are
+ *   left alone until a correction is accepted
+ * - Accepting writes through execCommand('insertText'), or the native value setter plus
+ *   an input event, so React/Vue-controlled fields see the change and undo keeps working
+ */
+
+const LIVE_PROOFREAD_INPUT_TYPES = ['', 'text', 'search'];
+
+// Elements that start a new line in contenteditable text
+const LIVE_PROOFREAD_BLOCK_TAGS = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|BR|DD|DIV|DL|DT|FIGCAPTION|FIGURE|FOOTER|H[1-6]|HEADER|HR|LI|MAIN|NAV|OL|P|PRE|SECTION|TABLE|TD|TH|TR|UL)$/;
+
+// Computed styles copied onto the mirror used to locate text inside inputs and textareas
+const LIVE_PROOFREAD_MIRROR_STYLES = [
+  'boxSizing', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'fontVariant', 'letterSpacing',
+  'wordSpacing', 'lineHeight', 'textTransform', 'textIndent', 'textAlign', 'direction', 'tabSize',
+  'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'
+];
+
+class LiveProofreader {
+  constructor(options = {}) {
+    this.options = {
+      debounceMs: 900,
+      minSentenceLength: 4,
+      maxFieldLength: 20000,
+      maxCachedSentences: 500,
+      ...options
+    };
+
+    this.enabled = false;
+    this.unavailable = false;
+    this.field = null;
+    this.states = new WeakMap();
+    this.layer = null;
+    this.mirror = null;
+    this.card = null;
+    this.activeIssue = null;
+    this.debounceTimer = null;
+    this.renderFrame = null;
+    this.checkSeq = 0;
+    this.applying = false;
+    this.settingsManager = null;
+    this.initPromise = null;
+    this.logger = new window.ChromeAIStudio.Logger('LiveProofreader');
+
+    this.onFocusIn = this.onFocusIn.bind(this);
+    this.onInput = this.onInput.bind(this);
+    this.onBlur = this.onBlur.bind(this);
+    this.onViewportChange = this.onViewportChange.bind(this);
+  }
+
+  async init() {
+    if (!this.initPromise) {
+      this.initPromise = this.loadSettings();
+    }
+    return this.initPromise;
+  }
+
+  async loadSettings() {
+    try {
+      if (window.ChromeAIStudio?.SettingsManager) {
+        this.settingsManager = new window.ChromeAIStudio.SettingsManager();
+        await this.settingsManager.init();
+        this.applyEnabled(this.settingsManager.get('liveProofreading', false));
+        this.settingsManager.addListener((type) => {
+          if (type === 'changed' || type === 'synced' || type === 'reset') {
+            this.applyEnabled(this.settingsManager.get('liveProofreading', false));
+          }
+        });
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load live proofreading setting:', error?.message);
+    }
+  }
+
+  /**
+   * Turn proofreading while typing on or off (saved in settings)
+   */
+  async setEnabled(enabled) {
+    await this.init();
+    await this.settingsManager?.set('liveProofreading', !!enabled);
+    this.applyEnabled(!!enabled);
+  }
+
+  applyEnabled(enabled) {
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    if (enabled) {
+      this.start();
+    } else {
+      this.stop();
+    }
+  }
+
+  start() {
+    this.injectStyles();
+    document.addEventListener('focusin', this.onFocusIn, true);
+    window.addEventListener('scroll', this.onViewportChange, true);
+    window.addEventListener('resize', this.onViewportChange);
+
+    const host = this.getEditableHost(document.activeElement);
+    if (host) this.attach(host);
+  }
+
+  stop() {
+    document.removeEventListener('focusin', this.onFocusIn, true);
+    window.removeEventListener('scroll', this.onViewportChange, true);
+    window.removeEventListener('resize', this.onViewportChange);
+    this.detach();
+    this.layer?.remove();
+    this.mirror?.remove();
+    this.layer = null;
+    this.mirror = null;
+  }
+
+  /**
+   * The editable element to proofread for a focused node, or null
+   */
+  getEditableHost(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+    if (element.closest('.ai-sidebar, [data-ai-component], .chromeai-studio')) return null;
+
+    if (element.tagName === 'TEXTAREA') {
+      return element.readOnly || element.disabled ? null : element;
+    }
+    if (element.tagName === 'INPUT') {
+      const type = (element.getAttribute('type') || '').toLowerCase();
+      return LIVE_PROOFREAD_INPUT_TYPES.includes(type) && !element.readOnly && !element.disabled ? element : null;
+    }
+    if (!element.isContentEditable) return null;
+
+    // Proofread the whole editing host, not the paragraph that got focus
+    let host = element;
+    while (host.parentElement?.isContentEditable) {
+      host = host.parentElement;
+    }
+    return host;
+  }
+
+  onFocusIn(e) {
+    const host = this.getEditableHost(e.composedPath?.()[0] || e.target);
+    if (host && host !== this.field) {
+      this.attach(host);
+    }
+  }
+
+  attach(field) {
+    this.detach();
+    this.field = field;
+    field.addEventListener('input', this.onInput);
+    field.addEventListener('scroll', this.onViewportChange);
+    field.addEventListener('blur', this.onBlur);
+    this.scheduleCheck();
+  }
+
+  detach() {
+    clearTimeout(this.debounceTimer);
+    this.checkSeq++;
+    if (this.field) {
+      this.field.removeEventListener('input', this.onInput);
+      this.field.removeEventListener('scroll', this.onViewportChange);
+      this.field.removeEventListener('blur', this.onBlur);
+    }
+    this.field = null;
+    this.hideCard();
+    this.clearLayer();
+  }
+
+  onInput() {
+    if (this.applying) return;
+    // Offsets of the current issues no longer match the text
+    this.checkSeq++;
+    this.getState(this.field).issues = [];
+    this.hideCard();
+    this.clearLayer();
+    this.scheduleCheck();
+  }
+
+  onBlur() {
+    // Underlines and the card keep focus in the field (mousedown is cancelled there),
+    // so a blur means the user moved on
+    setTimeout(() => {
+      const host = this.getEditableHost(document.activeElement);
+      if (this.field && host !== this.field) {
+        this.detach();
+      }
+    }, 150);
+  }
+
+  onViewportChange() {
+    this.hideCard();
+    if (!this.field || this.renderFrame) return;
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.render();
+    });
+  }
+
+  scheduleCheck(delay = this.options.debounceMs) {
+    clearTimeout(this.debounceTimer);
+    if (this.unavailable) return;
+    this.debounceTimer = setTimeout(() => this.check(), delay);
+  }
+
+  getState(field) {
+    if (!this.states.has(field)) {
+      this.states.set(field, { cache: new Map(), ignored: new Set(), issues: [] });
+    }
+    return this.states.get(field);
+  }
+
+  /**
+   * Proofread the sentences that changed since the last check and underline all issues
+   */
+  async check() {
+    const field = this.field;
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    if (!field || !aiManager) return;
+
+    const seq = ++this.checkSeq;
+    const state = this.getState(field);
+    const { text } = this.readField(field);
+    if (!text.trim() || text.length > this.options.maxFieldLength) {
+      state.issues = [];
+      this.render();
+      return;
+    }
+
+    const sentences = this.splitSentences(text);
+    const pending = sentences.filter(sentence => !state.cache.has(sentence.text));
+
+    for (const sentence of pending) {
+      const response = await aiManager.proofread(sentence.text);
+      // Typing started again, or focus moved to another field
+      if (seq !== this.checkSeq || this.field !== field) return;
+
+      if (!response.success) {
+        if (response.error?.code === 'API_UNAVAILABLE') {
+          this.unavailable = true;
+          this.logger.warn('Proofreader API not available; live proofreading paused');
+        }
+        break;
+      }
+      state.cache.set(sentence.text, this.normalizeCorrections(sentence.text, response.corrections));
+    }
+
+    // Oldest sentences go first once the cache is full
+    while (state.cache.size > this.options.maxCachedSentences) {
+      state.cache.delete(state.cache.keys().next().value);
+    }
+
+    state.issues = sentences.flatMap(sentence => (state.cache.get(sentence.text) || []).map(correction => ({
+      ...correction,
+      sentence: sentence.text,
+      start: sentence.start + correction.startIndex,
+      end: sentence.start + correction.endIndex
+    }))).filter(issue => !state.ignored.has(this.getIssueKey(issue)));
+
+    this.render();
+  }
+
+  /**
+   * Sentences with their offsets; line breaks also end a sentence
+   * @returns {Array<{text: string, start: number}>}
+   */
+  splitSentences(text) {
+    const sentences = [];
+    for (const match of text.matchAll(/[^.!?\n]+(?:[.!?]+["')\]]*)?/g)) {
+      const leading = match[0].length - match[0].trimStart().length;
+      const sentence = match[0].trim();
+      if (sentence.length >= this.options.minSentenceLength && /\p{L}/u.test(sentence)) {
+        sentences.push({ text: sentence, start: match.index + leading });
+      }
+    }
+    return sentences;
+  }
+
+  /**
+   * Corrections relative to the sentence, without no-op replacements
+   */
+  normalizeCorrections(sentence, corrections = []) {
+    return corrections
+      .filter(correction => Number.isInteger(correction.startIndex) && correction.endIndex >= correction.startIndex)
+      .map(correction => ({
+        startIndex: correction.startIndex,
+        endIndex: correction.endIndex,
+        original: sentence.slice(correction.startIndex, correction.endIndex),
+        replacement: correction.correction ?? '',
+        type: correction.type || correction.types?.[0] || 'other',
+        explanation: correction.explanation || ''
+      }))
+      .filter(correction => correction.original !== correction.replacement);
+  }
+
+  getIssueKey(issue) {
+    return `${issue.sentence}|${issue.startIndex}|${issue.replacement}`;
+  }
+
+  /**
+   * Text of a field; contenteditable text comes with the text nodes it was read from
+   * @returns {{text: string, segments?: Array<{node: Text, start: number}>}}
+   */
+  readField(field) {
+    if (!field.isContentEditable) {
+      return { text: field.value || '' };
+    }
+
+    const segments = [];
+    let text = '';
+    const walker = document.createTreeWalker(field, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        segments.push({ node, start: text.length });
+        text += node.nodeValue;
+      } else if (LIVE_PROOFREAD_BLOCK_TAGS.test(node.tagName) && text && !text.endsWith('\n')) {
+        text += '\n';
+      }
+    }
+    return { text, segments };
+  }
+
+  /**
+   * DOM range for text offsets inside a contenteditable
+   */
+  createRange(segments, start, end) {
+    const locate = (offset) => {
+      for (let i = segments.length - 1; i >= 0; i--) {
+        const segment = segments[i];
+        if (offset >= segment.start && offset <= segment.start + segment.node.nodeValue.length) {
+          return { node: segment.node, offset: offset - segment.start };
+        }
+      }
+      return null;
+    };
+
+    const from = locate(start);
+    const to = locate(end);
+    if (!from || !to) return null;
+
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    return range;
+  }
+
+  /**
+   * Screen rectangles of each issue in the field
+   */
+  getIssueRects(field, issues) {
+    const fieldRect = field.getBoundingClientRect();
+    const clip = (rects) => Array.from(rects).filter(rect =>
+      rect.width > 0 &&
+      rect.bottom > fieldRect.top && rect.top < fieldRect.bottom &&
+      rect.right > fieldRect.left && rect.left < fieldRect.right
+    );
+
+    if (field.isContentEditable) {
+      const { segments } = this.readField(field);
+      return issues.map(issue => {
+        const range = this.createRange(segments, issue.start, Math.max(issue.end, issue.start + 1));
+        return range ? clip(range.getClientRects()) : [];
+      });
+    }
+
+    // Inputs and textareas don't expose their text layout; lay the text out in a
+    // mirror with the same box and font at the same place and measure there
+    const mirror = this.getMirror();
+    const style = getComputedStyle(field);
+    LIVE_PROOFREAD_MIRROR_STYLES.forEach(prop => {
+      mirror.style[prop] = style[prop];
+    });
+    Object.assign(mirror.style, {
+      boxSizing: 'border-box',
+      left: `${fieldRect.left}px`,
+      top: `${fieldRect.top}px`,
+      width: `${fieldRect.width}px`,
+      height: `${fieldRect.height}px`,
+      whiteSpace: field.tagName === 'INPUT' ? 'pre' : 'pre-wrap',
+      overflowY: field.scrollHeight > field.clientHeight ? 'scroll' : 'hidden'
+    });
+
+    const text = field.value || '';
+    const spans = [];
+    mirror.textContent = '';
+    let last = 0;
+    [...issues].sort((a, b) => a.start - b.start).forEach(issue => {
+      const start = Math.max(issue.start, last);
+      mirror.appendChild(document.createTextNode(text.slice(last, start)));
+      const span = document.createElement('span');
+      span.textContent = text.slice(start, Math.max(issue.end, start + 1)) || ' ';
+      mirror.appendChild(span);
+      spans.push({ issue, span });
+      last = Math.max(issue.end, start + 1);
+    });
+    mirror.appendChild(document.createTextNode(text.slice(last) + '\n'));
+    mirror.scrollTop = field.scrollTop;
+    mirror.scrollLeft = field.scrollLeft;
+
+    return issues.map(issue => {
+      const entry = spans.find(item => item.issue === issue);
+      return entry ? clip(entry.span.getClientRects()) : [];
+    });
+  }
+
+  getMirror() {
+    if (!this.mirror) {
+      this.mirror = document.createElement('div');
+      this.mirror.className = 'chromeai-live-proof-mirror';
+      this.mirror.setAttribute('aria-hidden', 'true');
+      document.body.appendChild(this.mirror);
+    }
+    return this.mirror;
+  }
+
+  getLayer() {
+    if (!this.layer) {
+      this.layer = document.createElement('div');
+      this.layer.className = 'chromeai-live-proof-layer';
+      document.body.appendChild(this.layer);
+    }
+    return this.layer;
+  }
+
+  clearLayer() {
+    if (this.layer) {
+      this.layer.textContent = '';
+    }
+  }
+
+  /**
+   * Draw underlines and the issue count for the attached field
+   */
+  render() {
+    this.clearLayer();
+    const field = this.field;
+    if (!field || !field.isConnected) return;
+
+    const issues = this.getState(field).issues;
+    if (issues.length === 0) return;
+
+    const layer = this.getLayer();
+    const rects = this.getIssueRects(field, issues);
+    issues.forEach((issue, i) => {
+      rects[i].forEach(rect => {
+        const underline = document.createElement('div');
+        underline.className = `chromeai-live-proof-underline type-${String(issue.type).toLowerCase()}`;
+        Object.assign(underline.style, {
+          left: `${rect.left}px`,
+          top: `${rect.bottom - 3}px`,
+          width: `${rect.width}px`
+        });
+        underline.title = `${issue.original || '(missing)'} → ${issue.replacement || '(remove)'}`;
+        // Keep the caret in the field
+        underline.addEventListener('mousedown', (e) => e.preventDefault());
+        underline.addEventListener('click', () => this.showCard(issue, rect));
+        layer.appendChild(underline);
+      });
+    });
+
+    const fieldRect = field.getBoundingClientRect();
+    const badge = document.createElement('button');
+    badge.className = 'chromeai-live-proof-badge';
+    badge.textContent = String(issues.length);
+    badge.title = `${issues.length} suggestion${issues.length === 1 ? '' : 's'}`;
+    Object.assign(badge.style, {
+      left: `${fieldRect.right - 26}px`,
+      top: `${fieldRect.bottom - 26}px`
+    });
+    badge.addEventListener('mousedown', (e) => e.preventDefault());
+    badge.addEventListener('click', () => {
+      const first = rects.findIndex(list => list.length > 0);
+      this.showCard(issues[Math.max(first, 0)], rects[first]?.[0] || fieldRect);
+    });
+    layer.appendChild(badge);
+
+    if (this.activeIssue && !issues.includes(this.activeIssue)) {
+      this.hideCard();
+    }
+  }
+
+  /**
+   * Suggestion card with accept / ignore / accept all
+   */
+  showCard(issue, anchorRect) {
+    this.hideCard();
+    const issues = this.getState(this.field).issues;
+    this.activeIssue = issue;
+
+    const domUtils = window.ChromeAIStudio.domUtils;
+    const card = document.createElement('div');
+    card.className = 'chromeai-live-proof-card';
+    card.innerHTML = `
+      <div class="chromeai-live-proof-type">${domUtils.escapeHtml(issue.type)}</div>
+      <div class="chromeai-live-proof-change">
+        <del>${domUtils.escapeHtml(issue.original) || '<em>nothing</em>'}</del> →
+        <strong>${domUtils.escapeHtml(issue.replacement) || '<em>remove</em>'}</strong>
+      </div>
+      ${issue.explanation ? `<div class="chromeai-live-proof-explanation">${domUtils.escapeHtml(issue.explanation)}</div>` : ''}
+      <div class="chromeai-live-proof-actions">
+        <button data-action="accept">Accept</button>
+        <button data-action="ignore">Ignore</button>
+        ${issues.length > 1 ? `<button data-action="accept-all">Accept all (${issues.length})</button>` : ''}
+      </div>
+    `;
+
+    card.addEventListener('mousedown', (e) => e.preventDefault());
+    card.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        switch (button.dataset.action) {
+          case 'accept':
+            this.accept([issue]);
+            break;
+          case 'ignore':
+            this.ignore(issue);
+            break;
+          case 'accept-all':
+            this.accept(this.getState(this.field).issues);
+            break;
+          default:
+            break;
+        }
+      });
+    });
+
+    card.style.left = `${Math.max(8, Math.min(anchorRect.left, window.innerWidth - 288))}px`;
+    card.style.top = `${anchorRect.bottom + 6}px`;
+    document.body.appendChild(card);
+    this.card = card;
+
+    // Open upwards when there's no room below
+    const cardRect = card.getBoundingClientRect();
+    if (cardRect.bottom > window.innerHeight - 8) {
+      card.style.top = `${Math.max(8, anchorRect.top - cardRect.height - 6)}px`;
+    }
+  }
+
+  hideCard() {
+    this.card?.remove();
+    this.card = null;
+    this.activeIssue = null;
+  }
+
+  /**
+   * Write corrections into the field, last first so earlier offsets stay valid
+   */
+  accept(issues) {
+    const field = this.field;
+    if (!field) return;
+
+    this.applying = true;
+    try {
+      [...issues].sort((a, b) => b.start - a.start).forEach(issue => {
+        const { text, segments } = this.readField(field);
+        // Skip corrections the user already changed by hand
+        if (text.slice(issue.start, issue.end) !== issue.original) return;
+        this.replaceRange(field, segments, issue.start, issue.end, issue.replacement);
+      });
+    } finally {
+      this.applying = false;
+    }
+
+    this.hideCard();
+    this.getState(field).issues = [];
+    this.clearLayer();
+    this.scheduleCheck(0);
+  }
+
+  ignore(issue) {
+    const state = this.getState(this.field);
+    state.ignored.add(this.getIssueKey(issue));
+    state.issues = state.issues.filter(item => item !== issue);
+    this.hideCard();
+    this.render();
+  }
+
+  replaceRange(field, segments, start, end, replacement) {
+    field.focus();
+    const command = replacement ? 'insertText' : 'delete';
+
+    if (field.isContentEditable) {
+      const range = this.createRange(segments, start, end);
+      if (!range) return;
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      if (!document.execCommand(command, false, replacement)) {
+        range.deleteContents();
+        if (replacement) range.insertNode(document.createTextNode(replacement));
+        field.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText', data: replacement }));
+      }
+      return;
+    }
+
+    field.setSelectionRange(start, end);
+    if (!document.execCommand(command, false, replacement)) {
+      // The prototype's setter updates React's value tracker, assigning .value would not
+      const proto = field.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+      const value = field.value.slice(0, start) + replacement + field.value.slice(end);
+      Object.getOwnPropertyDescriptor(proto, 'value').set.call(field, value);
+      field.setSelectionRange(start + replacement.length, start + replacement.length);
+      field.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText', data: replacement }));
+    }
+  }
+
+  injectStyles() {
+    if (document.querySelector('#chromeai-live-proofreader-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'chromeai-live-proofreader-styles';
+    style.textContent = `
+      .chromeai-live-proof-mirror {
+        position: fixed;
+        visibility: hidden;
+        pointer-events: none;
+        overflow: hidden;
+        overflow-wrap: break-word;
+        border-style: solid;
+        border-color: transparent;
+      }
+
+      .chromeai-live-proof-layer {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 0;
+        height: 0;
+        z-index: 2147483646;
+      }
+
+      .chromeai-live-proof-underline {
+        position: fixed;
+        height: 3px;
+        border-bottom: 2px solid #ef4444;
+        cursor: pointer;
+      }
+
+      .chromeai-live-proof-underline.type-grammar { border-bottom-color: #f59e0b; }
+      .chromeai-live-proof-underline.type-punctuation { border-bottom-color: #8b5cf6; }
+      .chromeai-live-proof-underline.type-capitalization { border-bottom-color: #3b82f6; }
+
+      .chromeai-live-proof-badge {
+        position: fixed;
+        width: 20px;
+        height: 20px;
+        border: none;
+        border-radius: 50%;
+        background: #ef4444;
+        color: white;
+        font: 600 11px/20px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        text-align: center;
+        padding: 0;
+        cursor: pointer;
+        box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2);
+      }
+
+      .chromeai-live-proof-card {
+        position: fixed;
+        z-index: 2147483647;
+        width: 280px;
+        padding: 10px 12px;
+        background: white;
+        color: #111827;
+        border: 1px solid #e5e7eb;
+        border-radius: 10px;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+        font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      }
+
+      .chromeai-live-proof-type {
+        font-size: 11px;
+        font-weight: 600;
+        text-transform: uppercase;
+        color: #6b7280;
+        margin-bottom: 4px;
+      }
+
+      .chromeai-live-proof-change del { color: #dc2626; }
+      .chromeai-live-proof-change strong { color: #059669; }
+
+      .chromeai-live-proof-explanation {
+        margin-top: 4px;
+        color: #4b5563;
+      }
+
+      .chromeai-live-proof-actions {
+        display: flex;
+        gap: 6px;
+        margin-top: 8px;
+      }
+
+      .chromeai-live-proof-actions button {
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        background: white;
+        padding: 4px 10px;
+        font: inherit;
+        cursor: pointer;
+      }
+
+      .chromeai-live-proof-actions button[data-action="accept"] {
+        background: #059669;
+        border-color: #059669;
+        color: white;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  cleanup() {
+    this.stop();
+    this.enabled = false;
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.LiveProofreader = LiveProofreader;
+  window.ChromeAIStudio.liveProofreader = new LiveProofreader();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LiveProofreader;
+}
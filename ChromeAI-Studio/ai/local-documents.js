@@ -0,0 +1,260 @@
+/**
+ * ChromeAI Studio - Local Document Library
+ * Files the user dropped into the sidebar, parsed to Markdown on-device by DocumentParser
+ *
+ * - Stored in chrome.storage.local (`chromeai_local_documents`), shared by every tab
+ * - Chunked by AutonomousAgent.createContentChunks, so chunks match the agent's
+ * - Referenced in chat as `@file:<name>` and read by the agent's `readDocuments` action
+ *   as sources with `file://` URLs, so reports cite them like web pages
+ */
+
+class LocalDocumentLibrary {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: 'chromeai_local_documents',
+      chunkSize: 4000,
+      maxDocuments: 50,
+      ...options
+    };
+
+    this.documents = [];
+    this.loadPromise = null;
+    this.listeners = new Set();
+    this.parser = new window.ChromeAIStudio.DocumentParser();
+    this.logger = new window.ChromeAIStudio.Logger('LocalDocuments');
+
+    // Documents added or removed in another tab
+    chrome.storage?.onChanged?.addListener((changes, area) => {
+      if (area === 'local' && changes[this.options.storageKey] && !this.saving) {
+        this.setDocuments(changes[this.options.storageKey].newValue || []);
+      }
+    });
+  }
+
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = chrome.storage.local.get(this.options.storageKey)
+        .then(result => this.setDocuments(result[this.options.storageKey] || []))
+        .catch(error => {
+          this.logger.warn('Failed to load local documents:', error?.message);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  setDocuments(stored) {
+    this.documents = stored.map(doc => ({
+      ...doc,
+      chunks: LocalDocumentLibrary.chunkContent(doc.markdown, this.options.chunkSize)
+    }));
+    this.notify();
+  }
+
+  async save() {
+    const stored = this.documents.map(({ chunks, ...doc }) => doc);
+    this.saving = true;
+    try {
+      await chrome.storage.local.set({ [this.options.storageKey]: stored });
+    } finally {
+      this.saving = false;
+    }
+    this.notify();
+  }
+
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.list());
+      } catch (error) {
+        this.logger.warn('Document listener failed:', error?.message);
+      }
+    });
+  }
+
+  /**
+   * Parse files and add them to the library
+   * @param {FileList|File[]} files
+   * @returns {Promise<{added: Array, errors: Array<{name, error}>}>}
+   */
+  async addFiles(files) {
+    await this.load();
+    const added = [];
+    const errors = [];
+
+    for (const file of Array.from(files || [])) {
+      try {
+        if (this.documents.length >= this.options.maxDocuments) {
+          throw new Error(`The library holds up to ${this.options.maxDocuments} documents; remove some first`);
+        }
+
+        const parsed = await this.parser.parse(file);
+        const doc = {
+          id: `doc_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+          name: parsed.name,
+          title: parsed.title,
+          type: parsed.type,
+          size: parsed.size,
+          mentionId: this.createMentionId(parsed.name),
+          markdown: parsed.markdown,
+          addedAt: Date.now(),
+          chunks: LocalDocumentLibrary.chunkContent(parsed.markdown, this.options.chunkSize)
+        };
+
+        this.documents.push(doc);
+        added.push(this.toSummary(doc));
+        this.logger.info(`Added ${doc.name}: ${doc.markdown.length} chars, ${doc.chunks.length} chunks`);
+      } catch (error) {
+        this.logger.warn(`Could not add ${file.name}:`, error?.message);
+        errors.push({ name: file.name, error: error.message });
+      }
+    }
+
+    if (added.length > 0) {
+      await this.save();
+    }
+    return { added, errors };
+  }
+
+  async remove(id) {
+    await this.load();
+    const before = this.documents.length;
+    this.documents = this.documents.filter(doc => doc.id !== id);
+    if (this.documents.length !== before) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Documents without their content, newest first
+   */
+  list() {
+    return this.documents.map(doc => this.toSummary(doc)).sort((a, b) => b.addedAt - a.addedAt);
+  }
+
+  toSummary(doc) {
+    const { markdown, chunks, ...summary } = doc;
+    return { ...summary, length: markdown.length, chunkCount: chunks.length };
+  }
+
+  get(id) {
+    return this.documents.find(doc => doc.id === id) || null;
+  }
+
+  /**
+   * `@file:` name for a file: its slugged base name, numbered if taken
+   */
+  createMentionId(name) {
+    const base = name.replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'document';
+    const taken = new Set(this.documents.map(doc => doc.mentionId));
+    let mentionId = base;
+    for (let n = 2; taken.has(mentionId); n++) {
+      mentionId = `${base}-${n}`;
+    }
+    return mentionId;
+  }
+
+  /**
+   * Documents referenced as `@file:<name>` in a message (`@file:all` for every document)
+   */
+  resolveMentions(text) {
+    const ids = [...String(text || '').matchAll(/@file:([\w.-]+)/gi)].map(match => match[1].toLowerCase().replace(/[.,;:!?]+$/, ''));
+    if (ids.includes('all')) return [...this.documents];
+    return this.documents.filter(doc => ids.includes(doc.mentionId));
+  }
+
+  /**
+   * Remove `@file:` mentions from a message
+   */
+  stripMentions(text) {
+    return String(text || '').replace(/@file:[\w.-]+\s*/gi, '').trim();
+  }
+
+  /**
+   * Split content into chunks with AutonomousAgent.createContentChunks
+   */
+  static chunkContent(content, chunkSize) {
+    return window.AutonomousAgent.createContentChunks(content, chunkSize);
+  }
+
+  /**
+   * Chunks of the documents most relevant to a question, in document order,
+   * numbered for citation
+   * @param {Array} docs - Documents to read
+   * @param {string} query - Question (empty: the opening chunks of each document)
+   * @param {number} maxChars - Character budget for the selected chunks
+   * @returns {Array<{id, docId, name, title, url, chunkIndex, totalChunks, text}>}
+   */
+  selectChunks(docs, query, maxChars = 12000) {
+    const terms = this.getTerms(query);
+    const candidates = [];
+
+    docs.forEach((doc, docIndex) => {
+      doc.chunks.forEach((text, index) => {
+        const lower = text.toLowerCase();
+        const score = terms.reduce((sum, term) => sum + Math.min(5, lower.split(term).length - 1), 0);
+        candidates.push({ doc, docIndex, index, text, score });
+      });
+    });
+
+    // Best-scoring chunks first; without a query, earlier chunks first
+    const ranked = [...candidates].sort((a, b) =>
+      (b.score - a.score) || (a.index - b.index) || (a.docIndex - b.docIndex));
+
+    const selected = [];
+    let used = 0;
+    for (const candidate of ranked) {
+      if (used + candidate.text.length > maxChars && selected.length > 0) continue;
+      selected.push(candidate);
+      used += candidate.text.length;
+      if (used >= maxChars) break;
+    }
+
+    return selected
+      .sort((a, b) => (a.docIndex - b.docIndex) || (a.index - b.index))
+      .map((candidate, i) => ({
+        id: i + 1,
+        docId: candidate.doc.id,
+        name: candidate.doc.name,
+        title: candidate.doc.title,
+        url: this.getSourceUrl(candidate.doc),
+        chunkIndex: candidate.index + 1,
+        totalChunks: candidate.doc.chunks.length,
+        text: candidate.text
+      }));
+  }
+
+  getTerms(text) {
+    return [...new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [])];
+  }
+
+  getSourceUrl(doc) {
+    return `file://${encodeURIComponent(doc.name)}`;
+  }
+
+  /**
+   * Documents in the shape of the agent's `markdown_data` entries
+   */
+  toSources(docs) {
+    return docs.map(doc => ({
+      url: this.getSourceUrl(doc),
+      title: doc.title || doc.name,
+      markdown: doc.markdown,
+      local: true,
+      success: true
+    }));
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.LocalDocumentLibrary = LocalDocumentLibrary;
+  window.ChromeAIStudio.localDocuments = new LocalDocumentLibrary();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalDocumentLibrary;
+}
@@ -0,0 +1,175 @@
+/**
+ * ChromeAI Studio - MCP Bridge Tools
+ * The browser tools desktop MCP clients can call through the bridge (background/mcp-bridge.js)
+ *
+ * - Exposes the registry tools whose consumers include 'bridge'; URL-to-Markdown is registered here
+ * - Calls arrive here only after the user allowed them in the service worker's consent
+ *   prompt (background/mcp-bridge-consent.js); site grants are listed and revoked from here
+ * - A tool's `bridgeConsent` says which site that consent is for:
+ *   - 'page' (default): this page's origin
+ *   - 'url': the origin of the `url` argument, for tools that fetch another page
+ *   - 'always': asked on every call and never remembered, for tools that may reach any site
+ */
+
+class McpBridgeTools {
+  constructor() {
+    this.grantsKey = 'chromeai_mcp_bridge_grants';
+  }
+
+  /**
+   * Listen for bridge requests from the service worker
+   */
+  init() {
+    window.ChromeAIStudio.toolRegistry?.register(this.createConvertUrlTool(), { source: 'mcp-bridge' });
+
+    if (typeof chrome === 'undefined' || !chrome.runtime?.onMessage) return;
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === 'MCP_BRIDGE_LIST_TOOLS') {
+        this.listTools()
+          .then(tools => sendResponse({ success: true, tools }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+      if (message.type === 'MCP_BRIDGE_PREPARE_CALL') {
+        this.getConsentScope(message.name, message.arguments || {})
+          .then(scope => sendResponse({ success: true, scope }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+      if (message.type === 'MCP_BRIDGE_CALL_TOOL') {
+        this.callTool(message.name, message.arguments || {}, message.client, message.scope)
+          .then(result => sendResponse({ success: true, result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+      return false;
+    });
+  }
+
+  async getTools() {
+    return window.ChromeAIStudio.toolRegistry.getTools({ consumer: 'bridge' });
+  }
+
+  createConvertUrlTool() {
+    return {
+      name: 'convertUrlToMarkdown',
+      description: 'Open a URL in a background tab and return its main content as Markdown',
+      sideEffect: 'read-only',
+      permissions: ['tabs'],
+      consumers: ['chat', 'bridge'],
+      bridgeConsent: 'url',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            description: 'The http(s) URL to convert'
+          }
+        },
+        required: ['url']
+      },
+      async execute({ url }) {
+        const converter = window.ChromeAIStudio?.urlToMarkdown;
+        if (!converter) {
+          return 'URL to Markdown converter not available. Please reload the page.';
+        }
+        if (!/^https?:\/\//i.test(url || '')) {
+          return 'Please provide a full http(s) URL.';
+        }
+        const result = await converter.convertUrl(url);
+        if (!result.success) {
+          return `Failed to convert ${url}: ${result.error}`;
+        }
+        return `# ${result.title}\n\n${result.markdown}`;
+      }
+    };
+  }
+
+  async listTools() {
+    return (await this.getTools()).map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+  }
+
+  /**
+   * The site a call needs consent for
+   * @returns {Promise<{origin: string, remember: boolean}>} `remember` is false for always-ask tools
+   */
+  async getConsentScope(name, args) {
+    const tool = await window.ChromeAIStudio.toolRegistry.find(name, { consumer: 'bridge' });
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    switch (tool.bridgeConsent || 'page') {
+      case 'url': {
+        let url;
+        try {
+          url = new URL(args.url);
+        } catch (error) {
+          throw new Error(`${name} needs a full http(s) URL`);
+        }
+        if (!/^https?:$/.test(url.protocol)) {
+          throw new Error(`${name} needs a full http(s) URL`);
+        }
+        return { origin: url.origin, remember: true };
+      }
+      case 'always':
+        return { origin: window.location.origin, remember: false };
+      default:
+        return { origin: window.location.origin, remember: true };
+    }
+  }
+
+  /**
+   * Run a tool the user has allowed on this site
+   * @param {{origin: string, remember: boolean}} approved - The scope the user consented to
+   * @returns {Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}
+   */
+  async callTool(name, args, client = 'An MCP client', approved = null) {
+    const tool = await window.ChromeAIStudio.toolRegistry.find(name, { consumer: 'bridge' });
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    // The page may have changed since the user was asked; never run under another site's consent
+    const scope = await this.getConsentScope(name, args);
+    if (!approved || approved.origin !== scope.origin || approved.remember !== scope.remember) {
+      throw new Error(`${name} was approved for ${approved?.origin || 'no site'}, not ${scope.origin}`);
+    }
+
+    try {
+      // The consent prompt was the user's approval; only the policy's 'deny' rules still apply
+      await window.ChromeAIStudio.toolRegistry.approve(tool, { approved: true });
+      const text = await tool.execute(args);
+      return { content: [{ type: 'text', text: typeof text === 'string' ? text : JSON.stringify(text) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `${name} failed: ${error.message}` }], isError: true };
+    }
+  }
+
+  // --- Site grants ---
+
+  /**
+   * @returns {Promise<Object<string, {tools: string[], grantedAt: number}>>} Grants by origin
+   */
+  async getGrants() {
+    const stored = await chrome.storage.local.get(this.grantsKey);
+    return stored[this.grantsKey] || {};
+  }
+
+  async revokeSite(origin) {
+    const grants = await this.getGrants();
+    delete grants[origin];
+    await chrome.storage.local.set({ [this.grantsKey]: grants });
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.McpBridgeTools = McpBridgeTools;
+  window.ChromeAIStudio.mcpBridgeTools = new McpBridgeTools();
+  window.ChromeAIStudio.mcpBridgeTools.init();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = McpBridgeTools;
+}
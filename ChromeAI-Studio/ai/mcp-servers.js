@@ -0,0 +1,308 @@
+/**
+ * ChromeAI Studio - MCP Servers
+ * User-configured MCP (Model Context Protocol) tool servers for the voice agent
+ *
+ * - Servers are kept in the `mcpServers` setting; connections live in the service worker
+ *   (background/mcp-client.js), so every call goes through chrome.runtime messages
+ * - `getTools()` turns the tools of every enabled server into tools named `mcp_<server>_<tool>`,
+ *   offered to the voice agent and the sidebar chat through the tool registry
+ * - Calls, resource reads and prompt fetches are logged by the service worker
+ */
+
+class McpServers {
+  constructor() {
+    this.servers = [];
+    this.lastStatus = [];
+    this.settingsManager = null;
+    this.initPromise = null;
+    this.listeners = new Set();
+    this.logger = new window.ChromeAIStudio.Logger('McpServers');
+  }
+
+  async init() {
+    if (!this.initPromise) {
+      this.initPromise = this.loadSettings();
+    }
+    return this.initPromise;
+  }
+
+  async loadSettings() {
+    try {
+      if (window.ChromeAIStudio?.SettingsManager) {
+        this.settingsManager = new window.ChromeAIStudio.SettingsManager();
+        await this.settingsManager.init();
+        this.servers = this.settingsManager.get('mcpServers', []);
+        this.settingsManager.addListener((type) => {
+          if (type !== 'changed' && type !== 'synced' && type !== 'reset') return;
+          const servers = this.settingsManager.get('mcpServers', []);
+          if (JSON.stringify(servers) !== JSON.stringify(this.servers)) {
+            this.servers = servers;
+            this.notify();
+          }
+        });
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load MCP server settings:', error?.message);
+    }
+  }
+
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.servers);
+      } catch (error) {
+        this.logger.warn('MCP server listener failed:', error?.message);
+      }
+    });
+  }
+
+  // --- Server configuration ---
+
+  listServers() {
+    return this.servers;
+  }
+
+  async addServer({ name, url, transport = 'auto', headers = {} }) {
+    await this.init();
+    url = (url || '').trim();
+    const parsed = this.checkUrl(url);
+    const server = {
+      id: `mcp-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: (name || '').trim() || parsed.host,
+      url,
+      transport,
+      enabled: true,
+      headers
+    };
+    await this.saveServers([...this.servers, server]);
+    return server;
+  }
+
+  async updateServer(id, changes) {
+    await this.init();
+    if (changes.url) this.checkUrl(changes.url);
+    await this.saveServers(this.servers.map(server => server.id === id ? { ...server, ...changes } : server));
+  }
+
+  async setEnabled(id, enabled) {
+    return this.updateServer(id, { enabled });
+  }
+
+  async removeServer(id) {
+    await this.init();
+    await this.saveServers(this.servers.filter(server => server.id !== id));
+  }
+
+  async saveServers(servers) {
+    if (!this.settingsManager) {
+      throw new Error('Settings are not available');
+    }
+    if (!this.settingsManager.validateSetting('mcpServers', servers)) {
+      throw new Error('Invalid MCP server settings');
+    }
+    await this.settingsManager.set('mcpServers', servers);
+    this.servers = servers;
+    this.notify();
+  }
+
+  /**
+   * Same rule as the service worker: https anywhere, plain http only on localhost
+   */
+  checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new Error('Enter a full server URL, e.g. http://localhost:3000/mcp');
+    }
+    const local = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname) || parsed.hostname.endsWith('.localhost');
+    if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && local)) {
+      throw new Error('MCP servers must use https://, or http:// on localhost');
+    }
+    return parsed;
+  }
+
+  // --- Tools ---
+
+  /**
+   * Tools of every enabled server; unreachable servers are skipped
+   * @returns {Promise<Array<{name, description, inputSchema, sideEffect, execute}>>}
+   */
+  async getTools({ refresh = false } = {}) {
+    await this.init();
+    if (!this.servers.some(server => server.enabled !== false)) {
+      this.lastStatus = [];
+      return [];
+    }
+
+    let response;
+    try {
+      response = await this.sendMessage({ type: 'MCP_LIST_TOOLS', refresh });
+    } catch (error) {
+      this.logger.warn('Failed to list MCP tools:', error.message);
+      return [];
+    }
+    this.lastStatus = response.servers || [];
+
+    const used = new Set();
+    return (response.tools || []).map(tool => {
+      const base = this.toolName(tool.serverName, tool.name);
+      let name = base;
+      for (let n = 2; used.has(name); n++) name = `${base.slice(0, 60)}_${n}`;
+      used.add(name);
+
+      const mcpServers = this;
+      return {
+        name,
+        description: `[${tool.serverName}] ${tool.description || tool.title || tool.name}`,
+        inputSchema: tool.inputSchema,
+        // Servers only vouch for read-only tools; anything else may change data
+        sideEffect: tool.annotations?.readOnlyHint ? 'read-only' : 'mutates',
+        mcp: { serverId: tool.serverId, serverName: tool.serverName, tool: tool.name },
+        async execute(args = {}) {
+          return mcpServers.callTool(tool.serverId, tool.name, args);
+        }
+      };
+    });
+  }
+
+  /**
+   * Tool names must be unique across servers and fit `^[a-zA-Z0-9_]{1,64}$`
+   */
+  toolName(serverName, toolName) {
+    const slug = value => String(value || '').replace(/[^a-zA-Z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+    return `mcp_${slug(serverName).toLowerCase().slice(0, 20) || 'server'}_${slug(toolName)}`.slice(0, 64);
+  }
+
+  /**
+   * Call a tool and return its content as text for the model
+   */
+  async callTool(serverId, name, args = {}) {
+    try {
+      const response = await this.sendMessage({ type: 'MCP_CALL_TOOL', serverId, name, arguments: args });
+      const text = this.formatContent(response.result.content, response.result.structuredContent);
+      return response.result.isError ? `Tool ${name} failed: ${text}` : text;
+    } catch (error) {
+      return `Error calling ${name}: ${error.message}`;
+    }
+  }
+
+  async readResource(serverId, uri) {
+    const response = await this.sendMessage({ type: 'MCP_READ_RESOURCE', serverId, uri });
+    return this.formatContent((response.result.contents || []).map(resource => ({ type: 'resource', resource })));
+  }
+
+  /**
+   * @returns {Promise<{description: string, messages: Array<{role, text}>}>}
+   */
+  async getPrompt(serverId, name, args = {}) {
+    const response = await this.sendMessage({ type: 'MCP_GET_PROMPT', serverId, name, arguments: args });
+    return {
+      description: response.result.description || '',
+      messages: (response.result.messages || []).map(message => ({
+        role: message.role,
+        text: this.formatContent([message.content])
+      }))
+    };
+  }
+
+  async listResources(serverId) {
+    return (await this.sendMessage({ type: 'MCP_LIST_RESOURCES', serverId })).resources;
+  }
+
+  async listPrompts(serverId) {
+    return (await this.sendMessage({ type: 'MCP_LIST_PROMPTS', serverId })).prompts;
+  }
+
+  /**
+   * Flatten MCP content blocks into text
+   */
+  formatContent(content = [], structuredContent = null) {
+    const parts = (content || []).map(block => {
+      switch (block?.type) {
+        case 'text':
+          return block.text;
+        case 'image':
+        case 'audio':
+          return `[${block.type}: ${block.mimeType || 'unknown type'}]`;
+        case 'resource':
+          return block.resource?.text ?? `[resource: ${block.resource?.uri}]`;
+        case 'resource_link':
+          return `[${block.name || 'resource'}: ${block.uri}]`;
+        default:
+          return block ? JSON.stringify(block) : '';
+      }
+    }).filter(Boolean);
+
+    if (parts.length === 0 && structuredContent) {
+      return JSON.stringify(structuredContent, null, 2);
+    }
+    return parts.join('\n\n') || 'Done (no output)';
+  }
+
+  // --- Bridge for desktop MCP clients ---
+
+  getBridgeSettings() {
+    return this.settingsManager?.get('mcpBridge', { enabled: false }) || { enabled: false };
+  }
+
+  async setBridgeEnabled(enabled) {
+    await this.init();
+    if (!this.settingsManager) {
+      throw new Error('Settings are not available');
+    }
+    await this.settingsManager.set('mcpBridge', { ...this.getBridgeSettings(), enabled });
+  }
+
+  /**
+   * @returns {Promise<{enabled, connected, url, configFile, error}>}
+   */
+  async getBridgeStatus() {
+    return (await this.sendMessage({ type: 'MCP_BRIDGE_STATUS' })).status;
+  }
+
+  async reconnectBridge() {
+    return (await this.sendMessage({ type: 'MCP_BRIDGE_RECONNECT' })).status;
+  }
+
+  // --- Status and logs ---
+
+  /**
+   * Connect to a server config and list its tools, without saving it
+   */
+  async testServer(server) {
+    this.checkUrl(server.url);
+    return this.sendMessage({ type: 'MCP_TEST_SERVER', server });
+  }
+
+  async getLogs() {
+    return (await this.sendMessage({ type: 'MCP_GET_LOGS' })).logs;
+  }
+
+  async clearLogs() {
+    await this.sendMessage({ type: 'MCP_CLEAR_LOGS' });
+  }
+
+  async sendMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) {
+      throw new Error(response?.error || 'MCP service did not respond');
+    }
+    return response;
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.McpServers = McpServers;
+  window.ChromeAIStudio.mcpServers = new McpServers();
+  window.ChromeAIStudio.toolRegistry?.registerProvider('mcp-servers', () => window.ChromeAIStudio.mcpServers.getTools());
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = McpServers;
+}
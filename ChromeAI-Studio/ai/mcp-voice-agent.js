@@ -17,9 +17,9 @@ class MCPVoiceAgent {
     // Performance optimizations
     this.preWarmedSessions = new Map();
     this.toolsCache = new Map();
-    this.cachedTools = null; // Cache for MCP tools to avoid recreation
-    this.toolsLastCreated = 0;
-    this.toolsCacheTimeout = 1800000; // 30 minutes cache timeout
+    // Parses, validates and runs tool calls from model responses
+    this.dispatcher = new window.ChromeAIStudio.ToolCallDispatcher();
+    this.registerTools();
     
     // Pre-compile regex patterns for faster tool matching ✅
     this.toolPatterns = {
@@ -67,15 +67,16 @@ class MCPVoiceAgent {
 
     try {
       
-      // Check if LanguageModel API is available
-      if (typeof LanguageModel === 'undefined') {
+      // Check if a prompt session is available from the configured AI provider
+      const aiManager = window.ChromeAIStudio?.aiManager;
+      if (!aiManager?.canCreatePromptSession()) {
         console.warn('⚠️ LanguageModel API not available, using fallback mode');
         this.isInitialized = true;
         return;
       }
       
       // Create optimized session with system prompt and tools
-      this.session = await LanguageModel.create({
+      this.session = await aiManager.createPromptSession({
         temperature: 0.7,
         topK: 20,
         outputLanguage: 'en',
@@ -124,10 +125,13 @@ VOICE INTERACTION:
 - Always respond in English
 - Natural, conversational tone
 
-You have powerful browser automation tools. Use them efficiently to help users!`
+You have powerful browser automation tools. Use them efficiently to help users!
+
+${window.ChromeAIStudio.ToolCallDispatcher.describeFormat()}`
           }
         ],
-        tools: await this.getMCPTools()
+        // Native tool use calls execute() directly, so validate arguments there too
+        tools: (await this.getMCPTools()).map(tool => this.dispatcher.wrapTool(tool))
       });
 
       this.isInitialized = true;
@@ -140,72 +144,25 @@ You have powerful browser automation tools. Use them efficiently to help users!`
   }
 
   /**
-   * Get cached MCP tools or create new ones if cache is expired
+   * Voice tools from the shared registry: these, the browser and advanced tools and MCP
+   * server tools, each checked against the approval policy when it runs
    */
   async getMCPTools() {
-    const now = Date.now();
-    
-    // Return cached tools if they exist and are not expired
-    if (this.cachedTools && (now - this.toolsLastCreated) < this.toolsCacheTimeout) {
-      return this.cachedTools;
-    }
-    
-    // Create new tools and cache them
-    this.cachedTools = await this.createMCPTools();
-    this.toolsLastCreated = now;
-    
-    return this.cachedTools;
+    const registry = window.ChromeAIStudio.toolRegistry;
+    return (await registry.getTools({ consumer: 'voice' })).map(tool => registry.gate(tool));
   }
 
   /**
-   * Create MCP tools for browser automation
+   * Register the voice agent's own tools in the shared tool registry; navigate, search, click,
+   * fillForm and scroll are the shared browser tools (ai/browser-tools.js)
    */
-  async createMCPTools() {
-    // Get basic tools
+  registerTools() {
     const basicTools = [
-      // Web Navigation Tools
-      {
-        name: "openWebsite",
-        description: "Open a website in the current tab or new tab",
-        inputSchema: {
-          type: "object",
-          properties: {
-            url: {
-              type: "string",
-              description: "The URL to open (can be domain name or full URL)"
-            },
-            newTab: {
-              type: "boolean", 
-              description: "Whether to open in new tab (default: false)"
-            }
-          },
-          required: ["url"]
-        },
-        async execute({ url, newTab = false }) {
-          try {
-            // Smart URL handling
-            let fullUrl = url;
-            if (!url.startsWith('http')) {
-              fullUrl = url.includes('.') ? `https://${url}` : `https://www.google.com/search?q=${encodeURIComponent(url)}`;
-            }
-            
-            if (newTab) {
-              window.open(fullUrl, '_blank');
-              return `Opened ${url} in a new tab`;
-            } else {
-              window.location.href = fullUrl;
-              return `Opening ${url} in current tab`;
-            }
-          } catch (error) {
-            return `Failed to open ${url}: ${error.message}`;
-          }
-        }
-      },
-
       // Media Control Tools  
       {
         name: "controlAudio",
         description: "Control audio playback on the current page",
+        sideEffect: "mutates",
         inputSchema: {
           type: "object",
           properties: {
@@ -272,6 +229,7 @@ You have powerful browser automation tools. Use them efficiently to help users!`
       {
         name: "manageTab",
         description: "Manage browser tabs (close, refresh, go back/forward)",
+        sideEffect: "navigates",
         inputSchema: {
           type: "object",
           properties: {
@@ -308,45 +266,11 @@ You have powerful browser automation tools. Use them efficiently to help users!`
         }
       },
 
-      // Search and Navigation
-      {
-        name: "searchWeb",
-        description: "Search the web using Google",
-        inputSchema: {
-          type: "object",
-          properties: {
-            query: {
-              type: "string",
-              description: "The search query"
-            },
-            newTab: {
-              type: "boolean",
-              description: "Whether to open search in new tab (default: false)"
-            }
-          },
-          required: ["query"]
-        },
-        async execute({ query, newTab = false }) {
-          try {
-            const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-            
-            if (newTab) {
-              window.open(searchUrl, '_blank');
-              return `Searching for "${query}" in new tab`;
-            } else {
-              window.location.href = searchUrl;
-              return `Searching for "${query}"`;
-            }
-          } catch (error) {
-            return `Search failed: ${error.message}`;
-          }
-        }
-      },
-
       // Page Information
       {
         name: "getPageInfo",
         description: "Get information about the current page",
+        sideEffect: "read-only",
         inputSchema: {
           type: "object",
           properties: {
@@ -393,6 +317,7 @@ You have powerful browser automation tools. Use them efficiently to help users!`
       {
         name: "browserStorage",
         description: "Manage browser storage (localStorage, sessionStorage)",
+        sideEffect: "mutates",
         inputSchema: {
           type: "object",
           properties: {
@@ -450,6 +375,7 @@ You have powerful browser automation tools. Use them efficiently to help users!`
       {
         name: "getSystemInfo",
         description: "Get browser and system information",
+        sideEffect: "read-only",
         inputSchema: {
           type: "object",
           properties: {
@@ -489,6 +415,8 @@ You have powerful browser automation tools. Use them efficiently to help users!`
       {
         name: "summarizePage",
         description: "Summarize the content of the current page with progress updates for long pages",
+        sideEffect: "read-only",
+        consumers: ['voice', 'chat', 'bridge'],
         inputSchema: {
           type: "object",
           properties: {
@@ -570,8 +498,8 @@ You have powerful browser automation tools. Use them efficiently to help users!`
                 await summarizer.destroy();
               }
               // Fallback to LanguageModel API
-              else if (typeof LanguageModel !== 'undefined') {
-                const session = await LanguageModel.create({
+              else if (window.ChromeAIStudio?.aiManager?.canCreatePromptSession()) {
+                const session = await window.ChromeAIStudio.aiManager.createPromptSession({
                   temperature: 0.5,
                   topK: 20,
                   outputLanguage: 'en'
@@ -612,53 +540,12 @@ You have powerful browser automation tools. Use them efficiently to help users!`
         }
       },
 
-      // Scroll Control
-      {
-        name: "scrollPage",
-        description: "Scroll the page up, down, to top, or to bottom",
-        inputSchema: {
-          type: "object",
-          properties: {
-            direction: {
-              type: "string",
-              enum: ["up", "down", "top", "bottom"],
-              description: "Scroll direction"
-            },
-            amount: {
-              type: "number",
-              description: "Scroll amount in pixels (optional, for up/down)"
-            }
-          },
-          required: ["direction"]
-        },
-        async execute({ direction, amount = 500 }) {
-          try {
-            switch (direction) {
-              case 'up':
-                window.scrollBy({ top: -amount, behavior: 'smooth' });
-                return `Scrolled up ${amount} pixels`;
-              case 'down':
-                window.scrollBy({ top: amount, behavior: 'smooth' });
-                return `Scrolled down ${amount} pixels`;
-              case 'top':
-                window.scrollTo({ top: 0, behavior: 'smooth' });
-                return 'Scrolled to top of page';
-              case 'bottom':
-                window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
-                return 'Scrolled to bottom of page';
-              default:
-                return `Unknown scroll direction: ${direction}`;
-            }
-          } catch (error) {
-            return `Scroll failed: ${error.message}`;
-          }
-        }
-      },
-
       // Read Page Content
       {
         name: "readPageContent",
         description: "Read and return specific content from the current page",
+        sideEffect: "read-only",
+        consumers: ['voice', 'chat', 'bridge'],
         inputSchema: {
           type: "object",
           properties: {
@@ -725,64 +612,11 @@ You have powerful browser automation tools. Use them efficiently to help users!`
         }
       },
 
-      // Find and Click Elements
-      {
-        name: "clickElement",
-        description: "Find and click an element on the page by text content or selector",
-        inputSchema: {
-          type: "object",
-          properties: {
-            text: {
-              type: "string",
-              description: "Text content to find and click"
-            },
-            selector: {
-              type: "string",
-              description: "CSS selector (alternative to text)"
-            },
-            elementType: {
-              type: "string",
-              enum: ["button", "link", "any"],
-              description: "Type of element to click (default: any)"
-            }
-          }
-        },
-        async execute({ text, selector, elementType = "any" }) {
-          try {
-            let element = null;
-            
-            if (selector) {
-              element = document.querySelector(selector);
-            } else if (text) {
-              // Search for element by text
-              const searchSelectors = {
-                button: 'button, [role="button"], input[type="button"], input[type="submit"]',
-                link: 'a',
-                any: 'button, a, [role="button"], input[type="button"], input[type="submit"]'
-              };
-              
-              const elements = document.querySelectorAll(searchSelectors[elementType]);
-              element = Array.from(elements).find(el => 
-                el.textContent.toLowerCase().includes(text.toLowerCase())
-              );
-            }
-            
-            if (element) {
-              element.click();
-              return `Clicked element: ${element.textContent?.substring(0, 50) || selector || text}`;
-            } else {
-              return `Element not found: ${text || selector}`;
-            }
-          } catch (error) {
-            return `Click failed: ${error.message}`;
-          }
-        }
-      },
-
       // Screenshot/Capture Page
       {
         name: "capturePage",
         description: "Get information about what's visible on the current page",
+        sideEffect: "read-only",
         inputSchema: {
           type: "object",
           properties: {
@@ -830,60 +664,12 @@ You have powerful browser automation tools. Use them efficiently to help users!`
         }
       },
 
-      // Form Interaction
-      {
-        name: "fillForm",
-        description: "Fill form fields on the current page",
-        inputSchema: {
-          type: "object",
-          properties: {
-            fieldName: {
-              type: "string",
-              description: "Name or label of the form field"
-            },
-            value: {
-              type: "string",
-              description: "Value to fill in the field"
-            }
-          },
-          required: ["fieldName", "value"]
-        },
-        async execute({ fieldName, value }) {
-          try {
-            // Try to find input by name, id, or associated label
-            let input = document.querySelector(`input[name="${fieldName}"], textarea[name="${fieldName}"]`);
-            
-            if (!input) {
-              input = document.getElementById(fieldName);
-            }
-            
-            if (!input) {
-              // Search by label text
-              const labels = Array.from(document.querySelectorAll('label'));
-              const label = labels.find(l => l.textContent.toLowerCase().includes(fieldName.toLowerCase()));
-              if (label && label.htmlFor) {
-                input = document.getElementById(label.htmlFor);
-              }
-            }
-            
-            if (input) {
-              input.value = value;
-              input.dispatchEvent(new Event('input', { bubbles: true }));
-              input.dispatchEvent(new Event('change', { bubbles: true }));
-              return `Filled "${fieldName}" with "${value}"`;
-            } else {
-              return `Form field not found: ${fieldName}`;
-            }
-          } catch (error) {
-            return `Failed to fill form: ${error.message}`;
-          }
-        }
-      },
-
       // YouTube Music Playback with Trending Support
       {
         name: "playYouTubeMusic",
         description: "Play music on YouTube - either from trending charts or search for specific songs",
+        sideEffect: "navigates",
+        permissions: ['tabs'],
         inputSchema: {
           type: "object",
           properties: {
@@ -949,6 +735,11 @@ You have powerful browser automation tools. Use them efficiently to help users!`
       {
         name: "executeAutonomousTask",
         description: "Execute complex multi-step browser automation tasks autonomously (e.g., research and save, compare prices, fill forms)",
+        sideEffect: "mutates",
+        permissions: ['tabs', 'scripting'],
+        consumers: ['voice', 'chat', 'bridge'],
+        // Tasks open and act on other sites, so a site grant cannot cover them
+        bridgeConsent: 'always',
         inputSchema: {
           type: "object",
           properties: {
@@ -979,6 +770,11 @@ You have powerful browser automation tools. Use them efficiently to help users!`
             // Execute task autonomously
             const result = await agent.executeTask(task);
             
+            // The agent already told the user why it paused; the progress panel offers resume
+            if (result.paused) {
+              return `Task paused after step ${result.steps}: ${result.reason}. Resume it from the progress panel when you are ready.`;
+            }
+            
             // Voice feedback: Completion - concise and natural
             if (mcpVoiceInterface) {
               await mcpVoiceInterface.speak(`Research complete! Check the sidebar for results.`, { endConversation: true });
@@ -1010,20 +806,7 @@ You have powerful browser automation tools. Use them efficiently to help users!`
       }
     ];
 
-    // Get advanced tools if available
-    let advancedTools = [];
-    if (window.ChromeAIStudio?.advancedMCPTools) {
-      try {
-        advancedTools = window.ChromeAIStudio.advancedMCPTools.getAdvancedTools();
-      } catch (error) {
-        console.warn('⚠️ Failed to load advanced MCP tools:', error);
-      }
-    }
-
-    // Combine basic and advanced tools
-    const allTools = [...basicTools, ...advancedTools];
-    
-    return allTools;
+    window.ChromeAIStudio.toolRegistry.registerAll(basicTools, { source: 'voice-agent' });
   }
 
   /**
@@ -1123,20 +906,24 @@ You have powerful browser automation tools. Use them efficiently to help users!`
 
       // Try to use LanguageModel API if available
       if (this.session && this.isInitialized) {
+        let response = null;
         try {
           // Build contextual prompt with conversation history
           const contextualPrompt = this.buildContextualPrompt(transcript);
-          
-          // Get AI response with tool capabilities (parallel processing)
-          const [response, toolResult] = await Promise.all([
-            this.session.prompt(contextualPrompt),
-            this.executeToolsForRequest(transcript, '') // Start tool check in parallel ✅
-          ]);
-          
-          // Use tool result if available, otherwise use AI response
-          finalResponse = toolResult || response;
+          response = await this.session.prompt(contextualPrompt);
         } catch (error) {
           console.warn('⚠️ LanguageModel API failed, falling back to tool processing:', error);
+        }
+        
+        if (response !== null) {
+          // Run the tool calls in the response; results go back to the model until it answers
+          const outcome = await this.dispatcher.run({
+            response,
+            tools: await this.getMCPTools(),
+            prompt: (text) => this.session.prompt(text)
+          });
+          finalResponse = outcome.text || this.dispatcher.summarizeResults(outcome.results) || this.getFallbackResponse(transcript);
+        } else {
           finalResponse = await this.executeToolsForRequest(transcript, '') || this.getFallbackResponse(transcript);
         }
       } else {
@@ -1144,12 +931,6 @@ You have powerful browser automation tools. Use them efficiently to help users!`
         finalResponse = await this.executeToolsForRequest(transcript, '') || this.getFallbackResponse(transcript);
       }
       
-      // CRITICAL: Parse and execute tool calls from AI response
-      const toolExecutionResult = await this.parseAndExecuteToolsFromResponse(finalResponse);
-      if (toolExecutionResult) {
-        finalResponse = toolExecutionResult; // Replace with actual tool result
-      }
-      
       // Add assistant response to history
       this.conversationHistory.push({
         role: 'assistant', 
@@ -1168,94 +949,11 @@ You have powerful browser automation tools. Use them efficiently to help users!`
 
   /**
    * Parse and execute tool calls from AI response
+   * @returns {Promise<string|null>} Tool output as text, or null when the response has no calls
    */
   async parseAndExecuteToolsFromResponse(response) {
-    try {
-      // Look for tool_code blocks
-      const toolCodeMatch = response.match(/```tool_code\s*\n([\s\S]*?)\n```/);
-      
-      if (!toolCodeMatch) {
-        return null; // No tool call found
-      }
-      
-      let toolCode = toolCodeMatch[1].trim();
-      // Strip common wrappers like print()
-      const wrapperMatch = toolCode.match(/print\(([\s\S]*?)\)/);
-      if (wrapperMatch) {
-        toolCode = wrapperMatch[1].trim();
-      }
-      
-      // Parse tool name and parameters
-      // Format: toolName(param='value', param2='value2') or toolName(param="value")
-      const toolMatch = toolCode.match(/(\w+)\((.*)\)/s);
-      
-      if (!toolMatch) {
-        console.warn('⚠️ Could not parse tool call format');
-        return null;
-      }
-      
-      const toolName = toolMatch[1];
-      const paramsString = toolMatch[2];
-      
-      
-      // Parse parameters (simple key=value parsing)
-      const params = {};
-      if (paramsString) {
-        // Match key='value' or key="value" patterns
-        const paramMatches = paramsString.matchAll(/(\w+)\s*=\s*['"]([^'"]*)['"]/g);
-        for (const match of paramMatches) {
-          let paramName = match[1];
-          const paramValue = match[2];
-          
-          // Map common parameter name variations
-          if (paramName === 'task_description') {
-            paramName = 'task';
-          } else if (paramName === 'search_query' || paramName === 'query_string') {
-            paramName = 'query';
-          } else if (paramName === 'url_address' || paramName === 'website') {
-            paramName = 'url';
-          }
-          
-          params[paramName] = paramValue;
-        }
-      }
-      
-      
-      // For executeAutonomousTask, extract task from the original response if params are empty
-      if (toolName === 'executeAutonomousTask' && !params.task && !params.task_description) {
-        // Try to extract task from the full response
-        const taskMatch = response.match(/task_description\s*[:=]\s*['"]([^'"]+)['"]/i) 
-          || response.match(/task\s*[:=]\s*['"]([^'"]+)['"]/i)
-          || response.match(/(?:research|find|get|search for)[\s:]+(['"]([^'"]+)['"])/i);
-        
-        if (taskMatch) {
-          const taskValue = taskMatch[1] || taskMatch[2];
-          params.task = taskValue;
-        } else {
-          // Last resort: use the user's original transcript
-          params.task = this.lastTranscript || 'Unknown task';
-        }
-      }
-      
-      // Get the tool
-      const tools = await this.getMCPTools();
-      const tool = tools.find(t => t.name === toolName);
-      
-      if (!tool) {
-        console.error(`❌ Tool not found: ${toolName}`);
-        return null;
-      }
-      
-      // Execute the tool
-      const result = await tool.execute(params);
-      
-      
-      return result;
-      
-    } catch (error) {
-      console.error('❌ Tool execution failed:', error);
-      return null;
-    }
+    const { results } = await this.dispatcher.dispatch(response, await this.getMCPTools());
+    return results.length > 0 ? this.dispatcher.summarizeResults(results) : null;
   }
 
   /**
@@ -1282,7 +980,7 @@ You have powerful browser automation tools. Use them efficiently to help users!`
   }
 
   /**
-   * Execute tools based on user request
+   * Execute tools based on keywords in the request; used only when no model is available
    */
   async executeToolsForRequest(transcript, aiResponse) {
     const lowerTranscript = transcript.toLowerCase().trim();
@@ -1326,7 +1024,7 @@ You have powerful browser automation tools. Use them efficiently to help users!`
       
       // Scroll control
       if (this.toolPatterns.scroll.test(lowerTranscript)) {
-        const tool = tools.find(t => t.name === 'scrollPage');
+        const tool = tools.find(t => t.name === 'scroll');
         if (tool) {
           let direction = 'down';
           if (lowerTranscript.includes('up')) direction = 'up';
@@ -1334,7 +1032,7 @@ You have powerful browser automation tools. Use them efficiently to help users!`
           else if (lowerTranscript.includes('bottom')) direction = 'bottom';
           
           const result = await tool.execute({ direction });
-          return `Done! ${result}`;
+          return `Done! ${result.message}`;
         }
       }
       
@@ -1356,11 +1054,10 @@ You have powerful browser automation tools. Use them efficiently to help users!`
       if (this.toolPatterns.click.test(lowerTranscript)) {
         const clickMatch = lowerTranscript.match(this.toolPatterns.click);
         if (clickMatch) {
-          const tool = tools.find(t => t.name === 'clickElement');
+          const tool = tools.find(t => t.name === 'click');
           if (tool) {
-            const text = clickMatch[1];
-            const result = await tool.execute({ text });
-            return `Done! ${result}`;
+            const result = await tool.execute({ element: clickMatch[1] });
+            return `Done! ${result.message}`;
           }
         }
       }
@@ -1407,15 +1104,10 @@ You have powerful browser automation tools. Use them efficiently to help users!`
       const websiteMatch = lowerTranscript.match(this.toolPatterns.website);
       if (websiteMatch) {
         const site = websiteMatch[1];
-        const smartTool = tools.find(t => t.name === 'smartNavigate');
-        const websiteTool = tools.find(t => t.name === 'openWebsite');
-        
-        if (smartTool) {
-          const result = await smartTool.execute({ destination: site, newTab: true });
-          return `I've opened ${site} for you! ${result}`;
-        } else if (websiteTool) {
-          const result = await websiteTool.execute({ url: site, newTab: true });
-          return `I've opened ${site} for you! ${result}`;
+        const tool = tools.find(t => t.name === 'navigate');
+        if (tool) {
+          const result = await tool.execute({ url: site, newTab: true });
+          return `I've opened ${site} for you! ${result.message}`;
         }
       }
       
@@ -1423,10 +1115,10 @@ You have powerful browser automation tools. Use them efficiently to help users!`
       const searchMatch = lowerTranscript.match(this.toolPatterns.search);
       if (searchMatch) {
         const query = searchMatch[1];
-        const tool = tools.find(t => t.name === 'searchWeb');
+        const tool = tools.find(t => t.name === 'search');
         if (tool) {
           const result = await tool.execute({ query: query.trim(), newTab: true });
-          return `I've searched for "${query}" for you! ${result}`;
+          return `I've searched for "${query}" for you! ${result.message}`;
         }
       }
       
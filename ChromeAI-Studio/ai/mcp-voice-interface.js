@@ -29,6 +29,7 @@ class MCPVoiceInterface {
         this.lastWakeWordTime = 0;
         this.wakeWordCooldown = 2000; // 2 seconds
         this.mcpAgent = null;
+        this.speechEngines = null;
         this.isInitialized = false;
         
         // Event listeners for cleanup
@@ -47,8 +48,13 @@ class MCPVoiceInterface {
         
         try {
             
-            // Check for speech recognition support
-            if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+            // Check for speech recognition support in the engine chosen in settings
+            this.speechEngines = window.ChromeAIStudio?.speechEngines || null;
+            await this.speechEngines?.init();
+            const recognitionSupported = this.speechEngines
+                ? this.speechEngines.isSupported()
+                : ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window);
+            if (!recognitionSupported) {
                 throw new Error('Speech recognition not supported in this browser');
             }
             
@@ -81,8 +87,13 @@ class MCPVoiceInterface {
      * Initialize wake word detection system
      */
     initializeWakeWordDetection() {
-        // Wake word detection is handled in the floating bubble
-        // This is just a placeholder for future enhancement
+        // The floating bubble listens for the wake words, with the engine chosen in settings
+        // (ai/speech-engines.js); keep the same words here
+        if (!this.speechEngines) return;
+        this.options.wakeWords = this.speechEngines.getWakeWords();
+        this.speechEngines.addListener(() => {
+            this.options.wakeWords = this.speechEngines.getWakeWords();
+        });
     }
 
     /**
@@ -158,8 +169,13 @@ class MCPVoiceInterface {
      * Create speech recognition instance
      */
     createSpeechRecognition() {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        const recognition = new SpeechRecognition();
+        let recognition;
+        if (this.speechEngines) {
+            recognition = this.speechEngines.createRecognition({ mode: 'dictation' });
+        } else {
+            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+            recognition = new SpeechRecognition();
+        }
         
         recognition.continuous = this.options.continuous;
         recognition.interimResults = this.options.interimResults;
@@ -0,0 +1,452 @@
+/**
+ * ChromeAI Studio - Mock AI Provider
+ * Deterministic, scripted stand-in for the on-device models so AutonomousAgent,
+ * MCPVoiceAgent, SidebarChat and TextSelectionMenu can be driven without Gemini Nano
+ * (in a jsdom/Node harness or from dev/mock-ai-checks.html). Not loaded into web pages.
+ *
+ * Usage:
+ *   const mock = new MockAIProvider({
+ *     rules: [
+ *       { match: /summarize/i, response: '- point one\n- point two' },
+ *       { match: 'next action', type: 'languageModel', response: '{"action":"click","index":3}' },
+ *       { match: 'huge page', error: 'QuotaExceededError', times: 1 }
+ *     ],
+ *     availability: { languageModel: 'downloadable' }
+ *   });
+ *   mock.install(window.ChromeAIStudio.aiProviders);   // AIManager sessions
+ *   aiInstanceManager.setProvider(mock);               // AIInstanceManager.createInstance
+ *
+ * Rules are checked in order; the first one whose `match` (string, RegExp or predicate)
+ * fits the prompt text and whose optional `type` fits the session type wins.
+ */
+
+const MOCK_SESSION_TYPES = [
+  'languageModel',
+  'summarizer',
+  'writer',
+  'rewriter',
+  'translator',
+  'proofreader',
+  'languageDetector'
+];
+
+class MockAIProvider {
+  constructor(script = {}) {
+    this.id = 'mock';
+    this.name = 'Mock AI (scripted responses)';
+    this.calls = [];
+    this.sessions = [];
+    this.registry = null;
+    this.load(script);
+  }
+
+  /**
+   * Replace the script. Keys:
+   * - rules: [{ match, type?, response?, chunks?, error?, times?, delay? }]
+   * - defaultResponse: string or (prompt, context) => string, used when no rule matches
+   * - availability: { [sessionType]: 'available' | 'downloadable' | 'downloading' | 'unavailable' }
+   * - downloadSteps: progress values reported to `monitor` while a model "downloads"
+   * - inputQuota: token budget per session; larger prompts throw QuotaExceededError
+   * - chunkSize: words per streamed chunk when a rule has no explicit `chunks`
+   * - delay: milliseconds to wait before each response or chunk
+   */
+  load(script = {}) {
+    this.rules = (script.rules || []).map(rule => ({ ...rule, used: 0 }));
+    this.defaultResponse = script.defaultResponse ?? 'Mock response.';
+    this.availabilityByType = { ...(script.availability || {}) };
+    this.downloadSteps = script.downloadSteps || [0, 0.25, 0.5, 0.75, 1];
+    this.inputQuota = script.inputQuota || 4096;
+    this.chunkSize = script.chunkSize || 3;
+    this.delay = script.delay || 0;
+    return this;
+  }
+
+  /**
+   * Add a rule at runtime; returns the provider for chaining
+   */
+  when(match, response, extra = {}) {
+    this.rules.push({ match, response, ...extra, used: 0 });
+    return this;
+  }
+
+  /**
+   * Clear recorded calls and rule usage counters, keeping the script
+   */
+  reset() {
+    this.calls = [];
+    this.sessions = [];
+    this.rules.forEach(rule => { rule.used = 0; });
+  }
+
+  /**
+   * Register with an AIProviderRegistry and route every session type to the mock
+   */
+  install(registry = (typeof window !== 'undefined' ? window.ChromeAIStudio?.aiProviders : null)) {
+    if (!registry) {
+      throw new Error('No AI provider registry to install the mock into');
+    }
+    registry.register(this);
+    registry.useProvider(this.id);
+    this.registry = registry;
+    return this;
+  }
+
+  uninstall() {
+    if (!this.registry) return;
+    this.registry.useProvider(null);
+    this.registry.unregister(this.id);
+    this.registry = null;
+  }
+
+  isSupported(type) {
+    return MOCK_SESSION_TYPES.includes(type) && this.availabilityByType[type] !== 'unavailable';
+  }
+
+  async availability(type) {
+    if (!MOCK_SESSION_TYPES.includes(type)) return 'unavailable';
+    return this.availabilityByType[type] || 'available';
+  }
+
+  async params() {
+    return {
+      defaultTopK: 3,
+      maxTopK: 128,
+      defaultTemperature: 1,
+      maxTemperature: 2
+    };
+  }
+
+  async createSession(type, options = {}) {
+    const availability = await this.availability(type);
+    if (availability === 'unavailable') {
+      throw this.createError('NotSupportedError', `${type} is unavailable in the mock script`);
+    }
+
+    if (availability === 'downloadable' || availability === 'downloading') {
+      await this.simulateDownload(type, options.monitor);
+      this.availabilityByType[type] = 'available';
+    }
+
+    const session = new MockAISession(this, type, options);
+    this.sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Emit downloadprogress events the way the built-in create({ monitor }) does
+   */
+  async simulateDownload(type, monitor) {
+    if (typeof monitor !== 'function') return;
+
+    const target = new EventTarget();
+    monitor(target);
+
+    for (const loaded of this.downloadSteps) {
+      await this.wait();
+      const event = new Event('downloadprogress');
+      event.loaded = loaded;
+      event.total = 1;
+      target.dispatchEvent(event);
+    }
+  }
+
+  /**
+   * Resolve the scripted outcome for a call: { text, chunks } or throws the scripted error
+   */
+  async respond(session, method, input, options = {}) {
+    const prompt = this.toText(input);
+    const context = { type: session.type, method, options: { ...session.options, ...options }, session };
+
+    this.calls.push({ type: session.type, method, prompt, options: context.options, time: Date.now() });
+
+    const tokens = this.estimateTokens(prompt);
+    if (tokens + (method.startsWith('prompt') ? session.inputUsage : 0) > session.inputQuota) {
+      throw this.createError('QuotaExceededError', `Input of ${tokens} tokens exceeds the ${session.inputQuota} token quota`);
+    }
+
+    const rule = this.findRule(prompt, context);
+    await this.wait(rule?.delay);
+
+    if (rule?.error) {
+      throw rule.error instanceof Error ? rule.error : this.createError(rule.error, rule.message);
+    }
+
+    const response = rule ? rule.response : this.getDefaultResponse(method, prompt);
+    const text = typeof response === 'function'
+      ? String(await response(prompt, { ...context, match: rule?.lastMatch }))
+      : String(response ?? '');
+    const chunks = rule?.chunks || this.splitIntoChunks(text);
+
+    return { text: rule?.chunks ? rule.chunks.join('') : text, chunks };
+  }
+
+  /**
+   * Unmatched detect() calls answer English and proofread() calls return the input unchanged
+   */
+  getDefaultResponse(method, prompt) {
+    if (method === 'detect') return 'en';
+    if (method === 'proofread') return prompt;
+    return this.defaultResponse;
+  }
+
+  findRule(prompt, context) {
+    for (const rule of this.rules) {
+      if (rule.type && rule.type !== context.type) continue;
+      if (typeof rule.times === 'number' && rule.used >= rule.times) continue;
+
+      let matched = false;
+      if (rule.match instanceof RegExp) {
+        rule.lastMatch = prompt.match(rule.match);
+        matched = !!rule.lastMatch;
+      } else if (typeof rule.match === 'function') {
+        matched = !!rule.match(prompt, context);
+      } else if (typeof rule.match === 'string') {
+        matched = prompt.toLowerCase().includes(rule.match.toLowerCase());
+      } else {
+        matched = true;
+      }
+
+      if (matched) {
+        rule.used++;
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Flatten Prompt API input (string, message array, content parts) into plain text
+   */
+  toText(input) {
+    if (input == null) return '';
+    if (typeof input === 'string') return input;
+    if (Array.isArray(input)) {
+      return input.map(item => this.toText(item?.content ?? item?.value ?? item)).join('\n');
+    }
+    if (typeof input === 'object') {
+      return this.toText(input.content ?? input.value ?? '');
+    }
+    return String(input);
+  }
+
+  splitIntoChunks(text) {
+    const words = text.split(/(\s+)/);
+    const chunks = [];
+    for (let i = 0; i < words.length; i += this.chunkSize * 2) {
+      chunks.push(words.slice(i, i + this.chunkSize * 2).join(''));
+    }
+    return chunks.filter(chunk => chunk.length > 0);
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  createError(name, message) {
+    const text = message || `Mock ${name}`;
+    if (typeof DOMException !== 'undefined') {
+      return new DOMException(text, name);
+    }
+    const error = new Error(text);
+    error.name = name;
+    return error;
+  }
+
+  wait(ms = this.delay) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+}
+
+/**
+ * Session returned by MockAIProvider.createSession. Exposes the union of the built-in
+ * session methods so any session type can be requested from it.
+ */
+class MockAISession {
+  constructor(provider, type, options = {}) {
+    this.provider = provider;
+    this.type = type;
+    this.options = { ...options };
+    this.created = Date.now();
+    this.lastUsed = Date.now();
+    this.temperature = options.temperature;
+    this.topK = options.topK;
+    this.sourceLanguage = options.sourceLanguage;
+    this.targetLanguage = options.targetLanguage;
+    this.inputQuota = provider.inputQuota;
+    this.history = (options.initialPrompts || []).map(p => ({ role: p.role, content: provider.toText(p.content) }));
+    this.inputUsage = this.history.reduce((sum, m) => sum + provider.estimateTokens(m.content), 0);
+    this.destroyed = false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Prompt API surface
+  // ---------------------------------------------------------------------------
+
+  async prompt(input, options = {}) {
+    const { text } = await this.run('prompt', input, options);
+    this.commitTurn(input, text);
+    return text;
+  }
+
+  promptStreaming(input, options = {}) {
+    return this.stream('promptStreaming', input, options, (text) => this.commitTurn(input, text));
+  }
+
+  async append(input) {
+    this.assertAlive();
+    const content = this.provider.toText(input);
+    this.history.push({ role: 'user', content });
+    this.inputUsage += this.provider.estimateTokens(content);
+  }
+
+  async measureInputUsage(input) {
+    return this.provider.estimateTokens(this.provider.toText(input));
+  }
+
+  async clone() {
+    this.assertAlive();
+    const copy = new MockAISession(this.provider, this.type, this.options);
+    copy.history = this.history.map(m => ({ ...m }));
+    copy.inputUsage = this.inputUsage;
+    this.provider.sessions.push(copy);
+    return copy;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Summarizer / Writer / Rewriter / Translator surface
+  // ---------------------------------------------------------------------------
+
+  async summarize(text, options = {}) {
+    return (await this.run('summarize', text, options)).text;
+  }
+
+  summarizeStreaming(text, options = {}) {
+    return this.stream('summarizeStreaming', text, options);
+  }
+
+  async write(text, options = {}) {
+    return (await this.run('write', text, options)).text;
+  }
+
+  writeStreaming(text, options = {}) {
+    return this.stream('writeStreaming', text, options);
+  }
+
+  async rewrite(text, options = {}) {
+    return (await this.run('rewrite', text, options)).text;
+  }
+
+  rewriteStreaming(text, options = {}) {
+    return this.stream('rewriteStreaming', text, options);
+  }
+
+  async translate(text, options = {}) {
+    return (await this.run('translate', text, options)).text;
+  }
+
+  translateStreaming(text, options = {}) {
+    return this.stream('translateStreaming', text, options);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Proofreader / LanguageDetector surface
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Scripted response is the corrected text; a JSON object response is returned as-is
+   */
+  async proofread(text, options = {}) {
+    const { text: response } = await this.run('proofread', text, options);
+    try {
+      const parsed = JSON.parse(response);
+      if (parsed && typeof parsed === 'object') return parsed;
+    } catch (_) {
+      // Plain corrected text
+    }
+    return { correctedInput: response, corrections: [] };
+  }
+
+  /**
+   * Scripted response is a language code, or a JSON array of { detectedLanguage, confidence }
+   */
+  async detect(text, options = {}) {
+    const { text: response } = await this.run('detect', text, options);
+    try {
+      const parsed = JSON.parse(response);
+      if (Array.isArray(parsed)) return parsed;
+    } catch (_) {
+      // Plain language code
+    }
+    return [{ detectedLanguage: response.trim() || 'en', confidence: 0.99 }];
+  }
+
+  async destroy() {
+    this.destroyed = true;
+    this.history = [];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  assertAlive() {
+    if (this.destroyed) {
+      throw this.provider.createError('InvalidStateError', 'The session has been destroyed.');
+    }
+  }
+
+  async run(method, input, options) {
+    this.assertAlive();
+    this.lastUsed = Date.now();
+    return await this.provider.respond(this, method, input, options);
+  }
+
+  /**
+   * ReadableStream of string deltas, like the built-in *Streaming methods.
+   * Scripted errors surface from the first read, as they do for the real APIs.
+   */
+  stream(method, input, options = {}, onComplete) {
+    const provider = this.provider;
+    let chunks = null;
+    let fullText = '';
+    let index = 0;
+
+    return new ReadableStream({
+      start: async () => {
+        const result = await this.run(method, input, options);
+        chunks = result.chunks;
+        fullText = result.text;
+      },
+      pull: async (controller) => {
+        if (options.signal?.aborted) {
+          controller.error(provider.createError('AbortError', 'The operation was aborted.'));
+          return;
+        }
+        if (index < chunks.length) {
+          if (index > 0) await provider.wait();
+          controller.enqueue(chunks[index++]);
+          return;
+        }
+        controller.close();
+        if (onComplete) onComplete(fullText);
+      }
+    });
+  }
+
+  commitTurn(input, responseText) {
+    this.history.push(
+      { role: 'user', content: this.provider.toText(input) },
+      { role: 'assistant', content: responseText }
+    );
+    this.inputUsage = this.history.reduce((sum, m) => sum + this.provider.estimateTokens(m.content), 0);
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.MockAIProvider = MockAIProvider;
+  window.ChromeAIStudio.MockAISession = MockAISession;
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MockAIProvider, MockAISession };
+}
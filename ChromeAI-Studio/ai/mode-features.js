@@ -36,9 +36,12 @@ class StudentModeFeatures extends ModeFeatures {
     return result.success ? result.result : `Error: ${result.error?.message || 'Summarization failed'}`;
   }
 
+  /**
+   * Quiz questions about the text, saved to the current page's deck
+   * @returns {Promise<Array|string>} The added quiz cards, or an error message
+   */
   async interactiveQuizGenerator(text) {
-    return this.aiPrompt(text,
-      'Create 5 multiple-choice quiz questions based on this content. Format each question with 4 options (A, B, C, D) and mark the correct answer:');
+    return this.createStudyItems('quiz', text);
   }
 
   async smartNoteTaker(text) {
@@ -55,9 +58,22 @@ class StudentModeFeatures extends ModeFeatures {
     return result.success ? result.result : `Error: ${result.error?.message || 'Translation failed'}`;
   }
 
+  /**
+   * Flashcards about the text, saved to the current page's deck
+   * @returns {Promise<Array|string>} The added cards, or an error message
+   */
   async flashcardCreator(text) {
-    return this.aiPrompt(text,
-      'Create flashcards from this content. Format as:\nFront: [Question]\nBack: [Answer]\n\nCreate 5-7 flashcards:');
+    return this.createStudyItems('flashcards', text);
+  }
+
+  async createStudyItems(kind, text) {
+    const decks = window.ChromeAIStudio.studyDecks;
+    const response = await decks.generate(kind, text, this.ai);
+    if (!response.success) {
+      return `Error: ${response.error}`;
+    }
+    const deck = await decks.getPageDeck();
+    return decks.addCards(deck.id, response.result, ['student']);
   }
 
   async difficultyAdapter(text, level = 'beginner') {
@@ -70,8 +86,22 @@ class StudentModeFeatures extends ModeFeatures {
       'Based on this content, suggest a learning path with topics to study in order:');
   }
 
-  startStudySession() {
-    return 'Study session started! Use the sidebar to interact with AI for study help.';
+  /**
+   * Open the sidebar's Study view on the cards that are due
+   */
+  async startStudySession() {
+    const decks = window.ChromeAIStudio.studyDecks;
+    const sidebar = window.ChromeAIStudio.smartSidebar;
+    if (!sidebar?.study) {
+      return 'Open the sidebar to start a study session.';
+    }
+    if (!sidebar.isOpen?.()) sidebar.open?.();
+    await sidebar.study.open();
+
+    const due = decks.getDueCards().length;
+    return due > 0
+      ? `Study session started: ${due} card(s) due for review.`
+      : 'Study session started. No cards are due; create flashcards from a page to add some.';
   }
 }
 
@@ -188,12 +218,37 @@ class ResearcherModeFeatures extends ModeFeatures {
       'Suggest reliable sources and references related to this topic. Include academic and authoritative sources:');
   }
 
+  /**
+   * Citation of the current page from its metadata; `text` only helps the model fill
+   * missing fields, which are flagged in the result
+   * @param {string} style - APA, MLA, Chicago, IEEE, BibTeX, RIS, or 'all' for Markdown of every style
+   */
   async citationGenerator(text, style = 'APA') {
-    return this.aiPrompt(text,
-      `Generate ${style} citations for this content. Format properly according to ${style} guidelines:`);
+    const builder = new window.ChromeAIStudio.CitationBuilder();
+    const record = builder.extract();
+    const filled = await builder.fillGaps(record, this.ai, text);
+    if (String(style).toLowerCase() === 'all') {
+      return builder.toMarkdown(record);
+    }
+
+    const citation = builder.format(record, style);
+    return filled.length > 0
+      ? `${citation}\n\n⚠️ Not in the page metadata, suggested by the AI model — please verify: ${filled.map(field => ({ authors: 'author', container: 'site name' }[field] || field)).join(', ')}`
+      : citation;
   }
 
-  async crossSourceSynthesizer(sources) {
+  /**
+   * Synthesize several sources; without any, synthesize the active research collection
+   * with [n] citations to its clips
+   */
+  async crossSourceSynthesizer(sources = null) {
+    if (!sources || sources.length === 0) {
+      const collections = window.ChromeAIStudio.researchCollections;
+      const project = await collections.getActiveProject();
+      const result = await collections.run('synthesis', project.id, this.ai);
+      return result.success ? result.result : `Error: ${result.error}`;
+    }
+
     const combined = Array.isArray(sources) ? sources.join('\n\n---\n\n') : sources;
     return this.aiPrompt(combined,
       'Synthesize information from these sources. Identify common themes, contradictions, and key insights:');
@@ -0,0 +1,490 @@
+/**
+ * ChromeAI Studio - Proofreader Report
+ * Change log of a page proofreading run (ProofreaderToggle.extractAndProofreadText)
+ *
+ * - Every correction with its type, original and corrected text, explanation and element
+ * - Panel grouped by type with per-type counts and jump-to-location links
+ * - Export as Markdown or CSV; "Revert all" restores the page's original text
+ * - Kept after the highlights are cleared, until the next run starts
+ */
+
+const PROOFREAD_TYPE_LABELS = {
+  spelling: 'Spelling',
+  grammar: 'Grammar',
+  punctuation: 'Punctuation',
+  capitalization: 'Capitalization',
+  preposition: 'Preposition',
+  'missing-words': 'Missing words',
+  inserted: 'Inserted',
+  deleted: 'Deleted',
+  other: 'Other'
+};
+
+class ProofreaderReport {
+  constructor(proofreader) {
+    this.proofreader = proofreader;
+    this.entries = [];
+    this.lastId = 0;
+    this.stats = { candidates: 0, processed: 0, changed: 0, unchanged: 0 };
+    this.url = '';
+    this.title = '';
+    this.startedAt = null;
+    this.reverted = false;
+    this.panel = null;
+    this.tab = null;
+  }
+
+  get domUtils() {
+    return window.ChromeAIStudio.domUtils;
+  }
+
+  /**
+   * Start a new run
+   */
+  reset() {
+    this.entries = [];
+    this.lastId = 0;
+    this.stats = { candidates: 0, processed: 0, changed: 0, unchanged: 0 };
+    this.url = window.location.href;
+    this.title = document.title;
+    this.startedAt = Date.now();
+    this.reverted = false;
+    this.update();
+  }
+
+  /**
+   * Record the corrections made in one element, replacing any from an earlier pass
+   * @param {Element} element - Element whose text was corrected
+   * @param {string} originalText - Text sent to the Proofreader API
+   * @param {Array} corrections - API corrections ({startIndex, endIndex, correction, type, explanation})
+   */
+  record(element, originalText, corrections = []) {
+    let changes = (corrections || [])
+      .filter(correction => Number.isInteger(correction.startIndex) && correction.endIndex >= correction.startIndex)
+      .map(correction => ({
+        type: this.normalizeType(correction.type),
+        original: originalText.slice(correction.startIndex, correction.endIndex),
+        corrected: correction.correction ?? '',
+        explanation: correction.explanation || '',
+        context: this.getContext(originalText, correction.startIndex, correction.endIndex)
+      }));
+
+    // Results with only correctedInput: read the changes back from the diff highlights
+    if (changes.length === 0) {
+      changes = Array.from(element.querySelectorAll('.chromeai-correction')).map(span => {
+        const deleted = span.classList.contains('chromeai-correction--deleted');
+        return {
+          type: this.normalizeType(span.dataset.type),
+          original: span.dataset.original || '',
+          corrected: deleted ? '' : span.textContent,
+          explanation: '',
+          context: ''
+        };
+      });
+    }
+
+    this.entries = this.entries.filter(entry => entry.element !== element);
+    changes
+      .filter(change => change.original !== change.corrected)
+      .forEach(change => {
+        this.entries.push({ id: ++this.lastId, ...change, element });
+      });
+    this.update();
+  }
+
+  setStats(stats) {
+    this.stats = { ...this.stats, ...stats };
+    this.update();
+  }
+
+  /**
+   * The page text was restored; entries stay for reference and export
+   */
+  markReverted() {
+    if (this.entries.length === 0) return;
+    this.reverted = true;
+    this.update();
+  }
+
+  normalizeType(type) {
+    return String(type || 'other').toLowerCase();
+  }
+
+  getTypeLabel(type) {
+    return PROOFREAD_TYPE_LABELS[type] || type.charAt(0).toUpperCase() + type.slice(1);
+  }
+
+  getContext(text, start, end) {
+    const before = text.slice(Math.max(0, start - 40), start);
+    const after = text.slice(end, end + 40);
+    return `${start > 40 ? '…' : ''}${before}[${text.slice(start, end)}]${after}${end + 40 < text.length ? '…' : ''}`
+      .replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Correction counts per type, most frequent first
+   * @returns {Array<{type, label, count}>}
+   */
+  getTypeCounts() {
+    const counts = new Map();
+    this.entries.forEach(entry => counts.set(entry.type, (counts.get(entry.type) || 0) + 1));
+    return [...counts.entries()]
+      .map(([type, count]) => ({ type, label: this.getTypeLabel(type), count }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Scroll to a correction and flash it
+   */
+  jumpTo(entry) {
+    const element = entry.element;
+    if (!element?.isConnected) return;
+
+    const spans = Array.from(element.querySelectorAll('.chromeai-correction'));
+    const target = spans.find(span => (span.dataset.original || '') === entry.original &&
+      (span.classList.contains('chromeai-correction--deleted') || span.textContent === entry.corrected)) || element;
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.add('chromeai-report-flash');
+    setTimeout(() => target.classList.remove('chromeai-report-flash'), 1600);
+  }
+
+  toMarkdown() {
+    const lines = [
+      '# Proofreading report',
+      '',
+      `**Page:** [${this.escapeMarkdown(this.title || this.url)}](${this.url})`,
+      `**Date:** ${new Date(this.startedAt || Date.now()).toISOString()}`,
+      `**Elements:** ${this.stats.processed} proofread of ${this.stats.candidates}, ${this.stats.changed} changed`,
+      `**Corrections:** ${this.entries.length}${this.reverted ? ' (reverted)' : ''}`,
+      '',
+      '| Type | Corrections |',
+      '| --- | --- |',
+      ...this.getTypeCounts().map(({ label, count }) => `| ${label} | ${count} |`)
+    ];
+
+    this.getTypeCounts().forEach(({ type, label }) => {
+      lines.push('', `## ${label}`, '');
+      this.entries.filter(entry => entry.type === type).forEach(entry => {
+        const original = entry.original ? `~~${this.escapeMarkdown(entry.original)}~~` : '_(nothing)_';
+        const corrected = entry.corrected ? `**${this.escapeMarkdown(entry.corrected)}**` : '_(removed)_';
+        lines.push(`${entry.id}. ${original} → ${corrected}${entry.explanation ? ` — ${this.escapeMarkdown(entry.explanation)}` : ''}`);
+        if (entry.context) {
+          lines.push(`   > ${this.escapeMarkdown(entry.context)}`);
+        }
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  toCSV() {
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const rows = [
+      ['id', 'type', 'original', 'corrected', 'explanation', 'context'],
+      ...this.entries.map(entry => [entry.id, entry.type, entry.original, entry.corrected, entry.explanation, entry.context])
+    ];
+    return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+  }
+
+  escapeMarkdown(text) {
+    return String(text || '').replace(/([\\`*_[\]|~])/g, '\\$1').replace(/\s+/g, ' ');
+  }
+
+  getFileName(extension) {
+    let host = 'page';
+    try {
+      host = new URL(this.url).hostname.replace(/[^a-z0-9]+/gi, '-');
+    } catch (e) {
+      // Keep the default name
+    }
+    return `chromeai-proofreading-${host}-${new Date(this.startedAt || Date.now()).toISOString().split('T')[0]}.${extension}`;
+  }
+
+  /**
+   * Refresh the report tab and, when open, the panel
+   */
+  update() {
+    this.updateTab();
+    if (this.panel) {
+      this.renderPanel();
+    }
+  }
+
+  /**
+   * Small tab under the Proof toggle showing the number of corrections
+   */
+  updateTab() {
+    if (this.entries.length === 0) {
+      this.tab?.remove();
+      this.tab = null;
+      return;
+    }
+
+    this.injectStyles();
+    if (!this.tab) {
+      this.tab = document.createElement('button');
+      this.tab.id = 'chromeai-proofreader-report-tab';
+      this.tab.title = 'Proofreading report';
+      this.tab.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.panel) {
+          this.close();
+        } else {
+          this.open();
+        }
+      });
+      document.body.appendChild(this.tab);
+    }
+    this.tab.textContent = String(this.entries.length);
+  }
+
+  open() {
+    this.injectStyles();
+    if (!this.panel) {
+      this.panel = document.createElement('div');
+      this.panel.id = 'chromeai-proofreader-report';
+      document.body.appendChild(this.panel);
+    }
+    this.renderPanel();
+  }
+
+  close() {
+    this.panel?.remove();
+    this.panel = null;
+  }
+
+  renderPanel() {
+    const panel = this.panel;
+    const typeCounts = this.getTypeCounts();
+
+    panel.innerHTML = `
+      <div class="report-header">
+        <strong>Proofreading report</strong>
+        <button class="report-close" data-action="close" title="Close">&times;</button>
+      </div>
+      <div class="report-summary">
+        ${this.entries.length} correction${this.entries.length === 1 ? '' : 's'} in ${this.stats.changed || new Set(this.entries.map(entry => entry.element)).size} of ${this.stats.processed} proofread elements${this.reverted ? ' · <em>reverted</em>' : ''}
+      </div>
+      <div class="report-types">
+        ${typeCounts.map(({ type, label, count }) => `<span class="report-type type-${this.domUtils.escapeHtml(type)}">${this.domUtils.escapeHtml(label)} <b>${count}</b></span>`).join('')}
+      </div>
+      <div class="report-list">
+        ${typeCounts.map(({ type, label }) => `
+          <div class="report-group">
+            <div class="report-group-title">${this.domUtils.escapeHtml(label)}</div>
+            ${this.entries.filter(entry => entry.type === type).map(entry => `
+              <div class="report-item">
+                <div class="report-change">
+                  <del>${this.domUtils.escapeHtml(entry.original) || '<em>nothing</em>'}</del> → <ins>${this.domUtils.escapeHtml(entry.corrected) || '<em>removed</em>'}</ins>
+                  <a href="#" class="report-jump" data-id="${entry.id}">Jump</a>
+                </div>
+                ${entry.explanation ? `<div class="report-explanation">${this.domUtils.escapeHtml(entry.explanation)}</div>` : ''}
+              </div>
+            `).join('')}
+          </div>
+        `).join('') || '<div class="report-empty">No corrections.</div>'}
+      </div>
+      <div class="report-actions">
+        <button data-action="export-md">Markdown</button>
+        <button data-action="export-csv">CSV</button>
+        <button data-action="revert" class="report-revert" ${this.reverted ? 'disabled' : ''}>Revert all</button>
+      </div>
+    `;
+
+    panel.querySelectorAll('.report-jump').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const entry = this.entries.find(item => item.id === Number(link.dataset.id));
+        if (entry) this.jumpTo(entry);
+      });
+    });
+
+    panel.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.handleAction(button.dataset.action);
+      });
+    });
+  }
+
+  handleAction(action) {
+    switch (action) {
+      case 'close':
+        this.close();
+        break;
+      case 'export-md':
+        this.domUtils.downloadFile(this.toMarkdown(), this.getFileName('md'), 'text/markdown');
+        break;
+      case 'export-csv':
+        this.domUtils.downloadFile(this.toCSV(), this.getFileName('csv'), 'text/csv');
+        break;
+      case 'revert':
+        this.proofreader?.revertAll();
+        break;
+      default:
+        break;
+    }
+  }
+
+  injectStyles() {
+    if (document.querySelector('#chromeai-proofreader-report-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'chromeai-proofreader-report-styles';
+    style.textContent = `
+      #chromeai-proofreader-report-tab {
+        position: fixed !important;
+        top: calc(50% + 18px) !important;
+        right: 0 !important;
+        z-index: 999999 !important;
+        min-width: 24px !important;
+        height: 20px !important;
+        padding: 0 6px !important;
+        border: none !important;
+        border-radius: 6px 0 0 6px !important;
+        background: #059669 !important;
+        color: white !important;
+        font: 600 11px/20px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif !important;
+        cursor: pointer !important;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3) !important;
+      }
+
+      #chromeai-proofreader-report {
+        position: fixed;
+        top: 12vh;
+        right: 32px;
+        z-index: 1000000;
+        width: 360px;
+        max-height: 76vh;
+        display: flex;
+        flex-direction: column;
+        background: white;
+        color: #111827;
+        border: 1px solid #e5e7eb;
+        border-radius: 12px;
+        box-shadow: 0 12px 32px rgba(0, 0, 0, 0.18);
+        font: 13px/1.45 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      }
+
+      #chromeai-proofreader-report .report-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 10px 14px;
+        border-bottom: 1px solid #f3f4f6;
+      }
+
+      #chromeai-proofreader-report .report-close {
+        border: none;
+        background: none;
+        font-size: 18px;
+        cursor: pointer;
+        color: #6b7280;
+      }
+
+      #chromeai-proofreader-report .report-summary {
+        padding: 8px 14px 0;
+        color: #4b5563;
+      }
+
+      #chromeai-proofreader-report .report-types {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        padding: 8px 14px;
+      }
+
+      #chromeai-proofreader-report .report-type {
+        padding: 2px 8px;
+        border-radius: 999px;
+        background: #f3f4f6;
+        font-size: 12px;
+      }
+
+      #chromeai-proofreader-report .report-list {
+        overflow-y: auto;
+        padding: 0 14px;
+        flex: 1;
+      }
+
+      #chromeai-proofreader-report .report-group-title {
+        margin: 10px 0 4px;
+        font-size: 11px;
+        font-weight: 600;
+        text-transform: uppercase;
+        color: #6b7280;
+      }
+
+      #chromeai-proofreader-report .report-item {
+        padding: 6px 0;
+        border-bottom: 1px solid #f3f4f6;
+      }
+
+      #chromeai-proofreader-report del { color: #dc2626; }
+      #chromeai-proofreader-report ins { color: #059669; text-decoration: none; font-weight: 600; }
+
+      #chromeai-proofreader-report .report-jump {
+        float: right;
+        color: #4f46e5;
+        font-size: 12px;
+      }
+
+      #chromeai-proofreader-report .report-explanation {
+        color: #6b7280;
+        font-size: 12px;
+      }
+
+      #chromeai-proofreader-report .report-actions {
+        display: flex;
+        gap: 6px;
+        padding: 10px 14px;
+        border-top: 1px solid #f3f4f6;
+      }
+
+      #chromeai-proofreader-report .report-actions button {
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        background: white;
+        padding: 4px 10px;
+        font: inherit;
+        cursor: pointer;
+      }
+
+      #chromeai-proofreader-report .report-actions .report-revert {
+        margin-left: auto;
+        color: #dc2626;
+        border-color: #fecaca;
+      }
+
+      #chromeai-proofreader-report .report-actions button:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+
+      .chromeai-report-flash {
+        outline: 3px solid #f59e0b !important;
+        outline-offset: 2px !important;
+        transition: outline-color 0.3s ease !important;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  destroy() {
+    this.close();
+    this.tab?.remove();
+    this.tab = null;
+    this.entries = [];
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.ProofreaderReport = ProofreaderReport;
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProofreaderReport;
+}
@@ -14,6 +14,8 @@ class ProofreaderToggle {
     this.loader = null;
     this.shouldStop = false;
     this.proofreadingTimeout = null;
+    // Change log of the last run, kept after highlights are cleared
+    this.report = window.ChromeAIStudio?.ProofreaderReport ? new window.ChromeAIStudio.ProofreaderReport(this) : null;
   }
 
   /**
@@ -21,26 +23,28 @@ class ProofreaderToggle {
    */
   async init() {
     try {
-      // Feature detection for Chrome AI Proofreader API
-      const proofreaderAPISupported = 'Proofreader' in self;
-      
-      if (!proofreaderAPISupported) {
-        console.error('❌ Chrome AI Proofreader API not supported in this browser');
-        return;
-      }
-
       // Initialize AI Manager
       if (typeof window.ChromeAIStudio !== 'undefined' && window.ChromeAIStudio.aiManager) {
         this.aiManager = window.ChromeAIStudio.aiManager;
         await this.aiManager.init();
-        console.info('🟢 ProofreaderToggle initialized. AI Manager ready.');
       } else {
         console.error('❌ ChromeAI Studio not available');
         return;
       }
 
+      // Feature detection through the provider that serves proofreader sessions
+      if (!this.aiManager.getProvider('proofreader').isSupported('proofreader')) {
+        console.error('❌ Chrome AI Proofreader API not supported in this browser');
+        return;
+      }
+      console.info('🟢 ProofreaderToggle initialized. AI Manager ready.');
+
       // Create the toggle button
       this.createToggleButton();
+
+      // Proofreading while typing in editable fields (off unless enabled in settings)
+      this.liveProofreader = window.ChromeAIStudio.liveProofreader || null;
+      await this.liveProofreader?.init();
       // Default to subtle highlight mode so hover tooltips use data-tooltip
       document.body.classList.add('chromeai-subtle-highlights');
     } catch (error) {
@@ -534,6 +538,7 @@ class ProofreaderToggle {
       }
       
       // Clean up
+      this.stopProofreading();
       this.clearHighlights();
       this.clearAllProcessingHighlights();
       this.hideLoader();
@@ -559,7 +564,7 @@ class ProofreaderToggle {
           expectedInputLanguages: ['en'] // Note: official uses 'en' not ["en"]
         };
         
-        const supportsOurUseCase = await self.Proofreader.availability(options);
+        const supportsOurUseCase = await this.aiManager.checkProofreaderAvailability(options);
         console.info('🔎 Proofreader availability:', supportsOurUseCase);
         
         if (supportsOurUseCase === 'unavailable') {
@@ -737,6 +742,10 @@ class ProofreaderToggle {
    */
   stopProofreading() {
     
+    // Stop the scheduler's workers and observers
+    this.scheduler?.stop();
+    this.scheduler = null;
+    
     // Clear any timeouts or intervals
     if (this.proofreadingTimeout) {
       clearTimeout(this.proofreadingTimeout);
@@ -789,6 +798,7 @@ class ProofreaderToggle {
 
   /**
    * Extract all text content from the page and send for proofreading
+   * Resolves after the first pass; the scheduler keeps re-proofreading changed elements while active
    */
   async extractAndProofreadText() {
     // Check if we should stop before starting
@@ -804,121 +814,87 @@ class ProofreaderToggle {
     // Get all text-containing elements, excluding script, style, and hidden elements
     const textElements = this.getTextElements();
     console.info('🧩 Candidate elements for proofreading:', textElements.length);
+    this.report?.reset();
+    this.runCandidates = textElements.length;
+    // Element → whether proofreading changed its text
+    this.runResults = new Map();
+    let startedCount = 0;
+    
+    this.scheduler?.stop();
+    this.scheduler = new window.ChromeAIStudio.ProofreadingScheduler({
+      sessions: this.getSessionManager(),
+      proofread: (text, session) => this.proofreadWithChromeAI(text, session),
+      onStart: (element) => this.highlightProcessingElement(element, ++startedCount),
+      onSettled: (element) => this.removeProcessingHighlight(element),
+      onResult: (element, rawText, result) => this.renderProofreadResult(element, rawText, result),
+      onTextChanged: (element) => {
+        // The page replaced the text; restoring the old HTML would undo its update
+        delete element.dataset.originalText;
+        delete element.dataset.originalHTML;
+      }
+    });
     
-    let processedCount = 0;
-    let highlightedCount = 0;
-    let unchangedCount = 0;
+    const stats = await this.scheduler.start(textElements);
+    console.info('📊 Proofreading summary:', { ...this.getRunSummary(), ...stats });
+  }
+
+  /**
+   * Show one element's proofreading result in place
+   */
+  renderProofreadResult(element, rawText, api) {
+    let corrections = Array.isArray(api) ? api : (api?.corrections || []);
+    const correctedInput = api && typeof api === 'object' ? api.correctedInput : null;
+    console.debug('📄 Element', {
+      len: rawText.length,
+      sample: rawText.slice(0, 80).replace(/\s+/g,' '),
+      corrections: Array.isArray(corrections) ? corrections.length : 0,
+      hasCorrectedInput: !!correctedInput
+    });
     
-    for (const element of textElements) {
-      // Check if we should stop processing
-      if (this.shouldStop) {
-        break;
-      }
-      
-      // Check if we're still active
-      if (!this.isActive) {
-        break;
-      }
-      
-      const rawText = element.innerText || element.textContent || '';
-      const trimmed = rawText.trim();
-      if (trimmed.length > 10) { // Only proofread substantial text
-        processedCount++;
-        
-        try {
-          // Scroll element into view if it's off-screen
-          const rect = element.getBoundingClientRect();
-          if (rect.top < 0 || rect.bottom > window.innerHeight) {
-            element.scrollIntoView({ 
-              behavior: 'smooth', 
-              block: 'center',
-              inline: 'nearest'
-            });
-            // Small delay to let scroll complete
-            await new Promise(resolve => setTimeout(resolve, 400));
-          }
-          
-          // Check if we should stop before processing this element
-          if (this.shouldStop) {
-            break;
-          }
-          
-          // Highlight the element being processed
-          this.highlightProcessingElement(element, processedCount);
-          
-          // Enhanced logging with element info and type
-          const elementInfo = {
-            tag: element.tagName.toLowerCase(),
-            class: element.className.substring(0, 30),
-            textLength: rawText.length,
-            wordCount: rawText.split(/\s+/).length,
-            type: this.getElementType(element)
-          };
-          
-          // Use Chrome AI Proofreader API
-          const api = await this.proofreadWithChromeAI(rawText);
-          let corrections = Array.isArray(api) ? api : (api?.corrections || []);
-          const correctedInput = api && typeof api === 'object' ? api.correctedInput : null;
-          console.debug('📄 Element', processedCount, {
-            len: rawText.length,
-            sample: rawText.slice(0, 80).replace(/\s+/g,' '),
-            corrections: Array.isArray(corrections) ? corrections.length : 0,
-            hasCorrectedInput: !!correctedInput
-          });
-          
-          if (correctedInput) {
-            // Prefer correctedInput to avoid index drift; render with visual diff highlights
-            const sanitized = this.sanitizeCorrectedText(correctedInput);
-            const changed = sanitized !== rawText;
-            this.renderCorrectedWithDiff(element, rawText, sanitized, corrections);
-            if (!changed) unchangedCount++;
-            highlightedCount++;
-          } else if (corrections && Array.isArray(corrections) && corrections.length > 0) {
-            const merged = this.mergeOverlappingAndAdjacentCorrections(corrections);
-            const before = rawText;
-            this.applyCorrections(element, rawText, merged);
-            const after = element.textContent || '';
-            if (after === before) unchangedCount++;
-            highlightedCount++;
-          }
-          
-          // Remove processing highlight
-          this.removeProcessingHighlight(element);
-          
-        } catch (error) {
-          console.warn('⚠️ Failed to proofread element:', error);
-          // Remove processing highlight on error too
-          this.removeProcessingHighlight(element);
-        }
-        
-        // Small delay to make sequential processing visible
-        this.proofreadingTimeout = setTimeout(() => {
-          // This will be cleared if stopProofreading is called
-        }, 800);
-        await new Promise(resolve => setTimeout(resolve, 800));
-        
-        // Check again if we should stop after delay
-        if (this.shouldStop) {
-          break;
-        }
-        
-        // Limit processing to avoid overwhelming the page
-        if (processedCount >= 50) {
-          break;
-        }
-      }
+    let changed = false;
+    if (correctedInput) {
+      // Prefer correctedInput to avoid index drift; render with visual diff highlights
+      const sanitized = this.sanitizeCorrectedText(correctedInput);
+      changed = sanitized !== rawText;
+      this.renderCorrectedWithDiff(element, rawText, sanitized, corrections);
+      this.report?.record(element, rawText, changed ? corrections : []);
+    } else if (corrections && Array.isArray(corrections) && corrections.length > 0) {
+      const merged = this.mergeOverlappingAndAdjacentCorrections(corrections);
+      this.applyCorrections(element, rawText, merged);
+      this.report?.record(element, rawText, merged);
+      changed = (element.textContent || '') !== rawText;
+    }
+    
+    this.runResults?.set(element, changed);
+    this.report?.setStats(this.getRunSummary());
+  }
+
+  getRunSummary() {
+    const results = [...(this.runResults?.values() || [])];
+    const changed = results.filter(Boolean).length;
+    return { candidates: this.runCandidates || 0, processed: results.length, changed, unchanged: results.length - changed };
+  }
+
+  /**
+   * Pool of Proofreader sessions shared by the scheduler's workers
+   */
+  getSessionManager() {
+    if (!this.sessionManager && window.AIInstanceManager) {
+      this.sessionManager = new window.AIInstanceManager({ preWarmOnLoad: false, maxInstances: 3 });
     }
-    console.info('📊 Proofreading summary:', { candidates: textElements.length, processed: processedCount, changed: highlightedCount, unchanged: unchangedCount });
+    return this.sessionManager || null;
   }
 
   /**
    * Use Chrome AI Proofreader API to proofread text (following official implementation)
+   * @param {string} text
+   * @param {Object} [session] - Pooled Proofreader session; a new one is created without it
    */
-  async proofreadWithChromeAI(text) {
+  async proofreadWithChromeAI(text, session = null) {
     try {
       
       // Create proofreader with proper options as per official implementation
-      const proofreader = await self.Proofreader.create({
+      const proofreader = typeof session?.proofread === 'function' ? session : await this.aiManager.getProvider('proofreader').createSession('proofreader', {
         includeCorrectionTypes: true,
         includeCorrectionExplanations: true,
         expectedInputLanguages: ['en'], // Note: official uses 'en' not ["en"]
@@ -965,9 +941,8 @@ class ProofreaderToggle {
     // Step 4: Smart sorting by reading order and importance
     const sortedElements = this.sortByReadingOrder(uniqueElements);
     
-    // Step 5: Limit to most important elements
-    const finalElements = sortedElements.slice(0, 20); // Increased limit
-    return finalElements.map(item => item.element);
+    // No limit: the scheduler proofreads visible elements first and works through the rest
+    return sortedElements.map(item => item.element);
   }
 
   /**
@@ -1450,6 +1425,12 @@ class ProofreaderToggle {
    * Render corrected text with visual diff highlights when only correctedInput is available
    */
   renderCorrectedWithDiff(element, originalText, correctedText, corrections = []) {
+    // Store original content for restoration
+    if (!element.dataset.originalText) {
+      element.dataset.originalText = originalText;
+      element.dataset.originalHTML = element.innerHTML;
+    }
+
     try {
       const tokenize = (s) => s.match(/([A-Za-z0-9’']+|[^A-Za-z0-9\s]+|\s+)/g) || [];
       const A = tokenize(originalText);
@@ -2069,6 +2050,18 @@ class ProofreaderToggle {
     
     this.highlightElements = [];
     this.corrections = [];
+    this.report?.markReverted();
+  }
+
+  /**
+   * Restore the original page text and turn proofreading off; the report keeps its entries
+   */
+  revertAll() {
+    if (this.isActive) {
+      this.toggleProofreading();
+    } else {
+      this.clearHighlights();
+    }
   }
 
   /**
@@ -2117,6 +2110,10 @@ class ProofreaderToggle {
     // Clear highlights and overlays
     this.clearHighlights();
     this.hideProcessingOverlay();
+    this.liveProofreader?.cleanup();
+    this.report?.destroy();
+    this.sessionManager?.cleanup();
+    this.sessionManager = null;
     
     // Clear references
     this.highlightElements = [];
@@ -0,0 +1,376 @@
+/**
+ * ChromeAI Studio - Proofreading Scheduler
+ * Page proofreading queue for ProofreaderToggle
+ *
+ * - A few workers run in parallel, each holding a Proofreader session from AIInstanceManager
+ * - Elements in (or near) the viewport go first; the rest follow in document order and are
+ *   moved up as they scroll into view (IntersectionObserver)
+ * - Elements whose text changes afterwards are proofread again (MutationObserver); edits made
+ *   by the scheduler's own rendering are ignored
+ * - Corrections (offsets and replacements, not the text) are cached by text hash in
+ *   chrome.storage.local, so reloading a page reuses them; pages on excluded domains
+ *   (Settings → Knowledge Base) are never cached
+ */
+
+class ProofreadingScheduler {
+  constructor(options = {}) {
+    this.options = {
+      concurrency: 3,
+      // Elements this close to the viewport count as visible
+      rootMargin: '200px 0px',
+      // Wait for a burst of page updates to settle before proofreading again
+      mutationDelay: 1000,
+      minTextLength: 11,
+      cacheKey: 'proofreaderCache',
+      maxCacheEntries: 500,
+      ...options
+    };
+
+    // (text, session) => Promise<{correctedInput, corrections}>
+    this.proofread = options.proofread;
+    // Optional AIInstanceManager; without it `proofread` gets no session and creates its own
+    this.sessions = options.sessions || null;
+    this.readText = options.readText || (element => element.innerText || element.textContent || '');
+    this.onStart = options.onStart || (() => {});
+    this.onResult = options.onResult || (() => {});
+    this.onSettled = options.onSettled || (() => {});
+    this.onTextChanged = options.onTextChanged || (() => {});
+
+    this.queue = [];
+    this.states = new WeakMap();
+    this.visible = new Set();
+    this.changed = new Set();
+    this.activeWorkers = 0;
+    this.idleResolvers = [];
+    this.stopped = false;
+    this.cache = null;
+    this.cacheable = false;
+    this.cacheDirty = false;
+    this.cacheSaveTimer = null;
+    this.mutationTimer = null;
+    this.intersectionObserver = null;
+    this.mutationObserver = null;
+    this.stats = { proofread: 0, cached: 0, skipped: 0, failed: 0 };
+  }
+
+  /**
+   * Queue elements and start proofreading
+   * @param {Element[]} elements - Candidates in reading order
+   * @returns {Promise<Object>} Resolves with the stats once the queue is empty (or stopped)
+   */
+  async start(elements) {
+    this.stopped = false;
+    this.cacheable = await this.isCacheable();
+    await this.loadCache();
+    if (this.stopped) return this.stats;
+
+    this.observe();
+    elements.forEach(element => this.enqueue(element));
+    this.pump();
+    await this.whenIdle();
+    return this.stats;
+  }
+
+  /**
+   * Stop workers and observers; in-flight results are dropped
+   */
+  stop() {
+    this.stopped = true;
+    this.queue = [];
+    this.visible.clear();
+    this.changed.clear();
+    clearTimeout(this.mutationTimer);
+    this.intersectionObserver?.disconnect();
+    this.mutationObserver?.disconnect();
+    this.intersectionObserver = null;
+    this.mutationObserver = null;
+    this.saveCache();
+    this.resolveIdle();
+  }
+
+  observe() {
+    if ('IntersectionObserver' in window) {
+      this.intersectionObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.visible.add(entry.target);
+          } else {
+            this.visible.delete(entry.target);
+          }
+        });
+      }, { rootMargin: this.options.rootMargin });
+    }
+
+    this.mutationObserver = new MutationObserver(records => this.handleMutations(records));
+    this.mutationObserver.observe(document.body, { childList: true, characterData: true, subtree: true });
+  }
+
+  enqueue(element) {
+    let state = this.states.get(element);
+    if (!state) {
+      state = { hash: null, renderedText: null, running: false };
+      this.states.set(element, state);
+      this.intersectionObserver?.observe(element);
+    }
+    if (!this.queue.includes(element)) {
+      this.queue.push(element);
+    }
+  }
+
+  /**
+   * Next element: the first queued one in view, otherwise the first in document order
+   */
+  takeNext() {
+    let index = this.queue.findIndex(element => this.visible.has(element));
+    if (index === -1) index = 0;
+    return this.queue.splice(index, 1)[0];
+  }
+
+  /**
+   * Start workers up to the concurrency limit
+   */
+  pump() {
+    while (!this.stopped && this.activeWorkers < Math.min(this.options.concurrency, this.queue.length)) {
+      this.activeWorkers++;
+      this.runWorker().finally(() => {
+        this.activeWorkers--;
+        if (this.activeWorkers === 0) {
+          this.resolveIdle();
+        }
+      });
+    }
+    if (this.activeWorkers === 0) {
+      this.resolveIdle();
+    }
+  }
+
+  async runWorker() {
+    let session = null;
+    try {
+      session = this.sessions ? await this.sessions.getInstance('proofreader') : null;
+    } catch (error) {
+      console.warn('⚠️ Proofreader session unavailable, creating one per element:', error?.message);
+    }
+
+    try {
+      while (!this.stopped && this.queue.length > 0) {
+        await this.processElement(this.takeNext(), session);
+      }
+    } finally {
+      if (session) {
+        this.sessions.releaseInstance('proofreader', session);
+      }
+    }
+  }
+
+  async processElement(element, session) {
+    const state = this.states.get(element);
+    if (!element?.isConnected || !state) return;
+
+    const text = this.readText(element);
+    if (text.trim().length < this.options.minTextLength) return;
+
+    const hash = this.hashText(text);
+    if (state.hash === hash) {
+      this.stats.skipped++;
+      return;
+    }
+
+    state.running = true;
+    this.onStart(element);
+    let result = null;
+    try {
+      const cached = this.cacheable ? this.cache.get(hash) : null;
+      result = cached ? this.restoreResult(text, cached.corrections) : null;
+      if (result) {
+        cached.usedAt = Date.now();
+        this.stats.cached++;
+      } else {
+        result = await this.proofread(text, session);
+        this.stats.proofread++;
+        if (result && !Array.isArray(result)) {
+          this.remember(hash, text, result);
+        }
+      }
+    } catch (error) {
+      this.stats.failed++;
+      console.warn('⚠️ Failed to proofread element:', error);
+    } finally {
+      this.onSettled(element);
+      state.running = false;
+    }
+
+    if (this.stopped || !result || !element.isConnected) {
+      this.discardOwnMutations(element);
+      return;
+    }
+
+    if (this.readText(element) !== text) {
+      // The page changed the element while it was being proofread
+      this.discardOwnMutations(element);
+      this.enqueue(element);
+      return;
+    }
+
+    state.hash = hash;
+    this.onResult(element, text, result);
+    this.discardOwnMutations(element);
+    state.renderedText = this.readText(element);
+  }
+
+  /**
+   * Drop pending mutation records caused by our own rendering of `element`
+   */
+  discardOwnMutations(element) {
+    const records = this.mutationObserver?.takeRecords() || [];
+    this.handleMutations(records.filter(record => this.findTrackedElement(record.target) !== element));
+  }
+
+  handleMutations(records) {
+    records.forEach(record => {
+      const element = this.findTrackedElement(record.target);
+      if (element && !this.states.get(element).running) {
+        this.changed.add(element);
+      }
+    });
+    if (this.changed.size === 0) return;
+
+    clearTimeout(this.mutationTimer);
+    this.mutationTimer = setTimeout(() => this.requeueChanged(), this.options.mutationDelay);
+  }
+
+  findTrackedElement(node) {
+    for (let current = node; current && current !== document.body; current = current.parentNode) {
+      if (this.states.has(current)) return current;
+    }
+    return null;
+  }
+
+  requeueChanged() {
+    if (this.stopped) return;
+
+    this.changed.forEach(element => {
+      const state = this.states.get(element);
+      if (!element.isConnected || state.running) return;
+      const text = this.readText(element);
+      if (text === state.renderedText || this.hashText(text) === state.hash) return;
+
+      // New page content becomes the baseline for this element
+      this.onTextChanged(element);
+      this.enqueue(element);
+    });
+    this.changed.clear();
+    this.pump();
+  }
+
+  whenIdle() {
+    if (this.activeWorkers === 0 && (this.stopped || this.queue.length === 0)) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleResolvers.push(resolve));
+  }
+
+  resolveIdle() {
+    const resolvers = this.idleResolvers;
+    this.idleResolvers = [];
+    resolvers.forEach(resolve => resolve());
+  }
+
+  /**
+   * FNV-1a hash of the text plus its length
+   */
+  hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `${(hash >>> 0).toString(16)}-${text.length}`;
+  }
+
+  /**
+   * Whether this page's results may be stored; excluded domains are the knowledge base's
+   */
+  async isCacheable() {
+    const knowledgeBase = window.ChromeAIStudio?.knowledgeBase;
+    if (!knowledgeBase) return false;
+    await knowledgeBase.init();
+    return !knowledgeBase.isExcluded(window.location.href);
+  }
+
+  async loadCache() {
+    if (this.cache) return;
+    this.cache = new Map();
+    try {
+      const stored = await chrome.storage.local.get(this.options.cacheKey);
+      Object.entries(stored?.[this.options.cacheKey] || {}).forEach(([hash, entry]) => {
+        if (Array.isArray(entry?.corrections)) {
+          this.cache.set(hash, entry);
+        } else {
+          // Older entries held the corrected page text; drop them on the next save
+          this.cacheDirty = true;
+        }
+      });
+    } catch (error) {
+      console.warn('⚠️ Proofreading cache unavailable:', error?.message);
+    }
+  }
+
+  /**
+   * Cache the corrections only. Results that change the text without listing corrections
+   * can't be rebuilt from offsets, so they aren't cached
+   */
+  remember(hash, text, result) {
+    if (!this.cacheable) return;
+
+    const corrections = (result.corrections || [])
+      .filter(correction => Number.isInteger(correction?.startIndex) && Number.isInteger(correction?.endIndex))
+      .map(({ startIndex, endIndex, correction }) => ({ startIndex, endIndex, correction: correction ?? '' }));
+    if (corrections.length === 0 && result.correctedInput && result.correctedInput !== text) return;
+
+    this.cache.set(hash, { corrections, usedAt: Date.now() });
+    this.cacheDirty = true;
+    clearTimeout(this.cacheSaveTimer);
+    this.cacheSaveTimer = setTimeout(() => this.saveCache(), 2000);
+  }
+
+  /**
+   * Proofreader result for `text` from cached corrections
+   */
+  restoreResult(text, corrections) {
+    if (!Array.isArray(corrections)) return null;
+
+    let correctedInput = text;
+    [...corrections]
+      .sort((a, b) => b.startIndex - a.startIndex)
+      .forEach(({ startIndex, endIndex, correction }) => {
+        correctedInput = correctedInput.slice(0, startIndex) + correction + correctedInput.slice(endIndex);
+      });
+    return { correctedInput, corrections: corrections.map(correction => ({ ...correction })) };
+  }
+
+  /**
+   * Persist the most recently used entries
+   */
+  saveCache() {
+    clearTimeout(this.cacheSaveTimer);
+    if (!this.cache || !this.cacheDirty) return;
+
+    this.cacheDirty = false;
+    const newest = [...this.cache.entries()]
+      .sort((a, b) => b[1].usedAt - a[1].usedAt)
+      .slice(0, this.options.maxCacheEntries);
+    this.cache = new Map(newest);
+    chrome.storage.local.set({ [this.options.cacheKey]: Object.fromEntries(newest) }).catch(error => {
+      console.warn('⚠️ Failed to save proofreading cache:', error?.message);
+    });
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.ProofreadingScheduler = ProofreadingScheduler;
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProofreadingScheduler;
+}
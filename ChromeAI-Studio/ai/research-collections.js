@@ -0,0 +1,485 @@
+/**
+ * ChromeAI Studio - Research Collections
+ * Named research projects of clips (selections or whole pages) gathered across tabs
+ *
+ * - Stored in chrome.storage.local (`chromeai_research_collections`), shared by every tab
+ * - Each clip keeps its URL, title, time and the page's citation metadata (CitationBuilder)
+ * - Synthesis, comparison tables, timelines and literature reviews run over a whole project;
+ *   clips are numbered [n] and CitationGrounder ties each claim back to its clip
+ * - Projects export as Markdown or BibTeX
+ */
+
+const RESEARCH_TASKS = {
+  synthesis: {
+    title: 'Synthesis',
+    instructions: 'Synthesize the information in these sources. Identify the common themes, where the sources agree, where they contradict each other, and the key insights.'
+  },
+  comparison: {
+    title: 'Comparison Table',
+    instructions: 'Compare these sources in a Markdown table with one row per source and columns for its main claim, evidence, method or approach, and limitations. After the table, summarize the most important differences in a few bullet points.'
+  },
+  timeline: {
+    title: 'Timeline',
+    instructions: 'Build a chronological timeline of the dated events and developments described in these sources, as a bullet list of "**date** — event". Only include dates the sources state.'
+  },
+  'literature-review': {
+    title: 'Literature Review',
+    instructions: 'Write a literature review of these sources with the sections "Overview", "Key Findings", "Methods and Approaches", "Disagreements" and "Gaps and Open Questions".'
+  }
+};
+
+class ResearchCollections {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: 'chromeai_research_collections',
+      maxClips: 300,
+      // Whole pages are cut to this length when clipped
+      maxClipLength: 20000,
+      // Smallest share of the prompt budget (tokens) a clip gets; only the newest clips that
+      // fit at this size are sent
+      minClipTokens: 150,
+      // Token budget for all clips when ContextManager isn't loaded to size it
+      promptTokens: 7000,
+      ...options
+    };
+
+    this.projects = [];
+    this.clips = [];
+    this.activeProjectId = null;
+    this.loadPromise = null;
+    this.saving = false;
+    this.listeners = new Set();
+    this.logger = new window.ChromeAIStudio.Logger('ResearchCollections');
+
+    // Clips added in another tab
+    chrome.storage?.onChanged?.addListener((changes, area) => {
+      if (area === 'local' && changes[this.options.storageKey] && !this.saving) {
+        this.setState(changes[this.options.storageKey].newValue || {});
+      }
+    });
+  }
+
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = chrome.storage.local.get(this.options.storageKey)
+        .then(result => this.setState(result[this.options.storageKey] || {}))
+        .catch(error => {
+          this.logger.warn('Failed to load research collections:', error?.message);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  setState(stored) {
+    this.projects = stored.projects || [];
+    this.clips = stored.clips || [];
+    this.activeProjectId = stored.activeProjectId || null;
+    this.notify();
+  }
+
+  async save() {
+    this.saving = true;
+    try {
+      await chrome.storage.local.set({
+        [this.options.storageKey]: { projects: this.projects, clips: this.clips, activeProjectId: this.activeProjectId }
+      });
+    } finally {
+      this.saving = false;
+    }
+    this.notify();
+  }
+
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        this.logger.warn('Collection listener failed:', error?.message);
+      }
+    });
+  }
+
+  // --- Projects ---
+
+  /**
+   * Projects with their clip counts, most recently updated first
+   */
+  listProjects() {
+    return this.projects
+      .map(project => ({ ...project, clipCount: this.clips.filter(clip => clip.projectId === project.id).length }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  getProject(id) {
+    return this.projects.find(project => project.id === id) || null;
+  }
+
+  async createProject(name) {
+    await this.load();
+    const clean = String(name || '').trim().slice(0, 80);
+    if (!clean) throw new Error('A project needs a name');
+    if (this.projects.some(project => project.name.toLowerCase() === clean.toLowerCase())) {
+      throw new Error(`There is already a project called "${clean}"`);
+    }
+
+    const project = { id: `proj_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`, name: clean, createdAt: Date.now(), updatedAt: Date.now() };
+    this.projects.push(project);
+    this.activeProjectId = project.id;
+    await this.save();
+    return project;
+  }
+
+  async renameProject(id, name) {
+    await this.load();
+    const project = this.getProject(id);
+    const clean = String(name || '').trim().slice(0, 80);
+    if (!project || !clean) return;
+    project.name = clean;
+    project.updatedAt = Date.now();
+    await this.save();
+  }
+
+  async deleteProject(id) {
+    await this.load();
+    this.projects = this.projects.filter(project => project.id !== id);
+    this.clips = this.clips.filter(clip => clip.projectId !== id);
+    if (this.activeProjectId === id) {
+      this.activeProjectId = this.projects[0]?.id || null;
+    }
+    await this.save();
+  }
+
+  async setActiveProject(id) {
+    await this.load();
+    if (!this.getProject(id)) return;
+    this.activeProjectId = id;
+    await this.save();
+  }
+
+  /**
+   * Project new clips go to; a first project is created when there is none
+   */
+  async getActiveProject() {
+    await this.load();
+    const active = this.getProject(this.activeProjectId) || this.listProjects()[0];
+    if (active) {
+      this.activeProjectId = active.id;
+      return this.getProject(active.id);
+    }
+    return this.createProject('My Research');
+  }
+
+  // --- Clips ---
+
+  getClips(projectId) {
+    return this.clips.filter(clip => clip.projectId === projectId).sort((a, b) => a.clippedAt - b.clippedAt);
+  }
+
+  /**
+   * Clip selected text from the current page
+   * @returns {Promise<Object>} The clip
+   */
+  async clipSelection(text, projectId = null) {
+    const clean = String(text || '').trim();
+    if (!clean) throw new Error('Select some text to clip');
+    return this.addClip({ kind: 'selection', text: clean }, projectId);
+  }
+
+  /**
+   * Clip the current page's article (Readability Markdown, or its visible text)
+   */
+  async clipPage(projectId = null) {
+    const knowledgeBase = window.ChromeAIStudio?.knowledgeBase;
+    const url = window.location.href.split('#')[0];
+    let page = null;
+    try {
+      page = knowledgeBase ? await knowledgeBase.extractPage(url, true) : null;
+    } catch (error) {
+      this.logger.warn('Readability extraction failed, clipping the visible text:', error?.message);
+    }
+    const text = page?.markdown || document.body?.innerText?.trim() || '';
+    if (!text) throw new Error('No readable content on this page');
+    return this.addClip({ kind: 'page', text, title: page?.title }, projectId);
+  }
+
+  async addClip({ kind, text, title = null }, projectId = null) {
+    await this.load();
+    const project = projectId ? this.getProject(projectId) : await this.getActiveProject();
+    if (!project) throw new Error('That project no longer exists');
+    if (this.clips.length >= this.options.maxClips) {
+      throw new Error(`Collections hold up to ${this.options.maxClips} clips; remove some first`);
+    }
+
+    const citation = this.getCitationRecord();
+    const clip = {
+      id: `clip_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      projectId: project.id,
+      kind,
+      text: text.length > this.options.maxClipLength ? `${text.slice(0, this.options.maxClipLength)}…` : text,
+      url: citation?.url || window.location.href.split('#')[0],
+      title: title || citation?.title || document.title || window.location.href,
+      clippedAt: Date.now(),
+      citation
+    };
+
+    this.clips.push(clip);
+    project.updatedAt = Date.now();
+    await this.save();
+    this.logger.info(`📎 Clipped ${kind} (${clip.text.length} chars) to "${project.name}"`);
+    return clip;
+  }
+
+  async removeClip(id) {
+    await this.load();
+    const clip = this.clips.find(other => other.id === id);
+    if (!clip) return;
+    this.clips = this.clips.filter(other => other.id !== id);
+    const project = this.getProject(clip.projectId);
+    if (project) project.updatedAt = Date.now();
+    await this.save();
+  }
+
+  /**
+   * Citation metadata of the current page; `accessed` is set from the clip time when formatting
+   */
+  getCitationRecord() {
+    const CitationBuilder = window.ChromeAIStudio?.CitationBuilder;
+    if (!CitationBuilder) return null;
+    try {
+      const { accessed, ...record } = new CitationBuilder().extract();
+      return record;
+    } catch (error) {
+      this.logger.warn('Could not read citation metadata:', error?.message);
+      return null;
+    }
+  }
+
+  /**
+   * Citation record of a clip, ready for CitationBuilder.format
+   */
+  toCitationRecord(clip) {
+    return {
+      type: 'webpage',
+      authors: [],
+      date: null,
+      container: null,
+      publisher: null,
+      volume: null,
+      issue: null,
+      pages: null,
+      doi: null,
+      arxivId: null,
+      sources: {},
+      ...(clip.citation || {}),
+      title: clip.citation?.title || clip.title,
+      url: clip.url,
+      accessed: new Date(clip.clippedAt)
+    };
+  }
+
+  // --- Synthesis ---
+
+  /**
+   * Clips numbered [n] in the chunk shape CitationGrounder expects
+   * @returns {Array<{id, clipId, url, title, chunkIndex, totalChunks, text}>}
+   */
+  buildSources(clips) {
+    return clips.map((clip, index) => ({
+      id: index + 1,
+      clipId: clip.id,
+      url: clip.url,
+      title: clip.title,
+      chunkIndex: 1,
+      totalChunks: 1,
+      text: clip.text
+    }));
+  }
+
+  /**
+   * Shrink every source to an equal share of the token budget. Each clip is condensed on its
+   * own (map-reduce, then truncate), so its [n] stays attached to its own text
+   */
+  async fitSources(sources, budget) {
+    const contextManager = window.ChromeAIStudio?.contextManager;
+    const share = Math.floor(budget / Math.max(1, sources.length));
+
+    for (const source of sources) {
+      if (contextManager) {
+        source.text = (await contextManager.fitText(null, source.text, { strategy: 'map-reduce', budget: share })).text;
+      } else if (source.text.length > share * 4) {
+        source.text = `${source.text.slice(0, share * 4)}…`;
+      }
+    }
+    return sources;
+  }
+
+  buildPrompt(definition, project, context) {
+    const citations = window.ChromeAIStudio?.citationGrounder?.getPromptInstructions()
+      || 'End every factual sentence with the number(s) of the source(s) it came from, e.g. [2].';
+
+    return `${definition.instructions}
+
+The sources are excerpts the user collected for the research project "${project.name}". They are numbered like "[3]".
+
+${citations}
+
+SOURCES:
+${context}`;
+  }
+
+  /**
+   * Tokens left for the clips in a fresh session from the pool the prompt is sent on
+   */
+  async getClipBudget(header, sessionOptions = {}) {
+    const contextManager = window.ChromeAIStudio?.contextManager;
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    if (!contextManager) return this.options.promptTokens;
+
+    let session = null;
+    try {
+      session = await aiManager?.getSession('languageModel', sessionOptions);
+    } catch (error) {
+      this.logger.warn('No prompt session to size the clips for:', error?.message);
+    }
+    const budget = contextManager.getBudget(session) - await contextManager.measure(session, header);
+    if (session) aiManager.returnSession('languageModel', session);
+    return Math.max(this.options.minClipTokens, budget);
+  }
+
+  /**
+   * Prompt for a task over a project's clips, fitted to the pooled session it is sent on.
+   * Projects with more clips than the budget holds use their newest clips.
+   * @param {string} task - synthesis, comparison, timeline or literature-review
+   * @param {Object} [sessionOptions] - Options for the prompt session if one is created
+   * @returns {Promise<{prompt: string, sources: Array, title: string, session: Object|null}>}
+   *   Pass `session` to AIManager.prompt/promptStreaming
+   */
+  async prepareRequest(task, projectId, sessionOptions = {}) {
+    const definition = RESEARCH_TASKS[task];
+    if (!definition) throw new Error(`Unknown research task: ${task}`);
+
+    const project = this.getProject(projectId);
+    const allClips = this.getClips(projectId);
+    if (!project || allClips.length === 0) {
+      throw new Error('This project has no clips yet. Clip selections or pages to it first.');
+    }
+
+    const budget = await this.getClipBudget(this.buildPrompt(definition, project, ''), sessionOptions);
+    const clips = allClips.slice(-Math.max(1, Math.floor(budget / this.options.minClipTokens)));
+
+    const sources = await this.fitSources(this.buildSources(clips), budget);
+    const context = sources.map(source => {
+      const clip = clips[source.id - 1];
+      return `[${source.id}] ${source.title} (${source.url}, ${clip.kind === 'page' ? 'whole page' : 'excerpt'})\n${source.text}`;
+    }).join('\n\n---\n\n');
+
+    let prompt = this.buildPrompt(definition, project, context);
+    const contextManager = window.ChromeAIStudio?.contextManager;
+    let session = null;
+    if (contextManager) {
+      ({ text: prompt, session } = await contextManager.preparePrompt(prompt, { strategy: 'truncate', sessionOptions }));
+    }
+
+    const omitted = allClips.length - clips.length;
+    return {
+      title: `${definition.title}: ${project.name}${omitted > 0 ? ` (newest ${clips.length} of ${allClips.length} clips)` : ''}`,
+      sources,
+      prompt,
+      session
+    };
+  }
+
+  /**
+   * Verify the model's [n] citations against the clips and append the source list
+   */
+  finalize(text, sources) {
+    const grounder = window.ChromeAIStudio?.citationGrounder;
+    if (!grounder) return text;
+    try {
+      return grounder.ground(text, sources).text;
+    } catch (error) {
+      this.logger.warn('Citation grounding failed:', error?.message);
+      return text;
+    }
+  }
+
+  /**
+   * Run a task over a project without streaming
+   * @returns {Promise<{success: boolean, result?: string, error?: string}>}
+   */
+  async run(task, projectId, aiManager) {
+    try {
+      await this.load();
+      const { prompt, sources, title, session } = await this.prepareRequest(task, projectId);
+      const response = await aiManager.prompt(prompt, { session });
+      if (!response.success) {
+        return { success: false, error: response.error?.message || 'AI request failed' };
+      }
+      return { success: true, result: `## ${title}\n\n${this.finalize(response.result, sources)}` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // --- Export ---
+
+  exportMarkdown(projectId) {
+    const project = this.getProject(projectId);
+    if (!project) return '';
+    const builder = window.ChromeAIStudio?.CitationBuilder ? new window.ChromeAIStudio.CitationBuilder() : null;
+    const clips = this.getClips(projectId);
+
+    const lines = [`# ${project.name}`, '', `${clips.length} clip(s) · exported ${new Date().toLocaleString()}`, ''];
+    clips.forEach((clip, index) => {
+      lines.push(`## [${index + 1}] ${clip.title}`, '');
+      lines.push(`- URL: ${clip.url}`);
+      lines.push(`- Clipped: ${new Date(clip.clippedAt).toLocaleString()} (${clip.kind === 'page' ? 'whole page' : 'selection'})`);
+      if (builder) {
+        lines.push(`- Citation (APA): ${builder.format(this.toCitationRecord(clip), 'apa')}`);
+      }
+      lines.push('');
+      lines.push(clip.kind === 'page' ? clip.text : clip.text.split('\n').map(line => `> ${line}`).join('\n'));
+      lines.push('');
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * One BibTeX entry per cited page; pages clipped more than once appear once
+   */
+  exportBibTeX(projectId) {
+    const builder = window.ChromeAIStudio?.CitationBuilder ? new window.ChromeAIStudio.CitationBuilder() : null;
+    if (!builder) return '';
+
+    const seenUrls = new Set();
+    const keys = new Map();
+    return this.getClips(projectId)
+      .filter(clip => !seenUrls.has(clip.url) && seenUrls.add(clip.url))
+      .map(clip => {
+        const entry = builder.formatBibTeX(this.toCitationRecord(clip));
+        // Same author, year and title word: suffix the key with a, b, c…
+        return entry.replace(/^(@\w+\{)([^,]+),/, (match, head, key) => {
+          const count = keys.get(key) || 0;
+          keys.set(key, count + 1);
+          return count === 0 ? match : `${head}${key}${String.fromCharCode(97 + count)},`;
+        });
+      })
+      .join('\n\n');
+  }
+}
+
+ResearchCollections.TASKS = RESEARCH_TASKS;
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.ResearchCollections = ResearchCollections;
+  window.ChromeAIStudio.researchCollections = new ResearchCollections();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResearchCollections;
+}
@@ -0,0 +1,318 @@
+/**
+ * ChromeAI Studio - Speech Engines
+ * Speech recognition for the wake word and voice conversations, from the engine chosen in
+ * Settings → Voice & Audio
+ *
+ * - cloud: the browser's Web Speech API (webkitSpeechRecognition), which sends audio to Google
+ * - local: Vosk (WASM) in the extension's offscreen document (offscreen/local-speech.js);
+ *   audio never leaves the machine. Wake words are spotted by a recognizer limited to them,
+ *   and `wakeWordSensitivity` sets the confidence a match needs.
+ * - `createRecognition()` returns an object with the SpeechRecognition interface for either
+ *   engine, so callers keep their onstart/onresult/onerror/onend handlers
+ */
+
+const SPEECH_ENGINE_IDS = ['cloud', 'local'];
+const SPEECH_SETTING_KEYS = ['speechEngine', 'wakeWords', 'customWakeWord', 'wakeWordSensitivity'];
+// Added to errors that stop the on-device engine, which never falls back to the cloud one
+const LOCAL_SPEECH_NO_CLOUD = 'Voice input is off; audio is not sent to Google instead. Install the on-device engine (see the README) or choose Chrome in Settings → Voice & Audio.';
+
+class SpeechEngines {
+  constructor() {
+    this.settings = {
+      speechEngine: 'cloud',
+      wakeWords: ['hey assistant', 'computer', 'hey computer', 'assistant'],
+      customWakeWord: '',
+      wakeWordSensitivity: 0.7
+    };
+    this.settingsManager = null;
+    this.initPromise = null;
+    this.listeners = new Set();
+    this.logger = new window.ChromeAIStudio.Logger('SpeechEngines');
+  }
+
+  async init() {
+    if (!this.initPromise) {
+      this.initPromise = this.loadSettings();
+    }
+    return this.initPromise;
+  }
+
+  async loadSettings() {
+    try {
+      if (window.ChromeAIStudio?.SettingsManager) {
+        this.settingsManager = new window.ChromeAIStudio.SettingsManager();
+        await this.settingsManager.init();
+        this.applySettings();
+        this.settingsManager.addListener((type) => {
+          if (type === 'changed' || type === 'synced' || type === 'reset') {
+            this.applySettings();
+          }
+        });
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load speech settings, using the cloud engine:', error?.message);
+    }
+  }
+
+  applySettings() {
+    const next = { ...this.settings };
+    SPEECH_SETTING_KEYS.forEach(key => {
+      next[key] = this.settingsManager.get(key, this.settings[key]);
+    });
+    if (JSON.stringify(next) === JSON.stringify(this.settings)) return;
+    this.settings = next;
+    this.notify();
+  }
+
+  /**
+   * @param {Object} changes - Any of speechEngine, wakeWords, customWakeWord, wakeWordSensitivity
+   */
+  async updateSettings(changes) {
+    await this.init();
+    if (!this.settingsManager) {
+      throw new Error('Settings are not available');
+    }
+    const invalid = Object.entries(changes)
+      .find(([key, value]) => !SPEECH_SETTING_KEYS.includes(key) || !this.settingsManager.validateSetting(key, value));
+    if (invalid) {
+      throw new Error(`Invalid speech setting: ${invalid[0]}`);
+    }
+
+    await this.settingsManager.setMultiple(changes);
+    this.applySettings();
+  }
+
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.settings);
+      } catch (error) {
+        this.logger.warn('Speech engine listener failed:', error?.message);
+      }
+    });
+  }
+
+  // --- Engine ---
+
+  getEngine() {
+    return SPEECH_ENGINE_IDS.includes(this.settings.speechEngine) ? this.settings.speechEngine : 'cloud';
+  }
+
+  isLocal() {
+    return this.getEngine() === 'local';
+  }
+
+  isSupported() {
+    if (this.isLocal()) {
+      return typeof chrome !== 'undefined' && typeof chrome.runtime?.connect === 'function';
+    }
+    return 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
+  }
+
+  /**
+   * Wake words in lower case; custom words (comma-separated) replace the defaults
+   */
+  getWakeWords() {
+    const custom = String(this.settings.customWakeWord || '')
+      .split(/[,\n]/)
+      .map(word => word.toLowerCase().trim())
+      .filter(Boolean);
+    return custom.length > 0 ? custom : this.settings.wakeWords.map(word => word.toLowerCase().trim());
+  }
+
+  getSensitivity() {
+    const sensitivity = Number(this.settings.wakeWordSensitivity);
+    return Number.isFinite(sensitivity) ? Math.min(0.9, Math.max(0.1, sensitivity)) : 0.7;
+  }
+
+  /**
+   * New recognizer for the selected engine
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'wake' spots the wake words only; 'dictation' transcribes everything
+   * @returns {SpeechRecognition|LocalSpeechRecognition}
+   */
+  createRecognition({ mode = 'dictation' } = {}) {
+    if (this.isLocal()) {
+      return new LocalSpeechRecognition({ mode, wakeWords: this.getWakeWords(), sensitivity: this.getSensitivity() });
+    }
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SpeechRecognition) {
+      throw new Error('Speech recognition is not supported in this browser');
+    }
+    return new SpeechRecognition();
+  }
+
+  // --- On-device engine status ---
+
+  /**
+   * @returns {Promise<{engine: boolean, model: boolean, microphone: string, loaded: boolean, listening: boolean}>}
+   */
+  async getLocalStatus() {
+    const response = await chrome.runtime.sendMessage({ type: 'LOCAL_SPEECH_STATUS' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'The on-device speech engine did not answer');
+    }
+    return response.status;
+  }
+
+  /**
+   * Open the page that asks for microphone access for the extension itself
+   */
+  async requestLocalMicrophone() {
+    const response = await chrome.runtime.sendMessage({ type: 'LOCAL_SPEECH_GRANT_MICROPHONE' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not open the microphone page');
+    }
+  }
+}
+
+/**
+ * SpeechRecognition look-alike backed by the offscreen document; results arrive over a
+ * `chromeai-local-speech` port
+ */
+class LocalSpeechRecognition {
+  constructor({ mode = 'dictation', wakeWords = [], sensitivity = 0.7 } = {}) {
+    this.mode = mode;
+    this.wakeWords = wakeWords;
+    this.sensitivity = sensitivity;
+
+    this.continuous = false;
+    this.interimResults = false;
+    this.lang = 'en-US';
+    this.maxAlternatives = 1;
+    this.onstart = null;
+    this.onresult = null;
+    this.onerror = null;
+    this.onend = null;
+
+    this.port = null;
+    this.results = [];
+    this.started = false;
+    this.ended = false;
+  }
+
+  start() {
+    if (this.started) {
+      throw new Error('Recognition has already started');
+    }
+    this.started = true;
+    this.connect();
+  }
+
+  async connect() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'LOCAL_SPEECH_PREPARE' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'The on-device speech engine did not start');
+      }
+    } catch (error) {
+      this.finish({ error: 'service-not-allowed', message: error.message });
+      return;
+    }
+    // Aborted while the offscreen document was starting
+    if (this.ended) return;
+
+    this.port = chrome.runtime.connect({ name: 'chromeai-local-speech' });
+    this.port.onMessage.addListener(message => this.handleMessage(message));
+    this.port.onDisconnect.addListener(() => this.finish());
+    this.port.postMessage({
+      type: 'start',
+      options: {
+        mode: this.mode,
+        continuous: this.continuous,
+        interimResults: this.interimResults,
+        lang: this.lang,
+        wakeWords: this.wakeWords,
+        sensitivity: this.sensitivity
+      }
+    });
+  }
+
+  /**
+   * Stop listening; words still being recognized arrive before `onend`
+   */
+  stop() {
+    if (this.port) {
+      this.port.postMessage({ type: 'stop' });
+    } else {
+      this.finish();
+    }
+  }
+
+  abort() {
+    this.finish({ error: 'aborted' });
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'start':
+        this.onstart?.({ type: 'start' });
+        break;
+
+      case 'result':
+        this.addResult(message);
+        break;
+
+      case 'error':
+        this.onerror?.({ type: 'error', error: message.error, message: this.describeError(message.error, message.message) });
+        break;
+
+      case 'end':
+        this.finish();
+        break;
+    }
+  }
+
+  /**
+   * Like SpeechRecognition, final results are kept and an interim result is replaced by the next one
+   */
+  addResult({ transcript, confidence = 0, isFinal }) {
+    const result = [{ transcript, confidence }];
+    result.isFinal = !!isFinal;
+    result.item = index => result[index];
+
+    const last = this.results[this.results.length - 1];
+    const index = last && !last.isFinal ? this.results.length - 1 : this.results.length;
+    this.results[index] = result;
+    this.onresult?.({ type: 'result', resultIndex: index, results: this.results });
+  }
+
+  /**
+   * 'service-not-allowed' means the engine or its model can't run (e.g. not installed)
+   */
+  describeError(error, message = '') {
+    return error === 'service-not-allowed' ? `${message || 'The on-device speech engine is not available.'} ${LOCAL_SPEECH_NO_CLOUD}` : message || '';
+  }
+
+  finish({ error, message } = {}) {
+    if (this.ended) return;
+    this.ended = true;
+
+    if (error) {
+      this.onerror?.({ type: 'error', error, message: this.describeError(error, message) });
+    }
+    try {
+      // Closing the port ends the session and releases the microphone
+      this.port?.disconnect();
+    } catch (e) {
+      // Already disconnected
+    }
+    this.port = null;
+    this.onend?.({ type: 'end' });
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.SpeechEngines = SpeechEngines;
+  window.ChromeAIStudio.LocalSpeechRecognition = LocalSpeechRecognition;
+  window.ChromeAIStudio.speechEngines = new SpeechEngines();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpeechEngines;
+}
@@ -0,0 +1,657 @@
+/**
+ * ChromeAI Studio - Study Decks
+ * Flashcards and quiz questions generated from pages, reviewed with spaced repetition
+ *
+ * - Stored in chrome.storage.local (`chromeai_study_decks`); one deck per page by default
+ * - The model is asked for JSON; "Front:/Back:" and "A) … Answer: B" text is parsed as a fallback
+ * - Reviews are scheduled with SM-2: grades 0–5, ease factor ≥ 1.3, intervals of 1 day,
+ *   6 days, then the previous interval times the ease factor
+ * - Decks export to Anki's text import format (TSV or CSV with `#` headers) and import back
+ */
+
+const STUDY_GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+const STUDY_DAY_MS = 24 * 60 * 60 * 1000;
+
+class StudyDecks {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: 'chromeai_study_decks',
+      maxCards: 2000,
+      maxQuizResults: 200,
+      // Page text sent to the model when generating cards
+      sourceLength: 6000,
+      ...options
+    };
+
+    this.decks = [];
+    this.cards = [];
+    this.quizResults = [];
+    this.loadPromise = null;
+    this.saving = false;
+    this.listeners = new Set();
+    this.logger = new window.ChromeAIStudio.Logger('StudyDecks');
+
+    // Reviews done in another tab
+    chrome.storage?.onChanged?.addListener((changes, area) => {
+      if (area === 'local' && changes[this.options.storageKey] && !this.saving) {
+        this.setState(changes[this.options.storageKey].newValue || {});
+      }
+    });
+  }
+
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = chrome.storage.local.get(this.options.storageKey)
+        .then(result => this.setState(result[this.options.storageKey] || {}))
+        .catch(error => {
+          this.logger.warn('Failed to load study decks:', error?.message);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  setState(stored) {
+    this.decks = stored.decks || [];
+    this.cards = stored.cards || [];
+    this.quizResults = stored.quizResults || [];
+    this.notify();
+  }
+
+  async save() {
+    this.saving = true;
+    try {
+      await chrome.storage.local.set({
+        [this.options.storageKey]: { decks: this.decks, cards: this.cards, quizResults: this.quizResults }
+      });
+    } finally {
+      this.saving = false;
+    }
+    this.notify();
+  }
+
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        this.logger.warn('Study deck listener failed:', error?.message);
+      }
+    });
+  }
+
+  // --- Decks ---
+
+  /**
+   * Decks with their card counts, most recently updated first
+   */
+  listDecks(now = Date.now()) {
+    return this.decks
+      .map(deck => ({ ...deck, ...this.getDeckStats(deck.id, now) }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  getDeck(id) {
+    return this.decks.find(deck => deck.id === id) || null;
+  }
+
+  getCards(deckId) {
+    return this.cards.filter(card => card.deckId === deckId);
+  }
+
+  /**
+   * @returns {{total, due, fresh, learned, quizzes}} `fresh` cards were never reviewed
+   */
+  getDeckStats(deckId, now = Date.now()) {
+    const cards = this.getCards(deckId);
+    return {
+      total: cards.length,
+      due: cards.filter(card => card.review.due <= now).length,
+      fresh: cards.filter(card => card.review.repetitions === 0 && !card.review.lastReviewed).length,
+      learned: cards.filter(card => card.review.interval >= 21).length,
+      quizzes: cards.filter(card => card.type === 'quiz').length
+    };
+  }
+
+  /**
+   * Deck for a page (matched by URL) or a topic (matched by name)
+   */
+  async getOrCreateDeck({ name, url = null }) {
+    await this.load();
+    const clean = String(name || '').trim().slice(0, 100) || 'Untitled deck';
+    const existing = this.decks.find(deck => (url && deck.url === url) || deck.name.toLowerCase() === clean.toLowerCase());
+    if (existing) return existing;
+
+    const deck = { id: `deck_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`, name: clean, url, createdAt: Date.now(), updatedAt: Date.now() };
+    this.decks.push(deck);
+    await this.save();
+    return deck;
+  }
+
+  /**
+   * Deck of the current page
+   */
+  getPageDeck() {
+    return this.getOrCreateDeck({
+      name: document.title || window.location.hostname,
+      url: window.location.href.split('#')[0]
+    });
+  }
+
+  async renameDeck(id, name) {
+    await this.load();
+    const deck = this.getDeck(id);
+    const clean = String(name || '').trim().slice(0, 100);
+    if (!deck || !clean) return;
+    deck.name = clean;
+    deck.updatedAt = Date.now();
+    await this.save();
+  }
+
+  async deleteDeck(id) {
+    await this.load();
+    this.decks = this.decks.filter(deck => deck.id !== id);
+    this.cards = this.cards.filter(card => card.deckId !== id);
+    this.quizResults = this.quizResults.filter(result => result.deckId !== id);
+    await this.save();
+  }
+
+  // --- Cards ---
+
+  /**
+   * Add parsed items to a deck; items whose front is already in the deck are skipped
+   * @param {Array<{front, back}|{question, options, answer, explanation}>} items
+   * @returns {Promise<Array>} The added cards
+   */
+  async addCards(deckId, items, tags = []) {
+    await this.load();
+    const deck = this.getDeck(deckId);
+    if (!deck) throw new Error('That deck no longer exists');
+
+    const existing = new Set(this.getCards(deckId).map(card => this.normalizeFront(card.front)));
+    const added = [];
+    for (const item of items) {
+      if (this.cards.length >= this.options.maxCards) {
+        throw new Error(`Decks hold up to ${this.options.maxCards} cards in total; delete some first`);
+      }
+      const card = this.createCard(deckId, item, tags);
+      if (!card || existing.has(this.normalizeFront(card.front))) continue;
+      existing.add(this.normalizeFront(card.front));
+      this.cards.push(card);
+      added.push(card);
+    }
+
+    if (added.length > 0) {
+      deck.updatedAt = Date.now();
+      await this.save();
+    }
+    return added;
+  }
+
+  createCard(deckId, item, tags) {
+    const base = {
+      id: `card_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      deckId,
+      tags: [...new Set([...(item.tags || []), ...tags])],
+      createdAt: Date.now(),
+      review: { ease: 2.5, interval: 0, repetitions: 0, lapses: 0, due: Date.now(), lastReviewed: null }
+    };
+
+    if (Array.isArray(item.options) && item.options.length >= 2) {
+      const question = String(item.question || item.front || '').trim();
+      const options = item.options.map(option => String(option).trim()).filter(Boolean);
+      const answer = this.resolveAnswer(item.answer, options);
+      if (!question || answer === -1) return null;
+      return {
+        ...base,
+        type: 'quiz',
+        front: question,
+        back: options[answer],
+        options,
+        answer,
+        explanation: String(item.explanation || '').trim()
+      };
+    }
+
+    const front = String(item.front || item.question || '').trim();
+    const back = String(item.back || item.answer || '').trim();
+    if (!front || !back) return null;
+    return { ...base, type: 'basic', front, back };
+  }
+
+  /**
+   * Index of the correct option from a letter ("B"), a number (1-based) or the option text
+   */
+  resolveAnswer(answer, options) {
+    if (typeof answer === 'number') {
+      return answer >= 0 && answer < options.length ? answer : -1;
+    }
+    const text = String(answer || '').trim();
+    const letter = text.match(/^\(?([A-Z])\)?(?:[).:\s]|$)/i);
+    if (letter) {
+      const index = letter[1].toUpperCase().charCodeAt(0) - 65;
+      if (index < options.length) return index;
+    }
+    if (/^\d+$/.test(text)) {
+      const index = Number(text) - 1;
+      return index >= 0 && index < options.length ? index : -1;
+    }
+    return options.findIndex(option => option.toLowerCase() === text.toLowerCase());
+  }
+
+  normalizeFront(front) {
+    return String(front).toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  async removeCard(id) {
+    await this.load();
+    this.cards = this.cards.filter(card => card.id !== id);
+    await this.save();
+  }
+
+  // --- Spaced repetition ---
+
+  /**
+   * Cards due for review, most overdue first; never-reviewed cards after reviewed ones
+   */
+  getDueCards(deckId = null, now = Date.now()) {
+    return this.cards
+      .filter(card => (!deckId || card.deckId === deckId) && card.review.due <= now)
+      .sort((a, b) => (!a.review.lastReviewed - !b.review.lastReviewed) || (a.review.due - b.review.due));
+  }
+
+  /**
+   * Record a review and schedule the card's next one
+   * @param {string} cardId
+   * @param {number|string} grade - 0–5, or again/hard/good/easy
+   */
+  async review(cardId, grade, now = Date.now()) {
+    await this.load();
+    const card = this.cards.find(other => other.id === cardId);
+    if (!card) return null;
+
+    card.review = StudyDecks.schedule(card.review, typeof grade === 'string' ? STUDY_GRADES[grade] : grade, now);
+    const deck = this.getDeck(card.deckId);
+    if (deck) deck.updatedAt = now;
+    await this.save();
+    return card;
+  }
+
+  /**
+   * SM-2: a grade below 3 restarts the repetitions without changing the ease factor;
+   * otherwise the interval grows and the ease factor moves with the grade
+   * @param {{ease, interval, repetitions, lapses}} review
+   * @param {number} quality - 0 (blackout) to 5 (perfect)
+   * @returns {Object} The updated review state
+   */
+  static schedule(review, quality, now = Date.now()) {
+    const q = Math.max(0, Math.min(5, Math.round(Number(quality) || 0)));
+    let { ease = 2.5, interval = 0, repetitions = 0, lapses = 0 } = review || {};
+
+    if (q < 3) {
+      repetitions = 0;
+      interval = 1;
+      lapses++;
+    } else {
+      repetitions++;
+      interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+      ease = Math.max(1.3, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+    }
+
+    return {
+      ease: Math.round(ease * 100) / 100,
+      interval,
+      repetitions,
+      lapses,
+      due: now + interval * STUDY_DAY_MS,
+      lastReviewed: now
+    };
+  }
+
+  /**
+   * Interval in days each grade would give a card, for the review buttons
+   */
+  previewIntervals(card) {
+    return Object.fromEntries(Object.entries(STUDY_GRADES).map(([name, quality]) => [
+      name,
+      StudyDecks.schedule(card.review, quality).interval
+    ]));
+  }
+
+  // --- Quizzes ---
+
+  /**
+   * Score answers to quiz cards and remember the result
+   * @param {string} deckId
+   * @param {Array<{cardId, choice}>} answers - `choice` is the chosen option index
+   * @returns {Promise<{score, total, results: Array<{cardId, correct, answer, explanation}>}>}
+   */
+  async recordQuiz(deckId, answers) {
+    await this.load();
+    const results = answers.map(({ cardId, choice }) => {
+      const card = this.cards.find(other => other.id === cardId);
+      return {
+        cardId,
+        correct: !!card && card.answer === choice,
+        answer: card ? card.options[card.answer] : null,
+        explanation: card?.explanation || ''
+      };
+    });
+    const score = results.filter(result => result.correct).length;
+
+    this.quizResults.push({ deckId, score, total: results.length, takenAt: Date.now() });
+    this.quizResults = this.quizResults.slice(-this.options.maxQuizResults);
+    await this.save();
+    return { score, total: results.length, results };
+  }
+
+  getQuizHistory(deckId) {
+    return this.quizResults.filter(result => result.deckId === deckId);
+  }
+
+  // --- Generation ---
+
+  /**
+   * Ask the model for flashcards or quiz questions about a text
+   * @param {'flashcards'|'quiz'} kind
+   * @returns {Promise<{success: boolean, result?: Array, error?: string}>}
+   */
+  async generate(kind, text, aiManager, count = kind === 'quiz' ? 5 : 7) {
+    const source = String(text || '').slice(0, this.options.sourceLength);
+    const prompt = kind === 'quiz'
+      ? `Create ${count} multiple-choice questions that test understanding of the text below. Each question has exactly 4 options and one correct answer.
+Reply with JSON only, an array like:
+[{"question": "…", "options": ["…", "…", "…", "…"], "answer": "B", "explanation": "Why B is correct, based on the text"}]
+
+TEXT:
+${source}`
+      : `Create ${count} flashcards that cover the key facts and concepts of the text below. Keep each answer short.
+Reply with JSON only, an array like:
+[{"front": "Question or term", "back": "Answer or definition"}]
+
+TEXT:
+${source}`;
+
+    const response = await aiManager.prompt(prompt);
+    if (!response.success) {
+      return { success: false, error: response.error?.message || 'AI request failed' };
+    }
+
+    const items = kind === 'quiz' ? this.parseQuiz(response.result) : this.parseFlashcards(response.result);
+    return items.length > 0
+      ? { success: true, result: items }
+      : { success: false, error: `Could not read any ${kind === 'quiz' ? 'questions' : 'flashcards'} from the response` };
+  }
+
+  /**
+   * JSON array in a model response (fenced or bare), or null
+   */
+  parseJsonArray(text) {
+    const match = String(text || '').match(/\[[\s\S]*\]/);
+    if (!match) return null;
+    try {
+      const data = JSON.parse(match[0]);
+      return Array.isArray(data) ? data.filter(item => item && typeof item === 'object') : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Flashcards from JSON, or from "Front:/Back:" and "Q:/A:" lines
+   * @returns {Array<{front, back}>}
+   */
+  parseFlashcards(text) {
+    const json = this.parseJsonArray(text);
+    if (json) {
+      return json
+        .map(item => ({ front: String(item.front || item.question || item.term || '').trim(), back: String(item.back || item.answer || item.definition || '').trim() }))
+        .filter(card => card.front && card.back);
+    }
+
+    const cards = [];
+    let current = null;
+    String(text || '').split('\n').forEach(line => {
+      const clean = line.replace(/\*\*/g, '').replace(/^\s*(?:[-*]|\d+[.)])\s*/, '').trim();
+      const front = clean.match(/^(?:front|question|q)\s*[:：]\s*(.+)$/i);
+      const back = clean.match(/^(?:back|answer|a)\s*[:：]\s*(.+)$/i);
+      if (front) {
+        current = { front: front[1].trim(), back: '' };
+        cards.push(current);
+      } else if (back && current && !current.back) {
+        current.back = back[1].trim();
+      } else if (clean && current?.back) {
+        current.back += ` ${clean}`;
+      }
+    });
+    return cards.filter(card => card.front && card.back);
+  }
+
+  /**
+   * Quiz questions from JSON, or from numbered questions with "A)"…"D)" options,
+   * an "Answer: B" line and an optional "Explanation:" line
+   * @returns {Array<{question, options, answer, explanation}>}
+   */
+  parseQuiz(text) {
+    const json = this.parseJsonArray(text);
+    if (json) {
+      return json
+        .filter(item => Array.isArray(item.options) && item.options.length >= 2 && (item.question || item.front))
+        .map(item => ({
+          question: String(item.question || item.front).trim(),
+          options: item.options.map(option => String(option).replace(/^[A-Z][).:]\s+/, '').trim()),
+          answer: item.answer ?? item.correct,
+          explanation: String(item.explanation || '').trim()
+        }))
+        .filter(item => this.resolveAnswer(item.answer, item.options) !== -1);
+    }
+
+    const questions = [];
+    let current = null;
+    String(text || '').split('\n').forEach(line => {
+      const clean = line.replace(/\*\*/g, '').trim();
+      if (!clean) return;
+      const option = clean.match(/^\(?([A-Z])[).:]\s+(.+?)(\s*(?:✓|✔|\(correct\)|\*))?$/i);
+      const answer = clean.match(/^(?:correct\s+)?answer\s*[:：]\s*(.+)$/i);
+      const explanation = clean.match(/^explanation\s*[:：]\s*(.+)$/i);
+      const question = clean.match(/^(?:q(?:uestion)?\s*)?\d+[.):]\s*(.+)$/i);
+
+      if (option && current) {
+        current.options.push(option[2].trim());
+        if (option[3]) current.answer = option[1];
+      } else if (answer && current) {
+        current.answer = answer[1].trim();
+      } else if (explanation && current) {
+        current.explanation = explanation[1].trim();
+      } else if (question) {
+        current = { question: question[1].trim(), options: [], answer: null, explanation: '' };
+        questions.push(current);
+      }
+    });
+    return questions.filter(item => item.options.length >= 2 && this.resolveAnswer(item.answer, item.options) !== -1);
+  }
+
+  /**
+   * Markdown list of cards for the chat
+   */
+  toMarkdown(cards) {
+    return cards.map((card, index) => {
+      if (card.type === 'quiz') {
+        const options = card.options.map((option, i) => `   ${String.fromCharCode(65 + i)}) ${option}`).join('\n');
+        return `${index + 1}. **${card.front}**\n${options}`;
+      }
+      return `${index + 1}. **${card.front}** — ${card.back}`;
+    }).join('\n');
+  }
+
+  // --- Anki ---
+
+  /**
+   * Anki text import file: Front, Back, Deck and Tags columns with `#` header lines.
+   * Quiz cards become basic cards with the options on the front.
+   * @param {string[]} deckIds
+   * @param {'tsv'|'csv'} format
+   */
+  exportAnki(deckIds, format = 'tsv') {
+    const separator = format === 'csv' ? ',' : '\t';
+    const quote = (value) => {
+      const text = String(value ?? '');
+      return /["\n\r,\t]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const html = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+
+    const rows = this.cards
+      .filter(card => deckIds.includes(card.deckId))
+      .map(card => {
+        const deck = this.getDeck(card.deckId);
+        const front = card.type === 'quiz'
+          ? `${html(card.front)}<br><br>${card.options.map((option, i) => `${String.fromCharCode(65 + i)}) ${html(option)}`).join('<br>')}`
+          : html(card.front);
+        const back = card.type === 'quiz'
+          ? `${String.fromCharCode(65 + card.answer)}) ${html(card.back)}${card.explanation ? `<br><br>${html(card.explanation)}` : ''}`
+          : html(card.back);
+        // Anki nests decks with ::, so the name must not contain it
+        const deckName = `ChromeAI Studio::${(deck?.name || 'Imported').replace(/::/g, ' ')}`;
+        const tags = card.tags.map(tag => tag.replace(/\s+/g, '_')).join(' ');
+        return [front, back, deckName, tags].map(quote).join(separator);
+      });
+
+    return [
+      `#separator:${format === 'csv' ? 'Comma' : 'Tab'}`,
+      '#html:true',
+      '#notetype:Basic',
+      '#deck column:3',
+      '#tags column:4',
+      ...rows
+    ].join('\n');
+  }
+
+  /**
+   * Import an Anki text export (or any Front/Back TSV or CSV). The `#guid column`,
+   * `#notetype column`, `#deck column` and `#tags column` headers (1-based) mark metadata;
+   * the first two other columns are the front and back.
+   * @param {string} text - File contents
+   * @param {string} fallbackDeck - Deck for rows without a deck column or `#deck` header
+   * @returns {Promise<{added: number, skipped: number, decks: string[]}>}
+   */
+  async importAnki(text, fallbackDeck = 'Imported') {
+    await this.load();
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headers = {};
+    while (lines.length > 0 && lines[0].startsWith('#')) {
+      // Values may contain colons, e.g. #deck:Parent::Child
+      const header = lines.shift().slice(1);
+      const colon = header.indexOf(':');
+      const key = colon === -1 ? header : header.slice(0, colon);
+      headers[key.trim().toLowerCase()] = colon === -1 ? '' : header.slice(colon + 1).trim();
+    }
+
+    const body = lines.join('\n');
+    const separators = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+    const separator = separators[(headers.separator || '').toLowerCase()] || headers.separator
+      || (body.split('\n')[0].includes('\t') ? '\t' : ',');
+    const column = (name) => Number(headers[`${name} column`]) > 0 ? Number(headers[`${name} column`]) - 1 : -1;
+    const deckColumn = column('deck');
+    const tagsColumn = column('tags');
+    const metadataColumns = new Set(['guid', 'notetype', 'deck', 'tags'].map(column).filter(index => index >= 0));
+    const fileDeck = headers.deck || fallbackDeck;
+    const isHtml = headers.html !== 'false';
+
+    const plain = (value) => !isHtml ? value : value
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&')
+      .trim();
+
+    const byDeck = new Map();
+    let skipped = 0;
+    StudyDecks.parseDelimited(body, separator).forEach(row => {
+      const fields = row.map(field => field.trim());
+      const [front, back] = fields.filter((field, index) => !metadataColumns.has(index));
+      if (!front || !back) {
+        if (fields.some(Boolean)) skipped++;
+        return;
+      }
+      const deckName = (deckColumn >= 0 && fields[deckColumn] ? fields[deckColumn] : fileDeck).replace(/^ChromeAI Studio::/, '');
+      const tags = tagsColumn >= 0 && fields[tagsColumn] ? fields[tagsColumn].split(/\s+/).filter(Boolean) : [];
+      if (!byDeck.has(deckName)) byDeck.set(deckName, []);
+      byDeck.get(deckName).push({ front: plain(front), back: plain(back), tags });
+    });
+
+    let added = 0;
+    for (const [name, items] of byDeck) {
+      const deck = await this.getOrCreateDeck({ name });
+      const cards = await this.addCards(deck.id, items);
+      added += cards.length;
+      skipped += items.length - cards.length;
+    }
+    return { added, skipped, decks: [...byDeck.keys()] };
+  }
+
+  /**
+   * Rows of a delimited file; fields may be quoted with "" escapes and contain newlines
+   */
+  static parseDelimited(text, separator) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === separator) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+}
+
+StudyDecks.GRADES = STUDY_GRADES;
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.StudyDecks = StudyDecks;
+  window.ChromeAIStudio.studyDecks = new StudyDecks();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StudyDecks;
+}
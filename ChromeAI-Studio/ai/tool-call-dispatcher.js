@@ -0,0 +1,333 @@
+/**
+ * ChromeAI Studio - Tool Call Dispatcher
+ * Parses, validates and runs the tool calls a model makes, and feeds the results back
+ *
+ * - Accepts strict JSON calls: {"tool": name, "arguments": {...}}, a list of them, OpenAI-style
+ *   `tool_calls` and `tool_use` blocks, bare or in ```json / ```tool_code fences or <tool_call> tags
+ * - Other JSON the model shows, such as a package.json with a "name", stays in the text: an
+ *   object is only a call with a `tool` key, inside a call envelope or tool fence, or when its
+ *   `name` is one of the tools
+ * - Arguments are checked against the tool's `inputSchema` (JSONSchemaValidator) after numeric
+ *   and boolean strings are coerced
+ * - Every call yields a structured result; failures carry {code, message, details} so the model
+ *   can correct itself
+ * - `run()` repeats call → results → model until the model answers in plain text
+ * - `wrapTool()` adds the same validation to tools the Prompt API calls natively
+ */
+
+const TOOL_CALL_ERRORS = {
+  PARSE: 'parse_error',
+  UNKNOWN_TOOL: 'unknown_tool',
+  INVALID_ARGUMENTS: 'invalid_arguments',
+  EXECUTION: 'execution_failed',
+  LIMIT: 'too_many_calls'
+};
+
+class ToolCallDispatcher {
+  constructor(options = {}) {
+    this.options = {
+      // Model round trips after the first response
+      maxRounds: 4,
+      maxCallsPerRound: 5,
+      // Tool output longer than this is cut before it goes back to the model
+      resultLength: 2000,
+      ...options
+    };
+    this.callCount = 0;
+  }
+
+  /**
+   * Instructions for models without native tool use
+   */
+  static describeFormat() {
+    return `TOOL CALLS:
+- To use a tool, reply with ONLY a JSON block and no other text:
+\`\`\`json
+{"tool": "toolName", "arguments": {"param": "value"}}
+\`\`\`
+- Several calls run in order: [{"tool": ...}, {"tool": ...}]
+- Tool results come back as JSON. If a call failed, fix it using the error and call again.
+- When you have what you need, answer in plain text without JSON.`;
+  }
+
+  // --- Parsing ---
+
+  /**
+   * Find tool calls in a model response
+   * @param {string|Object} response - Model text, or a structured message with tool calls
+   * @param {Array} [tools] - Tools whose names mark bare {"name": ...} objects as calls
+   * @returns {{calls: Array<{id, name, arguments}>, errors: Array<{id, name, ok, error}>, text: string}}
+   */
+  parse(response, tools = []) {
+    const calls = [];
+    const errors = [];
+    const toolNames = new Set(tools.map(tool => tool.name));
+
+    if (response && typeof response === 'object') {
+      this.collectCalls(response, calls, errors, { toolNames, explicit: false });
+      return { calls, errors, text: typeof response.content === 'string' ? response.content.trim() : '' };
+    }
+
+    const text = String(response || '');
+    const blocks = [];
+    const blockPattern = /```(json|tool_code|tool_call|tool|javascript|js)?[ \t]*\r?\n?([\s\S]*?)```|<tool_call>([\s\S]*?)<\/tool_call>/gi;
+    let match;
+    while ((match = blockPattern.exec(text)) !== null) {
+      blocks.push({ raw: match[0], body: (match[2] ?? match[3] ?? '').trim(), label: (match[1] || (match[3] !== undefined ? 'tool_call' : '')).toLowerCase() });
+    }
+
+    // A response that is nothing but JSON counts as a block too
+    const trimmed = text.trim();
+    if (blocks.length === 0 && /^[[{]/.test(trimmed)) {
+      blocks.push({ raw: text, body: trimmed, label: 'json' });
+    }
+
+    let remaining = text;
+    blocks.forEach(block => {
+      const found = calls.length + errors.length;
+      let value;
+      try {
+        value = JSON.parse(block.body);
+      } catch (error) {
+        // Only complain about blocks meant as tool calls, not code the model is showing the user
+        if (block.label.startsWith('tool') || /"(tool|tool_calls)"\s*:/.test(block.body)) {
+          errors.push(this.failure(this.nextId(), null, TOOL_CALL_ERRORS.PARSE,
+            `Tool call is not valid JSON (${error.message}). Use {"tool": "name", "arguments": {...}}.`,
+            [block.body.slice(0, 200)]));
+          remaining = remaining.replace(block.raw, '');
+        }
+        return;
+      }
+
+      // ```tool_code, ```tool and <tool_call> only ever hold calls
+      this.collectCalls(value, calls, errors, { toolNames, explicit: block.label.startsWith('tool') });
+      if (calls.length + errors.length > found) {
+        remaining = remaining.replace(block.raw, '');
+      }
+    });
+
+    return { calls, errors, text: remaining.trim() };
+  }
+
+  /**
+   * @param {Object} context
+   * @param {Set<string>} context.toolNames
+   * @param {boolean} context.explicit - Inside a call envelope or tool fence
+   */
+  collectCalls(value, calls, errors, context) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.collectCalls(item, calls, errors, context));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    if (Array.isArray(value.tool_calls)) {
+      this.collectCalls(value.tool_calls, calls, errors, { ...context, explicit: true });
+      return;
+    }
+    if (Array.isArray(value.calls)) {
+      this.collectCalls(value.calls, calls, errors, context);
+      return;
+    }
+    if (Array.isArray(value.content) && value.content.some(part => part?.type === 'tool_use')) {
+      this.collectCalls(value.content.filter(part => part?.type === 'tool_use'), calls, errors, { ...context, explicit: true });
+      return;
+    }
+
+    const name = value.tool ?? value.name ?? value.function?.name ?? value.tool_name;
+    if (typeof name !== 'string' || !name) return;
+    const isCall = typeof value.tool === 'string' || value.type === 'tool_use' || context.explicit || context.toolNames.has(name);
+    if (!isCall) return;
+
+    const id = value.id || this.nextId();
+    let args = value.arguments ?? value.args ?? value.parameters ?? value.input ?? value.function?.arguments ?? {};
+    if (typeof args === 'string') {
+      // OpenAI sends arguments as a JSON string
+      try {
+        args = args.trim() ? JSON.parse(args) : {};
+      } catch (error) {
+        errors.push(this.failure(id, name, TOOL_CALL_ERRORS.PARSE, `Arguments for ${name} are not valid JSON (${error.message}).`));
+        return;
+      }
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      errors.push(this.failure(id, name, TOOL_CALL_ERRORS.INVALID_ARGUMENTS, `Arguments for ${name} must be a JSON object.`));
+      return;
+    }
+
+    calls.push({ id, name, arguments: args });
+  }
+
+  nextId() {
+    this.callCount++;
+    return `call_${this.callCount}`;
+  }
+
+  // --- Validation and execution ---
+
+  /**
+   * Check a call against the tool list and the tool's schema
+   * @returns {{tool: Object, arguments: Object}|{failure: Object}}
+   */
+  validate(call, tools) {
+    // Registry tools also answer to the names they replaced (see ai/browser-tools.js)
+    const tool = tools.find(candidate => candidate.name === call.name || candidate.aliases?.includes(call.name));
+    if (!tool) {
+      return {
+        failure: this.failure(call.id, call.name, TOOL_CALL_ERRORS.UNKNOWN_TOOL, `There is no tool named "${call.name}".`,
+          [`Available tools: ${tools.map(candidate => candidate.name).join(', ')}`])
+      };
+    }
+
+    const schema = tool.inputSchema || { type: 'object' };
+    const args = this.coerce(call.arguments, schema);
+    const Validator = window.ChromeAIStudio?.JSONSchemaValidator;
+    const details = Validator ? Validator.validate(args, schema, 'arguments') : [];
+    if (details.length > 0) {
+      const failure = this.failure(call.id, call.name, TOOL_CALL_ERRORS.INVALID_ARGUMENTS, `Invalid arguments for ${call.name}.`, details);
+      failure.error.inputSchema = schema;
+      return { failure };
+    }
+
+    return { tool, arguments: args };
+  }
+
+  /**
+   * Convert "3" and "true" for number/integer/boolean properties; anything else is left for validation
+   */
+  coerce(args, schema) {
+    const properties = schema?.properties || {};
+    const result = { ...args };
+    Object.entries(result).forEach(([key, value]) => {
+      const type = properties[key]?.type;
+      if (typeof value !== 'string' || !type) return;
+      const trimmed = value.trim();
+      if ((type === 'number' || type === 'integer') && trimmed !== '' && !isNaN(Number(trimmed))) {
+        result[key] = Number(trimmed);
+      } else if (type === 'boolean' && /^(true|false)$/i.test(trimmed)) {
+        result[key] = trimmed.toLowerCase() === 'true';
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Validate and run one call
+   * @returns {Promise<{id, tool, ok: boolean, result?: string, error?: Object}>}
+   */
+  async execute(call, tools) {
+    const checked = this.validate(call, tools);
+    if (checked.failure) return checked.failure;
+
+    try {
+      const output = await checked.tool.execute(checked.arguments);
+      return { id: call.id, tool: call.name, ok: true, result: this.stringify(output) };
+    } catch (error) {
+      console.error(`❌ Tool ${call.name} failed:`, error);
+      return this.failure(call.id, call.name, TOOL_CALL_ERRORS.EXECUTION, error?.message || String(error));
+    }
+  }
+
+  /**
+   * Run every call in a response, in order
+   * @returns {Promise<{results: Array, text: string}>}
+   */
+  async dispatch(response, tools) {
+    const { calls, errors, text } = this.parse(response, tools);
+    const results = [...errors];
+
+    for (const [index, call] of calls.entries()) {
+      if (index >= this.options.maxCallsPerRound) {
+        results.push(this.failure(call.id, call.name, TOOL_CALL_ERRORS.LIMIT,
+          `Only ${this.options.maxCallsPerRound} calls run per turn; call ${call.name} again if you still need it.`));
+        continue;
+      }
+      results.push(await this.execute(call, tools));
+    }
+
+    return { results, text };
+  }
+
+  /**
+   * Dispatch calls and send their results back until the model answers in plain text
+   * @param {Object} params
+   * @param {string|Object} params.response - First model response
+   * @param {Array} params.tools - Tools with name, inputSchema and execute
+   * @param {Function} [params.prompt] - Sends text to the model and resolves to its response
+   * @returns {Promise<{text: string, results: Array, rounds: number}>}
+   */
+  async run({ response, tools, prompt = null, maxRounds = this.options.maxRounds }) {
+    const allResults = [];
+    let current = response;
+
+    for (let round = 0; ; round++) {
+      const { results, text } = await this.dispatch(current, tools);
+      if (results.length === 0) {
+        return { text, results: allResults, rounds: round };
+      }
+      allResults.push(...results);
+
+      if (!prompt || round >= maxRounds) {
+        return { text: text || this.summarizeResults(results), results: allResults, rounds: round };
+      }
+      try {
+        current = await prompt(this.buildResultsPrompt(results));
+      } catch (error) {
+        // The tools already ran; report their results instead of failing the turn
+        console.warn('⚠️ Could not send tool results back to the model:', error);
+        return { text: text || this.summarizeResults(results), results: allResults, rounds: round + 1 };
+      }
+    }
+  }
+
+  buildResultsPrompt(results) {
+    return `Tool results:
+\`\`\`json
+${JSON.stringify(results, null, 2)}
+\`\`\`
+
+If a call failed, fix it using the error and call the tool again. If you need another tool, call it. Otherwise answer the user in plain text.`;
+  }
+
+  /**
+   * Plain-text account of results, for when the model cannot be asked again
+   */
+  summarizeResults(results) {
+    return results
+      .map(result => result.ok ? result.result : `${result.tool || 'Tool call'} failed: ${result.error.message}`)
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * Tool for native tool use: the Prompt API calls `execute` itself, so validate there
+   */
+  wrapTool(tool) {
+    const dispatcher = this;
+    return {
+      ...tool,
+      async execute(args = {}) {
+        const result = await dispatcher.execute({ id: dispatcher.nextId(), name: tool.name, arguments: args }, [tool]);
+        return result.ok ? result.result : JSON.stringify({ error: result.error });
+      }
+    };
+  }
+
+  failure(id, tool, code, message, details = []) {
+    return { id, tool, ok: false, error: { code, message, ...(details.length > 0 ? { details } : {}) } };
+  }
+
+  stringify(output) {
+    const text = typeof output === 'string' ? output : JSON.stringify(output ?? null);
+    return text.length > this.options.resultLength ? `${text.slice(0, this.options.resultLength)}… [truncated]` : text;
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.ToolCallDispatcher = ToolCallDispatcher;
+  window.ChromeAIStudio.TOOL_CALL_ERRORS = TOOL_CALL_ERRORS;
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ToolCallDispatcher;
+}
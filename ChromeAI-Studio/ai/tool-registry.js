@@ -0,0 +1,390 @@
+/**
+ * ChromeAI Studio - Tool Registry
+ * The one list of browser tools, queried by the voice agent, the autonomous agent, the
+ * sidebar chat (`/tool args`) and the MCP bridge
+ *
+ * - A tool registers its name, `inputSchema`, the extension permissions it needs, its side
+ *   effect (read-only / navigates / mutates), which consumers may use it and `execute()`
+ * - Providers add tools that change at runtime, such as those of the user's MCP servers
+ * - Tools that need a permission missing from the manifest are left out of every list
+ * - Tools that navigate or change pages are checked against the agent approval policy before
+ *   they run through `execute()` or `gate()`
+ */
+
+const TOOL_SIDE_EFFECTS = {
+  READ_ONLY: 'read-only',
+  NAVIGATES: 'navigates',
+  MUTATES: 'mutates'
+};
+
+/**
+ * Two sources registering the same name or alias; a load-order bug, not a user error
+ */
+class ToolConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolConflictError';
+  }
+}
+
+// voice: MCPVoiceAgent, agent: AutonomousAgent steps, chat: `/tool` in the sidebar, bridge: desktop MCP clients
+const TOOL_CONSUMERS = ['voice', 'agent', 'chat', 'bridge'];
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();       // name → tool
+    this.lookup = new Map();      // lower-case name or alias → name
+    this.providers = new Map();   // source → {getTools, defaults}
+    this.listeners = new Set();
+    this.grantedPermissions = null;
+  }
+
+  /**
+   * Add a tool; registering a name again from the same source replaces it
+   * @param {Object} definition - {name, description, inputSchema, permissions, sideEffect, consumers, aliases, execute},
+   *   plus `bridgeConsent` for bridge tools (see ai/mcp-bridge-tools.js)
+   * @param {Object} [defaults] - Fields for tools that leave them out, e.g. {source, consumers}
+   * @returns {Object} The registered tool
+   */
+  register(definition, defaults = {}) {
+    const tool = this.normalize(definition, defaults);
+    const existing = this.tools.get(tool.name);
+    if (existing && existing.source !== tool.source) {
+      throw new ToolConflictError(`Tool "${tool.name}" from ${tool.source} is already registered by ${existing.source}`);
+    }
+    if (existing) this.remove(tool.name);
+
+    const keys = [tool.name, ...tool.aliases].map(key => key.toLowerCase());
+    const taken = keys.find(key => this.lookup.has(key));
+    if (taken) {
+      throw new ToolConflictError(`"${taken}" from ${tool.source} already refers to the tool ${this.lookup.get(taken)}`);
+    }
+
+    this.tools.set(tool.name, tool);
+    keys.forEach(key => this.lookup.set(key, tool.name));
+    this.notify();
+    return tool;
+  }
+
+  /**
+   * Replace every tool of `defaults.source`; invalid tools are skipped with a warning
+   * @returns {number} Number of tools registered
+   * @throws {ToolConflictError} After registering the rest, when a name clashes with another source
+   */
+  registerAll(definitions, defaults = {}) {
+    if (defaults.source) {
+      this.list({ source: defaults.source, all: true }).forEach(tool => this.remove(tool.name));
+    }
+
+    let count = 0;
+    const conflicts = [];
+    definitions.forEach(definition => {
+      try {
+        this.register(definition, defaults);
+        count++;
+      } catch (error) {
+        if (error instanceof ToolConflictError) {
+          conflicts.push(error.message);
+        } else {
+          console.warn(`⚠️ Tool not registered: ${error.message}`);
+        }
+      }
+    });
+    if (conflicts.length > 0) {
+      throw new ToolConflictError(conflicts.join('; '));
+    }
+    return count;
+  }
+
+  unregister(name) {
+    const tool = this.get(name);
+    if (!tool) return false;
+    this.remove(tool.name);
+    this.notify();
+    return true;
+  }
+
+  remove(name) {
+    const tool = this.tools.get(name);
+    if (!tool) return;
+    this.tools.delete(name);
+    [tool.name, ...tool.aliases].forEach(key => this.lookup.delete(key.toLowerCase()));
+  }
+
+  /**
+   * Tools that change at runtime; `getTools()` is called on every query and should cache
+   * @param {string} source
+   * @param {Function} getTools - Resolves to tool definitions
+   * @param {Object} [defaults] - Fields for tools that leave them out
+   */
+  registerProvider(source, getTools, defaults = {}) {
+    this.providers.set(source, { getTools, defaults: { ...defaults, source } });
+    this.notify();
+  }
+
+  normalize(definition, defaults) {
+    const tool = { ...defaults, ...definition };
+    if (typeof tool.name !== 'string' || !/^[A-Za-z][\w-]{0,63}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name: ${tool.name}`);
+    }
+    if (typeof tool.execute !== 'function') {
+      throw new Error(`Tool ${tool.name} has no execute()`);
+    }
+
+    // Tools that don't say what they do are treated as changing the page
+    const sideEffect = tool.sideEffect || TOOL_SIDE_EFFECTS.MUTATES;
+    if (!Object.values(TOOL_SIDE_EFFECTS).includes(sideEffect)) {
+      throw new Error(`Tool ${tool.name} has an unknown side effect: ${sideEffect}`);
+    }
+    const consumers = tool.consumers || ['voice', 'chat'];
+    const unknown = consumers.find(consumer => !TOOL_CONSUMERS.includes(consumer));
+    if (unknown) {
+      throw new Error(`Tool ${tool.name} has an unknown consumer: ${unknown}`);
+    }
+
+    return {
+      ...tool,
+      description: tool.description || '',
+      inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+      permissions: [...(tool.permissions || [])],
+      sideEffect,
+      consumers: [...consumers],
+      aliases: [...(tool.aliases || [])],
+      source: tool.source || 'unknown'
+    };
+  }
+
+  // --- Queries ---
+
+  /**
+   * Registered tool by name or alias, ignoring case
+   */
+  get(name) {
+    return this.tools.get(this.lookup.get(String(name || '').toLowerCase())) || null;
+  }
+
+  /**
+   * Registered tools, without provider tools
+   * @param {Object} [filter]
+   * @param {string} [filter.consumer] - Only tools this consumer may use
+   * @param {string|string[]} [filter.sideEffect]
+   * @param {string} [filter.source]
+   * @param {boolean} [filter.all] - Include tools whose permissions are missing
+   */
+  list(filter = {}) {
+    return [...this.tools.values()].filter(tool => this.matches(tool, filter));
+  }
+
+  /**
+   * Registered and provider tools; providers that fail are skipped
+   */
+  async getTools(filter = {}) {
+    const tools = this.list(filter);
+    for (const [source, provider] of this.providers) {
+      let definitions = [];
+      try {
+        definitions = await provider.getTools();
+      } catch (error) {
+        console.warn(`⚠️ Failed to load ${source} tools:`, error);
+        continue;
+      }
+      definitions.forEach(definition => {
+        try {
+          const tool = this.normalize(definition, provider.defaults);
+          if (this.get(tool.name)) {
+            console.warn(`⚠️ ${source} tool ${tool.name} hides a registered tool and was skipped`);
+          } else if (this.matches(tool, filter)) {
+            tools.push(tool);
+          }
+        } catch (error) {
+          console.warn(`⚠️ Skipped ${source} tool: ${error.message}`);
+        }
+      });
+    }
+    return tools;
+  }
+
+  /**
+   * Tool by name or alias, including provider tools
+   */
+  async find(name, filter = {}) {
+    const tool = this.get(name);
+    if (tool) return this.matches(tool, filter) ? tool : null;
+    if (this.providers.size === 0) return null;
+    return (await this.getTools(filter)).find(candidate => candidate.name === name) || null;
+  }
+
+  matches(tool, { consumer, sideEffect, source, all = false } = {}) {
+    if (consumer && !tool.consumers.includes(consumer)) return false;
+    if (sideEffect && ![].concat(sideEffect).includes(tool.sideEffect)) return false;
+    if (source && tool.source !== source) return false;
+    return all || this.hasPermissions(tool);
+  }
+
+  hasPermissions(tool) {
+    if (tool.permissions.length === 0) return true;
+    const granted = this.getGrantedPermissions();
+    return tool.permissions.every(permission => granted.has(permission));
+  }
+
+  getGrantedPermissions() {
+    if (this.grantedPermissions) return this.grantedPermissions;
+    try {
+      this.grantedPermissions = new Set(chrome.runtime.getManifest().permissions || []);
+      return this.grantedPermissions;
+    } catch (error) {
+      // Extension context invalidated: nothing that needs a permission can run
+      return new Set();
+    }
+  }
+
+  // --- Running tools ---
+
+  /**
+   * Validate the arguments against the tool's schema and run it
+   * @param {string} name - Tool name or alias
+   * @param {Object} args
+   * @param {Object} [options]
+   * @param {string} [options.consumer] - Refuse tools this consumer may not use
+   * @param {boolean} [options.approved] - See approve()
+   * @param {Function} [options.confirm] - See approve()
+   * @returns {Promise<{id, tool, ok: boolean, result?: string, error?: Object}>}
+   */
+  async execute(name, args = {}, { consumer, approved, confirm } = {}) {
+    const dispatcher = new window.ChromeAIStudio.ToolCallDispatcher();
+    const tool = await this.find(name, { consumer });
+    const call = { id: dispatcher.nextId(), name: tool?.name || name, arguments: args };
+    return dispatcher.execute(call, tool ? [this.gate(tool, { approved, confirm })] : await this.getTools({ consumer }));
+  }
+
+  /**
+   * Check a tool that navigates or changes pages against the approval policy
+   * (ai/browser-agent/agent-approval-policy.js) for the current page
+   * @param {Object} tool
+   * @param {Object} [options]
+   * @param {boolean} [options.approved] - The user already allowed this call, e.g. in the bridge
+   *   consent prompt; only 'deny' rules still apply
+   * @param {Function} [options.confirm] - Resolves to true to run the tool when the policy asks;
+   *   defaults to a browser confirm dialog, which the page cannot answer
+   * @throws {Error} When a rule or the user refuses
+   */
+  async approve(tool, { approved = false, confirm = null } = {}) {
+    if (tool.sideEffect === TOOL_SIDE_EFFECTS.READ_ONLY) return;
+
+    const policy = window.ChromeAIStudio?.agentApprovalPolicy;
+    if (!policy) {
+      throw new Error(`${tool.name} changes pages, but the approval policy is not loaded`);
+    }
+    await policy.init();
+    const decision = policy.getToolDecision(tool);
+    const domain = policy.getHostname();
+    if (decision === 'deny') {
+      throw new Error(`${tool.name} is blocked on ${domain} by the approval policy`);
+    }
+    if (decision === 'allow' || approved) return;
+
+    const ask = confirm || (() => window.confirm(
+      `ChromeAI Studio wants to run ${tool.name} on ${domain || 'this page'}.\n\n${tool.description}\n\nAllow it?`));
+    if (!(await ask({ tool, domain }))) {
+      throw new Error(`The user did not allow ${tool.name} on ${domain || 'this page'}`);
+    }
+  }
+
+  /**
+   * The tool with approve() in front of its execute(), for consumers that run tools themselves
+   */
+  gate(tool, options = {}) {
+    const registry = this;
+    return {
+      ...tool,
+      async execute(...args) {
+        await registry.approve(tool, options);
+        return tool.execute(...args);
+      }
+    };
+  }
+
+  /**
+   * Parse `/name args`. Arguments can be a JSON object, `key=value` pairs, or plain text
+   * for the tool's first required string property.
+   * @returns {{name: string, argsText: string}|null} Null when the text is not a command
+   */
+  parseCommand(text) {
+    const match = String(text || '').trim().match(/^\/([A-Za-z][\w-]*)(?:\s+([\s\S]*))?$/);
+    return match ? { name: match[1], argsText: (match[2] || '').trim() } : null;
+  }
+
+  /**
+   * @throws {Error} When the arguments cannot be mapped onto the schema
+   */
+  parseArguments(tool, argsText) {
+    if (!argsText) return {};
+
+    if (argsText.startsWith('{')) {
+      try {
+        return JSON.parse(argsText);
+      } catch (error) {
+        throw new Error(`The arguments are not valid JSON (${error.message})`);
+      }
+    }
+
+    const pairPattern = /([A-Za-z_]\w*)=("[^"]*"|'[^']*'|\S+)/g;
+    if (argsText.replace(pairPattern, '').trim() === '') {
+      const args = {};
+      for (const [, key, raw] of argsText.matchAll(pairPattern)) {
+        args[key] = this.parseValue(raw);
+      }
+      return args;
+    }
+
+    const properties = tool.inputSchema?.properties || {};
+    const required = tool.inputSchema?.required || [];
+    const key = required.find(name => properties[name]?.type === 'string')
+      || Object.keys(properties).find(name => properties[name]?.type === 'string');
+    if (!key) {
+      throw new Error(`Use key=value pairs or JSON for ${tool.name}`);
+    }
+    return { [key]: argsText };
+  }
+
+  parseValue(raw) {
+    if (/^(["']).*\1$/.test(raw)) return raw.slice(1, -1);
+    if (/^[[{]/.test(raw)) {
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    }
+    // Numbers and booleans are coerced against the schema when the call is validated
+    return raw;
+  }
+
+  // --- Listeners ---
+
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.warn('⚠️ Tool registry listener failed:', error);
+      }
+    });
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.ToolRegistry = ToolRegistry;
+  window.ChromeAIStudio.ToolConflictError = ToolConflictError;
+  window.ChromeAIStudio.TOOL_SIDE_EFFECTS = TOOL_SIDE_EFFECTS;
+  window.ChromeAIStudio.toolRegistry = new ToolRegistry();
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ToolRegistry;
+}
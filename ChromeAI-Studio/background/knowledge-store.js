@@ -0,0 +1,387 @@
+/**
+ * ChromeAI Studio - Knowledge Store
+ * Opt-in on-device index of pages the user has read or saved ("ask my browsing history")
+ *
+ * - Lives in the service worker so every tab shares one IndexedDB (content scripts would
+ *   get a database per site)
+ * - Pages are kept as the Readability Markdown sent by ai/knowledge-base.js, split into
+ *   chunks and ranked with BM25; only when the user turns on Remote Embeddings do chunks
+ *   also carry embeddings from the configured OpenAI-compatible server, blended in when the
+ *   query has one too
+ * - The term index is rebuilt in memory from IndexedDB after the worker restarts
+ */
+
+const DB_NAME = 'chromeai-knowledge';
+const DB_VERSION = 1;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was',
+  'one', 'our', 'out', 'has', 'him', 'his', 'how', 'its', 'may', 'who', 'did', 'get', 'she',
+  'too', 'use', 'that', 'this', 'with', 'from', 'they', 'have', 'were', 'been', 'what',
+  'when', 'where', 'which', 'will', 'would', 'there', 'their', 'about', 'into', 'than',
+  'then', 'them', 'these', 'those', 'some', 'such', 'also', 'only', 'over', 'does'
+]);
+
+export class KnowledgeStore {
+  constructor(options = {}) {
+    this.options = {
+      chunkSize: 1500,
+      maxPages: 1000,
+      k1: 1.2,
+      b: 0.75,
+      ...options
+    };
+
+    this.dbPromise = null;
+    this.index = null;
+    this.indexPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('pages')) {
+            db.createObjectStore('pages', { keyPath: 'url' }).createIndex('savedAt', 'savedAt');
+          }
+          if (!db.objectStoreNames.contains('chunks')) {
+            db.createObjectStore('chunks', { keyPath: 'id' }).createIndex('url', 'url');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run `work(stores)` in one transaction and resolve with its result once committed
+   */
+  async transaction(mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['pages', 'chunks'], mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Knowledge base transaction aborted'));
+      result = work({ pages: tx.objectStore('pages'), chunks: tx.objectStore('chunks') });
+    });
+  }
+
+  request(idbRequest) {
+    return new Promise((resolve, reject) => {
+      idbRequest.onsuccess = () => resolve(idbRequest.result);
+      idbRequest.onerror = () => reject(idbRequest.error);
+    });
+  }
+
+  /**
+   * Add or replace a page
+   * @param {{url, title, siteName, markdown, source}} page - source is 'visit' or 'saved'
+   * @param {Function} [embed] - async (texts) => vectors, or null when unavailable
+   * @returns {Promise<{url, chunkCount, embedded}>}
+   */
+  async addPage(page, embed = null) {
+    const markdown = String(page.markdown || '').trim();
+    if (!page.url || !markdown) {
+      throw new Error('Page has no content to index');
+    }
+
+    const existing = await this.getPage(page.url);
+    const now = Date.now();
+    const record = {
+      url: page.url,
+      title: page.title || page.url,
+      siteName: page.siteName || '',
+      markdown,
+      // Saving a page keeps it when old visits are evicted
+      source: existing?.source === 'saved' ? 'saved' : (page.source || 'visit'),
+      savedAt: now,
+      firstSeenAt: existing?.firstSeenAt || now,
+      length: markdown.length
+    };
+
+    const texts = this.chunkContent(markdown);
+    let vectors = null;
+    if (embed) {
+      try {
+        vectors = await embed(texts);
+      } catch (error) {
+        console.warn('📚 Embeddings unavailable, indexing terms only:', error.message);
+      }
+    }
+
+    const chunks = texts.map((text, i) => {
+      const terms = this.tokenize(`${i === 0 ? record.title + '\n' : ''}${text}`);
+      return {
+        id: `${record.url}#${i}`,
+        url: record.url,
+        index: i,
+        text,
+        tf: this.countTerms(terms),
+        length: terms.length,
+        embedding: vectors?.[i] || null
+      };
+    });
+
+    const oldChunkIds = await this.getChunkIds(record.url);
+    await this.transaction('readwrite', ({ pages, chunks: chunkStore }) => {
+      oldChunkIds.forEach(id => chunkStore.delete(id));
+      pages.put(record);
+      chunks.forEach(chunk => chunkStore.put(chunk));
+    });
+
+    if (this.index) {
+      oldChunkIds.forEach(id => this.unindexChunk(id));
+      chunks.forEach(chunk => this.indexChunk(chunk));
+    }
+
+    await this.evictOldVisits();
+    return { url: record.url, chunkCount: chunks.length, embedded: !!vectors };
+  }
+
+  async getPage(url) {
+    const db = await this.open();
+    return this.request(db.transaction('pages', 'readonly').objectStore('pages').get(url));
+  }
+
+  async getChunkIds(url) {
+    const db = await this.open();
+    const tx = db.transaction('chunks', 'readonly');
+    return this.request(tx.objectStore('chunks').index('url').getAllKeys(url));
+  }
+
+  /**
+   * Pages without their content, newest first
+   */
+  async listPages() {
+    const db = await this.open();
+    const pages = await this.request(db.transaction('pages', 'readonly').objectStore('pages').getAll());
+    return pages
+      .map(({ markdown, ...page }) => page)
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  async removePages(urls = []) {
+    let removed = 0;
+    for (const url of urls) {
+      const chunkIds = await this.getChunkIds(url);
+      await this.transaction('readwrite', ({ pages, chunks }) => {
+        pages.delete(url);
+        chunkIds.forEach(id => chunks.delete(id));
+      });
+      chunkIds.forEach(id => this.unindexChunk(id));
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Drop the oldest visited (not saved) pages above maxPages
+   */
+  async evictOldVisits() {
+    const pages = await this.listPages();
+    if (pages.length <= this.options.maxPages) return;
+
+    const visits = pages.filter(page => page.source !== 'saved');
+    const excess = visits.slice(-(pages.length - this.options.maxPages));
+    await this.removePages(excess.map(page => page.url));
+  }
+
+  /**
+   * Delete every page and chunk
+   */
+  async purge() {
+    await this.transaction('readwrite', ({ pages, chunks }) => {
+      pages.clear();
+      chunks.clear();
+    });
+    this.index = null;
+    this.indexPromise = null;
+  }
+
+  async stats() {
+    const pages = await this.listPages();
+    const index = await this.ensureIndex();
+    return {
+      pageCount: pages.length,
+      savedCount: pages.filter(page => page.source === 'saved').length,
+      chunkCount: index.chunks.size,
+      embeddedCount: [...index.chunks.values()].filter(chunk => chunk.embedding).length,
+      characters: pages.reduce((sum, page) => sum + (page.length || 0), 0)
+    };
+  }
+
+  /**
+   * Load every chunk's term counts into memory (once per worker lifetime)
+   */
+  async ensureIndex() {
+    if (this.index) return this.index;
+    if (!this.indexPromise) {
+      this.indexPromise = (async () => {
+        const db = await this.open();
+        const chunks = await this.request(db.transaction('chunks', 'readonly').objectStore('chunks').getAll());
+        this.index = { chunks: new Map(), df: new Map(), totalLength: 0 };
+        chunks.forEach(chunk => this.indexChunk(chunk));
+        return this.index;
+      })().finally(() => {
+        this.indexPromise = null;
+      });
+    }
+    return this.indexPromise;
+  }
+
+  indexChunk(chunk) {
+    const index = this.index;
+    if (!index || index.chunks.has(chunk.id)) return;
+    index.chunks.set(chunk.id, { url: chunk.url, tf: chunk.tf, length: chunk.length, embedding: chunk.embedding });
+    index.totalLength += chunk.length;
+    Object.keys(chunk.tf).forEach(term => index.df.set(term, (index.df.get(term) || 0) + 1));
+  }
+
+  unindexChunk(id) {
+    const index = this.index;
+    const chunk = index?.chunks.get(id);
+    if (!chunk) return;
+    index.chunks.delete(id);
+    index.totalLength -= chunk.length;
+    Object.keys(chunk.tf).forEach(term => {
+      const df = (index.df.get(term) || 1) - 1;
+      if (df > 0) index.df.set(term, df);
+      else index.df.delete(term);
+    });
+  }
+
+  /**
+   * Rank chunks for a question
+   * @param {string} query
+   * @param {Object} options - limit, maxPerPage, queryEmbedding (blended with BM25 when given)
+   * @returns {Promise<Array<{url, title, siteName, index, totalChunks, text, score}>>}
+   */
+  async search(query, options = {}) {
+    const { limit = 6, maxPerPage = 2, queryEmbedding = null } = options;
+    const index = await this.ensureIndex();
+    const N = index.chunks.size;
+    if (N === 0) return [];
+
+    const terms = [...new Set(this.tokenize(query))];
+    const avgLength = index.totalLength / N || 1;
+    const { k1, b } = this.options;
+
+    const scored = [];
+    for (const [id, chunk] of index.chunks) {
+      let bm25 = 0;
+      for (const term of terms) {
+        const tf = chunk.tf[term];
+        if (!tf) continue;
+        const df = index.df.get(term) || 0;
+        const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+        bm25 += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * chunk.length / avgLength));
+      }
+
+      const similarity = queryEmbedding && chunk.embedding
+        ? this.cosine(queryEmbedding, chunk.embedding)
+        : null;
+      if (bm25 > 0 || similarity !== null) {
+        scored.push({ id, url: chunk.url, bm25, similarity });
+      }
+    }
+
+    // BM25 is unbounded, so scale it to 0..1 before blending with cosine similarity
+    const maxBm25 = Math.max(0, ...scored.map(item => item.bm25)) || 1;
+    scored.forEach(item => {
+      item.score = item.similarity === null
+        ? item.bm25 / maxBm25
+        : 0.5 * (item.bm25 / maxBm25) + 0.5 * Math.max(0, item.similarity);
+    });
+    scored.sort((a, b) => b.score - a.score);
+
+    const perPage = new Map();
+    const top = [];
+    for (const item of scored) {
+      if (item.score <= 0) break;
+      const count = perPage.get(item.url) || 0;
+      if (count >= maxPerPage) continue;
+      perPage.set(item.url, count + 1);
+      top.push(item);
+      if (top.length >= limit) break;
+    }
+
+    const db = await this.open();
+    const tx = db.transaction(['pages', 'chunks'], 'readonly');
+    return Promise.all(top.map(async (item) => {
+      const [chunk, page, chunkIds] = await Promise.all([
+        this.request(tx.objectStore('chunks').get(item.id)),
+        this.request(tx.objectStore('pages').get(item.url)),
+        this.request(tx.objectStore('chunks').index('url').getAllKeys(item.url))
+      ]);
+      return {
+        url: item.url,
+        title: page?.title || item.url,
+        siteName: page?.siteName || '',
+        savedAt: page?.savedAt,
+        index: chunk.index + 1,
+        totalChunks: chunkIds.length,
+        text: chunk.text,
+        score: Number(item.score.toFixed(4))
+      };
+    }));
+  }
+
+  tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [])
+      .filter(term => !STOP_WORDS.has(term));
+  }
+
+  countTerms(terms) {
+    const tf = {};
+    terms.forEach(term => {
+      tf[term] = (tf[term] || 0) + 1;
+    });
+    return tf;
+  }
+
+  cosine(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Split content into chunks, breaking at paragraph, sentence or line ends
+   */
+  chunkContent(content) {
+    const chunkSize = this.options.chunkSize;
+    const chunks = [];
+    let start = 0;
+
+    while (start < content.length) {
+      let end = start + chunkSize;
+
+      if (end < content.length) {
+        const breakPoint = Math.max(content.lastIndexOf('\n\n', end), content.lastIndexOf('. ', end), content.lastIndexOf('\n', end));
+        if (breakPoint > start + chunkSize * 0.5) {
+          end = breakPoint + 1;
+        }
+      }
+
+      const text = content.slice(start, end).trim();
+      if (text) chunks.push(text);
+      start = end;
+    }
+
+    return chunks;
+  }
+}
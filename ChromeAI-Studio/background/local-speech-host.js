@@ -0,0 +1,64 @@
+/**
+ * ChromeAI Studio - Local Speech Host
+ * Opens and closes the offscreen document that runs on-device speech recognition
+ * (offscreen/local-speech.html)
+ *
+ * - Content scripts ask for the document with LOCAL_SPEECH_PREPARE, then connect their
+ *   `chromeai-local-speech` port to it directly; audio and transcripts never pass through here
+ * - The document needs microphone access for the extension itself, which is granted once on
+ *   offscreen/microphone.html because offscreen documents cannot show the prompt
+ */
+
+export const LOCAL_SPEECH_DOCUMENT = 'offscreen/local-speech.html';
+export const LOCAL_SPEECH_MICROPHONE_PAGE = 'offscreen/microphone.html';
+
+export class LocalSpeechHost {
+  constructor() {
+    this.creating = null;
+  }
+
+  async ensureDocument() {
+    if (await this.hasDocument()) return;
+    // Two tabs asking at once must not create two documents
+    if (!this.creating) {
+      this.creating = chrome.offscreen.createDocument({
+        url: LOCAL_SPEECH_DOCUMENT,
+        reasons: [chrome.offscreen.Reason.USER_MEDIA],
+        justification: 'On-device wake word and speech recognition'
+      }).finally(() => {
+        this.creating = null;
+      });
+    }
+    await this.creating;
+  }
+
+  async hasDocument() {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [chrome.runtime.getURL(LOCAL_SPEECH_DOCUMENT)]
+    });
+    return contexts.length > 0;
+  }
+
+  async closeDocument() {
+    if (await this.hasDocument()) {
+      await chrome.offscreen.closeDocument();
+    }
+  }
+
+  /**
+   * Whether the engine and model are installed and the microphone is allowed
+   */
+  async getStatus() {
+    await this.ensureDocument();
+    const response = await chrome.runtime.sendMessage({ type: 'LOCAL_SPEECH_STATUS', target: 'offscreen' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'The speech document did not answer');
+    }
+    return response.status;
+  }
+
+  async openMicrophonePage() {
+    await chrome.tabs.create({ url: chrome.runtime.getURL(LOCAL_SPEECH_MICROPHONE_PAGE) });
+  }
+}
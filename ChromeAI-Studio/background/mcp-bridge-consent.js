@@ -0,0 +1,149 @@
+/**
+ * ChromeAI Studio - MCP Bridge Consent
+ * Asks the user before a desktop MCP client's tool call runs on a site
+ *
+ * - The prompt is an extension popup window (ui/mcp-bridge-consent.html), never page DOM,
+ *   and decisions are only accepted from that page, so a web page cannot approve a call itself
+ * - Answers: deny, allow once, allow in this tab until it navigates, or always allow the site
+ *   (kept in chrome.storage.local); calls that cannot be scoped to one site are asked every time
+ * - One prompt at a time; a prompt closed or left unanswered for two minutes is a denial
+ */
+
+export const MCP_BRIDGE_CONSENT_PAGE = 'ui/mcp-bridge-consent.html';
+const MCP_BRIDGE_GRANTS_KEY = 'chromeai_mcp_bridge_grants';
+const CONSENT_TIMEOUT_MS = 120000;
+
+export class McpBridgeConsent {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.pending = new Map();     // request id → {request, windowId, resolve, timer}
+    this.tabGrants = new Map();   // tab id → {origin, tools: Set}
+    this.nextId = 1;
+
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      // "In this tab" lasts until the tab navigates
+      if (changeInfo.url) this.tabGrants.delete(tabId);
+    });
+    chrome.tabs.onRemoved.addListener(tabId => this.tabGrants.delete(tabId));
+    chrome.windows.onRemoved.addListener((windowId) => {
+      for (const [id, entry] of this.pending) {
+        if (entry.windowId === windowId) this.finish(id, 'deny');
+      }
+    });
+  }
+
+  /**
+   * Whether the call may run, asking the user when no grant covers it
+   * @param {Object} request
+   * @param {string} request.client - MCP client name
+   * @param {string} request.tool
+   * @param {Object} request.args
+   * @param {string} request.origin - Site the call acts on
+   * @param {boolean} request.remember - False for calls that are asked every time
+   * @param {number} request.tabId
+   * @returns {Promise<boolean>}
+   */
+  async check(request) {
+    if (request.remember && await this.isAllowed(request)) return true;
+
+    const decision = await this.ask(request);
+    if (decision === 'deny') return false;
+    if (request.remember && decision === 'tab') this.allowInTab(request);
+    if (request.remember && decision === 'site') await this.allowOnSite(request.origin, request.tool);
+    return true;
+  }
+
+  async isAllowed({ tool, origin, tabId }) {
+    const tabGrant = this.tabGrants.get(tabId);
+    if (tabGrant?.origin === origin && tabGrant.tools.has(tool)) return true;
+    return (await this.getGrants())[origin]?.tools.includes(tool) || false;
+  }
+
+  allowInTab({ tool, origin, tabId }) {
+    const tabGrant = this.tabGrants.get(tabId);
+    const tools = tabGrant?.origin === origin ? tabGrant.tools : new Set();
+    tools.add(tool);
+    this.tabGrants.set(tabId, { origin, tools });
+  }
+
+  async getGrants() {
+    const stored = await chrome.storage.local.get(MCP_BRIDGE_GRANTS_KEY);
+    return stored[MCP_BRIDGE_GRANTS_KEY] || {};
+  }
+
+  async allowOnSite(origin, tool) {
+    const grants = await this.getGrants();
+    const tools = new Set(grants[origin]?.tools || []);
+    tools.add(tool);
+    grants[origin] = { tools: [...tools], grantedAt: Date.now() };
+    await chrome.storage.local.set({ [MCP_BRIDGE_GRANTS_KEY]: grants });
+  }
+
+  // --- Prompt window ---
+
+  /**
+   * @returns {Promise<'deny'|'once'|'tab'|'site'>}
+   */
+  ask(request) {
+    const decision = this.queue.then(() => this.openPrompt(request));
+    this.queue = decision.catch(() => 'deny');
+    return decision;
+  }
+
+  async openPrompt(request) {
+    const id = String(this.nextId++);
+    const decision = new Promise((resolve) => {
+      const timer = setTimeout(() => this.finish(id, 'deny'), CONSENT_TIMEOUT_MS);
+      this.pending.set(id, { request, windowId: null, resolve, timer });
+    });
+
+    try {
+      const window = await chrome.windows.create({
+        url: chrome.runtime.getURL(`${MCP_BRIDGE_CONSENT_PAGE}?id=${id}`),
+        type: 'popup',
+        width: 480,
+        height: 520,
+        focused: true
+      });
+      const entry = this.pending.get(id);
+      if (entry) entry.windowId = window.id;
+    } catch (error) {
+      console.error('🔌 Could not open the MCP consent prompt:', error);
+      this.finish(id, 'deny');
+    }
+    return decision;
+  }
+
+  finish(id, decision) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    this.pending.delete(id);
+    clearTimeout(entry.timer);
+    entry.resolve(decision);
+    if (entry.windowId !== null) {
+      chrome.windows.remove(entry.windowId).catch(() => {});
+    }
+  }
+
+  /**
+   * Requests from the prompt page; anything else, including content scripts, is refused
+   */
+  handleMessage(message, sender) {
+    if (!sender?.url?.startsWith(chrome.runtime.getURL(MCP_BRIDGE_CONSENT_PAGE))) {
+      throw new Error('Consent answers are only accepted from the consent prompt');
+    }
+    const entry = this.pending.get(String(message.id));
+    if (!entry) {
+      throw new Error('This request is no longer waiting for an answer');
+    }
+
+    if (message.type === 'MCP_BRIDGE_CONSENT_GET') {
+      const { client, tool, origin, args, remember } = entry.request;
+      return { request: { client, tool, origin, args, remember } };
+    }
+
+    const decisions = entry.request.remember ? ['deny', 'once', 'tab', 'site'] : ['deny', 'once'];
+    this.finish(String(message.id), decisions.includes(message.decision) ? message.decision : 'deny');
+    return {};
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * ChromeAI Studio - MCP Bridge
+ * Serves the extension's browser tools to desktop MCP clients (Settings → MCP Servers)
+ *
+ * - Connects to the native messaging host in native-host/, which runs the MCP server on
+ *   127.0.0.1; the host relays tools/list and tools/call here
+ * - Calls run in the active tab of the last focused window, through ai/mcp-bridge-tools.js,
+ *   once the user has allowed the tool on that site (background/mcp-bridge-consent.js)
+ * - Off unless `mcpBridge.enabled` is set
+ */
+
+import { McpBridgeConsent } from './mcp-bridge-consent.js';
+
+export const MCP_BRIDGE_HOST = 'com.chromeai_studio.mcp';
+
+export class McpBridge {
+  constructor() {
+    this.port = null;
+    this.enabled = false;
+    this.status = { connected: false, url: null, configFile: null, error: null };
+    // Tool list from the last page that answered, for tabs without our content script
+    this.toolsKey = 'chromeai_mcp_bridge_tools';
+    this.consent = new McpBridgeConsent();
+  }
+
+  applySettings(settings) {
+    const enabled = !!settings?.mcpBridge?.enabled;
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    enabled ? this.connect() : this.disconnect();
+  }
+
+  connect() {
+    if (this.port) return;
+    this.status = { connected: false, url: null, configFile: null, error: null };
+
+    try {
+      this.port = chrome.runtime.connectNative(MCP_BRIDGE_HOST);
+    } catch (error) {
+      this.status.error = error.message;
+      return;
+    }
+
+    this.port.onMessage.addListener(message => this.handleHostMessage(message));
+    this.port.onDisconnect.addListener(() => {
+      const reason = chrome.runtime.lastError?.message;
+      console.warn('🔌 MCP bridge disconnected:', reason || 'host exited');
+      this.port = null;
+      this.status.connected = false;
+      if (!this.status.error) {
+        this.status.error = reason?.includes('not found')
+          ? 'The native host is not installed (see native-host/ in the README)'
+          : reason || 'The native host exited';
+      }
+    });
+    this.port.postMessage({ type: 'hello', version: chrome.runtime.getManifest().version });
+  }
+
+  disconnect() {
+    this.port?.disconnect();
+    this.port = null;
+    this.status = { connected: false, url: null, configFile: null, error: null };
+  }
+
+  /**
+   * Re-open the connection after the host was installed or a port conflict was fixed
+   */
+  reconnect() {
+    this.disconnect();
+    if (this.enabled) this.connect();
+    return this.getStatus();
+  }
+
+  getStatus() {
+    return { enabled: this.enabled, ...this.status };
+  }
+
+  async handleHostMessage(message) {
+    if (message.type === 'ready') {
+      console.info(`🔌 MCP bridge listening on ${message.url}`);
+      this.status = { connected: true, url: message.url, configFile: message.configFile, error: null };
+      return;
+    }
+    if (message.type === 'error') {
+      this.status.error = message.message;
+      return;
+    }
+    if (message.id === undefined) return;
+
+    try {
+      const result = await this.dispatch(message);
+      this.port?.postMessage({ id: message.id, result });
+    } catch (error) {
+      this.port?.postMessage({ id: message.id, error: { message: error.message } });
+    }
+  }
+
+  async dispatch({ method, params = {}, client }) {
+    switch (method) {
+      case 'tools/list':
+        return { tools: await this.listTools() };
+
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments || {}, client?.name || 'An MCP client');
+
+      default:
+        throw new Error(`Unsupported bridge request: ${method}`);
+    }
+  }
+
+  /**
+   * Tools only run in regular web pages, where the content scripts are loaded
+   */
+  async getTargetTab() {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!tab || !/^https?:/.test(tab.url || '')) {
+      throw new Error('The active Chrome tab is not a web page. Switch to a regular page and try again.');
+    }
+    return tab;
+  }
+
+  async listTools() {
+    try {
+      const tab = await this.getTargetTab();
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'MCP_BRIDGE_LIST_TOOLS' }, { frameId: 0 });
+      if (!response?.success) throw new Error(response?.error || 'No tools');
+      await chrome.storage.session.set({ [this.toolsKey]: response.tools });
+      return response.tools;
+    } catch (error) {
+      const cached = (await chrome.storage.session.get(this.toolsKey))[this.toolsKey];
+      if (cached) return cached;
+      throw new Error(`Could not list tools: ${error.message}`);
+    }
+  }
+
+  async callTool(name, args, clientName) {
+    const tab = await this.getTargetTab();
+    const pageOrigin = new URL(tab.url).origin;
+    // The page says which site the call acts on, e.g. the target of convertUrlToMarkdown
+    const { scope } = await this.sendToTab(tab, { type: 'MCP_BRIDGE_PREPARE_CALL', name, arguments: args }, name);
+    const allowed = await this.consent.check({ client: clientName, tool: name, args, ...scope, tabId: tab.id });
+    if (!allowed) {
+      return { content: [{ type: 'text', text: `The user did not allow ${name} on ${scope.origin}.` }], isError: true };
+    }
+
+    // The prompt can stay open for a while; the approval only covers the page it was asked on
+    const current = await chrome.tabs.get(tab.id).catch(() => null);
+    if (!current?.url || !/^https?:/.test(current.url) || new URL(current.url).origin !== pageOrigin) {
+      return { content: [{ type: 'text', text: `The tab left ${pageOrigin} before ${name} could run. Try again.` }], isError: true };
+    }
+
+    const { result } = await this.sendToTab(tab, {
+      type: 'MCP_BRIDGE_CALL_TOOL',
+      name,
+      arguments: args,
+      client: clientName,
+      scope: { origin: scope.origin, remember: scope.remember }
+    }, name);
+    return result;
+  }
+
+  async sendToTab(tab, message, name) {
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, message, { frameId: 0 });
+    } catch (error) {
+      throw new Error(`ChromeAI Studio is not running in the active tab (${error.message}). Reload the page and try again.`);
+    }
+    if (!response?.success) {
+      throw new Error(response?.error || `${name} failed`);
+    }
+    return response;
+  }
+}
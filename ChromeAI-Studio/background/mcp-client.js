@@ -0,0 +1,600 @@
+/**
+ * ChromeAI Studio - MCP Client
+ * Model Context Protocol client for user-configured tool servers (Settings → MCP Servers)
+ *
+ * - JSON-RPC 2.0 over Streamable HTTP (POST, JSON or SSE replies, `Mcp-Session-Id`), with
+ *   the older HTTP+SSE transport (GET event stream + `endpoint` event) as a fallback
+ * - Runs in the service worker: one connection per server, shared by every tab, and no
+ *   page CSP or CORS in the way
+ * - Plain http:// is only allowed for localhost; remote servers need https://
+ * - Every tools/call, resources/read and prompts/get is written to a call log
+ */
+
+const MCP_PROTOCOL_VERSION = '2025-06-18';
+const MCP_SUPPORTED_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const MCP_CLIENT_INFO = { name: 'ChromeAI Studio', version: chrome.runtime.getManifest().version };
+
+export class McpError extends Error {
+  constructor(message, { code = null, status = null } = {}) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Connection to one MCP server
+ */
+export class McpClient {
+  constructor(server, options = {}) {
+    this.server = server;
+    this.options = {
+      requestTimeout: 30000,
+      toolTimeout: 120000,
+      ...options
+    };
+
+    this.transport = null;        // 'streamable-http' or 'sse' once connected
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.serverInfo = null;
+    this.capabilities = {};
+    this.nextId = 1;
+    this.connectPromise = null;
+
+    // Legacy SSE transport state
+    this.sseEndpoint = null;
+    this.sseController = null;
+    this.ssePending = new Map();
+  }
+
+  static checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new McpError(`Invalid server URL: ${url}`);
+    }
+    const local = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname) || parsed.hostname.endsWith('.localhost');
+    if (parsed.protocol === 'https:' || (parsed.protocol === 'http:' && local)) return parsed;
+    throw new McpError('MCP servers must use https://, or http:// on localhost');
+  }
+
+  async connect() {
+    if (!this.connectPromise) {
+      this.connectPromise = this.initialize().catch(error => {
+        this.connectPromise = null;
+        throw error;
+      });
+    }
+    return this.connectPromise;
+  }
+
+  async initialize() {
+    McpClient.checkUrl(this.server.url);
+    const preferred = this.server.transport || 'auto';
+
+    if (preferred !== 'sse') {
+      try {
+        this.transport = 'streamable-http';
+        return await this.handshake();
+      } catch (error) {
+        // Servers that only speak the old transport reject the POST
+        if (preferred === 'streamable-http' || ![400, 404, 405].includes(error.status)) throw error;
+        console.info(`🔌 ${this.server.name}: no Streamable HTTP, trying HTTP+SSE`);
+      }
+    }
+
+    this.transport = 'sse';
+    await this.openEventStream();
+    return this.handshake();
+  }
+
+  async handshake() {
+    this.sessionId = null;
+    this.protocolVersion = null;
+    const result = await this.send('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: MCP_CLIENT_INFO
+    });
+
+    if (!MCP_SUPPORTED_VERSIONS.includes(result.protocolVersion)) {
+      throw new McpError(`Unsupported MCP protocol version ${result.protocolVersion}`);
+    }
+    this.protocolVersion = result.protocolVersion;
+    this.serverInfo = result.serverInfo || null;
+    this.capabilities = result.capabilities || {};
+
+    await this.notify('notifications/initialized');
+    return result;
+  }
+
+  // --- MCP methods ---
+
+  /**
+   * All tools, following `nextCursor` pages
+   * @returns {Promise<Array<{name, title, description, inputSchema}>>}
+   */
+  async listTools() {
+    return this.listAll('tools/list', 'tools');
+  }
+
+  async callTool(name, args = {}) {
+    return this.request('tools/call', { name, arguments: args }, { timeout: this.options.toolTimeout });
+  }
+
+  async listResources() {
+    return this.capabilities.resources ? this.listAll('resources/list', 'resources') : [];
+  }
+
+  async readResource(uri) {
+    return this.request('resources/read', { uri });
+  }
+
+  async listPrompts() {
+    return this.capabilities.prompts ? this.listAll('prompts/list', 'prompts') : [];
+  }
+
+  async getPrompt(name, args = {}) {
+    return this.request('prompts/get', { name, arguments: args });
+  }
+
+  async listAll(method, key) {
+    const items = [];
+    let cursor;
+    for (let page = 0; page < 20; page++) {
+      const result = await this.request(method, cursor ? { cursor } : {});
+      items.push(...(result[key] || []));
+      cursor = result.nextCursor;
+      if (!cursor) break;
+    }
+    return items;
+  }
+
+  /**
+   * Request that reconnects once when the server has dropped the session
+   */
+  async request(method, params, options = {}) {
+    await this.connect();
+    try {
+      return await this.send(method, params, options);
+    } catch (error) {
+      if (error.status !== 404 || !this.sessionId) throw error;
+      console.info(`🔌 ${this.server.name}: session expired, reconnecting`);
+      this.close();
+      await this.connect();
+      return this.send(method, params, options);
+    }
+  }
+
+  async notify(method, params) {
+    const message = { jsonrpc: '2.0', method, ...(params ? { params } : {}) };
+    const response = await this.post(message, this.options.requestTimeout);
+    await response.body?.cancel();
+  }
+
+  /**
+   * Send a request and wait for its response
+   */
+  async send(method, params = {}, { timeout = this.options.requestTimeout } = {}) {
+    const id = this.nextId++;
+    const message = { jsonrpc: '2.0', id, method, params };
+
+    if (this.transport === 'sse') {
+      const reply = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this.ssePending.delete(id);
+          reject(new McpError(`${method} timed out after ${timeout / 1000}s`));
+        }, timeout);
+        this.ssePending.set(id, { resolve, reject, timer });
+      });
+      try {
+        const response = await this.post(message, timeout);
+        await response.body?.cancel();
+      } catch (error) {
+        clearTimeout(this.ssePending.get(id)?.timer);
+        this.ssePending.delete(id);
+        throw error;
+      }
+      return this.unwrap(await reply);
+    }
+
+    const response = await this.post(message, timeout);
+    const sessionId = response.headers.get('Mcp-Session-Id');
+    if (sessionId) this.sessionId = sessionId;
+
+    const type = response.headers.get('Content-Type') || '';
+    if (type.includes('text/event-stream')) {
+      return this.unwrap(await this.readStreamReply(response, id));
+    }
+    return this.unwrap(await response.json());
+  }
+
+  async post(message, timeout) {
+    const url = this.transport === 'sse' ? this.sseEndpoint : this.server.url;
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...(this.server.headers || {})
+    };
+    if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+    if (this.protocolVersion && this.transport !== 'sse') headers['MCP-Protocol-Version'] = this.protocolVersion;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (error) {
+      throw new McpError(error.name === 'TimeoutError'
+        ? `${message.method} timed out after ${timeout / 1000}s`
+        : `Cannot reach ${this.server.url}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      throw new McpError(`HTTP ${response.status} from ${this.server.name}${detail ? `: ${detail}` : ''}`, { status: response.status });
+    }
+    return response;
+  }
+
+  /**
+   * Read an SSE reply until the response to `id` arrives; pings from the server are answered
+   */
+  async readStreamReply(response, id) {
+    for await (const event of this.readEvents(response.body)) {
+      if (!event.data) continue;
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (e) {
+        continue;
+      }
+      if (message.id === id && ('result' in message || 'error' in message)) {
+        return message;
+      }
+      this.handleServerMessage(message);
+    }
+    throw new McpError('The server closed the stream without a response');
+  }
+
+  /**
+   * Parse a `text/event-stream` body into {event, data} objects
+   */
+  async *readEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let event = { event: 'message', data: '' };
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (line === '') {
+            if (event.data) yield event;
+            event = { event: 'message', data: '' };
+          } else if (line.startsWith('event:')) {
+            event.event = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            event.data += (event.data ? '\n' : '') + line.slice(5).replace(/^ /, '');
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Requests and notifications the server sends on its own
+   */
+  handleServerMessage(message) {
+    if (message.method === 'ping' && message.id !== undefined) {
+      this.reply({ jsonrpc: '2.0', id: message.id, result: {} });
+    } else if (message.method && message.id !== undefined) {
+      // Sampling, roots and elicitation are not offered in our capabilities
+      this.reply({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } });
+    } else if (message.method === 'notifications/tools/list_changed') {
+      this.onToolsChanged?.();
+    }
+  }
+
+  reply(message) {
+    this.post(message, this.options.requestTimeout)
+      .then(response => response.body?.cancel())
+      .catch(error => console.warn(`⚠️ ${this.server.name}: reply failed:`, error.message));
+  }
+
+  unwrap(message) {
+    if (message?.error) {
+      throw new McpError(message.error.message || 'MCP error', { code: message.error.code });
+    }
+    return message?.result || {};
+  }
+
+  // --- Legacy HTTP+SSE transport ---
+
+  /**
+   * Open the server's event stream and wait for the `endpoint` event naming the POST URL
+   */
+  async openEventStream() {
+    this.sseController = new AbortController();
+    const response = await fetch(this.server.url, {
+      headers: { Accept: 'text/event-stream', ...(this.server.headers || {}) },
+      signal: this.sseController.signal
+    }).catch(error => {
+      throw new McpError(`Cannot reach ${this.server.url}: ${error.message}`);
+    });
+    if (!response.ok) {
+      throw new McpError(`HTTP ${response.status} from ${this.server.name}`, { status: response.status });
+    }
+
+    // Iterated by hand: leaving a for-await loop would close the stream
+    const events = this.readEvents(response.body);
+    let timer;
+    const endpoint = await Promise.race([
+      (async () => {
+        for (let next = await events.next(); !next.done; next = await events.next()) {
+          if (next.value.event === 'endpoint') return next.value.data.trim();
+        }
+        return null;
+      })(),
+      new Promise(resolve => { timer = setTimeout(() => resolve(null), this.options.requestTimeout); })
+    ]);
+    clearTimeout(timer);
+    if (!endpoint) {
+      this.close();
+      throw new McpError(`${this.server.name} did not announce an endpoint`);
+    }
+    this.sseEndpoint = new URL(endpoint, this.server.url).toString();
+
+    // Responses and server messages arrive on the same stream
+    (async () => {
+      try {
+        for (let next = await events.next(); !next.done; next = await events.next()) {
+          const event = next.value;
+          if (event.event !== 'message' || !event.data) continue;
+          let message;
+          try {
+            message = JSON.parse(event.data);
+          } catch (e) {
+            continue;
+          }
+          const pending = this.ssePending.get(message.id);
+          if (pending && ('result' in message || 'error' in message)) {
+            clearTimeout(pending.timer);
+            this.ssePending.delete(message.id);
+            pending.resolve(message);
+          } else {
+            this.handleServerMessage(message);
+          }
+        }
+      } catch (error) {
+        // Aborted by close() or dropped by the server
+      }
+      this.failPending(new McpError(`${this.server.name} closed the event stream`));
+      this.connectPromise = null;
+    })();
+  }
+
+  failPending(error) {
+    this.ssePending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.ssePending.clear();
+  }
+
+  close() {
+    if (this.transport === 'streamable-http' && this.sessionId) {
+      // Let the server free the session; failures don't matter
+      fetch(this.server.url, {
+        method: 'DELETE',
+        headers: { 'Mcp-Session-Id': this.sessionId, ...(this.server.headers || {}) }
+      }).catch(() => {});
+    }
+    this.sseController?.abort();
+    this.sseController = null;
+    this.failPending(new McpError('Connection closed'));
+    this.sessionId = null;
+    this.connectPromise = null;
+  }
+}
+
+/**
+ * The configured servers, their connections and the call log
+ */
+export class McpHub {
+  constructor(options = {}) {
+    this.options = {
+      logKey: 'chromeai_mcp_logs',
+      maxLogEntries: 200,
+      // Tool lists are re-fetched after this long, or when a server says they changed
+      toolsTtl: 5 * 60 * 1000,
+      ...options
+    };
+    this.clients = new Map();   // serverId → {client, signature, tools, toolsAt}
+  }
+
+  async getServers() {
+    const result = await chrome.storage.sync.get('chromeAISettings');
+    return result.chromeAISettings?.mcpServers || [];
+  }
+
+  /**
+   * Connection for a server; rebuilt when its URL, transport or headers change
+   */
+  getEntry(server) {
+    const signature = JSON.stringify([server.url, server.transport, server.headers]);
+    let entry = this.clients.get(server.id);
+    if (!entry || entry.signature !== signature) {
+      entry?.client.close();
+      const client = new McpClient(server);
+      entry = { client, signature, tools: null, toolsAt: 0 };
+      client.onToolsChanged = () => { entry.tools = null; };
+      this.clients.set(server.id, entry);
+    }
+    entry.client.server = server;
+    return entry;
+  }
+
+  /**
+   * Drop connections to servers that were removed or disabled
+   */
+  prune(servers) {
+    const active = new Set(servers.filter(server => server.enabled !== false).map(server => server.id));
+    this.clients.forEach((entry, id) => {
+      if (!active.has(id)) {
+        entry.client.close();
+        this.clients.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Tools of every enabled server
+   * @returns {Promise<{tools: Array, servers: Array<{id, name, ok, toolCount, error}>}>}
+   */
+  async listTools({ refresh = false } = {}) {
+    const servers = await this.getServers();
+    this.prune(servers);
+
+    const tools = [];
+    const statuses = await Promise.all(servers.filter(server => server.enabled !== false).map(async server => {
+      const entry = this.getEntry(server);
+      try {
+        if (refresh || !entry.tools || Date.now() - entry.toolsAt > this.options.toolsTtl) {
+          entry.tools = await entry.client.listTools();
+          entry.toolsAt = Date.now();
+        }
+        entry.tools.forEach(tool => tools.push({
+          serverId: server.id,
+          serverName: server.name,
+          name: tool.name,
+          title: tool.title || tool.annotations?.title || null,
+          description: tool.description || '',
+          inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+          annotations: tool.annotations || null
+        }));
+        return { id: server.id, name: server.name, ok: true, toolCount: entry.tools.length, serverInfo: entry.client.serverInfo };
+      } catch (error) {
+        console.warn(`⚠️ MCP server ${server.name} unavailable:`, error.message);
+        return { id: server.id, name: server.name, ok: false, toolCount: 0, error: error.message };
+      }
+    }));
+
+    return { tools, servers: statuses };
+  }
+
+  async getServer(serverId) {
+    const server = (await this.getServers()).find(candidate => candidate.id === serverId);
+    if (!server) throw new McpError(`Unknown MCP server: ${serverId}`);
+    if (server.enabled === false) throw new McpError(`MCP server ${server.name} is disabled`);
+    return server;
+  }
+
+  async callTool(serverId, name, args, origin) {
+    const server = await this.getServer(serverId);
+    return this.logged(server, 'tools/call', name, args, origin, () => this.getEntry(server).client.callTool(name, args));
+  }
+
+  async readResource(serverId, uri, origin) {
+    const server = await this.getServer(serverId);
+    return this.logged(server, 'resources/read', uri, null, origin, () => this.getEntry(server).client.readResource(uri));
+  }
+
+  async getPrompt(serverId, name, args, origin) {
+    const server = await this.getServer(serverId);
+    return this.logged(server, 'prompts/get', name, args, origin, () => this.getEntry(server).client.getPrompt(name, args));
+  }
+
+  async listResources(serverId) {
+    const server = await this.getServer(serverId);
+    const client = this.getEntry(server).client;
+    await client.connect();
+    return client.listResources();
+  }
+
+  async listPrompts(serverId) {
+    const server = await this.getServer(serverId);
+    const client = this.getEntry(server).client;
+    await client.connect();
+    return client.listPrompts();
+  }
+
+  /**
+   * Connect to a server that may not be saved yet and list its tools
+   */
+  async testServer(server) {
+    const client = new McpClient({ id: 'test', name: server.name || server.url, ...server });
+    try {
+      await client.connect();
+      const tools = await client.listTools();
+      return {
+        transport: client.transport,
+        protocolVersion: client.protocolVersion,
+        serverInfo: client.serverInfo,
+        tools: tools.map(tool => tool.name)
+      };
+    } finally {
+      client.close();
+    }
+  }
+
+  async logged(server, method, target, args, origin, run) {
+    const startedAt = Date.now();
+    const entry = {
+      at: startedAt,
+      serverId: server.id,
+      serverName: server.name,
+      method,
+      target,
+      args: args ? JSON.stringify(args).slice(0, 500) : null,
+      origin: origin || null
+    };
+
+    try {
+      const result = await run();
+      entry.ok = !result.isError;
+      entry.preview = JSON.stringify(result.content || result.contents || result.messages || result).slice(0, 300);
+      return result;
+    } catch (error) {
+      entry.ok = false;
+      entry.error = error.message;
+      throw error;
+    } finally {
+      entry.durationMs = Date.now() - startedAt;
+      this.appendLog(entry);
+    }
+  }
+
+  async appendLog(entry) {
+    try {
+      const stored = await chrome.storage.local.get(this.options.logKey);
+      const logs = [...(stored[this.options.logKey] || []), entry].slice(-this.options.maxLogEntries);
+      await chrome.storage.local.set({ [this.options.logKey]: logs });
+    } catch (error) {
+      console.warn('⚠️ Failed to write MCP call log:', error.message);
+    }
+  }
+
+  async getLogs() {
+    const stored = await chrome.storage.local.get(this.options.logKey);
+    return stored[this.options.logKey] || [];
+  }
+
+  async clearLogs() {
+    await chrome.storage.local.remove(this.options.logKey);
+  }
+}
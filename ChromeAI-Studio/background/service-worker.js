@@ -3,6 +3,15 @@
  * Handles cross-tab communication, settings management, and background tasks
  */
 
+import { KnowledgeStore } from './knowledge-store.js';
+import { McpHub } from './mcp-client.js';
+import { McpBridge } from './mcp-bridge.js';
+import { LocalSpeechHost } from './local-speech-host.js';
+
+// The OpenAI-compatible server's API key: local (never synced) and only read by this worker
+const PROVIDER_API_KEY_KEY = 'chromeai_provider_api_key';
+const PROVIDER_KEY_PAGE = 'ui/options.html';
+
 class ChromeAIBackground {
   constructor() {
     this.activeConnections = new Map();
@@ -27,6 +36,18 @@ class ChromeAIBackground {
     
     // Automation window management
     this.automationWindows = new Map(); // Map<taskId, {windowId, tabs, originTabId}>
+    // Restored from session storage so resumed agent tasks find their window after eviction
+    this.automationWindowsReady = this.loadAutomationWindows();
+    
+    // Opt-in index of read and saved pages, shared by all tabs
+    this.knowledgeStore = new KnowledgeStore();
+
+    // Connections to user-configured MCP tool servers
+    this.mcpHub = new McpHub();
+    // Serves our own tools to desktop MCP clients through the native host
+    this.mcpBridge = new McpBridge();
+    // Offscreen document for on-device wake word and speech recognition
+    this.localSpeech = new LocalSpeechHost();
     
     this.init();
   }
@@ -47,6 +68,10 @@ class ChromeAIBackground {
 
     // Set up keyboard shortcuts
     this.setupKeyboardCommands();
+
+    // Start the MCP bridge if desktop clients are allowed
+    const { chromeAISettings } = await chrome.storage.sync.get('chromeAISettings');
+    this.mcpBridge.applySettings(chromeAISettings);
   }
 
   setupEventListeners() {
@@ -272,6 +297,74 @@ class ChromeAIBackground {
           sendResponse(availability);
           break;
 
+        case 'PROVIDER_CHAT_COMPLETION':
+          // Non-streaming completion against an OpenAI-compatible server
+          this.withProviderKey(message.config)
+            .then(config => this.chatCompletion(config, message.messages, message.options))
+            .then(text => sendResponse({ success: true, text }))
+            .catch(error => sendResponse({ success: false, error: this.serializeProviderError(error) }));
+          return true; // Keep channel open for async response
+
+        case 'PROVIDER_LIST_MODELS':
+          this.withProviderKey(message.config)
+            .then(config => this.listProviderModels(config))
+            .then(models => sendResponse({ success: true, models }))
+            .catch(error => sendResponse({ success: false, error: this.serializeProviderError(error) }));
+          return true; // Keep channel open for async response
+
+        case 'OPEN_PROVIDER_KEY_SETTINGS':
+          await chrome.runtime.openOptionsPage();
+          sendResponse({ success: true });
+          break;
+
+        case 'PROVIDER_API_KEY_STATUS':
+        case 'PROVIDER_API_KEY_SET':
+          this.handleProviderKeyMessage(message, sender)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true; // Keep channel open for async response
+
+        case 'KB_ADD_PAGE':
+        case 'KB_SEARCH':
+        case 'KB_LIST_PAGES':
+        case 'KB_REMOVE_PAGES':
+        case 'KB_PURGE':
+        case 'KB_STATS':
+          // Knowledge base requests from ai/knowledge-base.js
+          this.handleKnowledgeMessage(message)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true; // Keep channel open for async response
+
+        case 'MCP_LIST_TOOLS':
+        case 'MCP_CALL_TOOL':
+        case 'MCP_READ_RESOURCE':
+        case 'MCP_GET_PROMPT':
+        case 'MCP_LIST_RESOURCES':
+        case 'MCP_LIST_PROMPTS':
+        case 'MCP_TEST_SERVER':
+        case 'MCP_GET_LOGS':
+        case 'MCP_CLEAR_LOGS':
+        case 'MCP_BRIDGE_STATUS':
+        case 'MCP_BRIDGE_RECONNECT':
+        case 'MCP_BRIDGE_CONSENT_GET':
+        case 'MCP_BRIDGE_CONSENT_DECIDE':
+          // MCP server and bridge requests from ai/mcp-servers.js and ui/mcp-bridge-consent.html
+          this.handleMcpMessage(message, sender)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true; // Keep channel open for async response
+
+        case 'LOCAL_SPEECH_PREPARE':
+        case 'LOCAL_SPEECH_STATUS':
+        case 'LOCAL_SPEECH_GRANT_MICROPHONE':
+        case 'LOCAL_SPEECH_IDLE':
+          // On-device speech requests from ai/speech-engines.js and the offscreen document
+          this.handleLocalSpeechMessage(message)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true; // Keep channel open for async response
+
         case 'LOG_USAGE':
           await this.logUsage(message.action, message.mode, sender.tab);
           sendResponse({ success: true });
@@ -362,6 +455,7 @@ class ChromeAIBackground {
           break;
 
         case 'GET_AUTOMATION_WINDOW':
+          await this.automationWindowsReady;
           const windowInfo = this.automationWindows.get(message.taskId);
           sendResponse(windowInfo || { exists: false });
           break;
@@ -400,7 +494,7 @@ class ChromeAIBackground {
         case 'EXTRACT_SEARCH_RESULTS_FROM_TAB':
           // Forward search result extraction request to specific tab
           
-          chrome.tabs.sendMessage(message.tabId, { type: 'EXTRACT_SEARCH_RESULTS' }, (response) => {
+          chrome.tabs.sendMessage(message.tabId, { type: 'EXTRACT_SEARCH_RESULTS', engine: message.engine }, (response) => {
             if (chrome.runtime.lastError) {
               console.error(`❌ [Background] Error sending message to tab ${message.tabId}:`, chrome.runtime.lastError.message);
               sendResponse({ 
@@ -600,6 +694,17 @@ class ChromeAIBackground {
   }
 
   handleConnection(port) {
+    // Streaming completions for the OpenAI-compatible AI provider
+    if (port.name === 'chromeai-provider-stream') {
+      this.handleProviderStream(port);
+      return;
+    }
+
+    // Served by the offscreen document (offscreen/local-speech.js)
+    if (port.name === 'chromeai-local-speech') {
+      return;
+    }
+
     const tabId = port.sender.tab?.id;
     
     if (tabId) {
@@ -637,6 +742,10 @@ class ChromeAIBackground {
         settings: this.settings
       });
     }
+
+    if (areaName === 'sync' && changes.chromeAISettings) {
+      this.mcpBridge.applySettings(changes.chromeAISettings.newValue);
+    }
   }
 
   async handleContextMenuClick(info, tab) {
@@ -846,8 +955,8 @@ class ChromeAIBackground {
         languageDetector: false
       };
 
-      // This would check actual API availability
-      // For now, assume they're available in supported browsers
+      // Built-in APIs are not exposed to the service worker; assume they're
+      // available in supported browsers
       if (typeof chrome !== 'undefined') {
         availability.prompt = true;
         availability.summarizer = true;
@@ -857,6 +966,34 @@ class ChromeAIBackground {
         availability.languageDetector = true;
       }
 
+      // Tasks routed to an OpenAI-compatible server depend on that server answering
+      const { providers, config } = await this.getProviderSettings();
+      const taskKeys = {
+        prompt: 'prompt',
+        summarize: 'summarizer',
+        write: 'writer',
+        rewrite: 'rewriter',
+        translate: 'translator'
+      };
+
+      const usesServer = Object.values(providers).includes('openai-compatible');
+      let serverReachable = false;
+      if (usesServer) {
+        try {
+          await this.listProviderModels(config);
+          serverReachable = true;
+        } catch (error) {
+          console.warn('OpenAI-compatible server not reachable:', error.message);
+        }
+      }
+
+      for (const [task, key] of Object.entries(taskKeys)) {
+        if (providers[task] === 'openai-compatible') {
+          availability[key] = serverReachable;
+        }
+      }
+
+      availability.providers = providers;
       return availability;
     } catch (error) {
       console.error('Failed to check AI availability:', error);
@@ -864,6 +1001,362 @@ class ChromeAIBackground {
     }
   }
 
+  // AI provider (OpenAI-compatible HTTP server) methods
+  async getProviderSettings() {
+    const result = await chrome.storage.sync.get('chromeAISettings');
+    const settings = result.chromeAISettings || {};
+    const providers = {
+      prompt: 'builtin',
+      summarize: 'builtin',
+      write: 'builtin',
+      rewrite: 'builtin',
+      translate: 'builtin',
+      ...(settings.aiProviders || {})
+    };
+
+    return {
+      providers,
+      config: {
+        baseUrl: settings.openAICompatibleBaseUrl || 'http://localhost:11434/v1',
+        model: settings.openAICompatibleModel || '',
+        apiKey: await this.getProviderApiKey(),
+        maxTokens: settings.maxTokens || 1000
+      }
+    };
+  }
+
+  /**
+   * The saved API key; a key synced by older versions is moved to local storage first
+   */
+  async getProviderApiKey() {
+    const stored = await chrome.storage.local.get(PROVIDER_API_KEY_KEY);
+    const { chromeAISettings } = await chrome.storage.sync.get('chromeAISettings');
+
+    if (chromeAISettings && 'openAICompatibleApiKey' in chromeAISettings) {
+      const { openAICompatibleApiKey, ...settings } = chromeAISettings;
+      if (stored[PROVIDER_API_KEY_KEY] === undefined && openAICompatibleApiKey) {
+        await chrome.storage.local.set({ [PROVIDER_API_KEY_KEY]: openAICompatibleApiKey });
+        stored[PROVIDER_API_KEY_KEY] = openAICompatibleApiKey;
+      }
+      await chrome.storage.sync.set({ chromeAISettings: settings });
+    }
+    return stored[PROVIDER_API_KEY_KEY] || '';
+  }
+
+  /**
+   * Add the API key to a config sent by a content script, only for the configured server
+   */
+  async withProviderKey(config = {}) {
+    const { config: saved } = await this.getProviderSettings();
+    const { apiKey, ...request } = config || {};
+    return { ...request, apiKey: request.baseUrl === saved.baseUrl ? saved.apiKey : '' };
+  }
+
+  /**
+   * Key status and updates, accepted only from the extension's options page
+   */
+  async handleProviderKeyMessage(message, sender) {
+    if (!sender.url?.startsWith(chrome.runtime.getURL(PROVIDER_KEY_PAGE))) {
+      throw new Error('The API key can only be managed from the options page');
+    }
+
+    if (message.type === 'PROVIDER_API_KEY_SET') {
+      const apiKey = String(message.apiKey || '').trim();
+      await chrome.storage.local.set({ [PROVIDER_API_KEY_KEY]: apiKey });
+    }
+    return { saved: !!(await this.getProviderApiKey()) };
+  }
+
+  buildProviderRequest(config, path, init = {}) {
+    const baseUrl = String(config?.baseUrl || '').replace(/\/+$/, '');
+    if (!/^https?:\/\//.test(baseUrl)) {
+      throw new Error(`Invalid OpenAI-compatible base URL: ${config?.baseUrl}`);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+    return [`${baseUrl}${path}`, { ...init, headers }];
+  }
+
+  buildChatCompletionBody(config, messages, options = {}, stream = false) {
+    const body = {
+      model: config.model || undefined,
+      messages,
+      stream,
+      max_tokens: options.maxTokens || config.maxTokens || undefined
+    };
+    if (typeof options.temperature === 'number') {
+      body.temperature = options.temperature;
+    }
+    if (options.responseConstraint) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: options.responseConstraint }
+      };
+    }
+    return body;
+  }
+
+  async throwProviderHttpError(response) {
+    let detail = '';
+    try {
+      detail = await response.text();
+    } catch (e) {
+      // Body not readable
+    }
+
+    const error = new Error(`OpenAI-compatible server returned ${response.status}${detail ? `: ${detail.slice(0, 300)}` : ''}`);
+    error.status = response.status;
+    // Context-length errors map onto the built-in API's quota error
+    if (response.status === 413 || /context length|maximum context|too many tokens/i.test(detail)) {
+      error.name = 'QuotaExceededError';
+    }
+    throw error;
+  }
+
+  async listProviderModels(config) {
+    const [url, init] = this.buildProviderRequest(config, '/models', { method: 'GET' });
+    const response = await fetch(url, { ...init, signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      await this.throwProviderHttpError(response);
+    }
+    const data = await response.json();
+    return (data.data || data.models || []).map(m => m.id || m.name);
+  }
+
+  async chatCompletion(config, messages, options = {}) {
+    const body = this.buildChatCompletionBody(config, messages, options, false);
+    const [url, init] = this.buildProviderRequest(config, '/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
+
+    const response = await fetch(url, init);
+    if (!response.ok) {
+      await this.throwProviderHttpError(response);
+    }
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  async createEmbeddings(config, texts) {
+    const [url, init] = this.buildProviderRequest(config, '/embeddings', {
+      method: 'POST',
+      body: JSON.stringify({ model: config.model || undefined, input: texts })
+    });
+
+    const response = await fetch(url, { ...init, signal: AbortSignal.timeout(60000) });
+    if (!response.ok) {
+      await this.throwProviderHttpError(response);
+    }
+    const data = await response.json();
+    return (data.data || [])
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  handleProviderStream(port) {
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener(async (message) => {
+      if (message.type !== 'CHAT_COMPLETION') return;
+
+      try {
+        const config = await this.withProviderKey(message.config);
+        const body = this.buildChatCompletionBody(config, message.messages, message.options, true);
+        const [url, init] = this.buildProviderRequest(config, '/chat/completions', {
+          method: 'POST',
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
+
+        const response = await fetch(url, init);
+        if (!response.ok) {
+          await this.throwProviderHttpError(response);
+        }
+
+        // Parse server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finished = false;
+
+        while (!finished) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') {
+              finished = true;
+              break;
+            }
+
+            const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+            if (delta) {
+              port.postMessage({ type: 'chunk', text: delta });
+            }
+          }
+        }
+
+        port.postMessage({ type: 'done' });
+      } catch (error) {
+        if (controller.signal.aborted) return; // Content script went away
+        console.error('❌ Provider stream failed:', error);
+        try {
+          port.postMessage({ type: 'error', error: this.serializeProviderError(error) });
+        } catch (e) {
+          // Port already closed
+        }
+      }
+    });
+  }
+
+  // Knowledge base methods
+  async handleKnowledgeMessage(message) {
+    const store = this.knowledgeStore;
+
+    switch (message.type) {
+      case 'KB_ADD_PAGE':
+        return store.addPage(message.page, await this.getKnowledgeEmbedder());
+
+      case 'KB_SEARCH': {
+        const embed = await this.getKnowledgeEmbedder();
+        let queryEmbedding = null;
+        if (embed) {
+          try {
+            [queryEmbedding] = await embed([message.query]);
+          } catch (error) {
+            console.warn('📚 Query embedding failed, ranking by terms only:', error.message);
+          }
+        }
+        return { results: await store.search(message.query, { ...message.options, queryEmbedding }) };
+      }
+
+      case 'KB_LIST_PAGES':
+        return { pages: await store.listPages() };
+
+      case 'KB_REMOVE_PAGES':
+        return { removed: await store.removePages(message.urls || []) };
+
+      case 'KB_PURGE':
+        await store.purge();
+        return {};
+
+      case 'KB_STATS':
+        return { stats: await store.stats() };
+
+      default:
+        throw new Error(`Unknown knowledge base request: ${message.type}`);
+    }
+  }
+
+  // On-device speech methods
+  async handleLocalSpeechMessage(message) {
+    const host = this.localSpeech;
+
+    switch (message.type) {
+      case 'LOCAL_SPEECH_PREPARE':
+        await host.ensureDocument();
+        return {};
+
+      case 'LOCAL_SPEECH_STATUS':
+        return { status: await host.getStatus() };
+
+      case 'LOCAL_SPEECH_GRANT_MICROPHONE':
+        await host.openMicrophonePage();
+        return {};
+
+      case 'LOCAL_SPEECH_IDLE':
+        await host.closeDocument();
+        return {};
+
+      default:
+        throw new Error(`Unknown speech request: ${message.type}`);
+    }
+  }
+
+  // MCP server methods
+  async handleMcpMessage(message, sender) {
+    const hub = this.mcpHub;
+    const origin = sender?.tab?.url ? new URL(sender.tab.url).hostname : null;
+
+    switch (message.type) {
+      case 'MCP_LIST_TOOLS':
+        return hub.listTools({ refresh: message.refresh });
+
+      case 'MCP_CALL_TOOL':
+        return { result: await hub.callTool(message.serverId, message.name, message.arguments || {}, origin) };
+
+      case 'MCP_READ_RESOURCE':
+        return { result: await hub.readResource(message.serverId, message.uri, origin) };
+
+      case 'MCP_GET_PROMPT':
+        return { result: await hub.getPrompt(message.serverId, message.name, message.arguments || {}, origin) };
+
+      case 'MCP_LIST_RESOURCES':
+        return { resources: await hub.listResources(message.serverId) };
+
+      case 'MCP_LIST_PROMPTS':
+        return { prompts: await hub.listPrompts(message.serverId) };
+
+      case 'MCP_TEST_SERVER':
+        return hub.testServer(message.server);
+
+      case 'MCP_GET_LOGS':
+        return { logs: await hub.getLogs() };
+
+      case 'MCP_CLEAR_LOGS':
+        await hub.clearLogs();
+        return {};
+
+      case 'MCP_BRIDGE_STATUS':
+        return { status: this.mcpBridge.getStatus() };
+
+      case 'MCP_BRIDGE_RECONNECT':
+        return { status: this.mcpBridge.reconnect() };
+
+      case 'MCP_BRIDGE_CONSENT_GET':
+      case 'MCP_BRIDGE_CONSENT_DECIDE':
+        return this.mcpBridge.consent.handleMessage(message, sender);
+
+      default:
+        throw new Error(`Unknown MCP request: ${message.type}`);
+    }
+  }
+
+  /**
+   * Embedding function for the knowledge base, or null unless the user turned on Remote Embeddings
+   * (it sends page text to the OpenAI-compatible server; the index is BM25-only otherwise)
+   */
+  async getKnowledgeEmbedder() {
+    const result = await chrome.storage.sync.get('chromeAISettings');
+    const knowledge = result.chromeAISettings?.knowledgeBase;
+    if (!knowledge?.enabled || knowledge.remoteEmbeddings !== true) return null;
+
+    const { config } = await this.getProviderSettings();
+    const embeddingConfig = { ...config, model: knowledge.embeddingModel || config.model };
+    return (texts) => this.createEmbeddings(embeddingConfig, texts);
+  }
+
+  serializeProviderError(error) {
+    return {
+      name: error?.name || 'Error',
+      message: error?.message || String(error),
+      status: error?.status
+    };
+  }
+
   async logUsage(action, mode, tab) {
     try {
       // Log usage statistics for analytics
@@ -938,8 +1431,30 @@ class ChromeAIBackground {
   }
 
   // Automation Window Management
+  async loadAutomationWindows() {
+    try {
+      const result = await chrome.storage.session.get('chromeai_automation_windows');
+      Object.entries(result.chromeai_automation_windows || {}).forEach(([taskId, windowInfo]) => {
+        this.automationWindows.set(taskId, windowInfo);
+      });
+    } catch (error) {
+      console.warn('Failed to restore automation windows:', error);
+    }
+  }
+
+  async saveAutomationWindows() {
+    try {
+      await chrome.storage.session.set({
+        chromeai_automation_windows: Object.fromEntries(this.automationWindows)
+      });
+    } catch (error) {
+      console.warn('Failed to persist automation windows:', error);
+    }
+  }
+
   async createAutomationWindow(taskId, initialUrl, options = {}, originTabId) {
     try {
+      await this.automationWindowsReady;
       
       // Check if automation window already exists for this task
       if (this.automationWindows.has(taskId)) {
@@ -951,6 +1466,7 @@ class ChromeAIBackground {
         } catch (e) {
           // Window was closed, remove from map
           this.automationWindows.delete(taskId);
+          await this.saveAutomationWindows();
         }
       }
       
@@ -984,6 +1500,7 @@ class ChromeAIBackground {
         created: Date.now(),
         taskId: taskId
       });
+      await this.saveAutomationWindows();
       
       return {
         success: true,
@@ -1000,6 +1517,7 @@ class ChromeAIBackground {
   
   async navigateAutomationWindow(taskId, url) {
     try {
+      await this.automationWindowsReady;
       
       const windowInfo = this.automationWindows.get(taskId);
       
@@ -1018,6 +1536,7 @@ class ChromeAIBackground {
       
       // Add tab to tracking
       windowInfo.tabs.push(tab.id);
+      await this.saveAutomationWindows();
       
       return {
         success: true,
@@ -1033,6 +1552,7 @@ class ChromeAIBackground {
   
   async closeAutomationWindow(taskId) {
     try {
+      await this.automationWindowsReady;
       const windowInfo = this.automationWindows.get(taskId);
       
       if (!windowInfo) {
@@ -1048,6 +1568,7 @@ class ChromeAIBackground {
       
       // Remove from tracking
       this.automationWindows.delete(taskId);
+      await this.saveAutomationWindows();
       
       return { success: true };
       
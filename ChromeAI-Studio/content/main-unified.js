@@ -307,6 +307,9 @@ class ChromeAIStudio {
       // Initialize context analyzer
       await this.initializeContextAnalyzer();
       
+      // Initialize knowledge base (captures pages only when turned on)
+      await this.initializeKnowledgeBase();
+      
     } catch (error) {
       this.logger.error('❌ Component initialization failed:', error);
     }
@@ -353,6 +356,14 @@ class ChromeAIStudio {
     } catch (error) {
       this.logger.error('❌ Context analyzer failed:', error);
     }
+    
+    // Initialize knowledge base
+    try {
+      await this.initializeKnowledgeBase();
+      this.logger.info('✅ Knowledge base initialized');
+    } catch (error) {
+      this.logger.error('❌ Knowledge base failed:', error);
+    }
   }
 
   /**
@@ -439,6 +450,21 @@ class ChromeAIStudio {
     }
   }
 
+  /**
+   * Initialize knowledge base
+   */
+  async initializeKnowledgeBase() {
+    try {
+      if (window.ChromeAIStudio?.knowledgeBase) {
+        this.components.knowledgeBase = window.ChromeAIStudio.knowledgeBase;
+        await this.components.knowledgeBase.init();
+        this.components.knowledgeBase.scheduleCapture();
+      }
+    } catch (error) {
+      this.logger.error('❌ Knowledge base initialization failed:', error);
+    }
+  }
+
   /**
    * Initialize AI instance manager for performance
    */
@@ -0,0 +1,259 @@
+/**
+ * ChromeAI Studio - Mock AI Checks
+ * Drives AIManager and AIInstanceManager through MockAIProvider (scripted responses,
+ * streaming, quota errors, download progress) and lists which checks pass.
+ * Loaded only by dev/mock-ai-checks.html; the mock is never injected into web pages.
+ */
+
+const MOCK_AI_CHECKS = [];
+
+function check(name, run) {
+  MOCK_AI_CHECKS.push({ name, run });
+}
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function readStream(stream) {
+  const reader = stream.getReader();
+  const chunks = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return chunks;
+    chunks.push(value);
+  }
+}
+
+check('AIManager.prompt answers from the first matching rule', async ({ mock, aiManager }) => {
+  mock.load({
+    rules: [
+      { match: /summarize/i, response: '- point one\n- point two' },
+      { match: 'next action', response: '{"action":"click"}' }
+    ]
+  });
+
+  const response = await aiManager.prompt('Please summarize this page');
+  expect(response.success, `prompt failed: ${response.error?.message}`);
+  expect(response.result === '- point one\n- point two', `unexpected answer: ${response.result}`);
+  expect(mock.calls.length === 1 && mock.calls[0].type === 'languageModel', 'call was not recorded');
+});
+
+check('Rules scoped to a session type are skipped for other types', async ({ mock, aiManager }) => {
+  mock.load({
+    rules: [{ match: /.*/, type: 'summarizer', response: 'summary' }],
+    defaultResponse: 'default'
+  });
+
+  const response = await aiManager.prompt('Anything');
+  expect(response.result === 'default', `expected the default response, got: ${response.result}`);
+});
+
+check('promptStreaming yields the response in chunks', async ({ mock, aiManager }) => {
+  mock.load({
+    rules: [{ match: 'stream', response: 'one two three four five six seven' }],
+    chunkSize: 2
+  });
+
+  const response = await aiManager.promptStreaming('stream please');
+  expect(response.success, `streaming failed: ${response.error?.message}`);
+  const chunks = await readStream(response.result);
+  expect(chunks.length > 1, `expected several chunks, got ${chunks.length}`);
+  expect(chunks.join('') === 'one two three four five six seven', `chunks don't add up: ${chunks.join('|')}`);
+});
+
+check('Scripted QuotaExceededError surfaces as QUOTA_EXCEEDED, then clears', async ({ mock, aiManager }) => {
+  mock.load({
+    rules: [
+      { match: 'huge page', error: 'QuotaExceededError', times: 1 },
+      { match: 'huge page', response: 'fits now' }
+    ]
+  });
+
+  const first = await aiManager.prompt('huge page');
+  expect(!first.success && first.error?.code === 'QUOTA_EXCEEDED', `expected QUOTA_EXCEEDED, got: ${JSON.stringify(first.error)}`);
+
+  const second = await aiManager.prompt('huge page');
+  expect(second.result === 'fits now', `expected the second rule, got: ${second.result}`);
+});
+
+check('Prompts over the input quota throw QuotaExceededError', async ({ mock }) => {
+  mock.load({ inputQuota: 10 });
+
+  const session = await mock.createSession('languageModel');
+  try {
+    await session.prompt('a prompt that is much longer than ten tokens allow');
+  } catch (error) {
+    expect(error.name === 'QuotaExceededError', `wrong error: ${error.name}`);
+    return;
+  }
+  throw new Error('prompt did not throw');
+});
+
+check('Downloadable models report downloadprogress, then become available', async ({ mock }) => {
+  mock.load({ availability: { summarizer: 'downloadable' } });
+
+  const progress = [];
+  await mock.createSession('summarizer', {
+    monitor: (monitor) => monitor.addEventListener('downloadprogress', (event) => progress.push(event.loaded))
+  });
+
+  expect(progress.join(',') === '0,0.25,0.5,0.75,1', `unexpected progress: ${progress.join(',')}`);
+  expect(await mock.availability('summarizer') === 'available', 'summarizer is still downloadable');
+});
+
+check('AIInstanceManager.createInstance uses the mock provider', async ({ mock }) => {
+  mock.load({ rules: [{ match: 'hello', response: 'hi there' }] });
+
+  const manager = new window.AIInstanceManager({ provider: mock, preWarmOnLoad: false });
+  try {
+    const instance = await manager.createInstance('languageModel');
+    expect(await instance.prompt('hello') === 'hi there', 'instance did not answer from the script');
+  } finally {
+    await manager.cleanup();
+  }
+});
+
+check('AutonomousAgent.planTask re-asks until the plan is valid JSON', async ({ mock }) => {
+  mock.load({
+    rules: [
+      { match: 'Plan how to complete this task', response: 'Sure! I will search first.', times: 1 },
+      {
+        match: /./,
+        response: JSON.stringify({
+          goal: 'Find mock checks',
+          steps: [{ action: 'search', target: 'mock ai checks', description: 'Search the web' }]
+        })
+      }
+    ]
+  });
+
+  const agent = new window.AutonomousAgent({ showProgressUI: false, voiceProgress: false });
+  const plan = await agent.planTask('find mock checks');
+  expect(plan.goal === 'Find mock checks', `fell back instead of using the scripted plan: ${JSON.stringify(plan)}`);
+  expect(plan.steps[0]?.action === 'search', `unexpected first step: ${JSON.stringify(plan.steps[0])}`);
+  expect(mock.calls.filter(call => call.type === 'languageModel').length >= 2, 'the invalid plan was not re-asked');
+});
+
+check('MCPVoiceAgent runs a tool call, then answers from its result', async ({ mock }) => {
+  mock.load({
+    rules: [
+      { match: /what page/i, response: '```json\n{"tool": "getPageInfo", "arguments": {"info": "title"}}\n```', times: 1 },
+      { match: /Page title: ChromeAI Studio - Mock AI Checks/, response: 'This is the Mock AI Checks page.' }
+    ]
+  });
+
+  const agent = window.ChromeAIStudio.mcpVoiceAgent;
+  try {
+    await agent.startConversation();
+    const answer = await agent.processVoiceInput('What page is this?');
+    expect(answer === 'This is the Mock AI Checks page.', `unexpected answer: ${answer}`);
+  } finally {
+    await agent.cleanup();
+  }
+});
+
+check('SidebarChat.getAIResponse streams the answer into the sidebar', async ({ mock, aiManager }) => {
+  mock.load({
+    rules: [{ match: 'Question: What is a mock?', response: 'A stand-in that answers from a script.' }],
+    chunkSize: 2
+  });
+
+  const updates = [];
+  const stored = [];
+  const sidebar = {
+    aiManager,
+    ui: {
+      addStreamingMessage: () => ({}),
+      updateStreamingMessage: (element, text) => updates.push(text),
+      completeStreamingMessage() {},
+      errorStreamingMessage: (element, message) => { throw new Error(message); },
+      addBranchButton() {}
+    },
+    state: {
+      addMessage: (text, role) => (stored.push({ text, role }), { id: stored.length }),
+      getState: () => ({ conversationId: 'mock-checks' }),
+      getThread: () => null
+    }
+  };
+
+  const chat = new window.SidebarChat(sidebar);
+  const reply = await chat.getAIResponse('What is a mock?', 'student');
+  expect(reply === 'A stand-in that answers from a script.', `unexpected reply: ${reply}`);
+  expect(updates.length > 1, `expected several streamed updates, got ${updates.length}`);
+  expect(stored[0]?.role === 'assistant' && stored[0].text === reply, 'the reply was not stored');
+});
+
+check('TextSelectionMenu translates in place from the detected language', async ({ mock }) => {
+  mock.load({
+    rules: [
+      { match: /Bonjour/, type: 'languageDetector', response: 'fr' },
+      { match: /Bonjour/, type: 'translator', response: 'Hello world' }
+    ]
+  });
+
+  const paragraph = document.createElement('p');
+  paragraph.textContent = 'Bonjour le monde';
+  document.body.appendChild(paragraph);
+  const range = document.createRange();
+  range.selectNodeContents(paragraph);
+
+  const menu = window.ChromeAIStudio.textSelectionMenu;
+  let confirmed = null;
+  menu.selectedText = paragraph.textContent;
+  menu.selectionRange = range;
+  menu.confirmSourceLanguage = async (language) => (confirmed = language);
+  menu.showLanguageDropdown = async () => 'en';
+  try {
+    await menu.handleTranslateWithAutoDetection();
+    expect(confirmed === 'fr', `expected French to be detected, got: ${confirmed}`);
+    expect(paragraph.textContent === 'Hello world', `selection was not replaced: ${paragraph.textContent}`);
+  } finally {
+    delete menu.confirmSourceLanguage;
+    delete menu.showLanguageDropdown;
+    paragraph.remove();
+  }
+});
+
+/**
+ * Run every check against one installed mock and render the results
+ */
+async function runMockAIChecks() {
+  const { MockAIProvider, aiProviders, aiManager } = window.ChromeAIStudio;
+  const mock = new MockAIProvider().install(aiProviders);
+  const results = [];
+
+  for (const { name, run } of MOCK_AI_CHECKS) {
+    mock.reset();
+    try {
+      await run({ mock, aiManager });
+      results.push({ name, passed: true });
+    } catch (error) {
+      results.push({ name, passed: false, error: error.message });
+    }
+  }
+
+  mock.uninstall();
+  const restored = aiProviders.getProviderForSessionType('languageModel')?.id !== mock.id;
+  results.push({ name: 'uninstall() gives sessions back to the saved providers', passed: restored, error: restored ? null : 'mock is still routed' });
+
+  const list = document.getElementById('results');
+  results.forEach(({ name, passed, error }) => {
+    const item = document.createElement('li');
+    item.textContent = passed ? `✅ ${name}` : `❌ ${name}: ${error}`;
+    item.className = passed ? '' : 'failed';
+    list.appendChild(item);
+  });
+
+  const failed = results.filter(result => !result.passed).length;
+  document.getElementById('summary').textContent = failed
+    ? `❌ ${failed} of ${results.length} checks failed`
+    : `✅ All ${results.length} checks passed`;
+  console.info('🧪 Mock AI checks:', results);
+  return results;
+}
+
+// Promise of the results, awaited by dev/run-mock-checks.js
+window.ChromeAIStudio.mockAIChecks = runMockAIChecks();
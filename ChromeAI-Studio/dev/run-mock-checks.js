@@ -0,0 +1,118 @@
+/**
+ * ChromeAI Studio - Mock AI Checks runner
+ * Loads dev/mock-ai-checks.html in jsdom with an in-memory `chrome` stub, prints the
+ * results and exits non-zero when a check fails.
+ *
+ * jsdom is not a dependency of the extension; install it anywhere and point NODE_PATH at it:
+ *   npm install --prefix /tmp/jsdom jsdom
+ *   NODE_PATH=/tmp/jsdom/node_modules node dev/run-mock-checks.js
+ */
+
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const PAGE = path.join(__dirname, 'mock-ai-checks.html');
+const TIMEOUT_MS = 30000;
+
+/**
+ * chrome.storage area backed by a plain object
+ */
+function createStorageArea() {
+  let items = {};
+  return {
+    async get(keys) {
+      if (keys == null) return { ...items };
+      const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      return Object.fromEntries(names.map(name => [name, name in items ? items[name] : defaults[name]]).filter(([, value]) => value !== undefined));
+    },
+    async set(values) {
+      items = { ...items, ...values };
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(name => delete items[name]);
+    },
+    async clear() {
+      items = {};
+    }
+  };
+}
+
+function createEvent() {
+  return { addListener() {}, removeListener() {}, hasListener: () => false };
+}
+
+/**
+ * Just enough of the extension APIs for the scripts the dev page loads
+ */
+function createChromeStub() {
+  return {
+    runtime: {
+      id: 'mock-ai-checks',
+      lastError: null,
+      getURL: (file) => `chrome-extension://mock-ai-checks/${file}`,
+      sendMessage: async () => ({ success: false, error: 'No service worker in the mock checks' }),
+      onMessage: createEvent()
+    },
+    storage: {
+      local: createStorageArea(),
+      sync: createStorageArea(),
+      session: createStorageArea(),
+      onChanged: createEvent()
+    }
+  };
+}
+
+async function main() {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', (error) => console.error('❌ Page error:', error.message));
+  if (process.env.VERBOSE) {
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+  }
+
+  const dom = await JSDOM.fromFile(PAGE, {
+    runScripts: 'dangerously',
+    resources: 'usable',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.chrome = createChromeStub();
+      // Web APIs jsdom leaves out, taken from Node
+      window.ReadableStream = ReadableStream;
+      window.TextEncoder = TextEncoder;
+      window.TextDecoder = TextDecoder;
+      window.structuredClone = structuredClone;
+      // No dialogs or speech in Node
+      window.confirm = () => false;
+      window.speechSynthesis = { speaking: false, speak() {}, cancel() {}, getVoices: () => [] };
+    }
+  });
+
+  const { window } = dom;
+  await new Promise(resolve => window.addEventListener('load', resolve));
+
+  const run = window.ChromeAIStudio?.mockAIChecks;
+  if (!run) {
+    throw new Error('mock-ai-checks.js did not start the checks');
+  }
+
+  const results = await Promise.race([
+    run,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Checks did not finish in ${TIMEOUT_MS / 1000}s`)), TIMEOUT_MS))
+  ]);
+
+  results.forEach(({ name, passed, error }) => {
+    console.log(passed ? `✅ ${name}` : `❌ ${name}: ${error}`);
+  });
+  console.log(window.document.getElementById('summary').textContent);
+
+  window.close();
+  return results.every(result => result.passed);
+}
+
+main()
+  .then(passed => process.exit(passed ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Mock AI checks could not run:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+/**
+ * ChromeAI Studio - MCP Bridge (native messaging host)
+ * Lets desktop MCP clients use the extension's browser tools
+ *
+ * - Chrome starts this script through native messaging when "Desktop MCP clients" is turned on
+ *   (Settings → MCP Servers); it serves MCP over Streamable HTTP on 127.0.0.1 and relays
+ *   tools/list and tools/call to the extension
+ * - Clients authenticate with the bearer token kept in ~/.chromeai-studio/mcp-bridge.json
+ * - `--stdio` runs a proxy for clients that only launch stdio servers: JSON-RPC lines on
+ *   stdin/stdout are forwarded to the running bridge
+ *
+ * No dependencies; needs Node.js 18 or newer.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const CONFIG_FILE = path.join(os.homedir(), '.chromeai-studio', 'mcp-bridge.json');
+const DEFAULT_PORT = 8765;
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LIST_TIMEOUT_MS = 30000;
+// Autonomous tasks can take several minutes
+const CALL_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function log(...args) {
+  // stdout carries native messages, so diagnostics go to stderr
+  console.error('[chromeai-mcp]', ...args);
+}
+
+/**
+ * Port and token shared by the bridge and the stdio proxy; the token survives restarts
+ * so client configurations keep working
+ */
+function loadConfig(create) {
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    if (!create) return null;
+    const config = {
+      port: Number(process.env.CHROMEAI_MCP_PORT) || DEFAULT_PORT,
+      token: crypto.randomBytes(24).toString('hex')
+    };
+    fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), { mode: 0o600 });
+    return config;
+  }
+}
+
+// --- Native messaging (extension side) ---
+
+class NativePort {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.nextId = 1;
+    this.pending = new Map();
+    this.onMessage = null;
+
+    process.stdin.on('data', chunk => this.receive(chunk));
+    process.stdin.on('end', () => {
+      // Chrome closed the port: the extension was disabled or the setting turned off
+      process.exit(0);
+    });
+  }
+
+  /**
+   * Messages are UTF-8 JSON preceded by a 32-bit length in native byte order
+   */
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length >= 4) {
+      const length = this.buffer.readUInt32LE(0);
+      if (this.buffer.length < 4 + length) break;
+      const body = this.buffer.subarray(4, 4 + length).toString('utf8');
+      this.buffer = this.buffer.subarray(4 + length);
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        log('Ignoring malformed message from the extension');
+        continue;
+      }
+
+      const pending = message.id !== undefined && this.pending.get(message.id);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pending.delete(message.id);
+        message.error ? pending.reject(new Error(message.error.message || 'Extension error')) : pending.resolve(message.result);
+      } else {
+        this.onMessage?.(message);
+      }
+    }
+  }
+
+  send(message) {
+    const body = Buffer.from(JSON.stringify(message), 'utf8');
+    const header = Buffer.alloc(4);
+    header.writeUInt32LE(body.length, 0);
+    process.stdout.write(Buffer.concat([header, body]));
+  }
+
+  request(method, params, client, timeout) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${method} timed out after ${Math.round(timeout / 1000)}s`));
+      }, timeout);
+      this.pending.set(id, { resolve, reject, timer });
+      this.send({ id, method, params, client });
+    });
+  }
+}
+
+// --- MCP over Streamable HTTP (client side) ---
+
+function runBridge() {
+  const config = loadConfig(true);
+  const extension = new NativePort();
+  const sessions = new Map();   // Mcp-Session-Id → {client, protocolVersion}
+  let extensionVersion = '0.0.0';
+
+  extension.onMessage = (message) => {
+    if (message.type === 'hello') extensionVersion = message.version || extensionVersion;
+  };
+
+  const server = http.createServer((req, res) => {
+    handleHttp(req, res).catch(error => {
+      log('Request failed:', error.message);
+      if (!res.headersSent) sendJson(res, 500, rpcError(null, -32603, error.message));
+    });
+  });
+
+  async function handleHttp(req, res) {
+    if (new URL(req.url, 'http://127.0.0.1').pathname !== '/mcp') {
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+    // Web pages may not drive the browser through the bridge
+    const origin = req.headers.origin;
+    if (origin && !/^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin)) {
+      return sendJson(res, 403, { error: 'Forbidden origin' });
+    }
+    if (!safeEqual(req.headers.authorization || '', `Bearer ${config.token}`)) {
+      return sendJson(res, 401, { error: `Missing or wrong bearer token (see ${CONFIG_FILE})` });
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (req.method === 'DELETE') {
+      sessions.delete(sessionId);
+      res.writeHead(200);
+      return res.end();
+    }
+    if (req.method !== 'POST') {
+      // No server-initiated stream: the bridge never sends requests of its own
+      res.writeHead(405, { Allow: 'POST, DELETE' });
+      return res.end();
+    }
+
+    let message;
+    try {
+      message = JSON.parse(await readBody(req));
+    } catch (error) {
+      return sendJson(res, 400, rpcError(null, -32700, 'Parse error'));
+    }
+    if (Array.isArray(message) || message?.jsonrpc !== '2.0') {
+      return sendJson(res, 400, rpcError(null, -32600, 'Invalid request'));
+    }
+
+    // Notifications and responses need no reply
+    if (message.id === undefined || !message.method) {
+      res.writeHead(202);
+      return res.end();
+    }
+
+    if (message.method === 'initialize') {
+      const requested = message.params?.protocolVersion;
+      const session = {
+        client: message.params?.clientInfo || { name: 'MCP client' },
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0]
+      };
+      const id = crypto.randomUUID();
+      sessions.set(id, session);
+      log(`Session started by ${session.client.name}`);
+      return sendJson(res, 200, {
+        jsonrpc: '2.0',
+        id: message.id,
+        result: {
+          protocolVersion: session.protocolVersion,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'chromeai-studio', title: 'ChromeAI Studio', version: extensionVersion },
+          instructions: 'Tools act on the active tab of the Chrome window the user last used. ' +
+            'The user is asked before a tool runs on a site for the first time.'
+        }
+      }, { 'Mcp-Session-Id': id });
+    }
+
+    if (!sessionId) {
+      return sendJson(res, 400, rpcError(message.id, -32600, 'Missing Mcp-Session-Id header'));
+    }
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return sendJson(res, 404, rpcError(message.id, -32001, 'Session not found'));
+    }
+
+    switch (message.method) {
+      case 'ping':
+        return sendJson(res, 200, { jsonrpc: '2.0', id: message.id, result: {} });
+
+      case 'tools/list':
+        try {
+          const result = await extension.request('tools/list', message.params || {}, session.client, LIST_TIMEOUT_MS);
+          return sendJson(res, 200, { jsonrpc: '2.0', id: message.id, result });
+        } catch (error) {
+          return sendJson(res, 200, rpcError(message.id, -32603, error.message));
+        }
+
+      case 'tools/call':
+        try {
+          const result = await extension.request('tools/call', message.params || {}, session.client, CALL_TIMEOUT_MS);
+          return sendJson(res, 200, { jsonrpc: '2.0', id: message.id, result });
+        } catch (error) {
+          // Tool failures are results the model can read, not protocol errors
+          return sendJson(res, 200, {
+            jsonrpc: '2.0',
+            id: message.id,
+            result: { content: [{ type: 'text', text: error.message }], isError: true }
+          });
+        }
+
+      default:
+        return sendJson(res, 200, rpcError(message.id, -32601, `Method not found: ${message.method}`));
+    }
+  }
+
+  server.on('error', (error) => {
+    const reason = error.code === 'EADDRINUSE' ? `Port ${config.port} is already in use` : error.message;
+    log(reason);
+    extension.send({ type: 'error', message: reason });
+    setTimeout(() => process.exit(1), 100);
+  });
+
+  server.listen(config.port, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${config.port}/mcp`;
+    log(`Listening on ${url}`);
+    extension.send({ type: 'ready', url, configFile: CONFIG_FILE });
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// --- stdio proxy ---
+
+function runStdioProxy() {
+  const config = loadConfig(false);
+  if (!config) {
+    log(`${CONFIG_FILE} not found. Turn on "Desktop MCP clients" in ChromeAI Studio first.`);
+    process.exit(1);
+  }
+
+  const url = `http://127.0.0.1:${config.port}/mcp`;
+  let sessionId = null;
+  let initializeMessage = null;
+  let queue = Promise.resolve();
+
+  const write = message => process.stdout.write(`${JSON.stringify(message)}\n`);
+
+  async function post(message) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        Authorization: `Bearer ${config.token}`,
+        ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {})
+      },
+      body: JSON.stringify(message)
+    });
+    sessionId = response.headers.get('Mcp-Session-Id') || sessionId;
+    return response;
+  }
+
+  async function forward(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return write(rpcError(null, -32700, 'Parse error'));
+    }
+    if (message.method === 'initialize') initializeMessage = message;
+
+    try {
+      let response = await post(message);
+      if (response.status === 404 && initializeMessage && message.method !== 'initialize') {
+        // The bridge restarted with Chrome; open a new session for the client
+        sessionId = null;
+        await post(initializeMessage);
+        await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+        response = await post(message);
+      }
+      if (response.status === 202) return;
+      write(await response.json());
+    } catch (error) {
+      if (message.id !== undefined) {
+        write(rpcError(message.id, -32603, `ChromeAI Studio is not reachable at ${url}. Is Chrome running with the MCP bridge turned on?`));
+      }
+    }
+  }
+
+  readline.createInterface({ input: process.stdin }).on('line', line => {
+    if (line.trim()) queue = queue.then(() => forward(line));
+  });
+}
+
+if (process.argv.includes('--stdio')) {
+  runStdioProxy();
+} else {
+  runBridge();
+}
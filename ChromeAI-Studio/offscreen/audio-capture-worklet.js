@@ -0,0 +1,32 @@
+/**
+ * ChromeAI Studio - Audio Capture Worklet
+ * Hands microphone audio to offscreen/local-speech.js in chunks of mono samples
+ */
+
+// 256 ms at 16 kHz: small enough for quick partial results, large enough to keep messages few
+const CHUNK_SIZE = 4096;
+
+class AudioCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.chunk = new Float32Array(CHUNK_SIZE);
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const samples = inputs[0]?.[0];
+    if (!samples) return true;
+
+    for (let i = 0; i < samples.length; i++) {
+      this.chunk[this.length++] = samples[i];
+      if (this.length === CHUNK_SIZE) {
+        this.port.postMessage(this.chunk, [this.chunk.buffer]);
+        this.chunk = new Float32Array(CHUNK_SIZE);
+        this.length = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('audio-capture', AudioCaptureProcessor);
@@ -0,0 +1,328 @@
+/**
+ * ChromeAI Studio - Local Speech (offscreen document)
+ * On-device wake word spotting and speech recognition; audio never leaves this document
+ *
+ * - Runs Vosk compiled to WASM from vendor/vosk/: the vosk-browser build as `vosk.js` and a
+ *   Vosk model as `model.tar.gz` (see the README); neither ships with the extension
+ * - Each `chromeai-local-speech` port from ai/speech-engines.js is one session:
+ *   - wake: a recognizer whose grammar is only the wake words, acting as a keyword spotter;
+ *     a match counts when its word confidence reaches 1 - sensitivity
+ *   - dictation: full recognition, with partial results when `interimResults` is set
+ * - One session at a time, since they share the microphone: a new port ends the current one
+ * - Ports receive {type: 'start'|'result'|'error'|'end'}; errors use SpeechRecognition codes
+ */
+
+const VOSK_SCRIPT = 'vendor/vosk/vosk.js';
+const VOSK_MODEL = 'vendor/vosk/model.tar.gz';
+const SAMPLE_RATE = 16000;
+// Without a session for this long, the service worker closes the document and the model is freed
+const IDLE_CLOSE_MS = 5 * 60 * 1000;
+
+class LocalSpeechError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LocalSpeechError';
+    this.code = code;
+  }
+}
+
+class LocalSpeechService {
+  constructor() {
+    this.modelPromise = null;
+    this.session = null;
+    this.idleTimer = null;
+  }
+
+  init() {
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === 'chromeai-local-speech') this.accept(port);
+    });
+
+    // Content scripts message the service worker, which reaches us with target: 'offscreen'
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.target !== 'offscreen') return false;
+      if (message.type === 'LOCAL_SPEECH_STATUS') {
+        this.getStatus()
+          .then(status => sendResponse({ success: true, status }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+      return false;
+    });
+
+    this.scheduleIdleClose();
+  }
+
+  accept(port) {
+    this.session?.end({ error: 'aborted' });
+    clearTimeout(this.idleTimer);
+
+    const session = new LocalSpeechSession(this, port);
+    this.session = session;
+    port.onMessage.addListener((message) => {
+      if (message.type === 'start') session.start(message.options || {});
+      if (message.type === 'stop') session.stop();
+    });
+    port.onDisconnect.addListener(() => session.end({ silent: true }));
+  }
+
+  sessionEnded(session) {
+    if (this.session !== session) return;
+    this.session = null;
+    this.scheduleIdleClose();
+  }
+
+  scheduleIdleClose() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      if (!this.session) {
+        chrome.runtime.sendMessage({ type: 'LOCAL_SPEECH_IDLE' }).catch(() => {});
+      }
+    }, IDLE_CLOSE_MS);
+  }
+
+  // --- Engine ---
+
+  /**
+   * Load the Vosk runtime and model once; a failed load is retried by the next session
+   */
+  loadModel() {
+    if (!this.modelPromise) {
+      this.modelPromise = this.loadRuntime()
+        .then(() => window.Vosk.createModel(chrome.runtime.getURL(VOSK_MODEL)))
+        .then((model) => {
+          console.info('🎙️ On-device speech model loaded');
+          return model;
+        })
+        .catch((error) => {
+          this.modelPromise = null;
+          if (error instanceof LocalSpeechError) throw error;
+          throw new LocalSpeechError('service-not-allowed',
+            `The speech model could not be loaded from ${VOSK_MODEL}: ${error?.message || error}`);
+        });
+    }
+    return this.modelPromise;
+  }
+
+  loadRuntime() {
+    if (window.Vosk) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL(VOSK_SCRIPT);
+      script.onload = () => window.Vosk
+        ? resolve()
+        : reject(new LocalSpeechError('service-not-allowed', `${VOSK_SCRIPT} is not the vosk-browser build`));
+      script.onerror = () => {
+        script.remove();
+        reject(new LocalSpeechError('service-not-allowed',
+          `The on-device speech engine is not installed: ${VOSK_SCRIPT} is missing`));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  async getStatus() {
+    const [engine, model] = await Promise.all([this.exists(VOSK_SCRIPT), this.exists(VOSK_MODEL)]);
+    let microphone = 'unknown';
+    try {
+      microphone = (await navigator.permissions.query({ name: 'microphone' })).state;
+    } catch (error) {
+      // Permission state not available; getUserMedia will tell
+    }
+    return { engine, model, microphone, loaded: !!this.modelPromise, listening: !!this.session };
+  }
+
+  async exists(path) {
+    try {
+      return (await fetch(chrome.runtime.getURL(path), { method: 'HEAD' })).ok;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+class LocalSpeechSession {
+  constructor(service, port) {
+    this.service = service;
+    this.port = port;
+    this.options = {};
+    this.recognizer = null;
+    this.stream = null;
+    this.audioContext = null;
+    this.lastPartial = '';
+    this.stopping = false;
+    this.stopTimer = null;
+    this.ended = false;
+  }
+
+  async start(options) {
+    this.options = {
+      mode: 'dictation',
+      continuous: false,
+      interimResults: false,
+      wakeWords: [],
+      sensitivity: 0.7,
+      ...options
+    };
+
+    try {
+      if (this.options.mode === 'wake' && this.options.wakeWords.length === 0) {
+        throw new LocalSpeechError('bad-grammar', 'No wake words are set');
+      }
+      const model = await this.service.loadModel();
+      if (this.ended) return;
+      this.recognizer = this.createRecognizer(model);
+      await this.openMicrophone();
+      if (this.ended) {
+        this.releaseMicrophone();
+        return;
+      }
+      this.post({ type: 'start' });
+    } catch (error) {
+      console.warn('🎙️ On-device speech failed to start:', error);
+      this.end(this.describeError(error));
+    }
+  }
+
+  createRecognizer(model) {
+    // [unk] absorbs every word that is not a wake word
+    const recognizer = this.options.mode === 'wake'
+      ? new model.KaldiRecognizer(SAMPLE_RATE, JSON.stringify([...this.options.wakeWords, '[unk]']))
+      : new model.KaldiRecognizer(SAMPLE_RATE);
+    recognizer.setWords(true);
+    recognizer.on('result', message => this.handleResult(message.result));
+    recognizer.on('partialresult', message => this.handlePartial(message.result));
+    return recognizer;
+  }
+
+  async openMicrophone() {
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+    });
+    this.audioContext = new AudioContext({ sampleRate: SAMPLE_RATE });
+    await this.audioContext.audioWorklet.addModule(chrome.runtime.getURL('offscreen/audio-capture-worklet.js'));
+
+    const source = this.audioContext.createMediaStreamSource(this.stream);
+    const capture = new AudioWorkletNode(this.audioContext, 'audio-capture', { numberOfOutputs: 0, channelCount: 1 });
+    capture.port.onmessage = (event) => {
+      if (!this.stopping && !this.ended) {
+        this.recognizer.acceptWaveformFloat(event.data, SAMPLE_RATE);
+      }
+    };
+    source.connect(capture);
+  }
+
+  handleResult(result) {
+    const text = (result?.text || '').trim();
+    const words = result?.result || [];
+
+    if (text && this.options.mode === 'wake') {
+      const wakeWord = this.options.wakeWords.find(word => ` ${text} `.includes(` ${word} `));
+      if (wakeWord) {
+        const parts = wakeWord.split(/\s+/);
+        const confidence = this.confidence(words.filter(word => parts.includes(word.word)));
+        // Higher sensitivity accepts less certain matches
+        if (confidence >= 1 - this.options.sensitivity) {
+          this.post({ type: 'result', transcript: wakeWord, confidence, isFinal: true });
+        }
+      }
+    } else if (text && text !== '[unk]') {
+      this.lastPartial = '';
+      this.post({ type: 'result', transcript: text, confidence: this.confidence(words), isFinal: true });
+    }
+
+    // A single utterance ends at its first final result, as with SpeechRecognition
+    if (this.stopping || (text && this.options.mode !== 'wake' && !this.options.continuous)) {
+      this.end();
+    }
+  }
+
+  handlePartial(result) {
+    const partial = (result?.partial || '').trim();
+    if (this.options.mode === 'wake' || !this.options.interimResults) return;
+    // Partial results repeat for every chunk of audio until a word changes
+    if (!partial || partial === this.lastPartial) return;
+    this.lastPartial = partial;
+    this.post({ type: 'result', transcript: partial, confidence: 0, isFinal: false });
+  }
+
+  confidence(words) {
+    if (words.length === 0) return 0;
+    return words.reduce((sum, word) => sum + (word.conf ?? 0), 0) / words.length;
+  }
+
+  /**
+   * Stop listening and send the words the recognizer still holds
+   */
+  stop() {
+    if (this.ended || this.stopping) return;
+    if (!this.recognizer) {
+      this.end();
+      return;
+    }
+    this.stopping = true;
+    this.releaseMicrophone();
+    this.recognizer.retrieveFinalResult();
+    // No final result comes back when nothing was said
+    this.stopTimer = setTimeout(() => this.end(), 1000);
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.error] - SpeechRecognition error code to report first
+   * @param {string} [options.message]
+   * @param {boolean} [options.silent] - The port is gone; nothing to report
+   */
+  end({ error, message, silent = false } = {}) {
+    if (this.ended) return;
+    this.ended = true;
+    clearTimeout(this.stopTimer);
+
+    if (!silent) {
+      if (error) this.post({ type: 'error', error, message });
+      this.post({ type: 'end' });
+    }
+    this.releaseMicrophone();
+    try {
+      this.recognizer?.remove();
+    } catch (e) {
+      // Recognizer already gone with the model
+    }
+    this.recognizer = null;
+    this.service.sessionEnded(this);
+  }
+
+  releaseMicrophone() {
+    this.stream?.getTracks().forEach(track => track.stop());
+    this.stream = null;
+    this.audioContext?.close().catch(() => {});
+    this.audioContext = null;
+  }
+
+  describeError(error) {
+    if (error instanceof LocalSpeechError) {
+      return { error: error.code, message: error.message };
+    }
+    if (error?.name === 'NotAllowedError' || error?.name === 'SecurityError') {
+      return {
+        error: 'not-allowed',
+        message: 'ChromeAI Studio may not use the microphone yet. Allow it in Settings → Voice & Audio.'
+      };
+    }
+    if (error?.name === 'NotFoundError' || error?.name === 'NotReadableError') {
+      return { error: 'audio-capture', message: 'No microphone is available.' };
+    }
+    return { error: 'audio-capture', message: error?.message || String(error) };
+  }
+
+  post(message) {
+    try {
+      this.port.postMessage(message);
+    } catch (error) {
+      // Port closed: the tab navigated or was closed
+    }
+  }
+}
+
+const localSpeechService = new LocalSpeechService();
+localSpeechService.init();
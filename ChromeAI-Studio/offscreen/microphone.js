@@ -0,0 +1,41 @@
+/**
+ * ChromeAI Studio - Microphone Access
+ * Asks for microphone access for the extension's origin; the offscreen document that runs
+ * on-device speech (offscreen/local-speech.js) cannot show the permission prompt itself
+ */
+
+const grantButton = document.getElementById('grant');
+const statusElement = document.getElementById('status');
+
+async function showPermissionState() {
+  try {
+    const permission = await navigator.permissions.query({ name: 'microphone' });
+    if (permission.state === 'granted') {
+      grantButton.disabled = true;
+      statusElement.textContent = '✅ Microphone access is allowed. You can close this tab.';
+    } else if (permission.state === 'denied') {
+      statusElement.textContent = '❌ Microphone access is blocked. Allow it in the site settings for this page (the icon left of the address), then reload.';
+    }
+  } catch (error) {
+    // Permission state not available; the button still works
+  }
+}
+
+grantButton.addEventListener('click', async () => {
+  grantButton.disabled = true;
+  statusElement.textContent = 'Waiting for your answer…';
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    stream.getTracks().forEach(track => track.stop());
+  } catch (error) {
+    console.warn('🎙️ Microphone access not granted:', error);
+    grantButton.disabled = false;
+    statusElement.textContent = error.name === 'NotFoundError'
+      ? '❌ No microphone was found.'
+      : '❌ Microphone access was not allowed.';
+    return;
+  }
+  statusElement.textContent = '✅ Microphone access is allowed. You can close this tab.';
+});
+
+showPermissionState();
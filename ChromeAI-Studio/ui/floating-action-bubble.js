@@ -1071,9 +1071,8 @@ class FloatingActionBubble {
     }
     
     // Check if speech recognition is available
-    if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-      this.currentRecognition = new SpeechRecognition();
+    if (this.isSpeechRecognitionSupported()) {
+      this.currentRecognition = this.createSpeechRecognition('dictation');
       
       this.currentRecognition.continuous = false;
       this.currentRecognition.interimResults = false;
@@ -1118,6 +1117,9 @@ class FloatingActionBubble {
           case 'network':
             this.showVoiceError('Network error. Please check your connection.', '🌐');
             break;
+          case 'service-not-allowed':
+            this.showVoiceError(event.message || 'Speech recognition is not available.', '🎙️');
+            break;
           case 'aborted':
             // User cancelled - don't show error
             break;
@@ -1142,6 +1144,27 @@ class FloatingActionBubble {
     }
   }
   
+  /**
+   * Recognizer from the engine chosen in Settings → Voice & Audio (Web Speech or on-device)
+   * @param {string} mode - 'wake' spots the wake words only; 'dictation' transcribes everything
+   */
+  createSpeechRecognition(mode) {
+    const speechEngines = window.ChromeAIStudio?.speechEngines;
+    if (speechEngines) {
+      return speechEngines.createRecognition({ mode });
+    }
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    return new SpeechRecognition();
+  }
+
+  isSpeechRecognitionSupported() {
+    const speechEngines = window.ChromeAIStudio?.speechEngines;
+    if (speechEngines) {
+      return speechEngines.isSupported();
+    }
+    return 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
+  }
+
   async checkMicrophonePermission() {
     try {
       
@@ -1561,27 +1584,54 @@ class FloatingActionBubble {
     return out;
   }
 
+  /**
+   * Characters per summary chunk that fit the session's input quota alongside the prompt
+   * (6000 when the context manager isn't loaded)
+   */
+  async getSummaryChunkSize(markdown, sessionOptions) {
+    const contextManager = window.ChromeAIStudio?.contextManager;
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    if (!contextManager || !aiManager) return 6000;
+
+    try {
+      const session = await aiManager.createLanguageModel(sessionOptions);
+      const overhead = await contextManager.measure(session, this.getStructuredSummaryPrompt(document.title || 'Page', 'chunk', ''));
+      return await contextManager.getChunkSize(session, markdown, contextManager.getBudget(session) - overhead);
+    } catch (e) {
+      console.warn('🧾 [FAB] Summary: could not measure input quota, using default chunk size', e);
+      return 6000;
+    }
+  }
+
   async summarizeMarkdownHierarchy(markdown, onUpdate) {
     const aiManager = window.ChromeAIStudio?.aiManager;
     if (!aiManager) return markdown.slice(0, 6000);
 
     const isShort = (markdown || '').length <= 2500;
+    const sessionOptions = { temperature: 0.2, maxTokens: 1400 };
+    const chunkSize = await this.getSummaryChunkSize(markdown || '', sessionOptions);
+
+    // Fit each prompt to the pooled session it is sent on; start it over when earlier chunks filled it
+    const contextManager = window.ChromeAIStudio?.contextManager;
+    const fitPrompt = async (prompt) => contextManager
+      ? contextManager.preparePrompt(prompt, { strategy: 'truncate', sessionOptions })
+      : { text: prompt, session: null };
 
     const summarize = async (content, level = 'chunk') => {
-      const structuredPrompt = isShort && level === 'chunk'
+      const { text: structuredPrompt, session } = await fitPrompt(isShort && level === 'chunk'
         ? this.getConciseParagraphPrompt(document.title || 'Page', content)
-        : this.getStructuredSummaryPrompt(document.title || 'Page', level, content);
+        : this.getStructuredSummaryPrompt(document.title || 'Page', level, content));
       console.info(`🧾 [FAB] Summary: summarizing level=${level}, contentLen=${content.length}`);
       let res;
       try {
-        res = await aiManager.prompt(structuredPrompt, { temperature: 0.2, maxTokens: 1400 });
+        res = await aiManager.prompt(structuredPrompt, { ...sessionOptions, session });
       } catch (e) {
         const msg = (e && (e.message || String(e))) || '';
         // Handle Chrome on-device Translator requiring a user gesture during download/setup
         const needsGesture = /Requires a user gesture/i.test(msg) || /NotAllowedError/i.test(msg);
         if (needsGesture) {
           // Ask user for a quick click and retry inside that gesture
-          res = await this.withUserGestureForAI(() => aiManager.prompt(structuredPrompt, { temperature: 0.2, maxTokens: 1400 }));
+          res = await this.withUserGestureForAI(() => aiManager.prompt(structuredPrompt, sessionOptions));
         } else {
           throw e;
         }
@@ -1592,23 +1642,23 @@ class FloatingActionBubble {
     };
 
     // First-level chunk summaries
-    const chunks = this.chunkText(markdown, 6000);
-    console.info('🧾 [FAB] Summary: chunk count =', chunks.length);
+    const chunks = this.chunkText(markdown, chunkSize);
+    console.info(`🧾 [FAB] Summary: chunk count = ${chunks.length} (chunk size ${chunkSize})`);
     const firstPass = [];
 
     // If only one chunk, try streaming it in real-time
     if (chunks.length === 1 && typeof aiManager.promptStreaming === 'function' && typeof onUpdate === 'function') {
-      const structuredPrompt = isShort
+      const { text: structuredPrompt, session } = await fitPrompt(isShort
         ? this.getConciseParagraphPrompt(document.title || 'Page', chunks[0])
-        : this.getStructuredSummaryPrompt(document.title || 'Page', 'chunk', chunks[0]);
+        : this.getStructuredSummaryPrompt(document.title || 'Page', 'chunk', chunks[0]));
       let response;
       try {
-        response = await aiManager.promptStreaming(structuredPrompt, { temperature: 0.2, maxTokens: 1400 });
+        response = await aiManager.promptStreaming(structuredPrompt, { ...sessionOptions, session });
       } catch (e) {
         const msg = (e && (e.message || String(e))) || '';
         const needsGesture = /Requires a user gesture/i.test(msg) || /NotAllowedError/i.test(msg);
         if (needsGesture) {
-          response = await this.withUserGestureForAI(() => aiManager.promptStreaming(structuredPrompt, { temperature: 0.2, maxTokens: 1400 }));
+          response = await this.withUserGestureForAI(() => aiManager.promptStreaming(structuredPrompt, sessionOptions));
         } else {
           throw e;
         }
@@ -1634,8 +1684,8 @@ class FloatingActionBubble {
 
     // Iteratively summarize until single chunk
     let current = firstPass.join('\n\n');
-    while (current.length > 6000) {
-      const parts = this.chunkText(current, 6000);
+    while (current.length > chunkSize) {
+      const parts = this.chunkText(current, chunkSize);
       const next = [];
       for (const p of parts) next.push(await summarize(p, 'merge'));
       current = next.join('\n\n');
@@ -1649,8 +1699,8 @@ class FloatingActionBubble {
     console.info('🧾 [FAB] Summary: link ratio =', ratio.toFixed(2));
     if (ratio > 4) {
       console.warn('🧾 [FAB] Summary: link-heavy output, applying final concise pass');
-      const finalPrompt = this.getStructuredSummaryPrompt(document.title || 'Page', 'final', finalOut);
-      const res = await aiManager.prompt(finalPrompt, { temperature: 0.2, maxTokens: 1400 });
+      const { text: finalPrompt, session } = await fitPrompt(this.getStructuredSummaryPrompt(document.title || 'Page', 'final', finalOut));
+      const res = await aiManager.prompt(finalPrompt, { ...sessionOptions, session });
       if (res?.result || typeof res === 'string') {
         finalOut = this.sanitizeSummary(res.result || res);
       }
@@ -2135,8 +2185,9 @@ ${constraints}`;
         return await this.generateSummaryWithAIManager(pageContent);
       }
       
-      // Fallback to direct LanguageModel API
-      if (typeof LanguageModel === 'undefined') {
+      // Fallback to a prompt session from the configured AI provider
+      const aiManager = window.ChromeAIStudio?.aiManager;
+      if (!aiManager?.canCreatePromptSession()) {
         throw new Error('Chrome AI LanguageModel not available');
       }
       
@@ -2148,7 +2199,7 @@ ${constraints}`;
       const fullPrompt = `${systemPrompt}\n\nContent to summarize:\n${pageContent.substring(0, 8000)}`; // Limit content length
       
       // Create AI session
-      const session = await LanguageModel.create({
+      const session = await aiManager.createPromptSession({
         temperature: 0.3,
         topK: 20,
         outputLanguage: 'en'
@@ -2216,8 +2267,8 @@ ${constraints}`;
     try {
       const sidebar = window.ChromeAIStudio?.smartSidebar;
       
-      // Use LanguageModel directly for better reliability
-      if (typeof LanguageModel !== 'undefined') {
+      // Use a prompt session directly for better reliability
+      if (window.ChromeAIStudio?.aiManager?.canCreatePromptSession()) {
         await this.streamSummaryToSidebarDirect(pageContent, sidebar);
       } else if (window.ChromeAIStudio?.aiManager) {
         await this.streamSummaryToSidebar(pageContent, sidebar);
@@ -2515,8 +2566,9 @@ ${constraints}`;
         return await this.tryProcessWithAIManager(transcript, activeMode);
       }
       
-      // Fallback to direct LanguageModel API
-      if (typeof LanguageModel === 'undefined') {
+      // Fallback to a prompt session from the configured AI provider
+      const aiManager = window.ChromeAIStudio?.aiManager;
+      if (!aiManager?.canCreatePromptSession()) {
         return false;
       }
       
@@ -2526,7 +2578,7 @@ ${constraints}`;
       this.updateVoiceStatus('Chrome AI is thinking...', '🧐');
       
       // Create AI session
-      const session = await LanguageModel.create({
+      const session = await aiManager.createPromptSession({
         temperature: 0.7,
         topK: 40,
         outputLanguage: 'en'
@@ -4132,20 +4184,28 @@ ${constraints}`;
       // Reset aborted flag
       this.wakeWordAborted = false;
       
-      // Check microphone permission first
-      const hasPermission = await this.checkMicrophonePermission();
-      if (!hasPermission.granted) {
-        return;
+      // The engine setting decides whether audio may leave the machine, so wait for it
+      const speechEngines = window.ChromeAIStudio?.speechEngines;
+      await speechEngines?.init();
+      
+      // Check microphone permission first; the on-device engine listens from the extension, not the page
+      if (!speechEngines?.isLocal()) {
+        const hasPermission = await this.checkMicrophonePermission();
+        if (!hasPermission.granted) {
+          return;
+        }
       }
 
       // Check if speech recognition is available
-      if (!('webkitSpeechRecognition' in window || 'SpeechRecognition' in window)) {
+      if (!this.isSpeechRecognitionSupported()) {
         console.warn('👂 Speech recognition not supported for wake word detection');
         return;
       }
 
-      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-      this.wakeWordRecognition = new SpeechRecognition();
+      if (speechEngines) {
+        this.wakeWords = speechEngines.getWakeWords();
+      }
+      this.wakeWordRecognition = this.createSpeechRecognition('wake');
       
       // Configure for continuous wake word detection
       this.wakeWordRecognition.continuous = true;
@@ -4182,9 +4242,13 @@ ${constraints}`;
           return;
         }
         
-        if (event.error === 'not-allowed') {
+        // Also stop when the on-device engine or its model is not installed, instead of retrying
+        if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
           this.wakeWordEnabled = false;
           this.updateWakeWordIndicator(false);
+          if (event.message) {
+            this.showTemporaryMessage(event.message, '🎙️', 5000);
+          }
           return;
         }
         
@@ -4341,47 +4405,58 @@ ${constraints}`;
   }
 
   customizeWakeWords(newWakeWords) {
-    if (Array.isArray(newWakeWords) && newWakeWords.length > 0) {
-      this.wakeWords = newWakeWords.map(word => word.toLowerCase().trim());
-      
-      // Save to localStorage
-      try {
-        localStorage.setItem('chromeai-wake-words', JSON.stringify(this.wakeWords));
-        
-        // Update indicator tooltip
-        this.updateWakeWordIndicator(this.wakeWordListening);
-        
-        // Restart wake word detection with new words
-        if (this.wakeWordListening) {
-          this.stopWakeWordListening();
-          setTimeout(() => {
-            this.startWakeWordListening();
-          }, 500);
-        }
-        
-        return true;
-      } catch (error) {
-        console.error('Failed to save custom wake words:', error);
-        return false;
-      }
-    }
-    return false;
+    const speechEngines = window.ChromeAIStudio?.speechEngines;
+    if (!speechEngines || !Array.isArray(newWakeWords)) return false;
+
+    const words = newWakeWords.map(word => String(word).toLowerCase().trim()).filter(Boolean);
+    if (words.length === 0) return false;
+    this.wakeWords = words;
+    this.updateWakeWordIndicator(this.wakeWordListening);
+
+    // Saved as the customWakeWord setting; the speech engine listener restarts detection with them
+    speechEngines.updateSettings({ customWakeWord: words.join(', ') }).catch(error => {
+      console.error('Failed to save custom wake words:', error);
+    });
+    return true;
   }
 
-  loadCustomWakeWords() {
+  async loadCustomWakeWords() {
+    const speechEngines = window.ChromeAIStudio?.speechEngines;
+    if (!speechEngines) return;
+
     try {
+      await speechEngines.init();
+      // Wake words used to be kept per site in localStorage; move them into the synced settings once
       const saved = localStorage.getItem('chromeai-wake-words');
       if (saved) {
         const customWords = JSON.parse(saved);
-        if (Array.isArray(customWords) && customWords.length > 0) {
-          this.wakeWords = customWords;
+        if (Array.isArray(customWords) && customWords.length > 0 && !speechEngines.settings.customWakeWord) {
+          await speechEngines.updateSettings({ customWakeWord: customWords.join(', ') });
         }
+        localStorage.removeItem('chromeai-wake-words');
       }
+      this.wakeWords = speechEngines.getWakeWords();
     } catch (error) {
       console.warn('Failed to load custom wake words:', error);
     }
   }
 
+  /**
+   * Pick up a new speech engine or new wake words from settings
+   */
+  restartWakeWordListening() {
+    this.wakeWords = window.ChromeAIStudio?.speechEngines?.getWakeWords() || this.wakeWords;
+    this.updateWakeWordIndicator(this.wakeWordListening);
+
+    // The on-device engine may still be loading its model, before `wakeWordListening` is set
+    if (this.wakeWordListening || this.wakeWordRecognition) {
+      this.stopWakeWordListening();
+      setTimeout(() => {
+        this.startWakeWordListening();
+      }, 500);
+    }
+  }
+
   createWakeWordIndicator() {
     // Wake word indicator removed - functionality preserved without visual indicator
     // Users can still toggle wake word detection through the voice mode menu
@@ -4577,7 +4652,8 @@ ${constraints}`;
   async initializeWakeWordDetection() {
     try {
       // Load custom wake words first
-      this.loadCustomWakeWords();
+      await this.loadCustomWakeWords();
+      window.ChromeAIStudio?.speechEngines?.addListener(() => this.restartWakeWordListening());
       
       // Load user preference
       const savedPreference = localStorage.getItem('chromeai-wake-word-enabled');
@@ -5778,8 +5854,7 @@ ${constraints}`;
     this.lastProcessedTime = 0;
     this.processingDebounce = 500; // Reduced to 500ms for faster response
     
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    this.currentRecognition = new SpeechRecognition();
+    this.currentRecognition = this.createSpeechRecognition('dictation');
     
     this.currentRecognition.continuous = true;
     this.currentRecognition.interimResults = true; // Enable interim results for silence detection
@@ -5875,8 +5950,10 @@ ${constraints}`;
       if (fatalErrors.includes(event.error)) {
         // Fatal error - disable voice mode
         console.error('❌ Fatal voice error:', event.error);
-        this.updateVoiceStatus('Microphone permission denied', '⚠️');
-        this.showTemporaryMessage('Voice mode disabled due to permission issue', '❌', 5000);
+        this.updateVoiceStatus(event.message || 'Microphone permission denied', '⚠️');
+        this.showTemporaryMessage(event.error === 'not-allowed'
+          ? 'Voice mode disabled due to permission issue'
+          : 'Voice mode disabled: speech recognition is not available', '❌', 5000);
         setTimeout(() => this.endMCPConversation(), 1000);
         return;
       }
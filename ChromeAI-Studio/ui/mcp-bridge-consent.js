@@ -0,0 +1,38 @@
+/**
+ * ChromeAI Studio - MCP Bridge Consent Prompt
+ * Shows one tool call from a desktop MCP client and sends the user's answer to
+ * background/mcp-bridge-consent.js; closing the window denies the call
+ */
+
+const requestId = new URLSearchParams(window.location.search).get('id');
+const statusElement = document.getElementById('status');
+const buttons = document.querySelectorAll('[data-decision]');
+
+async function showRequest() {
+  const response = await chrome.runtime.sendMessage({ type: 'MCP_BRIDGE_CONSENT_GET', id: requestId });
+  if (!response?.success) {
+    buttons.forEach(button => { button.disabled = true; });
+    statusElement.textContent = `❌ ${response?.error || 'This request is no longer available.'}`;
+    return;
+  }
+
+  const { client, tool, origin, args, remember } = response.request;
+  const details = JSON.stringify(args || {}, null, 2);
+  document.title = `Allow ${client} to use ${tool}?`;
+  document.getElementById('title').textContent = `Allow ${client} to use ${tool}?`;
+  document.getElementById('summary').textContent = `A desktop MCP client wants to run ${tool} on ${origin}.`;
+  document.getElementById('details').textContent = details.length > 1200 ? `${details.slice(0, 1200)}…` : details;
+  document.getElementById('always-ask').hidden = remember;
+  document.querySelector('[data-decision="site"]').textContent = `Always on ${new URL(origin).hostname}`;
+  document.querySelectorAll('[data-remembered]').forEach(button => { button.hidden = !remember; });
+}
+
+buttons.forEach(button => {
+  button.addEventListener('click', async () => {
+    buttons.forEach(other => { other.disabled = true; });
+    // The service worker closes this window once it has the answer
+    await chrome.runtime.sendMessage({ type: 'MCP_BRIDGE_CONSENT_DECIDE', id: requestId, decision: button.dataset.decision });
+  });
+});
+
+showRequest();
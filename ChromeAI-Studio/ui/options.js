@@ -0,0 +1,32 @@
+/**
+ * ChromeAI Studio - Options Page
+ * Sets the OpenAI-compatible server's API key. The service worker stores it locally;
+ * this page only learns whether a key is saved, never the key itself.
+ */
+
+const keyInput = document.getElementById('api-key');
+const statusElement = document.getElementById('status');
+
+async function saveKey(apiKey) {
+  const response = await chrome.runtime.sendMessage({ type: 'PROVIDER_API_KEY_SET', apiKey });
+  showStatus(response);
+}
+
+function showStatus(response) {
+  if (!response?.success) {
+    statusElement.textContent = `❌ ${response?.error || 'The extension did not answer. Reload this page.'}`;
+    return;
+  }
+  statusElement.textContent = response.saved ? '✅ A key is saved.' : 'No key is saved.';
+}
+
+document.getElementById('key-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (!keyInput.value.trim()) return;
+  await saveKey(keyInput.value);
+  keyInput.value = '';
+});
+
+document.getElementById('remove-key').addEventListener('click', () => saveKey(''));
+
+chrome.runtime.sendMessage({ type: 'PROVIDER_API_KEY_STATUS' }).then(showStatus);
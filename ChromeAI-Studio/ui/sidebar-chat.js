@@ -8,6 +8,7 @@ class SidebarChat {
     this.sidebar = sidebar;
     this.isProcessing = false;
     this.currentConversation = null;
+    this.conversations = new Map(); // conversationId -> ChatConversation
     this.messageQueue = [];
     this.retryAttempts = 3;
     this.retryDelay = 1000;
@@ -46,13 +47,7 @@ class SidebarChat {
       this.isProcessing = true;
       this.sidebar.state.setProcessing(true);
 
-      // Add user message to state
-      this.sidebar.state.addMessage(content, 'user');
-
-      // Add user message to UI
-      this.sidebar.ui.addMessage(content, 'user');
-
-      // Add processing indicator
+      // Add processing indicator (processMessage adds the user message)
       this.sidebar.ui.addProcessingIndicator();
 
       // Process the message
@@ -77,8 +72,17 @@ class SidebarChat {
       const mode = this.sidebar.state.getState().currentMode;
       
       // Add user message to UI and state first
-      this.sidebar.state.addMessage(content, 'user', { mode });
-      this.sidebar.ui.addMessage(content, 'user');
+      const userMessage = this.sidebar.state.addMessage(content, 'user', { mode });
+      this.sidebar.ui.addMessage(content, 'user', { messageId: userMessage?.id });
+      
+      // `/tool args` runs a tool from the shared registry
+      const toolReply = await this.runToolCommand(content);
+      if (toolReply) {
+        const reply = this.sidebar.state.addMessage(toolReply, 'assistant', { mode, tool: true });
+        this.sidebar.ui.addMessage(toolReply, 'assistant', { messageId: reply?.id });
+        this.recordMentionTurns(userMessage, reply);
+        return;
+      }
       
       // Check for @mentions and handle them directly
       const mentionResult = await this.handleMentions(content);
@@ -96,10 +100,17 @@ class SidebarChat {
               this.sidebar.ui.updateStreamingMessage(messageElement, fullText);
             },
             (finalText) => {
+              // Append the sources list of @file answers
+              const replyText = mentionResult.footer ? finalText + mentionResult.footer : finalText;
+              if (mentionResult.footer) {
+                this.sidebar.ui.updateStreamingMessage(messageElement, replyText);
+              }
               // Mark as complete
               this.sidebar.ui.completeStreamingMessage(messageElement);
               // Add to state
-              this.sidebar.state.addMessage(finalText, 'assistant', { mode, mention: true, feature: mentionResult.feature });
+              const reply = this.sidebar.state.addMessage(replyText, 'assistant', { mode, mention: true, feature: mentionResult.feature });
+              this.sidebar.ui.addBranchButton(messageElement, reply?.id);
+              this.recordMentionTurns(userMessage, reply);
             },
             (error) => {
               // Handle error
@@ -108,14 +119,15 @@ class SidebarChat {
           );
         } else {
           // Regular response
-          this.sidebar.state.addMessage(mentionResult, 'assistant', { mode, mention: true });
-          this.sidebar.ui.addMessage(mentionResult, 'assistant');
+          const reply = this.sidebar.state.addMessage(mentionResult, 'assistant', { mode, mention: true });
+          this.sidebar.ui.addMessage(mentionResult, 'assistant', { messageId: reply?.id });
+          this.recordMentionTurns(userMessage, reply);
         }
         return;
       }
       
       // Get AI response based on mode (handles its own message creation)
-      const response = await this.getAIResponse(content, mode, options);
+      const response = await this.getAIResponse(content, mode, options, userMessage);
       
       // getAIResponse now handles its own message creation and state updates
       // No need to add messages here as it's already done in the streaming callback
@@ -126,6 +138,57 @@ class SidebarChat {
     }
   }
 
+  /**
+   * Run `/tool args` with a tool the chat may use; `/tools` lists them
+   * @returns {Promise<string|null>} Reply, or null when the message is not a tool command
+   */
+  async runToolCommand(content) {
+    const registry = window.ChromeAIStudio?.toolRegistry;
+    const command = registry?.parseCommand(content);
+    if (!command) return null;
+
+    if (command.name === 'tools') {
+      return this.describeTools(await registry.getTools({ consumer: 'chat' }));
+    }
+
+    const tool = await registry.find(command.name, { consumer: 'chat' });
+    if (!tool) {
+      return `There is no tool called \`/${command.name}\`. Type \`/tools\` to see the tools you can run.`;
+    }
+
+    let args;
+    try {
+      args = registry.parseArguments(tool, command.argsText);
+    } catch (error) {
+      return `${error.message}.\n\n${this.describeToolUsage(tool)}`;
+    }
+
+    const result = await registry.execute(tool.name, args, { consumer: 'chat' });
+    if (result.ok) {
+      return result.result || `${tool.name} finished.`;
+    }
+    const details = (result.error.details || []).map(detail => `\n- ${detail}`).join('');
+    return `\`/${tool.name}\` failed: ${result.error.message}${details}\n\n${this.describeToolUsage(tool)}`;
+  }
+
+  describeTools(tools) {
+    if (tools.length === 0) {
+      return 'No tools are available here.';
+    }
+    const lines = tools.map(tool => `- \`/${tool.name}\` (${tool.sideEffect}): ${tool.description}`);
+    return `**Tools** · type \`/name\` followed by text, \`key=value\` pairs or JSON\n\n${lines.join('\n')}`;
+  }
+
+  describeToolUsage(tool) {
+    const properties = tool.inputSchema?.properties || {};
+    const required = tool.inputSchema?.required || [];
+    const params = Object.entries(properties).map(([name, schema]) => {
+      const value = schema.enum ? schema.enum.join('|') : (schema.type || 'value');
+      return required.includes(name) ? `${name}=<${value}>` : `[${name}=<${value}>]`;
+    });
+    return `Usage: \`/${[tool.name, ...params].join(' ')}\``;
+  }
+
   /**
    * Handle @mentions and call appropriate Chrome AI APIs
    */
@@ -138,6 +201,14 @@ class SidebarChat {
       }
 
       // Check for specific @mentions
+      if (/@file:/i.test(content)) {
+        return await this.answerFromDocuments(content);
+      }
+
+      if (/@history\b/i.test(content)) {
+        return await this.answerFromHistory(content);
+      }
+
       if (content.includes('@writer')) {
         const prompt = content.replace(/@writer\s*/gi, '').trim();
         if (!prompt) {
@@ -269,60 +340,317 @@ class SidebarChat {
     }
   }
 
+  /**
+   * Answer from the local documents mentioned as @file:<name>, citing the excerpts used
+   */
+  async answerFromDocuments(content) {
+    const library = window.ChromeAIStudio?.localDocuments;
+    if (!library) {
+      return 'Local documents are not available.';
+    }
+    await library.load();
+
+    const documents = library.resolveMentions(content);
+    if (documents.length === 0) {
+      const available = library.list().map(doc => `@file:${doc.mentionId}`).join(', ');
+      return available
+        ? `I couldn't find that document. Available documents: ${available}`
+        : 'No documents yet. Drop PDF, DOCX, TXT or Markdown files on the sidebar first.';
+    }
+
+    const question = library.stripMentions(content) || 'Summarize the key points of this document.';
+    const chunks = library.selectChunks(documents, question, 10000);
+    const excerpts = chunks.map(chunk =>
+      `[${chunk.id}] ${chunk.name} (part ${chunk.chunkIndex}/${chunk.totalChunks})\n${chunk.text}`
+    ).join('\n\n');
+
+    const prompt = `Answer the question using only the document excerpts below. End each sentence with the number of the excerpt it came from, e.g. [2]. If the excerpts don't contain the answer, say so.
+
+QUESTION: ${question}
+
+EXCERPTS:
+${excerpts}`;
+
+    const { text, session } = await this.fitPromptToContext(prompt);
+    const response = await this.sidebar.aiManager.promptStreaming(text, { session });
+    if (!response.success) {
+      return `Document question error: ${response.error?.message || 'Unknown error'}`;
+    }
+
+    const footer = `\n\n**Sources**\n${chunks.map(chunk => `[${chunk.id}] ${chunk.name}, part ${chunk.chunkIndex}/${chunk.totalChunks}`).join('\n')}`;
+    return { type: 'stream', stream: response.result, feature: 'file', footer };
+  }
+
+  /**
+   * Answer from the knowledge base of pages the user has read, citing the excerpts used
+   */
+  async answerFromHistory(content) {
+    const knowledgeBase = window.ChromeAIStudio?.knowledgeBase;
+    if (!knowledgeBase) {
+      return 'The knowledge base is not available.';
+    }
+    await knowledgeBase.init();
+    if (!knowledgeBase.isEnabled()) {
+      return 'The knowledge base is off. Turn it on in Settings → Knowledge Base to keep the pages you read and ask about them here.';
+    }
+
+    const question = content.replace(/@history\b/gi, '').trim();
+    if (!question) {
+      return 'Ask a question after @history, e.g. `@history what did that article say about caching?`';
+    }
+
+    const excerpts = await knowledgeBase.search(question, { limit: 6 });
+    if (excerpts.length === 0) {
+      return "I couldn't find anything about that in the pages you've read. Use Save This Page in Settings → Knowledge Base to add a page yourself.";
+    }
+
+    const numbered = excerpts.map((excerpt, i) =>
+      `[${i + 1}] ${excerpt.title} (${excerpt.url})\n${excerpt.text}`
+    ).join('\n\n');
+
+    const prompt = `Answer the question using only these excerpts from pages the user has read. End each sentence with the number of the excerpt it came from, e.g. [2]. If the excerpts don't contain the answer, say so.
+
+QUESTION: ${question}
+
+EXCERPTS:
+${numbered}`;
+
+    const { text, session } = await this.fitPromptToContext(prompt);
+    const response = await this.sidebar.aiManager.promptStreaming(text, { session });
+    if (!response.success) {
+      return `Knowledge base error: ${response.error?.message || 'Unknown error'}`;
+    }
+
+    const footer = `\n\n**Sources**\n${excerpts.map((excerpt, i) => `[${i + 1}] [${excerpt.title}](${excerpt.url}), part ${excerpt.index}/${excerpt.totalChunks}`).join('\n')}`;
+    return { type: 'stream', stream: response.result, feature: 'history', footer };
+  }
+
   /**
    * Get AI response based on mode
+   * @param {Object} userMessage - Stored user message (kept out of the seeded history)
    */
-  async getAIResponse(content, mode, options = {}) {
+  async getAIResponse(content, mode, options = {}, userMessage = null) {
     try {
       const aiManager = this.sidebar.aiManager;
       if (!aiManager) {
         throw new Error('AI Manager not available');
       }
 
-      // Get mode-specific prompt
-      const prompt = this.buildModePrompt(content, mode);
-      
-      // Use streaming for AI response
-      const result = await aiManager.promptStreaming(prompt, {
+      const promptOptions = {
         temperature: 0.7,
         maxTokens: 1000,
         ...options
-      });
+      };
 
-      if (result.success) {
-        // Create streaming message for non-mention responses
-        const messageElement = this.sidebar.ui.addStreamingMessage();
-        
-        // Stream the response
-        const fullResponse = await this.consumeStream(
-          result.result,
-          (chunk, fullText) => {
-            // Update message in real-time
-            this.sidebar.ui.updateStreamingMessage(messageElement, fullText);
-          },
-          (finalText) => {
-            // Mark as complete
-            this.sidebar.ui.completeStreamingMessage(messageElement);
-            // Add to state
-            this.sidebar.state.addMessage(finalText, 'assistant', { mode });
-          },
-          (error) => {
-            // Handle error
-            this.sidebar.ui.errorStreamingMessage(messageElement, error.message);
-          }
-        );
-        
-        return this.processAIResponse(fullResponse, mode);
+      // Continue the conversation's own session, so earlier turns are remembered
+      const conversation = this.getConversation(mode, userMessage?.id);
+      let stream;
+      if (conversation) {
+        stream = await conversation.promptStreaming(this.buildConversationPrompt(content, mode));
       } else {
-        throw new Error(result.error?.message || 'AI request failed');
+        // Single-turn fallback: mode-specific prompt, fitted to the pooled session it is sent on
+        const { text: prompt, session } = await this.fitPromptToContext(this.buildModePrompt(content, mode), promptOptions);
+        const result = await aiManager.promptStreaming(prompt, { ...promptOptions, session });
+        if (!result.success) {
+          throw new Error(result.error?.message || 'AI request failed');
+        }
+        stream = result.result;
       }
 
+      // Create streaming message for non-mention responses
+      const messageElement = this.sidebar.ui.addStreamingMessage();
+      
+      // Stream the response
+      const fullResponse = await this.consumeStream(
+        stream,
+        (chunk, fullText) => {
+          // Update message in real-time
+          this.sidebar.ui.updateStreamingMessage(messageElement, fullText);
+        },
+        (finalText) => {
+          // Mark as complete
+          this.sidebar.ui.completeStreamingMessage(messageElement);
+          // Add to state
+          const reply = this.sidebar.state.addMessage(finalText, 'assistant', { mode });
+          this.sidebar.ui.addBranchButton(messageElement, reply?.id);
+          conversation?.recordTurns(this.toTurns([userMessage, reply]));
+        },
+        (error) => {
+          // Handle error
+          this.sidebar.ui.errorStreamingMessage(messageElement, error.message);
+        }
+      );
+      
+      return this.processAIResponse(fullResponse, mode);
+
     } catch (error) {
       console.error('AI response error:', error);
       return this.getFallbackResponse(mode);
     }
   }
 
+  /**
+   * Conversation for the current conversation id, created from stored history on first use
+   * @param {string} mode - Sets the system prompt
+   * @param {number} excludeId - Message not to seed (the one being answered)
+   * @returns {ChatConversation|null}
+   */
+  getConversation(mode, excludeId = null) {
+    if (!window.ChromeAIStudio?.ChatConversation || !this.sidebar.aiManager) {
+      return null;
+    }
+
+    const conversationId = this.sidebar.state.getState().conversationId;
+    let conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      conversation = this.createConversation(conversationId, mode, excludeId);
+      this.conversations.set(conversationId, conversation);
+    }
+
+    conversation.setSystemPrompt(this.getSystemPrompt(mode, conversationId));
+    return conversation;
+  }
+
+  /**
+   * Mode system prompt plus the thread's attached page context
+   */
+  getSystemPrompt(mode, threadId = null) {
+    const systemPrompt = this.getModeSystemPrompt(mode);
+    const page = this.sidebar.state.getThread(threadId)?.pageContext;
+    if (!page) return systemPrompt;
+
+    return `${systemPrompt}
+
+This conversation is about the following web page. Use it to answer when relevant.
+Title: ${page.title || 'Untitled'}
+URL: ${page.url}
+${page.excerpt ? `Content excerpt:\n${page.excerpt}` : ''}`.trim();
+  }
+
+  /**
+   * Seed a conversation from stored messages, skipping any already compacted into its summary
+   */
+  createConversation(conversationId, mode, excludeId = null) {
+    const summary = this.sidebar.state.getConversationSummary(conversationId);
+    let messages = this.sidebar.state.getConversationMessages(conversationId)
+      .filter(msg => msg.id !== excludeId);
+
+    if (summary) {
+      const throughIndex = messages.findIndex(msg => msg.id === summary.throughId);
+      messages = messages.slice(throughIndex + 1);
+    }
+
+    return new window.ChromeAIStudio.ChatConversation({
+      systemPrompt: this.getSystemPrompt(mode, conversationId),
+      summary: summary?.text || '',
+      turns: this.toTurns(messages),
+      onCompact: this.createCompactHandler(conversationId)
+    });
+  }
+
+  createCompactHandler(conversationId) {
+    return ({ summary, throughId, compacted }) => {
+      console.info(`🗜️ Compacted ${compacted} earlier messages of the conversation into a summary`);
+      this.sidebar.state.setConversationSummary(conversationId, { text: summary, throughId });
+    };
+  }
+
+  /**
+   * Stored messages as conversation turns (system/error messages are left out)
+   */
+  toTurns(messages) {
+    return messages
+      .filter(msg => msg && msg.content && (msg.type === 'user' || msg.type === 'assistant'))
+      .map(msg => ({ id: msg.id, role: msg.type, content: msg.content }));
+  }
+
+  /**
+   * @mention features answer outside the conversation session; add their turns to it
+   */
+  recordMentionTurns(userMessage, reply) {
+    const conversation = this.conversations.get(this.sidebar.state.getState().conversationId);
+    conversation?.recordTurns(this.toTurns([userMessage, reply]), { appendToSession: true });
+  }
+
+  /**
+   * Fork the conversation at a message into a new conversation.
+   * At the latest turn the live session is cloned; earlier points are seeded from history.
+   */
+  async branchFromMessage(messageId) {
+    if (this.isProcessing) {
+      console.warn('Cannot branch while a message is being processed');
+      return null;
+    }
+
+    const state = this.sidebar.state;
+    const sourceId = state.getState().conversationId;
+    const messages = state.getConversationMessages(sourceId);
+    const index = messages.findIndex(msg => msg.id === messageId);
+    if (index === -1) return null;
+
+    const kept = messages.slice(0, index + 1);
+    const source = this.conversations.get(sourceId);
+    const summary = state.getConversationSummary(sourceId);
+    const sourceThread = state.getThread(sourceId);
+    const conversationId = state.createThread({
+      title: sourceThread ? `${sourceThread.title} (branch)` : null,
+      mode: state.getState().currentMode,
+      pageContext: sourceThread?.pageContext,
+      branchedFrom: sourceId,
+      messages: kept
+    });
+    const copies = state.getConversationMessages(conversationId);
+
+    // The summary carries over when it only covers kept messages
+    const summaryIndex = summary ? kept.findIndex(msg => msg.id === summary.throughId) : -1;
+    if (summaryIndex !== -1) {
+      state.setConversationSummary(conversationId, { text: summary.text, throughId: copies[summaryIndex].id });
+    }
+
+    const sourceTurns = source?.turns || [];
+    if (sourceTurns.length > 0 && sourceTurns[sourceTurns.length - 1].id === messageId) {
+      const fork = await source.branch({ onCompact: this.createCompactHandler(conversationId) });
+      fork.turns = this.toTurns(copies).slice(-sourceTurns.length);
+      this.conversations.set(conversationId, fork);
+    }
+    source?.dropSession();
+
+    this.renderConversation(conversationId);
+    this.sidebar.ui.addMessage('Branched from here. New messages continue this branch; the original conversation is kept.', 'system');
+    return conversationId;
+  }
+
+  /**
+   * Show a stored conversation in the chat area
+   */
+  renderConversation(conversationId = null) {
+    const ui = this.sidebar.ui;
+    if (!ui?.sidebarElement) return;
+
+    ui.clearMessages();
+    this.sidebar.state.getConversationMessages(conversationId).forEach(msg => {
+      ui.addMessage(msg.content, msg.type, { messageId: msg.type === 'system' ? null : msg.id });
+    });
+  }
+
+  /**
+   * Keep a prompt within the chat session's input quota: earlier turns are dropped
+   * when they leave no room, and a prompt too large on its own is truncated
+   * @returns {Promise<{text: string, session: Object|null}>} - Pass `session` to aiManager.promptStreaming
+   */
+  async fitPromptToContext(prompt, sessionOptions = {}) {
+    const contextManager = window.ChromeAIStudio?.contextManager;
+    if (!contextManager) return { text: prompt, session: null };
+
+    try {
+      const { text, session } = await contextManager.preparePrompt(prompt, { strategy: 'truncate', sessionOptions });
+      return { text, session };
+    } catch (error) {
+      console.warn('Context budget check failed, sending prompt as is:', error);
+      return { text: prompt, session: null };
+    }
+  }
+
   /**
    * Consume a ReadableStream
    */
@@ -341,6 +669,31 @@ class SidebarChat {
     }
   }
 
+  /**
+   * Message sent to the conversation session: the user's text, or the
+   * prompt-optimizer request for @AI mentions
+   */
+  buildConversationPrompt(content, mode) {
+    if (content.includes('@AI') || content.includes('@ai')) {
+      return this.buildModePrompt(content, mode);
+    }
+    return content;
+  }
+
+  /**
+   * System prompt for a mode's conversation session
+   */
+  getModeSystemPrompt(mode) {
+    const systemPrompts = {
+      student: 'You are a helpful AI tutor. Give clear, simple answers. Be encouraging and educational.',
+      developer: 'You are a coding assistant. Help with programming, debugging, and best practices. Keep answers practical and concise.',
+      creator: 'You are a creative assistant. Help with writing, design, and creative projects. Be inspiring and practical.',
+      researcher: 'You are a research assistant. Help with research, analysis, and fact-checking. Be accurate and thorough.'
+    };
+
+    return systemPrompts[mode] || systemPrompts.student;
+  }
+
   /**
    * Build mode-specific prompt
    */
@@ -363,21 +716,9 @@ Please provide a structured response with:
 - Optimized version of the prompt`;
     }
 
-    const modePrompts = {
-      student: `You are a helpful AI tutor. Give clear, simple answers. Be encouraging and educational.
-Question: ${content}`,
-      
-      developer: `You are a coding assistant. Help with programming, debugging, and best practices. Keep answers practical and concise.
-Question: ${content}`,
-      
-      creator: `You are a creative assistant. Help with writing, design, and creative projects. Be inspiring and practical.
-Request: ${content}`,
-      
-      researcher: `You are a research assistant. Help with research, analysis, and fact-checking. Be accurate and thorough.
-Question: ${content}`
-    };
-
-    return modePrompts[mode] || modePrompts.student;
+    const label = mode === 'creator' ? 'Request' : 'Question';
+    return `${this.getModeSystemPrompt(mode)}
+${label}: ${content}`;
   }
 
   /**
@@ -506,33 +847,84 @@ Question: ${content}`
   }
 
   /**
-   * Clear current conversation
+   * Clear the messages of the current conversation (the thread itself is kept)
    */
   clearConversation() {
-    this.sidebar.state.clearChatHistory();
+    const threadId = this.sidebar.state.getState().conversationId;
+    this.destroyConversation(threadId);
+    this.sidebar.state.clearThreadMessages(threadId);
     
     // Clear UI
-    const chatArea = this.sidebar.ui.sidebarElement?.querySelector('.chromeai-chat-area');
-    if (chatArea) {
-      chatArea.innerHTML = '';
-      // Add welcome message back
-      chatArea.appendChild(this.createWelcomeMessage());
-    }
+    this.sidebar.ui.clearMessages();
+  }
+
+  destroyConversation(threadId) {
+    this.conversations.get(threadId)?.destroy();
+    this.conversations.delete(threadId);
+  }
+
+  destroyConversations() {
+    this.conversations.forEach(conversation => conversation.destroy());
+    this.conversations.clear();
   }
 
   /**
-   * Create welcome message
+   * Start a new thread and show it
+   * @param {Object} options - { title, mode, attachPage: attach the current page as context }
    */
-  createWelcomeMessage() {
-    const welcome = document.createElement('div');
-    welcome.className = 'chromeai-welcome-message';
-    welcome.innerHTML = `
-      <div style="text-align: center; color: var(--chromeai-text-secondary, #6b7280);">
-        <h3 style="margin: 0 0 8px 0; font-size: 16px;">Welcome to ChromeAI Studio</h3>
-        <p style="margin: 0; font-size: 14px;">Select a mode and start chatting with AI!</p>
-      </div>
-    `;
-    return welcome;
+  newThread(options = {}) {
+    const { attachPage = false, ...threadOptions } = options;
+    this.releaseCurrentSession();
+
+    const threadId = this.sidebar.state.createThread({
+      ...threadOptions,
+      pageContext: attachPage ? this.capturePageContext() : null
+    });
+    this.renderConversation(threadId);
+    return threadId;
+  }
+
+  /**
+   * Make another thread current and show its history
+   */
+  switchThread(threadId) {
+    if (threadId === this.sidebar.state.getState().conversationId) return true;
+
+    this.releaseCurrentSession();
+    if (!this.sidebar.state.switchThread(threadId)) return false;
+    this.renderConversation(threadId);
+    return true;
+  }
+
+  deleteThread(threadId) {
+    this.destroyConversation(threadId);
+    const currentId = this.sidebar.state.deleteThread(threadId);
+    this.renderConversation(currentId);
+    return currentId;
+  }
+
+  /**
+   * Attach the current page to a thread as context, or detach it
+   */
+  setThreadPageContext(threadId, attach = true) {
+    this.sidebar.state.setThreadPageContext(threadId, attach ? this.capturePageContext() : null);
+  }
+
+  capturePageContext() {
+    const text = document.body?.innerText || document.body?.textContent || '';
+    return {
+      url: window.location.href,
+      title: document.title,
+      excerpt: text.replace(/\n{3,}/g, '\n\n').trim().substring(0, 4000),
+      attachedAt: Date.now()
+    };
+  }
+
+  /**
+   * Free the model session of the thread being left; its turns are kept and reseeded on return
+   */
+  releaseCurrentSession() {
+    this.conversations.get(this.sidebar.state.getState().conversationId)?.dropSession();
   }
 
   /**
@@ -543,33 +935,76 @@ Question: ${content}`
   }
 
   /**
-   * Export conversation
+   * Export a whole thread: metadata, summary of compacted turns and every message
+   * @param {string} threadId - Defaults to the current thread
    */
-  exportConversation(mode = null) {
-    const history = this.getConversationHistory(mode);
+  exportConversation(threadId = null) {
+    const state = this.sidebar.state;
+    const thread = state.getThread(threadId);
+    if (!thread) return null;
+
+    const messages = state.getConversationMessages(thread.id);
+    const summary = state.getConversationSummary(thread.id);
+    const { id, autoTitle, ...metadata } = thread;
+
     return {
-      mode: mode || this.sidebar.state.getState().currentMode,
+      version: 2,
+      mode: thread.mode,
       timestamp: Date.now(),
-      messages: history
+      thread: metadata,
+      summary: summary
+        ? { text: summary.text, throughIndex: messages.findIndex(msg => msg.id === summary.throughId) }
+        : null,
+      messages: messages.map(({ content, type, timestamp, mode, metadata: msgMetadata }) => ({
+        content, type, timestamp, mode, metadata: msgMetadata
+      }))
     };
   }
 
   /**
-   * Import conversation
+   * Import threads exported by exportConversation (one or an array); also accepts
+   * the older { mode, messages } format
+   * @returns {string[]} - Ids of the new threads; the last one becomes current
    */
   importConversation(conversation) {
-    if (!conversation || !conversation.messages) {
+    const conversations = Array.isArray(conversation) ? conversation : [conversation];
+    if (conversations.length === 0 || conversations.some(item => !Array.isArray(item?.messages))) {
       throw new Error('Invalid conversation format');
     }
 
-    // Clear current conversation
-    this.clearConversation();
+    const state = this.sidebar.state;
+    this.releaseCurrentSession();
+
+    const threadIds = conversations.map(item => {
+      const thread = item.thread || {};
+      const threadId = state.createThread({
+        title: thread.title,
+        mode: thread.mode || item.mode,
+        pinned: thread.pinned,
+        pageContext: thread.pageContext,
+        createdAt: thread.createdAt,
+        updatedAt: thread.updatedAt,
+        messages: item.messages
+          .filter(msg => msg && typeof msg.content === 'string')
+          .map(msg => ({
+            content: msg.content,
+            type: msg.type || 'user',
+            timestamp: msg.timestamp || Date.now(),
+            mode: msg.mode || thread.mode || item.mode,
+            metadata: msg.metadata || {}
+          }))
+      });
 
-    // Add imported messages
-    conversation.messages.forEach(msg => {
-      this.sidebar.state.addMessage(msg.content, msg.type, msg.metadata);
-      this.sidebar.ui.addMessage(msg.content, msg.type);
+      const stored = state.getConversationMessages(threadId);
+      const throughId = stored[item.summary?.throughIndex]?.id;
+      if (item.summary?.text && throughId) {
+        state.setConversationSummary(threadId, { text: item.summary.text, throughId });
+      }
+      return threadId;
     });
+
+    this.renderConversation();
+    return threadIds;
   }
 
   /**
@@ -597,6 +1032,7 @@ Question: ${content}`
     this.messageQueue = [];
     this.isProcessing = false;
     this.currentConversation = null;
+    this.destroyConversations();
   }
 }
 
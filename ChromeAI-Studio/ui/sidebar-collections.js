@@ -0,0 +1,276 @@
+/**
+ * ChromeAI Studio - Smart Sidebar Research Collections Module
+ * Research projects of clipped selections and pages: switch projects, clip the current page,
+ * run synthesis/comparison/timeline/literature review into the chat, export Markdown or BibTeX
+ */
+
+class SidebarCollections {
+  constructor(sidebar) {
+    this.sidebar = sidebar;
+    this.panel = null;
+    this.unsubscribe = null;
+  }
+
+  get store() {
+    return window.ChromeAIStudio?.researchCollections || null;
+  }
+
+  get domUtils() {
+    return window.ChromeAIStudio.domUtils;
+  }
+
+  /**
+   * Open the collections panel over the chat view
+   */
+  async open() {
+    const sidebarElement = this.sidebar?.ui?.sidebarElement;
+    if (!sidebarElement || !this.store) return;
+
+    const mainContent = sidebarElement.querySelector('.ai-main-content');
+    if (mainContent) {
+      mainContent.style.display = 'none';
+    }
+
+    if (!this.panel) {
+      this.panel = this.createPanel();
+      sidebarElement.appendChild(this.panel);
+      // Clips added from the selection menu or another tab
+      this.unsubscribe = this.store.addListener(() => {
+        if (this.panel?.style.display !== 'none') this.render();
+      });
+    }
+
+    this.panel.style.display = 'flex';
+    requestAnimationFrame(() => this.panel.classList.add('show'));
+
+    await this.store.getActiveProject();
+    this.render();
+  }
+
+  /**
+   * Close the panel and return to the chat view
+   */
+  close() {
+    if (this.panel) {
+      this.panel.classList.remove('show');
+      this.panel.style.display = 'none';
+    }
+
+    const mainContent = this.sidebar?.ui?.sidebarElement?.querySelector('.ai-main-content');
+    if (mainContent) {
+      mainContent.style.display = 'block';
+      mainContent.style.opacity = '1';
+    }
+  }
+
+  createPanel() {
+    const tasks = window.ChromeAIStudio.ResearchCollections.TASKS;
+    const panel = document.createElement('div');
+    panel.className = 'ai-settings-panel ai-task-history-panel ai-collections-panel';
+    panel.innerHTML = `
+      <div class="ai-settings-header">
+        <button class="ai-back-btn" id="collections-back" title="Back to main view">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.42-1.41L7.83 13H20v-2z"/>
+          </svg>
+          <span>Back</span>
+        </button>
+        <h2 class="ai-settings-title">Research</h2>
+        <button class="ai-reset-btn" id="collections-clip-page">Clip Page</button>
+      </div>
+      <div class="ai-settings-content">
+        <div class="ai-collections-project">
+          <div class="ai-select-wrapper">
+            <select id="collections-project" class="ai-select"></select>
+            <svg class="ai-select-arrow" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+            </svg>
+          </div>
+          <button class="ai-thread-action" data-project="new" title="New project">➕</button>
+          <button class="ai-thread-action" data-project="rename" title="Rename project">✏️</button>
+          <button class="ai-thread-action" data-project="delete" title="Delete project">🗑️</button>
+        </div>
+        <div class="ai-documents-hint">
+          Select text on any page and choose <strong>Clip to Collection</strong>, or clip the whole page here.
+          Results cite each clip as [n].
+        </div>
+        <div class="ai-kb-actions">
+          ${Object.entries(tasks).map(([id, task]) => `<button class="ai-secondary-btn" data-task="${id}">${task.title}</button>`).join('')}
+        </div>
+        <div class="ai-kb-actions">
+          <button class="ai-secondary-btn" data-export="markdown">Export Markdown</button>
+          <button class="ai-secondary-btn" data-export="bibtex">Export BibTeX</button>
+        </div>
+        <div class="ai-task-history-body"></div>
+      </div>
+    `;
+
+    panel.querySelector('#collections-back').addEventListener('click', () => this.close());
+    panel.querySelector('#collections-clip-page').addEventListener('click', () => this.clipPage());
+    panel.querySelector('#collections-project').addEventListener('change', (e) => this.store.setActiveProject(e.target.value));
+    panel.querySelectorAll('[data-project]').forEach(button => {
+      button.addEventListener('click', () => this.handleProjectAction(button.dataset.project));
+    });
+    panel.querySelectorAll('[data-task]').forEach(button => {
+      button.addEventListener('click', () => this.runTask(button.dataset.task));
+    });
+    panel.querySelectorAll('[data-export]').forEach(button => {
+      button.addEventListener('click', () => this.exportProject(button.dataset.export));
+    });
+
+    return panel;
+  }
+
+  /**
+   * Render the project selector and the active project's clips
+   */
+  render() {
+    if (!this.panel || !this.store) return;
+
+    const projects = this.store.listProjects();
+    const activeId = this.store.activeProjectId;
+    const select = this.panel.querySelector('#collections-project');
+    select.innerHTML = projects.map(project => `
+      <option value="${this.domUtils.escapeHtml(project.id)}" ${project.id === activeId ? 'selected' : ''}>
+        ${this.domUtils.escapeHtml(project.name)} (${project.clipCount})
+      </option>
+    `).join('');
+
+    const body = this.panel.querySelector('.ai-task-history-body');
+    const clips = activeId ? this.store.getClips(activeId) : [];
+    if (clips.length === 0) {
+      body.innerHTML = '<div class="ai-task-history-empty">No clips in this project yet.</div>';
+      return;
+    }
+
+    body.innerHTML = clips.map((clip, index) => `
+      <div class="ai-task-history-item ai-thread-item" data-id="${this.domUtils.escapeHtml(clip.id)}">
+        <div class="ai-thread-open">
+          <div class="ai-task-history-title">[${index + 1}] ${this.domUtils.escapeHtml(clip.title)}</div>
+          <div class="ai-collections-excerpt">${this.domUtils.escapeHtml(clip.text.slice(0, 200))}${clip.text.length > 200 ? '…' : ''}</div>
+          <div class="ai-task-history-meta">
+            <span class="ai-thread-mode">${clip.kind === 'page' ? 'page' : 'selection'}</span>
+            <span>${this.domUtils.escapeHtml(this.getHostname(clip.url))}</span>
+            <span>${new Date(clip.clippedAt).toLocaleString()}</span>
+          </div>
+        </div>
+        <div class="ai-thread-actions">
+          <button class="ai-thread-action" data-action="open" title="Open page">↗️</button>
+          <button class="ai-thread-action" data-action="delete" title="Remove clip">🗑️</button>
+        </div>
+      </div>
+    `).join('');
+
+    body.querySelectorAll('.ai-thread-item').forEach(item => {
+      const clip = clips.find(c => c.id === item.dataset.id);
+      item.querySelector('[data-action="open"]').addEventListener('click', () => window.open(clip.url, '_blank', 'noopener'));
+      item.querySelector('[data-action="delete"]').addEventListener('click', () => this.store.removeClip(clip.id));
+    });
+  }
+
+  async handleProjectAction(action) {
+    const project = this.store.getProject(this.store.activeProjectId);
+    try {
+      switch (action) {
+        case 'new': {
+          const name = prompt('Name of the new research project:');
+          if (name) await this.store.createProject(name);
+          break;
+        }
+        case 'rename': {
+          const name = project && prompt('Rename project:', project.name);
+          if (name) await this.store.renameProject(project.id, name);
+          break;
+        }
+        case 'delete':
+          if (project && confirm(`Delete "${project.name}" and its ${this.store.getClips(project.id).length} clip(s)?`)) {
+            await this.store.deleteProject(project.id);
+          }
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async clipPage() {
+    try {
+      const clip = await this.store.clipPage();
+      this.sidebar?.ui?.updateStatus?.(`Clipped "${clip.title}"`);
+    } catch (error) {
+      alert(`Could not clip this page: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a task over the active project and stream the result into the chat
+   */
+  async runTask(task) {
+    const ui = this.sidebar?.ui;
+    const aiManager = window.ChromeAIStudio?.aiManager;
+    if (!ui || !aiManager) return;
+
+    let request;
+    try {
+      request = await this.store.prepareRequest(task, this.store.activeProjectId);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    this.close();
+    const messageElement = ui.addStreamingMessage();
+    if (!messageElement) return;
+
+    try {
+      const response = await aiManager.promptStreaming(request.prompt, { session: request.session });
+      if (!response.success) {
+        throw new Error(response.error?.message || 'AI request failed');
+      }
+
+      let fullText = '';
+      for await (const chunk of response.result) {
+        fullText += chunk;
+        ui.updateStreamingMessage(messageElement, `## ${request.title}\n\n${fullText}`);
+      }
+      ui.updateStreamingMessage(messageElement, `## ${request.title}\n\n${this.store.finalize(fullText, request.sources)}`);
+      ui.completeStreamingMessage(messageElement);
+    } catch (error) {
+      console.error(`❌ Research task failed (${task}):`, error);
+      ui.errorStreamingMessage(messageElement, error.message);
+    }
+  }
+
+  exportProject(format) {
+    const project = this.store.getProject(this.store.activeProjectId);
+    if (!project || this.store.getClips(project.id).length === 0) {
+      alert('This project has no clips to export yet.');
+      return;
+    }
+
+    const content = format === 'bibtex' ? this.store.exportBibTeX(project.id) : this.store.exportMarkdown(project.id);
+    const slug = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'research';
+    this.domUtils.downloadFile(
+      content,
+      `${slug}.${format === 'bibtex' ? 'bib' : 'md'}`,
+      format === 'bibtex' ? 'application/x-bibtex' : 'text/markdown'
+    );
+  }
+
+  getHostname(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return url;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SidebarCollections;
+} else if (typeof window !== 'undefined') {
+  window.SidebarCollections = SidebarCollections;
+}
@@ -0,0 +1,252 @@
+/**
+ * ChromeAI Studio - Smart Sidebar Custom Actions Module
+ * Editor for the user's own text-selection actions (Settings → Custom Actions):
+ * list, create, edit, delete, and import/export of action packs
+ */
+
+class SidebarCustomActions {
+  constructor(sidebar) {
+    this.sidebar = sidebar;
+    this.container = null;
+    this.editingId = null;
+    this.unsubscribe = null;
+  }
+
+  get store() {
+    return window.ChromeAIStudio?.customActions || null;
+  }
+
+  get domUtils() {
+    return window.ChromeAIStudio.domUtils;
+  }
+
+  /**
+   * Render the editor into the settings card and keep it in sync with the store
+   */
+  async render(container) {
+    if (!container || !this.store) return;
+    this.container = container;
+
+    await this.store.load();
+    this.unsubscribe?.();
+    this.unsubscribe = this.store.addListener(() => {
+      if (this.container?.isConnected && this.editingId === null) {
+        this.renderList();
+      }
+    });
+
+    container.innerHTML = `
+      <div class="ai-custom-action-list"></div>
+      <div class="ai-custom-action-form" hidden></div>
+      <div class="ai-kb-actions">
+        <button class="ai-secondary-btn" data-action="new">New Action</button>
+        <button class="ai-secondary-btn" data-action="import">Import Pack</button>
+        <button class="ai-secondary-btn" data-action="export">Export Pack</button>
+        <input type="file" accept=".json,application/json" hidden />
+      </div>`;
+
+    container.querySelector('[data-action="new"]').addEventListener('click', () => this.openForm(null));
+    container.querySelector('[data-action="export"]').addEventListener('click', () => this.exportPack());
+    const fileInput = container.querySelector('input[type="file"]');
+    container.querySelector('[data-action="import"]').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) this.importPack(fileInput.files[0]);
+      fileInput.value = '';
+    });
+
+    this.renderList();
+  }
+
+  renderList() {
+    const list = this.container?.querySelector('.ai-custom-action-list');
+    if (!list) return;
+
+    const actions = this.store.list();
+    if (actions.length === 0) {
+      list.innerHTML = '<span class="setting-description">No custom actions yet. They appear in the menu shown when you select text.</span>';
+      return;
+    }
+
+    list.innerHTML = actions.map(action => `
+      <div class="ai-custom-action-item" data-id="${this.domUtils.escapeHtml(action.id)}">
+        <span class="ai-custom-action-icon">${this.domUtils.escapeHtml(action.icon)}</span>
+        <div class="ai-custom-action-info">
+          <div class="ai-custom-action-name">${this.domUtils.escapeHtml(action.name)}</div>
+          <div class="setting-description">${this.domUtils.escapeHtml(this.describe(action))}</div>
+        </div>
+        <button class="ai-secondary-btn" data-edit="${this.domUtils.escapeHtml(action.id)}">Edit</button>
+        <button class="ai-danger-btn" data-delete="${this.domUtils.escapeHtml(action.id)}">Delete</button>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('[data-edit]').forEach(button => {
+      button.addEventListener('click', () => this.openForm(this.store.get(button.dataset.edit)));
+    });
+    list.querySelectorAll('[data-delete]').forEach(button => {
+      button.addEventListener('click', async () => {
+        const action = this.store.get(button.dataset.delete);
+        if (!action || !confirm(`Delete the custom action "${action.name}"?`)) return;
+        await this.store.remove(action.id);
+      });
+    });
+  }
+
+  describe(action) {
+    const apis = { prompt: 'Prompt', writer: 'Writer', rewriter: 'Rewriter', summarizer: 'Summarizer' };
+    const outputs = { sidebar: 'sidebar', inline: 'replaces selection', clipboard: 'clipboard' };
+    const modes = action.modes.length > 0 ? action.modes.join(', ') : 'all modes';
+    return `${apis[action.api]} → ${outputs[action.output]} · ${modes}${action.shortcut ? ` · ${action.shortcut}` : ''}`;
+  }
+
+  /**
+   * Show the form for a new action (null) or an existing one
+   */
+  openForm(action) {
+    const form = this.container?.querySelector('.ai-custom-action-form');
+    if (!form) return;
+    this.editingId = action?.id || '';
+
+    const CustomActions = window.ChromeAIStudio.CustomActions;
+    const arrow = `
+                <svg class="ai-select-arrow" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+                </svg>`;
+    const value = (key, fallback = '') => this.domUtils.escapeHtml(action?.[key] ?? fallback);
+
+    form.innerHTML = `
+      <div class="ai-setting-item">
+        <label for="custom-action-name">Name</label>
+        <input type="text" id="custom-action-name" maxlength="40" value="${value('name')}" placeholder="Explain like I'm five" />
+      </div>
+      <div class="ai-setting-item">
+        <label for="custom-action-icon">Icon</label>
+        <input type="text" id="custom-action-icon" maxlength="4" value="${value('icon', '⚡')}" />
+      </div>
+      <div class="ai-setting-item">
+        <label>Modes</label>
+        <div class="ai-custom-action-modes">
+          ${CustomActions.MODES.map(mode => `
+            <label><input type="checkbox" value="${mode}" ${action?.modes?.includes(mode) ? 'checked' : ''} /> ${mode.charAt(0).toUpperCase() + mode.slice(1)}</label>
+          `).join('')}
+        </div>
+        <span class="setting-description">None checked shows the action in every mode</span>
+      </div>
+      <div class="ai-setting-item">
+        <label for="custom-action-template">Prompt Template</label>
+        <textarea id="custom-action-template" class="ai-kb-excluded" rows="5" placeholder="Explain this to a five-year-old:\n\n{TEXT}">${value('template')}</textarea>
+        <span class="setting-description">Variables: ${CustomActions.VARIABLES.map(name => `{${name}}`).join(' ')}. Rewriter and Summarizer get the selection with the template as context.</span>
+      </div>
+      <div class="ai-setting-item">
+        <label for="custom-action-api">API</label>
+        <div class="ai-select-wrapper">
+          <select id="custom-action-api" class="ai-select">
+            <option value="prompt">Prompt (language model)</option>
+            <option value="writer">Writer</option>
+            <option value="rewriter">Rewriter</option>
+            <option value="summarizer">Summarizer</option>
+          </select>${arrow}
+        </div>
+      </div>
+      <div class="ai-setting-item">
+        <label for="custom-action-output">Output</label>
+        <div class="ai-select-wrapper">
+          <select id="custom-action-output" class="ai-select">
+            <option value="sidebar">Sidebar (streamed)</option>
+            <option value="inline">Replace the selection</option>
+            <option value="clipboard">Copy to clipboard</option>
+          </select>${arrow}
+        </div>
+      </div>
+      <div class="ai-setting-item">
+        <label for="custom-action-shortcut">Keyboard Shortcut</label>
+        <input type="text" id="custom-action-shortcut" value="${value('shortcut')}" placeholder="Press keys, e.g. Alt+Shift+E" />
+        <span class="setting-description">Runs the action on the selected text. Backspace clears it.</span>
+      </div>
+      <div class="ai-kb-actions">
+        <button class="ai-secondary-btn" data-form="save">Save</button>
+        <button class="ai-secondary-btn" data-form="cancel">Cancel</button>
+      </div>`;
+
+    form.querySelector('#custom-action-api').value = action?.api || 'prompt';
+    form.querySelector('#custom-action-output').value = action?.output || 'sidebar';
+
+    const shortcutInput = form.querySelector('#custom-action-shortcut');
+    shortcutInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Tab') return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Backspace' || e.key === 'Delete') {
+        shortcutInput.value = '';
+        return;
+      }
+      const shortcut = CustomActions.shortcutFromEvent(e);
+      if (shortcut) shortcutInput.value = shortcut;
+    });
+
+    form.querySelector('[data-form="save"]').addEventListener('click', () => this.saveForm(form));
+    form.querySelector('[data-form="cancel"]').addEventListener('click', () => this.closeForm());
+
+    form.hidden = false;
+    this.container.querySelector('.ai-custom-action-list').hidden = true;
+    form.querySelector('#custom-action-name').focus();
+  }
+
+  async saveForm(form) {
+    const existing = this.editingId ? this.store.get(this.editingId) : null;
+    try {
+      await this.store.save({
+        id: existing?.id,
+        createdAt: existing?.createdAt,
+        name: form.querySelector('#custom-action-name').value,
+        icon: form.querySelector('#custom-action-icon').value,
+        modes: Array.from(form.querySelectorAll('.ai-custom-action-modes input:checked')).map(input => input.value),
+        template: form.querySelector('#custom-action-template').value,
+        api: form.querySelector('#custom-action-api').value,
+        output: form.querySelector('#custom-action-output').value,
+        shortcut: form.querySelector('#custom-action-shortcut').value
+      });
+      this.closeForm();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  closeForm() {
+    this.editingId = null;
+    const form = this.container?.querySelector('.ai-custom-action-form');
+    if (form) {
+      form.hidden = true;
+      form.innerHTML = '';
+    }
+    const list = this.container?.querySelector('.ai-custom-action-list');
+    if (list) list.hidden = false;
+    this.renderList();
+  }
+
+  exportPack() {
+    const pack = this.store.exportPack();
+    if (pack.actions.length === 0) {
+      alert('There are no custom actions to export yet.');
+      return;
+    }
+
+    this.domUtils.downloadFile(JSON.stringify(pack, null, 2), `chromeai-actions-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+  }
+
+  async importPack(file) {
+    try {
+      const result = await this.store.importPack(await file.text());
+      const summary = `Imported ${result.added} new and ${result.updated} updated action(s).`;
+      alert(result.errors.length > 0 ? `${summary}\n\nSkipped:\n${result.errors.join('\n')}` : summary);
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SidebarCustomActions;
+} else if (typeof window !== 'undefined') {
+  window.SidebarCustomActions = SidebarCustomActions;
+}
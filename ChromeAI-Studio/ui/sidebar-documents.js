@@ -0,0 +1,236 @@
+/**
+ * ChromeAI Studio - Smart Sidebar Documents Module
+ * Local files (PDF, DOCX, TXT, Markdown) dropped on the sidebar or picked here,
+ * parsed on-device and referenced in chat as @file:<name>
+ */
+
+class SidebarDocuments {
+  constructor(sidebar) {
+    this.sidebar = sidebar;
+    this.panel = null;
+    this.dropTarget = null;
+
+    // Loaded up front so @file mentions can be suggested
+    this.library?.load();
+  }
+
+  get library() {
+    return window.ChromeAIStudio?.localDocuments || null;
+  }
+
+  get domUtils() {
+    return window.ChromeAIStudio.domUtils;
+  }
+
+  /**
+   * Accept files dropped anywhere on the sidebar
+   */
+  setupDropZone(element) {
+    if (!element || this.dropTarget === element) return;
+    this.dropTarget = element;
+
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    element.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      element.classList.add('ai-drop-active');
+    });
+
+    element.addEventListener('dragleave', (e) => {
+      if (!element.contains(e.relatedTarget)) {
+        element.classList.remove('ai-drop-active');
+      }
+    });
+
+    element.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      element.classList.remove('ai-drop-active');
+      this.addFiles(e.dataTransfer.files);
+    });
+  }
+
+  /**
+   * Parse files into the library and report the result in the chat
+   */
+  async addFiles(files) {
+    if (!this.library || !files?.length) return;
+
+    const names = Array.from(files).map(file => file.name).join(', ');
+    this.sidebar?.ui?.updateStatus?.(`Reading ${names}...`);
+
+    const { added, errors } = await this.library.addFiles(files);
+
+    const lines = [
+      ...added.map(doc => `- **${doc.name}** (${doc.chunkCount} chunks) → \`@file:${doc.mentionId}\``),
+      ...errors.map(({ name, error }) => `- ⚠️ ${name}: ${error}`)
+    ];
+    const hint = added.length > 0
+      ? `\n\nMention a file to ask about it, e.g. \`@file:${added[0].mentionId} what are the key points?\``
+      : '';
+    this.sidebar?.ui?.addMessage(`📄 ${added.length > 0 ? 'Added to your documents' : 'No documents added'}:\n${lines.join('\n')}${hint}`, 'assistant');
+    this.sidebar?.ui?.updateStatus?.('Ready');
+
+    this.renderList();
+  }
+
+  /**
+   * Open the document list over the chat view
+   */
+  async open() {
+    const sidebarElement = this.sidebar?.ui?.sidebarElement;
+    if (!sidebarElement) return;
+
+    const mainContent = sidebarElement.querySelector('.ai-main-content');
+    if (mainContent) {
+      mainContent.style.display = 'none';
+    }
+
+    if (!this.panel) {
+      this.panel = this.createPanel();
+      sidebarElement.appendChild(this.panel);
+    }
+
+    this.panel.style.display = 'flex';
+    requestAnimationFrame(() => this.panel.classList.add('show'));
+
+    await this.library?.load();
+    this.renderList();
+  }
+
+  /**
+   * Close the panel and return to the chat view
+   */
+  close() {
+    if (this.panel) {
+      this.panel.classList.remove('show');
+      this.panel.style.display = 'none';
+    }
+
+    const mainContent = this.sidebar?.ui?.sidebarElement?.querySelector('.ai-main-content');
+    if (mainContent) {
+      mainContent.style.display = 'block';
+      mainContent.style.opacity = '1';
+    }
+  }
+
+  createPanel() {
+    const accept = window.ChromeAIStudio?.DocumentParser?.ACCEPT || '';
+    const panel = document.createElement('div');
+    panel.className = 'ai-settings-panel ai-task-history-panel ai-documents-panel';
+    panel.innerHTML = `
+      <div class="ai-settings-header">
+        <button class="ai-back-btn" id="documents-back" title="Back to main view">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.42-1.41L7.83 13H20v-2z"/>
+          </svg>
+          <span>Back</span>
+        </button>
+        <h2 class="ai-settings-title">Documents</h2>
+        <button class="ai-reset-btn" id="documents-add">Add</button>
+        <input type="file" id="documents-file" accept="${accept}" multiple style="display: none;" />
+      </div>
+      <div class="ai-settings-content">
+        <div class="ai-documents-hint">
+          Drop PDF, DOCX, TXT or Markdown files on the sidebar. They are converted on this device
+          and never uploaded. Use <code>@file:name</code> in chat, or in an agent task to research
+          your files instead of the web.
+        </div>
+        <div class="ai-task-history-body"></div>
+      </div>
+    `;
+
+    panel.querySelector('#documents-back').addEventListener('click', () => this.close());
+
+    const fileInput = panel.querySelector('#documents-file');
+    panel.querySelector('#documents-add').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async (e) => {
+      const files = Array.from(e.target.files || []);
+      e.target.value = '';
+      await this.addFiles(files);
+    });
+
+    return panel;
+  }
+
+  /**
+   * Render the document list
+   */
+  renderList() {
+    const body = this.panel?.querySelector('.ai-task-history-body');
+    if (!body || !this.library) return;
+
+    const documents = this.library.list();
+    if (documents.length === 0) {
+      body.innerHTML = '<div class="ai-task-history-empty">No documents yet.</div>';
+      return;
+    }
+
+    body.innerHTML = documents.map(doc => `
+      <div class="ai-task-history-item ai-thread-item" data-id="${this.domUtils.escapeHtml(doc.id)}">
+        <div class="ai-thread-open">
+          <div class="ai-task-history-title">${this.domUtils.escapeHtml(doc.title)}</div>
+          <div class="ai-task-history-meta">
+            <span class="ai-thread-mode">${this.domUtils.escapeHtml(doc.type)}</span>
+            <span>${this.domUtils.escapeHtml(doc.name)}</span>
+            <span>${this.formatSize(doc.size)} · ${doc.chunkCount} chunks</span>
+            <span>@file:${this.domUtils.escapeHtml(doc.mentionId)}</span>
+          </div>
+        </div>
+        <div class="ai-thread-actions">
+          <button class="ai-thread-action" data-action="mention" title="Ask about this file">💬</button>
+          <button class="ai-thread-action" data-action="delete" title="Remove">🗑️</button>
+        </div>
+      </div>
+    `).join('');
+
+    body.querySelectorAll('.ai-thread-item').forEach(item => {
+      const doc = documents.find(d => d.id === item.dataset.id);
+      item.querySelectorAll('[data-action]').forEach(button => {
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.handleAction(button.dataset.action, doc);
+        });
+      });
+    });
+  }
+
+  async handleAction(action, doc) {
+    if (!doc) return;
+
+    switch (action) {
+      case 'mention': {
+        const input = this.sidebar?.ui?.sidebarElement?.querySelector('#ai-input');
+        this.close();
+        if (input) {
+          input.value = `@file:${doc.mentionId} ${input.value}`.trimEnd() + ' ';
+          input.dispatchEvent(new Event('input', { bubbles: true }));
+          input.focus();
+        }
+        break;
+      }
+      case 'delete':
+        if (confirm(`Remove "${doc.name}" from your documents?`)) {
+          await this.library.remove(doc.id);
+          this.renderList();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SidebarDocuments;
+} else if (typeof window !== 'undefined') {
+  window.SidebarDocuments = SidebarDocuments;
+}
@@ -0,0 +1,290 @@
+/**
+ * ChromeAI Studio - Smart Sidebar MCP Servers Module
+ * Settings → MCP Servers: add, test, enable/disable and remove external tool servers,
+ * turn on the bridge for desktop MCP clients, and review the recent call log
+ */
+
+class SidebarMcpServers {
+  constructor(sidebar) {
+    this.sidebar = sidebar;
+    this.container = null;
+    this.unsubscribe = null;
+  }
+
+  get store() {
+    return window.ChromeAIStudio?.mcpServers || null;
+  }
+
+  get domUtils() {
+    return window.ChromeAIStudio.domUtils;
+  }
+
+  /**
+   * Render the server list, add form and call log into the settings card
+   */
+  async render(container) {
+    if (!container || !this.store) return;
+    this.container = container;
+
+    await this.store.init();
+    this.unsubscribe?.();
+    this.unsubscribe = this.store.addListener(() => {
+      if (this.container?.isConnected) this.renderList();
+    });
+
+    container.innerHTML = `
+      <span class="setting-description">
+        Tools from these servers are offered to the voice agent. Plain http:// only works for servers on this computer.
+      </span>
+      <div class="ai-mcp-server-list"></div>
+      <div class="ai-setting-item">
+        <label for="mcp-server-name">Name</label>
+        <input type="text" id="mcp-server-name" maxlength="40" placeholder="Files" />
+      </div>
+      <div class="ai-setting-item">
+        <label for="mcp-server-url">Server URL</label>
+        <input type="text" id="mcp-server-url" placeholder="http://localhost:3000/mcp" />
+      </div>
+      <div class="ai-setting-item">
+        <label for="mcp-server-transport">Transport</label>
+        <div class="ai-select-wrapper">
+          <select id="mcp-server-transport" class="ai-select">
+            <option value="auto">Automatic</option>
+            <option value="streamable-http">Streamable HTTP</option>
+            <option value="sse">HTTP + SSE (older servers)</option>
+          </select>
+          <svg class="ai-select-arrow" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+          </svg>
+        </div>
+      </div>
+      <div class="ai-setting-item">
+        <label for="mcp-server-auth">Authorization Header</label>
+        <input type="password" id="mcp-server-auth" placeholder="Bearer … (optional)" />
+      </div>
+      <div class="ai-kb-actions">
+        <button class="ai-secondary-btn" data-action="test">Test</button>
+        <button class="ai-secondary-btn" data-action="add">Add Server</button>
+      </div>
+      <div class="ai-mcp-status setting-description"></div>
+      <div class="ai-setting-item">
+        <label>Desktop MCP Clients</label>
+        <div class="ai-custom-action-item">
+          <div class="ai-toggle-switch">
+            <input type="checkbox" id="mcp-bridge-enabled" class="ai-toggle-input" ${this.store.getBridgeSettings().enabled ? 'checked' : ''} />
+            <span class="ai-toggle-slider"></span>
+          </div>
+          <span class="setting-description">Let MCP clients on this computer use page tools in the active tab. Needs the native host from native-host/.</span>
+        </div>
+        <div class="ai-mcp-bridge-status setting-description"></div>
+        <div class="ai-mcp-bridge-grants"></div>
+        <div class="ai-kb-actions">
+          <button class="ai-secondary-btn" data-action="reconnect-bridge">Reconnect</button>
+        </div>
+      </div>
+      <div class="ai-setting-item">
+        <label>Recent Calls</label>
+        <div class="ai-mcp-log"></div>
+        <div class="ai-kb-actions">
+          <button class="ai-secondary-btn" data-action="refresh-log">Refresh</button>
+          <button class="ai-secondary-btn" data-action="clear-log">Clear Log</button>
+        </div>
+      </div>`;
+
+    container.querySelector('[data-action="test"]').addEventListener('click', () => this.testForm());
+    container.querySelector('[data-action="add"]').addEventListener('click', () => this.addServer());
+    container.querySelector('[data-action="refresh-log"]').addEventListener('click', () => this.renderLog());
+    container.querySelector('[data-action="clear-log"]').addEventListener('click', async () => {
+      await this.store.clearLogs().catch(error => alert(error.message));
+      this.renderLog();
+    });
+
+    const bridgeInput = container.querySelector('#mcp-bridge-enabled');
+    bridgeInput.closest('.ai-toggle-switch').addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      bridgeInput.checked = !bridgeInput.checked;
+      await this.store.setBridgeEnabled(bridgeInput.checked).catch(error => alert(error.message));
+      // The service worker starts the host when the setting syncs
+      setTimeout(() => this.renderBridge(), 1000);
+    });
+    container.querySelector('[data-action="reconnect-bridge"]').addEventListener('click', async () => {
+      await this.store.reconnectBridge().catch(error => alert(error.message));
+      setTimeout(() => this.renderBridge(), 1000);
+    });
+
+    this.renderList();
+    this.renderLog();
+    this.renderBridge();
+    // Connect in the background so each server shows its tool count or error
+    this.store.getTools().then(() => this.renderList());
+  }
+
+  renderList() {
+    const list = this.container?.querySelector('.ai-mcp-server-list');
+    if (!list) return;
+
+    const servers = this.store.listServers();
+    if (servers.length === 0) {
+      list.innerHTML = '<span class="setting-description">No MCP servers yet.</span>';
+      return;
+    }
+
+    list.innerHTML = servers.map(server => `
+      <div class="ai-custom-action-item ai-mcp-server-item" data-id="${this.domUtils.escapeHtml(server.id)}">
+        <div class="ai-toggle-switch">
+          <input type="checkbox" class="ai-toggle-input" data-enable="${this.domUtils.escapeHtml(server.id)}" ${server.enabled !== false ? 'checked' : ''} />
+          <span class="ai-toggle-slider"></span>
+        </div>
+        <div class="ai-custom-action-info">
+          <div class="ai-custom-action-name">${this.domUtils.escapeHtml(server.name)}</div>
+          <div class="setting-description">${this.domUtils.escapeHtml(server.url)}</div>
+          <div class="setting-description" data-status="${this.domUtils.escapeHtml(server.id)}">${this.domUtils.escapeHtml(this.describeStatus(server))}</div>
+        </div>
+        <button class="ai-secondary-btn" data-test="${this.domUtils.escapeHtml(server.id)}">Test</button>
+        <button class="ai-danger-btn" data-delete="${this.domUtils.escapeHtml(server.id)}">Remove</button>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('[data-enable]').forEach(input => {
+      const toggle = input.closest('.ai-toggle-switch');
+      toggle.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        input.checked = !input.checked;
+        await this.store.setEnabled(input.dataset.enable, input.checked).catch(error => alert(error.message));
+      });
+    });
+    list.querySelectorAll('[data-test]').forEach(button => {
+      button.addEventListener('click', () => {
+        const server = servers.find(candidate => candidate.id === button.dataset.test);
+        this.testServer(server, list.querySelector(`[data-status="${CSS.escape(server.id)}"]`));
+      });
+    });
+    list.querySelectorAll('[data-delete]').forEach(button => {
+      button.addEventListener('click', async () => {
+        const server = servers.find(candidate => candidate.id === button.dataset.delete);
+        if (!server || !confirm(`Remove the MCP server "${server.name}"?`)) return;
+        await this.store.removeServer(server.id).catch(error => alert(error.message));
+      });
+    });
+  }
+
+  describeStatus(server) {
+    if (server.enabled === false) return 'Disabled';
+    const status = this.store.lastStatus.find(entry => entry.id === server.id);
+    if (!status) return 'Not connected yet';
+    return status.ok ? `${status.toolCount} tool(s)` : `Unavailable: ${status.error}`;
+  }
+
+  readForm() {
+    const auth = this.container.querySelector('#mcp-server-auth').value.trim();
+    return {
+      name: this.container.querySelector('#mcp-server-name').value,
+      url: this.container.querySelector('#mcp-server-url').value.trim(),
+      transport: this.container.querySelector('#mcp-server-transport').value,
+      headers: auth ? { Authorization: auth } : {}
+    };
+  }
+
+  async testForm() {
+    await this.testServer(this.readForm(), this.container.querySelector('.ai-mcp-status'));
+  }
+
+  async testServer(server, statusElement) {
+    if (!statusElement) return;
+    statusElement.textContent = 'Connecting…';
+    try {
+      const result = await this.store.testServer(server);
+      const name = result.serverInfo?.name ? `${result.serverInfo.name} · ` : '';
+      const tools = result.tools.length > 0 ? `: ${result.tools.slice(0, 8).join(', ')}${result.tools.length > 8 ? '…' : ''}` : '';
+      statusElement.textContent = `✅ ${name}${result.transport} · ${result.tools.length} tool(s)${tools}`;
+    } catch (error) {
+      statusElement.textContent = `❌ ${error.message}`;
+    }
+  }
+
+  async addServer() {
+    try {
+      await this.store.addServer(this.readForm());
+      ['#mcp-server-name', '#mcp-server-url', '#mcp-server-auth'].forEach(selector => {
+        this.container.querySelector(selector).value = '';
+      });
+      this.container.querySelector('.ai-mcp-status').textContent = '';
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async renderBridge() {
+    const statusElement = this.container?.querySelector('.ai-mcp-bridge-status');
+    const grantsElement = this.container?.querySelector('.ai-mcp-bridge-grants');
+    if (!statusElement || !grantsElement) return;
+
+    try {
+      const status = await this.store.getBridgeStatus();
+      if (!status.enabled) {
+        statusElement.textContent = 'Off';
+      } else if (status.connected) {
+        statusElement.textContent = `✅ Listening on ${status.url} · token in ${status.configFile}`;
+      } else {
+        statusElement.textContent = status.error ? `❌ ${status.error}` : 'Starting…';
+      }
+    } catch (error) {
+      statusElement.textContent = `❌ ${error.message}`;
+    }
+
+    const bridgeTools = window.ChromeAIStudio?.mcpBridgeTools;
+    const grants = bridgeTools ? await bridgeTools.getGrants() : {};
+    const origins = Object.keys(grants);
+    grantsElement.innerHTML = origins.length === 0 ? '' : origins.map(origin => `
+      <div class="ai-custom-action-item">
+        <div class="ai-custom-action-info">
+          <div class="ai-custom-action-name">${this.domUtils.escapeHtml(origin)}</div>
+          <div class="setting-description">Always allowed: ${this.domUtils.escapeHtml(grants[origin].tools.join(', '))}</div>
+        </div>
+        <button class="ai-danger-btn" data-revoke="${this.domUtils.escapeHtml(origin)}">Revoke</button>
+      </div>
+    `).join('');
+
+    grantsElement.querySelectorAll('[data-revoke]').forEach(button => {
+      button.addEventListener('click', async () => {
+        await bridgeTools.revokeSite(button.dataset.revoke);
+        this.renderBridge();
+      });
+    });
+  }
+
+  async renderLog() {
+    const log = this.container?.querySelector('.ai-mcp-log');
+    if (!log) return;
+
+    let entries;
+    try {
+      entries = await this.store.getLogs();
+    } catch (error) {
+      log.innerHTML = `<span class="setting-description">${this.domUtils.escapeHtml(error.message)}</span>`;
+      return;
+    }
+    if (entries.length === 0) {
+      log.innerHTML = '<span class="setting-description">No calls yet.</span>';
+      return;
+    }
+
+    log.innerHTML = entries.slice(-20).reverse().map(entry => `
+      <div class="ai-mcp-log-entry" title="${this.domUtils.escapeHtml(entry.error || entry.preview || '')}">
+        <span>${entry.ok ? '✅' : '❌'}</span>
+        <span class="ai-mcp-log-target">${this.domUtils.escapeHtml(entry.serverName)} · ${this.domUtils.escapeHtml(entry.target)}</span>
+        <span>${entry.durationMs} ms</span>
+        <span>${new Date(entry.at).toLocaleTimeString()}</span>
+      </div>
+    `).join('');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SidebarMcpServers;
+} else if (typeof window !== 'undefined') {
+  window.SidebarMcpServers = SidebarMcpServers;
+}
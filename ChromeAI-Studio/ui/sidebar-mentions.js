@@ -68,7 +68,7 @@ class SidebarMentions {
    */
   detectMention(text, cursorPosition) {
     const beforeCursor = text.substring(0, cursorPosition);
-    const mentionRegex = /@(\w*)$/;
+    const mentionRegex = /@([\w:.-]*)$/;
     const match = beforeCursor.match(mentionRegex);
     
     if (match) {
@@ -113,6 +113,8 @@ class SidebarMentions {
    */
   getAllMentions() {
     return [
+      ...this.getFileMentions(),
+      ...this.getKnowledgeMentions(),
       {
         id: 'writer',
         name: 'Writer',
@@ -193,6 +195,56 @@ class SidebarMentions {
     ];
   }
 
+  /**
+   * Documents in the local library, mentioned as @file:<name>
+   */
+  getFileMentions() {
+    const library = window.ChromeAIStudio?.localDocuments;
+    if (!library) return [];
+
+    return library.list().map(doc => ({
+      id: `file:${doc.mentionId}`,
+      name: `file:${doc.mentionId}`,
+      description: `${doc.name} · ${doc.chunkCount} chunks`,
+      keywords: ['file', 'document', doc.name, doc.title],
+      type: 'file'
+    }));
+  }
+
+  /**
+   * `@history` while the knowledge base of read pages is turned on
+   */
+  getKnowledgeMentions() {
+    if (!window.ChromeAIStudio?.knowledgeBase?.isEnabled()) return [];
+
+    return [{
+      id: 'history',
+      name: 'history',
+      description: 'Answer from pages you have read or saved',
+      keywords: ['history', 'knowledge', 'read', 'saved', 'pages'],
+      type: 'knowledge'
+    }];
+  }
+
+  /**
+   * Tools the chat can run as `/name args`, from the shared tool registry
+   */
+  getToolMentions() {
+    const registry = window.ChromeAIStudio?.toolRegistry;
+    if (!registry) return [];
+
+    return [
+      { id: 'tools', name: 'tools', description: 'List the tools you can run', keywords: ['tools', 'help'], type: 'tool' },
+      ...registry.list({ consumer: 'chat' }).map(tool => ({
+        id: tool.name,
+        name: tool.name,
+        description: `${tool.description} · ${tool.sideEffect}`,
+        keywords: [tool.name, ...tool.aliases],
+        type: 'tool'
+      }))
+    ];
+  }
+
   /**
    * Render mention suggestions
    */
@@ -464,6 +516,11 @@ class SidebarMentions {
     const context = this.contextCache.get('current');
     if (!context) return message;
 
+    if (mention.startsWith('file:')) {
+      const doc = window.ChromeAIStudio?.localDocuments?.resolveMentions(`@${mention}`)[0];
+      return doc ? `${message}\n\nDocument ${doc.name}:\n${doc.markdown.substring(0, 4000)}` : message;
+    }
+
     switch (mention) {
       case 'page-content':
         return `${message}\n\nPage content: ${context.content}`;
@@ -487,6 +544,8 @@ class SidebarMentions {
         return `${message}\n\n@rewrite - Rewrite and improve text`;
       case 'proofread':
         return `${message}\n\n@proofread - Check grammar and spelling`;
+      case 'history':
+        return `${message}\n\n@history - Answer from pages you have read or saved`;
       default:
         return message;
     }
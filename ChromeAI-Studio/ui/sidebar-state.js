@@ -11,6 +11,9 @@ class SidebarState {
       currentMode: 'student',
       isProcessing: false,
       chatHistory: [],
+      conversationId: this.createConversationId(),
+      chatSummaries: {},
+      threads: {},
       settings: {
         theme: 'auto',
         position: 'right',
@@ -73,8 +76,16 @@ class SidebarState {
               ...savedState.userPreferences
             }
           };
+
+          // Messages saved before conversations had ids belong to the current one
+          const conversationId = this.state.conversationId;
+          this.state.chatHistory = (this.state.chatHistory || []).map(msg => (
+            msg.conversationId ? msg : { ...msg, conversationId }
+          ));
         }
       }
+
+      this.ensureThreads();
     } catch (error) {
       console.warn('Failed to load sidebar state:', error);
     }
@@ -171,12 +182,14 @@ class SidebarState {
    */
   setMode(mode) {
     if (this.isValidMode(mode)) {
+      const thread = this.state.threads[this.state.conversationId];
       this.updateState({ 
         currentMode: mode,
         userPreferences: {
           ...this.state.userPreferences,
           lastUsedMode: mode
-        }
+        },
+        ...(thread ? { threads: { ...this.state.threads, [thread.id]: { ...thread, mode } } } : {})
       });
     }
   }
@@ -196,8 +209,67 @@ class SidebarState {
     this.updateState({ isProcessing: processing });
   }
 
+  createConversationId() {
+    return `conv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  createThreadRecord(id, options = {}) {
+    const now = Date.now();
+    return {
+      id,
+      title: options.title || 'New conversation',
+      autoTitle: !options.title,
+      mode: this.isValidMode(options.mode) ? options.mode : this.state.currentMode,
+      pinned: !!options.pinned,
+      pageContext: options.pageContext || null,
+      branchedFrom: options.branchedFrom || null,
+      createdAt: options.createdAt || now,
+      updatedAt: options.updatedAt || now
+    };
+  }
+
+  /**
+   * Give every conversation in the history (and the current one) a thread record
+   */
+  ensureThreads() {
+    const threads = { ...(this.state.threads || {}) };
+    const ids = new Set([this.state.conversationId, ...this.state.chatHistory.map(msg => msg.conversationId)]);
+
+    ids.forEach(id => {
+      if (!id || threads[id]) return;
+      const messages = this.state.chatHistory.filter(msg => msg.conversationId === id);
+      const firstUser = messages.find(msg => msg.type === 'user');
+      threads[id] = this.createThreadRecord(id, {
+        title: firstUser ? this.getAutoTitle(firstUser.content) : null,
+        mode: messages[messages.length - 1]?.mode,
+        createdAt: messages[0]?.timestamp,
+        updatedAt: messages[messages.length - 1]?.timestamp
+      });
+    });
+
+    this.state.threads = threads;
+  }
+
+  getAutoTitle(content) {
+    const text = String(content || '').replace(/\s+/g, ' ').trim();
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text || 'New conversation';
+  }
+
+  /**
+   * Update one thread record
+   */
+  updateThread(threadId, updates) {
+    const thread = this.state.threads[threadId];
+    if (!thread) return null;
+
+    const updated = { ...thread, ...updates };
+    this.updateState({ threads: { ...this.state.threads, [threadId]: updated } });
+    return updated;
+  }
+
   /**
    * Add message to chat history
+   * @returns {Object} - The stored message
    */
   addMessage(content, type = 'user', metadata = {}) {
     const message = {
@@ -206,27 +278,194 @@ class SidebarState {
       type,
       timestamp: Date.now(),
       mode: this.state.currentMode,
+      conversationId: this.state.conversationId,
       metadata
     };
+
+    const threadId = this.state.conversationId;
+    const thread = this.state.threads[threadId] || this.createThreadRecord(threadId);
+    const titleFromMessage = thread.autoTitle && type === 'user' &&
+      !this.state.chatHistory.some(msg => msg.conversationId === threadId && msg.type === 'user');
     
     this.updateState({
-      chatHistory: [...this.state.chatHistory, message]
+      chatHistory: [...this.state.chatHistory, message],
+      threads: {
+        ...this.state.threads,
+        [threadId]: {
+          ...thread,
+          mode: this.state.currentMode,
+          updatedAt: message.timestamp,
+          ...(titleFromMessage ? { title: this.getAutoTitle(content) } : {})
+        }
+      }
     });
+    return message;
   }
 
   /**
-   * Clear chat history
+   * Clear chat history of every conversation
    */
   clearChatHistory() {
-    this.updateState({ chatHistory: [] });
+    const conversationId = this.createConversationId();
+    this.updateState({
+      chatHistory: [],
+      chatSummaries: {},
+      conversationId,
+      threads: { [conversationId]: this.createThreadRecord(conversationId) }
+    });
   }
 
   /**
-   * Get chat history for current mode
+   * Clear the messages of one conversation, keeping the thread
+   */
+  clearThreadMessages(threadId = null) {
+    const targetId = threadId || this.state.conversationId;
+    const { [targetId]: removedSummary, ...chatSummaries } = this.state.chatSummaries || {};
+    this.updateState({
+      chatHistory: this.state.chatHistory.filter(msg => msg.conversationId !== targetId),
+      chatSummaries
+    });
+  }
+
+  /**
+   * Get chat history of the current conversation for a mode
    */
   getChatHistory(mode = null) {
     const targetMode = mode || this.state.currentMode;
-    return this.state.chatHistory.filter(msg => msg.mode === targetMode);
+    return this.getConversationMessages().filter(msg => msg.mode === targetMode);
+  }
+
+  /**
+   * All messages of a conversation (any mode), oldest first
+   */
+  getConversationMessages(conversationId = null) {
+    const targetId = conversationId || this.state.conversationId;
+    return this.state.chatHistory.filter(msg => msg.conversationId === targetId);
+  }
+
+  /**
+   * Create a thread and switch to it, optionally seeded with copies of earlier messages
+   * @param {Object} options - { title, mode, pinned, pageContext, branchedFrom, messages }
+   * @returns {string} - New thread (conversation) id
+   */
+  createThread(options = {}) {
+    const conversationId = this.createConversationId();
+    const firstUser = (options.messages || []).find(msg => msg.type === 'user');
+    const thread = this.createThreadRecord(conversationId, {
+      ...options,
+      title: options.title || (firstUser ? this.getAutoTitle(firstUser.content) : null)
+    });
+    const copies = (options.messages || []).map(msg => ({
+      ...msg,
+      id: Date.now() + Math.random(),
+      conversationId,
+      mode: this.isValidMode(msg.mode) ? msg.mode : thread.mode
+    }));
+
+    this.updateState({
+      conversationId,
+      currentMode: thread.mode,
+      chatHistory: [...this.state.chatHistory, ...copies],
+      threads: { ...this.state.threads, [conversationId]: thread }
+    });
+    return conversationId;
+  }
+
+  getThread(threadId = null) {
+    return this.state.threads[threadId || this.state.conversationId] || null;
+  }
+
+  /**
+   * Threads, pinned first then most recently updated, optionally filtered by a
+   * search over titles and message text
+   */
+  listThreads(query = '') {
+    const needle = String(query || '').trim().toLowerCase();
+    const matches = (thread) => !needle ||
+      thread.title.toLowerCase().includes(needle) ||
+      this.getConversationMessages(thread.id).some(msg => String(msg.content).toLowerCase().includes(needle));
+
+    return Object.values(this.state.threads)
+      .filter(matches)
+      .map(thread => ({ ...thread, messageCount: this.getConversationMessages(thread.id).length }))
+      .sort((a, b) => (Number(b.pinned) - Number(a.pinned)) || (b.updatedAt - a.updatedAt));
+  }
+
+  /**
+   * Make a thread current; its mode becomes the sidebar mode
+   */
+  switchThread(threadId) {
+    const thread = this.state.threads[threadId];
+    if (!thread) return false;
+
+    this.updateState({
+      conversationId: threadId,
+      currentMode: thread.mode,
+      userPreferences: {
+        ...this.state.userPreferences,
+        lastUsedMode: thread.mode
+      }
+    });
+    return true;
+  }
+
+  renameThread(threadId, title) {
+    const trimmed = String(title || '').trim();
+    if (!trimmed) return null;
+    return this.updateThread(threadId, { title: trimmed, autoTitle: false });
+  }
+
+  setThreadPinned(threadId, pinned) {
+    return this.updateThread(threadId, { pinned: !!pinned });
+  }
+
+  /**
+   * Attach page context ({ url, title, excerpt }) to a thread, or detach it with null
+   */
+  setThreadPageContext(threadId, pageContext) {
+    return this.updateThread(threadId, { pageContext: pageContext || null });
+  }
+
+  /**
+   * Delete a thread with its messages; deleting the current thread switches to
+   * the most recent remaining one (or a new, empty thread)
+   */
+  deleteThread(threadId) {
+    const { [threadId]: removedThread, ...threads } = this.state.threads;
+    const { [threadId]: removedSummary, ...chatSummaries } = this.state.chatSummaries || {};
+    const chatHistory = this.state.chatHistory.filter(msg => msg.conversationId !== threadId);
+
+    let conversationId = this.state.conversationId;
+    if (conversationId === threadId) {
+      const next = Object.values(threads).sort((a, b) => b.updatedAt - a.updatedAt)[0];
+      conversationId = next ? next.id : this.createConversationId();
+      if (!next) {
+        threads[conversationId] = this.createThreadRecord(conversationId);
+      }
+    }
+
+    this.updateState({
+      chatHistory,
+      chatSummaries,
+      threads,
+      conversationId,
+      currentMode: threads[conversationId].mode
+    });
+    return conversationId;
+  }
+
+  /**
+   * Summary of a conversation's compacted turns
+   * @returns {{text: string, throughId: number}|null}
+   */
+  getConversationSummary(conversationId = null) {
+    return this.state.chatSummaries?.[conversationId || this.state.conversationId] || null;
+  }
+
+  setConversationSummary(conversationId, summary) {
+    this.updateState({
+      chatSummaries: { ...this.state.chatSummaries, [conversationId]: summary }
+    });
   }
 
   /**
@@ -308,6 +547,9 @@ class SidebarState {
       currentMode: 'student',
       isProcessing: false,
       chatHistory: [],
+      conversationId: this.createConversationId(),
+      chatSummaries: {},
+      threads: {},
       settings: {
         theme: 'auto',
         position: 'right',
@@ -321,6 +563,7 @@ class SidebarState {
         voiceEnabled: false
       }
     };
+    this.ensureThreads();
     
     this.notifyStateChange(this.state, {});
   }
@@ -0,0 +1,389 @@
+/**
+ * ChromeAI Studio - Smart Sidebar Study Module
+ * Flashcard decks: review due cards with spaced repetition, take scored quizzes,
+ * and import/export Anki text files
+ */
+
+class SidebarStudy {
+  constructor(sidebar) {
+    this.sidebar = sidebar;
+    this.panel = null;
+    this.session = null;
+    this.unsubscribe = null;
+  }
+
+  get store() {
+    return window.ChromeAIStudio?.studyDecks || null;
+  }
+
+  get domUtils() {
+    return window.ChromeAIStudio.domUtils;
+  }
+
+  /**
+   * Open the study panel over the chat view
+   * @param {string|null} deckId - Start reviewing this deck right away
+   */
+  async open(deckId = null) {
+    const sidebarElement = this.sidebar?.ui?.sidebarElement;
+    if (!sidebarElement || !this.store) return;
+
+    const mainContent = sidebarElement.querySelector('.ai-main-content');
+    if (mainContent) {
+      mainContent.style.display = 'none';
+    }
+
+    if (!this.panel) {
+      this.panel = this.createPanel();
+      sidebarElement.appendChild(this.panel);
+      // Cards added from the selection menu or another tab
+      this.unsubscribe = this.store.addListener(() => {
+        if (!this.session && this.panel?.style.display !== 'none') this.renderDecks();
+      });
+    }
+
+    this.panel.style.display = 'flex';
+    requestAnimationFrame(() => this.panel.classList.add('show'));
+
+    await this.store.load();
+    if (deckId) {
+      this.startReview(deckId);
+    } else {
+      this.session = null;
+      this.renderDecks();
+    }
+  }
+
+  /**
+   * Close the panel and return to the chat view
+   */
+  close() {
+    this.session = null;
+    if (this.panel) {
+      this.panel.classList.remove('show');
+      this.panel.style.display = 'none';
+    }
+
+    const mainContent = this.sidebar?.ui?.sidebarElement?.querySelector('.ai-main-content');
+    if (mainContent) {
+      mainContent.style.display = 'block';
+      mainContent.style.opacity = '1';
+    }
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'ai-settings-panel ai-task-history-panel ai-study-panel';
+    panel.innerHTML = `
+      <div class="ai-settings-header">
+        <button class="ai-back-btn" id="study-back" title="Back">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.42-1.41L7.83 13H20v-2z"/>
+          </svg>
+          <span>Back</span>
+        </button>
+        <h2 class="ai-settings-title">Study</h2>
+        <button class="ai-reset-btn" id="study-import">Import</button>
+        <input type="file" id="study-file" accept=".txt,.tsv,.csv,text/plain,text/csv,text/tab-separated-values" style="display: none;" />
+      </div>
+      <div class="ai-settings-content">
+        <div class="ai-task-history-body"></div>
+      </div>
+    `;
+
+    // Back leaves a review or quiz first, then the panel
+    panel.querySelector('#study-back').addEventListener('click', () => {
+      if (this.session) {
+        this.session = null;
+        this.renderDecks();
+      } else {
+        this.close();
+      }
+    });
+
+    const fileInput = panel.querySelector('#study-file');
+    panel.querySelector('#study-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = '';
+      if (file) await this.importFile(file);
+    });
+
+    return panel;
+  }
+
+  get body() {
+    return this.panel?.querySelector('.ai-task-history-body');
+  }
+
+  // --- Decks ---
+
+  renderDecks() {
+    const body = this.body;
+    if (!body) return;
+
+    const decks = this.store.listDecks();
+    if (decks.length === 0) {
+      body.innerHTML = `
+        <div class="ai-task-history-empty">
+          No decks yet. In Student mode, select text and choose Flashcards or Create Quiz,
+          or import an Anki text export.
+        </div>`;
+      return;
+    }
+
+    const totalDue = decks.reduce((sum, deck) => sum + deck.due, 0);
+    body.innerHTML = `
+      <div class="ai-kb-actions">
+        <button class="ai-secondary-btn" data-all="review" ${totalDue === 0 ? 'disabled' : ''}>Review all (${totalDue} due)</button>
+        <button class="ai-secondary-btn" data-all="tsv">Export Anki TSV</button>
+        <button class="ai-secondary-btn" data-all="csv">Export CSV</button>
+      </div>
+      ${decks.map(deck => `
+        <div class="ai-task-history-item ai-thread-item" data-id="${this.domUtils.escapeHtml(deck.id)}">
+          <div class="ai-thread-open">
+            <div class="ai-task-history-title">${this.domUtils.escapeHtml(deck.name)}</div>
+            <div class="ai-task-history-meta">
+              <span class="ai-study-due">${deck.due} due</span>
+              <span>${deck.fresh} new · ${deck.learned} learned · ${deck.total} cards</span>
+              ${deck.quizzes > 0 ? `<span>${deck.quizzes} quiz questions${this.formatBestScore(deck.id)}</span>` : ''}
+            </div>
+          </div>
+          <div class="ai-thread-actions">
+            <button class="ai-thread-action" data-action="review" title="Review due cards" ${deck.due === 0 ? 'disabled' : ''}>🃏</button>
+            <button class="ai-thread-action" data-action="quiz" title="Take quiz" ${deck.quizzes === 0 ? 'disabled' : ''}>❓</button>
+            <button class="ai-thread-action" data-action="rename" title="Rename">✏️</button>
+            <button class="ai-thread-action" data-action="delete" title="Delete deck">🗑️</button>
+          </div>
+        </div>
+      `).join('')}
+    `;
+
+    body.querySelector('[data-all="review"]').addEventListener('click', () => this.startReview(null));
+    body.querySelector('[data-all="tsv"]').addEventListener('click', () => this.exportDecks(decks.map(deck => deck.id), 'tsv'));
+    body.querySelector('[data-all="csv"]').addEventListener('click', () => this.exportDecks(decks.map(deck => deck.id), 'csv'));
+    body.querySelectorAll('.ai-thread-item').forEach(item => {
+      const deck = decks.find(d => d.id === item.dataset.id);
+      item.querySelectorAll('[data-action]').forEach(button => {
+        button.addEventListener('click', () => this.handleDeckAction(button.dataset.action, deck));
+      });
+    });
+  }
+
+  formatBestScore(deckId) {
+    const history = this.store.getQuizHistory(deckId);
+    if (history.length === 0) return '';
+    const best = history.reduce((top, result) => (result.score / result.total > top.score / top.total ? result : top));
+    return ` · best ${best.score}/${best.total}`;
+  }
+
+  async handleDeckAction(action, deck) {
+    if (!deck) return;
+    switch (action) {
+      case 'review':
+        this.startReview(deck.id);
+        break;
+      case 'quiz':
+        this.startQuiz(deck.id);
+        break;
+      case 'rename': {
+        const name = prompt('Rename deck:', deck.name);
+        if (name) await this.store.renameDeck(deck.id, name);
+        break;
+      }
+      case 'delete':
+        if (confirm(`Delete "${deck.name}" and its ${deck.total} card(s)?`)) {
+          await this.store.deleteDeck(deck.id);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // --- Review ---
+
+  startReview(deckId) {
+    const cards = this.store.getDueCards(deckId);
+    this.session = { type: 'review', deckId, cards, index: 0, revealed: false, reviewed: 0 };
+    this.renderReview();
+  }
+
+  renderReview() {
+    const body = this.body;
+    const session = this.session;
+    if (!body || session?.type !== 'review') return;
+
+    const card = session.cards[session.index];
+    if (!card) {
+      body.innerHTML = `
+        <div class="ai-study-card ai-study-done">
+          <div class="ai-study-front">🎉 All caught up</div>
+          <div class="setting-description">${session.reviewed} card(s) reviewed. Come back when more are due.</div>
+        </div>
+        <div class="ai-kb-actions"><button class="ai-secondary-btn" data-study="decks">Back to decks</button></div>`;
+      body.querySelector('[data-study="decks"]').addEventListener('click', () => {
+        this.session = null;
+        this.renderDecks();
+      });
+      return;
+    }
+
+    const deck = this.store.getDeck(card.deckId);
+    const intervals = this.store.previewIntervals(card);
+    const options = card.type === 'quiz'
+      ? `<ol class="ai-study-options" type="A">${card.options.map(option => `<li>${this.domUtils.escapeHtml(option)}</li>`).join('')}</ol>`
+      : '';
+    const back = card.type === 'quiz'
+      ? `<strong>${String.fromCharCode(65 + card.answer)}) ${this.domUtils.escapeHtml(card.back)}</strong>${card.explanation ? `<p>${this.domUtils.escapeHtml(card.explanation)}</p>` : ''}`
+      : this.domUtils.escapeHtml(card.back);
+
+    body.innerHTML = `
+      <div class="ai-task-history-meta">
+        <span>${session.index + 1} of ${session.cards.length}</span>
+        <span>${this.domUtils.escapeHtml(deck?.name || '')}</span>
+      </div>
+      <div class="ai-study-card">
+        <div class="ai-study-front">${this.domUtils.escapeHtml(card.front)}</div>
+        ${options}
+        ${session.revealed ? `<div class="ai-study-back">${back}</div>` : ''}
+      </div>
+      <div class="ai-kb-actions">
+        ${session.revealed
+          ? Object.entries(intervals).map(([grade, days]) => `
+              <button class="ai-secondary-btn ai-study-grade" data-grade="${grade}">
+                ${grade.charAt(0).toUpperCase() + grade.slice(1)} <small>${this.formatInterval(days)}</small>
+              </button>`).join('')
+          : '<button class="ai-secondary-btn" data-study="reveal">Show answer</button>'}
+      </div>`;
+
+    body.querySelector('[data-study="reveal"]')?.addEventListener('click', () => {
+      session.revealed = true;
+      this.renderReview();
+    });
+    body.querySelectorAll('[data-grade]').forEach(button => {
+      button.addEventListener('click', async () => {
+        await this.store.review(card.id, button.dataset.grade);
+        session.reviewed++;
+        session.index++;
+        session.revealed = false;
+        this.renderReview();
+      });
+    });
+  }
+
+  formatInterval(days) {
+    if (days < 30) return `${days}d`;
+    if (days < 365) return `${Math.round(days / 30)}mo`;
+    return `${(days / 365).toFixed(1)}y`;
+  }
+
+  // --- Quiz ---
+
+  /**
+   * @param {string} deckId
+   * @param {string[]|null} cardIds - Only these questions (e.g. the ones just generated)
+   */
+  startQuiz(deckId, cardIds = null) {
+    const questions = this.store.getCards(deckId)
+      .filter(card => card.type === 'quiz' && (!cardIds || cardIds.includes(card.id)));
+    if (questions.length === 0) {
+      this.session = null;
+      this.renderDecks();
+      return;
+    }
+    this.session = { type: 'quiz', deckId, questions, index: 0, answers: [], choice: null, result: null };
+    this.renderQuiz();
+  }
+
+  renderQuiz() {
+    const body = this.body;
+    const session = this.session;
+    if (!body || session?.type !== 'quiz') return;
+
+    if (session.result) {
+      const { score, total } = session.result;
+      body.innerHTML = `
+        <div class="ai-study-card ai-study-done">
+          <div class="ai-study-front">${score} / ${total} correct</div>
+          <div class="setting-description">${Math.round((score / total) * 100)}%${this.formatBestScore(session.deckId)}</div>
+        </div>
+        <div class="ai-kb-actions">
+          <button class="ai-secondary-btn" data-study="retry">Try again</button>
+          <button class="ai-secondary-btn" data-study="decks">Back to decks</button>
+        </div>`;
+      body.querySelector('[data-study="retry"]').addEventListener('click', () => this.startQuiz(session.deckId, session.questions.map(card => card.id)));
+      body.querySelector('[data-study="decks"]').addEventListener('click', () => {
+        this.session = null;
+        this.renderDecks();
+      });
+      return;
+    }
+
+    const question = session.questions[session.index];
+    const answered = session.choice !== null;
+    body.innerHTML = `
+      <div class="ai-task-history-meta">
+        <span>Question ${session.index + 1} of ${session.questions.length}</span>
+        <span>${session.answers.filter(answer => answer.correct).length} correct so far</span>
+      </div>
+      <div class="ai-study-card">
+        <div class="ai-study-front">${this.domUtils.escapeHtml(question.front)}</div>
+        <div class="ai-study-choices">
+          ${question.options.map((option, i) => {
+            const state = !answered ? '' : i === question.answer ? 'correct' : i === session.choice ? 'wrong' : '';
+            return `<button class="ai-study-choice ${state}" data-choice="${i}" ${answered ? 'disabled' : ''}>${String.fromCharCode(65 + i)}) ${this.domUtils.escapeHtml(option)}</button>`;
+          }).join('')}
+        </div>
+        ${answered ? `
+          <div class="ai-study-back">
+            ${session.choice === question.answer ? '✅ Correct.' : `❌ The answer is ${String.fromCharCode(65 + question.answer)}.`}
+            ${question.explanation ? `<p>${this.domUtils.escapeHtml(question.explanation)}</p>` : ''}
+          </div>` : ''}
+      </div>
+      ${answered ? `<div class="ai-kb-actions"><button class="ai-secondary-btn" data-study="next">${session.index + 1 < session.questions.length ? 'Next question' : 'See score'}</button></div>` : ''}`;
+
+    body.querySelectorAll('[data-choice]').forEach(button => {
+      button.addEventListener('click', () => {
+        session.choice = Number(button.dataset.choice);
+        session.answers.push({ cardId: question.id, choice: session.choice, correct: session.choice === question.answer });
+        this.renderQuiz();
+      });
+    });
+    body.querySelector('[data-study="next"]')?.addEventListener('click', async () => {
+      session.index++;
+      session.choice = null;
+      if (session.index >= session.questions.length) {
+        session.result = await this.store.recordQuiz(session.deckId, session.answers);
+      }
+      this.renderQuiz();
+    });
+  }
+
+  // --- Import / export ---
+
+  exportDecks(deckIds, format) {
+    const content = this.store.exportAnki(deckIds, format);
+    this.domUtils.downloadFile(
+      content,
+      `chromeai-flashcards-${new Date().toISOString().split('T')[0]}.${format === 'csv' ? 'csv' : 'txt'}`,
+      format === 'csv' ? 'text/csv' : 'text/tab-separated-values'
+    );
+  }
+
+  async importFile(file) {
+    try {
+      const result = await this.store.importAnki(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+      alert(`Imported ${result.added} card(s) into ${result.decks.join(', ') || 'no decks'}.${result.skipped > 0 ? ` Skipped ${result.skipped} duplicate or incomplete row(s).` : ''}`);
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SidebarStudy;
+} else if (typeof window !== 'undefined') {
+  window.SidebarStudy = SidebarStudy;
+}
@@ -756,6 +756,10 @@ class SidebarStylesOld {
       }
       
 .ai-settings-btn,
+.ai-threads-btn,
+.ai-documents-btn,
+.ai-collections-btn,
+.ai-history-btn,
 .ai-sidebar-close {
         width: 36px;
         height: 36px;
@@ -773,12 +777,20 @@ class SidebarStylesOld {
       }
       
       .ai-settings-btn:hover,
+      .ai-threads-btn:hover,
+      .ai-documents-btn:hover,
+      .ai-collections-btn:hover,
+      .ai-history-btn:hover,
       .ai-sidebar-close:hover {
         background: #f3f4f6;
         color: #374151;
       }
       
 .ai-settings-btn svg,
+.ai-threads-btn svg,
+.ai-documents-btn svg,
+.ai-collections-btn svg,
+.ai-history-btn svg,
 .ai-sidebar-close svg {
         width: 18px;
         height: 18px;
@@ -2054,6 +2066,447 @@ class SidebarStylesOld {
         }
       }
       
+      /* Task History Panel */
+      .ai-task-history-search {
+        padding: 16px 24px 0 24px;
+      }
+      
+      .ai-task-history-input {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 10px 12px;
+        border: 1px solid #e9ecef;
+        border-radius: 8px;
+        font-size: 14px;
+        font-family: inherit;
+        resize: vertical;
+      }
+      
+      .ai-task-history-body {
+        padding: 16px 24px;
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+      }
+      
+      .ai-task-history-empty {
+        color: #6b7280;
+        font-size: 14px;
+        text-align: center;
+        padding: 32px 0;
+      }
+      
+      .ai-task-history-item {
+        text-align: left;
+        background: #ffffff;
+        border: 1px solid #e9ecef;
+        border-radius: 12px;
+        padding: 12px 14px;
+        cursor: pointer;
+      }
+      
+      .ai-task-history-item:hover {
+        border-color: #6366f1;
+        box-shadow: 0 2px 8px rgba(99, 102, 241, 0.12);
+      }
+      
+      .ai-task-history-title,
+      .ai-task-history-detail-title {
+        font-size: 14px;
+        font-weight: 600;
+        color: #111827;
+        margin: 0 0 6px 0;
+        overflow-wrap: anywhere;
+      }
+      
+      .ai-task-history-meta {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        font-size: 12px;
+        color: #6b7280;
+      }
+      
+      .ai-task-history-status {
+        font-weight: 600;
+        text-transform: capitalize;
+      }
+      
+      .ai-task-status-completed { color: #10b981; }
+      .ai-task-status-failed { color: #ef4444; }
+      .ai-task-status-stopped { color: #f59e0b; }
+      
+      .ai-task-history-link {
+        background: none;
+        border: none;
+        color: #6366f1;
+        cursor: pointer;
+        padding: 0;
+        margin-bottom: 12px;
+        font-size: 13px;
+      }
+      
+      .ai-task-history-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin: 12px 0;
+      }
+      
+      .ai-task-history-actions .ai-secondary-btn,
+      .ai-task-history-edit .ai-secondary-btn {
+        padding: 6px 10px;
+        font-size: 12px;
+      }
+      
+      .ai-task-history-edit {
+        margin-bottom: 12px;
+      }
+      
+      .ai-task-history-edit .ai-secondary-btn {
+        margin-top: 6px;
+      }
+      
+      .ai-task-history-detail h4 {
+        font-size: 13px;
+        color: #374151;
+        margin: 16px 0 8px 0;
+      }
+      
+      .ai-task-history-steps,
+      .ai-task-history-sources {
+        margin: 0;
+        padding-left: 18px;
+        font-size: 13px;
+        color: #374151;
+      }
+      
+      .ai-task-history-step {
+        margin-bottom: 6px;
+        overflow-wrap: anywhere;
+      }
+      
+      .ai-task-history-step-result {
+        color: #6b7280;
+      }
+      
+      .ai-task-history-step-error {
+        color: #ef4444;
+      }
+      
+      .ai-task-history-summary {
+        font-size: 13px;
+        color: #374151;
+        overflow-wrap: anywhere;
+      }
+      
+      /* Agent Approval Rules */
+      .ai-agent-approval-rules {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        margin-top: 6px;
+      }
+
+      .ai-agent-approval-rule {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        font-size: 12px;
+      }
+
+      .ai-agent-approval-rule .ai-secondary-btn {
+        padding: 4px 10px;
+        font-size: 12px;
+      }
+
+      /* Knowledge Base */
+      .ai-setting-item textarea.ai-kb-excluded {
+        width: 100%;
+        padding: 8px 12px;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        font-size: 13px;
+        font-family: inherit;
+        resize: vertical;
+        box-sizing: border-box;
+      }
+
+      .ai-kb-actions {
+        display: flex;
+        gap: 8px;
+        margin-top: 8px;
+      }
+
+      /* Custom Actions */
+      .ai-custom-action-list {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+      }
+
+      .ai-custom-action-item {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .ai-custom-action-item .ai-secondary-btn,
+      .ai-custom-action-item .ai-danger-btn {
+        padding: 4px 10px;
+        font-size: 12px;
+      }
+
+      .ai-custom-action-icon {
+        width: 20px;
+        text-align: center;
+        font-size: 16px;
+      }
+
+      .ai-custom-action-info {
+        flex: 1;
+        min-width: 0;
+      }
+
+      .ai-custom-action-name {
+        font-size: 13px;
+        font-weight: 600;
+      }
+
+      .ai-custom-action-modes {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 10px;
+        font-size: 13px;
+      }
+
+      /* MCP Servers */
+      .ai-mcp-server-list {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        margin: 8px 0;
+      }
+
+      .ai-mcp-server-item .ai-toggle-switch {
+        flex-shrink: 0;
+      }
+
+      .ai-mcp-server-item .setting-description {
+        overflow-wrap: anywhere;
+      }
+
+      .ai-mcp-log {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        max-height: 180px;
+        overflow-y: auto;
+        font-size: 12px;
+      }
+
+      .ai-mcp-log-entry {
+        display: flex;
+        gap: 6px;
+        color: #6b7280;
+      }
+
+      .ai-mcp-log-target {
+        flex: 1;
+        min-width: 0;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        color: inherit;
+      }
+
+      /* Conversation Threads */
+      .ai-thread-item {
+        display: flex;
+        align-items: flex-start;
+        gap: 8px;
+        cursor: default;
+      }
+
+      .ai-thread-item.active {
+        border-color: #6366f1;
+        background: #f5f5ff;
+      }
+
+      .ai-thread-open {
+        flex: 1;
+        min-width: 0;
+        text-align: left;
+        background: none;
+        border: none;
+        padding: 0;
+        cursor: pointer;
+        font-family: inherit;
+      }
+
+      .ai-thread-mode {
+        font-weight: 600;
+        text-transform: capitalize;
+      }
+
+      .ai-thread-actions {
+        display: flex;
+        gap: 2px;
+        flex-shrink: 0;
+      }
+
+      .ai-thread-action {
+        background: none;
+        border: none;
+        border-radius: 6px;
+        padding: 4px;
+        cursor: pointer;
+        font-size: 13px;
+        line-height: 1;
+      }
+
+      .ai-thread-action:hover {
+        background: #f3f4f6;
+      }
+
+      /* Local Documents */
+      .ai-documents-hint {
+        font-size: 12px;
+        line-height: 1.5;
+        color: #6b7280;
+        margin-bottom: 12px;
+      }
+
+      .ai-documents-panel .ai-thread-open {
+        cursor: default;
+      }
+
+      /* Research Collections */
+      .ai-collections-project {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin-bottom: 12px;
+      }
+
+      .ai-collections-project .ai-select-wrapper {
+        flex: 1;
+        min-width: 0;
+      }
+
+      .ai-collections-excerpt {
+        font-size: 12px;
+        line-height: 1.4;
+        color: #4b5563;
+        margin: 4px 0;
+        overflow-wrap: anywhere;
+      }
+
+      /* Study (flashcards and quizzes) */
+      .ai-study-card {
+        border: 1px solid #e5e7eb;
+        border-radius: 12px;
+        padding: 16px;
+        margin: 12px 0;
+        background: #ffffff;
+      }
+
+      .ai-study-front {
+        font-size: 15px;
+        font-weight: 600;
+        line-height: 1.5;
+      }
+
+      .ai-study-back {
+        margin-top: 12px;
+        padding-top: 12px;
+        border-top: 1px dashed #e5e7eb;
+        font-size: 14px;
+        line-height: 1.5;
+      }
+
+      .ai-study-done {
+        text-align: center;
+      }
+
+      .ai-study-options {
+        margin: 8px 0 0 20px;
+        font-size: 13px;
+      }
+
+      .ai-study-choices {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        margin-top: 12px;
+      }
+
+      .ai-study-choice {
+        text-align: left;
+        padding: 8px 12px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        background: #f9fafb;
+        cursor: pointer;
+        font-family: inherit;
+        font-size: 13px;
+      }
+
+      .ai-study-choice.correct {
+        border-color: #10b981;
+        background: #ecfdf5;
+      }
+
+      .ai-study-choice.wrong {
+        border-color: #ef4444;
+        background: #fef2f2;
+      }
+
+      .ai-study-grade small {
+        opacity: 0.7;
+      }
+
+      .ai-study-due {
+        font-weight: 600;
+        color: #4f46e5;
+      }
+
+      .ai-drop-active::after {
+        content: 'Drop files to add them to your documents';
+        position: absolute;
+        inset: 12px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border: 2px dashed #6366f1;
+        border-radius: 12px;
+        background: rgba(99, 102, 241, 0.08);
+        color: #4f46e5;
+        font-weight: 600;
+        pointer-events: none;
+        z-index: 10;
+      }
+
+      /* Conversation Branching */
+      .ai-branch-button {
+        margin-left: auto;
+        display: inline-flex;
+        align-items: center;
+        background: transparent;
+        border: none;
+        padding: 4px;
+        cursor: pointer;
+        color: #6b7280;
+        opacity: 0;
+        transition: opacity 0.2s ease;
+      }
+
+      .ai-message:hover .ai-branch-button,
+      .ai-branch-button:focus-visible {
+        opacity: 1;
+      }
+
       /* Smooth Animations */
       .ai-settings-panel * {
         transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
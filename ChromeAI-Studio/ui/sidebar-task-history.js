@@ -0,0 +1,302 @@
+/**
+ * ChromeAI Studio - Smart Sidebar Task History Module
+ * Browse archived autonomous agent runs: plan, steps, sources and summary,
+ * with re-run, re-run with edits, and Markdown/JSON export
+ */
+
+class SidebarTaskHistory {
+  constructor(sidebar) {
+    this.sidebar = sidebar;
+    this.panel = null;
+    this.query = '';
+  }
+
+  get history() {
+    return window.ChromeAIStudio?.agentTaskHistory || null;
+  }
+
+  get agent() {
+    return window.ChromeAIStudio?.autonomousAgent || null;
+  }
+
+  get domUtils() {
+    return window.ChromeAIStudio.domUtils;
+  }
+
+  /**
+   * Open the history panel over the chat view
+   */
+  async open() {
+    const sidebarElement = this.sidebar?.ui?.sidebarElement;
+    if (!sidebarElement) return;
+
+    const mainContent = sidebarElement.querySelector('.ai-main-content');
+    if (mainContent) {
+      mainContent.style.display = 'none';
+    }
+
+    if (!this.panel) {
+      this.panel = this.createPanel();
+      sidebarElement.appendChild(this.panel);
+    }
+
+    this.panel.style.display = 'flex';
+    requestAnimationFrame(() => this.panel.classList.add('show'));
+
+    await this.renderList();
+  }
+
+  /**
+   * Close the panel and return to the chat view
+   */
+  close() {
+    if (this.panel) {
+      this.panel.classList.remove('show');
+      this.panel.style.display = 'none';
+    }
+
+    const mainContent = this.sidebar?.ui?.sidebarElement?.querySelector('.ai-main-content');
+    if (mainContent) {
+      mainContent.style.display = 'block';
+      mainContent.style.opacity = '1';
+    }
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'ai-settings-panel ai-task-history-panel';
+    panel.innerHTML = `
+      <div class="ai-settings-header">
+        <button class="ai-back-btn" id="task-history-back" title="Back to main view">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.42-1.41L7.83 13H20v-2z"/>
+          </svg>
+          <span>Back</span>
+        </button>
+        <h2 class="ai-settings-title">Task History</h2>
+        <button class="ai-reset-btn" id="task-history-clear">Clear</button>
+      </div>
+      <div class="ai-settings-content">
+        <div class="ai-task-history-search">
+          <input type="text" class="ai-task-history-input" id="task-history-search" placeholder="Search tasks..." />
+        </div>
+        <div class="ai-task-history-body"></div>
+      </div>
+    `;
+
+    panel.querySelector('#task-history-back').addEventListener('click', () => this.close());
+
+    panel.querySelector('#task-history-clear').addEventListener('click', async () => {
+      if (!this.history) return;
+      if (confirm('Delete all archived agent tasks? This cannot be undone.')) {
+        await this.history.clear();
+        await this.renderList();
+      }
+    });
+
+    panel.querySelector('#task-history-search').addEventListener('input', (e) => {
+      this.query = e.target.value;
+      this.renderList();
+    });
+
+    return panel;
+  }
+
+  /**
+   * Render the list of archived tasks
+   */
+  async renderList() {
+    const body = this.panel?.querySelector('.ai-task-history-body');
+    if (!body) return;
+
+    const search = this.panel.querySelector('.ai-task-history-search');
+    if (search) search.style.display = 'block';
+
+    const records = this.history ? await this.history.search(this.query) : [];
+
+    if (records.length === 0) {
+      body.innerHTML = `
+        <div class="ai-task-history-empty">
+          ${this.query ? 'No tasks match your search.' : 'No agent tasks yet. Ask the voice assistant to research something to get started.'}
+        </div>
+      `;
+      return;
+    }
+
+    body.innerHTML = records.map(record => `
+      <button class="ai-task-history-item" data-id="${this.domUtils.escapeHtml(record.id)}">
+        <div class="ai-task-history-title">${this.domUtils.escapeHtml(record.description)}</div>
+        <div class="ai-task-history-meta">
+          <span class="ai-task-history-status ai-task-status-${this.domUtils.escapeHtml(record.status)}">${this.domUtils.escapeHtml(record.status)}</span>
+          <span>${new Date(record.startTime).toLocaleString()}</span>
+          <span>${record.steps?.length || 0} steps</span>
+          <span>${record.sources?.length || 0} sources</span>
+        </div>
+      </button>
+    `).join('');
+
+    body.querySelectorAll('.ai-task-history-item').forEach(item => {
+      item.addEventListener('click', () => this.renderDetail(item.dataset.id));
+    });
+  }
+
+  /**
+   * Render one archived task with its actions
+   */
+  async renderDetail(id) {
+    const body = this.panel?.querySelector('.ai-task-history-body');
+    const record = await this.history?.get(id);
+    if (!body || !record) return;
+
+    const search = this.panel.querySelector('.ai-task-history-search');
+    if (search) search.style.display = 'none';
+
+    const steps = (record.steps || []).map((step, index) => `
+      <li class="ai-task-history-step ${step.success ? '' : 'failed'}">
+        <div><strong>${index + 1}. ${this.domUtils.escapeHtml(step.action)}</strong>${step.description ? ` — ${this.domUtils.escapeHtml(step.description)}` : ''}</div>
+        ${step.result ? `<div class="ai-task-history-step-result">${this.domUtils.escapeHtml(step.result)}</div>` : ''}
+        ${step.error ? `<div class="ai-task-history-step-error">❌ ${this.domUtils.escapeHtml(step.error)}</div>` : ''}
+      </li>
+    `).join('');
+
+    const plan = (record.plan || []).map(entry => `
+      <li class="ai-task-history-step">
+        <div><strong>${this.domUtils.escapeHtml(entry.action)}</strong>${entry.description ? ` — ${this.domUtils.escapeHtml(entry.description)}` : ''}</div>
+        ${entry.thinking ? `<div class="ai-task-history-step-result">${this.domUtils.escapeHtml(entry.thinking)}</div>` : ''}
+      </li>
+    `).join('');
+
+    // Only web addresses become links; anything else (javascript:, data:, …) is shown as text
+    const sources = (record.sources || []).map(source => {
+      const label = this.domUtils.escapeHtml(source.title || source.url);
+      return this.isWebUrl(source.url)
+        ? `<li><a href="${this.domUtils.escapeHtml(source.url)}" target="_blank" rel="noopener noreferrer">${label}</a></li>`
+        : `<li>${label}</li>`;
+    }).join('');
+
+    const summaryHtml = record.summary
+      ? (this.sidebar?.ui?.renderMarkdownToHtml?.(record.summary) || this.domUtils.escapeHtml(record.summary))
+      : '<p>No summary was produced.</p>';
+
+    body.innerHTML = `
+      <div class="ai-task-history-detail">
+        <button class="ai-task-history-link" data-action="list">← All tasks</button>
+        <h3 class="ai-task-history-detail-title">${this.domUtils.escapeHtml(record.description)}</h3>
+        <div class="ai-task-history-meta">
+          <span class="ai-task-history-status ai-task-status-${this.domUtils.escapeHtml(record.status)}">${this.domUtils.escapeHtml(record.status)}</span>
+          <span>${new Date(record.startTime).toLocaleString()}</span>
+          <span>${Math.round((record.duration || 0) / 1000)}s</span>
+        </div>
+
+        <div class="ai-task-history-actions">
+          <button class="ai-secondary-btn" data-action="rerun">🔁 Re-run</button>
+          <button class="ai-secondary-btn" data-action="edit">✏️ Re-run with edits</button>
+          <button class="ai-secondary-btn" data-action="export-md">⬇️ Markdown</button>
+          <button class="ai-secondary-btn" data-action="export-json">⬇️ JSON</button>
+          <button class="ai-secondary-btn" data-action="delete">🗑️ Delete</button>
+        </div>
+
+        <div class="ai-task-history-edit" style="display: none;">
+          <textarea class="ai-task-history-input" rows="3">${this.domUtils.escapeHtml(record.description)}</textarea>
+          <button class="ai-secondary-btn" data-action="run-edited">▶️ Run</button>
+        </div>
+
+        ${plan ? `<h4>Plan</h4><ol class="ai-task-history-steps">${plan}</ol>` : ''}
+
+        <h4>Steps</h4>
+        <ol class="ai-task-history-steps">${steps || '<li>No steps recorded.</li>'}</ol>
+
+        ${sources ? `<h4>Sources</h4><ul class="ai-task-history-sources">${sources}</ul>` : ''}
+
+        <h4>Summary</h4>
+        <div class="ai-task-history-summary">${summaryHtml}</div>
+      </div>
+    `;
+
+    body.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => this.handleAction(button.dataset.action, record));
+    });
+  }
+
+  async handleAction(action, record) {
+    switch (action) {
+      case 'list':
+        await this.renderList();
+        break;
+      case 'rerun':
+        this.rerun(record);
+        break;
+      case 'edit': {
+        const edit = this.panel.querySelector('.ai-task-history-edit');
+        if (edit) {
+          edit.style.display = 'block';
+          edit.querySelector('textarea')?.focus();
+        }
+        break;
+      }
+      case 'run-edited': {
+        const edited = this.panel.querySelector('.ai-task-history-edit textarea')?.value;
+        this.rerun(record, edited);
+        break;
+      }
+      case 'export-md':
+        this.domUtils.downloadFile(this.history.toMarkdown(record), this.getFileName(record, 'md'), 'text/markdown');
+        break;
+      case 'export-json':
+        this.domUtils.downloadFile(this.history.toJSON(record), this.getFileName(record, 'json'), 'application/json');
+        break;
+      case 'delete':
+        if (confirm('Delete this task from history?')) {
+          await this.history.delete(record.id);
+          await this.renderList();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Start the task again; the agent shows its own progress panel
+   */
+  rerun(record, description = null) {
+    const agent = this.agent;
+    if (!agent) {
+      alert('Autonomous agent not available. Please reload the page.');
+      return;
+    }
+    if (agent.isExecuting) {
+      alert('The agent is already running a task.');
+      return;
+    }
+
+    this.close();
+    agent.rerunTask(record.id, description).catch(error => {
+      console.error('Failed to re-run task:', error);
+    });
+  }
+
+  isWebUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getFileName(record, extension) {
+    const slug = String(record.description || 'task')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, 40);
+    return `chromeai-task-${slug || 'task'}-${new Date(record.startTime).toISOString().split('T')[0]}.${extension}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SidebarTaskHistory;
+} else if (typeof window !== 'undefined') {
+  window.SidebarTaskHistory = SidebarTaskHistory;
+}
@@ -0,0 +1,244 @@
+/**
+ * ChromeAI Studio - Smart Sidebar Threads Module
+ * Conversation thread list: create, switch, rename, pin, search, delete,
+ * attach page context, and JSON export/import of whole threads
+ */
+
+class SidebarThreads {
+  constructor(sidebar) {
+    this.sidebar = sidebar;
+    this.panel = null;
+    this.query = '';
+  }
+
+  get state() {
+    return this.sidebar?.state || null;
+  }
+
+  get chat() {
+    return this.sidebar?.chat || null;
+  }
+
+  get domUtils() {
+    return window.ChromeAIStudio.domUtils;
+  }
+
+  /**
+   * Open the thread list over the chat view
+   */
+  open() {
+    const sidebarElement = this.sidebar?.ui?.sidebarElement;
+    if (!sidebarElement) return;
+
+    const mainContent = sidebarElement.querySelector('.ai-main-content');
+    if (mainContent) {
+      mainContent.style.display = 'none';
+    }
+
+    if (!this.panel) {
+      this.panel = this.createPanel();
+      sidebarElement.appendChild(this.panel);
+    }
+
+    this.panel.style.display = 'flex';
+    requestAnimationFrame(() => this.panel.classList.add('show'));
+
+    this.renderList();
+  }
+
+  /**
+   * Close the panel and return to the chat view
+   */
+  close() {
+    if (this.panel) {
+      this.panel.classList.remove('show');
+      this.panel.style.display = 'none';
+    }
+
+    const mainContent = this.sidebar?.ui?.sidebarElement?.querySelector('.ai-main-content');
+    if (mainContent) {
+      mainContent.style.display = 'block';
+      mainContent.style.opacity = '1';
+    }
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'ai-settings-panel ai-task-history-panel ai-threads-panel';
+    panel.innerHTML = `
+      <div class="ai-settings-header">
+        <button class="ai-back-btn" id="threads-back" title="Back to main view">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.42-1.41L7.83 13H20v-2z"/>
+          </svg>
+          <span>Back</span>
+        </button>
+        <h2 class="ai-settings-title">Conversations</h2>
+        <button class="ai-reset-btn" id="threads-new">New</button>
+      </div>
+      <div class="ai-settings-content">
+        <div class="ai-task-history-search">
+          <input type="text" class="ai-task-history-input" id="threads-search" placeholder="Search conversations..." />
+          <div class="ai-task-history-actions">
+            <button class="ai-secondary-btn" id="threads-new-page">📄 New about this page</button>
+            <button class="ai-secondary-btn" id="threads-import">⬆️ Import</button>
+            <input type="file" id="threads-import-file" accept=".json,application/json" style="display: none;" />
+          </div>
+        </div>
+        <div class="ai-task-history-body"></div>
+      </div>
+    `;
+
+    panel.querySelector('#threads-back').addEventListener('click', () => this.close());
+
+    panel.querySelector('#threads-new').addEventListener('click', () => {
+      this.chat?.newThread();
+      this.close();
+    });
+
+    panel.querySelector('#threads-new-page').addEventListener('click', () => {
+      this.chat?.newThread({ attachPage: true });
+      this.close();
+    });
+
+    const fileInput = panel.querySelector('#threads-import-file');
+    panel.querySelector('#threads-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = '';
+      if (file) {
+        await this.importFile(file);
+      }
+    });
+
+    panel.querySelector('#threads-search').addEventListener('input', (e) => {
+      this.query = e.target.value;
+      this.renderList();
+    });
+
+    return panel;
+  }
+
+  /**
+   * Render the thread list
+   */
+  renderList() {
+    const body = this.panel?.querySelector('.ai-task-history-body');
+    if (!body || !this.state) return;
+
+    const currentId = this.state.getState().conversationId;
+    const threads = this.state.listThreads(this.query);
+
+    if (threads.length === 0) {
+      body.innerHTML = `
+        <div class="ai-task-history-empty">
+          ${this.query ? 'No conversations match your search.' : 'No conversations yet.'}
+        </div>
+      `;
+      return;
+    }
+
+    body.innerHTML = threads.map(thread => `
+      <div class="ai-task-history-item ai-thread-item ${thread.id === currentId ? 'active' : ''}" data-id="${this.domUtils.escapeHtml(thread.id)}">
+        <button class="ai-thread-open" data-action="open">
+          <div class="ai-task-history-title">${thread.pinned ? '📌 ' : ''}${this.domUtils.escapeHtml(thread.title)}</div>
+          <div class="ai-task-history-meta">
+            <span class="ai-thread-mode">${this.domUtils.escapeHtml(thread.mode)}</span>
+            <span>${new Date(thread.updatedAt).toLocaleString()}</span>
+            <span>${thread.messageCount} messages</span>
+            ${thread.pageContext ? `<span title="${this.domUtils.escapeHtml(thread.pageContext.url)}">📄 ${this.domUtils.escapeHtml(thread.pageContext.title || thread.pageContext.url)}</span>` : ''}
+          </div>
+        </button>
+        <div class="ai-thread-actions">
+          <button class="ai-thread-action" data-action="pin" title="${thread.pinned ? 'Unpin' : 'Pin'}">${thread.pinned ? '📍' : '📌'}</button>
+          <button class="ai-thread-action" data-action="rename" title="Rename">✏️</button>
+          <button class="ai-thread-action" data-action="page" title="${thread.pageContext ? 'Detach page' : 'Attach this page'}">${thread.pageContext ? '🔗' : '📄'}</button>
+          <button class="ai-thread-action" data-action="export" title="Export JSON">⬇️</button>
+          <button class="ai-thread-action" data-action="delete" title="Delete">🗑️</button>
+        </div>
+      </div>
+    `).join('');
+
+    body.querySelectorAll('.ai-thread-item').forEach(item => {
+      const thread = threads.find(t => t.id === item.dataset.id);
+      item.querySelectorAll('[data-action]').forEach(button => {
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.handleAction(button.dataset.action, thread);
+        });
+      });
+    });
+  }
+
+  handleAction(action, thread) {
+    if (!thread) return;
+
+    switch (action) {
+      case 'open':
+        this.chat?.switchThread(thread.id);
+        this.close();
+        break;
+      case 'pin':
+        this.state.setThreadPinned(thread.id, !thread.pinned);
+        this.renderList();
+        break;
+      case 'rename': {
+        const title = prompt('Rename conversation', thread.title);
+        if (title !== null) {
+          this.state.renameThread(thread.id, title);
+          this.renderList();
+        }
+        break;
+      }
+      case 'page':
+        this.chat?.setThreadPageContext(thread.id, !thread.pageContext);
+        this.renderList();
+        break;
+      case 'export': {
+        const data = this.chat?.exportConversation(thread.id);
+        if (data) {
+          this.domUtils.downloadFile(JSON.stringify(data, null, 2), this.getFileName(thread), 'application/json');
+        }
+        break;
+      }
+      case 'delete':
+        if (confirm(`Delete "${thread.title}" and its messages? This cannot be undone.`)) {
+          this.chat?.deleteThread(thread.id);
+          this.renderList();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  async importFile(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      const threadIds = this.chat?.importConversation(data) || [];
+      this.renderList();
+      if (threadIds.length > 0) {
+        this.close();
+      }
+    } catch (error) {
+      console.error('Failed to import conversation:', error);
+      alert(`Could not import conversation: ${error.message}`);
+    }
+  }
+
+  getFileName(thread) {
+    const slug = String(thread.title || 'conversation')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, 40);
+    return `chromeai-conversation-${slug || 'conversation'}-${new Date(thread.updatedAt).toISOString().split('T')[0]}.json`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SidebarThreads;
+} else if (typeof window !== 'undefined') {
+  window.SidebarThreads = SidebarThreads;
+}
@@ -68,6 +68,26 @@ class SidebarUIOld {
                 <path d="M12,15.5A3.5,3.5 0 0,1 8.5,12A3.5,3.5 0 0,1 12,8.5A3.5,3.5 0 0,1 15.5,12A3.5,3.5 0 0,1 12,15.5M19.43,12.97C19.47,12.65 19.5,12.33 19.5,12C19.5,11.67 19.47,11.34 19.43,11L21.54,9.37C21.73,9.22 21.78,8.95 21.66,8.73L19.66,5.27C19.54,5.05 19.27,4.96 19.05,5.05L16.56,6.05C16.04,5.66 15.5,5.32 14.87,5.07L14.5,2.42C14.46,2.18 14.25,2 14,2H10C9.75,2 9.54,2.18 9.5,2.42L9.13,5.07C8.5,5.32 7.96,5.66 7.44,6.05L4.95,5.05C4.73,4.96 4.46,5.05 4.34,5.27L2.34,8.73C2.22,8.95 2.27,9.22 2.46,9.37L4.57,11C4.53,11.34 4.5,11.67 4.5,12C4.5,12.33 4.53,12.65 4.57,12.97L2.46,14.63C2.27,14.78 2.22,15.05 2.34,15.27L4.34,18.73C4.46,18.95 4.73,19.03 4.95,18.95L7.44,17.94C7.96,18.34 8.5,18.68 9.13,18.93L9.5,21.58C9.54,21.82 9.75,22 10,22H14C14.25,22 14.46,21.82 14.5,21.58L14.87,18.93C15.5,18.68 16.04,18.34 16.56,17.94L19.05,18.95C19.27,19.03 19.54,18.95 19.66,18.73L21.66,15.27C21.78,15.05 21.73,14.78 21.54,14.63L19.43,12.97Z"/>
               </svg>
             </button>
+            <button class="ai-threads-btn" title="Conversations" aria-label="Open conversations" tabindex="0">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M4,2H20A2,2 0 0,1 22,4V16A2,2 0 0,1 20,18H6L2,22V4A2,2 0 0,1 4,2M6,7V9H18V7H6M6,11V13H14V11H6Z"/>
+              </svg>
+            </button>
+            <button class="ai-documents-btn" title="Documents" aria-label="Open documents" tabindex="0">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20M8,12H16V14H8V12M8,16H13V18H8V16Z"/>
+              </svg>
+            </button>
+            <button class="ai-collections-btn" title="Research collections" aria-label="Open research collections" tabindex="0">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M17,18L12,15.82L7,18V5H17M17,3H7A2,2 0 0,0 5,5V21L12,18L19,21V5C19,3.89 18.1,3 17,3Z"/>
+              </svg>
+            </button>
+            <button class="ai-history-btn" title="Task history" aria-label="Open task history" tabindex="0">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M13,3A9,9 0 0,0 4,12H1L4.89,15.89L4.96,16.03L9,12H6A7,7 0 0,1 13,5A7,7 0 0,1 20,12A7,7 0 0,1 13,19C11.07,19 9.32,18.21 8.06,16.94L6.64,18.36C8.27,20 10.5,21 13,21A9,9 0 0,0 22,12A9,9 0 0,0 13,3M12,8V13L16.28,15.54L17,14.33L13.5,12.25V8H12Z"/>
+              </svg>
+            </button>
             <button class="ai-sidebar-close" title="Close Sidebar">
               <svg viewBox="0 0 24 24" fill="currentColor">
                 <path d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z"/>
@@ -151,6 +171,30 @@ class SidebarUIOld {
       settingsBtn.addEventListener('click', () => this.showSettings());
     }
 
+    // Conversations button
+    const threadsBtn = content.querySelector('.ai-threads-btn');
+    if (threadsBtn) {
+      threadsBtn.addEventListener('click', () => this.sidebar.threads?.open());
+    }
+
+    // Documents button
+    const documentsBtn = content.querySelector('.ai-documents-btn');
+    if (documentsBtn) {
+      documentsBtn.addEventListener('click', () => this.sidebar.documents?.open());
+    }
+
+    // Research collections button
+    const collectionsBtn = content.querySelector('.ai-collections-btn');
+    if (collectionsBtn) {
+      collectionsBtn.addEventListener('click', () => this.sidebar.collections?.open());
+    }
+
+    // Task history button
+    const historyBtn = content.querySelector('.ai-history-btn');
+    if (historyBtn) {
+      historyBtn.addEventListener('click', () => this.sidebar.taskHistory?.open());
+    }
+
     // Close button
     const closeBtn = content.querySelector('.ai-sidebar-close');
     if (closeBtn) {
@@ -213,6 +257,12 @@ class SidebarUIOld {
     const textBeforeCursor = input.value.substring(0, cursorPos);
     const lastAtIndex = textBeforeCursor.lastIndexOf('@');
     
+    // `/tool` at the start of the message
+    const commandMatch = textBeforeCursor.match(/^\/([\w-]*)$/);
+    if (commandMatch) {
+      this.showMentionDropdown(input, commandMatch[1], '/');
+      return;
+    }
     
     if (lastAtIndex !== -1) {
       const textAfterAt = textBeforeCursor.substring(lastAtIndex + 1);
@@ -228,11 +278,12 @@ class SidebarUIOld {
   /**
    * Show mention dropdown
    */
-  showMentionDropdown(input, query) {
+  showMentionDropdown(input, query, trigger = '@') {
     const dropdown = this.sidebarElement?.querySelector('#ai-mention-dropdown');
     if (!dropdown) return;
 
-    const matches = this.getMentionMatches(query);
+    const matches = trigger === '/' ? this.getToolMatches(query) : this.getMentionMatches(query);
+    dropdown.dataset.trigger = trigger;
     
     if (matches.length === 0) {
       this.hideMentionDropdown();
@@ -242,7 +293,7 @@ class SidebarUIOld {
     dropdown.innerHTML = matches.map(model => `
       <div class="ai-mention-item" data-model="${model.key}">
         <div class="mention-icon ${model.key}" style="background: ${model.color}">
-          ${model.name.charAt(0)}
+          ${model.icon || model.name.charAt(0)}
         </div>
         <div class="mention-details">
           <div class="mention-name">${model.name}</div>
@@ -263,14 +314,41 @@ class SidebarUIOld {
    * Get mention matches
    */
   getMentionMatches(query) {
-    return Object.entries(this.aiModels)
+    // Local documents (@file:<name>) and the knowledge base (@history) after the AI models
+    const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    const files = (this.sidebar.mentions?.getFileMentions() || []).map(mention => [mention.id, {
+      name: mention.name,
+      description: escape(mention.description),
+      color: '#0ea5e9',
+      icon: '📄'
+    }]);
+    const knowledge = (this.sidebar.mentions?.getKnowledgeMentions() || []).map(mention => [mention.id, {
+      name: mention.name,
+      description: mention.description,
+      color: '#14b8a6',
+      icon: '📚'
+    }]);
+
+    return [...Object.entries(this.aiModels), ...knowledge, ...files]
       .filter(([key, model]) => 
         model.name.toLowerCase().includes(query.toLowerCase()) ||
         key.toLowerCase().includes(query.toLowerCase())
       )
+      .slice(0, 8)
       .map(([key, model]) => ({ key, ...model }));
   }
 
+  /**
+   * Tools from the shared registry, offered after a leading `/`
+   */
+  getToolMatches(query) {
+    const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    return (this.sidebar.mentions?.getToolMentions() || [])
+      .filter(mention => mention.keywords.some(keyword => keyword.toLowerCase().includes(query.toLowerCase())))
+      .slice(0, 8)
+      .map(mention => ({ key: mention.id, name: `/${mention.name}`, description: escape(mention.description), color: '#64748b', icon: '🛠️' }));
+  }
+
   /**
    * Hide mention dropdown
    */
@@ -340,7 +418,12 @@ class SidebarUIOld {
     const textAfterCursor = input.value.substring(cursorPos);
     const lastAtIndex = textBeforeCursor.lastIndexOf('@');
     
-    if (lastAtIndex !== -1) {
+    const dropdown = this.sidebarElement?.querySelector('#ai-mention-dropdown');
+    if (dropdown?.dataset.trigger === '/') {
+      input.value = `/${modelName} ${textAfterCursor}`;
+      input.focus();
+      input.setSelectionRange(modelName.length + 2, modelName.length + 2);
+    } else if (lastAtIndex !== -1) {
       const beforeAt = textBeforeCursor.substring(0, lastAtIndex);
       const newText = beforeAt + '@' + modelName + ' ' + textAfterCursor;
       input.value = newText;
@@ -349,7 +432,9 @@ class SidebarUIOld {
     }
 
     this.hideMentionDropdown();
-    this.updateCurrentModel(modelName);
+    if (this.aiModels[modelName]) {
+      this.updateCurrentModel(modelName);
+    }
   }
 
   /**
@@ -471,6 +556,19 @@ class SidebarUIOld {
                 <label for="position-left" class="ai-toggle-option">Left</label>
               </div>
             </div>
+            <div class="ai-setting-item">
+              <label for="live-proofreading">Proofread While Typing</label>
+              <div class="ai-select-wrapper">
+                <select id="live-proofreading" class="ai-select">
+                  <option value="off">Off</option>
+                  <option value="on">On</option>
+                </select>
+                <svg class="ai-select-arrow" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+                </svg>
+              </div>
+              <span class="setting-description">Underlines issues in text boxes and editors as you write; click one to accept or ignore it</span>
+            </div>
           </div>
         </div>
 
@@ -535,6 +633,38 @@ class SidebarUIOld {
                 <span class="ai-toggle-slider"></span>
               </div>
             </div>
+            <div class="ai-setting-item">
+              <label for="speech-engine">Speech Recognition</label>
+              <div class="ai-select-wrapper">
+                <select id="speech-engine" class="ai-select">
+                  <option value="cloud">Chrome (audio is sent to Google)</option>
+                  <option value="local">On-device (audio stays on this computer)</option>
+                </select>
+                <svg class="ai-select-arrow" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+                </svg>
+              </div>
+              <span class="setting-description ai-speech-engine-status"></span>
+              <div class="ai-kb-actions">
+                <button id="speech-grant-microphone" class="ai-secondary-btn" hidden>Allow Microphone</button>
+              </div>
+            </div>
+            <div class="ai-setting-item">
+              <label for="custom-wake-words">Wake Words</label>
+              <input type="text" id="custom-wake-words" placeholder="hey assistant, computer" />
+              <span class="setting-description">Comma-separated; empty uses the defaults. The on-device engine only knows words in its model.</span>
+            </div>
+            <div class="ai-setting-item">
+              <label for="wake-word-sensitivity">Wake Word Sensitivity</label>
+              <div class="ai-slider-wrapper">
+                <input type="range" id="wake-word-sensitivity" class="ai-slider" min="0.1" max="0.9" step="0.1" />
+                <div class="ai-slider-track">
+                  <div class="ai-slider-progress"></div>
+                </div>
+                <span class="ai-slider-value" id="wake-word-sensitivity-value">0.7</span>
+              </div>
+              <span class="setting-description">On-device engine: higher wakes on less certain matches</span>
+            </div>
           </div>
         </div>
 
@@ -584,6 +714,82 @@ class SidebarUIOld {
                 </svg>
               </div>
             </div>
+            ${this.renderProviderSettings()}
+          </div>
+        </div>
+
+        <!-- Agent Approval Card -->
+        <div class="ai-settings-card">
+          <div class="ai-settings-card-header">
+            <h3 class="ai-settings-section-title">🛡️ Agent Approvals</h3>
+            <button class="ai-settings-toggle" data-section="agent-approvals">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+              </svg>
+            </button>
+          </div>
+          <div class="ai-settings-card-content" data-section="agent-approvals">
+            ${this.renderAgentApprovalSettings()}
+          </div>
+        </div>
+
+        <!-- Search Engine Card -->
+        <div class="ai-settings-card">
+          <div class="ai-settings-card-header">
+            <h3 class="ai-settings-section-title">🔎 Search Engine</h3>
+            <button class="ai-settings-toggle" data-section="search-engines">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+              </svg>
+            </button>
+          </div>
+          <div class="ai-settings-card-content" data-section="search-engines">
+            ${this.renderSearchEngineSettings()}
+          </div>
+        </div>
+
+        <!-- Knowledge Base Card -->
+        <div class="ai-settings-card">
+          <div class="ai-settings-card-header">
+            <h3 class="ai-settings-section-title">📚 Knowledge Base</h3>
+            <button class="ai-settings-toggle" data-section="knowledge-base">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+              </svg>
+            </button>
+          </div>
+          <div class="ai-settings-card-content" data-section="knowledge-base">
+            ${this.renderKnowledgeBaseSettings()}
+          </div>
+        </div>
+
+        <!-- Custom Actions Card -->
+        <div class="ai-settings-card">
+          <div class="ai-settings-card-header">
+            <h3 class="ai-settings-section-title">⚡ Custom Actions</h3>
+            <button class="ai-settings-toggle" data-section="custom-actions">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+              </svg>
+            </button>
+          </div>
+          <div class="ai-settings-card-content" data-section="custom-actions">
+            <div class="ai-custom-actions"></div>
+          </div>
+        </div>
+
+        <!-- MCP Servers Card -->
+        <div class="ai-settings-card">
+          <div class="ai-settings-card-header">
+            <h3 class="ai-settings-section-title">🔌 MCP Servers</h3>
+            <button class="ai-settings-toggle" data-section="mcp-servers">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+              </svg>
+            </button>
+          </div>
+          <div class="ai-settings-card-content" data-section="mcp-servers">
+            <div class="ai-mcp-servers"></div>
           </div>
         </div>
 
@@ -656,6 +862,279 @@ class SidebarUIOld {
     return panel;
   }
 
+  /**
+   * Render per-task AI provider selects and the OpenAI-compatible endpoint fields
+   */
+  renderProviderSettings() {
+    const tasks = [
+      { id: 'prompt', label: 'Chat & Prompts' },
+      { id: 'summarize', label: 'Summarize' },
+      { id: 'write', label: 'Write' },
+      { id: 'rewrite', label: 'Rewrite' },
+      { id: 'translate', label: 'Translate' }
+    ];
+    const providers = window.ChromeAIStudio?.aiProviders?.listProviders() || [
+      { id: 'builtin', name: 'Chrome built-in AI (Gemini Nano)' }
+    ];
+    const options = providers.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+
+    return `
+            ${tasks.map(task => `
+            <div class="ai-setting-item">
+              <label for="ai-provider-${task.id}">${task.label} Provider</label>
+              <div class="ai-select-wrapper">
+                <select id="ai-provider-${task.id}" class="ai-select ai-provider-select" data-task="${task.id}">
+                  ${options}
+                </select>
+                <svg class="ai-select-arrow" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+                </svg>
+              </div>
+            </div>`).join('')}
+            <div class="ai-setting-item">
+              <label for="openai-base-url">Local Server URL</label>
+              <input type="text" id="openai-base-url" placeholder="http://localhost:11434/v1" />
+              <span class="setting-description">OpenAI-compatible endpoint, e.g. Ollama or llama.cpp</span>
+            </div>
+            <div class="ai-setting-item">
+              <label for="openai-model">Local Model</label>
+              <input type="text" id="openai-model" placeholder="llama3.2" />
+            </div>
+            <div class="ai-setting-item">
+              <label for="openai-api-key-settings">API Key (optional)</label>
+              <button type="button" id="openai-api-key-settings" class="ai-secondary-btn">Set API Key…</button>
+              <span class="setting-description">Opens the extension's options page, so the key never enters this page</span>
+            </div>`;
+  }
+
+  /**
+   * Render allow/ask/deny selects for the agent's page-changing actions, voice/chat/bridge tools
+   * by side effect, and the per-site rule list
+   */
+  renderAgentApprovalSettings() {
+    const actions = [
+      { id: 'click', label: 'Click' },
+      { id: 'type', label: 'Type Text' },
+      { id: 'select', label: 'Select Option' },
+      { id: 'check', label: 'Check Box' },
+      { id: 'fillForm', label: 'Fill Form' },
+      { id: 'navigates', label: 'Tools That Open Pages' },
+      { id: 'mutates', label: 'Tools That Change Pages' }
+    ];
+
+    return `
+            ${actions.map(action => `
+            <div class="ai-setting-item">
+              <label for="agent-approval-${action.id}">${action.label}</label>
+              <div class="ai-select-wrapper">
+                <select id="agent-approval-${action.id}" class="ai-select ai-agent-approval-select" data-action="${action.id}">
+                  <option value="allow">Always allow</option>
+                  <option value="ask">Ask me</option>
+                  <option value="deny">Deny</option>
+                </select>
+                <svg class="ai-select-arrow" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+                </svg>
+              </div>
+            </div>`).join('')}
+            <div class="ai-setting-item">
+              <label>Site Rules</label>
+              <span class="setting-description">Payment and password forms always ask, whatever the rules say</span>
+              <div class="ai-agent-approval-rules"></div>
+            </div>`;
+  }
+
+  /**
+   * Render the default search engine, fallback and site search settings used by the agent
+   */
+  renderSearchEngineSettings() {
+    const registry = window.ChromeAIStudio?.searchEngines;
+    const engines = registry ? registry.list() : [{ id: 'google', name: 'Google' }];
+    const presets = window.ChromeAIStudio?.SITE_SEARCH_PRESETS || {};
+    const arrow = `
+                <svg class="ai-select-arrow" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+                </svg>`;
+
+    return `
+            <div class="ai-setting-item">
+              <label for="search-engine-default">Default Engine</label>
+              <div class="ai-select-wrapper">
+                <select id="search-engine-default" class="ai-select">
+                  ${engines.map(engine => `<option value="${engine.id}">${engine.id === 'site' ? 'Site search' : engine.name}</option>`).join('')}
+                </select>${arrow}
+              </div>
+              <span class="setting-description">Used by the agent's search action</span>
+            </div>
+            <div class="ai-setting-item">
+              <label for="search-engine-fallback">On CAPTCHA or No Results</label>
+              <div class="ai-select-wrapper">
+                <select id="search-engine-fallback" class="ai-select">
+                  <option value="on">Try the other engines</option>
+                  <option value="off">Stop</option>
+                </select>${arrow}
+              </div>
+            </div>
+            <div class="ai-setting-item">
+              <label for="search-engine-site">Site Search</label>
+              <div class="ai-select-wrapper">
+                <select id="search-engine-site" class="ai-select">
+                  ${Object.entries(presets).map(([id, preset]) => `<option value="${id}">${preset.name}</option>`).join('')}
+                  <option value="custom">Custom URL</option>
+                </select>${arrow}
+              </div>
+            </div>
+            <div class="ai-setting-item">
+              <label for="search-engine-site-url">Site Search URL</label>
+              <input type="text" id="search-engine-site-url" placeholder="https://example.com/search?q={query}" />
+              <span class="setting-description">{query} is replaced with the search terms; results are read from list items and links</span>
+            </div>`;
+  }
+
+  /**
+   * Render the opt-in knowledge base settings (capture, embeddings, exclusions, purge)
+   */
+  renderKnowledgeBaseSettings() {
+    const arrow = `
+                <svg class="ai-select-arrow" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+                </svg>`;
+
+    return `
+            <div class="ai-setting-item">
+              <label for="kb-enabled">Keep Pages I Read</label>
+              <div class="ai-select-wrapper">
+                <select id="kb-enabled" class="ai-select">
+                  <option value="off">Off</option>
+                  <option value="visits">Pages I read and pages I save</option>
+                  <option value="saved">Only pages I save</option>
+                </select>${arrow}
+              </div>
+              <span class="setting-description">Pages are stored on this device only. Ask about them in chat with @history.</span>
+            </div>
+            <div class="ai-setting-item">
+              <label for="kb-remote-embeddings">Remote Embeddings</label>
+              <div class="ai-select-wrapper">
+                <select id="kb-remote-embeddings" class="ai-select">
+                  <option value="off">Off - keyword search on this device</option>
+                  <option value="on">On - send page text to the AI Providers server</option>
+                </select>${arrow}
+              </div>
+              <span class="setting-description">When on, saved passages and @history questions are sent to the OpenAI-compatible server from AI Providers to improve search.</span>
+            </div>
+            <div class="ai-setting-item">
+              <label for="kb-embedding-model">Embedding Model</label>
+              <input type="text" id="kb-embedding-model" placeholder="nomic-embed-text" />
+              <span class="setting-description">Empty uses the chat model from AI Providers</span>
+            </div>
+            <div class="ai-setting-item">
+              <label for="kb-excluded">Never Keep Pages From</label>
+              <textarea id="kb-excluded" class="ai-kb-excluded" rows="4" placeholder="example.com"></textarea>
+              <span class="setting-description">One domain per line; covers its subdomains. Use *.example.com for subdomains only.</span>
+            </div>
+            <div class="ai-setting-item">
+              <span class="setting-description ai-kb-stats">No pages yet.</span>
+              <div class="ai-kb-actions">
+                <button id="kb-save-page" class="ai-secondary-btn">Save This Page</button>
+                <button id="kb-purge" class="ai-danger-btn">Delete All Pages</button>
+              </div>
+            </div>`;
+  }
+
+  /**
+   * Say whether the on-device speech engine can run, and offer the microphone grant it needs.
+   * The on-device option can't be picked while the engine isn't installed
+   */
+  async renderSpeechEngineStatus(panel) {
+    const statusElement = panel.querySelector('.ai-speech-engine-status');
+    const grantButton = panel.querySelector('#speech-grant-microphone');
+    const localOption = panel.querySelector('#speech-engine option[value="local"]');
+    const speechEngines = window.ChromeAIStudio?.speechEngines;
+    if (!statusElement || !speechEngines) return;
+
+    if (grantButton) grantButton.hidden = true;
+    statusElement.textContent = speechEngines.isLocal()
+      ? 'Checking the on-device engine…'
+      : 'Uses the Web Speech API; audio is recognized on Google servers.';
+
+    let status = null;
+    try {
+      status = await speechEngines.getLocalStatus();
+    } catch (error) {
+      if (speechEngines.isLocal()) {
+        statusElement.textContent = `On-device engine unavailable: ${error.message}`;
+      }
+    }
+
+    const installed = !!(status?.engine && status?.model);
+    if (localOption) {
+      // Stays selectable while selected, so the status below explains why voice input is off
+      localOption.disabled = !installed && !speechEngines.isLocal();
+      localOption.textContent = installed || !status
+        ? 'On-device (audio stays on this computer)'
+        : 'On-device (not installed)';
+    }
+    if (!speechEngines.isLocal() || !status) return;
+
+    if (!installed) {
+      const missing = [!status.engine && 'vosk.js', !status.model && 'model.tar.gz'].filter(Boolean).join(' and ');
+      statusElement.textContent = `Not installed: add ${missing} to vendor/vosk/ in the extension folder (see the README). Voice input is off until then; it does not switch to Chrome's cloud recognition.`;
+    } else if (status.microphone !== 'granted') {
+      statusElement.textContent = 'Installed. The extension needs its own microphone access once.';
+      if (grantButton) grantButton.hidden = false;
+    } else {
+      statusElement.textContent = `Ready${status.loaded ? ', model loaded' : ''}. Audio stays on this computer.`;
+    }
+  }
+
+  /**
+   * Show page and passage counts of the knowledge base
+   */
+  async renderKnowledgeBaseStats(panel) {
+    const statsElement = panel.querySelector('.ai-kb-stats');
+    const knowledgeBase = window.ChromeAIStudio?.knowledgeBase;
+    if (!statsElement || !knowledgeBase) return;
+
+    try {
+      const stats = await knowledgeBase.getStats();
+      statsElement.textContent = stats.pageCount === 0
+        ? 'No pages yet.'
+        : `${stats.pageCount} pages (${stats.savedCount} saved), ${stats.chunkCount} passages${stats.embeddedCount ? `, ${stats.embeddedCount} with embeddings` : ''}.`;
+    } catch (error) {
+      statsElement.textContent = `Knowledge base unavailable: ${error.message}`;
+    }
+  }
+
+  /**
+   * Fill the per-site rule list from the approval policy
+   */
+  renderAgentApprovalRules(panel) {
+    const container = panel.querySelector('.ai-agent-approval-rules');
+    const policy = window.ChromeAIStudio?.agentApprovalPolicy;
+    if (!container || !policy) return;
+
+    const rules = policy.listDomainRules();
+    if (rules.length === 0) {
+      container.innerHTML = '<span class="setting-description">No site rules yet. Choose "Always on this site" on an approval card to add one.</span>';
+      return;
+    }
+
+    const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    container.innerHTML = rules.map(rule => `
+      <div class="ai-agent-approval-rule">
+        <span>${escape(rule.domain)} · ${escape(rule.action === '*' ? 'all actions' : rule.action)} · ${escape(rule.decision)}</span>
+        <button class="ai-secondary-btn" data-domain="${escape(rule.domain)}" data-action="${escape(rule.action)}">Remove</button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('button[data-domain]').forEach(button => {
+      button.addEventListener('click', async () => {
+        await policy.removeDomainRule(button.dataset.domain, button.dataset.action);
+        this.renderAgentApprovalRules(panel);
+      });
+    });
+  }
+
   /**
    * Setup settings event listeners
    */
@@ -805,6 +1284,38 @@ class SidebarUIOld {
       });
     }
 
+    // Speech Engine Settings
+    const speechEngines = window.ChromeAIStudio?.speechEngines;
+    const updateSpeechEngine = async (changes) => {
+      try {
+        await speechEngines?.updateSettings(changes);
+        this.renderSpeechEngineStatus(panel);
+      } catch (error) {
+        console.error('Failed to change speech settings:', error);
+        alert(error.message);
+      }
+    };
+    panel.querySelector('#speech-engine')?.addEventListener('change', (e) => {
+      updateSpeechEngine({ speechEngine: e.target.value });
+    });
+    panel.querySelector('#custom-wake-words')?.addEventListener('change', (e) => {
+      updateSpeechEngine({ customWakeWord: e.target.value.trim() });
+    });
+    panel.querySelector('#wake-word-sensitivity')?.addEventListener('change', (e) => {
+      updateSpeechEngine({ wakeWordSensitivity: parseFloat(e.target.value) });
+    });
+    panel.querySelector('#wake-word-sensitivity')?.addEventListener('input', (e) => {
+      panel.querySelector('#wake-word-sensitivity-value').textContent = parseFloat(e.target.value).toFixed(1);
+    });
+    panel.querySelector('#speech-grant-microphone')?.addEventListener('click', async () => {
+      try {
+        await speechEngines?.requestLocalMicrophone();
+      } catch (error) {
+        console.error('Failed to open the microphone page:', error);
+        alert(error.message);
+      }
+    });
+
     // AI Model Settings
     const aiTemperature = panel.querySelector('#ai-temperature');
     if (aiTemperature) {
@@ -831,6 +1342,145 @@ class SidebarUIOld {
       });
     }
 
+    // AI Provider Settings
+    panel.querySelectorAll('.ai-provider-select').forEach(select => {
+      select.addEventListener('change', async (e) => {
+        try {
+          await window.ChromeAIStudio?.aiProviders?.setProvider(e.target.dataset.task, e.target.value);
+        } catch (error) {
+          console.error('Failed to change AI provider:', error);
+        }
+      });
+    });
+
+    const providerFields = {
+      '#openai-base-url': 'openAICompatibleBaseUrl',
+      '#openai-model': 'openAICompatibleModel'
+    };
+    Object.entries(providerFields).forEach(([selector, key]) => {
+      const input = panel.querySelector(selector);
+      if (input) {
+        input.addEventListener('change', (e) => {
+          this.updateSetting(key, e.target.value.trim());
+        });
+      }
+    });
+
+    panel.querySelector('#openai-api-key-settings')?.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'OPEN_PROVIDER_KEY_SETTINGS' });
+    });
+
+    // Agent Approval Settings
+    panel.querySelectorAll('.ai-agent-approval-select').forEach(select => {
+      select.addEventListener('change', async (e) => {
+        try {
+          await window.ChromeAIStudio?.agentApprovalPolicy?.setDefault(e.target.dataset.action, e.target.value);
+        } catch (error) {
+          console.error('Failed to change agent approval rule:', error);
+        }
+      });
+    });
+
+    // Search Engine Settings
+    const searchEngines = window.ChromeAIStudio?.searchEngines;
+    const engineSelect = panel.querySelector('#search-engine-default');
+    const fallbackSelect = panel.querySelector('#search-engine-fallback');
+    const saveEngineChoice = async () => {
+      try {
+        await searchEngines?.setDefault(engineSelect.value, fallbackSelect.value === 'on');
+      } catch (error) {
+        console.error('Failed to change search engine:', error);
+      }
+    };
+    engineSelect?.addEventListener('change', saveEngineChoice);
+    fallbackSelect?.addEventListener('change', saveEngineChoice);
+
+    const siteSelect = panel.querySelector('#search-engine-site');
+    const siteUrl = panel.querySelector('#search-engine-site-url');
+    siteSelect?.addEventListener('change', async (e) => {
+      const preset = window.ChromeAIStudio?.SITE_SEARCH_PRESETS?.[e.target.value];
+      if (!preset) {
+        siteUrl?.focus();
+        return;
+      }
+      try {
+        await searchEngines?.setSiteSearch({ preset: e.target.value });
+        if (siteUrl) siteUrl.value = preset.urlTemplate;
+      } catch (error) {
+        console.error('Failed to change site search:', error);
+      }
+    });
+    siteUrl?.addEventListener('change', async (e) => {
+      try {
+        await searchEngines?.setSiteSearch({ urlTemplate: e.target.value.trim() });
+        if (siteSelect) siteSelect.value = 'custom';
+      } catch (error) {
+        console.error('Failed to change site search:', error);
+        alert(error.message);
+      }
+    });
+
+    // Live Proofreading
+    panel.querySelector('#live-proofreading')?.addEventListener('change', async (e) => {
+      try {
+        await window.ChromeAIStudio?.liveProofreader?.setEnabled(e.target.value === 'on');
+      } catch (error) {
+        console.error('Failed to change live proofreading:', error);
+      }
+    });
+
+    // Knowledge Base Settings
+    const knowledgeBase = window.ChromeAIStudio?.knowledgeBase;
+    const updateKnowledgeBase = async (changes) => {
+      try {
+        await knowledgeBase?.updateSettings(changes);
+        this.renderKnowledgeBaseStats(panel);
+      } catch (error) {
+        console.error('Failed to change knowledge base settings:', error);
+        alert(error.message);
+      }
+    };
+    panel.querySelector('#kb-enabled')?.addEventListener('change', (e) => {
+      updateKnowledgeBase({ enabled: e.target.value !== 'off', captureVisits: e.target.value === 'visits' });
+    });
+    panel.querySelector('#kb-remote-embeddings')?.addEventListener('change', (e) => {
+      updateKnowledgeBase({ remoteEmbeddings: e.target.value === 'on' });
+    });
+    panel.querySelector('#kb-embedding-model')?.addEventListener('change', (e) => {
+      updateKnowledgeBase({ embeddingModel: e.target.value.trim() });
+    });
+    panel.querySelector('#kb-excluded')?.addEventListener('change', (e) => {
+      const excludedDomains = e.target.value.split(/[\n,]/).map(domain => domain.trim()).filter(Boolean);
+      updateKnowledgeBase({ excludedDomains });
+    });
+    panel.querySelector('#kb-save-page')?.addEventListener('click', async (e) => {
+      const button = e.currentTarget;
+      button.disabled = true;
+      const result = await knowledgeBase?.savePage();
+      button.disabled = false;
+      if (result?.success) {
+        button.textContent = 'Saved ✓';
+        setTimeout(() => { button.textContent = 'Save This Page'; }, 2000);
+        this.renderKnowledgeBaseStats(panel);
+      } else {
+        alert(result?.error || 'Could not save this page');
+      }
+    });
+    panel.querySelector('#kb-purge')?.addEventListener('click', async () => {
+      if (!confirm('Delete every page in the knowledge base? This cannot be undone.')) return;
+      try {
+        await knowledgeBase?.purge();
+        this.renderKnowledgeBaseStats(panel);
+      } catch (error) {
+        console.error('Failed to purge knowledge base:', error);
+        alert(error.message);
+      }
+    });
+
+    // Custom Actions (the editor wires its own controls)
+    this.sidebar?.customActions?.render(panel.querySelector('.ai-custom-actions'));
+    this.sidebar?.mcpServers?.render(panel.querySelector('.ai-mcp-servers'));
+
     // Privacy Settings
     const dataCollection = panel.querySelector('#data-collection');
     if (dataCollection) {
@@ -995,6 +1645,26 @@ class SidebarUIOld {
       wakeWordEnabled.checked = settings.wakeWordEnabled || false;
     }
 
+    // Speech Engine Settings
+    const speechEngines = window.ChromeAIStudio?.speechEngines;
+    if (speechEngines) {
+      speechEngines.init().then(() => {
+        const sensitivity = speechEngines.getSensitivity();
+        const fields = {
+          '#speech-engine': speechEngines.getEngine(),
+          '#custom-wake-words': speechEngines.settings.customWakeWord || '',
+          '#wake-word-sensitivity': sensitivity
+        };
+        Object.entries(fields).forEach(([selector, value]) => {
+          const field = panel.querySelector(selector);
+          if (field) field.value = value;
+        });
+        const sensitivityValue = panel.querySelector('#wake-word-sensitivity-value');
+        if (sensitivityValue) sensitivityValue.textContent = sensitivity.toFixed(1);
+        this.renderSpeechEngineStatus(panel);
+      });
+    }
+
     // AI Model Settings
     const aiTemperature = panel.querySelector('#ai-temperature');
     if (aiTemperature) {
@@ -1015,6 +1685,79 @@ class SidebarUIOld {
       aiModel.value = settings.preferredModel;
     }
 
+    // AI Provider Settings
+    const assignments = window.ChromeAIStudio?.aiProviders?.getAssignments() || {};
+    panel.querySelectorAll('.ai-provider-select').forEach(select => {
+      select.value = assignments[select.dataset.task] || 'builtin';
+    });
+
+    const settingsManager = this.sidebar?.settingsManager;
+    if (settingsManager) {
+      const baseUrl = panel.querySelector('#openai-base-url');
+      if (baseUrl) baseUrl.value = settingsManager.get('openAICompatibleBaseUrl', '');
+      const model = panel.querySelector('#openai-model');
+      if (model) model.value = settingsManager.get('openAICompatibleModel', '');
+    }
+
+    // Agent Approval Settings
+    const approvalPolicy = window.ChromeAIStudio?.agentApprovalPolicy;
+    if (approvalPolicy) {
+      approvalPolicy.init().then(() => {
+        panel.querySelectorAll('.ai-agent-approval-select').forEach(select => {
+          select.value = approvalPolicy.policy.defaults[select.dataset.action] || 'ask';
+        });
+        this.renderAgentApprovalRules(panel);
+      });
+    }
+
+    // Search Engine Settings
+    const searchEngines = window.ChromeAIStudio?.searchEngines;
+    if (searchEngines) {
+      searchEngines.init().then(() => {
+        const site = searchEngines.get('site')?.config || {};
+        const presetId = Object.entries(window.ChromeAIStudio?.SITE_SEARCH_PRESETS || {})
+          .find(([, preset]) => preset.urlTemplate === site.urlTemplate)?.[0];
+        const fields = {
+          '#search-engine-default': searchEngines.defaultEngine,
+          '#search-engine-fallback': searchEngines.fallbackEnabled ? 'on' : 'off',
+          '#search-engine-site': presetId || 'custom',
+          '#search-engine-site-url': site.urlTemplate || ''
+        };
+        Object.entries(fields).forEach(([selector, value]) => {
+          const field = panel.querySelector(selector);
+          if (field) field.value = value;
+        });
+      });
+    }
+
+    // Live Proofreading
+    const liveProofreader = window.ChromeAIStudio?.liveProofreader;
+    if (liveProofreader) {
+      liveProofreader.init().then(() => {
+        const field = panel.querySelector('#live-proofreading');
+        if (field) field.value = liveProofreader.enabled ? 'on' : 'off';
+      });
+    }
+
+    // Knowledge Base Settings
+    const knowledgeBase = window.ChromeAIStudio?.knowledgeBase;
+    if (knowledgeBase) {
+      knowledgeBase.init().then(() => {
+        const kbSettings = knowledgeBase.settings;
+        const fields = {
+          '#kb-enabled': !kbSettings.enabled ? 'off' : (kbSettings.captureVisits ? 'visits' : 'saved'),
+          '#kb-remote-embeddings': kbSettings.remoteEmbeddings === true ? 'on' : 'off',
+          '#kb-embedding-model': kbSettings.embeddingModel || '',
+          '#kb-excluded': (kbSettings.excludedDomains || []).join('\n')
+        };
+        Object.entries(fields).forEach(([selector, value]) => {
+          const field = panel.querySelector(selector);
+          if (field) field.value = value;
+        });
+        this.renderKnowledgeBaseStats(panel);
+      });
+    }
+
     // Chat Settings
     const autoSave = panel.querySelector('#auto-save');
     if (autoSave) {
@@ -1467,8 +2210,9 @@ class SidebarUIOld {
 
   /**
    * Add message to chat
+   * @param {Object} options - { messageId: stored message id, enables "Branch from here" }
    */
-  addMessage(content, type = 'user') {
+  addMessage(content, type = 'user', options = {}) {
     const chatContainer = this.sidebarElement?.querySelector('#chat-container');
     if (!chatContainer) return;
 
@@ -1518,6 +2262,10 @@ class SidebarUIOld {
     messagesContainer.appendChild(message);
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
+    if (options.messageId) {
+      this.addBranchButton(message, options.messageId);
+    }
+
     // Apply readability styles
     const contentEl = message.querySelector('.message-content');
     if (contentEl) {
@@ -1529,6 +2277,55 @@ class SidebarUIOld {
     }
   }
 
+  /**
+   * Add a "Branch from here" button to a message's header
+   */
+  addBranchButton(messageElement, messageId) {
+    const header = messageElement?.querySelector('.message-header');
+    if (!header || !messageId || header.querySelector('.ai-branch-button')) return;
+
+    messageElement.setAttribute('data-message-id', String(messageId));
+
+    const button = document.createElement('button');
+    button.className = 'ai-branch-button';
+    button.title = 'Branch from here';
+    button.setAttribute('aria-label', 'Branch conversation from this message');
+    button.innerHTML = `
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+        <circle cx="6" cy="5" r="2"></circle>
+        <circle cx="6" cy="19" r="2"></circle>
+        <circle cx="18" cy="7" r="2"></circle>
+        <path d="M6 7v10M18 9c0 5-6 4-11.5 8.5"></path>
+      </svg>
+    `;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.sidebar.chat?.branchFromMessage(messageId);
+    });
+
+    header.insertBefore(button, header.querySelector('.ai-copy-button'));
+  }
+
+  /**
+   * Remove all messages and show the welcome section again
+   */
+  clearMessages() {
+    const chatContainer = this.sidebarElement?.querySelector('#chat-container');
+    if (!chatContainer) return;
+
+    chatContainer.querySelector('.ai-chat-messages')?.remove();
+    if (!chatContainer.querySelector('.ai-welcome-section')) {
+      chatContainer.insertAdjacentHTML('afterbegin', `
+        <div class="ai-welcome-section">
+          <div class="ai-greeting">
+            <h2>Hi,</h2>
+            <p>How can I assist you today?</p>
+          </div>
+        </div>
+      `);
+    }
+  }
+
   /**
    * Add a streaming message placeholder
    * @returns {HTMLElement} The message element to update
@@ -9,6 +9,10 @@
  * - SidebarSettings: Settings management and theming
  * - SidebarMentions: @mentions and context awareness
  * - SidebarStyles: CSS injection and responsive design
+ * - SidebarTaskHistory: Archived autonomous agent runs
+ * - SidebarThreads: Conversation thread list (create, switch, rename, pin, search, delete)
+ * - SidebarDocuments: Local files parsed on-device and mentioned as @file:<name>
+ * - SidebarCustomActions: Editor for user-defined text-selection actions
  */
 
 class SmartSidebar {
@@ -30,6 +34,13 @@ class SmartSidebar {
     this.settings = null;
     this.mentions = null;
     this.styles = null;
+    this.taskHistory = null;
+    this.threads = null;
+    this.documents = null;
+    this.customActions = null;
+    this.mcpServers = null;
+    this.collections = null;
+    this.study = null;
     
     // External dependencies
     this.aiManager = null;
@@ -133,6 +144,13 @@ class SmartSidebar {
     this.settings = new window.SidebarSettings(this);
     this.mentions = new window.SidebarMentions(this);
     this.styles = new window.SidebarStylesOld(this);
+    this.taskHistory = window.SidebarTaskHistory ? new window.SidebarTaskHistory(this) : null;
+    this.threads = window.SidebarThreads ? new window.SidebarThreads(this) : null;
+    this.documents = window.SidebarDocuments ? new window.SidebarDocuments(this) : null;
+    this.customActions = window.SidebarCustomActions ? new window.SidebarCustomActions(this) : null;
+    this.mcpServers = window.SidebarMcpServers ? new window.SidebarMcpServers(this) : null;
+    this.collections = window.SidebarCollections ? new window.SidebarCollections(this) : null;
+    this.study = window.SidebarStudy ? new window.SidebarStudy(this) : null;
     
     // Initialize modules that need async setup
     await Promise.all([
@@ -178,6 +196,12 @@ class SmartSidebar {
     // Add to DOM
     document.body.appendChild(sidebarElement);
     
+    // Files dropped on the sidebar go to the local document library
+    this.documents?.setupDropZone(sidebarElement);
+    
+    // Show the conversation restored from storage
+    this.chat.renderConversation();
+    
     // Set initial visibility
     if (this.state.getState().isVisible) {
       this.ui.show();
@@ -349,19 +373,17 @@ class SmartSidebar {
   }
 
   /**
-   * Export conversation
+   * Export a conversation thread (defaults to the current one)
    */
-  exportConversation(mode = null) {
-    return this.chat ? this.chat.exportConversation(mode) : null;
+  exportConversation(threadId = null) {
+    return this.chat ? this.chat.exportConversation(threadId) : null;
   }
 
   /**
-   * Import conversation
+   * Import one or more exported conversation threads
    */
   importConversation(conversation) {
-    if (this.chat) {
-      this.chat.importConversation(conversation);
-    }
+    return this.chat ? this.chat.importConversation(conversation) : [];
   }
 
   /**
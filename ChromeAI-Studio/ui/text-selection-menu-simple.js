@@ -38,6 +38,8 @@ class TextSelectionMenu {
     // Get utilities with fallbacks
     this.domUtils = window.ChromeAIStudio?.domUtils;
     this.aiManager = window.ChromeAIStudio?.aiManager;
+    this.customActions = window.ChromeAIStudio?.customActions || null;
+    this.customActions?.load();
     this.logger = window.ChromeAIStudio?.Logger ? new window.ChromeAIStudio.Logger('TextSelectionMenu') : null;
     this.eventBus = window.ChromeAIStudio?.eventBus;
     this.constants = window.ChromeAIStudio?.constants;
@@ -223,6 +225,255 @@ class TextSelectionMenu {
     }
   }
 
+  /**
+   * Cite the current page from its metadata; the model only fills missing fields
+   */
+  async generateCitation() {
+    try {
+      await this.openSidebarWithProcessing('Generate Citation');
+
+      const sidebarUI = window.ChromeAIStudio?.smartSidebar?.ui;
+      if (!sidebarUI || typeof sidebarUI.addStreamingMessage !== 'function') {
+        throw new Error('Sidebar UI not available');
+      }
+      const messageElement = sidebarUI.addStreamingMessage();
+      if (!messageElement) {
+        throw new Error('Could not create streaming message');
+      }
+
+      const builder = new window.ChromeAIStudio.CitationBuilder();
+      const record = builder.extract();
+      await builder.fillGaps(record, this.aiManager);
+      sidebarUI.updateStreamingMessage(messageElement, builder.toMarkdown(record));
+      sidebarUI.completeStreamingMessage(messageElement);
+    } catch (error) {
+      console.error('❌ Feature error (Generate Citation):', error);
+      this.showError(`Failed to execute Generate Citation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate flashcards or quiz questions from the selection into the page's deck;
+   * a new quiz opens in the sidebar's Study view
+   * @param {'flashcards'|'quiz'} kind
+   */
+  async createStudyItems(kind) {
+    const featureTitle = kind === 'quiz' ? 'Create Quiz' : 'Create Flashcards';
+    try {
+      await this.openSidebarWithProcessing(featureTitle);
+
+      const sidebar = window.ChromeAIStudio?.smartSidebar;
+      const sidebarUI = sidebar?.ui;
+      const decks = window.ChromeAIStudio?.studyDecks;
+      if (!sidebarUI || typeof sidebarUI.addStreamingMessage !== 'function' || !decks) {
+        throw new Error('Sidebar UI not available');
+      }
+      const messageElement = sidebarUI.addStreamingMessage();
+      if (!messageElement) {
+        throw new Error('Could not create streaming message');
+      }
+
+      const response = await decks.generate(kind, this.selectedText, this.aiManager);
+      if (!response.success) {
+        sidebarUI.errorStreamingMessage(messageElement, response.error);
+        return;
+      }
+
+      const deck = await decks.getPageDeck();
+      const added = await decks.addCards(deck.id, response.result, [localStorage.getItem('chromeai-active-mode') || 'student']);
+      const skipped = response.result.length - added.length;
+      const summary = added.length > 0
+        ? `${kind === 'quiz' ? '❓' : '🃏'} Added ${added.length} ${kind === 'quiz' ? 'quiz question(s)' : 'flashcard(s)'} to **${deck.name}**${skipped > 0 ? ` (${skipped} already in the deck)` : ''}.`
+        : `All of these are already in **${deck.name}**.`;
+      const hint = kind === 'quiz'
+        ? 'The quiz is open in the Study view.'
+        : 'Choose **Study Session** in the selection menu to review them with spaced repetition.';
+      sidebarUI.updateStreamingMessage(messageElement, `${summary}\n\n${decks.toMarkdown(added)}\n\n${hint}`);
+      sidebarUI.completeStreamingMessage(messageElement);
+
+      if (kind === 'quiz') {
+        await sidebar.study?.open();
+        sidebar.study?.startQuiz(deck.id, added.length > 0 ? added.map(card => card.id) : null);
+      }
+    } catch (error) {
+      console.error(`❌ Feature error (${featureTitle}):`, error);
+      this.showError(`Failed to execute ${featureTitle}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add the selection, with the page's URL, title and citation metadata, to the active research project
+   */
+  async clipToCollection() {
+    const collections = window.ChromeAIStudio?.researchCollections;
+    if (!collections) {
+      this.showError('Research collections are not available');
+      return;
+    }
+
+    try {
+      const clip = await collections.clipSelection(this.selectedText);
+      const project = collections.getProject(clip.projectId);
+      this.showNotification(`Added to "${project.name}" (${collections.getClips(project.id).length} clips). Open Research in the sidebar to synthesize them.`, 'Clipped');
+    } catch (error) {
+      this.showError(`Could not clip the selection: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a research task over the active collection, citing each clip; with an empty
+   * collection, run the single-selection prompt instead
+   */
+  async runCollectionTask(task, featureTitle, promptTemplate) {
+    const collections = window.ChromeAIStudio?.researchCollections;
+    const project = collections ? await collections.getActiveProject() : null;
+    if (!project || collections.getClips(project.id).length === 0) {
+      return this.executeFeatureWithStreaming(featureTitle, promptTemplate);
+    }
+
+    try {
+      // Long clips are condensed first, so open the sidebar before preparing the prompt
+      await this.openSidebarWithProcessing(featureTitle);
+      const request = await collections.prepareRequest(task, project.id);
+
+      const sidebarUI = window.ChromeAIStudio?.smartSidebar?.ui;
+      if (!sidebarUI || typeof sidebarUI.addStreamingMessage !== 'function') {
+        throw new Error('Sidebar UI not available');
+      }
+      const messageElement = sidebarUI.addStreamingMessage();
+      if (!messageElement) {
+        throw new Error('Could not create streaming message');
+      }
+
+      const response = await this.aiManager.promptStreaming(request.prompt, { session: request.session });
+      if (!response.success) {
+        const errorMsg = response.error?.message || 'AI request failed';
+        sidebarUI.errorStreamingMessage(messageElement, errorMsg);
+        this.displayApiError(errorMsg);
+        return;
+      }
+
+      await this.consumeStream(
+        response.result,
+        (chunk, fullText) => {
+          sidebarUI.updateStreamingMessage(messageElement, `## ${request.title}\n\n${fullText}`);
+        },
+        (finalText) => {
+          sidebarUI.updateStreamingMessage(messageElement, `## ${request.title}\n\n${collections.finalize(finalText, request.sources)}`);
+          sidebarUI.completeStreamingMessage(messageElement);
+        },
+        (error) => {
+          sidebarUI.errorStreamingMessage(messageElement, error.message);
+        }
+      );
+    } catch (error) {
+      console.error(`❌ Feature error (${featureTitle}):`, error);
+      this.showError(`Failed to execute ${featureTitle}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a user-defined action (Settings → Custom Actions) on the selection
+   * @param {Object} action - Action from CustomActions
+   */
+  async runCustomAction(action) {
+    const text = this.selectedText;
+    const instructions = this.customActions.fillTemplate(action.template, {
+      text,
+      pageExcerpt: this.customActions.getPageExcerpt(this.selectionRange)
+    });
+    
+    if (action.output === 'sidebar') {
+      return this.runCustomActionInSidebar(action, text, instructions);
+    }
+    
+    try {
+      const response = await this.callCustomActionAPI(action.api, text, instructions, false);
+      if (!response?.success) {
+        this.displayApiError(response?.error?.message || response?.error || `${action.name} failed`);
+        return;
+      }
+      
+      const output = String(response.result || '').trim();
+      if (action.output === 'inline') {
+        if (!this.replaceSelectedText(output)) {
+          this.showError(`${action.name}: could not replace the selection`);
+        }
+      } else {
+        await navigator.clipboard.writeText(output);
+        this.showNotification(output, `${action.name} (copied)`);
+      }
+    } catch (error) {
+      console.error(`❌ Custom action error (${action.name}):`, error);
+      this.showError(`Failed to run ${action.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream a custom action's answer into a sidebar message
+   */
+  async runCustomActionInSidebar(action, text, instructions) {
+    try {
+      await this.openSidebarWithProcessing(action.name);
+      
+      const sidebarUI = window.ChromeAIStudio?.smartSidebar?.ui;
+      if (!sidebarUI || typeof sidebarUI.addStreamingMessage !== 'function') {
+        throw new Error('Sidebar UI not available');
+      }
+      const messageElement = sidebarUI.addStreamingMessage();
+      
+      const response = await this.callCustomActionAPI(action.api, text, instructions, true);
+      if (!response?.success) {
+        const errorMsg = response?.error?.message || response?.error || `${action.name} failed`;
+        sidebarUI.errorStreamingMessage(messageElement, errorMsg);
+        this.displayApiError(errorMsg);
+        return;
+      }
+      
+      await this.consumeStream(
+        response.result,
+        (chunk, fullText) => {
+          sidebarUI.updateStreamingMessage(messageElement, fullText);
+        },
+        () => {
+          sidebarUI.completeStreamingMessage(messageElement);
+        },
+        (error) => {
+          sidebarUI.errorStreamingMessage(messageElement, error.message);
+        }
+      );
+    } catch (error) {
+      console.error(`❌ Custom action error (${action.name}):`, error);
+      this.showError(`Failed to run ${action.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Call the API chosen for a custom action
+   * prompt/writer get the filled template; rewriter/summarizer get the selection with it as context
+   */
+  async callCustomActionAPI(api, text, instructions, streaming) {
+    const ai = this.aiManager || window.ChromeAIStudio?.aiManager;
+    if (!ai) {
+      return { success: false, error: { message: 'AI Manager not available' } };
+    }
+    
+    switch (api) {
+      case 'writer':
+        return streaming ? ai.writeStreaming(instructions) : ai.write(instructions);
+      case 'rewriter':
+        return streaming
+          ? ai.rewriteStreaming(text, { context: instructions })
+          : ai.rewrite(text, { context: instructions });
+      case 'summarizer':
+        return streaming
+          ? ai.summarizeStreaming(text, { context: instructions })
+          : ai.summarize(text, { context: instructions });
+      default:
+        return streaming ? ai.promptStreaming(instructions) : ai.prompt(instructions);
+    }
+  }
+
   // Fallback DOM utilities if main ones aren't available
   createFallbackDOMUtils() {
     return {
@@ -243,6 +494,11 @@ class TextSelectionMenu {
         return element;
       },
       getHighZIndex: () => 10000,
+      escapeHtml: (text) => {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+      },
       injectCSS: (css, id) => {
         if (!document.querySelector(`#${id}`)) {
           const style = document.createElement('style');
@@ -262,6 +518,9 @@ class TextSelectionMenu {
     // Hide menu when clicking elsewhere
     document.addEventListener('mousedown', this.handleMouseDown.bind(this));
     
+    // Keyboard shortcuts of custom actions
+    document.addEventListener('keydown', this.handleShortcut.bind(this), true);
+    
     // Hide menu on scroll
     window.addEventListener('scroll', this.hideMenu.bind(this));
     window.addEventListener('resize', this.hideMenu.bind(this));
@@ -279,6 +538,25 @@ class TextSelectionMenu {
     }
   }
 
+  /**
+   * Run the custom action bound to a shortcut on the current selection
+   */
+  handleShortcut(event) {
+    const action = this.customActions?.findByShortcut(event);
+    if (!action) return;
+
+    const selection = window.getSelection();
+    const selectedText = selection?.toString().trim();
+    if (!selectedText || selection.rangeCount === 0) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    this.selectedText = selectedText;
+    this.selectionRange = selection.getRangeAt(0).cloneRange();
+    this.hideMenu();
+    this.runCustomAction(action);
+  }
+
   handleMouseDown(event) {
     // Hide menu if clicking outside of it
     if (this.menu && !this.menu.contains(event.target)) {
@@ -416,6 +694,7 @@ class TextSelectionMenu {
           { id: 'analyze-credibility', title: 'Check Credibility', icon: '🛡️', priority: 1 },
           { id: 'find-sources', title: 'Find Sources', icon: '🔍', priority: 1 },
           { id: 'generate-citation', title: 'Generate Citation', icon: '📚', priority: 1 },
+          { id: 'clip-to-collection', title: 'Clip to Collection', icon: '📎', priority: 1 },
           { id: 'synthesize-sources', title: 'Synthesize Sources', icon: '🔬', priority: 2 },
           { id: 'build-timeline', title: 'Build Timeline', icon: '⏰', priority: 2 },
           { id: 'create-literature-review', title: 'Literature Review', icon: '📖', priority: 2 },
@@ -443,10 +722,19 @@ class TextSelectionMenu {
         break;
     }
 
-    // Sort by priority and return top 6 features (translate will always be first)
-    return features
+    // Sort by priority and keep the top 6 features (translate will always be first)
+    const builtIn = features
       .sort((a, b) => a.priority - b.priority)
       .slice(0, 6);
+    
+    // The user's own actions for this mode are always shown, after the built-in ones
+    const custom = (this.customActions?.getForMode(currentMode) || []).map(action => ({
+      id: `custom:${action.id}`,
+      title: action.name,
+      icon: action.icon,
+      priority: 4
+    }));
+    return [...builtIn, ...custom];
   }
 
   createMenu(features) {
@@ -514,8 +802,8 @@ class TextSelectionMenu {
           textAlign: 'left'
         },
         innerHTML: `
-          <span class="ai-feature-icon" style="font-size: 16px; width: 20px; text-align: center;">${feature.icon}</span>
-          <span class="ai-feature-title">${feature.title}</span>
+          <span class="ai-feature-icon" style="font-size: 16px; width: 20px; text-align: center;">${this.domUtils.escapeHtml(feature.icon)}</span>
+          <span class="ai-feature-title">${this.domUtils.escapeHtml(feature.title)}</span>
         `
       });
 
@@ -646,6 +934,15 @@ class TextSelectionMenu {
     // Hide menu first
     this.hideMenu();
     
+    // User-defined actions
+    if (featureId.startsWith('custom:')) {
+      const action = this.customActions?.get(featureId.slice('custom:'.length));
+      if (action) {
+        await this.runCustomAction(action);
+      }
+      return;
+    }
+    
     // Special handling for translate-ai: auto-detect and show language selection
     if (featureId === 'translate-ai') {
       await this.handleTranslateWithAutoDetection();
@@ -830,68 +1127,29 @@ class TextSelectionMenu {
     }
 
     try {
-      // Step 1: Auto-detect source language using Language Detector API
+      // Step 1: Auto-detect source language through AIManager's Language Detector
       let sourceLanguage = 'en'; // default
       let detectedLanguage = null;
       let detectionConfidence = 0;
       
-      // Try using Language Detector API directly first
-      if (typeof LanguageDetector !== 'undefined') {
+      // Language Detector sessions come from the provider AIManager routes them to
+      const aiManager = window.ChromeAIStudio?.aiManager;
+      if (aiManager && typeof aiManager.detectLanguage === 'function') {
         try {
-          // Check availability
-          const availability = await LanguageDetector.availability();
-          if (availability === 'available' || availability === 'downloadable' || availability === 'readily') {
-            // Create detector with download progress monitoring
-            const detector = await LanguageDetector.create({
-              monitor(m) {
-                // Could show download progress if needed
-              }
-            });
-            
-            // Detect language - returns array of {detectedLanguage, confidence}
-            const detectionResults = await detector.detect(this.selectedText);
+          const detectionResult = await aiManager.detectLanguage(this.selectedText);
+          if (detectionResult && detectionResult.success && detectionResult.result) {
+            detectedLanguage = detectionResult.result;
+            sourceLanguage = detectedLanguage;
+            detectionConfidence = detectionResult.confidence || 0.8;
+            console.log(`🌐 Auto-detected language (via AIManager): ${sourceLanguage}`);
             
-            if (detectionResults && detectionResults.length > 0) {
-              // Get top result (highest confidence)
-              const topResult = detectionResults[0];
-              detectedLanguage = topResult.detectedLanguage;
-              detectionConfidence = topResult.confidence || 0;
-              sourceLanguage = detectedLanguage;
-              
-              console.log(`🌐 Auto-detected language: ${sourceLanguage} (confidence: ${(detectionConfidence * 100).toFixed(1)}%)`);
-              
-              // Only use auto-detection if confidence is high enough (>0.5)
-              if (detectionConfidence < 0.5) {
-                console.warn('⚠️ Low confidence in language detection, asking user to confirm');
-                detectedLanguage = null; // Will show manual selection
-              }
+            // Only use auto-detection if confidence is high enough
+            if (detectionConfidence < 0.5) {
+              detectedLanguage = null;
             }
           }
         } catch (error) {
-          console.warn('⚠️ Language Detector API failed, trying AIManager:', error);
-        }
-      }
-      
-      // Fallback to AIManager detectLanguage if LanguageDetector API not available
-      if (!detectedLanguage) {
-        const aiManager = window.ChromeAIStudio?.aiManager;
-        if (aiManager && typeof aiManager.detectLanguage === 'function') {
-          try {
-            const detectionResult = await aiManager.detectLanguage(this.selectedText);
-            if (detectionResult && detectionResult.success && detectionResult.result) {
-              detectedLanguage = detectionResult.result;
-              sourceLanguage = detectedLanguage;
-              detectionConfidence = detectionResult.confidence || 0.8;
-              console.log(`🌐 Auto-detected language (via AIManager): ${sourceLanguage}`);
-              
-              // Only use auto-detection if confidence is high enough
-              if (detectionConfidence < 0.5) {
-                detectedLanguage = null;
-              }
-            }
-          } catch (error) {
-            console.warn('⚠️ Language auto-detection failed:', error);
-          }
+          console.warn('⚠️ Language auto-detection failed:', error);
         }
       }
 
@@ -928,7 +1186,6 @@ class TextSelectionMenu {
       }
 
       // Step 4: Translate the text
-      const aiManager = window.ChromeAIStudio?.aiManager;
       if (!aiManager) {
         throw new Error('AI Manager not available');
       }
@@ -1475,6 +1732,7 @@ class TextSelectionMenu {
       'ANALYZE-VISUAL': '👁️ Analyze Visual',
       'FIND-SOURCES': '🔍 Find Sources',
       'GENERATE-CITATION': '📝 Generate Citation',
+      'CLIP-TO-COLLECTION': '📎 Clip to Collection',
       'SYNTHESIZE-SOURCES': '🔬 Synthesize Sources',
       'BUILD-TIMELINE': '⏰ Build Timeline',
       'CREATE-LITERATURE-REVIEW': '📚 Literature Review',
@@ -2347,25 +2605,17 @@ class TextSelectionMenu {
         
         // Streaming features using unified workflow
         case 'create-quiz':
-          return await this.executeFeatureWithStreaming(
-            'Create Quiz',
-            'Create 5 multiple-choice quiz questions based on this content. Format each question with 4 options (A, B, C, D) and mark the correct answer:\n\n{TEXT}'
-          );
+          return await this.createStudyItems('quiz');
         case 'create-flashcards':
-          return await this.executeFeatureWithStreaming(
-            'Create Flashcards',
-            'Create flashcards from this content. Format as:\nFront: [Question]\nBack: [Answer]\n\nCreate 5-7 flashcards:\n\n{TEXT}'
-          );
+          return await this.createStudyItems('flashcards');
         case 'smart-notes':
           return await this.executeFeatureWithStreaming(
             'Smart Notes',
             'Create organized study notes from this content. Use bullet points, headings, and highlight key concepts:\n\n{TEXT}'
           );
         case 'study-session':
-          return await this.executeFeatureWithStreaming(
-            'Study Session',
-            'Start a study session for this content. Create a structured learning plan with goals and milestones:\n\n{TEXT}'
-          );
+          await this.openSidebarWithProcessing('Study Session');
+          return await window.ChromeAIStudio?.smartSidebar?.study?.open();
         case 'learning-path':
           return await this.executeFeatureWithStreaming(
             'Learning Path',
@@ -2518,22 +2768,21 @@ class TextSelectionMenu {
             'Suggest reliable sources and references related to this topic. Include academic and authoritative sources:\n\n{TEXT}'
           );
         case 'generate-citation':
-          return await this.executeFeatureWithStreaming(
-            'Generate Citation',
-            'Generate APA citations for this content. Format properly according to APA guidelines:\n\n{TEXT}'
-          );
+          return await this.generateCitation();
+        case 'clip-to-collection':
+          return await this.clipToCollection();
         case 'synthesize-sources':
-          return await this.executeFeatureWithStreaming(
+          return await this.runCollectionTask('synthesis',
             'Synthesize Sources',
             'Synthesize information from these sources. Identify common themes, contradictions, and key insights:\n\n{TEXT}'
           );
         case 'build-timeline':
-          return await this.executeFeatureWithStreaming(
+          return await this.runCollectionTask('timeline',
             'Build Timeline',
             'Create a research timeline from this information. Organize chronologically with key dates and events:\n\n{TEXT}'
           );
         case 'create-literature-review':
-          return await this.executeFeatureWithStreaming(
+          return await this.runCollectionTask('literature-review',
             'Create Literature Review',
             'Create a comprehensive literature review. Summarize key findings, methodologies, and gaps:\n\n{TEXT}'
           );
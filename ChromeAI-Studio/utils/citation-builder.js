@@ -0,0 +1,541 @@
+/**
+ * ChromeAI Studio - Citation Builder
+ * Citations built from the page's own metadata instead of asking the model
+ *
+ * - Reads Highwire (`citation_*`), JSON-LD (ScholarlyArticle, NewsArticle, …), Dublin Core
+ *   and OpenGraph tags, then ContentExtractor.extractAuthor/extractPublishDate, in that order
+ * - Detects DOIs and arXiv IDs in the metadata, the URL and DOI links
+ * - Formats APA 7, MLA 9, Chicago (bibliography), IEEE, BibTeX and RIS deterministically
+ * - `fillGaps()` lets the model suggest a missing author, date or site name; those fields
+ *   are recorded in `record.sources` as 'model' and flagged in the Markdown output
+ */
+
+const CITATION_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const CITATION_JSONLD_TYPES = ['ScholarlyArticle', 'Article', 'NewsArticle', 'BlogPosting', 'Report', 'TechArticle', 'Book', 'Thesis', 'WebPage'];
+
+class CitationBuilder {
+  constructor(options = {}) {
+    this.options = {
+      excerptLength: 3000,
+      ...options
+    };
+    this.extractor = options.extractor || window.ChromeAIStudio?.contentExtractor || null;
+  }
+
+  /**
+   * Bibliographic record of the current page
+   * @returns {{type, title, authors: Array<{given, family, literal}>, date: {year, month, day}|null,
+   *   container, publisher, volume, issue, pages, doi, arxivId, url, accessed: Date, sources: Object}}
+   */
+  extract() {
+    const meta = (...names) => this.extractor?.extractMetaValues(...names) || [];
+    const first = (...names) => meta(...names)[0] || null;
+    const jsonLd = this.findJsonLd();
+    const sources = {};
+    const pick = (field, candidates) => {
+      for (const [source, value] of candidates) {
+        if (value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+          sources[field] = source;
+          return value;
+        }
+      }
+      return null;
+    };
+
+    const url = this.cleanUrl(first('citation_public_url', 'citation_abstract_html_url') || document.querySelector('link[rel="canonical"]')?.href || window.location.href);
+
+    const title = pick('title', [
+      ['highwire', first('citation_title')],
+      ['json-ld', this.jsonLdText(jsonLd?.headline || jsonLd?.name)],
+      ['dublin-core', first('dc.title', 'dcterms.title')],
+      ['opengraph', first('og:title')],
+      ['page', document.title?.trim()]
+    ]);
+
+    const authors = pick('authors', [
+      ['highwire', meta('citation_author').map(name => this.parseName(name))],
+      ['json-ld', this.jsonLdAuthors(jsonLd)],
+      ['dublin-core', meta('dc.creator', 'dcterms.creator').map(name => this.parseName(name))],
+      ['opengraph', meta('article:author').filter(name => !/^https?:\/\//.test(name)).map(name => this.parseName(name))],
+      ['page', this.extractor?.extractAuthor()?.split(/;\s*|\s+and\s+/).filter(Boolean).map(name => this.parseName(name))]
+    ]) || [];
+
+    const date = pick('date', [
+      ['highwire', this.parseDate(first('citation_publication_date', 'citation_date', 'citation_online_date'))],
+      ['json-ld', this.parseDate(jsonLd?.datePublished)],
+      ['dublin-core', this.parseDate(first('dc.date', 'dcterms.issued', 'dcterms.created'))],
+      ['opengraph', this.parseDate(first('article:published_time'))],
+      ['page', this.parseDate(this.extractor?.extractPublishDate())]
+    ]);
+
+    const container = pick('container', [
+      ['highwire', first('citation_journal_title', 'citation_conference_title', 'citation_book_title')],
+      ['json-ld', this.jsonLdText(jsonLd?.isPartOf?.name || jsonLd?.publisher?.name)],
+      ['opengraph', first('og:site_name')],
+      ['page', null]
+    ]);
+
+    const publisher = pick('publisher', [
+      ['highwire', first('citation_publisher', 'dc.publisher')],
+      ['json-ld', this.jsonLdText(jsonLd?.publisher?.name)]
+    ]);
+
+    const doi = this.findDoi(first('citation_doi', 'dc.identifier', 'prism.doi'), jsonLd);
+    const arxivId = this.findArxivId(first('citation_arxiv_id'));
+    const firstPage = first('citation_firstpage');
+    const lastPage = first('citation_lastpage');
+
+    return {
+      type: this.detectType(jsonLd, { hasJournal: !!first('citation_journal_title'), arxivId }),
+      title,
+      authors,
+      date,
+      container,
+      publisher,
+      volume: first('citation_volume', 'prism.volume'),
+      issue: first('citation_issue', 'prism.number'),
+      pages: firstPage ? (lastPage && lastPage !== firstPage ? `${firstPage}–${lastPage}` : firstPage) : null,
+      doi,
+      arxivId,
+      url,
+      accessed: new Date(),
+      sources
+    };
+  }
+
+  /**
+   * The most citable JSON-LD item (articles before generic web pages)
+   */
+  findJsonLd() {
+    const items = this.extractor?.extractStructuredData() || [];
+    const typeOf = (item) => [].concat(item['@type'] || []);
+    for (const type of CITATION_JSONLD_TYPES) {
+      const item = items.find(candidate => typeOf(candidate).includes(type));
+      if (item) return item;
+    }
+    return null;
+  }
+
+  jsonLdText(value) {
+    if (Array.isArray(value)) return this.jsonLdText(value[0]);
+    return typeof value === 'string' ? value.trim() : null;
+  }
+
+  jsonLdAuthors(item) {
+    const authors = [].concat(item?.author || item?.creator || []);
+    return authors
+      .map(author => {
+        if (typeof author === 'string') return this.parseName(author);
+        if (author?.givenName || author?.familyName) {
+          return { given: author.givenName || '', family: author.familyName || '', literal: null };
+        }
+        if (!author?.name) return null;
+        return [].concat(author['@type'] || []).includes('Organization')
+          ? { given: '', family: '', literal: author.name }
+          : this.parseName(author.name);
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * "Family, Given" or "Given Middle Family"; single words and organisations stay literal
+   */
+  parseName(name) {
+    const clean = String(name).replace(/^by\s+/i, '').replace(/\s+/g, ' ').trim();
+    if (clean.includes(',')) {
+      const [family, given] = clean.split(',').map(part => part.trim());
+      return { given, family, literal: null };
+    }
+    const parts = clean.split(' ');
+    if (parts.length < 2 || /\b(inc|ltd|llc|team|staff|editors?|university|institute|association|press|news)\b\.?/i.test(clean)) {
+      return { given: '', family: '', literal: clean };
+    }
+    // Particles such as "van", "de" and "von" belong to the family name
+    let split = parts.length - 1;
+    while (split > 1 && /^(van|von|de|der|den|del|da|di|du|la|le|bin|al)$/i.test(parts[split - 1])) {
+      split--;
+    }
+    return { given: parts.slice(0, split).join(' '), family: parts.slice(split).join(' '), literal: null };
+  }
+
+  /**
+   * Year, month and day of "2021/03/04", "2021-03", "March 4, 2021" or an ISO timestamp
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    const parts = text.match(/^(\d{4})(?:[-/](\d{1,2}))?(?:[-/](\d{1,2}))?/);
+    if (parts) {
+      return {
+        year: Number(parts[1]),
+        month: parts[2] ? Number(parts[2]) : null,
+        day: parts[3] ? Number(parts[3]) : null
+      };
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  }
+
+  /**
+   * DOI of this page, from its metadata, JSON-LD or URL only; links on the page may cite other works
+   */
+  findDoi(metaDoi, jsonLd) {
+    const pattern = /\b(10\.\d{4,9}\/[^\s"'<>]+)/i;
+    const candidates = [
+      metaDoi,
+      ...[].concat(jsonLd?.identifier || [], jsonLd?.sameAs || []).map(id => typeof id === 'string' ? id : id?.value),
+      window.location.href
+    ];
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      let text = String(candidate);
+      try {
+        text = decodeURIComponent(text);
+      } catch (error) {
+        // Malformed escapes: match the raw value
+      }
+      const match = text.match(pattern);
+      if (match) return match[1].replace(/[.,;)]+$/, '');
+    }
+    return null;
+  }
+
+  findArxivId(metaId) {
+    const pattern = /(\d{4}\.\d{4,5}(?:v\d+)?|[a-z-]+(?:\.[A-Z]{2})?\/\d{7}(?:v\d+)?)/;
+    if (metaId) return metaId.replace(/^arxiv:/i, '');
+    const match = window.location.hostname.endsWith('arxiv.org') && window.location.pathname.match(/\/(?:abs|pdf)\/(.+?)(?:\.pdf)?$/);
+    return match ? (match[1].match(pattern)?.[1] || null) : null;
+  }
+
+  detectType(jsonLd, { hasJournal, arxivId }) {
+    const types = [].concat(jsonLd?.['@type'] || []);
+    if (arxivId) return 'preprint';
+    if (hasJournal || types.includes('ScholarlyArticle')) return 'journal';
+    if (types.includes('NewsArticle')) return 'news';
+    if (types.includes('Book')) return 'book';
+    return 'webpage';
+  }
+
+  cleanUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      parsed.hash = '';
+      ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'].forEach(param => parsed.searchParams.delete(param));
+      return parsed.toString();
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Ask the model for a missing author, date or site name, based on the page text
+   * @param {Object} record - From extract(); updated in place
+   * @param {Object} aiManager - AIManager with prompt()
+   * @returns {Promise<string[]>} Fields the model filled
+   */
+  async fillGaps(record, aiManager, pageText = '') {
+    const missing = [];
+    if (record.authors.length === 0) missing.push('authors');
+    if (!record.date) missing.push('date');
+    if (!record.container) missing.push('container');
+    if (missing.length === 0 || !aiManager) return [];
+
+    const excerpt = (pageText || document.body?.innerText || '').replace(/\s+/g, ' ').slice(0, this.options.excerptLength);
+    const prompt = `Find bibliographic details that are stated in this web page text. Do not guess: use null when the text does not state a value.
+Reply with JSON only: {"authors": ["Full Name", ...] or null, "date": "YYYY-MM-DD" or "YYYY" or null, "container": "website or publication name" or null}
+
+Title: ${record.title || ''}
+URL: ${record.url}
+Text: ${excerpt}`;
+
+    try {
+      const response = await aiManager.prompt(prompt);
+      const json = response?.success ? String(response.result).match(/\{[\s\S]*\}/)?.[0] : null;
+      const guess = json ? JSON.parse(json) : null;
+      if (!guess) return [];
+
+      const filled = [];
+      if (missing.includes('authors') && Array.isArray(guess.authors) && guess.authors.length > 0) {
+        record.authors = guess.authors.filter(name => typeof name === 'string' && name.trim()).map(name => this.parseName(name));
+        if (record.authors.length > 0) filled.push('authors');
+      }
+      if (missing.includes('date') && guess.date) {
+        record.date = this.parseDate(guess.date);
+        if (record.date) filled.push('date');
+      }
+      if (missing.includes('container') && typeof guess.container === 'string' && guess.container.trim()) {
+        record.container = guess.container.trim();
+        filled.push('container');
+      }
+      filled.forEach(field => { record.sources[field] = 'model'; });
+      return filled;
+    } catch (error) {
+      console.warn('⚠️ Could not fill citation gaps with the model:', error?.message);
+      return [];
+    }
+  }
+
+  /**
+   * Format a record in one style
+   * @param {Object} record
+   * @param {'apa'|'mla'|'chicago'|'ieee'|'bibtex'|'ris'} style
+   */
+  format(record, style = 'apa') {
+    switch (String(style).toLowerCase()) {
+      case 'mla': return this.formatMLA(record);
+      case 'chicago': return this.formatChicago(record);
+      case 'ieee': return this.formatIEEE(record);
+      case 'bibtex': return this.formatBibTeX(record);
+      case 'ris': return this.formatRIS(record);
+      default: return this.formatAPA(record);
+    }
+  }
+
+  /**
+   * Every style as Markdown, with the provenance of each field and model-filled fields flagged
+   */
+  toMarkdown(record) {
+    const labels = { apa: 'APA 7', mla: 'MLA 9', chicago: 'Chicago', ieee: 'IEEE' };
+    const modelFields = Object.entries(record.sources).filter(([, source]) => source === 'model').map(([field]) => field);
+    const names = { authors: 'author', date: 'date', container: 'site/journal name', title: 'title', publisher: 'publisher' };
+
+    const lines = ['📚 **Citation**', ''];
+    if (modelFields.length > 0) {
+      const labelled = modelFields.map(field => names[field] || field);
+      const list = labelled.length > 1 ? `${labelled.slice(0, -1).join(', ')} and ${labelled[labelled.length - 1]}` : labelled[0];
+      lines.push(`⚠️ **Check before use:** the ${list} ${modelFields.length === 1 ? 'was' : 'were'} not in the page metadata and ${modelFields.length === 1 ? 'was' : 'were'} suggested by the AI model.`, '');
+    }
+    Object.entries(labels).forEach(([style, label]) => {
+      lines.push(`**${label}**`, this.format(record, style), '');
+    });
+    lines.push('**BibTeX**', '```bibtex', this.formatBibTeX(record), '```', '', '**RIS**', '```', this.formatRIS(record), '```', '');
+
+    const found = Object.entries(record.sources)
+      .map(([field, source]) => `${names[field] || field}: ${source}`)
+      .join(' · ');
+    const missing = [
+      record.authors.length === 0 && 'author',
+      !record.date && 'date'
+    ].filter(Boolean);
+    lines.push(`_Sources: ${found}${record.doi ? ` · DOI ${record.doi}` : ''}${record.arxivId ? ` · arXiv ${record.arxivId}` : ''}${missing.length ? ` · missing: ${missing.join(', ')}` : ''}_`);
+    return lines.join('\n');
+  }
+
+  // --- Styles ---
+
+  formatAPA(record) {
+    const names = record.authors.map(author => author.literal || `${author.family}, ${this.initials(author.given)}`);
+    const authors = names.length === 0 ? ''
+      : names.length === 1 ? names[0]
+        : names.length <= 20 ? `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`
+          : `${names.slice(0, 19).join(', ')}, … ${names[names.length - 1]}`;
+    const d = record.date;
+    const date = !d ? 'n.d.'
+      : record.type === 'journal' || record.type === 'book' || !d.month ? `${d.year}`
+        : `${d.year}, ${CITATION_MONTHS[d.month - 1]}${d.day ? ` ${d.day}` : ''}`;
+    const title = this.sentenceEnd(record.title || 'Untitled');
+    const link = record.doi ? `https://doi.org/${record.doi}` : record.url;
+
+    // Without an author, the title moves to the author position
+    const head = authors ? `${this.sentenceEnd(authors)} (${date}). ${record.type === 'journal' ? title : `*${title.replace(/\.$/, '')}*.`}`
+      : `${record.type === 'journal' ? title : `*${title.replace(/\.$/, '')}*.`} (${date}).`;
+
+    if (record.type === 'journal') {
+      const volume = record.volume ? `, *${record.volume}*${record.issue ? `(${record.issue})` : ''}` : '';
+      const pages = record.pages ? `, ${record.pages}` : '';
+      return `${head} *${record.container || 'Unknown journal'}*${volume}${pages}. ${link}`;
+    }
+    if (record.type === 'preprint') {
+      return `${head} arXiv. ${record.arxivId ? `https://doi.org/10.48550/arXiv.${record.arxivId.replace(/v\d+$/, '')}` : link}`;
+    }
+    const site = record.container && record.container !== authors ? ` ${this.sentenceEnd(record.container)}` : '';
+    return `${head}${site} ${link}`;
+  }
+
+  formatMLA(record) {
+    const names = record.authors;
+    const invert = (author) => author.literal || `${author.family}, ${author.given}`;
+    const direct = (author) => author.literal || `${author.given} ${author.family}`;
+    const authors = names.length === 0 ? ''
+      : names.length === 1 ? invert(names[0])
+        : names.length === 2 ? `${invert(names[0])}, and ${direct(names[1])}`
+          : `${invert(names[0])}, et al`;
+    const parts = [];
+    if (authors) parts.push(this.sentenceEnd(authors));
+    parts.push(`"${this.sentenceEnd(record.title || 'Untitled')}"`);
+
+    const container = [];
+    if (record.container) container.push(`*${record.container}*`);
+    if (record.volume) container.push(`vol. ${record.volume}`);
+    if (record.issue) container.push(`no. ${record.issue}`);
+    if (record.date) container.push(this.formatDate(record.date, 'dmy-short'));
+    if (record.pages) container.push(`${record.pages.includes('–') ? 'pp.' : 'p.'} ${record.pages}`);
+    container.push(record.doi ? `https://doi.org/${record.doi}` : record.url.replace(/^https?:\/\//, ''));
+    parts.push(`${container.join(', ')}.`);
+    if (!record.doi && record.type !== 'journal') {
+      parts.push(`Accessed ${this.formatDate(this.dateParts(record.accessed), 'dmy-short')}.`);
+    }
+    return parts.join(' ');
+  }
+
+  formatChicago(record) {
+    const names = record.authors;
+    const invert = (author) => author.literal || `${author.family}, ${author.given}`;
+    const direct = (author) => author.literal || `${author.given} ${author.family}`;
+    const authors = names.length === 0 ? ''
+      : names.length === 1 ? invert(names[0])
+        : names.length <= 10 ? `${[invert(names[0]), ...names.slice(1, -1).map(direct)].join(', ')}, and ${direct(names[names.length - 1])}`
+          : `${[invert(names[0]), ...names.slice(1, 7).map(direct)].join(', ')}, et al`;
+    const link = record.doi ? `https://doi.org/${record.doi}` : record.url;
+    const head = `${authors ? `${this.sentenceEnd(authors)} ` : ''}"${this.sentenceEnd(record.title || 'Untitled')}"`;
+
+    if (record.type === 'journal') {
+      const volume = record.volume ? ` ${record.volume}${record.issue ? `, no. ${record.issue}` : ''}` : '';
+      const year = record.date ? ` (${record.date.year})` : '';
+      const pages = record.pages ? `: ${record.pages}` : '';
+      return `${head} *${record.container || 'Unknown journal'}*${volume}${year}${pages}. ${link}.`;
+    }
+    const date = record.date
+      ? this.formatDate(record.date, 'mdy')
+      : `Accessed ${this.formatDate(this.dateParts(record.accessed), 'mdy')}`;
+    return `${head} ${record.container ? `${record.container}, ` : ''}${date}. ${link}.`;
+  }
+
+  formatIEEE(record) {
+    const names = record.authors.map(author => author.literal || `${this.initials(author.given)} ${author.family}`.trim());
+    const authors = names.length === 0 ? ''
+      : names.length === 1 ? names[0]
+        : names.length === 2 ? `${names[0]} and ${names[1]}`
+          : names.length <= 6 ? `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`
+            : `${names[0]} et al.`;
+    const prefix = authors ? `${authors}, ` : '';
+    const title = `"${(record.title || 'Untitled').replace(/[.,]$/, '')},"`;
+    const date = record.date ? this.formatDate(record.date, 'ieee') : '';
+
+    if (record.type === 'journal') {
+      const details = [
+        `*${record.container || 'Unknown journal'}*`,
+        record.volume && `vol. ${record.volume}`,
+        record.issue && `no. ${record.issue}`,
+        record.pages && `${record.pages.includes('–') ? 'pp.' : 'p.'} ${record.pages}`,
+        date
+      ].filter(Boolean).join(', ');
+      return `${prefix}${title} ${details}${record.doi ? `, doi: ${record.doi}` : ''}.`;
+    }
+    if (record.type === 'preprint' && record.arxivId) {
+      return `${prefix}${title} ${date ? `${date}, ` : ''}arXiv:${record.arxivId}.`;
+    }
+    const accessed = this.formatDate(this.dateParts(record.accessed), 'ieee-accessed');
+    return `${prefix}${title} ${record.container ? `*${record.container}*, ` : ''}${date ? `${date}. ` : ''}[Online]. Available: ${record.url} (accessed ${accessed}).`;
+  }
+
+  formatBibTeX(record) {
+    const entryType = { journal: 'article', book: 'book', preprint: 'misc', news: 'article' }[record.type] || 'misc';
+    const firstAuthor = record.authors[0];
+    const keyName = (firstAuthor?.family || firstAuthor?.literal || 'anon').toLowerCase().replace(/[^a-z]/g, '') || 'anon';
+    const keyWord = (record.title || '').toLowerCase().match(/[a-z]{4,}/)?.[0] || 'untitled';
+    const escape = (value) => String(value).replace(/([{}&%$#_])/g, '\\$1');
+
+    const fields = [
+      ['author', record.authors.map(author => author.literal ? `{${escape(author.literal)}}` : escape(`${author.family}, ${author.given}`)).join(' and ')],
+      // Double braces keep the title's capitalisation
+      ['title', record.title && `{${escape(record.title)}}`],
+      [entryType === 'article' ? 'journal' : 'howpublished', record.container],
+      ['publisher', record.publisher],
+      ['year', record.date?.year],
+      ['month', record.date?.month && { macro: CITATION_MONTHS[record.date.month - 1].slice(0, 3).toLowerCase() }],
+      ['volume', record.volume],
+      ['number', record.issue],
+      ['pages', record.pages?.replace('–', '--')],
+      ['doi', record.doi],
+      ['eprint', record.arxivId],
+      ['archivePrefix', record.arxivId && 'arXiv'],
+      ['url', record.url],
+      ['urldate', this.isoDate(record.accessed)]
+    ].filter(([, value]) => value);
+
+    const body = fields.map(([name, value]) => {
+      if (value.macro) return `  ${name} = ${value.macro}`;
+      // Authors and titles are escaped above; URLs and identifiers are verbatim
+      const raw = ['author', 'title', 'url', 'doi', 'eprint'].includes(name);
+      return `  ${name} = {${raw ? value : escape(value)}}`;
+    });
+    return `@${entryType}{${keyName}${record.date?.year || ''}${keyWord},\n${body.join(',\n')}\n}`;
+  }
+
+  formatRIS(record) {
+    const type = { journal: 'JOUR', news: 'NEWS', book: 'BOOK', preprint: 'UNPB' }[record.type] || 'ELEC';
+    const d = record.date;
+    const lines = [`TY  - ${type}`];
+    record.authors.forEach(author => lines.push(`AU  - ${author.literal || `${author.family}, ${author.given}`}`));
+    if (record.title) lines.push(`TI  - ${record.title}`);
+    if (record.container) lines.push(`${record.type === 'journal' ? 'JO' : 'T2'}  - ${record.container}`);
+    if (d) {
+      lines.push(`PY  - ${d.year}`);
+      lines.push(`DA  - ${d.year}/${d.month ? String(d.month).padStart(2, '0') : ''}/${d.day ? String(d.day).padStart(2, '0') : ''}`);
+    }
+    if (record.volume) lines.push(`VL  - ${record.volume}`);
+    if (record.issue) lines.push(`IS  - ${record.issue}`);
+    if (record.pages) {
+      const [start, end] = record.pages.split('–');
+      lines.push(`SP  - ${start}`);
+      if (end) lines.push(`EP  - ${end}`);
+    }
+    if (record.publisher) lines.push(`PB  - ${record.publisher}`);
+    if (record.doi) lines.push(`DO  - ${record.doi}`);
+    lines.push(`UR  - ${record.url}`);
+    lines.push(`Y2  - ${this.isoDate(record.accessed)}`);
+    lines.push('ER  - ');
+    return lines.join('\n');
+  }
+
+  // --- Helpers ---
+
+  initials(given) {
+    return String(given || '')
+      .split(/[\s]+/)
+      .filter(Boolean)
+      .map(part => part.split('-').map(piece => `${piece.charAt(0).toUpperCase()}.`).join('-'))
+      .join(' ');
+  }
+
+  sentenceEnd(text) {
+    const trimmed = String(text).trim();
+    return /[.?!]$/.test(trimmed) ? trimmed : `${trimmed}.`;
+  }
+
+  dateParts(date) {
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  }
+
+  isoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  formatDate({ year, month, day }, style) {
+    const monthName = month ? CITATION_MONTHS[month - 1] : '';
+    // MLA abbreviates months longer than four letters
+    const mlaMonth = monthName.length > 4 ? `${monthName.slice(0, 3)}.` : monthName;
+    const ieeeMonth = monthName.length > 4 ? `${monthName.slice(0, 3)}.` : monthName;
+    switch (style) {
+      case 'dmy-short':
+        return [day, mlaMonth, year].filter(Boolean).join(' ');
+      case 'mdy':
+        return month ? `${monthName}${day ? ` ${day}` : ''}, ${year}` : `${year}`;
+      case 'ieee':
+        return [month && ieeeMonth, day && `${day},`, year].filter(Boolean).join(' ').replace(/,$/, '');
+      case 'ieee-accessed':
+        return `${ieeeMonth} ${day}, ${year}`;
+      default:
+        return `${year}`;
+    }
+  }
+}
+
+// Export for both browser and potential module environments
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.CitationBuilder = CitationBuilder;
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CitationBuilder;
+}
@@ -514,6 +514,20 @@ class ContentExtractor {
   }
 
   extractAuthor() {
+    // Scholarly and article metadata name the authors explicitly
+    const metaAuthors = this.extractMetaValues('citation_author', 'dc.creator', 'dcterms.creator', 'article:author')
+      .filter(author => !/^https?:\/\//.test(author));
+    if (metaAuthors.length > 0) {
+      return metaAuthors.join('; ');
+    }
+    const jsonLdAuthor = this.findStructuredData(item => item.author)?.author;
+    const jsonLdNames = (Array.isArray(jsonLdAuthor) ? jsonLdAuthor : [jsonLdAuthor])
+      .map(author => typeof author === 'string' ? author : author?.name)
+      .filter(Boolean);
+    if (jsonLdNames.length > 0) {
+      return jsonLdNames.join('; ');
+    }
+    
     // Try various author selectors
     const authorSelectors = [
       '[rel="author"]',
@@ -529,7 +543,7 @@ class ContentExtractor {
     for (const selector of authorSelectors) {
       const element = document.querySelector(selector);
       if (element && element.textContent.trim()) {
-        return element.textContent.trim();
+        return element.textContent.trim().replace(/^by\s+/i, '');
       }
     }
     
@@ -543,6 +557,24 @@ class ContentExtractor {
   }
 
   extractPublishDate() {
+    const toISO = (value) => {
+      const date = value ? new Date(String(value).replace(/^(\d{4})\/(\d{1,2})\/(\d{1,2})$/, '$1-$2-$3')) : null;
+      return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+    };
+    
+    // Publication metadata before dates shown in the page
+    const metaDate = this.extractMetaValues(
+      'citation_publication_date', 'citation_date', 'citation_online_date',
+      'dc.date', 'dcterms.issued', 'dcterms.created', 'article:published_time'
+    ).map(toISO).find(Boolean);
+    if (metaDate) {
+      return metaDate;
+    }
+    const jsonLdDate = toISO(this.findStructuredData(item => item.datePublished)?.datePublished);
+    if (jsonLdDate) {
+      return jsonLdDate;
+    }
+    
     // Try various date selectors
     const dateSelectors = [
       'time[datetime]',
@@ -638,26 +670,70 @@ class ContentExtractor {
   extractMetadata() {
     const metadata = {};
     
-    // Meta tags
+    // Meta tags (the first of repeated tags such as citation_author; see extractMetaValues)
     document.querySelectorAll('meta').forEach(meta => {
-      if (meta.name && meta.content) {
-        metadata[meta.name] = meta.content;
-      } else if (meta.property && meta.content) {
-        metadata[meta.property] = meta.content;
+      const key = meta.getAttribute('name') || meta.getAttribute('property');
+      const content = meta.getAttribute('content');
+      if (key && content && !(key in metadata)) {
+        metadata[key] = content;
       }
     });
     
     // JSON-LD structured data
+    const structuredDataList = this.extractStructuredData();
+    if (structuredDataList.length > 0) {
+      metadata.structuredData = structuredDataList[structuredDataList.length - 1];
+      metadata.structuredDataList = structuredDataList;
+    }
+    
+    return metadata;
+  }
+
+  /**
+   * Contents of every meta tag with one of the names or properties (case-insensitive), in page order
+   */
+  extractMetaValues(...names) {
+    const wanted = names.map(name => name.toLowerCase());
+    const values = [];
+    document.querySelectorAll('meta').forEach(meta => {
+      const key = (meta.getAttribute('name') || meta.getAttribute('property') || '').toLowerCase();
+      const content = meta.getAttribute('content')?.trim();
+      if (content && wanted.includes(key)) {
+        values.push(content);
+      }
+    });
+    return values;
+  }
+
+  /**
+   * JSON-LD items of the page, with @graph containers flattened
+   */
+  extractStructuredData() {
+    const items = [];
     document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
       try {
         const data = JSON.parse(script.textContent);
-        metadata.structuredData = data;
+        const queue = Array.isArray(data) ? [...data] : [data];
+        while (queue.length > 0) {
+          const item = queue.shift();
+          if (!item || typeof item !== 'object') continue;
+          if (Array.isArray(item['@graph'])) {
+            queue.push(...item['@graph']);
+          }
+          items.push(item);
+        }
       } catch (e) {
         // Ignore invalid JSON
       }
     });
-    
-    return metadata;
+    return items;
+  }
+
+  /**
+   * First JSON-LD item matching a predicate
+   */
+  findStructuredData(predicate) {
+    return this.extractStructuredData().find(predicate) || null;
   }
 
   cleanText(text) {
@@ -0,0 +1,765 @@
+/**
+ * ChromeAI Studio - Document Parser
+ * Converts local files to Markdown on-device, without uploading them anywhere
+ *
+ * - PDF: text layer of each page's FlateDecode content streams (Tj/TJ operators) in page
+ *   tree order, mapped through the ToUnicode CMap of the font each string is set in (Tf);
+ *   scanned PDFs without a text layer are rejected
+ * - DOCX: word/document.xml from the ZIP container; headings, lists, bold/italic,
+ *   links and tables
+ * - TXT / Markdown: read as UTF-8
+ */
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+class DocumentParser {
+  constructor(options = {}) {
+    this.options = {
+      maxFileSize: 25 * 1024 * 1024, // 25MB
+      ...options
+    };
+  }
+
+  /**
+   * File types the parser accepts, for <input accept>
+   */
+  static get ACCEPT() {
+    return '.pdf,.docx,.txt,.md,.markdown,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain,text/markdown';
+  }
+
+  getType(file) {
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+    if (extension === 'pdf' || file.type === 'application/pdf') return 'pdf';
+    if (extension === 'docx' || file.type.includes('wordprocessingml')) return 'docx';
+    if (extension === 'md' || extension === 'markdown' || file.type === 'text/markdown') return 'md';
+    if (extension === 'txt' || file.type === 'text/plain') return 'txt';
+    return null;
+  }
+
+  /**
+   * Parse a File into Markdown
+   * @param {File} file - Dropped or picked file
+   * @returns {Promise<{name: string, type: string, title: string, size: number, markdown: string}>}
+   */
+  async parse(file) {
+    const type = this.getType(file);
+    if (!type) {
+      throw new Error(`Unsupported file type: ${file.name} (use PDF, DOCX, TXT or Markdown)`);
+    }
+    if (file.size > this.options.maxFileSize) {
+      throw new Error(`${file.name} is larger than ${Math.round(this.options.maxFileSize / 1024 / 1024)}MB`);
+    }
+
+    let parsed;
+    switch (type) {
+      case 'pdf':
+        parsed = await this.parsePDF(await file.arrayBuffer());
+        break;
+      case 'docx':
+        parsed = await this.parseDOCX(await file.arrayBuffer());
+        break;
+      default:
+        parsed = { markdown: (await file.text()).replace(/\r\n?/g, '\n') };
+    }
+
+    const markdown = parsed.markdown.trim();
+    if (!markdown) {
+      throw new Error(type === 'pdf'
+        ? `${file.name} has no text layer (scanned PDFs are not supported)`
+        : `${file.name} is empty`);
+    }
+
+    return {
+      name: file.name,
+      type,
+      title: parsed.title || this.getTitle(markdown) || file.name.replace(/\.[^.]+$/, ''),
+      size: file.size,
+      markdown
+    };
+  }
+
+  /**
+   * First Markdown heading of a document
+   */
+  getTitle(markdown) {
+    const heading = markdown.match(/^#{1,3}\s+(.+)$/m);
+    return heading ? heading[1].trim() : '';
+  }
+
+  // ===== PDF =====
+
+  async parsePDF(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const raw = this.bytesToLatin1(bytes);
+    if (!raw.startsWith('%PDF')) {
+      throw new Error('Not a PDF file');
+    }
+    if (/\/Encrypt\s/.test(raw)) {
+      throw new Error('Encrypted PDFs are not supported');
+    }
+
+    const context = { bytes, objects: await this.indexPDFObjects(raw, bytes), fonts: new Map(), forms: new Map() };
+    const pages = [];
+    for (const page of this.getPDFPages(raw, context.objects)) {
+      const contents = await Promise.all(this.getPDFRefs(page.dictionary, 'Contents', context.objects)
+        .map(number => this.readPDFStream(context.objects.get(number), bytes)));
+      // A page's content may be split across streams at any token
+      pages.push(await this.extractPDFPage(contents.join('\n'), page.resources, context));
+    }
+    const title = raw.match(/\/Title\s*\(([^)]{1,200})\)/)?.[1];
+
+    return {
+      title: title ? this.decodePDFLiteral(title).trim() : '',
+      markdown: pages.filter(Boolean).join('\n\n---\n\n')
+    };
+  }
+
+  /**
+   * Objects by number: the dictionary text, and the stream for stream objects. Objects packed
+   * in object streams (PDF 1.5+) are included; later definitions replace earlier ones.
+   * @returns {Promise<Map<number, {dictionary: string, stream: Object|null}>>}
+   */
+  async indexPDFObjects(raw, bytes) {
+    const objects = new Map();
+    const streams = new Map(this.findPDFStreams(raw).map(stream => [stream.start, stream]));
+    const pattern = /(\d+)\s+\d+\s+obj\b([\s\S]*?)(\bstream\r?\n|\bendobj\b)/g;
+    let match;
+
+    while ((match = pattern.exec(raw)) !== null) {
+      const stream = match[3].startsWith('stream') ? streams.get(pattern.lastIndex) || null : null;
+      objects.set(parseInt(match[1], 10), { dictionary: match[2].trim(), stream });
+      // Stream data may contain anything that looks like an object header
+      if (stream) pattern.lastIndex = stream.end;
+    }
+
+    const containers = [...objects.values()].filter(object => object.stream && /\/Type\s*\/ObjStm\b/.test(object.dictionary));
+    for (const container of containers) {
+      const content = await this.readPDFStream(container, bytes);
+      const first = parseInt(container.dictionary.match(/\/First\s+(\d+)/)?.[1], 10);
+      const count = parseInt(container.dictionary.match(/\/N\s+(\d+)/)?.[1], 10);
+      if (!content || isNaN(first) || isNaN(count)) continue;
+
+      // Header: object number and offset pairs, offsets relative to /First
+      const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i < count && i * 2 + 1 < header.length; i++) {
+        const next = i + 1 < count ? header[i * 2 + 3] : content.length - first;
+        if (!objects.has(header[i * 2])) {
+          objects.set(header[i * 2], { dictionary: content.slice(first + header[i * 2 + 1], first + next).trim(), stream: null });
+        }
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * Pages in page tree order, each with its own or inherited /Resources
+   * @returns {Array<{dictionary: string, resources: string|null}>}
+   */
+  getPDFPages(raw, objects) {
+    const pages = [];
+    const seen = new Set();
+    const visit = (number, inheritedResources) => {
+      const node = objects.get(number);
+      if (!node || seen.has(number)) return;
+      seen.add(number);
+
+      const resources = this.getPDFValue(node.dictionary, 'Resources') ?? inheritedResources;
+      if (/\/Type\s*\/Pages\b/.test(node.dictionary)) {
+        this.getPDFRefs(node.dictionary, 'Kids', objects).forEach(kid => visit(kid, resources));
+      } else if (/\/Type\s*\/Page\b/.test(node.dictionary)) {
+        pages.push({ dictionary: node.dictionary, resources });
+      }
+    };
+
+    const root = [...raw.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g)].pop();
+    const catalog = root ? objects.get(parseInt(root[1], 10)) : null;
+    if (catalog) {
+      this.getPDFRefs(catalog.dictionary, 'Pages', objects).forEach(number => visit(number, null));
+    }
+
+    // Damaged page tree: pages in file order
+    if (pages.length === 0) {
+      objects.forEach(object => {
+        if (/\/Type\s*\/Page\b/.test(object.dictionary)) {
+          pages.push({ dictionary: object.dictionary, resources: this.getPDFValue(object.dictionary, 'Resources') });
+        }
+      });
+    }
+    return pages;
+  }
+
+  /**
+   * Text of a page or form XObject, with the fonts and forms of its resources
+   */
+  async extractPDFPage(content, resources, context, depth = 0) {
+    if (!content) return '';
+    const dictionary = this.resolvePDF(resources, context.objects) || '';
+
+    const fonts = new Map();
+    const fontDictionary = this.resolvePDF(this.getPDFValue(dictionary, 'Font'), context.objects) || '';
+    for (const [, name, ref] of fontDictionary.matchAll(/\/([^\s/[\]()<>]+)\s+(\d+)\s+\d+\s+R/g)) {
+      const number = parseInt(ref, 10);
+      if (!context.fonts.has(number)) {
+        context.fonts.set(number, await this.loadPDFFont(context.objects.get(number), context));
+      }
+      fonts.set(name, context.fonts.get(number));
+    }
+
+    // Form XObjects drawn with Do; nesting is limited in case forms refer to each other
+    const forms = new Map();
+    const xObjects = depth < 8 ? this.resolvePDF(this.getPDFValue(dictionary, 'XObject'), context.objects) || '' : '';
+    for (const [, name, ref] of xObjects.matchAll(/\/([^\s/[\]()<>]+)\s+(\d+)\s+\d+\s+R/g)) {
+      const number = parseInt(ref, 10);
+      const form = context.objects.get(number);
+      if (!form?.stream || !/\/Subtype\s*\/Form\b/.test(form.dictionary)) continue;
+      if (!context.forms.has(number)) {
+        context.forms.set(number, '');
+        const formContent = await this.readPDFStream(form, context.bytes);
+        const formResources = this.getPDFValue(form.dictionary, 'Resources') ?? resources;
+        context.forms.set(number, await this.extractPDFPage(formContent, formResources, context, depth + 1));
+      }
+      forms.set(name, context.forms.get(number));
+    }
+
+    return this.extractPDFText(content, fonts, forms);
+  }
+
+  /**
+   * A font's ToUnicode map and code width in hex digits: from the CMap's codespace range,
+   * else two bytes for composite (Type0) fonts and one byte for simple fonts
+   * @returns {Promise<{cmap: Map<string, string>, codeWidth: number}>}
+   */
+  async loadPDFFont(font, context) {
+    const cmap = new Map();
+    let codeWidth = null;
+    const toUnicode = font ? this.getPDFRefs(font.dictionary, 'ToUnicode', context.objects)[0] : undefined;
+    if (toUnicode !== undefined) {
+      const content = await this.readPDFStream(context.objects.get(toUnicode), context.bytes);
+      if (content.includes('begincmap')) {
+        codeWidth = this.parseToUnicodeCMap(content, cmap);
+      }
+    }
+    return { cmap, codeWidth: codeWidth || (/\/Subtype\s*\/Type0\b/.test(font?.dictionary || '') ? 4 : 2) };
+  }
+
+  /**
+   * Decoded data of a stream object; empty for filters other than FlateDecode
+   */
+  async readPDFStream(object, bytes) {
+    if (!object?.stream) return '';
+    if (object.content === undefined) {
+      object.content = (async () => {
+        const filters = object.dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '';
+        if (filters.replace(/\/FlateDecode/g, '').match(/\/\w+/)) return '';
+        try {
+          const data = bytes.subarray(object.stream.start, object.stream.end);
+          return this.bytesToLatin1(filters.includes('FlateDecode') ? await this.inflate(data) : data);
+        } catch (error) {
+          return ''; // Damaged or unsupported stream
+        }
+      })();
+    }
+    return object.content;
+  }
+
+  /**
+   * Raw value of `/key` in a dictionary: a nested dictionary, an array, a reference or one token
+   */
+  getPDFValue(dictionary, key) {
+    const match = new RegExp(`/${key}(?![\\w.#-])\\s*`).exec(dictionary || '');
+    if (!match) return null;
+    const rest = dictionary.slice(match.index + match[0].length);
+    if (rest.startsWith('<<')) return this.readPDFBalanced(rest, '<<', '>>');
+    if (rest.startsWith('[')) return this.readPDFBalanced(rest, '[', ']');
+    return rest.match(/^(\d+\s+\d+\s+R\b|[^\s[\]()<>]+)/)?.[1] ?? null;
+  }
+
+  readPDFBalanced(text, open, close) {
+    let depth = 0;
+    for (let i = 0; i < text.length;) {
+      if (text.startsWith(open, i)) {
+        depth++;
+        i += open.length;
+      } else if (text.startsWith(close, i)) {
+        depth--;
+        i += close.length;
+        if (depth === 0) return text.slice(0, i);
+      } else {
+        i++;
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Follow an indirect reference to the object's dictionary
+   */
+  resolvePDF(value, objects) {
+    const ref = String(value ?? '').match(/^(\d+)\s+\d+\s+R$/);
+    return ref ? objects.get(parseInt(ref[1], 10))?.dictionary ?? null : value;
+  }
+
+  /**
+   * Object numbers referenced by `/key`, also through a reference to an array
+   */
+  getPDFRefs(dictionary, key, objects) {
+    let value = this.getPDFValue(dictionary, key);
+    const resolved = this.resolvePDF(value, objects);
+    if (resolved?.startsWith('[')) value = resolved;
+    return [...String(value ?? '').matchAll(/(\d+)\s+\d+\s+R/g)].map(ref => parseInt(ref[1], 10));
+  }
+
+  /**
+   * Locate `stream ... endstream` bodies and the dictionary before each
+   */
+  findPDFStreams(raw) {
+    const streams = [];
+    const pattern = /\bstream\r?\n/g;
+    let match;
+
+    while ((match = pattern.exec(raw)) !== null) {
+      const objectStart = raw.lastIndexOf(' obj', match.index);
+      const dictionary = raw.slice(objectStart === -1 ? Math.max(0, match.index - 2000) : objectStart, match.index);
+      const start = pattern.lastIndex;
+
+      const length = dictionary.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+      let end = length ? start + parseInt(length[1], 10) : -1;
+      if (end === -1 || raw.slice(end, end + 12).trim().indexOf('endstream') !== 0) {
+        end = raw.indexOf('endstream', start);
+        if (end === -1) break;
+        while (end > start && (raw[end - 1] === '\n' || raw[end - 1] === '\r')) end--;
+      }
+
+      streams.push({ dictionary, start, end });
+      pattern.lastIndex = end;
+    }
+
+    return streams;
+  }
+
+  async inflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Read a font's bfchar/bfrange entries into its code → Unicode map
+   * @returns {number|null} Code width in hex digits from the codespace range
+   */
+  parseToUnicodeCMap(content, cmap) {
+    const toUnicode = (hex) => {
+      let text = '';
+      for (let i = 0; i + 4 <= hex.length; i += 4) {
+        text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+      }
+      return text || String.fromCharCode(parseInt(hex, 16));
+    };
+
+    for (const block of content.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g)) {
+        cmap.set(entry[1].toUpperCase(), toUnicode(entry[2]));
+      }
+    }
+
+    for (const block of content.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]+>|\[[^\]]*\])/g)) {
+        const width = entry[1].length;
+        const low = parseInt(entry[1], 16);
+        const high = parseInt(entry[2], 16);
+        const targets = entry[3].startsWith('[') ? [...entry[3].matchAll(/<([0-9a-fA-F]+)>/g)].map(m => m[1]) : null;
+        const base = targets ? 0 : parseInt(entry[3].slice(1, -1), 16);
+
+        for (let code = low; code <= high && code - low < 65536; code++) {
+          const key = code.toString(16).toUpperCase().padStart(width, '0');
+          cmap.set(key, targets
+            ? toUnicode(targets[code - low] || '')
+            : toUnicode((base + code - low).toString(16).padStart(entry[3].length - 2, '0')));
+        }
+      }
+    }
+
+    const codespace = content.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+    return codespace ? codespace[1].length : (cmap.keys().next().value?.length ?? null);
+  }
+
+  /**
+   * Text shown by a page content stream, one line per text line
+   * @param {string} content
+   * @param {Map<string, {cmap: Map, codeWidth: number}>} [fonts] - Fonts by resource name, selected with Tf
+   * @param {Map<string, string>} [forms] - Text of form XObjects by resource name, drawn with Do
+   */
+  extractPDFText(content, fonts = new Map(), forms = new Map()) {
+    let font = null;
+    const decodeHex = (hex) => {
+      const codeWidth = font?.codeWidth || 2;
+      const clean = hex.replace(/\s+/g, '').toUpperCase();
+      let text = '';
+      for (let i = 0; i < clean.length; i += codeWidth) {
+        const code = clean.slice(i, i + codeWidth);
+        text += font?.cmap.get(code) ?? String.fromCharCode(parseInt(code, 16));
+      }
+      return text;
+    };
+    // Literal strings hold the same codes as hex strings, one byte per character
+    const decodeLiteral = (value) => decodeHex([...this.decodePDFLiteral(value)]
+      .map(c => c.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+
+    const lines = [];
+    let line = '';
+    let lineY = null;
+    const operands = [];
+    const newLine = () => {
+      if (line.trim()) lines.push(line.replace(/\s+/g, ' ').trim());
+      line = '';
+    };
+
+    for (const token of this.tokenizePDF(content)) {
+      if (token.type !== 'operator') {
+        operands.push(token);
+        continue;
+      }
+
+      const text = (item) => (item.type === 'hex' ? decodeHex(item.value) : decodeLiteral(item.value));
+      switch (token.value) {
+        case 'Tj':
+          line += operands.filter(o => o.type === 'string' || o.type === 'hex').map(text).join('');
+          break;
+        case "'":
+        case '"':
+          newLine();
+          line += operands.filter(o => o.type === 'string' || o.type === 'hex').map(text).join('');
+          break;
+        case 'TJ':
+          (operands.find(o => o.type === 'array')?.value || []).forEach(item => {
+            if (item.type === 'number') {
+              if (item.value < -200) line += ' ';
+            } else {
+              line += text(item);
+            }
+          });
+          break;
+        case 'Td':
+        case 'TD': {
+          const [x, y] = operands.filter(o => o.type === 'number').map(o => o.value);
+          if (y) newLine();
+          else if (x > 0 && line && !line.endsWith(' ')) line += ' ';
+          break;
+        }
+        case 'Tm': {
+          // Text matrix moves within a line don't start a new one
+          const y = operands.filter(o => o.type === 'number').map(o => o.value)[5];
+          if (y !== lineY) newLine();
+          else if (line && !line.endsWith(' ')) line += ' ';
+          lineY = y;
+          break;
+        }
+        case 'T*':
+          newLine();
+          break;
+        case 'Tf':
+          font = fonts.get(operands.find(o => o.type === 'name')?.value) || null;
+          break;
+        case 'Do': {
+          const formText = forms.get(operands.find(o => o.type === 'name')?.value);
+          if (formText) {
+            newLine();
+            lines.push(formText);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+      operands.length = 0;
+    }
+    newLine();
+
+    // Re-join words hyphenated across line ends
+    return lines.join('\n').replace(/(\w)-\n(\w)/g, '$1$2');
+  }
+
+  /**
+   * Tokens of a content stream: strings, hex strings, arrays, numbers, names, operators
+   */
+  *tokenizePDF(content) {
+    let i = 0;
+    const arrayStack = [];
+    const emit = function* (token) {
+      if (arrayStack.length > 0) {
+        arrayStack[arrayStack.length - 1].push(token);
+      } else {
+        yield token;
+      }
+    };
+
+    while (i < content.length) {
+      const char = content[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '%') {
+        while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+      } else if (char === '(') {
+        let depth = 1;
+        let j = i + 1;
+        while (j < content.length && depth > 0) {
+          if (content[j] === '\\') j++;
+          else if (content[j] === '(') depth++;
+          else if (content[j] === ')') depth--;
+          j++;
+        }
+        yield* emit({ type: 'string', value: content.slice(i + 1, j - 1) });
+        i = j;
+      } else if (char === '<' && content[i + 1] === '<') {
+        // Inline dictionaries (marked content properties) carry no text
+        const end = content.indexOf('>>', i);
+        i = end === -1 ? content.length : end + 2;
+      } else if (char === '<') {
+        const end = content.indexOf('>', i);
+        yield* emit({ type: 'hex', value: content.slice(i + 1, end === -1 ? content.length : end) });
+        i = end === -1 ? content.length : end + 1;
+      } else if (char === '[') {
+        arrayStack.push([]);
+        i++;
+      } else if (char === ']') {
+        const value = arrayStack.pop() || [];
+        yield* emit({ type: 'array', value });
+        i++;
+      } else if (char === '/') {
+        let j = i + 1;
+        while (j < content.length && !/[\s/[\]()<>{}%]/.test(content[j])) j++;
+        yield* emit({ type: 'name', value: content.slice(i + 1, j) });
+        i = j;
+      } else if (/[\d.+-]/.test(char)) {
+        let j = i + 1;
+        while (j < content.length && /[\d.]/.test(content[j])) j++;
+        yield* emit({ type: 'number', value: parseFloat(content.slice(i, j)) });
+        i = j;
+      } else {
+        let j = i + 1;
+        while (j < content.length && !/[\s/[\]()<>{}%]/.test(content[j])) j++;
+        const value = content.slice(i, j);
+        if (value === 'BI') {
+          // Skip inline image data
+          const end = content.indexOf('EI', j);
+          i = end === -1 ? content.length : end + 2;
+          continue;
+        }
+        yield* emit({ type: 'operator', value });
+        i = j;
+      }
+    }
+  }
+
+  /**
+   * Unescape a PDF literal string
+   */
+  decodePDFLiteral(value) {
+    return value.replace(/\\(\d{1,3}|[nrtbf()\\]|\r?\n)/g, (match, escape) => {
+      if (/^\d+$/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+      return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' }[escape] ?? '';
+    });
+  }
+
+  bytesToLatin1(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return text;
+  }
+
+  // ===== DOCX =====
+
+  async parseDOCX(buffer) {
+    const entries = this.readZipDirectory(buffer);
+    const documentXml = await this.readZipText(buffer, entries, 'word/document.xml');
+    if (!documentXml) {
+      throw new Error('Not a Word document (word/document.xml missing)');
+    }
+
+    const relsXml = await this.readZipText(buffer, entries, 'word/_rels/document.xml.rels');
+    const links = new Map();
+    if (relsXml) {
+      const rels = new DOMParser().parseFromString(relsXml, 'application/xml');
+      Array.from(rels.getElementsByTagName('Relationship')).forEach(rel => {
+        if (/hyperlink$/.test(rel.getAttribute('Type') || '')) {
+          links.set(rel.getAttribute('Id'), rel.getAttribute('Target'));
+        }
+      });
+    }
+
+    const coreXml = await this.readZipText(buffer, entries, 'docProps/core.xml');
+    const title = coreXml?.match(/<dc:title>([^<]*)<\/dc:title>/)?.[1] || '';
+
+    const doc = new DOMParser().parseFromString(documentXml, 'application/xml');
+    const body = doc.getElementsByTagNameNS(WORD_NS, 'body')[0];
+    if (!body) {
+      throw new Error('Could not read the document body');
+    }
+
+    const blocks = [];
+    const walk = (parent) => {
+      Array.from(parent.children).forEach(node => {
+        if (node.localName === 'p') blocks.push(this.docxParagraph(node, links));
+        else if (node.localName === 'tbl') blocks.push(this.docxTable(node, links));
+        else if (node.localName === 'sdt' || node.localName === 'sdtContent') walk(node);
+      });
+    };
+    walk(body);
+
+    // Keep list items together, separate everything else with blank lines
+    const markdown = blocks.filter(Boolean).reduce((text, block, index, all) => {
+      if (index === 0) return block;
+      const isListItem = /^\s*- /.test(block) && /^\s*- /.test(all[index - 1]);
+      return text + (isListItem ? '\n' : '\n\n') + block;
+    }, '');
+
+    return { title: this.decodeXmlEntities(title), markdown };
+  }
+
+  docxChildren(node, name) {
+    return Array.from(node.children).filter(child => child.localName === name);
+  }
+
+  docxParagraph(paragraph, links) {
+    const properties = this.docxChildren(paragraph, 'pPr')[0];
+    const style = properties ? this.docxChildren(properties, 'pStyle')[0]?.getAttributeNS(WORD_NS, 'val') || '' : '';
+    const numbering = properties ? this.docxChildren(properties, 'numPr')[0] : null;
+
+    const text = this.docxInline(paragraph, links).trim();
+    if (!text) return '';
+
+    const heading = style.match(/^Heading(\d)$/i);
+    if (heading) return `${'#'.repeat(Math.min(6, parseInt(heading[1], 10)))} ${text.replace(/\*\*/g, '')}`;
+    if (/^(Title)$/i.test(style)) return `# ${text.replace(/\*\*/g, '')}`;
+    if (/^(Subtitle)$/i.test(style)) return `## ${text.replace(/\*\*/g, '')}`;
+
+    if (numbering || /^List/i.test(style)) {
+      const level = parseInt(this.docxChildren(numbering || paragraph, 'ilvl')[0]?.getAttributeNS(WORD_NS, 'val') || '0', 10);
+      return `${'  '.repeat(level)}- ${text}`;
+    }
+    if (/^Quote|^IntenseQuote/i.test(style)) return `> ${text}`;
+
+    return text;
+  }
+
+  /**
+   * Runs and hyperlinks of a paragraph as inline Markdown
+   */
+  docxInline(parent, links) {
+    return Array.from(parent.children).map(node => {
+      if (node.localName === 'hyperlink') {
+        const text = this.docxInline(node, links);
+        const target = links.get(node.getAttribute('r:id') || node.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id'));
+        return target ? `[${text}](${target})` : text;
+      }
+      if (node.localName === 'ins' || node.localName === 'smartTag') {
+        return this.docxInline(node, links);
+      }
+      if (node.localName !== 'r') return '';
+
+      const text = Array.from(node.children).map(child => {
+        if (child.localName === 't') return child.textContent;
+        if (child.localName === 'tab') return '\t';
+        if (child.localName === 'br' || child.localName === 'cr') return '\n';
+        return '';
+      }).join('');
+      if (!text.trim()) return text;
+
+      const runProperties = this.docxChildren(node, 'rPr')[0];
+      const isOn = (name) => {
+        const flag = runProperties && this.docxChildren(runProperties, name)[0];
+        return !!flag && !['0', 'false'].includes(flag.getAttributeNS(WORD_NS, 'val'));
+      };
+      const leading = text.match(/^\s*/)[0];
+      const trailing = text.match(/\s*$/)[0];
+      let core = text.trim();
+      if (isOn('b')) core = `**${core}**`;
+      if (isOn('i')) core = `_${core}_`;
+      return leading + core + trailing;
+    }).join('').replace(/\*\*\*\*/g, '');
+  }
+
+  docxTable(table, links) {
+    const rows = this.docxChildren(table, 'tr').map(row =>
+      this.docxChildren(row, 'tc').map(cell =>
+        this.docxChildren(cell, 'p').map(p => this.docxInline(p, links).trim()).filter(Boolean).join(' ').replace(/\|/g, '\\|')
+      )
+    ).filter(cells => cells.length > 0);
+    if (rows.length === 0) return '';
+
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const format = (cells) => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+    return [format(rows[0]), `| ${Array(columns).fill('---').join(' | ')} |`, ...rows.slice(1).map(format)].join('\n');
+  }
+
+  decodeXmlEntities(text) {
+    return String(text || '').replace(/&(lt|gt|amp|quot|apos);/g, (match, name) => ({ lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name]));
+  }
+
+  /**
+   * Central directory of a ZIP archive: name → { method, compressedSize, offset }
+   */
+  readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error('Not a valid DOCX file (ZIP directory missing)');
+    }
+
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+
+    for (let i = 0; i < count && view.getUint32(offset, true) === 0x02014b50; i++) {
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      entries.set(name, {
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        offset: view.getUint32(offset + 42, true)
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  async readZipText(buffer, entries, name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    const view = new DataView(buffer);
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+    if (entry.method === 0) {
+      return new TextDecoder().decode(data);
+    }
+    if (entry.method !== 8) {
+      throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  }
+}
+
+// Make DocumentParser available globally
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.DocumentParser = DocumentParser;
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DocumentParser;
+}
@@ -311,6 +311,30 @@ class DOMUtils {
     };
   }
 
+  /**
+   * Escape text for use in HTML markup and attribute values
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Save text content as a file through a temporary download link
+   */
+  downloadFile(content, fileName, type = 'text/plain') {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Setup mutation observer for dynamic content
    */
@@ -86,6 +86,55 @@ class DomainFilters {
         ]
       }
     ];
+
+    // Sites whose pages are never kept (e.g. by the knowledge base)
+    this.exclusionRules = DomainFilters.DEFAULT_EXCLUSIONS.map(pattern => this.compileDomainPattern(pattern));
+  }
+
+  /**
+   * Replace the excluded domains
+   * @param {string[]} patterns - Host names; `example.com` also covers its subdomains,
+   *   `*.example.com` only the subdomains
+   */
+  setExclusions(patterns = []) {
+    this.exclusionRules = patterns
+      .map(pattern => this.compileDomainPattern(pattern))
+      .filter(Boolean);
+  }
+
+  /**
+   * Turn a domain pattern into a rule matched against host names, like filterRules
+   */
+  compileDomainPattern(pattern) {
+    const host = String(pattern || '').trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[\/:].*$/, '');
+    if (!host) return null;
+
+    const subdomainsOnly = host.startsWith('*.');
+    const escaped = host.replace(/^\*\./, '').replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]*');
+    return {
+      pattern: host,
+      domain: new RegExp(subdomainsOnly ? `^.+\\.${escaped}$` : `^(?:.+\\.)?${escaped}$`)
+    };
+  }
+
+  /**
+   * Whether a URL belongs to an excluded domain (non-web URLs always are)
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isExcluded(url) {
+    let domain = '';
+    try {
+      const urlObj = new URL(url);
+      if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return true;
+      domain = urlObj.hostname;
+    } catch (e) {
+      return true;
+    }
+
+    return this.exclusionRules.some(rule => domain.match(rule.domain));
   }
 
   /**
@@ -192,6 +241,17 @@ class DomainFilters {
   }
 }
 
+// Sign-in, mail and banking pages excluded until the user edits the list
+DomainFilters.DEFAULT_EXCLUSIONS = [
+  'accounts.google.com',
+  'mail.google.com',
+  'outlook.live.com',
+  'outlook.office.com',
+  'login.microsoftonline.com',
+  'paypal.com',
+  'localhost'
+];
+
 // Export for browser use
 if (typeof window !== 'undefined') {
   window.DomainFilters = DomainFilters;
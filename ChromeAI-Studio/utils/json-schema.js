@@ -0,0 +1,206 @@
+/**
+ * ChromeAI Studio - JSON Schema Utility
+ * Parse, repair and validate JSON produced by language models
+ *
+ * Supports the subset of JSON Schema the Prompt API's responseConstraint uses:
+ * type, properties, required, additionalProperties, items, enum, const,
+ * minimum/maximum, minLength/maxLength, minItems/maxItems, anyOf
+ */
+
+class JSONSchemaValidator {
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Parsed JSON value
+   * @param {Object} schema - JSON schema
+   * @param {string} path - Path used in error messages
+   * @returns {string[]} - Validation errors (empty when valid)
+   */
+  static validate(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+
+    if (Array.isArray(schema.anyOf)) {
+      const results = schema.anyOf.map(option => JSONSchemaValidator.validate(value, option, path));
+      return results.some(errors => errors.length === 0)
+        ? []
+        : [`${path} does not match any allowed shape`];
+    }
+
+    const errors = [];
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => JSONSchemaValidator.isType(value, type))) {
+        return [`${path} must be ${types.join(' or ')}`];
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+      errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && schema.const !== value) {
+      errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+      if (typeof schema.minimum === 'number' && value < schema.minimum) {
+        errors.push(`${path} must be >= ${schema.minimum}`);
+      }
+      if (typeof schema.maximum === 'number' && value > schema.maximum) {
+        errors.push(`${path} must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+        errors.push(`${path} must have at least ${schema.minLength} characters`);
+      }
+      if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+        errors.push(`${path} must have at most ${schema.maxLength} characters`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items`);
+      }
+      if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...JSONSchemaValidator.validate(item, schema.items, `${path}[${index}]`));
+        });
+      }
+    }
+
+    if (JSONSchemaValidator.isType(value, 'object')) {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) errors.push(`${path}.${key} is required`);
+      });
+      Object.entries(value).forEach(([key, child]) => {
+        if (properties[key]) {
+          errors.push(...JSONSchemaValidator.validate(child, properties[key], `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  static isType(value, type) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'null': return value === null;
+      default: return typeof value === type;
+    }
+  }
+
+  /**
+   * Pull the first JSON object or array out of model output
+   * (drops code fences and any prose before or after it)
+   * @param {string} text - Raw model output
+   * @returns {string} - JSON text, or the trimmed input if no JSON block was found
+   */
+  static extractJSON(text) {
+    const cleaned = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const start = cleaned.search(/[{[]/);
+    if (start === -1) return cleaned;
+
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < cleaned.length; i++) {
+      const char = cleaned[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      if (char === '"') inString = true;
+      else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+      else if (char === '}' || char === ']') {
+        stack.pop();
+        if (stack.length === 0) return cleaned.slice(start, i + 1);
+      }
+    }
+
+    // Unterminated: close whatever is still open
+    return cleaned.slice(start) + (inString ? '"' : '') + stack.reverse().join('');
+  }
+
+  /**
+   * Fix the usual ways models break JSON: smart quotes, comments, trailing
+   * commas, single-quoted strings, unquoted keys, Python literals
+   * @param {string} text - JSON-ish text
+   * @returns {string} - Repaired text (may still be invalid)
+   */
+  static repair(text) {
+    return JSONSchemaValidator.extractJSON(text)
+      .replace(/[\u201C\u201D]/g, '"')
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/^\s*\/\/.*$/gm, '')
+      .replace(/'([^'"\\]*)'(?=\s*[:,}\]])/g, '"$1"')
+      .replace(/([{,]\s*)([A-Za-z_$][\w$]*)(\s*:)/g, '$1"$2"$3')
+      .replace(/:\s*True\b/g, ': true')
+      .replace(/:\s*False\b/g, ': false')
+      .replace(/:\s*None\b/g, ': null')
+      .replace(/,(\s*[}\]])/g, '$1');
+  }
+
+  /**
+   * Parse model output and validate it
+   * @param {string} text - Raw model output
+   * @param {Object} schema - JSON schema
+   * @returns {{value: *, errors: string[], repaired: boolean}}
+   */
+  static parse(text, schema) {
+    let value;
+    let repaired = false;
+
+    try {
+      value = JSON.parse(JSONSchemaValidator.extractJSON(text));
+    } catch (error) {
+      try {
+        value = JSON.parse(JSONSchemaValidator.repair(text));
+        repaired = true;
+      } catch (repairError) {
+        return { value: undefined, errors: [`Response is not valid JSON: ${repairError.message}`], repaired: false };
+      }
+    }
+
+    return { value, errors: JSONSchemaValidator.validate(value, schema), repaired };
+  }
+
+  /**
+   * Follow-up prompt asking the model to fix its previous answer
+   * @param {string} raw - Previous model output
+   * @param {string[]} errors - Validation errors
+   * @param {Object} schema - JSON schema
+   * @returns {string}
+   */
+  static buildRetryPrompt(raw, errors, schema) {
+    return `Your previous response could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${String(raw || '').slice(0, 2000)}
+
+Return ONLY corrected JSON (no markdown fences, no extra text) matching this JSON schema:
+${JSON.stringify(schema)}`;
+  }
+}
+
+// Make JSONSchemaValidator available globally
+if (typeof window !== 'undefined') {
+  window.ChromeAIStudio = window.ChromeAIStudio || {};
+  window.ChromeAIStudio.JSONSchemaValidator = JSONSchemaValidator;
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JSONSchemaValidator;
+}
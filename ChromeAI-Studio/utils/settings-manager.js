@@ -17,12 +17,14 @@ class SettingsManager {
       voicePitch: 1.0,
       voiceVolume: 1.0,
       preferredVoice: 'auto',
+      // Speech recognition: 'cloud' (Web Speech API) or 'local' (on-device, ai/speech-engines.js)
+      speechEngine: 'cloud',
       
       // Wake Word Settings
       wakeWordEnabled: false,
       wakeWords: ['hey assistant', 'computer', 'hey computer', 'assistant'],
-      customWakeWord: '',
-      wakeWordSensitivity: 0.7,
+      customWakeWord: '', // Comma-separated; replaces wakeWords when set
+      wakeWordSensitivity: 0.7, // On-device engine: a wake word needs confidence 1 - sensitivity
       
       // AI Model Settings
       defaultAIModel: 'promptai',
@@ -30,6 +32,57 @@ class SettingsManager {
       aiTopK: 20,
       maxTokens: 1000,
       
+      // AI Provider Settings
+      // Per-task backend: 'builtin' (Gemini Nano) or 'openai-compatible' (local HTTP server)
+      aiProviders: {
+        prompt: 'builtin',
+        summarize: 'builtin',
+        write: 'builtin',
+        rewrite: 'builtin',
+        translate: 'builtin'
+      },
+      openAICompatibleBaseUrl: 'http://localhost:11434/v1',
+      openAICompatibleModel: '',
+      openAICompatibleContextWindow: 8192,
+      
+      // Agent Approval Settings
+      // allow / ask / deny per page-changing agent action and tool side effect, with per-domain overrides
+      agentActionPolicy: {
+        defaults: { click: 'ask', type: 'ask', select: 'ask', check: 'ask', fillForm: 'ask', navigates: 'allow', mutates: 'ask' },
+        domains: {}
+      },
+      
+      // Search Engine Settings
+      // Engine used by the agent's search action; others are tried on a CAPTCHA or no results
+      searchEngines: {
+        default: 'google',
+        fallback: true,
+        site: null
+      },
+      
+      // Knowledge Base Settings
+      // Opt-in local index of read pages, ranked with BM25 on this device; remoteEmbeddings
+      // separately opts in to sending page text to the OpenAI-compatible server
+      knowledgeBase: {
+        enabled: false,
+        captureVisits: true,
+        remoteEmbeddings: false,
+        embeddingModel: '',
+        excludedDomains: window.DomainFilters?.DEFAULT_EXCLUSIONS || []
+      },
+      
+      // Proofreading Settings
+      // Underline issues in the focused textarea/input/contenteditable while typing
+      liveProofreading: false,
+      
+      // MCP Server Settings
+      // External tool servers for the voice agent: {id, name, url, transport, enabled, headers}
+      mcpServers: [],
+      // Serve our own tools to desktop MCP clients through the native host (native-host/)
+      mcpBridge: {
+        enabled: false
+      },
+      
       // UI Settings
       sidebarWidth: 460,
       showWelcomeMessage: true,
@@ -89,10 +142,7 @@ class SettingsManager {
   async loadSettings() {
     try {
       const result = await chrome.storage.sync.get(['chromeAISettings']);
-      this.settings = { 
-        ...this.defaultSettings, 
-        ...(result.chromeAISettings || {}) 
-      };
+      this.settings = this.mergeStored(result.chromeAISettings);
       this.notifyListeners('loaded', this.settings);
     } catch (error) {
       console.warn('⚠️ Failed to load settings, using defaults:', error);
@@ -100,6 +150,15 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Defaults plus stored settings. An API key synced by older versions is left out:
+   * only the service worker reads it, from local storage
+   */
+  mergeStored(stored = {}) {
+    const { openAICompatibleApiKey, ...settings } = stored || {};
+    return { ...this.defaultSettings, ...settings };
+  }
+
   /**
    * Save settings to Chrome storage
    */
@@ -248,7 +307,7 @@ class SettingsManager {
         if (areaName === 'sync' && changes.chromeAISettings) {
           const newSettings = changes.chromeAISettings.newValue;
           if (newSettings) {
-            this.settings = { ...this.defaultSettings, ...newSettings };
+            this.settings = this.mergeStored(newSettings);
             this.notifyListeners('synced', this.settings);
           }
         }
@@ -310,11 +369,31 @@ class SettingsManager {
       voiceRate: (v) => typeof v === 'number' && v >= 0.1 && v <= 3.0,
       voicePitch: (v) => typeof v === 'number' && v >= 0.0 && v <= 2.0,
       voiceVolume: (v) => typeof v === 'number' && v >= 0.0 && v <= 1.0,
+      speechEngine: (v) => ['cloud', 'local'].includes(v),
+      wakeWords: (v) => Array.isArray(v) && v.length > 0 && v.every(word => typeof word === 'string' && word.trim()),
+      customWakeWord: (v) => typeof v === 'string',
+      wakeWordSensitivity: (v) => typeof v === 'number' && v >= 0.1 && v <= 0.9,
       aiTemperature: (v) => typeof v === 'number' && v >= 0.0 && v <= 1.0,
       sidebarWidth: (v) => typeof v === 'number' && v >= 300 && v <= 800,
       theme: (v) => ['auto', 'light', 'dark'].includes(v),
       mode: (v) => ['student', 'developer', 'creator', 'researcher'].includes(v),
-      language: (v) => typeof v === 'string' && v.length === 2
+      language: (v) => typeof v === 'string' && v.length === 2,
+      aiProviders: (v) => v && typeof v === 'object' &&
+        Object.values(v).every(id => ['builtin', 'openai-compatible'].includes(id)),
+      openAICompatibleBaseUrl: (v) => typeof v === 'string' && /^https?:\/\//.test(v),
+      openAICompatibleContextWindow: (v) => typeof v === 'number' && v >= 512,
+      agentActionPolicy: (v) => v && typeof v === 'object' &&
+        typeof v.defaults === 'object' && typeof v.domains === 'object',
+      searchEngines: (v) => v && typeof v === 'object' && typeof v.default === 'string' &&
+        (!v.site || (typeof v.site.urlTemplate === 'string' && v.site.urlTemplate.includes('{query}'))),
+      liveProofreading: (v) => typeof v === 'boolean',
+      mcpServers: (v) => Array.isArray(v) && v.every(server => server && typeof server.id === 'string' &&
+        typeof server.name === 'string' && /^https?:\/\//.test(server.url) &&
+        ['auto', 'streamable-http', 'sse'].includes(server.transport || 'auto')),
+      mcpBridge: (v) => v && typeof v === 'object' && typeof v.enabled === 'boolean',
+      knowledgeBase: (v) => v && typeof v === 'object' && typeof v.enabled === 'boolean' &&
+        (v.remoteEmbeddings === undefined || typeof v.remoteEmbeddings === 'boolean') &&
+        Array.isArray(v.excludedDomains) && v.excludedDomains.every(d => typeof d === 'string')
     };
 
     const validator = validators[key];